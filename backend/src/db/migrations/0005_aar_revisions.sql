@@ -0,0 +1,50 @@
+-- ============================================================================
+-- MIGRATION: 0005_aar_revisions.sql
+-- Description: Keep a revision history of edited AARs
+-- Date: 2026-10-18
+-- ============================================================================
+-- Every PUT /api/aars/:id snapshots the AAR as it was *before* the edit into
+-- aar_revisions. Revision 1 is always the original submission, so the full
+-- history of an AAR is: all rows in aar_revisions (ordered) + the live row.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- AAR REVISIONS TABLE
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS aar_revisions (
+    id TEXT PRIMARY KEY,
+    aar_id TEXT NOT NULL,
+    revision_number INTEGER NOT NULL,   -- 1-based, 1 = original submission
+
+    -- Snapshot of the AAR at this revision
+    form_id TEXT NOT NULL,
+    form_version TEXT NOT NULL,
+    form_data TEXT NOT NULL,            -- JSON string
+    category TEXT,
+    material TEXT,
+    damage_type TEXT,
+
+    -- Who produced this snapshot (author of the submission or of the previous edit)
+    authored_by TEXT,
+    authored_at TEXT NOT NULL,
+
+    -- Who replaced this snapshot with the next version, and why
+    replaced_by TEXT,
+    change_note TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+
+    FOREIGN KEY (aar_id) REFERENCES aars(id) ON DELETE CASCADE,
+    FOREIGN KEY (authored_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (replaced_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(aar_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_aar_revisions_aar ON aar_revisions(aar_id, revision_number);
+
+-- ----------------------------------------------------------------------------
+-- Track the last edit on the AAR itself
+-- ----------------------------------------------------------------------------
+-- updated_at is bumped by the vote/view/comment triggers, so it cannot be used
+-- to tell whether the *content* of an AAR was edited.
+ALTER TABLE aars ADD COLUMN edited_at TEXT NULL;
+ALTER TABLE aars ADD COLUMN edited_by TEXT NULL REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,64 @@
+-- ============================================================================
+-- MIGRATION: 0006_comment_threads.sql
+-- Description: Emoji reactions, edit tracking and soft-delete counts for AAR comments
+-- Date: 2026-10-18
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- COMMENTS: edit tracking
+-- ----------------------------------------------------------------------------
+-- updated_at is bumped by the reaction triggers, so edits get their own column
+ALTER TABLE comments ADD COLUMN edited_at TEXT NULL;
+
+-- ----------------------------------------------------------------------------
+-- COMMENTS: keep aars.comment_count correct for soft deletes
+-- ----------------------------------------------------------------------------
+-- Comments are soft deleted (deleted_at) so replies keep their parent; the
+-- existing comments_delete trigger only fires on hard deletes.
+CREATE TRIGGER IF NOT EXISTS comments_soft_delete
+AFTER UPDATE OF deleted_at ON comments
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+BEGIN
+    UPDATE aars
+    SET comment_count = CASE WHEN comment_count > 0 THEN comment_count - 1 ELSE 0 END,
+        updated_at = datetime('now')
+    WHERE id = new.aar_id;
+END;
+
+-- ----------------------------------------------------------------------------
+-- COMMENT REACTIONS: thumbs up/down -> emoji
+-- ----------------------------------------------------------------------------
+-- A user can now leave several different emoji on the same comment, so the
+-- table is rebuilt with UNIQUE(comment_id, user_id, emoji). Counts are
+-- aggregated at read time; comments.thumbs_up/thumbs_down are no longer
+-- maintained.
+DROP TRIGGER IF EXISTS comment_reactions_insert;
+DROP TRIGGER IF EXISTS comment_reactions_delete;
+DROP TRIGGER IF EXISTS comment_reactions_update;
+
+CREATE TABLE IF NOT EXISTS comment_reactions_new (
+    id TEXT PRIMARY KEY,
+    comment_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    emoji TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+
+    FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(comment_id, user_id, emoji)
+);
+
+INSERT INTO comment_reactions_new (id, comment_id, user_id, emoji, created_at)
+SELECT
+    id,
+    comment_id,
+    user_id,
+    CASE WHEN reaction_type = 'thumbs_up' THEN '👍' ELSE '👎' END,
+    created_at
+FROM comment_reactions;
+
+DROP TABLE comment_reactions;
+ALTER TABLE comment_reactions_new RENAME TO comment_reactions;
+
+CREATE INDEX IF NOT EXISTS idx_comment_reactions_comment_id ON comment_reactions(comment_id);
+CREATE INDEX IF NOT EXISTS idx_comment_reactions_user_id ON comment_reactions(user_id);
@@ -0,0 +1,29 @@
+-- ============================================================================
+-- MIGRATION: 0007_visibility_policies.sql
+-- Description: Admin-configurable franchise visibility policy per resource
+-- Date: 2026-10-18
+-- ============================================================================
+-- Controls what franchisees and employees can see. Admins and managers always
+-- see everything. Scopes:
+--   all       - every record
+--   franchise - records belonging to the user's franchise (the franchisee and
+--               users whose franchise_id points at them)
+--   own       - only the user's own records
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- VISIBILITY POLICIES TABLE
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS visibility_policies (
+    resource TEXT PRIMARY KEY CHECK(resource IN ('aars', 'users', 'conversations')),
+    scope TEXT NOT NULL CHECK(scope IN ('all', 'franchise', 'own')),
+    updated_by TEXT,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Defaults match the behaviour before policies existed
+INSERT OR IGNORE INTO visibility_policies (resource, scope) VALUES ('aars', 'all');
+INSERT OR IGNORE INTO visibility_policies (resource, scope) VALUES ('users', 'own');
+INSERT OR IGNORE INTO visibility_policies (resource, scope) VALUES ('conversations', 'all');
@@ -0,0 +1,45 @@
+-- ============================================================================
+-- MIGRATION: 0008_form_versions.sql
+-- Description: Immutable history of custom form schemas
+-- Date: 2026-10-18
+-- ============================================================================
+-- custom_forms.form_schema is the current schema of a form. Every time it
+-- changes, the new schema is also stored here under the next version number
+-- (1, 2, 3, ...) and never modified again. AARs record the version they were
+-- submitted on in aars.form_version, so they can always be rendered and
+-- re-validated against that exact schema.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- CUSTOM FORM VERSIONS TABLE
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS custom_form_versions (
+    id TEXT PRIMARY KEY,
+    form_id TEXT NOT NULL,
+    version INTEGER NOT NULL,           -- 1-based, per form
+    form_schema TEXT NOT NULL,          -- JSON, immutable
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+
+    FOREIGN KEY (form_id) REFERENCES custom_forms(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE (form_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_form_versions_form_id ON custom_form_versions(form_id);
+
+-- Version currently in custom_forms.form_schema
+ALTER TABLE custom_forms ADD COLUMN current_version INTEGER NOT NULL DEFAULT 1;
+
+-- ----------------------------------------------------------------------------
+-- BACKFILL
+-- ----------------------------------------------------------------------------
+-- Existing schemas become version 1. Older history was overwritten in place,
+-- so existing AARs (and their revisions) are pointed at that snapshot; their
+-- old free-form version strings ("1.0", "1.0.0") could not be resolved anyway.
+INSERT OR IGNORE INTO custom_form_versions (id, form_id, version, form_schema, created_by, created_at)
+SELECT id || '_v1', id, 1, form_schema, created_by, updated_at
+FROM custom_forms;
+
+UPDATE aars SET form_version = '1';
+UPDATE aar_revisions SET form_version = '1';
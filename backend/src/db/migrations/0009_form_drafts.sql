@@ -0,0 +1,17 @@
+-- ============================================================================
+-- MIGRATION: 0009_form_drafts.sql
+-- Description: Draft schemas and publish changelog for custom forms
+-- Date: 2026-10-18
+-- ============================================================================
+-- The form builder saves to custom_forms.draft_schema, which technicians never
+-- see. Publishing copies the draft into a new custom_form_versions row (with a
+-- changelog message) and makes it live. Rolling back publishes the schema of
+-- an older version again as a new version, so history is never rewritten.
+-- ============================================================================
+
+ALTER TABLE custom_forms ADD COLUMN draft_schema TEXT NULL;
+ALTER TABLE custom_forms ADD COLUMN draft_updated_at TEXT NULL;
+ALTER TABLE custom_forms ADD COLUMN draft_updated_by TEXT NULL REFERENCES users(id) ON DELETE SET NULL;
+
+-- Changelog message entered when publishing (or "Rolled back to version N")
+ALTER TABLE custom_form_versions ADD COLUMN change_note TEXT NULL;
@@ -0,0 +1,41 @@
+-- ============================================================================
+-- MIGRATION: 0010_aar_drafts.sql
+-- Description: AAR drafts stored on the server (shared across devices)
+-- Date: 2026-10-18
+-- ============================================================================
+-- A draft holds partial form_data that is not validated until it is
+-- finalized, so a technician can start an AAR on one device and finish it on
+-- another. Draft photos live in R2 under drafts/<userId>/<draftId>/ and move to
+-- the AAR's prefix (aars/<userId>/<aarId>/) when the draft is finalized.
+-- Timestamps are ISO 8601 UTC; devices compare updated_at to detect changes
+-- made elsewhere.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS aar_drafts (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    form_id TEXT,                       -- Form and version the draft is filled in on
+    form_version TEXT,
+    form_data TEXT NOT NULL DEFAULT '{}', -- JSON string, may be incomplete
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_aar_drafts_user ON aar_drafts(user_id, updated_at);
+
+-- Files uploaded to a draft (same layout as photos: field path + order)
+CREATE TABLE IF NOT EXISTS aar_draft_photos (
+    id TEXT PRIMARY KEY,
+    draft_id TEXT NOT NULL,
+    field_id TEXT NOT NULL,             -- Field path, e.g. beforePhotos or damageAreas.0.photos
+    r2_key TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    display_order INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+    FOREIGN KEY (draft_id) REFERENCES aar_drafts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_aar_draft_photos_draft ON aar_draft_photos(draft_id, field_id, display_order);
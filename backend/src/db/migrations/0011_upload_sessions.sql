@@ -0,0 +1,38 @@
+-- ============================================================================
+-- MIGRATION: 0011_upload_sessions.sql
+-- Description: Resumable (chunked) file uploads for AAR submissions
+-- Date: 2026-10-18
+-- ============================================================================
+-- Each file is uploaded on its own as an R2 multipart upload: the client
+-- sends it in parts, can ask which parts arrived and continue after a
+-- dropped connection, then completes it. POST /api/aars references completed
+-- sessions by ID instead of carrying the files; the photos row takes over the
+-- R2 key and the session is deleted.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    r2_key TEXT NOT NULL,               -- uploads/<userId>/<sessionId>.<ext>
+    r2_upload_id TEXT NOT NULL,         -- R2 multipart upload ID
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,              -- Declared file size in bytes
+    part_size INTEGER NOT NULL,         -- Every part but the last has this size
+    status TEXT NOT NULL DEFAULT 'uploading', -- 'uploading' | 'complete'
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user ON upload_sessions(user_id, status);
+
+-- Parts received so far (R2 needs every part's etag to complete the upload)
+CREATE TABLE IF NOT EXISTS upload_session_parts (
+    session_id TEXT NOT NULL,
+    part_number INTEGER NOT NULL,       -- 1-based
+    etag TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    PRIMARY KEY (session_id, part_number),
+    FOREIGN KEY (session_id) REFERENCES upload_sessions(id) ON DELETE CASCADE
+);
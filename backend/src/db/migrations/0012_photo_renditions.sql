@@ -0,0 +1,25 @@
+-- ============================================================================
+-- MIGRATION: 0012_photo_renditions.sql
+-- Description: Photo dimensions and renditions (image pipeline)
+-- Date: 2026-10-18
+-- ============================================================================
+-- AAR photos are processed when they are stored (see lib/image-pipeline.ts):
+-- thumbnail and medium WebP renditions are written next to the original in R2
+-- and the displayed (upright) dimensions are recorded. Columns stay NULL for
+-- files that are not processed (documents, photos stored before this change).
+-- Upload sessions carry the same details from completion until the file is
+-- attached to an AAR.
+-- ============================================================================
+
+ALTER TABLE photos ADD COLUMN width INTEGER;
+ALTER TABLE photos ADD COLUMN height INTEGER;
+ALTER TABLE photos ADD COLUMN thumbnail_r2_key TEXT;
+ALTER TABLE photos ADD COLUMN medium_r2_key TEXT;
+
+-- /files/:key?size=... looks up a photo's renditions by its key
+CREATE INDEX IF NOT EXISTS idx_photos_r2_key ON photos(r2_key);
+
+ALTER TABLE upload_sessions ADD COLUMN width INTEGER;
+ALTER TABLE upload_sessions ADD COLUMN height INTEGER;
+ALTER TABLE upload_sessions ADD COLUMN thumbnail_r2_key TEXT;
+ALTER TABLE upload_sessions ADD COLUMN medium_r2_key TEXT;
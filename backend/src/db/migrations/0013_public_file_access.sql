@@ -0,0 +1,31 @@
+-- ============================================================================
+-- MIGRATION: 0013_public_file_access.sql
+-- Description: Admin switches for serving stored files without a file token
+-- Date: 2026-10-18
+-- ============================================================================
+-- /files/:key used to be public, so links to AAR photos and chat attachments
+-- were shared and embedded without any credentials. Files now need a file
+-- access token and are only served to users who can see the owning AAR or
+-- conversation (see lib/file-access.ts). An admin can turn public access back
+-- on per category so existing links keep working:
+--   aar_photos       - aars/ and uploads/ keys (AAR photos)
+--   chat_attachments - chat-uploads/ keys
+-- Branding logos are always public (they are shown before login).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public_file_access (
+    category TEXT PRIMARY KEY CHECK(category IN ('aar_photos', 'chat_attachments')),
+    enabled INTEGER NOT NULL DEFAULT 0,
+    updated_by TEXT,
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Files are private by default
+INSERT OR IGNORE INTO public_file_access (category, enabled) VALUES ('aar_photos', 0);
+INSERT OR IGNORE INTO public_file_access (category, enabled) VALUES ('chat_attachments', 0);
+
+-- Finding the AAR of an uploads/ rendition
+CREATE INDEX IF NOT EXISTS idx_photos_thumbnail_r2_key ON photos(thumbnail_r2_key);
+CREATE INDEX IF NOT EXISTS idx_photos_medium_r2_key ON photos(medium_r2_key);
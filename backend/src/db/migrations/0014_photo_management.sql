@@ -0,0 +1,13 @@
+-- ============================================================================
+-- MIGRATION: 0014_photo_management.sql
+-- Description: Captions and before/after pairs for AAR photos
+-- Date: 2026-10-18
+-- ============================================================================
+-- Photos of a submitted AAR can now be added, reordered, replaced and deleted
+-- (/api/aars/:id/photos). Each photo can carry a caption, and a before photo
+-- can be paired with an after photo; both photos of a pair point at each
+-- other, and the legacy type column tells which one is "before".
+-- ============================================================================
+
+ALTER TABLE photos ADD COLUMN caption TEXT;
+ALTER TABLE photos ADD COLUMN paired_photo_id TEXT;
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- MIGRATION: 0015_draft_status.sql
+-- Description: Status of AAR drafts, so a draft is finalized only once
+-- Date: 2026-10-18
+-- ============================================================================
+-- POST /api/aars/drafts/:draftId/finalize claims the draft (draft ->
+-- finalizing) before it creates the AAR; a repeated or concurrent request
+-- finds the draft already claimed and is rejected instead of creating a
+-- second AAR. A failed finalize sets the status back to draft.
+-- ============================================================================
+
+ALTER TABLE aar_drafts ADD COLUMN status TEXT NOT NULL DEFAULT 'draft'; -- draft | finalizing
@@ -0,0 +1,18 @@
+-- ============================================================================
+-- MIGRATION: 0016_upload_session_expiry.sql
+-- Description: Expiry of upload sessions
+-- Date: 2026-10-18
+-- ============================================================================
+-- A session that is abandoned (never completed, or completed but never used
+-- by an AAR) expires: a day after its last part for unfinished uploads, a
+-- week after completion for finished ones. Expired sessions are refused when
+-- used, and an hourly scheduled job aborts their multipart uploads, deletes
+-- their files from R2 and removes the rows (see src/lib/upload-cleanup.ts).
+-- ============================================================================
+
+ALTER TABLE upload_sessions ADD COLUMN expires_at TEXT;
+
+UPDATE upload_sessions
+SET expires_at = strftime('%Y-%m-%dT%H:%M:%SZ', updated_at, CASE status WHEN 'complete' THEN '+7 days' ELSE '+1 day' END);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expiry ON upload_sessions(expires_at);
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- MIGRATION: 0017_message_attachments.sql
+-- Description: Index of the files sent as chat attachments
+-- Date: 2026-10-18
+-- ============================================================================
+-- A chat-uploads/ file may be fetched by users who can read a conversation it
+-- was sent in (see lib/file-access.ts). Finding those messages by searching
+-- their metadata scanned every message, so the R2 key of each attachment is
+-- now recorded when the message is saved. Only the sender's own uploads
+-- (chat-uploads/<senderId>/...) are recorded: naming someone else's file in a
+-- message does not share it.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS message_attachments (
+    r2_key TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+
+    PRIMARY KEY (r2_key, message_id),
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message ON message_attachments(message_id);
+
+-- Existing attachments. Metadata is { url: '.../files/<key>', ... }; messages
+-- sent over the WebSocket stored it JSON-encoded twice.
+INSERT OR IGNORE INTO message_attachments (r2_key, message_id, created_at)
+SELECT substr(url, instr(url, '/files/') + 7), id, created_at
+FROM (
+    SELECT
+        id,
+        sender_id,
+        created_at,
+        CASE
+            WHEN json_type(metadata) = 'object' THEN json_extract(metadata, '$.url')
+            WHEN json_type(metadata) = 'text' AND json_valid(json_extract(metadata, '$'))
+                THEN json_extract(json_extract(metadata, '$'), '$.url')
+        END AS url
+    FROM messages
+    WHERE json_valid(metadata)
+)
+WHERE instr(url, '/files/chat-uploads/' || sender_id || '/') > 0;
@@ -14,6 +14,7 @@ INSERT INTO custom_forms (
   form_schema,
   is_active,
   applies_to_category,
+  current_version,
   created_by,
   created_at,
   updated_at
@@ -39,7 +40,8 @@ INSERT INTO custom_forms (
         "required": true,
         "order": 0,
         "section": "basic",
-        "options": ["Vehicle", "Boat", "Motorcycle", "Apparel", "Accessory", "Furniture", "Aircraft", "Marine", "Medical", "Commercial"]
+        "options": ["Vehicle", "Boat", "Motorcycle", "Apparel", "Accessory", "Furniture", "Aircraft", "Marine", "Medical", "Commercial"],
+        "optionsSource": "categories"
       },
       {
         "id": "model",
@@ -123,11 +125,19 @@ INSERT INTO custom_forms (
   }',
   1,
   NULL,
+  1,
   'user_1767901348877_cej6dsh',
   datetime('now'),
   datetime('now')
 );
 
+-- Version 1 of the form: submissions, drafts and reports validate against
+-- custom_form_versions, not custom_forms.form_schema
+INSERT INTO custom_form_versions (id, form_id, version, form_schema, created_by, created_at)
+SELECT 'form_default_aar_v1', id, 1, form_schema, created_by, created_at
+FROM custom_forms
+WHERE id = 'form_default_aar';
+
 -- ============================================================================
 -- Verification:
 -- wrangler d1 execute cgiworkflo-db-production --command "SELECT id, name, is_active, created_by FROM custom_forms" --remote
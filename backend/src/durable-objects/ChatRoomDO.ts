@@ -11,6 +11,8 @@
  */
 
 import type { Env } from '../types/env';
+import { notifyChatMentions } from '../lib/mentions';
+import { recordChatAttachment } from '../lib/file-access';
 
 // WebSocket message types
 type WSMessageType = 'message' | 'typing' | 'presence' | 'read' | 'error' | 'ping' | 'pong' | 'connected' | 'participant_joined' | 'participant_left';
@@ -175,6 +177,9 @@ export class ChatRoomDO {
       // Notify all participants via their UserConnectionDO
       await this.notifyParticipants('message', broadcastPayload);
 
+      // Create in-app notifications for @mentioned users
+      await this.notifyMentions(userId, userName, content);
+
       console.log(`[ChatRoomDO] Message ${messageId} sent by ${userName} via UserConnectionDO`);
 
       return new Response('OK', { status: 200 });
@@ -380,6 +385,9 @@ export class ChatRoomDO {
       // Notify all participants via their UserConnectionDO (for users not in active WebSocket)
       await this.notifyParticipants('message', broadcastPayload);
 
+      // Create in-app notifications for @mentioned users
+      await this.notifyMentions(connection.userId, connection.userName, content);
+
       // Clear typing indicator for sender
       this.clearTypingIndicator(connection.userId);
 
@@ -575,12 +583,14 @@ export class ChatRoomDO {
 
     const metadataStr = data.metadata ? JSON.stringify(data.metadata) : null;
 
-    await this.env.DB.prepare(
-      `INSERT INTO messages (id, conversation_id, sender_id, content, message_type, metadata, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`
-    )
-      .bind(messageId, data.conversationId, data.senderId, data.content, data.messageType, metadataStr)
-      .run();
+    await this.env.DB.batch([
+      this.env.DB.prepare(
+        `INSERT INTO messages (id, conversation_id, sender_id, content, message_type, metadata, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`
+      ).bind(messageId, data.conversationId, data.senderId, data.content, data.messageType, metadataStr),
+      // Lets the conversation fetch the attached file (see lib/file-access)
+      ...recordChatAttachment(this.env.DB, { id: messageId, senderId: data.senderId, metadata: data.metadata }),
+    ]);
 
     // Update conversation's last_message_at
     await this.env.DB.prepare(
@@ -768,6 +778,23 @@ export class ChatRoomDO {
     }
   }
 
+  /**
+   * Create in-app notifications for users @mentioned in a message
+   * Failures are logged and never block message delivery.
+   */
+  private async notifyMentions(senderId: string, senderName: string, content: string): Promise<void> {
+    try {
+      await notifyChatMentions(this.env, {
+        conversationId: this.conversationId,
+        senderId,
+        senderName,
+        content,
+      });
+    } catch (error) {
+      console.error('[ChatRoomDO] Failed to create mention notifications:', error);
+    }
+  }
+
   /**
    * Notify a single participant via their UserConnectionDO
    * ADDED: Retry mechanism with exponential backoff and KV queue fallback
@@ -6,13 +6,14 @@
  * - Receives updates from ALL conversations the user is in
  * - Queues messages to KV when user is offline
  * - Broadcasts messages, typing indicators, presence, read receipts
+ * - Delivers in-app notifications (votes, comments, mentions)
  * - Survives DO hibernation via KV persistence
  */
 
 import type { Env } from '../types/env';
 
 // WebSocket message types
-type WSMessageType = 'message' | 'typing' | 'presence' | 'read' | 'ping' | 'pong' | 'connected' | 'error';
+type WSMessageType = 'message' | 'typing' | 'presence' | 'read' | 'ping' | 'pong' | 'connected' | 'error' | 'notification';
 
 interface WSMessage {
   type: WSMessageType;
@@ -230,13 +231,26 @@ export class UserConnectionDO {
   }
 
   /**
-   * Handle internal notifications from ChatRoomDO
+   * Handle internal notifications from ChatRoomDO and API routes
    */
   private async handleNotification(request: Request): Promise<Response> {
     try {
       const data = await request.json() as any;
       const { type, conversationId, payload } = data;
 
+      // In-app notifications are addressed to this user directly (not tied to a conversation)
+      if (type === 'notification') {
+        if (!this.userId && data.userId) {
+          this.userId = data.userId; // Needed for the offline queue key if never connected
+        }
+        await this.queueMessage({
+          type,
+          payload,
+          timestamp: new Date().toISOString(),
+        });
+        return new Response('OK', { status: 200 });
+      }
+
       // Check if user is in this conversation
       if (!this.userConversations.has(conversationId)) {
         return new Response('User not in conversation', { status: 403 });
@@ -13,8 +13,15 @@ import presenceRoutes from './routes/presence';
 import chatSyncRoutes from './routes/chat-sync';
 import uploadsRoutes from './routes/uploads';
 import filesRoutes from './routes/files';
+import fileAccessRoutes from './routes/file-access';
 import websocketRoutes from './routes/websocket';
 import aarRoutes from './routes/aars';
+import notificationRoutes from './routes/notifications';
+import analyticsRoutes from './routes/analytics';
+import visibilityRoutes from './routes/visibility';
+import brandingRoutes from './routes/branding';
+import { createReferenceListRoutes } from './routes/reference-lists';
+import { cleanupExpiredUploads } from './lib/upload-cleanup';
 
 const app = new Hono<{ Bindings: Env; Variables: Variables }>();
 
@@ -99,18 +106,30 @@ app.route('/api/ws', websocketRoutes);
 // File upload routes (protected)
 app.route('/api/uploads', uploadsRoutes);
 
-// File serving routes (public - serves uploaded files from R2)
+// File serving routes (file access token, or public where an admin allows it)
 app.route('/files', filesRoutes);
 
+// File access tokens and public file access settings (protected)
+app.route('/api/files', fileAccessRoutes);
+
 // AAR routes (protected)
 app.route('/api/aars', aarRoutes);
 
-// TODO: Register additional routes as they are implemented
-// import categoryRoutes from './routes/categories';
-// import analyticsRoutes from './routes/analytics';
+// Notification inbox routes (protected)
+app.route('/api/notifications', notificationRoutes);
+
+// Analytics routes (admin/manager only)
+app.route('/api/analytics', analyticsRoutes);
+
+// Franchise visibility policy (read: authenticated, update: admin)
+app.route('/api/visibility-policy', visibilityRoutes);
+
+// Branding (read: public, update: admin/manager)
+app.route('/api/branding', brandingRoutes);
 
-// app.route('/api/categories', categoryRoutes);
-// app.route('/api/analytics', analyticsRoutes);
+// Reference lists used as form options (read: authenticated, update: admin/manager)
+app.route('/api/categories', createReferenceListRoutes('categories', 'category'));
+app.route('/api/materials', createReferenceListRoutes('materials', 'material'));
 
 // ============================================================================
 // ERROR HANDLING
@@ -157,7 +176,18 @@ app.onError((err, c) => {
 // EXPORT
 // ============================================================================
 
-export default app;
+export default {
+  fetch: app.fetch,
+
+  // Cron triggers (wrangler.toml): hourly cleanup of abandoned uploads
+  async scheduled(_event: ScheduledController, env: Env, ctx: ExecutionContext) {
+    ctx.waitUntil(
+      cleanupExpiredUploads(env)
+        .then((count) => count > 0 && console.log(`Removed ${count} expired upload sessions`))
+        .catch((error) => console.error('Error removing expired upload sessions:', error))
+    );
+  },
+} satisfies ExportedHandler<Env>;
 
 // Export Durable Objects
 export { ChatRoomDO } from './durable-objects/ChatRoomDO';
@@ -0,0 +1,436 @@
+/**
+ * AAR Reports
+ * Renders an AAR as a printable PDF job report for customers or insurers:
+ * - a header in the company's branding (name, tagline, logo, primary color)
+ * - author, submission and edit dates
+ * - form values in the section and field order of the schema version the AAR
+ *   was submitted on, with measurements in the user's preferred units
+ *   (shared/units)
+ * - photos by file field, with their captions
+ *
+ * Served by ../routes/aar-reports.ts, one PDF per AAR or several in a ZIP.
+ */
+
+import { PAGE_HEIGHT, PAGE_WIDTH, PdfWriter, hexToRgb, type PdfImage, type RGB } from './pdf';
+import { convertToJpeg } from './image-pipeline';
+import type { AARPhotoRow } from './aar-storage';
+import type { FormSchema } from './validateAARSubmission';
+import { formatMeasurement, type UnitPreferences } from '../../../shared/units';
+import { formatDuration, getMaxRating } from '../../../shared/field-types';
+import { getInstancePath, getItemLabel, getSectionItems, isRepeatableSection } from '../../../shared/repeatable-sections';
+import type { Env } from '../types/env';
+
+/**
+ * An AAR row with its author and editor names, form_data parsed
+ */
+export type ReportAAR = {
+  id: string;
+  category: string | null;
+  material: string | null;
+  damage_type: string | null;
+  form_data: Record<string, any>;
+  user_name: string;
+  created_at: string;
+  edited_at: string | null;
+  edited_by_name: string | null;
+};
+
+export type ReportBranding = {
+  companyName: string | null;
+  tagline: string | null;
+  primaryColor: string | null;
+  logoUrl: string | null;
+};
+
+export type ReportOptions = {
+  branding: ReportBranding;
+  preferences: UnitPreferences;
+  timeZone: string; // IANA time zone the dates are printed in
+};
+
+type ReportField = FormSchema['fields'][number] & { order?: number };
+
+const DEFAULT_COMPANY_NAME = 'CGIWorkFlo';
+
+// Layout, in points
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const HEADER_HEIGHT = 72;
+const LABEL_WIDTH = 160;
+const LINE_HEIGHT = 13;
+const BOTTOM = PAGE_HEIGHT - 56; // Content stops above the footer
+const SIGNATURE_HEIGHT = 48;
+const PHOTO_GAP = 16;
+const PHOTO_WIDTH = (CONTENT_WIDTH - PHOTO_GAP) / 2;
+const PHOTO_HEIGHT = 190;
+
+const PHOTO_PIXELS = 1000; // Longest side of embedded photos
+
+const DEFAULT_PRIMARY: RGB = [0.23, 0.51, 0.96]; // #3b82f6, the default branding color
+const TEXT: RGB = [0.07, 0.09, 0.15];
+const MUTED: RGB = [0.42, 0.45, 0.5];
+const RULE: RGB = [0.82, 0.84, 0.86];
+const WHITE: RGB = [1, 1, 1];
+
+const isPresent = (part: unknown) => part !== undefined && part !== null && part !== '';
+
+/**
+ * A date stored by SQLite (UTC, "2026-01-31 14:05:00") or as ISO, in the given time zone
+ */
+export function formatReportDate(value: string | null | undefined, timeZone: string): string {
+  if (!value) return '';
+  const date = new Date(/(Z|[+-]\d\d:?\d\d)$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+  if (isNaN(date.getTime())) return value;
+  return date.toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short',
+  });
+}
+
+/**
+ * Name of the PDF of an AAR, e.g. aar-report-aar_1700000000000_k3j9x0a1b.pdf
+ */
+export function reportFilename(aarId: string): string {
+  return `aar-report-${aarId.replace(/[^A-Za-z0-9_-]/g, '')}.pdf`;
+}
+
+function formatPlain(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.map(formatPlain).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, v]) => formatPlain(v) !== '')
+      .map(([k, v]) => `${k}: ${formatPlain(v)}`)
+      .join(', ');
+  }
+  return String(value);
+}
+
+/**
+ * A submitted value as printed, by field type (like formatFieldValue on the
+ * frontend, with measurements converted to the preferred units)
+ */
+function formatValue(
+  field: { type: string; maxRating?: number } | undefined,
+  value: unknown,
+  preferences: UnitPreferences
+): string {
+  if (value === null || value === undefined || value === '') return '';
+  const entry = value as Record<string, any>;
+
+  switch (field?.type) {
+    case 'dualfield':
+      return (
+        formatMeasurement(entry.value, entry.unit, preferences) ??
+        [entry.value, entry.unit && `(${entry.unit})`].filter(Boolean).join(' ')
+      );
+
+    case 'triplefield': {
+      const amount =
+        formatMeasurement(entry.amount, entry.unit, preferences) ??
+        [entry.amount, entry.unit].filter(isPresent).join(' ');
+      return [amount, entry.value].filter(isPresent).join(' ');
+    }
+
+    case 'multidualfield':
+    case 'multitriplefield':
+      return Array.isArray(value)
+        ? value
+            .map((item) => formatValue({ type: field.type.replace('multi', '') }, item, preferences))
+            .filter(Boolean)
+            .join(', ')
+        : '';
+
+    case 'location':
+      return typeof entry.latitude === 'number' && typeof entry.longitude === 'number'
+        ? [
+            `${entry.latitude.toFixed(5)}, ${entry.longitude.toFixed(5)}`,
+            entry.accuracy !== undefined && `(±${entry.accuracy} m)`,
+          ]
+            .filter(Boolean)
+            .join(' ')
+        : '';
+
+    case 'rating':
+      return Number.isInteger(value) && (value as number) >= 0 ? `${value}/${getMaxRating(field)}` : formatPlain(value);
+
+    case 'timer':
+      return typeof value === 'number' ? formatDuration(value) : formatPlain(value);
+
+    default:
+      return formatPlain(value);
+  }
+}
+
+/**
+ * Load an image from R2 and embed it as a JPEG (converted through the IMAGES
+ * binding; without it, only JPEGs can be embedded)
+ * @returns null if the image is missing or cannot be embedded
+ */
+async function embedImage(env: Env, pdf: PdfWriter, key: string): Promise<PdfImage | null> {
+  try {
+    const object = await env.PHOTOS.get(key);
+    if (!object) return null;
+    const bytes = await object.arrayBuffer();
+    const jpeg = (await convertToJpeg(env, bytes, PHOTO_PIXELS)) ?? bytes;
+    return pdf.addJpeg(new Uint8Array(jpeg));
+  } catch (error) {
+    console.error(`Error embedding ${key} in report:`, error);
+    return null;
+  }
+}
+
+/**
+ * R2 key of an uploaded branding logo (null for external URLs)
+ */
+function logoKey(logoUrl: string | null): string | null {
+  const index = logoUrl?.indexOf('/files/branding/') ?? -1;
+  return index === -1 ? null : logoUrl!.slice(index + '/files/'.length).split('?')[0];
+}
+
+/**
+ * Fit an image into a box, keeping its aspect ratio
+ */
+function fit(image: PdfImage, maxWidth: number, maxHeight: number): { width: number; height: number } {
+  const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1);
+  return { width: image.width * scale, height: image.height * scale };
+}
+
+/**
+ * Render an AAR report
+ * @param schema - Schema version the AAR was submitted on (null if unavailable:
+ *   values are then listed under "Details")
+ * @param photos - The AAR's photos by field path (see loadAARPhotos)
+ */
+export async function renderAARReport(
+  env: Env,
+  aar: ReportAAR,
+  schema: FormSchema | null,
+  photos: Record<string, AARPhotoRow[]>,
+  { branding, preferences, timeZone }: ReportOptions
+): Promise<Uint8Array> {
+  const pdf = new PdfWriter();
+  const primary = hexToRgb(branding.primaryColor, DEFAULT_PRIMARY);
+  const companyName = branding.companyName || DEFAULT_COMPANY_NAME;
+  const values = aar.form_data || {};
+  const fields = (schema?.fields || []) as ReportField[];
+  const byOrder = (a: { order?: number }, b: { order?: number }) => (a.order ?? 0) - (b.order ?? 0);
+  let y = MARGIN;
+
+  const ensureSpace = (height: number) => {
+    if (y + height <= BOTTOM) return;
+    pdf.addPage();
+    y = MARGIN;
+  };
+
+  const heading = (text: string) => {
+    ensureSpace(48);
+    y += 12;
+    pdf.text(MARGIN, y + 12, text, { size: 12, bold: true, color: primary });
+    y += 18;
+    pdf.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, RULE);
+    y += 8;
+  };
+
+  const subheading = (text: string) => {
+    ensureSpace(36);
+    pdf.text(MARGIN, y + 10, text, { size: 10, bold: true, color: TEXT });
+    y += LINE_HEIGHT + 4;
+  };
+
+  // Label on the left, value wrapped on the right (long values continue on the next page)
+  const row = (label: string, value: string) => {
+    const labelLines = pdf.wrap(label, 9, LABEL_WIDTH - 12, true);
+    const valueLines = pdf.wrap(value, 10, CONTENT_WIDTH - LABEL_WIDTH);
+    ensureSpace(Math.max(labelLines.length, Math.min(valueLines.length, 3)) * LINE_HEIGHT);
+    const page = pdf.pageCount;
+    const top = y;
+    labelLines.forEach((line, index) =>
+      pdf.text(MARGIN, top + 9 + index * LINE_HEIGHT, line, { size: 9, bold: true, color: MUTED })
+    );
+    for (const line of valueLines) {
+      ensureSpace(LINE_HEIGHT);
+      pdf.text(MARGIN + LABEL_WIDTH, y + 10, line, { size: 10, color: TEXT });
+      y += LINE_HEIGHT;
+    }
+    if (pdf.pageCount === page) y = Math.max(y, top + labelLines.length * LINE_HEIGHT);
+    y += 4;
+  };
+
+  const imageRow = async (label: string, key: string) => {
+    const image = await embedImage(env, pdf, key);
+    if (!image) return;
+    const size = fit(image, CONTENT_WIDTH - LABEL_WIDTH, SIGNATURE_HEIGHT);
+    ensureSpace(size.height + 4);
+    pdf.text(MARGIN, y + 9, label, { size: 9, bold: true, color: MUTED });
+    pdf.image(image, MARGIN + LABEL_WIDTH, y, size.width, size.height);
+    y += size.height + 8;
+  };
+
+  // Header band
+  const logoR2Key = logoKey(branding.logoUrl);
+  const logo = logoR2Key ? await embedImage(env, pdf, logoR2Key) : null;
+  pdf.rect(0, 0, PAGE_WIDTH, HEADER_HEIGHT, primary);
+  let titleX = MARGIN;
+  if (logo) {
+    const size = fit(logo, 140, 40);
+    const top = (HEADER_HEIGHT - size.height) / 2;
+    pdf.rect(MARGIN - 4, top - 4, size.width + 8, size.height + 8, WHITE);
+    pdf.image(logo, MARGIN, top, size.width, size.height);
+    titleX += size.width + 20;
+  }
+  pdf.text(titleX, branding.tagline ? 34 : 42, companyName, { size: 18, bold: true, color: WHITE });
+  if (branding.tagline) pdf.text(titleX, 52, branding.tagline, { size: 10, color: WHITE });
+  y = HEADER_HEIGHT + 28;
+
+  // Title and job details
+  pdf.text(MARGIN, y + 16, 'Job Report', { size: 20, bold: true, color: TEXT });
+  y += 26;
+  const subtitle = [aar.category, aar.material, aar.damage_type].filter(Boolean).join(' · ');
+  if (subtitle) {
+    pdf.text(MARGIN, y + 11, subtitle, { size: 11, color: MUTED });
+    y += 18;
+  }
+  y += 8;
+  row('Report ID', aar.id);
+  row('Author', aar.user_name);
+  row('Submitted', formatReportDate(aar.created_at, timeZone));
+  if (aar.edited_at) {
+    const editor = aar.edited_by_name ? ` by ${aar.edited_by_name}` : '';
+    row('Last edited', `${formatReportDate(aar.edited_at, timeZone)}${editor}`);
+  }
+
+  // Form values, by section (repeatable sections once per entry)
+  const photoUrls: Record<string, string[]> = values._photoUrls || {};
+  type PathFor = (field: ReportField) => string;
+  const printRows = async (sectionFields: ReportField[], sectionValues: Record<string, any>, pathFor: PathFor) => {
+    for (const field of sectionFields) {
+      if (field.type === 'signature') {
+        const key = photoUrls[pathFor(field)]?.[0];
+        if (key) await imageRow(field.label, key);
+        continue;
+      }
+      const value = formatValue(field, sectionValues[field.id], preferences);
+      if (value !== '') row(field.label, value);
+    }
+  };
+  const hasValues = (sectionFields: ReportField[], sectionValues: Record<string, any>, pathFor: PathFor) =>
+    sectionFields.some((field) =>
+      field.type === 'signature'
+        ? Boolean(photoUrls[pathFor(field)]?.length)
+        : formatValue(field, sectionValues[field.id], preferences) !== ''
+    );
+
+  for (const section of [...(schema?.sections || [])].sort(byOrder)) {
+    const sectionFields = fields.filter((field) => field.section === section.id && field.type !== 'file').sort(byOrder);
+
+    if (!isRepeatableSection(section)) {
+      if (!hasValues(sectionFields, values, (field) => field.id)) continue;
+      heading(section.name || section.id);
+      await printRows(sectionFields, values, (field) => field.id);
+      continue;
+    }
+
+    const items = getSectionItems(values, section.id) as Record<string, any>[];
+    const pathIn = (index: number) => (field: ReportField) => getInstancePath(section.id, index, field.id);
+    const filled = items
+      .map((item, index) => ({ item: item || {}, index }))
+      .filter(({ item, index }) => hasValues(sectionFields, item, pathIn(index)));
+    if (filled.length === 0) continue;
+    heading(section.name || section.id);
+    for (const { item, index } of filled) {
+      subheading(getItemLabel(section, index));
+      await printRows(sectionFields, item, pathIn(index));
+    }
+  }
+
+  // Values without a field in the schema
+  const knownIds = new Set([
+    ...fields.map((field) => field.id),
+    ...(schema?.sections || []).filter(isRepeatableSection).map((section) => section.id),
+  ]);
+  const otherIds = Object.keys(values).filter(
+    (fieldId) => !fieldId.startsWith('_') && !knownIds.has(fieldId) && formatPlain(values[fieldId]) !== ''
+  );
+  if (otherIds.length > 0) {
+    heading(schema ? 'Other' : 'Details');
+    for (const fieldId of otherIds) row(fieldId, formatPlain(values[fieldId]));
+  }
+
+  // Photos of the file fields, in schema order, two per row
+  const fileFields = fields.filter((field) => field.type === 'file').sort(byOrder);
+  const photoGroups: { label: string; photos: AARPhotoRow[] }[] = [];
+  for (const field of fileFields) {
+    const section = schema?.sections?.find((s) => s.id === field.section);
+    if (isRepeatableSection(section)) {
+      getSectionItems(values, section!.id).forEach((_, index) =>
+        photoGroups.push({
+          label: `${field.label} (${getItemLabel(section!, index)})`,
+          photos: photos[getInstancePath(section!.id, index, field.id)] || [],
+        })
+      );
+    } else {
+      photoGroups.push({ label: field.label, photos: photos[field.id] || [] });
+    }
+  }
+  if (photoGroups.some((group) => group.photos.length > 0)) {
+    heading('Photos');
+    for (const group of photoGroups.filter((g) => g.photos.length > 0)) {
+      subheading(group.label);
+      const files = group.photos.filter((photo) => !photo.mime_type?.startsWith('image/'));
+      const images = group.photos.filter((photo) => photo.mime_type?.startsWith('image/'));
+
+      for (let index = 0; index < images.length; index += 2) {
+        const cells = await Promise.all(
+          images.slice(index, index + 2).map(async (photo) => ({
+            photo,
+            image: await embedImage(env, pdf, photo.medium_r2_key || photo.r2_key),
+          }))
+        );
+        const captionLines = cells.map(({ photo }) =>
+          photo.caption ? pdf.wrap(photo.caption, 8, PHOTO_WIDTH).slice(0, 3) : []
+        );
+        const height = PHOTO_HEIGHT + Math.max(...captionLines.map((lines) => lines.length)) * 10 + 12;
+        ensureSpace(height);
+
+        cells.forEach(({ photo, image }, column) => {
+          const x = MARGIN + column * (PHOTO_WIDTH + PHOTO_GAP);
+          if (image) {
+            const size = fit(image, PHOTO_WIDTH, PHOTO_HEIGHT);
+            const left = x + (PHOTO_WIDTH - size.width) / 2;
+            pdf.image(image, left, y + (PHOTO_HEIGHT - size.height) / 2, size.width, size.height);
+          } else {
+            // Not embeddable here (e.g. no IMAGES binding for a WebP photo)
+            pdf.rect(x, y, PHOTO_WIDTH, PHOTO_HEIGHT, [0.95, 0.96, 0.97]);
+            pdf.text(x + 8, y + PHOTO_HEIGHT / 2, photo.filename, { size: 8, color: MUTED });
+          }
+          captionLines[column].forEach((line, lineIndex) =>
+            pdf.text(x, y + PHOTO_HEIGHT + 12 + lineIndex * 10, line, { size: 8, color: MUTED })
+          );
+        });
+        y += height;
+      }
+
+      for (const file of files) row('File', file.filename);
+    }
+  }
+
+  // Footer on every page
+  const generated = `Generated ${formatReportDate(new Date().toISOString(), timeZone)}`;
+  for (let page = 0; page < pdf.pageCount; page++) {
+    pdf.usePage(page);
+    const pageLabel = `Page ${page + 1} of ${pdf.pageCount}`;
+    pdf.line(MARGIN, PAGE_HEIGHT - 40, MARGIN + CONTENT_WIDTH, PAGE_HEIGHT - 40, RULE);
+    pdf.text(MARGIN, PAGE_HEIGHT - 28, `${companyName} · ${generated}`, { size: 8, color: MUTED });
+    const pageLabelX = MARGIN + CONTENT_WIDTH - pdf.measure(pageLabel, 8);
+    pdf.text(pageLabelX, PAGE_HEIGHT - 28, pageLabel, { size: 8, color: MUTED });
+  }
+
+  return pdf.toBytes();
+}
@@ -0,0 +1,321 @@
+/**
+ * AAR Storage Utilities
+ * Creating AAR rows and storing their photos (R2 + photos table). Shared by
+ * direct submissions (POST /api/aars) and finalized drafts
+ * (POST /api/aars/drafts/:id/finalize). Direct submissions can also attach
+ * files uploaded beforehand through upload sessions (../routes/upload-sessions.ts).
+ * Photos go through the image pipeline (./image-pipeline.ts) before they are stored.
+ * Photos of submitted AARs are managed by ../routes/aar-photos.ts.
+ */
+
+import { extractCommonFields } from './validateAARSubmission';
+import { processImage } from './image-pipeline';
+import type { Env } from '../types/env';
+
+/**
+ * Photos of a submission by field path, as passed to validateAARSubmission
+ */
+export type PhotoMetadata = Record<string, { filename: string; size: number; type: string }[]>;
+
+/**
+ * Generate a record ID (e.g. aar_1700000000000_k3j9x0a1b)
+ */
+export function generateId(prefix: string): string {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * R2 key for an uploaded file: <prefix>/<fieldId>/<timestamp>-<random>.<ext>
+ * @param prefix - Owner of the file, e.g. aars/<userId>/<aarId>
+ */
+export function photoKey(prefix: string, fieldId: string, filename: string): string {
+  const ext = filename.split('.').pop() || 'jpg';
+  const random = Math.random().toString(36).substr(2, 9);
+  return `${prefix}/${fieldId}/${Date.now()}-${random}.${ext}`;
+}
+
+/**
+ * A completed upload session, ready to become a photo of an AAR
+ */
+export type CompletedUpload = {
+  id: string;
+  r2Key: string;
+  filename: string;
+  mimeType: string;
+  size: number;
+  width: number | null;
+  height: number | null;
+  thumbnailKey: string | null;
+  mediumKey: string | null;
+};
+
+/**
+ * Record a photo of an AAR that is already in R2
+ * @param photo - width/height and the rendition keys are set for processed images
+ */
+export async function recordAARPhoto(
+  db: D1Database,
+  photo: {
+    aarId: string;
+    fieldId: string;
+    r2Key: string;
+    filename: string;
+    mimeType: string;
+    size: number;
+    displayOrder: number;
+    width?: number | null;
+    height?: number | null;
+    thumbnailKey?: string | null;
+    mediumKey?: string | null;
+  }
+): Promise<void> {
+  await db
+    .prepare(
+      `INSERT INTO photos (id, aar_id, field_id, type, r2_key, filename, mime_type, size, display_order,
+         width, height, thumbnail_r2_key, medium_r2_key, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`
+    )
+    .bind(
+      generateId('photo'),
+      photo.aarId,
+      photo.fieldId,
+      photo.fieldId.includes('before') ? 'before' : 'after', // Legacy type field
+      photo.r2Key,
+      photo.filename,
+      photo.mimeType,
+      photo.size,
+      photo.displayOrder,
+      photo.width ?? null,
+      photo.height ?? null,
+      photo.thumbnailKey ?? null,
+      photo.mediumKey ?? null
+    )
+    .run();
+}
+
+/**
+ * Process a photo of an AAR, upload it to R2 and record it in the photos table
+ * @returns The photo's R2 key
+ */
+export async function storeAARPhoto(
+  env: Env,
+  photo: {
+    aarId: string;
+    userId: string;
+    fieldId: string;
+    body: ArrayBuffer;
+    filename: string;
+    mimeType: string;
+    size: number;
+    displayOrder: number;
+  }
+): Promise<string> {
+  const r2Key = photoKey(`aars/${photo.userId}/${photo.aarId}`, photo.fieldId, photo.filename);
+
+  const processed = await processImage(env, { r2Key, body: photo.body, mimeType: photo.mimeType });
+  const body = processed?.original ?? photo.body;
+
+  await env.PHOTOS.put(r2Key, body, {
+    httpMetadata: {
+      contentType: photo.mimeType,
+    },
+  });
+
+  await recordAARPhoto(env.DB, {
+    ...photo,
+    r2Key,
+    size: body.byteLength,
+    width: processed?.width,
+    height: processed?.height,
+    thumbnailKey: processed?.thumbnailKey,
+    mediumKey: processed?.mediumKey,
+  });
+
+  return r2Key;
+}
+
+/**
+ * A row of the photos table
+ */
+export type AARPhotoRow = {
+  id: string;
+  aar_id: string;
+  field_id: string;
+  type: 'before' | 'after';
+  r2_key: string;
+  filename: string;
+  mime_type: string;
+  size: number;
+  display_order: number;
+  width: number | null;
+  height: number | null;
+  thumbnail_r2_key: string | null;
+  medium_r2_key: string | null;
+  caption: string | null;
+  paired_photo_id: string | null;
+  created_at: string;
+};
+
+/**
+ * Load an AAR's photos, grouped by field path in display order
+ */
+export async function loadAARPhotos(db: D1Database, aarId: string): Promise<Record<string, AARPhotoRow[]>> {
+  const result = await db
+    .prepare(
+      `SELECT id, aar_id, field_id, type, r2_key, filename, mime_type, size, display_order, width, height,
+              thumbnail_r2_key, medium_r2_key, caption, paired_photo_id, created_at
+       FROM photos
+       WHERE aar_id = ?
+       ORDER BY field_id, display_order`
+    )
+    .bind(aarId)
+    .all<AARPhotoRow>();
+
+  const photosByField: Record<string, AARPhotoRow[]> = {};
+  for (const photo of result.results || []) {
+    (photosByField[photo.field_id] ||= []).push(photo);
+  }
+  return photosByField;
+}
+
+/**
+ * Rewrite an AAR's form_data._photoUrls from its photos (after they changed)
+ */
+export async function syncPhotoUrls(db: D1Database, aarId: string): Promise<void> {
+  const photosByField = await loadAARPhotos(db, aarId);
+  const photoUrls = Object.fromEntries(
+    Object.entries(photosByField).map(([fieldId, photos]) => [fieldId, photos.map((photo) => photo.r2_key)])
+  );
+
+  await db
+    .prepare(
+      `UPDATE aars SET form_data = json_set(form_data, '$._photoUrls', json(?)), updated_at = datetime('now')
+       WHERE id = ?`
+    )
+    .bind(JSON.stringify(photoUrls), aarId)
+    .run();
+}
+
+/**
+ * Delete photos' files (originals and renditions) from R2
+ */
+export async function deletePhotoFiles(
+  env: Env,
+  photos: Pick<AARPhotoRow, 'r2_key' | 'thumbnail_r2_key' | 'medium_r2_key'>[]
+): Promise<void> {
+  const keys = photos.flatMap((photo) => [photo.r2_key, photo.thumbnail_r2_key, photo.medium_r2_key]);
+  const existing = keys.filter((key): key is string => Boolean(key));
+  if (existing.length > 0) {
+    await env.PHOTOS.delete(existing);
+  }
+}
+
+/**
+ * Load the user's completed upload sessions referenced by a submission
+ * @param uploads - Session IDs by field path
+ * @returns The sessions by field path, or null if one is unknown, unfinished, expired or used twice
+ */
+export async function loadCompletedUploads(
+  db: D1Database,
+  userId: string,
+  uploads: Record<string, string[]>
+): Promise<Record<string, CompletedUpload[]> | null> {
+  const ids = Object.values(uploads).flat();
+  if (ids.length === 0) return {};
+  if (new Set(ids).size !== ids.length) return null;
+
+  const result = await db
+    .prepare(
+      `SELECT id, r2_key, filename, mime_type, size, width, height, thumbnail_r2_key, medium_r2_key
+       FROM upload_sessions
+       WHERE user_id = ? AND status = 'complete' AND expires_at > strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+         AND id IN (${ids.map(() => '?').join(', ')})`
+    )
+    .bind(userId, ...ids)
+    .all<{
+      id: string;
+      r2_key: string;
+      filename: string;
+      mime_type: string;
+      size: number;
+      width: number | null;
+      height: number | null;
+      thumbnail_r2_key: string | null;
+      medium_r2_key: string | null;
+    }>();
+
+  const byId = new Map((result.results || []).map((row) => [row.id, row]));
+  if (byId.size !== ids.length) return null;
+
+  return Object.fromEntries(
+    Object.entries(uploads).map(([fieldId, sessionIds]) => [
+      fieldId,
+      sessionIds.map((id) => {
+        const row = byId.get(id)!;
+        return {
+          id,
+          r2Key: row.r2_key,
+          filename: row.filename,
+          mimeType: row.mime_type,
+          size: row.size,
+          width: row.width,
+          height: row.height,
+          thumbnailKey: row.thumbnail_r2_key,
+          mediumKey: row.medium_r2_key,
+        };
+      }),
+    ])
+  );
+}
+
+/**
+ * Delete upload sessions whose files now belong to an AAR (the R2 objects stay)
+ */
+export async function releaseUploads(db: D1Database, sessionIds: string[]): Promise<void> {
+  if (sessionIds.length === 0) return;
+  const placeholders = sessionIds.map(() => '?').join(', ');
+  await db.batch([
+    db.prepare(`DELETE FROM upload_session_parts WHERE session_id IN (${placeholders})`).bind(...sessionIds),
+    db.prepare(`DELETE FROM upload_sessions WHERE id IN (${placeholders})`).bind(...sessionIds),
+  ]);
+}
+
+/**
+ * Insert a validated AAR
+ * @param photoUrls - R2 keys of the AAR's photos by field path (stored in form_data._photoUrls)
+ * @returns The created row with parsed form_data
+ */
+export async function insertAAR(
+  db: D1Database,
+  aar: {
+    aarId: string;
+    userId: string;
+    formId: string;
+    formVersion: string;
+    formData: Record<string, any>;
+    photoUrls: Record<string, string[]>;
+  }
+): Promise<Record<string, unknown> | null> {
+  // Extract common fields for indexing
+  const commonFields = extractCommonFields(aar.formData);
+
+  await db
+    .prepare(
+      `INSERT INTO aars (id, user_id, category, material, damage_type, form_id, form_version, form_data, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`
+    )
+    .bind(
+      aar.aarId,
+      aar.userId,
+      commonFields.category,
+      commonFields.material,
+      commonFields.damage_type,
+      aar.formId,
+      aar.formVersion,
+      JSON.stringify({ ...aar.formData, _photoUrls: aar.photoUrls })
+    )
+    .run();
+
+  const created = await db.prepare('SELECT * FROM aars WHERE id = ?').bind(aar.aarId).first();
+  return created ? { ...created, form_data: JSON.parse(created.form_data as string) } : null;
+}
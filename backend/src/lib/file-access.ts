@@ -0,0 +1,296 @@
+/**
+ * File Access Utilities
+ * Who may fetch a stored file through /files/:key
+ *
+ * Files are fetched by <img> tags and links, which cannot send the
+ * Authorization header, so the client appends a file access token
+ * (?access=...) from GET /api/files/access-token. The token is signed with a
+ * secret derived from JWT_SECRET so it cannot be used as an API token, and it
+ * expires after FILE_TOKEN_TTL.
+ *
+ * Access follows the key prefix:
+ * - aars/<userId>/<aarId>/...   - users who can see the AAR (visibility policy)
+ * - uploads/<userId>/...        - the uploader, or users who can see the AAR it
+ *                                 was attached to
+ * - drafts/<userId>/...         - the draft's owner
+ * - chat-uploads/<userId>/...   - the uploader, or users who can read a
+ *                                 conversation the uploader sent it in
+ *                                 (message_attachments)
+ * - branding/...                - everyone (logos are shown before login)
+ * Renditions share the key prefix of their original.
+ *
+ * Admins can serve AAR photos or chat attachments without a token again
+ * (public_file_access table, cached in KV) so links shared before files
+ * were protected keep working.
+ */
+
+import { SignJWT, jwtVerify } from 'jose';
+import {
+  DEFAULT_VISIBILITY_POLICY,
+  getVisibilityPolicy,
+  resolveVisibility,
+  visibilityCondition,
+  type VisibilityPolicy,
+} from './visibility';
+import type { Env, Variables } from '../types/env';
+
+type AuthUser = NonNullable<Variables['user']>;
+
+export const PUBLIC_FILE_CATEGORIES = ['aar_photos', 'chat_attachments'] as const;
+
+export type PublicFileCategory = (typeof PUBLIC_FILE_CATEGORIES)[number];
+export type PublicFileAccess = Record<PublicFileCategory, boolean>;
+
+/**
+ * Defaults: files are private (must stay in sync with migration 0013)
+ */
+export const DEFAULT_PUBLIC_FILE_ACCESS: PublicFileAccess = {
+  aar_photos: false,
+  chat_attachments: false,
+};
+
+const FILE_TOKEN_TTL = 24 * 60 * 60; // 24 hours, in seconds
+const FILE_TOKEN_PURPOSE = 'files';
+
+const PUBLIC_ACCESS_CACHE_KEY = 'public_file_access';
+const PUBLIC_ACCESS_CACHE_TTL = 300; // 5 minutes
+
+function fileTokenSecret(jwtSecret: string): Uint8Array {
+  return new TextEncoder().encode(`${jwtSecret}:${FILE_TOKEN_PURPOSE}`);
+}
+
+/**
+ * Issue a file access token for a user
+ * @returns The token and when it expires (ISO timestamp)
+ */
+export async function createFileAccessToken(
+  user: AuthUser,
+  jwtSecret: string
+): Promise<{ token: string; expiresAt: string }> {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + FILE_TOKEN_TTL;
+
+  const token = await new SignJWT({
+    id: user.id,
+    role: user.role,
+    franchiseId: user.franchiseId,
+    purpose: FILE_TOKEN_PURPOSE,
+  })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuedAt(issuedAt)
+    .setExpirationTime(expiresAt)
+    .sign(fileTokenSecret(jwtSecret));
+
+  return { token, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+/**
+ * Verify a file access token
+ * @returns The user it was issued to, or null if it is invalid or expired
+ */
+export async function verifyFileAccessToken(token: string, jwtSecret: string): Promise<AuthUser | null> {
+  try {
+    const { payload } = await jwtVerify(token, fileTokenSecret(jwtSecret));
+    if (payload.purpose !== FILE_TOKEN_PURPOSE || typeof payload.id !== 'string') {
+      return null;
+    }
+    return {
+      id: payload.id,
+      email: '',
+      role: payload.role as AuthUser['role'],
+      franchiseId: payload.franchiseId as string | undefined,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Category of a file for the public access switches
+ * @returns 'public' for files that are always public, null for files that
+ *   are never served without a token
+ */
+export function getFileCategory(key: string): PublicFileCategory | 'public' | null {
+  if (key.startsWith('branding/')) return 'public';
+  if (key.startsWith('aars/') || key.startsWith('uploads/')) return 'aar_photos';
+  if (key.startsWith('chat-uploads/')) return 'chat_attachments';
+  return null;
+}
+
+/**
+ * Load the public access switches (KV cache, falling back to D1)
+ */
+export async function getPublicFileAccess(env: Env): Promise<PublicFileAccess> {
+  const cached = (await env.CACHE.get(PUBLIC_ACCESS_CACHE_KEY, 'json')) as PublicFileAccess | null;
+  if (cached) {
+    return { ...DEFAULT_PUBLIC_FILE_ACCESS, ...cached };
+  }
+
+  const result = await env.DB.prepare('SELECT category, enabled FROM public_file_access').all();
+
+  const access: PublicFileAccess = { ...DEFAULT_PUBLIC_FILE_ACCESS };
+  for (const row of result.results || []) {
+    const category = row.category as PublicFileCategory;
+    if (PUBLIC_FILE_CATEGORIES.includes(category)) {
+      access[category] = row.enabled === 1;
+    }
+  }
+
+  await env.CACHE.put(PUBLIC_ACCESS_CACHE_KEY, JSON.stringify(access), {
+    expirationTtl: PUBLIC_ACCESS_CACHE_TTL,
+  });
+
+  return access;
+}
+
+/**
+ * Save public access changes and invalidate the cache
+ */
+export async function savePublicFileAccess(
+  env: Env,
+  changes: Partial<PublicFileAccess>,
+  updatedBy: string
+): Promise<PublicFileAccess> {
+  const statements = Object.entries(changes).map(([category, enabled]) =>
+    env.DB.prepare(
+      `INSERT INTO public_file_access (category, enabled, updated_by, updated_at)
+       VALUES (?, ?, ?, strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+       ON CONFLICT(category) DO UPDATE SET
+         enabled = excluded.enabled,
+         updated_by = excluded.updated_by,
+         updated_at = excluded.updated_at`
+    ).bind(category, enabled ? 1 : 0, updatedBy)
+  );
+
+  if (statements.length > 0) {
+    await env.DB.batch(statements);
+  }
+  await env.CACHE.delete(PUBLIC_ACCESS_CACHE_KEY);
+
+  return getPublicFileAccess(env);
+}
+
+/**
+ * Effective scopes for the user of a file token (the policy as the
+ * authenticate middleware would resolve it)
+ */
+async function loadVisibility(env: Env, user: AuthUser): Promise<VisibilityPolicy> {
+  try {
+    return resolveVisibility(user, await getVisibilityPolicy(env));
+  } catch (error) {
+    console.error('Error loading visibility policy:', error);
+    return resolveVisibility(user, DEFAULT_VISIBILITY_POLICY);
+  }
+}
+
+async function canSeeAAR(env: Env, user: AuthUser, aarId: string): Promise<boolean> {
+  const visibility = await loadVisibility(env, user);
+  const visible = visibilityCondition(visibility.aars, user, 'user_id');
+  const aar = await env.DB.prepare(`SELECT id FROM aars WHERE id = ? AND deleted_at IS NULL AND ${visible.sql}`)
+    .bind(aarId, ...visible.bindings)
+    .first();
+  return aar !== null;
+}
+
+/**
+ * R2 key of the file a chat message is sent with, if it is one of the
+ * sender's own chat uploads
+ * @param metadata - message metadata ({ url, ... }), as an object or JSON
+ */
+function chatAttachmentKey(metadata: unknown, senderId: string): string | null {
+  let value = metadata;
+  // WebSocket messages carry the metadata as a JSON string inside the payload
+  for (let depth = 0; typeof value === 'string' && depth < 2; depth++) {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  const url = (value as { url?: unknown } | null)?.url;
+  if (typeof url !== 'string') return null;
+
+  const start = url.indexOf('/files/');
+  const key = start === -1 ? '' : url.slice(start + '/files/'.length);
+  return key.startsWith(`chat-uploads/${senderId}/`) ? key : null;
+}
+
+/**
+ * Statements recording a chat message's attachment, so the file can be
+ * served to the conversation (run them in the batch that saves the message)
+ */
+export function recordChatAttachment(
+  db: D1Database,
+  message: { id: string; senderId: string; metadata: unknown }
+): D1PreparedStatement[] {
+  const key = chatAttachmentKey(message.metadata, message.senderId);
+  if (!key) return [];
+
+  return [
+    db
+      .prepare('INSERT OR IGNORE INTO message_attachments (r2_key, message_id) VALUES (?, ?)')
+      .bind(key, message.id),
+  ];
+}
+
+/**
+ * Whether a chat attachment was sent in a conversation the user can read
+ */
+async function canSeeChatAttachment(env: Env, user: AuthUser, key: string): Promise<boolean> {
+  const visibility = await loadVisibility(env, user);
+  const message = await env.DB.prepare(
+    `SELECT m.id
+     FROM message_attachments ma
+     JOIN messages m ON m.id = ma.message_id
+     JOIN conversations c ON c.id = m.conversation_id AND c.deleted_at IS NULL
+     WHERE ma.r2_key = ?
+       AND m.deleted_at IS NULL
+       AND (
+         (c.type = 'open' AND ? = 'all')
+         OR EXISTS (
+           SELECT 1 FROM conversation_participants cp
+           WHERE cp.conversation_id = c.id AND cp.user_id = ? AND cp.left_at IS NULL
+         )
+       )
+     LIMIT 1`
+  )
+    .bind(key, visibility.conversations, user.id)
+    .first();
+  return message !== null;
+}
+
+/**
+ * Whether a user may fetch a stored file
+ * @param key - R2 key of the file (an original or a rendition)
+ */
+export async function canAccessFile(env: Env, user: AuthUser, key: string): Promise<boolean> {
+  const [prefix, ownerId, scopeId] = key.split('/');
+
+  switch (prefix) {
+    case 'branding':
+      return true;
+
+    case 'aars':
+      return Boolean(scopeId) && (ownerId === user.id || canSeeAAR(env, user, scopeId));
+
+    case 'uploads': {
+      if (ownerId === user.id) return true;
+      const photo = await env.DB.prepare(
+        'SELECT aar_id FROM photos WHERE r2_key = ? OR thumbnail_r2_key = ? OR medium_r2_key = ?'
+      )
+        .bind(key, key, key)
+        .first<{ aar_id: string }>();
+      return photo !== null && canSeeAAR(env, user, photo.aar_id);
+    }
+
+    case 'drafts':
+      return ownerId === user.id;
+
+    case 'chat-uploads':
+      return ownerId === user.id || canSeeChatAttachment(env, user, key);
+
+    default:
+      return false;
+  }
+}
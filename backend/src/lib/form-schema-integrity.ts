@@ -0,0 +1,631 @@
+/**
+ * Form Schema Integrity Checks
+ * Rules for custom form schemas that the Zod shape validation cannot express:
+ * - Field and section IDs are unique
+ * - Every field belongs to an existing section
+ * - Repeatable sections have a valid minItems/maxItems range, and fields
+ *   outside a repeatable section do not depend on fields inside it (an
+ *   instance field has one value per instance)
+ * - Conditions (at any nesting depth) reference existing fields, with an
+ *   operator that suits the referenced field's type and a value of the right
+ *   kind; condition groups are not empty. This covers the conditions of
+ *   requiredWhen and optionRules as well.
+ * - Conditional logic and computed values have no circular dependencies
+ * - Option rules only narrow a select's own options
+ * - A timer feeds an existing, editable number field
+ * - Computed expressions parse and reference existing fields
+ * - min/max, minLength and minDate/maxDate ranges are valid
+ *
+ * Mirrors detectCircularDependencies / validateFieldConditions in
+ * src/utils/conditionalFields.js so the API rejects what the builder warns about.
+ */
+
+import {
+  getAllConditions,
+  getOperatorValueKind,
+  isConditionGroup,
+  type Condition,
+  type ConditionNode,
+} from '../../../shared/conditions';
+import {
+  COMPUTED_FIELD_TYPES,
+  OPTION_RULE_FIELD_TYPES,
+  getExpressionError,
+  getExpressionFieldIds,
+  type RuleField,
+} from '../../../shared/form-rules';
+import { getRepeatableSectionIds, type SectionDefinition } from '../../../shared/repeatable-sections';
+
+interface SchemaField extends RuleField {
+  id: string;
+  type: string;
+  section: string;
+  options?: string[];
+  optionsSource?: string;
+  feedsFieldId?: string;
+  validation?: {
+    min?: number;
+    max?: number;
+    minLength?: number;
+    minDate?: string;
+    maxDate?: string;
+  };
+  conditional?: {
+    enabled: boolean;
+    conditions: ConditionNode[];
+  };
+}
+
+interface SchemaToCheck {
+  sections: SectionDefinition[];
+  fields: SchemaField[];
+}
+
+export type SchemaIssueCode =
+  | 'duplicate_field_id'
+  | 'duplicate_section_id'
+  | 'unknown_section'
+  | 'incomplete_condition'
+  | 'unknown_condition_field'
+  | 'self_reference'
+  | 'incompatible_operator'
+  | 'invalid_condition_value'
+  | 'circular_dependency'
+  | 'repeatable_reference'
+  | 'invalid_option_rule'
+  | 'invalid_expression'
+  | 'invalid_timer_target'
+  | 'invalid_range';
+
+export interface SchemaIssue {
+  code: SchemaIssueCode;
+  message: string;
+  fieldId?: string;
+  sectionId?: string;
+  rule?: 'conditional' | 'requiredWhen' | 'optionRules' | 'computed'; // Part of the field the issue is in
+  conditionPath?: number[]; // 0-based indexes from the rule's conditions down to the condition
+}
+
+// Where a list of conditions lives, for issue messages and locations
+interface ConditionScope {
+  rule: 'conditional' | 'requiredWhen' | 'optionRules';
+  label: string; // e.g. "condition", "required-when condition"
+  pathPrefix: number[]; // [ruleIndex] for option rules
+}
+
+// Operator groups (see CONDITION_OPERATORS in shared/conditions)
+const EQUALITY_OPERATORS = ['equals', 'notEquals', 'oneOf'];
+const TEXT_OPERATORS = ['contains', 'startsWith', 'endsWith'];
+const COMPARISON_OPERATORS = ['greaterThan', 'lessThan', 'greaterThanOrEqual', 'lessThanOrEqual'];
+const ARRAY_VALUE_OPERATORS = ['includes', 'includesAny', 'includesAll'];
+const EXISTENCE_OPERATORS = ['isEmpty', 'isNotEmpty'];
+
+/**
+ * Operators that make sense for the value each field type produces
+ * (composite and file values can only be checked for presence)
+ */
+const OPERATORS_BY_FIELD_TYPE: Record<string, string[]> = {
+  text: [...EQUALITY_OPERATORS, ...TEXT_OPERATORS, ...EXISTENCE_OPERATORS],
+  textarea: [...EQUALITY_OPERATORS, ...TEXT_OPERATORS, ...EXISTENCE_OPERATORS],
+  select: [...EQUALITY_OPERATORS, ...TEXT_OPERATORS, ...EXISTENCE_OPERATORS],
+  smartselect: [...EQUALITY_OPERATORS, ...TEXT_OPERATORS, ...EXISTENCE_OPERATORS],
+  number: [...EQUALITY_OPERATORS, ...COMPARISON_OPERATORS, ...EXISTENCE_OPERATORS],
+  date: [...EQUALITY_OPERATORS, ...COMPARISON_OPERATORS, ...EXISTENCE_OPERATORS],
+  multiselect: ['equals', 'notEquals', ...ARRAY_VALUE_OPERATORS, ...EXISTENCE_OPERATORS],
+  smartmultiselect: ['equals', 'notEquals', ...ARRAY_VALUE_OPERATORS, ...EXISTENCE_OPERATORS],
+  file: EXISTENCE_OPERATORS,
+  dualfield: EXISTENCE_OPERATORS,
+  multidualfield: EXISTENCE_OPERATORS,
+  triplefield: EXISTENCE_OPERATORS,
+  multitriplefield: EXISTENCE_OPERATORS,
+  signature: EXISTENCE_OPERATORS,
+  location: EXISTENCE_OPERATORS,
+  timer: EXISTENCE_OPERATORS,
+  rating: [...EQUALITY_OPERATORS, ...COMPARISON_OPERATORS, ...EXISTENCE_OPERATORS],
+  barcode: [...EQUALITY_OPERATORS, ...TEXT_OPERATORS, ...EXISTENCE_OPERATORS],
+};
+
+/**
+ * Check a form schema for integrity problems
+ * @returns Every issue found (empty if the schema is consistent)
+ */
+export function checkFormSchemaIntegrity(schema: SchemaToCheck): SchemaIssue[] {
+  const issues: SchemaIssue[] = [];
+
+  // Unique IDs
+  const sectionIds = new Set<string>();
+  for (const section of schema.sections) {
+    if (sectionIds.has(section.id)) {
+      issues.push({
+        code: 'duplicate_section_id',
+        message: `Duplicate section ID: ${section.id}`,
+        sectionId: section.id,
+      });
+    }
+    sectionIds.add(section.id);
+
+    const { minItems, maxItems } = section;
+    if (minItems !== undefined && maxItems !== undefined && minItems > maxItems) {
+      issues.push({
+        code: 'invalid_range',
+        message: `Section ${section.id}: minItems (${minItems}) is greater than maxItems (${maxItems})`,
+        sectionId: section.id,
+      });
+    }
+  }
+
+  const fieldsById = new Map<string, SchemaField>();
+  for (const field of schema.fields) {
+    if (fieldsById.has(field.id)) {
+      issues.push({
+        code: 'duplicate_field_id',
+        message: `Duplicate field ID: ${field.id}`,
+        fieldId: field.id,
+      });
+    } else {
+      fieldsById.set(field.id, field);
+    }
+  }
+
+  const repeatableIds = getRepeatableSectionIds(schema.sections);
+
+  for (const field of schema.fields) {
+    // Section references
+    if (!sectionIds.has(field.section)) {
+      issues.push({
+        code: 'unknown_section',
+        message: `Field ${field.id} references non-existent section: ${field.section}`,
+        fieldId: field.id,
+        sectionId: field.section,
+      });
+    }
+
+    issues.push(...checkRanges(field));
+
+    if (field.conditional?.enabled) {
+      const scope: ConditionScope = { rule: 'conditional', label: 'condition', pathPrefix: [] };
+      issues.push(...checkConditionNodes(field, field.conditional.conditions, scope, [], fieldsById));
+    }
+
+    if (field.requiredWhen?.enabled) {
+      const scope: ConditionScope = { rule: 'requiredWhen', label: 'required-when condition', pathPrefix: [] };
+      issues.push(...checkConditionNodes(field, field.requiredWhen.conditions || [], scope, [], fieldsById));
+    }
+
+    issues.push(...checkOptionRules(field, fieldsById));
+    issues.push(...checkComputed(field, fieldsById));
+    issues.push(...checkTimerTarget(field, fieldsById, repeatableIds));
+  }
+
+  // Repeatable section instances are stored under the section ID
+  for (const sectionId of repeatableIds) {
+    if (fieldsById.has(sectionId)) {
+      issues.push({
+        code: 'duplicate_field_id',
+        message: `Field ${sectionId} has the same ID as repeatable section ${sectionId}`,
+        fieldId: sectionId,
+        sectionId,
+      });
+    }
+  }
+  issues.push(...checkRepeatableReferences(schema.fields, fieldsById, repeatableIds));
+
+  for (const fieldId of findCircularDependencies(schema.fields)) {
+    issues.push({
+      code: 'circular_dependency',
+      message: `Field ${fieldId} has a circular conditional dependency`,
+      fieldId,
+      rule: 'conditional',
+    });
+  }
+
+  for (const fieldId of findCircularComputedValues(schema.fields)) {
+    issues.push({
+      code: 'circular_dependency',
+      message: `Field ${fieldId} has a circular calculated value`,
+      fieldId,
+      rule: 'computed',
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check the conditions and groups of one level of a field's conditions
+ * @param path - Indexes of the enclosing groups ([] for the top level)
+ */
+function checkConditionNodes(
+  field: SchemaField,
+  nodes: ConditionNode[],
+  scope: ConditionScope,
+  path: number[],
+  fieldsById: Map<string, SchemaField>
+): SchemaIssue[] {
+  return nodes.flatMap((node, index) => {
+    const nodePath = [...path, index];
+
+    if (!isConditionGroup(node)) {
+      return checkCondition(field, node, scope, nodePath, fieldsById);
+    }
+
+    if (node.conditions.length === 0) {
+      return [
+        {
+          code: 'incomplete_condition' as const,
+          message: `${field.id} ${scope.label} group ${formatPath(nodePath)} has no conditions`,
+          fieldId: field.id,
+          rule: scope.rule,
+          conditionPath: [...scope.pathPrefix, ...nodePath],
+        },
+      ];
+    }
+
+    return checkConditionNodes(field, node.conditions, scope, nodePath, fieldsById);
+  });
+}
+
+// 1-based path for messages, e.g. [1, 0] -> "2.1"
+const formatPath = (path: number[]) => path.map((i) => i + 1).join('.');
+
+/**
+ * Check one condition of a field's conditional logic or rules
+ */
+function checkCondition(
+  field: SchemaField,
+  condition: Condition,
+  scope: ConditionScope,
+  path: number[],
+  fieldsById: Map<string, SchemaField>
+): SchemaIssue[] {
+  const at = { fieldId: field.id, rule: scope.rule, conditionPath: [...scope.pathPrefix, ...path] };
+  const label = `${field.id} ${scope.label} ${formatPath(path)}`;
+
+  if (!condition.fieldId || !condition.operator) {
+    return [{ code: 'incomplete_condition', message: `${label} needs a field and an operator`, ...at }];
+  }
+
+  if (condition.fieldId === field.id) {
+    return [{ code: 'self_reference', message: `${label} cannot reference the field itself`, ...at }];
+  }
+
+  const referenced = fieldsById.get(condition.fieldId);
+  if (!referenced) {
+    return [
+      {
+        code: 'unknown_condition_field',
+        message: `${label} references non-existent field: ${condition.fieldId}`,
+        ...at,
+      },
+    ];
+  }
+
+  const allowed = OPERATORS_BY_FIELD_TYPE[referenced.type] || EXISTENCE_OPERATORS;
+  if (!allowed.includes(condition.operator)) {
+    return [
+      {
+        code: 'incompatible_operator',
+        message: `${label} uses "${condition.operator}", which does not apply to ${referenced.type} field ${referenced.id}`,
+        ...at,
+      },
+    ];
+  }
+
+  const valueError = checkConditionValue(condition, referenced);
+  return valueError ? [{ code: 'invalid_condition_value', message: `${label} ${valueError}`, ...at }] : [];
+}
+
+/**
+ * Check that a condition's value suits its operator and the referenced field
+ * @returns A description of the problem, or null if the value is fine
+ */
+function checkConditionValue(condition: Condition, referenced: SchemaField): string | null {
+  const { operator, value } = condition;
+  const valueKind = getOperatorValueKind(operator);
+
+  if (valueKind === 'none') {
+    return null;
+  }
+
+  if (valueKind === 'list') {
+    return Array.isArray(value) && value.length > 0 ? null : `requires at least one value for ${operator}`;
+  }
+
+  if (value === undefined || value === null || value === '' || Array.isArray(value)) {
+    return `requires a single value for ${operator}`;
+  }
+
+  if (COMPARISON_OPERATORS.includes(operator)) {
+    if (referenced.type === 'date' && !isValidDate(String(value))) {
+      return `requires a valid date for ${operator}`;
+    }
+    if ((referenced.type === 'number' || referenced.type === 'rating') && !Number.isFinite(Number(value))) {
+      return `requires a number for ${operator}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a field's option rules: select fields only, narrowing to the field's
+ * own options (reference-list options are not known here)
+ */
+function checkOptionRules(field: SchemaField, fieldsById: Map<string, SchemaField>): SchemaIssue[] {
+  const rules = field.optionRules || [];
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const ruleIssue = (message: string, ruleIndex?: number): SchemaIssue => ({
+    code: 'invalid_option_rule',
+    message: `Field ${field.id}${ruleIndex === undefined ? '' : ` option rule ${ruleIndex + 1}`}: ${message}`,
+    fieldId: field.id,
+    rule: 'optionRules',
+    ...(ruleIndex === undefined ? {} : { conditionPath: [ruleIndex] }),
+  });
+
+  if (!OPTION_RULE_FIELD_TYPES.includes(field.type)) {
+    return [ruleIssue(`option rules are not supported on ${field.type} fields`)];
+  }
+
+  return rules.flatMap((rule, ruleIndex) => {
+    const issues: SchemaIssue[] = [];
+
+    if (rule.options.length === 0) {
+      issues.push(ruleIssue('allows no options', ruleIndex));
+    }
+    if (!field.optionsSource) {
+      const unknown = rule.options.filter((option) => !(field.options || []).includes(option));
+      if (unknown.length > 0) {
+        issues.push(ruleIssue(`allows options the field does not have: ${unknown.join(', ')}`, ruleIndex));
+      }
+    }
+    if (rule.conditions.length === 0) {
+      issues.push({
+        code: 'incomplete_condition',
+        message: `${field.id} option rule ${ruleIndex + 1} has no conditions`,
+        fieldId: field.id,
+        rule: 'optionRules',
+        conditionPath: [ruleIndex],
+      });
+    }
+
+    const scope: ConditionScope = {
+      rule: 'optionRules',
+      label: `option rule ${ruleIndex + 1} condition`,
+      pathPrefix: [ruleIndex],
+    };
+    issues.push(...checkConditionNodes(field, rule.conditions, scope, [], fieldsById));
+
+    return issues;
+  });
+}
+
+/**
+ * Check a computed field's expression
+ */
+function checkComputed(field: SchemaField, fieldsById: Map<string, SchemaField>): SchemaIssue[] {
+  if (!field.computed) {
+    return [];
+  }
+
+  const expressionIssue = (code: SchemaIssueCode, message: string): SchemaIssue => ({
+    code,
+    message: `Field ${field.id} calculated value: ${message}`,
+    fieldId: field.id,
+    rule: 'computed',
+  });
+
+  if (!COMPUTED_FIELD_TYPES.includes(field.type)) {
+    return [expressionIssue('invalid_expression', `not supported on ${field.type} fields`)];
+  }
+
+  const syntaxError = getExpressionError(field.computed.expression);
+  if (syntaxError) {
+    return [expressionIssue('invalid_expression', syntaxError)];
+  }
+
+  return getExpressionFieldIds(field.computed.expression).flatMap((fieldId): SchemaIssue[] => {
+    if (fieldId === field.id) {
+      return [expressionIssue('self_reference', 'cannot reference the field itself')];
+    }
+    if (!fieldsById.has(fieldId)) {
+      return [expressionIssue('unknown_condition_field', `references non-existent field: ${fieldId}`)];
+    }
+    return [];
+  });
+}
+
+/**
+ * Check that fields only depend on repeatable-section fields of their own
+ * section (from inside an instance, its siblings are the instance's values)
+ */
+function checkRepeatableReferences(
+  fields: SchemaField[],
+  fieldsById: Map<string, SchemaField>,
+  repeatableIds: Set<string>
+): SchemaIssue[] {
+  if (repeatableIds.size === 0) {
+    return [];
+  }
+
+  return fields.flatMap((field) =>
+    getRuleReferences(field).flatMap(([rule, fieldId]): SchemaIssue[] => {
+      const referenced = fieldsById.get(fieldId);
+      if (!referenced || !repeatableIds.has(referenced.section) || referenced.section === field.section) {
+        return [];
+      }
+      return [
+        {
+          code: 'repeatable_reference',
+          message: `Field ${field.id} cannot depend on ${fieldId}, which repeats in section ${referenced.section}`,
+          fieldId: field.id,
+          sectionId: referenced.section,
+          rule,
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Fields referenced by each of a field's rules, as [rule, field ID] pairs
+ */
+function getRuleReferences(field: SchemaField): Array<[NonNullable<SchemaIssue['rule']>, string]> {
+  const references: Array<[NonNullable<SchemaIssue['rule']>, string]> = [];
+  const addConditions = (rule: NonNullable<SchemaIssue['rule']>, conditions: ConditionNode[]) => {
+    for (const condition of getAllConditions({ conditions })) {
+      if (condition.fieldId) references.push([rule, condition.fieldId]);
+    }
+  };
+
+  if (field.conditional?.enabled) addConditions('conditional', field.conditional.conditions);
+  if (field.requiredWhen?.enabled) addConditions('requiredWhen', field.requiredWhen.conditions || []);
+  for (const rule of field.optionRules || []) addConditions('optionRules', rule.conditions);
+  if (field.computed) {
+    for (const fieldId of getExpressionFieldIds(field.computed.expression)) {
+      references.push(['computed', fieldId]);
+    }
+  }
+
+  // Report each referenced field once per rule
+  const seen = new Set<string>();
+  return references.filter(([rule, fieldId]) => {
+    const key = `${rule}:${fieldId}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Check the number field a timer feeds its time into (inside a repeatable
+ * section, each instance's timer feeds the same instance's field)
+ */
+function checkTimerTarget(
+  field: SchemaField,
+  fieldsById: Map<string, SchemaField>,
+  repeatableIds: Set<string>
+): SchemaIssue[] {
+  if (!field.feedsFieldId) {
+    return [];
+  }
+
+  const target = fieldsById.get(field.feedsFieldId);
+  const problem =
+    field.type !== 'timer'
+      ? `only timer fields can feed another field`
+      : !target
+        ? `feeds non-existent field: ${field.feedsFieldId}`
+        : target.type !== 'number'
+          ? `feeds ${target.id}, which is not a number field`
+          : target.computed
+            ? `feeds ${target.id}, which has a calculated value`
+            : target.section !== field.section &&
+                (repeatableIds.has(field.section) || repeatableIds.has(target.section))
+              ? `feeds ${target.id}, which is not in the same repeatable section`
+              : null;
+
+  return problem
+    ? [{ code: 'invalid_timer_target', message: `Field ${field.id}: ${problem}`, fieldId: field.id }]
+    : [];
+}
+
+/**
+ * Check a field's validation ranges
+ */
+function checkRanges(field: SchemaField): SchemaIssue[] {
+  const issues: SchemaIssue[] = [];
+  const { min, max, minLength, minDate, maxDate } = field.validation || {};
+  const rangeIssue = (message: string): SchemaIssue => ({
+    code: 'invalid_range',
+    message: `Field ${field.id}: ${message}`,
+    fieldId: field.id,
+  });
+
+  if (min !== undefined && max !== undefined && min > max) {
+    issues.push(rangeIssue(`min (${min}) is greater than max (${max})`));
+  }
+
+  if (minLength !== undefined && (!Number.isInteger(minLength) || minLength < 0)) {
+    issues.push(rangeIssue(`minLength must be a whole number of 0 or more`));
+  }
+
+  const minDateValid = minDate === undefined || isValidDate(minDate);
+  const maxDateValid = maxDate === undefined || isValidDate(maxDate);
+  if (!minDateValid) {
+    issues.push(rangeIssue(`minDate is not a valid date: ${minDate}`));
+  }
+  if (!maxDateValid) {
+    issues.push(rangeIssue(`maxDate is not a valid date: ${maxDate}`));
+  }
+  if (minDate && maxDate && minDateValid && maxDateValid && new Date(minDate) > new Date(maxDate)) {
+    issues.push(rangeIssue(`minDate (${minDate}) is after maxDate (${maxDate})`));
+  }
+
+  return issues;
+}
+
+/**
+ * Find fields that are part of a cycle in the conditional dependency graph
+ * (self references are reported separately and are ignored here)
+ */
+function findCircularDependencies(fields: SchemaField[]): string[] {
+  const dependencies = new Map<string, string[]>();
+  for (const field of fields) {
+    if (field.conditional?.enabled) {
+      dependencies.set(
+        field.id,
+        getAllConditions(field.conditional)
+          .map((condition) => condition.fieldId)
+          .filter((fieldId) => fieldId && fieldId !== field.id)
+      );
+    }
+  }
+
+  return findCycles(dependencies);
+}
+
+/**
+ * Find computed fields whose expressions depend on each other in a loop
+ */
+function findCircularComputedValues(fields: SchemaField[]): string[] {
+  const dependencies = new Map<string, string[]>();
+  for (const field of fields) {
+    if (field.computed) {
+      dependencies.set(
+        field.id,
+        getExpressionFieldIds(field.computed.expression).filter((fieldId) => fieldId !== field.id)
+      );
+    }
+  }
+
+  return findCycles(dependencies);
+}
+
+/**
+ * Nodes of a dependency graph (field ID -> field IDs it depends on) that lead into a cycle
+ */
+function findCycles(dependencies: Map<string, string[]>): string[] {
+  const hasCycle = (fieldId: string, visited: Set<string>, stack: Set<string>): boolean => {
+    if (stack.has(fieldId)) return true;
+    if (visited.has(fieldId)) return false;
+
+    visited.add(fieldId);
+    stack.add(fieldId);
+    for (const dependencyId of dependencies.get(fieldId) || []) {
+      if (hasCycle(dependencyId, visited, stack)) {
+        return true;
+      }
+    }
+    stack.delete(fieldId);
+    return false;
+  };
+
+  return [...dependencies.keys()].filter((fieldId) => hasCycle(fieldId, new Set(), new Set()));
+}
+
+function isValidDate(value: string): boolean {
+  return !isNaN(new Date(value).getTime());
+}
@@ -0,0 +1,134 @@
+/**
+ * Form Version Utilities
+ * Every schema a custom form has had is kept in custom_form_versions and never
+ * modified, so AARs can be rendered and re-validated against the exact schema
+ * they were submitted on (aars.form_id + aars.form_version).
+ */
+
+import type { FormSchema } from './validateAARSubmission';
+
+/**
+ * Statements storing a form's schema as a new version and making it the current one
+ * For callers that make further changes in the same batch (see saveFormVersion).
+ * @param changeNote - Changelog message shown in the form's version history
+ * @returns The version number the form will be on, and no statements if the schema is unchanged
+ */
+export async function prepareFormVersion(
+  db: D1Database,
+  formId: string,
+  schemaJson: string,
+  userId: string,
+  changeNote: string | null = null
+): Promise<{ version: number; statements: D1PreparedStatement[] }> {
+  const latest = await db
+    .prepare(
+      `SELECT version, form_schema FROM custom_form_versions
+       WHERE form_id = ?
+       ORDER BY version DESC
+       LIMIT 1`
+    )
+    .bind(formId)
+    .first<{ version: number; form_schema: string }>();
+
+  if (latest && latest.form_schema === schemaJson) {
+    return { version: latest.version, statements: [] };
+  }
+
+  const version = (latest?.version || 0) + 1;
+
+  const statements = [
+    db
+      .prepare(
+        `INSERT INTO custom_form_versions (id, form_id, version, form_schema, change_note, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`
+      )
+      .bind(`${formId}_v${version}`, formId, version, schemaJson, changeNote, userId),
+    db
+      .prepare(
+        `UPDATE custom_forms
+         SET form_schema = ?, current_version = ?, updated_at = datetime('now')
+         WHERE id = ?`
+      )
+      .bind(schemaJson, version, formId),
+  ];
+
+  return { version, statements };
+}
+
+/**
+ * Store a form's schema as a new version and make it the current one
+ * Does nothing (returns the current version) if the schema is unchanged.
+ * @param changeNote - Changelog message shown in the form's version history
+ * @returns The version number now current for the form
+ */
+export async function saveFormVersion(
+  db: D1Database,
+  formId: string,
+  schemaJson: string,
+  userId: string,
+  changeNote: string | null = null
+): Promise<number> {
+  const { version, statements } = await prepareFormVersion(db, formId, schemaJson, userId, changeNote);
+  if (statements.length > 0) await db.batch(statements);
+  return version;
+}
+
+/**
+ * Load the schema of a specific form version
+ * @param version - Version as stored on AARs (a number or its string form)
+ * @returns Parsed schema, or null if the form/version does not exist
+ */
+export async function getFormVersionSchema(
+  db: D1Database,
+  formId: string,
+  version: string | number
+): Promise<FormSchema | null> {
+  const versionNumber = Number(version);
+  if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+    return null;
+  }
+
+  const row = await db
+    .prepare('SELECT form_schema FROM custom_form_versions WHERE form_id = ? AND version = ?')
+    .bind(formId, versionNumber)
+    .first<{ form_schema: string }>();
+
+  return row ? JSON.parse(row.form_schema) : null;
+}
+
+/**
+ * Schema a new submission is validated against, or why there is none
+ * - outdated: the user filled in an older version (currentVersion is the one to reload)
+ * - unavailable: the form is archived, deleted or unknown
+ */
+export type SubmissionSchema =
+  | { schema: FormSchema }
+  | { schema: null; reason: 'outdated'; currentVersion: number }
+  | { schema: null; reason: 'unavailable' };
+
+/**
+ * Load the schema a new submission is validated against: the form's current
+ * version, which the user must have filled in. Older versions are refused so
+ * required fields and rules published since cannot be skipped, and there is
+ * no fallback to another form: with several active forms, validating against
+ * a different one would be wrong.
+ * (Edits re-validate against the AAR's own version, see getFormVersionSchema.)
+ */
+export async function getSubmissionSchema(
+  db: D1Database,
+  formId: string,
+  version: string | number
+): Promise<SubmissionSchema> {
+  const form = await db
+    .prepare('SELECT current_version FROM custom_forms WHERE id = ? AND is_active = 1 AND deleted_at IS NULL')
+    .bind(formId)
+    .first<{ current_version: number }>();
+  if (!form) return { schema: null, reason: 'unavailable' };
+
+  if (Number(version) !== form.current_version) {
+    return { schema: null, reason: 'outdated', currentVersion: form.current_version };
+  }
+
+  const schema = await getFormVersionSchema(db, formId, form.current_version);
+  return schema ? { schema } : { schema: null, reason: 'unavailable' };
+}
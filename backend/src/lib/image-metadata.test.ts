@@ -0,0 +1,103 @@
+/**
+ * Tests for removing metadata from images the Images binding did not process.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readExifOrientation, stripImageMetadata } from './image-metadata';
+
+const bytes = (...parts: (number[] | string)[]) =>
+  Uint8Array.from(parts.flatMap((part) => (typeof part === 'string' ? Array.from(part, (c) => c.charCodeAt(0)) : part)));
+
+const u16 = (value: number) => [value >> 8, value & 0xff];
+const u32le = (value: number) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, value >>> 24];
+
+// Little-endian EXIF block: orientation 6 and a GPS IFD pointer
+const EXIF = bytes(
+  'Exif\0\0II',
+  [0x2a, 0x00, 0x08, 0x00, 0x00, 0x00],
+  [0x02, 0x00],
+  [0x12, 0x01, 0x03, 0x00, 0x01, 0x00, 0x00, 0x00, 0x06, 0x00, 0x00, 0x00],
+  [0x25, 0x88, 0x04, 0x00, 0x01, 0x00, 0x00, 0x00, 0x26, 0x00, 0x00, 0x00],
+  [0x00, 0x00, 0x00, 0x00],
+  'GPS 48.8566N 2.3522E'
+);
+
+const segment = (marker: number, payload: Uint8Array | string) => {
+  const data = typeof payload === 'string' ? bytes(payload) : payload;
+  return bytes([0xff, marker], u16(data.length + 2), Array.from(data));
+};
+
+const JFIF = segment(0xe0, 'JFIF\0\x01\x01\0\0\x01\0\x01\0\0');
+const QUANT = segment(0xdb, bytes([0], new Array(64).fill(1)));
+const SCAN = bytes(Array.from(segment(0xda, bytes([1, 1, 0, 0, 0x3f, 0]))), [0x12, 0x34, 0xff, 0x00, 0x56, 0xff, 0xd9]);
+
+const jpeg = (...segments: Uint8Array[]) =>
+  bytes([0xff, 0xd8], ...segments.map((part) => Array.from(part)), Array.from(SCAN));
+
+const text = (buffer: ArrayBuffer) => Array.from(new Uint8Array(buffer), (b) => String.fromCharCode(b)).join('');
+
+describe('stripImageMetadata', () => {
+  it('removes EXIF, XMP and comments from a JPEG but keeps its orientation', () => {
+    const input = jpeg(
+      JFIF,
+      segment(0xe1, EXIF),
+      segment(0xe1, 'http://ns.adobe.com/xap/1.0/\0<x:xmpmeta>Camera owner</x:xmpmeta>'),
+      segment(0xfe, 'Shot at 12 Main St'),
+      QUANT
+    );
+    const output = stripImageMetadata(input.buffer, 'image/jpeg')!;
+
+    expect(text(output)).not.toMatch(/GPS|xmpmeta|Main St/);
+    const result = new Uint8Array(output);
+    expect(Array.from(result.subarray(0, 2 + JFIF.length))).toEqual(Array.from(bytes([0xff, 0xd8], Array.from(JFIF))));
+    const exif = result.subarray(2 + JFIF.length);
+    expect(Array.from(exif.subarray(0, 2))).toEqual([0xff, 0xe1]);
+    expect(readExifOrientation(exif.subarray(4, 2 + ((exif[2] << 8) | exif[3])))).toBe(6);
+    expect(text(output).endsWith(text(bytes(Array.from(QUANT), Array.from(SCAN)).buffer))).toBe(true);
+  });
+
+  it('adds no EXIF segment for upright JPEGs', () => {
+    const output = stripImageMetadata(jpeg(segment(0xfe, 'comment'), QUANT).buffer, 'image/jpeg')!;
+    expect(Array.from(new Uint8Array(output))).toEqual(Array.from(jpeg(QUANT)));
+  });
+
+  it('rejects malformed JPEGs', () => {
+    expect(stripImageMetadata(bytes('not a jpeg').buffer, 'image/jpeg')).toBeNull();
+    expect(stripImageMetadata(jpeg(QUANT).slice(0, 40).buffer, 'image/jpeg')).toBeNull(); // No scan data
+    const overlong = bytes([0xff, 0xd8, 0xff, 0xe1, 0xff, 0xff, 0x00]);
+    expect(stripImageMetadata(overlong.buffer, 'image/jpeg')).toBeNull();
+  });
+
+  it('removes EXIF and text chunks from a PNG', () => {
+    const chunk = (type: string, data: string) =>
+      bytes([0, 0, 0, data.length], type, data, [0, 0, 0, 0]);
+    const header = bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const ihdr = chunk('IHDR', '\0\0\0\x01\0\0\0\x01\x08\x02\0\0\0');
+    const idat = chunk('IDAT', 'pixels');
+    const iend = chunk('IEND', '');
+    const input = bytes(
+      ...[header, ihdr, chunk('eXIf', 'GPS 48.85N'), chunk('tEXt', 'Author\0Jo'), idat, iend].map((p) => Array.from(p))
+    );
+
+    const output = stripImageMetadata(input.buffer, 'image/png')!;
+    expect(text(output)).toBe(text(bytes(...[header, ihdr, idat, iend].map((p) => Array.from(p))).buffer));
+    expect(stripImageMetadata(bytes(Array.from(header), [0, 0, 0, 99], 'IDAT').buffer, 'image/png')).toBeNull();
+  });
+
+  it('removes EXIF and XMP chunks from a WebP and clears their flags', () => {
+    const chunk = (type: string, data: number[]) =>
+      bytes(type, u32le(data.length), data, data.length % 2 ? [0] : []);
+    const vp8x = (flags: number) => chunk('VP8X', [flags, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    const image = chunk('VP8L', [1, 2, 3]);
+    const webp = (...chunks: Uint8Array[]) => {
+      const body = bytes(...chunks.map((part) => Array.from(part)));
+      return bytes('RIFF', u32le(4 + body.length), 'WEBP', Array.from(body));
+    };
+
+    const input = webp(vp8x(0x10 | 0x08 | 0x04), image, chunk('EXIF', [0x47, 0x50, 0x53]), chunk('XMP ', [1, 2]));
+    const output = stripImageMetadata(input.buffer, 'image/webp')!;
+    expect(Array.from(new Uint8Array(output))).toEqual(Array.from(webp(vp8x(0x10), image)));
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Image Metadata
+ * Removes metadata (EXIF including GPS, XMP, IPTC, text chunks) from JPEG,
+ * PNG and WebP files by dropping the segments or chunks that hold it; the
+ * image data itself is copied unchanged.
+ *
+ * The image pipeline (./image-pipeline.ts) strips metadata by re-encoding
+ * through the Images binding and falls back to this when the binding is not
+ * configured or fails. A JPEG keeps its EXIF orientation (in a new EXIF
+ * segment holding nothing else), so it is still displayed upright.
+ */
+
+export type MetadataFormat = 'image/jpeg' | 'image/png' | 'image/webp';
+
+// JPEG segments to drop: APP1 (EXIF, XMP), APP13 (IPTC) and comments
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+
+// PNG chunks to drop: EXIF, text and modification time
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+// WebP chunks to drop, and the VP8X flags announcing them
+const WEBP_METADATA_CHUNKS = new Set(['EXIF', 'XMP ']);
+const VP8X_METADATA_FLAGS = 0x08 | 0x04; // EXIF, XMP
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const ascii = (bytes: Uint8Array, start: number, length: number) =>
+  String.fromCharCode(...bytes.subarray(start, start + length));
+
+function concat(parts: Uint8Array[]): ArrayBuffer {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    output.set(part, position);
+    position += part.length;
+  }
+  return output.buffer;
+}
+
+/**
+ * EXIF orientation (1-8) of an APP1 segment's payload
+ * @returns null if the payload is not EXIF or has no orientation
+ */
+export function readExifOrientation(payload: Uint8Array): number | null {
+  if (payload.length < 14 || ascii(payload, 0, 6) !== 'Exif\0\0') return null;
+
+  const tiff = new DataView(payload.buffer, payload.byteOffset + 6, payload.length - 6);
+  const order = ascii(payload, 6, 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const little = order === 'II';
+
+  const ifd = tiff.getUint32(4, little);
+  if (ifd + 2 > tiff.byteLength) return null;
+  const count = tiff.getUint16(ifd, little);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.byteLength) return null;
+    if (tiff.getUint16(entry, little) === 0x0112) {
+      const orientation = tiff.getUint16(entry + 8, little);
+      return orientation >= 1 && orientation <= 8 ? orientation : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * APP1 segment with an EXIF block holding only the orientation
+ */
+function orientationSegment(orientation: number): Uint8Array {
+  const segment = new Uint8Array(36);
+  const view = new DataView(segment.buffer);
+  view.setUint16(0, 0xffe1);
+  view.setUint16(2, segment.length - 2);
+  segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // Exif\0\0
+  segment.set([0x4d, 0x4d, 0x00, 0x2a], 10); // Big-endian TIFF header
+  view.setUint32(14, 8); // IFD0 right after the header
+  view.setUint16(18, 1); // One entry
+  view.setUint16(20, 0x0112); // Orientation
+  view.setUint16(22, 3); // SHORT
+  view.setUint32(24, 1);
+  view.setUint16(28, orientation);
+  view.setUint32(32, 0); // No next IFD
+  return segment;
+}
+
+function stripJpeg(bytes: Uint8Array): ArrayBuffer | null {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+  const kept: Uint8Array[] = [];
+  let orientation: number | null = null;
+  let scan = false;
+  let offset = 2;
+  while (!scan && offset + 1 < bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      kept.push(bytes.subarray(offset, offset + 2)); // No length
+      offset += 2;
+      continue;
+    }
+    if (offset + 4 > bytes.length) return null;
+
+    const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    if (end > bytes.length) return null;
+    if (marker === 0xda) {
+      // Start of scan: the rest is image data
+      kept.push(bytes.subarray(offset));
+      scan = true;
+      continue;
+    }
+    if (JPEG_METADATA_MARKERS.has(marker)) {
+      orientation ??= marker === 0xe1 ? readExifOrientation(bytes.subarray(offset + 4, end)) : null;
+    } else {
+      kept.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  if (!scan) return null;
+
+  // The orientation goes after the JFIF segment, which has to come first
+  const exif = orientation && orientation !== 1 ? [orientationSegment(orientation)] : [];
+  const jfif = kept[0] && kept[0][1] === 0xe0 ? 1 : 0;
+  return concat([bytes.subarray(0, 2), ...kept.slice(0, jfif), ...exif, ...kept.slice(jfif)]);
+}
+
+function stripPng(bytes: Uint8Array): ArrayBuffer | null {
+  if (bytes.length < 8 || PNG_SIGNATURE.some((byte, i) => bytes[i] !== byte)) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const kept: Uint8Array[] = [bytes.subarray(0, 8)];
+  let offset = 8;
+  while (offset < bytes.length) {
+    if (offset + 12 > bytes.length) return null;
+    const end = offset + 12 + view.getUint32(offset);
+    if (end > bytes.length) return null;
+    const type = ascii(bytes, offset + 4, 4);
+    if (!PNG_METADATA_CHUNKS.has(type)) kept.push(bytes.subarray(offset, end));
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return concat(kept);
+}
+
+function stripWebp(bytes: Uint8Array): ArrayBuffer | null {
+  if (bytes.length < 12 || ascii(bytes, 0, 4) !== 'RIFF' || ascii(bytes, 8, 4) !== 'WEBP') return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const riffEnd = Math.min(8 + view.getUint32(4, true), bytes.length);
+  const kept: Uint8Array[] = [];
+  let offset = 12;
+  while (offset < riffEnd) {
+    if (offset + 8 > riffEnd) return null;
+    const size = view.getUint32(offset + 4, true);
+    if (offset + 8 + size > riffEnd) return null;
+    const end = Math.min(offset + 8 + size + (size % 2), riffEnd); // Chunks are padded to an even size
+    const type = ascii(bytes, offset, 4);
+    if (!WEBP_METADATA_CHUNKS.has(type)) {
+      const chunk = bytes.slice(offset, end);
+      if (type === 'VP8X' && chunk.length > 8) chunk[8] &= ~VP8X_METADATA_FLAGS;
+      kept.push(chunk);
+    }
+    offset = end;
+  }
+
+  const header = bytes.slice(0, 12);
+  new DataView(header.buffer).setUint32(4, 4 + kept.reduce((sum, chunk) => sum + chunk.length, 0), true);
+  return concat([header, ...kept]);
+}
+
+/**
+ * Copy of an image without its metadata
+ * @returns null if the file is not a well-formed image of the given format
+ */
+export function stripImageMetadata(body: ArrayBuffer, format: MetadataFormat): ArrayBuffer | null {
+  const bytes = new Uint8Array(body);
+  switch (format) {
+    case 'image/jpeg':
+      return stripJpeg(bytes);
+    case 'image/png':
+      return stripPng(bytes);
+    case 'image/webp':
+      return stripWebp(bytes);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Image Pipeline
+ * Processes AAR photos as they are stored, using the Cloudflare Images binding:
+ * - thumbnail and medium renditions (WebP) next to the original in R2
+ * - EXIF orientation applied, so renditions come out upright
+ * - metadata (EXIF, including GPS) stripped from the original by re-encoding
+ *   it upright, unless KEEP_PHOTO_METADATA is "true" (the original is then
+ *   stored exactly as uploaded)
+ * - the displayed width and height, recorded in the photos table
+ *
+ * Files that are not JPEG/PNG/WebP images are stored unchanged. When the
+ * IMAGES binding is not configured (e.g. local development) or fails, images
+ * get no renditions, but their metadata is still removed (see
+ * ./image-metadata.ts); an image whose metadata cannot be removed is rejected.
+ * /files/:key?size=thumbnail|medium serves the renditions.
+ *
+ * PDF reports (./aar-report.ts) also convert photos to JPEG through here.
+ */
+
+import { HTTPException } from 'hono/http-exception';
+import { stripImageMetadata } from './image-metadata';
+import type { Env } from '../types/env';
+
+// Longest side of each rendition, in pixels
+export const RENDITIONS = {
+  thumbnail: 400,
+  medium: 1280,
+} as const;
+
+export type RenditionSize = keyof typeof RENDITIONS;
+
+const PROCESSABLE_TYPES: Record<string, 'image/jpeg' | 'image/png' | 'image/webp'> = {
+  'image/jpeg': 'image/jpeg',
+  'image/jpg': 'image/jpeg',
+  'image/png': 'image/png',
+  'image/webp': 'image/webp',
+};
+
+export type ProcessedImage = {
+  original: ArrayBuffer; // What to store under the original key
+  // Not known when only the metadata was removed
+  width: number | null;
+  height: number | null;
+  thumbnailKey: string | null;
+  mediumKey: string | null;
+};
+
+/**
+ * R2 key of a rendition: the original's key with .<size>.webp instead of its extension
+ */
+export function renditionKey(r2Key: string, size: RenditionSize): string {
+  return `${r2Key.replace(/\.[^./]*$/, '')}.${size}.webp`;
+}
+
+function toStream(bytes: ArrayBuffer): ReadableStream<Uint8Array> {
+  return new Response(bytes).body!;
+}
+
+async function transformImage(
+  images: ImagesBinding,
+  bytes: ArrayBuffer,
+  output: ImageOutputOptions,
+  transform?: ImageTransform
+): Promise<ArrayBuffer> {
+  const transformer = images.input(toStream(bytes));
+  const result = await (transform ? transformer.transform(transform) : transformer).output(output);
+  return new Response(result.image()).arrayBuffer();
+}
+
+async function getSize(images: ImagesBinding, bytes: ArrayBuffer): Promise<{ width: number; height: number } | null> {
+  const info = await images.info(toStream(bytes));
+  return 'width' in info ? { width: info.width, height: info.height } : null;
+}
+
+/**
+ * Convert an image to a JPEG no larger than maxSize on either side
+ * (transparent areas become white)
+ * @returns null if the IMAGES binding is not configured or the conversion fails
+ */
+export async function convertToJpeg(env: Env, bytes: ArrayBuffer, maxSize: number): Promise<ArrayBuffer | null> {
+  if (!env.IMAGES) return null;
+
+  try {
+    return await transformImage(
+      env.IMAGES,
+      bytes,
+      { format: 'image/jpeg', quality: 80, background: '#FFFFFF' },
+      { width: maxSize, height: maxSize, fit: 'scale-down' }
+    );
+  } catch (error) {
+    console.error('JPEG conversion failed:', error);
+    return null;
+  }
+}
+
+/**
+ * The original without its metadata, for images the IMAGES binding did not process
+ * @throws HTTPException 422 if the image is malformed, so its metadata cannot be removed
+ */
+function withoutMetadata(
+  env: Env,
+  photo: { r2Key: string; body: ArrayBuffer },
+  format: (typeof PROCESSABLE_TYPES)[string]
+): ProcessedImage | null {
+  if (env.KEEP_PHOTO_METADATA === 'true') return null;
+
+  const original = stripImageMetadata(photo.body, format);
+  if (!original) {
+    throw new HTTPException(422, {
+      message: 'The image could not be read to remove its metadata (EXIF, GPS); export it again and retry',
+    });
+  }
+  return { original, width: null, height: null, thumbnailKey: null, mediumKey: null };
+}
+
+/**
+ * Create the renditions of a photo and work out what to store as its original
+ * Renditions are written to R2 here; the caller stores `original` under r2Key.
+ * @returns null if the file is stored as uploaded (not an image, or
+ * KEEP_PHOTO_METADATA without the IMAGES binding)
+ * @throws HTTPException 422 if the image's metadata cannot be removed
+ */
+export async function processImage(
+  env: Env,
+  photo: { r2Key: string; body: ArrayBuffer; mimeType: string }
+): Promise<ProcessedImage | null> {
+  const format = PROCESSABLE_TYPES[photo.mimeType];
+  if (!format) return null;
+  if (!env.IMAGES) return withoutMetadata(env, photo, format);
+
+  try {
+    const stored = await getSize(env.IMAGES, photo.body);
+    if (!stored) return withoutMetadata(env, photo, format);
+
+    const renditions = {} as Record<RenditionSize, ArrayBuffer>;
+    for (const size of Object.keys(RENDITIONS) as RenditionSize[]) {
+      renditions[size] = await transformImage(
+        env.IMAGES,
+        photo.body,
+        { format: 'image/webp', quality: 80 },
+        { width: RENDITIONS[size], height: RENDITIONS[size], fit: 'scale-down' }
+      );
+    }
+
+    // info() reports the stored dimensions; the renditions are upright, so a
+    // photo turned by its EXIF orientation comes out with its sides swapped
+    const medium = await getSize(env.IMAGES, renditions.medium);
+    const swapped =
+      medium !== null && stored.width !== stored.height && stored.width > stored.height !== medium.width > medium.height;
+
+    const original =
+      env.KEEP_PHOTO_METADATA === 'true'
+        ? photo.body
+        : await transformImage(env.IMAGES, photo.body, { format, quality: 90 });
+
+    const thumbnailKey = renditionKey(photo.r2Key, 'thumbnail');
+    const mediumKey = renditionKey(photo.r2Key, 'medium');
+    await env.PHOTOS.put(thumbnailKey, renditions.thumbnail, { httpMetadata: { contentType: 'image/webp' } });
+    await env.PHOTOS.put(mediumKey, renditions.medium, { httpMetadata: { contentType: 'image/webp' } });
+
+    return {
+      original,
+      width: swapped ? stored.height : stored.width,
+      height: swapped ? stored.width : stored.height,
+      thumbnailKey,
+      mediumKey,
+    };
+  } catch (error) {
+    // A photo that cannot be processed is still kept, without its metadata
+    console.error(`Image processing failed for ${photo.r2Key}:`, error);
+    return withoutMetadata(env, photo, format);
+  }
+}
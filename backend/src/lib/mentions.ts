@@ -0,0 +1,99 @@
+/**
+ * @mention Utilities
+ *
+ * Mentions are stored inline in text as `@[Display Name](userId)`, which is
+ * what the frontend mention picker inserts. The user ID is authoritative; the
+ * display name is only used for rendering.
+ */
+
+import { createNotifications } from './notifications';
+import type { Env } from '../types/env';
+
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([A-Za-z0-9_-]{1,64})\)/g;
+
+/**
+ * Extract unique mentioned user IDs from text
+ * @param text - Text containing mention markup
+ * @returns Unique user IDs in order of first appearance
+ */
+export function extractMentionedUserIds(text: string): string[] {
+  const ids = new Set<string>();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    ids.add(match[2]);
+  }
+  return [...ids];
+}
+
+/**
+ * Replace mention markup with plain `@Display Name` text
+ * Used for notification previews.
+ * @param text - Text containing mention markup
+ * @returns Plain text
+ */
+export function stripMentionMarkup(text: string): string {
+  return text.replace(MENTION_PATTERN, '@$1');
+}
+
+/**
+ * Resolve mentioned user IDs to existing, non-deleted users
+ * @param db - D1 database
+ * @param userIds - Candidate user IDs
+ * @returns IDs of users that exist
+ */
+export async function resolveMentionedUsers(db: D1Database, userIds: string[]): Promise<string[]> {
+  if (userIds.length === 0) return [];
+
+  const placeholders = userIds.map(() => '?').join(', ');
+  const result = await db
+    .prepare(`SELECT id FROM users WHERE id IN (${placeholders}) AND deleted_at IS NULL`)
+    .bind(...userIds)
+    .all();
+
+  return (result.results || []).map((row: any) => row.id as string);
+}
+
+/**
+ * Notify users @mentioned in a chat message
+ * Only participants of the conversation are notified (anyone for open chats).
+ * @param env - Worker environment
+ * @param message - Sent message details
+ */
+export async function notifyChatMentions(
+  env: Env,
+  message: { conversationId: string; senderId: string; senderName: string; content: string }
+): Promise<void> {
+  const candidates = extractMentionedUserIds(message.content).filter((id) => id !== message.senderId);
+  if (candidates.length === 0) return;
+
+  const conversation = await env.DB.prepare('SELECT type, name FROM conversations WHERE id = ?')
+    .bind(message.conversationId)
+    .first();
+  if (!conversation) return;
+
+  let recipients = await resolveMentionedUsers(env.DB, candidates);
+  if (conversation.type !== 'open' && recipients.length > 0) {
+    const placeholders = recipients.map(() => '?').join(', ');
+    const participants = await env.DB.prepare(
+      `SELECT user_id FROM conversation_participants
+       WHERE conversation_id = ? AND left_at IS NULL AND user_id IN (${placeholders})`
+    )
+      .bind(message.conversationId, ...recipients)
+      .all();
+    recipients = (participants.results || []).map((row: any) => row.user_id as string);
+  }
+
+  const plain = stripMentionMarkup(message.content);
+  const where = conversation.name ? ` in ${conversation.name}` : '';
+
+  await createNotifications(
+    env,
+    recipients.map((userId) => ({
+      userId,
+      type: 'mention' as const,
+      title: `${message.senderName} mentioned you${where}`,
+      message: plain.length > 140 ? `${plain.slice(0, 137)}...` : plain,
+      linkType: 'conversation' as const,
+      linkId: message.conversationId,
+    }))
+  );
+}
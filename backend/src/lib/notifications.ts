@@ -0,0 +1,106 @@
+/**
+ * Notification Utilities
+ * Create in-app notifications (notifications table) and push them live to the
+ * recipient's UserConnectionDO WebSocket
+ */
+
+import { nanoid } from 'nanoid';
+import type { Env } from '../types/env';
+
+export type NotificationType = 'upvote' | 'downvote' | 'comment' | 'message' | 'mention' | 'system';
+export type NotificationLinkType = 'aar' | 'comment' | 'conversation' | 'user';
+
+export interface NewNotification {
+  userId: string;
+  type: NotificationType;
+  title: string;
+  message: string;
+  linkType?: NotificationLinkType;
+  linkId?: string;
+}
+
+/**
+ * Notification as returned by the API and pushed over WebSocket
+ */
+export interface NotificationRecord {
+  id: string;
+  type: NotificationType;
+  title: string;
+  message: string;
+  linkType: NotificationLinkType | null;
+  linkId: string | null;
+  readAt: string | null;
+  createdAt: string;
+}
+
+/**
+ * Insert notifications for one or more recipients and push them live
+ * Push failures are logged and ignored; the notification is still stored.
+ * @param env - Worker environment (DB + USER_CONNECTIONS)
+ * @param notifications - Notifications to create
+ * @returns IDs of the created notifications (same order as input)
+ */
+export async function createNotifications(
+  env: Env,
+  notifications: NewNotification[]
+): Promise<string[]> {
+  if (notifications.length === 0) return [];
+
+  const createdAt = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const records: (NotificationRecord & { userId: string })[] = notifications.map((n) => ({
+    id: nanoid(),
+    userId: n.userId,
+    type: n.type,
+    title: n.title.slice(0, 200),
+    message: n.message.slice(0, 500),
+    linkType: n.linkType || null,
+    linkId: n.linkId || null,
+    readAt: null,
+    createdAt,
+  }));
+
+  await env.DB.batch(
+    records.map((r) =>
+      env.DB.prepare(
+        `INSERT INTO notifications (id, user_id, type, title, message, link_type, link_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(r.id, r.userId, r.type, r.title, r.message, r.linkType, r.linkId, r.createdAt)
+    )
+  );
+
+  await Promise.allSettled(
+    records.map(({ userId, ...notification }) => pushNotification(env, userId, notification))
+  );
+
+  return records.map((r) => r.id);
+}
+
+/**
+ * Push a notification to a user's UserConnectionDO
+ * The DO delivers it immediately if the user is connected, otherwise queues it.
+ */
+async function pushNotification(
+  env: Env,
+  userId: string,
+  notification: NotificationRecord
+): Promise<void> {
+  try {
+    const stub = env.USER_CONNECTIONS.get(env.USER_CONNECTIONS.idFromName(userId));
+    const response = await stub.fetch(
+      new Request('http://internal/notify', {
+        method: 'POST',
+        body: JSON.stringify({
+          type: 'notification',
+          userId,
+          payload: notification,
+        }),
+      })
+    );
+
+    if (!response.ok) {
+      throw new Error(`Notification push failed: ${response.status}`);
+    }
+  } catch (error) {
+    console.warn(`[notifications] Failed to push notification to user ${userId}:`, error);
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Tests for the PDF writer used by AAR reports.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PdfWriter, readJpegInfo } from './pdf';
+
+// 1x1 grayscale progressive JPEG (JFIF APP0 and DQT before the SOF2 segment)
+const TINY_JPEG = Uint8Array.from(
+  atob(
+    '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP////////////////////////////////////////////////////' +
+      '//////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA='
+  ),
+  (char) => char.charCodeAt(0)
+);
+
+// Baseline RGB JPEG header: SOI, EXIF APP1, SOF0 (640x480, 3 components)
+const EXIF_JPEG_HEADER = Uint8Array.from([
+  0xff, 0xd8,
+  0xff, 0xe1, 0x00, 0x08, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+  0xff, 0xc0, 0x00, 0x11, 0x08, 0x01, 0xe0, 0x02, 0x80, 0x03,
+  0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01,
+]);
+
+// One character per byte, so string offsets are byte offsets
+const latin1 = (bytes: Uint8Array) => Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+
+/**
+ * Object offsets listed in the cross-reference table
+ */
+function readXref(pdf: string): number[] {
+  const start = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)![1]);
+  const [header, count] = /^xref\n0 (\d+)\n/.exec(pdf.slice(start))!;
+  const entries = pdf.slice(start + header.length, start + header.length + Number(count) * 20);
+  return Array.from({ length: Number(count) }, (_, i) => Number(entries.slice(i * 20, i * 20 + 10)));
+}
+
+/**
+ * Content streams, checked against their /Length
+ */
+function readStreams(pdf: string): string[] {
+  const streams: string[] = [];
+  const pattern = /\/Length (\d+) >>\nstream\n/g;
+  let match;
+  while ((match = pattern.exec(pdf))) {
+    const start = match.index + match[0].length;
+    const stream = pdf.slice(start, start + Number(match[1]));
+    expect(pdf.slice(start + stream.length, start + stream.length + 11)).toBe('\nendstream\n');
+    streams.push(stream);
+  }
+  return streams;
+}
+
+describe('readJpegInfo', () => {
+  it('reads the size and components of a JPEG', () => {
+    expect(readJpegInfo(TINY_JPEG)).toEqual({ width: 1, height: 1, components: 1 });
+    expect(readJpegInfo(EXIF_JPEG_HEADER)).toEqual({ width: 640, height: 480, components: 3 });
+  });
+
+  it('rejects other files', () => {
+    const png = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+    expect(readJpegInfo(png)).toBeNull();
+    expect(readJpegInfo(new TextEncoder().encode('not an image at all'))).toBeNull();
+    expect(readJpegInfo(TINY_JPEG.slice(0, 20))).toBeNull(); // Cut off before the SOF segment
+  });
+});
+
+describe('PdfWriter', () => {
+  it('wraps text to the line width', () => {
+    const pdf = new PdfWriter();
+    const lines = pdf.wrap('Paint correction on the hood and both doors', 10, 100);
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.join(' ')).toBe('Paint correction on the hood and both doors');
+    for (const line of lines) expect(pdf.measure(line, 10)).toBeLessThanOrEqual(100);
+  });
+
+  it('splits words longer than a line', () => {
+    const pdf = new PdfWriter();
+    const word = 'W'.repeat(40);
+    const lines = pdf.wrap(`short ${word} end`, 10, 50);
+    expect(lines[0]).toBe('short');
+    expect(lines.slice(1, -1).join('')).toBe(word);
+    expect(lines[lines.length - 1]).toBe('end');
+    for (const line of lines) expect(pdf.measure(line, 10)).toBeLessThanOrEqual(50);
+  });
+
+  it('keeps paragraphs and empty lines', () => {
+    expect(new PdfWriter().wrap('First\n\nSecond', 10, 200)).toEqual(['First', '', 'Second']);
+  });
+
+  it('points every cross-reference entry at its object', () => {
+    const pdf = new PdfWriter();
+    pdf.text(40, 40, 'Page one', { bold: true });
+    pdf.image(pdf.addJpeg(TINY_JPEG)!, 40, 60, 100, 100);
+    pdf.addPage();
+    pdf.rect(40, 40, 100, 20, [0.2, 0.4, 0.8]);
+    pdf.line(40, 80, 200, 80, [0, 0, 0]);
+    const output = latin1(pdf.toBytes());
+
+    const offsets = readXref(output);
+    expect(offsets).toHaveLength(1 + 4 + 1 + 2 * 2); // Free entry, catalog/pages/fonts, image, 2 pages
+    offsets.slice(1).forEach((offset, i) => {
+      expect(output.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+    });
+    expect(output).toContain('/Count 2');
+    expect(readStreams(output)).toHaveLength(3); // Image and two page contents
+  });
+
+  it('prints characters outside WinAnsi as "?" without breaking the document', () => {
+    const pdf = new PdfWriter();
+    pdf.text(40, 40, 'Café (façade) 日本語 Привет 🚗 € \\ done');
+    const output = latin1(pdf.toBytes());
+
+    const [content] = readStreams(output);
+    expect(content).toContain('(Caf\xe9 \\(fa\xe7ade\\) ??? ?????? ? \x80 \\\\ done) Tj');
+    readXref(output)
+      .slice(1)
+      .forEach((offset, i) => expect(output.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true));
+  });
+
+  it('measures characters outside WinAnsi like their "?" stand-ins', () => {
+    const pdf = new PdfWriter();
+    expect(pdf.wrap('日本語の長い説明文'.repeat(10), 10, 100).length).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * PDF Writer
+ * A small PDF 1.4 generator for reports: text in the standard Helvetica
+ * fonts, filled rectangles, lines and JPEG images, on Letter pages.
+ *
+ * Coordinates are in points from the top-left corner of the page (PDF itself
+ * counts from the bottom-left). Text is encoded as WinAnsi; characters outside
+ * it are printed as "?". Images must be JPEGs (embedded as-is, DCTDecode) -
+ * other formats are converted by the caller (see ./aar-report.ts).
+ */
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+export type RGB = [number, number, number]; // 0-1 per channel
+
+export type PdfImage = {
+  name: string; // Resource name, e.g. Im1
+  width: number;
+  height: number;
+};
+
+type TextOptions = { size?: number; bold?: boolean; color?: RGB };
+
+type EmbeddedImage = PdfImage & { bytes: Uint8Array; components: number };
+
+// Glyph widths of Helvetica and Helvetica-Bold (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+const DEFAULT_WIDTH = 556; // Accented letters and symbols
+
+// Characters WinAnsi places at 128-159 (the rest of Latin-1 keeps its code)
+const WIN_ANSI: Record<string, number> = {
+  '€': 128, '‚': 130, 'ƒ': 131, '„': 132, '…': 133, '†': 134, '‡': 135, 'ˆ': 136, '‰': 137,
+  'Š': 138, '‹': 139, 'Œ': 140, 'Ž': 142, '‘': 145, '’': 146, '“': 147, '”': 148, '•': 149,
+  '–': 150, '—': 151, '˜': 152, '™': 153, 'š': 154, '›': 155, 'œ': 156, 'ž': 158, 'Ÿ': 159,
+};
+
+function winAnsiCode(char: string): number {
+  const code = char.charCodeAt(0);
+  if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) return code;
+  return WIN_ANSI[char] ?? 63; // "?"
+}
+
+function toBytes(text: string): Uint8Array {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+const num = (value: number) => String(Math.round(value * 100) / 100);
+
+const color = ([r, g, b]: RGB) => `${num(r)} ${num(g)} ${num(b)}`;
+
+/**
+ * Parse a hex color (#3b82f6) into RGB
+ */
+export function hexToRgb(hex: string | null | undefined, fallback: RGB): RGB {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  return match ? [1, 2, 3].map((i) => parseInt(match[i], 16) / 255) as RGB : fallback;
+}
+
+/**
+ * Size and color components of a JPEG, read from its SOF segment
+ * @returns null if the bytes are not a (supported) JPEG
+ */
+export function readJpegInfo(bytes: Uint8Array): { width: number; height: number; components: number } | null {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+        components: bytes[offset + 9],
+      };
+    }
+    offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+  }
+  return null;
+}
+
+export class PdfWriter {
+  private pages: string[][] = [];
+  private images: EmbeddedImage[] = [];
+  private current = 0; // Page drawn on
+
+  constructor() {
+    this.addPage();
+  }
+
+  private get ops(): string[] {
+    return this.pages[this.current];
+  }
+
+  get pageCount(): number {
+    return this.pages.length;
+  }
+
+  /**
+   * Start a new page and draw on it
+   */
+  addPage(): void {
+    this.pages.push([]);
+    this.current = this.pages.length - 1;
+  }
+
+  /**
+   * Draw on an earlier page (e.g. to add page numbers once the page count is known)
+   */
+  usePage(index: number): void {
+    this.current = Math.min(Math.max(index, 0), this.pages.length - 1);
+  }
+
+  /**
+   * Width of a line of text in points
+   */
+  measure(text: string, size: number, bold = false): number {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of text) {
+      const code = char.charCodeAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Break text into lines no wider than maxWidth (words longer than a line are split)
+   */
+  wrap(text: string, size: number, maxWidth: number, bold = false): string[] {
+    const lines: string[] = [];
+    for (const paragraph of text.split(/\r?\n/)) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.measure(candidate, size, bold) <= maxWidth) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        line = word;
+        while (this.measure(line, size, bold) > maxWidth && line.length > 1) {
+          let cut = line.length - 1;
+          while (cut > 1 && this.measure(line.slice(0, cut), size, bold) > maxWidth) cut--;
+          lines.push(line.slice(0, cut));
+          line = line.slice(cut);
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Draw a line of text; y is its baseline
+   */
+  text(
+    x: number,
+    y: number,
+    text: string,
+    { size = 10, bold = false, color: rgb = [0, 0, 0] }: TextOptions = {}
+  ): void {
+    const encoded = Array.from(text, (char) => {
+      const code = winAnsiCode(char);
+      const escaped = String.fromCharCode(code);
+      return escaped === '(' || escaped === ')' || escaped === '\\' ? `\\${escaped}` : escaped;
+    }).join('');
+    this.ops.push(
+      `BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${color(rgb)} rg ${num(x)} ${num(PAGE_HEIGHT - y)} Td (${encoded}) Tj ET`
+    );
+  }
+
+  rect(x: number, y: number, width: number, height: number, fill: RGB): void {
+    this.ops.push(`${color(fill)} rg ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+  }
+
+  line(x1: number, y1: number, x2: number, y2: number, stroke: RGB, width = 0.5): void {
+    this.ops.push(
+      `${color(stroke)} RG ${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+    );
+  }
+
+  /**
+   * Embed a JPEG so it can be drawn with image()
+   * @returns null if the bytes are not a JPEG
+   */
+  addJpeg(bytes: Uint8Array): PdfImage | null {
+    const info = readJpegInfo(bytes);
+    if (!info || ![1, 3, 4].includes(info.components)) return null;
+
+    const image = { name: `Im${this.images.length + 1}`, bytes, ...info };
+    this.images.push(image);
+    return { name: image.name, width: image.width, height: image.height };
+  }
+
+  /**
+   * Draw an embedded image; (x, y) is its top-left corner
+   */
+  image(image: PdfImage, x: number, y: number, width: number, height: number): void {
+    this.ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(PAGE_HEIGHT - y - height)} cm /${image.name} Do Q`);
+  }
+
+  /**
+   * Serialize the document
+   */
+  toBytes(): Uint8Array {
+    const chunks: Uint8Array[] = [];
+    const offsets: number[] = [];
+    let length = 0;
+    const write = (chunk: string | Uint8Array) => {
+      const bytes = typeof chunk === 'string' ? toBytes(chunk) : chunk;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+    const object = (id: number, body: string, stream?: Uint8Array) => {
+      offsets[id] = length;
+      write(`${id} 0 obj\n${body}\n`);
+      if (stream) {
+        write('stream\n');
+        write(stream);
+        write('\nendstream\n');
+      }
+      write('endobj\n');
+    };
+
+    // 1: catalog, 2: page tree, 3-4: fonts, then images, then page + content pairs
+    const imageId = (index: number) => 5 + index;
+    const pageId = (index: number) => 5 + this.images.length + index * 2;
+    const objectCount = 4 + this.images.length + this.pages.length * 2;
+
+    write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(
+      2,
+      `<< /Type /Pages /Kids [${this.pages.map((_, i) => `${pageId(i)} 0 R`).join(' ')}] /Count ${this.pages.length} >>`
+    );
+    object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    this.images.forEach((image, index) => {
+      const colorSpace = image.components === 1 ? '/DeviceGray' : image.components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+      // Adobe CMYK JPEGs are stored inverted
+      const decode = image.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : '';
+      object(
+        imageId(index),
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${colorSpace}` +
+          ` /BitsPerComponent 8 /Filter /DCTDecode${decode} /Length ${image.bytes.length} >>`,
+        image.bytes
+      );
+    });
+
+    const xObjects = this.images.map((image, index) => `/${image.name} ${imageId(index)} 0 R`).join(' ');
+    this.pages.forEach((ops, index) => {
+      const content = toBytes(ops.join('\n'));
+      object(
+        pageId(index),
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}]` +
+          ` /Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >>` +
+          ` /Contents ${pageId(index) + 1} 0 R >>`
+      );
+      object(pageId(index) + 1, `<< /Length ${content.length} >>`, content);
+    });
+
+    const xref = length;
+    write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+    for (let id = 1; id <= objectCount; id++) write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const output = new Uint8Array(length);
+    let position = 0;
+    for (const chunk of chunks) {
+      output.set(chunk, position);
+      position += chunk.length;
+    }
+    return output;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Upload Cleanup
+ * Removes upload sessions (see ../routes/upload-sessions.ts) with their R2
+ * files: when a user cancels one, when an image is rejected, and when
+ * abandoned sessions expire (run hourly by the scheduled handler in
+ * ../index.ts).
+ */
+
+import type { Env } from '../types/env';
+
+// How long a session lives after its last activity (SQLite date modifiers)
+export const UPLOADING_SESSION_TTL = '+1 day'; // Since the last part arrived
+export const COMPLETED_SESSION_TTL = '+7 days'; // Since completion, to be used by an AAR
+
+// Sessions removed per scheduled run
+const CLEANUP_BATCH_SIZE = 100;
+
+export type DiscardableSession = {
+  id: string;
+  r2_key: string;
+  r2_upload_id: string;
+  status: 'uploading' | 'complete';
+  thumbnail_r2_key: string | null;
+  medium_r2_key: string | null;
+};
+
+/**
+ * Has the session passed its expiry time?
+ */
+export function isSessionExpired(session: { expires_at: string | null }): boolean {
+  return session.expires_at !== null && new Date(session.expires_at).getTime() <= Date.now();
+}
+
+/**
+ * Abort or delete a session's upload and remove the session
+ */
+export async function discardUploadSession(env: Env, session: DiscardableSession): Promise<void> {
+  if (session.status === 'uploading') {
+    try {
+      await env.PHOTOS.resumeMultipartUpload(session.r2_key, session.r2_upload_id).abort();
+    } catch (error) {
+      // R2 also drops multipart uploads left unfinished for a week
+      console.warn(`Could not abort multipart upload of ${session.r2_key}:`, error);
+    }
+  } else {
+    const keys = [session.r2_key, session.thumbnail_r2_key, session.medium_r2_key];
+    await env.PHOTOS.delete(keys.filter((key): key is string => Boolean(key)));
+  }
+
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM upload_session_parts WHERE session_id = ?').bind(session.id),
+    env.DB.prepare('DELETE FROM upload_sessions WHERE id = ?').bind(session.id),
+  ]);
+}
+
+/**
+ * Discard expired upload sessions
+ * @returns Number of sessions removed
+ */
+export async function cleanupExpiredUploads(env: Env): Promise<number> {
+  const result = await env.DB.prepare(
+    `SELECT id, r2_key, r2_upload_id, status, thumbnail_r2_key, medium_r2_key
+     FROM upload_sessions
+     WHERE expires_at <= strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+     ORDER BY expires_at
+     LIMIT ?`
+  )
+    .bind(CLEANUP_BATCH_SIZE)
+    .all<DiscardableSession>();
+
+  const sessions = result.results || [];
+  for (const session of sessions) {
+    await discardUploadSession(env, session);
+  }
+  return sessions.length;
+}
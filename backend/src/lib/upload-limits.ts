@@ -0,0 +1,42 @@
+/**
+ * Upload Limits
+ * File types and sizes accepted for uploaded files (chat attachments, AAR
+ * and draft photos)
+ */
+
+import type { Env } from '../types/env';
+
+// Allowed MIME types for uploads
+export const ALLOWED_IMAGE_TYPES = [
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+];
+
+export const ALLOWED_FILE_TYPES = [
+  ...ALLOWED_IMAGE_TYPES,
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
+  'text/plain',
+];
+
+export const INVALID_FILE_TYPE_MESSAGE = 'Invalid file type. Supported: images, PDF, Word, Excel, text files';
+
+/**
+ * Largest accepted AAR file in bytes (MAX_UPLOAD_SIZE_MB, default 10)
+ */
+export function maxUploadSize(env: Env): number {
+  return Number(env.MAX_UPLOAD_SIZE_MB || '10') * 1024 * 1024;
+}
+
+/**
+ * Error message for a file over maxUploadSize
+ */
+export function fileTooLargeMessage(env: Env): string {
+  return `File too large (max ${env.MAX_UPLOAD_SIZE_MB || '10'}MB)`;
+}
@@ -5,13 +5,40 @@
  * - Checking required fields are present
  * - Validating field types match schema
  * - Evaluating conditional logic for fields
- * - Verifying file fields have corresponding uploads
+ * - Enforcing field rules: conditional required, narrowed options and
+ *   computed values
+ * - Verifying file and signature fields have corresponding uploads
+ * - Validating each instance of a repeatable section (stored as an array
+ *   under the section ID)
+ *
+ * Conditional logic and field rules are evaluated by the modules shared with
+ * the frontend, so a field is validated exactly as the Submit AAR page shows it.
  */
 
-interface FormField {
+import { shouldShowField, isEmptyValue, type ConditionalLogic } from '../../../shared/conditions';
+import {
+  computeFieldValue,
+  getOptionRestriction,
+  isFieldRequired,
+  type RuleField,
+} from '../../../shared/form-rules';
+import {
+  DEFAULT_MIN_ITEMS,
+  getInstancePath,
+  getInstanceScope,
+  getItemLabel,
+  getRepeatableSectionIds,
+  getSectionItems,
+  isRepeatableSection,
+  type SectionDefinition,
+} from '../../../shared/repeatable-sections';
+import { getLocationError, getMaxRating, isAcceptedFile, isUploadFieldType } from '../../../shared/field-types';
+
+interface FormField extends RuleField {
   id: string;
   type: string;
   label: string;
+  section?: string;
   required?: boolean;
   validation?: {
     min?: number;
@@ -20,20 +47,16 @@ interface FormField {
     maxLength?: number;
   };
   options?: string[];
-  conditional?: {
-    enabled: boolean;
-    operator: 'AND' | 'OR';
-    conditions: Array<{
-      fieldId: string;
-      operator: string;
-      value: any;
-    }>;
-  };
+  maxRating?: number;
+  multiple?: boolean; // File fields: more than one file allowed
+  accept?: string; // File fields: accepted types, as in a file input's accept attribute
+  conditional?: ConditionalLogic;
 }
 
-interface FormSchema {
+export interface FormSchema {
   formId: string;
   version: string;
+  sections?: SectionDefinition[];
   fields: FormField[];
 }
 
@@ -63,290 +86,323 @@ export async function validateAARSubmission(
 ): Promise<ValidationResult> {
   const errors: ValidationError[] = [];
 
-  // Iterate through each field in the schema
+  const sections = formSchema.sections || [];
+  const repeatableIds = getRepeatableSectionIds(sections);
+
+  // Fields outside repeatable sections are stored at the top level
   for (const field of formSchema.fields) {
-    // Check if field should be visible based on conditional logic
-    const isVisible = shouldShowField(field, formData);
+    if (!repeatableIds.has(field.section || '')) {
+      validateField(field, formData, field.id, field.label, photoMetadata, errors);
+    }
+  }
+
+  // Repeatable sections hold an array of instances, each validated on its own
+  for (const section of sections.filter(isRepeatableSection)) {
+    const items = formData[section.id];
+    const sectionLabel = section.name || section.id;
 
-    if (!isVisible) {
-      // Skip validation for hidden fields
+    if (items !== undefined && (!Array.isArray(items) || items.some((item) => !item || typeof item !== 'object'))) {
+      errors.push({ field: section.id, message: `${sectionLabel} must be a list of entries` });
       continue;
     }
 
-    // Get the value from form data
-    const value = formData[field.id];
-
-    // Check required fields
-    if (field.required && isEmpty(value)) {
+    const count = (items || []).length;
+    const minItems = section.minItems ?? DEFAULT_MIN_ITEMS;
+    if (count < minItems) {
       errors.push({
-        field: field.id,
-        message: `${field.label} is required`,
+        field: section.id,
+        message: `${sectionLabel} needs at least ${minItems} ${minItems === 1 ? 'entry' : 'entries'}`,
       });
-      continue;
+    }
+    if (section.maxItems !== undefined && count > section.maxItems) {
+      errors.push({ field: section.id, message: `${sectionLabel} allows at most ${section.maxItems} entries` });
     }
 
-    // Skip further validation if field is empty and not required
-    if (isEmpty(value)) {
-      continue;
+    const sectionFields = formSchema.fields.filter((field) => field.section === section.id);
+    getSectionItems(formData, section.id).forEach((item, index) => {
+      const scope = getInstanceScope(formData, item);
+      for (const field of sectionFields) {
+        const path = getInstancePath(section.id, index, field.id);
+        validateField(field, scope, path, `${field.label} (${getItemLabel(section, index)})`, photoMetadata, errors);
+      }
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validates one field's value
+ * @param values - Values its conditions and rules see (for fields in a
+ * repeatable section: the instance on top of the rest of the form)
+ * @param path - Where the value lives in form data, used for errors and photos
+ * @param label - Field label used in error messages
+ */
+function validateField(
+  field: FormField,
+  values: Record<string, any>,
+  path: string,
+  label: string,
+  photoMetadata: Record<string, PhotoMetadata[]>,
+  errors: ValidationError[]
+): void {
+  // Check if field should be visible based on conditional logic
+  const isVisible = shouldShowField(field, values);
+
+  if (!isVisible) {
+    // Skip validation for hidden fields
+    return;
+  }
+
+  // Get the value from form data (file and signature fields are submitted as uploads)
+  const value = isUploadFieldType(field.type) ? photoMetadata[path] : values[field.id];
+
+  // Computed fields must hold the value calculated from the other fields
+  if (field.computed) {
+    const expected = computeFieldValue(field, values);
+    const matches = expected === null ? isEmptyValue(value) : Number(value) === expected;
+    if (!matches) {
+      errors.push({
+        field: path,
+        message:
+          expected === null
+            ? `${label} cannot be calculated from the values entered`
+            : `${label} must equal its calculated value (${expected})`,
+      });
+      return;
     }
+  }
 
-    // Type-specific validation
-    switch (field.type) {
-      case 'text':
-      case 'textarea':
-        if (typeof value !== 'string') {
-          errors.push({
-            field: field.id,
-            message: `${field.label} must be a string`,
-          });
-        } else {
-          // Check minLength/maxLength
-          if (field.validation?.minLength && value.length < field.validation.minLength) {
-            errors.push({
-              field: field.id,
-              message: `${field.label} must be at least ${field.validation.minLength} characters`,
-            });
-          }
-          if (field.validation?.maxLength && value.length > field.validation.maxLength) {
-            errors.push({
-              field: field.id,
-              message: `${field.label} must be at most ${field.validation.maxLength} characters`,
-            });
-          }
-        }
-        break;
+  // Check required fields (always, or while requiredWhen conditions match)
+  if (isFieldRequired(field, values) && isEmptyValue(value)) {
+    errors.push({
+      field: path,
+      message: isUploadFieldType(field.type) ? `${label} requires at least one file` : `${label} is required`,
+    });
+    return;
+  }
 
-      case 'number':
-        if (typeof value !== 'number' && !isNumeric(value)) {
-          errors.push({
-            field: field.id,
-            message: `${field.label} must be a number`,
-          });
-        } else {
-          const numValue = typeof value === 'number' ? value : parseFloat(value);
-          // Check min/max
-          if (field.validation?.min !== undefined && numValue < field.validation.min) {
-            errors.push({
-              field: field.id,
-              message: `${field.label} must be at least ${field.validation.min}`,
-            });
-          }
-          if (field.validation?.max !== undefined && numValue > field.validation.max) {
-            errors.push({
-              field: field.id,
-              message: `${field.label} must be at most ${field.validation.max}`,
-            });
-          }
-        }
-        break;
+  // Skip further validation if field is empty and not required
+  if (isEmptyValue(value)) {
+    return;
+  }
 
-      case 'select':
-      case 'smartselect':
-        if (typeof value !== 'string') {
+  // Type-specific validation
+  switch (field.type) {
+    case 'text':
+    case 'textarea':
+    case 'barcode':
+      if (typeof value !== 'string') {
+        errors.push({
+          field: path,
+          message: `${label} must be a string`,
+        });
+      } else {
+        // Check minLength/maxLength
+        if (field.validation?.minLength && value.length < field.validation.minLength) {
           errors.push({
-            field: field.id,
-            message: `${field.label} must be a string`,
+            field: path,
+            message: `${label} must be at least ${field.validation.minLength} characters`,
           });
         }
-        break;
-
-      case 'multiselect':
-      case 'smartmultiselect':
-        if (!Array.isArray(value)) {
+        if (field.validation?.maxLength && value.length > field.validation.maxLength) {
           errors.push({
-            field: field.id,
-            message: `${field.label} must be an array`,
+            field: path,
+            message: `${label} must be at most ${field.validation.maxLength} characters`,
           });
         }
-        break;
-
-      case 'date':
-        // Validate date format (ISO string)
-        if (typeof value !== 'string' || !isValidDate(value)) {
+      }
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' && !isNumeric(value)) {
+        errors.push({
+          field: path,
+          message: `${label} must be a number`,
+        });
+      } else {
+        const numValue = typeof value === 'number' ? value : parseFloat(value);
+        // Check min/max
+        if (field.validation?.min !== undefined && numValue < field.validation.min) {
           errors.push({
-            field: field.id,
-            message: `${field.label} must be a valid date`,
+            field: path,
+            message: `${label} must be at least ${field.validation.min}`,
           });
         }
-        break;
-
-      case 'dualfield':
-        // Validate { value: string, unit: string }
-        if (typeof value !== 'object' || !value.value || !value.unit) {
+        if (field.validation?.max !== undefined && numValue > field.validation.max) {
           errors.push({
-            field: field.id,
-            message: `${field.label} must have both value and unit`,
+            field: path,
+            message: `${label} must be at most ${field.validation.max}`,
           });
         }
-        break;
-
-      case 'multidualfield':
-        // Validate array of { value: string, unit: string }
-        if (!Array.isArray(value)) {
+      }
+      break;
+
+    case 'select':
+    case 'smartselect':
+      if (typeof value !== 'string') {
+        errors.push({
+          field: path,
+          message: `${label} must be a string`,
+        });
+      } else if (!isAllowedOption(field, values, value)) {
+        errors.push({
+          field: path,
+          message: `${label} cannot be "${value}" for the values entered`,
+        });
+      }
+      break;
+
+    case 'multiselect':
+    case 'smartmultiselect':
+      if (!Array.isArray(value)) {
+        errors.push({
+          field: path,
+          message: `${label} must be an array`,
+        });
+      } else {
+        const disallowed = value.filter((option) => !isAllowedOption(field, values, option));
+        if (disallowed.length > 0) {
           errors.push({
-            field: field.id,
-            message: `${field.label} must be an array`,
+            field: path,
+            message: `${label} cannot include ${disallowed.map((option) => `"${option}"`).join(', ')} for the values entered`,
           });
-        } else {
-          for (let i = 0; i < value.length; i++) {
-            if (!value[i].value || !value[i].unit) {
-              errors.push({
-                field: field.id,
-                message: `${field.label} item ${i + 1} must have both value and unit`,
-              });
-            }
-          }
         }
-        break;
+      }
+      break;
+
+    case 'rating': {
+      // Whole number of stars from 1 to maxRating
+      const maxRating = getMaxRating(field);
+      if (!Number.isInteger(value) || value < 1 || value > maxRating) {
+        errors.push({
+          field: path,
+          message: `${label} must be a rating from 1 to ${maxRating}`,
+        });
+      }
+      break;
+    }
 
-      case 'triplefield':
-        // Validate { value: string, unit: string, amount: number }
-        if (typeof value !== 'object' || !value.value || !value.unit || value.amount === undefined) {
-          errors.push({
-            field: field.id,
-            message: `${field.label} must have value, unit, and amount`,
-          });
-        }
-        break;
+    case 'timer':
+      // Tracked time in seconds
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push({
+          field: path,
+          message: `${label} must be a tracked time in seconds`,
+        });
+      }
+      break;
+
+    case 'location': {
+      // Validate { latitude, longitude, accuracy?, capturedAt? }
+      const locationError = getLocationError(value);
+      if (locationError) {
+        errors.push({
+          field: path,
+          message: `${label} ${locationError}`,
+        });
+      }
+      break;
+    }
 
-      case 'multitriplefield':
-        // Validate array of { value: string, unit: string, amount: number }
-        if (!Array.isArray(value)) {
+    case 'file':
+    case 'signature':
+      // Uploads: one file unless the field allows multiple, of accepted types
+      if (!field.multiple && value.length > 1) {
+        errors.push({
+          field: path,
+          message: `${label} accepts only one file`,
+        });
+      }
+      for (const file of value as PhotoMetadata[]) {
+        if (!isAcceptedFile(field.accept, file)) {
           errors.push({
-            field: field.id,
-            message: `${field.label} must be an array`,
+            field: path,
+            message: `${label} does not accept ${file.filename} (allowed: ${field.accept})`,
           });
-        } else {
-          for (let i = 0; i < value.length; i++) {
-            if (!value[i].value || !value[i].unit || value[i].amount === undefined) {
-              errors.push({
-                field: field.id,
-                message: `${field.label} item ${i + 1} must have value, unit, and amount`,
-              });
-            }
+        }
+      }
+      break;
+
+    case 'date':
+      // Validate date format (ISO string)
+      if (typeof value !== 'string' || !isValidDate(value)) {
+        errors.push({
+          field: path,
+          message: `${label} must be a valid date`,
+        });
+      }
+      break;
+
+    case 'dualfield':
+      // Validate { value: string, unit: string }
+      if (typeof value !== 'object' || !value.value || !value.unit) {
+        errors.push({
+          field: path,
+          message: `${label} must have both value and unit`,
+        });
+      }
+      break;
+
+    case 'multidualfield':
+      // Validate array of { value: string, unit: string }
+      if (!Array.isArray(value)) {
+        errors.push({
+          field: path,
+          message: `${label} must be an array`,
+        });
+      } else {
+        for (let i = 0; i < value.length; i++) {
+          if (!value[i].value || !value[i].unit) {
+            errors.push({
+              field: path,
+              message: `${label} item ${i + 1} must have both value and unit`,
+            });
           }
         }
-        break;
-
-      case 'file':
-        // Check if photos were uploaded for this field
-        if (field.required && (!photoMetadata[field.id] || photoMetadata[field.id].length === 0)) {
-          errors.push({
-            field: field.id,
-            message: `${field.label} requires at least one file`,
-          });
+      }
+      break;
+
+    case 'triplefield':
+      // Validate { value: string, unit: string, amount: number }
+      if (typeof value !== 'object' || !value.value || !value.unit || value.amount === undefined) {
+        errors.push({
+          field: path,
+          message: `${label} must have value, unit, and amount`,
+        });
+      }
+      break;
+
+    case 'multitriplefield':
+      // Validate array of { value: string, unit: string, amount: number }
+      if (!Array.isArray(value)) {
+        errors.push({
+          field: path,
+          message: `${label} must be an array`,
+        });
+      } else {
+        for (let i = 0; i < value.length; i++) {
+          if (!value[i].value || !value[i].unit || value[i].amount === undefined) {
+            errors.push({
+              field: path,
+              message: `${label} item ${i + 1} must have value, unit, and amount`,
+            });
+          }
         }
-        break;
-    }
+      }
+      break;
   }
-
-  return {
-    valid: errors.length === 0,
-    errors,
-  };
 }
 
 /**
- * Determines if a field should be shown based on conditional logic
+ * Checks a select value against the field's option rules
  */
-function shouldShowField(field: FormField, formData: Record<string, any>): boolean {
-  if (!field.conditional || !field.conditional.enabled) {
-    return true; // Always show if no conditions
-  }
-
-  const { operator, conditions } = field.conditional;
-
-  const results = conditions.map((condition) =>
-    evaluateCondition(condition, formData)
-  );
-
-  if (operator === 'AND') {
-    return results.every((result) => result === true);
-  } else {
-    // OR
-    return results.some((result) => result === true);
-  }
-}
-
-/**
- * Evaluates a single condition
- */
-function evaluateCondition(
-  condition: { fieldId: string; operator: string; value: any },
-  formData: Record<string, any>
-): boolean {
-  const fieldValue = formData[condition.fieldId];
-  const expectedValue = condition.value;
-
-  switch (condition.operator) {
-    case 'equals':
-      return fieldValue === expectedValue;
-
-    case 'notEquals':
-      return fieldValue !== expectedValue;
-
-    case 'contains':
-      return typeof fieldValue === 'string' && fieldValue.includes(expectedValue);
-
-    case 'startsWith':
-      return typeof fieldValue === 'string' && fieldValue.startsWith(expectedValue);
-
-    case 'endsWith':
-      return typeof fieldValue === 'string' && fieldValue.endsWith(expectedValue);
-
-    case 'greaterThan':
-      return parseFloat(fieldValue) > parseFloat(expectedValue);
-
-    case 'lessThan':
-      return parseFloat(fieldValue) < parseFloat(expectedValue);
-
-    case 'greaterThanOrEqual':
-      return parseFloat(fieldValue) >= parseFloat(expectedValue);
-
-    case 'lessThanOrEqual':
-      return parseFloat(fieldValue) <= parseFloat(expectedValue);
-
-    case 'oneOf':
-      return Array.isArray(expectedValue) && expectedValue.includes(fieldValue);
-
-    case 'includes':
-      return Array.isArray(fieldValue) && fieldValue.includes(expectedValue);
-
-    case 'includesAny':
-      return (
-        Array.isArray(fieldValue) &&
-        Array.isArray(expectedValue) &&
-        expectedValue.some((val: any) => fieldValue.includes(val))
-      );
-
-    case 'includesAll':
-      return (
-        Array.isArray(fieldValue) &&
-        Array.isArray(expectedValue) &&
-        expectedValue.every((val: any) => fieldValue.includes(val))
-      );
-
-    case 'isEmpty':
-      return isEmpty(fieldValue);
-
-    case 'isNotEmpty':
-      return !isEmpty(fieldValue);
-
-    default:
-      console.warn(`Unknown condition operator: ${condition.operator}`);
-      return false;
-  }
-}
-
-/**
- * Checks if a value is considered empty
- */
-function isEmpty(value: any): boolean {
-  if (value === null || value === undefined) return true;
-  if (typeof value === 'string') return value.trim() === '';
-  if (Array.isArray(value)) return value.length === 0;
-  if (typeof value === 'object') return Object.keys(value).length === 0;
-  return false;
+function isAllowedOption(field: FormField, formData: Record<string, any>, option: unknown): boolean {
+  const allowed = getOptionRestriction(field, formData);
+  return !allowed || allowed.includes(String(option));
 }
 
 /**
@@ -368,7 +424,8 @@ function isValidDate(dateString: string): boolean {
 
 /**
  * Extracts common fields from form data for indexing
- * These fields are stored in fixed columns for fast filtering
+ * These fields are stored in fixed columns for fast filtering. A field that
+ * lives in a repeatable section is indexed with its first instance's value.
  */
 export function extractCommonFields(formData: Record<string, any>): {
   category: string | null;
@@ -376,8 +433,28 @@ export function extractCommonFields(formData: Record<string, any>): {
   damage_type: string | null;
 } {
   return {
-    category: formData.category || null,
-    material: formData.material || null,
-    damage_type: formData.damageType || formData.damage_type || null,
+    category: findCommonValue(formData, ['category']),
+    material: findCommonValue(formData, ['material']),
+    damage_type: findCommonValue(formData, ['damageType', 'damage_type']),
   };
 }
+
+/**
+ * First value of one of the keys, at the top level or else in a section instance
+ */
+function findCommonValue(formData: Record<string, any>, keys: string[]): string | null {
+  for (const key of keys) {
+    if (formData[key]) return formData[key];
+  }
+
+  for (const items of Object.values(formData)) {
+    if (!Array.isArray(items)) continue;
+    for (const item of items) {
+      if (!item || typeof item !== 'object') continue;
+      const key = keys.find((k) => item[k]);
+      if (key) return item[key];
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,187 @@
+/**
+ * Visibility Policy Utilities
+ * Franchise-scoped data visibility for franchisees and employees
+ *
+ * The policy (visibility_policies table, cached in KV) sets a scope per
+ * resource. authenticate resolves it for the current user and stores it on
+ * the context; routes turn it into SQL with visibilityCondition().
+ */
+
+import type { Context } from 'hono';
+import type { Env, Variables } from '../types/env';
+
+export const VISIBILITY_RESOURCES = ['aars', 'users', 'conversations'] as const;
+export const VISIBILITY_SCOPES = ['all', 'franchise', 'own'] as const;
+
+export type VisibilityResource = (typeof VISIBILITY_RESOURCES)[number];
+export type VisibilityScope = (typeof VISIBILITY_SCOPES)[number];
+export type VisibilityPolicy = Record<VisibilityResource, VisibilityScope>;
+
+type AuthUser = NonNullable<Variables['user']>;
+
+/**
+ * Defaults match the behaviour before policies existed
+ * (must stay in sync with migration 0007)
+ */
+export const DEFAULT_VISIBILITY_POLICY: VisibilityPolicy = {
+  aars: 'all',
+  users: 'own',
+  conversations: 'all',
+};
+
+const POLICY_CACHE_KEY = 'visibility_policy';
+const POLICY_CACHE_TTL = 300; // 5 minutes
+
+/**
+ * Load the visibility policy (KV cache, falling back to D1)
+ */
+export async function getVisibilityPolicy(env: Env): Promise<VisibilityPolicy> {
+  const cached = (await env.CACHE.get(POLICY_CACHE_KEY, 'json')) as VisibilityPolicy | null;
+  if (cached) {
+    return { ...DEFAULT_VISIBILITY_POLICY, ...cached };
+  }
+
+  const result = await env.DB.prepare('SELECT resource, scope FROM visibility_policies').all();
+
+  const policy: VisibilityPolicy = { ...DEFAULT_VISIBILITY_POLICY };
+  for (const row of result.results || []) {
+    const resource = row.resource as VisibilityResource;
+    if (VISIBILITY_RESOURCES.includes(resource)) {
+      policy[resource] = row.scope as VisibilityScope;
+    }
+  }
+
+  await env.CACHE.put(POLICY_CACHE_KEY, JSON.stringify(policy), {
+    expirationTtl: POLICY_CACHE_TTL,
+  });
+
+  return policy;
+}
+
+/**
+ * Save policy changes and invalidate the cache
+ */
+export async function saveVisibilityPolicy(
+  env: Env,
+  changes: Partial<VisibilityPolicy>,
+  updatedBy: string
+): Promise<VisibilityPolicy> {
+  const statements = Object.entries(changes).map(([resource, scope]) =>
+    env.DB.prepare(
+      `INSERT INTO visibility_policies (resource, scope, updated_by, updated_at)
+       VALUES (?, ?, ?, datetime('now'))
+       ON CONFLICT(resource) DO UPDATE SET
+         scope = excluded.scope,
+         updated_by = excluded.updated_by,
+         updated_at = excluded.updated_at`
+    ).bind(resource, scope, updatedBy)
+  );
+
+  if (statements.length > 0) {
+    await env.DB.batch(statements);
+  }
+  await env.CACHE.delete(POLICY_CACHE_KEY);
+
+  return getVisibilityPolicy(env);
+}
+
+/**
+ * The franchise a user belongs to: a franchisee is their own franchise,
+ * employees point at their franchisee through franchise_id
+ */
+export function getFranchiseKey(user: AuthUser): string | null {
+  if (user.franchiseId) return user.franchiseId;
+  return user.role === 'franchisee' ? user.id : null;
+}
+
+/**
+ * Effective scopes for a user
+ * Admins and managers always see everything; a franchise scope without a
+ * franchise to scope to falls back to own records.
+ */
+export function resolveVisibility(user: AuthUser, policy: VisibilityPolicy): VisibilityPolicy {
+  if (user.role === 'admin' || user.role === 'manager') {
+    return { aars: 'all', users: 'all', conversations: 'all' };
+  }
+
+  const franchiseKey = getFranchiseKey(user);
+  const resolved = { ...policy };
+  for (const resource of VISIBILITY_RESOURCES) {
+    if (resolved[resource] === 'franchise' && !franchiseKey) {
+      resolved[resource] = 'own';
+    }
+  }
+  return resolved;
+}
+
+/**
+ * SQL condition restricting a user-id column to what the scope allows
+ *
+ * @param scope - Effective scope for the resource
+ * @param user - Authenticated user
+ * @param column - Column holding the owning user id (e.g. 'a.user_id', 'id')
+ */
+export function visibilityCondition(
+  scope: VisibilityScope,
+  user: AuthUser,
+  column: string
+): { sql: string; bindings: string[] } {
+  if (scope === 'all') {
+    return { sql: '1 = 1', bindings: [] };
+  }
+
+  const franchiseKey = getFranchiseKey(user);
+  if (scope === 'franchise' && franchiseKey) {
+    return {
+      sql: `${column} IN (SELECT id FROM users WHERE id = ? OR franchise_id = ?)`,
+      bindings: [franchiseKey, franchiseKey],
+    };
+  }
+
+  return { sql: `${column} = ?`, bindings: [user.id] };
+}
+
+/**
+ * visibilityCondition() for the authenticated user of a request
+ * (scopes resolved by the authenticate middleware)
+ */
+export function visibilityConditionFor(
+  c: Context<{ Bindings: Env; Variables: Variables }>,
+  resource: VisibilityResource,
+  column: string
+): { sql: string; bindings: string[] } {
+  const scope = c.get('visibility')?.[resource] ?? 'own';
+  return visibilityCondition(scope, c.get('user')!, column);
+}
+
+/**
+ * The users among userIds allowed to see an AAR, each under their own scope
+ * (for notifications sent on someone else's behalf, e.g. @mentions)
+ */
+export async function filterAARViewers(env: Env, aarId: string, userIds: string[]): Promise<string[]> {
+  if (userIds.length === 0) return [];
+
+  const placeholders = userIds.map(() => '?').join(', ');
+  const result = await env.DB.prepare(
+    `SELECT id, email, role, franchise_id FROM users WHERE id IN (${placeholders}) AND deleted_at IS NULL`
+  )
+    .bind(...userIds)
+    .all();
+  const users: AuthUser[] = (result.results || []).map((row: any) => ({
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    franchiseId: row.franchise_id ?? undefined,
+  }));
+  if (users.length === 0) return [];
+
+  const policy = await getVisibilityPolicy(env);
+  const checks = await env.DB.batch(
+    users.map((user) => {
+      const visible = visibilityCondition(resolveVisibility(user, policy).aars, user, 'user_id');
+      return env.DB.prepare(`SELECT id FROM aars WHERE id = ? AND ${visible.sql}`).bind(aarId, ...visible.bindings);
+    })
+  );
+
+  return users.filter((_, i) => (checks[i].results || []).length > 0).map((user) => user.id);
+}
@@ -0,0 +1,89 @@
+/**
+ * Tests for the ZIP writer used by batch AAR reports.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createZip, crc32 } from './zip';
+
+type ReadEntry = { name: string; data: Uint8Array; crc: number; modified: { time: number; date: number } };
+
+/**
+ * Read a stored (uncompressed) ZIP through its central directory, checking
+ * each local header against it
+ */
+function readZip(zip: Uint8Array): ReadEntry[] {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  const centralSize = view.getUint32(end + 12, true);
+  let central = view.getUint32(end + 16, true);
+  expect(central + centralSize).toBe(end);
+
+  const decoder = new TextDecoder();
+  const entries: ReadEntry[] = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(central, true)).toBe(0x02014b50);
+    const crc = view.getUint32(central + 16, true);
+    const size = view.getUint32(central + 20, true);
+    expect(view.getUint32(central + 24, true)).toBe(size); // Stored: uncompressed size = compressed size
+    const nameLength = view.getUint16(central + 28, true);
+    const local = view.getUint32(central + 42, true);
+    const name = decoder.decode(zip.subarray(central + 46, central + 46 + nameLength));
+
+    expect(view.getUint32(local, true)).toBe(0x04034b50);
+    expect(view.getUint16(local + 8, true)).toBe(0); // Method: stored
+    expect(view.getUint32(local + 14, true)).toBe(crc);
+    expect(view.getUint32(local + 18, true)).toBe(size);
+    expect(view.getUint32(local + 22, true)).toBe(size);
+    expect(decoder.decode(zip.subarray(local + 30, local + 30 + nameLength))).toBe(name);
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+
+    entries.push({
+      name,
+      data: zip.subarray(start, start + size),
+      crc,
+      modified: { time: view.getUint16(local + 10, true), date: view.getUint16(local + 12, true) },
+    });
+    central += 46 + nameLength + view.getUint16(central + 30, true) + view.getUint16(central + 32, true);
+  }
+  return entries;
+}
+
+describe('crc32', () => {
+  it('matches the standard check values', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  it('round-trips entries with their CRCs and sizes', () => {
+    const encoder = new TextEncoder();
+    const files = [
+      { name: 'aar-report-aar_1.pdf', data: encoder.encode('%PDF-1.4 first report') },
+      { name: 'rapports/Überprüfung-東京.pdf', data: Uint8Array.from({ length: 70000 }, (_, i) => (i * 31) % 256) },
+      { name: 'empty.txt', data: new Uint8Array() },
+    ];
+
+    const entries = readZip(createZip(files));
+    expect(entries.map((entry) => entry.name)).toEqual(files.map((file) => file.name));
+    entries.forEach((entry, i) => {
+      expect(entry.data).toEqual(files[i].data);
+      expect(entry.crc).toBe(crc32(files[i].data));
+    });
+  });
+
+  it('stores modification times as MS-DOS dates', () => {
+    const modified = new Date('2026-10-18T14:30:20Z');
+    const [entry] = readZip(createZip([{ name: 'a.pdf', data: new Uint8Array([1]), modified }]));
+    expect(entry.modified.date).toBe(((2026 - 1980) << 9) | (10 << 5) | 18);
+    expect(entry.modified.time).toBe((14 << 11) | (30 << 5) | 10);
+  });
+
+  it('writes an empty archive', () => {
+    expect(readZip(createZip([]))).toEqual([]);
+  });
+});
@@ -6,6 +6,13 @@
 import { Context, Next } from 'hono';
 import { HTTPException } from 'hono/http-exception';
 import { verifyToken } from '../lib/jwt';
+import {
+  DEFAULT_VISIBILITY_POLICY,
+  getVisibilityPolicy,
+  resolveVisibility,
+  type VisibilityPolicy,
+  type VisibilityResource,
+} from '../lib/visibility';
 import type { Env, Variables } from '../types/env';
 
 /**
@@ -26,25 +33,41 @@ export const authenticate = async (
 
   const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
+  let user: NonNullable<Variables['user']>;
   try {
     const payload = await verifyToken(token, c.env.JWT_SECRET);
-
-    // Attach user to context
-    c.set('user', {
+    user = {
       id: payload.id,
       email: payload.email,
       role: payload.role,
       franchiseId: payload.franchiseId,
-    });
-
-    await next();
+    };
   } catch (error) {
     throw new HTTPException(401, {
       message: 'Unauthorized: Invalid or expired token',
     });
   }
+
+  // Attach user and their effective visibility scopes to context
+  c.set('user', user);
+  c.set('visibility', resolveVisibility(user, await loadVisibilityPolicy(c.env)));
+
+  await next();
 };
 
+/**
+ * Load the visibility policy, falling back to defaults so a policy lookup
+ * failure never locks users out
+ */
+async function loadVisibilityPolicy(env: Env): Promise<VisibilityPolicy> {
+  try {
+    return await getVisibilityPolicy(env);
+  } catch (error) {
+    console.error('Error loading visibility policy:', error);
+    return DEFAULT_VISIBILITY_POLICY;
+  }
+}
+
 /**
  * Role-based authorization middleware
  * Checks if authenticated user has one of the required roles
@@ -72,6 +95,38 @@ export const requireRole = (...roles: string[]) => {
   };
 };
 
+/**
+ * Role-or-visibility authorization middleware
+ * Like requireRole, but users outside the listed roles are also let through
+ * when the visibility policy lets them see other users' records of the
+ * resource ('all' or 'franchise'). Routes must then filter with
+ * visibilityCondition().
+ */
+export const requireRoleOrVisibility = (resource: VisibilityResource, ...roles: string[]) => {
+  return async (
+    c: Context<{ Bindings: Env; Variables: Variables }>,
+    next: Next
+  ) => {
+    const user = c.get('user');
+
+    if (!user) {
+      throw new HTTPException(401, {
+        message: 'Unauthorized: Authentication required',
+      });
+    }
+
+    const scope = c.get('visibility')?.[resource] ?? 'own';
+
+    if (!roles.includes(user.role) && scope === 'own') {
+      throw new HTTPException(403, {
+        message: `Forbidden: Requires one of these roles: ${roles.join(', ')}`,
+      });
+    }
+
+    await next();
+  };
+};
+
 /**
  * Ownership check middleware
  * Ensures user can only access their own resources (unless admin/manager)
@@ -0,0 +1,113 @@
+/**
+ * Tests for server drafts while they are being submitted.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { afterEach, beforeEach, describe, it, expect } from 'vitest';
+import { createForm, createTestEnv, createUser, request, type TestUser } from '../test/worker-env';
+import type { Env } from '../types/env';
+
+let env: Env;
+let dispose: () => Promise<void>;
+let tech: TestUser;
+let draftId: string;
+let photoId: string;
+
+const FORM = {
+  formId: 'form_test',
+  version: '1',
+  fields: [{ id: 'category', type: 'text', label: 'Category', required: true }],
+};
+
+const photoUpload = (name: string) => {
+  const body = new FormData();
+  body.append('fieldId', 'notes');
+  body.append('file', new File(['Hood, left side'], name, { type: 'text/plain' }));
+  return body;
+};
+
+const loadDraft = () => env.DB.prepare('SELECT status, form_data FROM aar_drafts WHERE id = ?').bind(draftId).first();
+
+const listPhotos = async () => {
+  const rows = await env.DB.prepare('SELECT filename FROM aar_draft_photos WHERE draft_id = ?').bind(draftId).all();
+  const objects = await env.PHOTOS.list({ prefix: `drafts/${tech.id}/${draftId}/` });
+  return { rows: rows.results.map((row) => row.filename), objects: objects.objects.length };
+};
+
+beforeEach(async () => {
+  ({ env, dispose } = await createTestEnv());
+  const admin = await createUser(env, 'user_admin', 'admin');
+  tech = await createUser(env, 'user_tech', 'employee');
+  await createForm(env, 'form_test', FORM, admin.id);
+
+  const created = await request(env, tech, 'POST', '/api/aars/drafts', {
+    formId: 'form_test',
+    formVersion: 1,
+    formData: { category: 'Vinyl' },
+  });
+  draftId = ((await created.json()) as any).data.draft.id;
+  const uploaded = await request(env, tech, 'POST', `/api/aars/drafts/${draftId}/photos`, photoUpload('first.txt'));
+  photoId = ((await uploaded.json()) as any).data.photo.id;
+});
+
+afterEach(() => dispose());
+
+describe('a draft being submitted', () => {
+  beforeEach(async () => {
+    // As claimed by a finalize request still in progress
+    await env.DB.prepare(`UPDATE aar_drafts SET status = 'finalizing' WHERE id = ?`).bind(draftId).run();
+  });
+
+  it('cannot be saved', async () => {
+    const response = await request(env, tech, 'PUT', `/api/aars/drafts/${draftId}`, {
+      formData: { category: 'Leather' },
+    });
+
+    expect(response.status).toBe(409);
+    expect(JSON.parse((await loadDraft())!.form_data as string)).toEqual({ category: 'Vinyl' });
+  });
+
+  it('takes no new photos', async () => {
+    const response = await request(env, tech, 'POST', `/api/aars/drafts/${draftId}/photos`, photoUpload('second.txt'));
+
+    expect(response.status).toBe(409);
+    expect(await listPhotos()).toEqual({ rows: ['first.txt'], objects: 1 });
+  });
+
+  it('keeps its photos and the draft itself', async () => {
+    const photo = await request(env, tech, 'DELETE', `/api/aars/drafts/${draftId}/photos/${photoId}`);
+    const draft = await request(env, tech, 'DELETE', `/api/aars/drafts/${draftId}`);
+
+    expect(photo.status).toBe(409);
+    expect(draft.status).toBe(409);
+    expect(await loadDraft()).toMatchObject({ status: 'finalizing' });
+    expect(await listPhotos()).toEqual({ rows: ['first.txt'], objects: 1 });
+  });
+
+  it('cannot be submitted again', async () => {
+    const response = await request(env, tech, 'POST', `/api/aars/drafts/${draftId}/finalize`);
+    expect(response.status).toBe(409);
+  });
+});
+
+describe('POST /api/aars/drafts/:draftId/finalize', () => {
+  it('gives an invalid draft back to the user', async () => {
+    const response = await request(env, tech, 'POST', `/api/aars/drafts/${draftId}/finalize`, {
+      formData: { category: '' },
+    });
+
+    expect(response.status).toBe(400);
+    expect(await loadDraft()).toMatchObject({ status: 'draft' });
+  });
+
+  it('submits the draft and deletes it', async () => {
+    await request(env, tech, 'DELETE', `/api/aars/drafts/${draftId}/photos/${photoId}`);
+    const response = await request(env, tech, 'POST', `/api/aars/drafts/${draftId}/finalize`);
+
+    expect(response.status).toBe(200);
+    expect(await loadDraft()).toBeNull();
+    const aar = await env.DB.prepare('SELECT form_data FROM aars WHERE user_id = ?').bind(tech.id).first();
+    expect(JSON.parse(aar!.form_data as string)).toMatchObject({ category: 'Vinyl' });
+  });
+});
@@ -0,0 +1,692 @@
+/**
+ * AAR Draft Routes
+ *
+ * Mounted by the AAR router under /api/aars/drafts (authentication is applied
+ * there). A draft is an unfinished AAR stored on the server, so a technician
+ * can start a report on one device and finish it on another:
+ * - form_data is saved as-is, without required-field validation
+ * - Photos are uploaded one at a time under drafts/<userId>/<draftId>/ in R2
+ * - Finalizing runs the full validateAARSubmission, moves the photos to the
+ *   AAR's prefix and deletes the draft
+ *
+ * Drafts are private: every route only sees the current user's drafts. While
+ * a draft is being submitted it cannot be changed (409).
+ */
+
+import { Hono, type Context } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+import { z } from 'zod';
+import { validateAARSubmission } from '../lib/validateAARSubmission';
+import { getSubmissionSchema } from '../lib/form-versions';
+import { generateId, insertAAR, photoKey, storeAARPhoto, type PhotoMetadata } from '../lib/aar-storage';
+import { ALLOWED_FILE_TYPES, INVALID_FILE_TYPE_MESSAGE, fileTooLargeMessage, maxUploadSize } from '../lib/upload-limits';
+import type { Env, Variables } from '../types/env';
+
+const app = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+// Body of POST / and PUT /:id (and optionally POST /:id/finalize)
+const draftBodySchema = z.object({
+  formId: z.string().min(1).nullable().optional(),
+  formVersion: z.union([z.string(), z.number()]).transform(String).nullable().optional(),
+  formData: z.record(z.any()).optional(),
+  // Field path -> photo IDs in display order; photos left out are deleted
+  photoLayout: z.record(z.array(z.string())).optional(),
+});
+
+type DraftBody = z.infer<typeof draftBodySchema>;
+
+type AppContext = Context<{ Bindings: Env; Variables: Variables }>;
+
+// Condition on a draft photo row: its draft is not being submitted (binds the draft ID)
+const EDITABLE_DRAFT_PHOTO = `draft_id IN (SELECT id FROM aar_drafts WHERE id = ? AND status = 'draft')`;
+
+type DraftPhotoRow = {
+  id: string;
+  field_id: string;
+  r2_key: string;
+  filename: string;
+  mime_type: string;
+  size: number;
+  display_order: number;
+};
+
+function formatDraft(row: any, photos?: DraftPhotoRow[]) {
+  return {
+    id: row.id,
+    formId: row.form_id,
+    formVersion: row.form_version,
+    formName: row.form_name ?? null,
+    formData: JSON.parse(row.form_data),
+    photoCount: photos ? photos.length : row.photo_count ?? 0,
+    ...(photos && { photos: photos.map(formatDraftPhoto) }),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function formatDraftPhoto(photo: DraftPhotoRow) {
+  return {
+    id: photo.id,
+    fieldId: photo.field_id,
+    r2Key: photo.r2_key,
+    filename: photo.filename,
+    mimeType: photo.mime_type,
+    size: photo.size,
+    displayOrder: photo.display_order,
+  };
+}
+
+/**
+ * Load one of the user's drafts (with its form name)
+ */
+function loadDraft(db: D1Database, draftId: string, userId: string) {
+  return db
+    .prepare(
+      `SELECT d.*, f.name as form_name
+       FROM aar_drafts d
+       LEFT JOIN custom_forms f ON f.id = d.form_id
+       WHERE d.id = ? AND d.user_id = ?`
+    )
+    .bind(draftId, userId)
+    .first();
+}
+
+async function loadDraftPhotos(db: D1Database, draftId: string): Promise<DraftPhotoRow[]> {
+  const result = await db
+    .prepare(
+      `SELECT id, field_id, r2_key, filename, mime_type, size, display_order
+       FROM aar_draft_photos
+       WHERE draft_id = ?
+       ORDER BY field_id, display_order`
+    )
+    .bind(draftId)
+    .all<DraftPhotoRow>();
+  return result.results || [];
+}
+
+/**
+ * Statement marking a draft as changed (ISO 8601 UTC, like the other draft timestamps)
+ * Changes nothing while the draft is being submitted: run it in the same batch
+ * as the change, guarded the same way, and check its meta.changes.
+ */
+function touchDraft(db: D1Database, draftId: string) {
+  return db
+    .prepare(
+      `UPDATE aar_drafts SET updated_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now') WHERE id = ? AND status = 'draft'`
+    )
+    .bind(draftId);
+}
+
+/**
+ * Save the given parts of a draft (form, values and photo layout)
+ * Nothing is saved while the draft is being submitted.
+ * @returns False if the draft is being submitted
+ */
+async function applyDraftChanges(env: Env, draftId: string, body: DraftBody): Promise<boolean> {
+  const statements = [];
+  const removed: DraftPhotoRow[] = [];
+
+  if (body.formId !== undefined) {
+    statements.push(
+      env.DB.prepare(`UPDATE aar_drafts SET form_id = ? WHERE id = ? AND status = 'draft'`).bind(body.formId, draftId)
+    );
+  }
+  if (body.formVersion !== undefined) {
+    statements.push(
+      env.DB.prepare(`UPDATE aar_drafts SET form_version = ? WHERE id = ? AND status = 'draft'`).bind(
+        body.formVersion,
+        draftId
+      )
+    );
+  }
+  if (body.formData !== undefined) {
+    statements.push(
+      env.DB.prepare(`UPDATE aar_drafts SET form_data = ? WHERE id = ? AND status = 'draft'`).bind(
+        JSON.stringify(body.formData),
+        draftId
+      )
+    );
+  }
+
+  // Photos move between field paths when repeatable section entries are removed
+  if (body.photoLayout) {
+    const placement = new Map<string, { fieldId: string; order: number }>();
+    for (const [fieldId, photoIds] of Object.entries(body.photoLayout)) {
+      photoIds.forEach((photoId, order) => placement.set(photoId, { fieldId, order }));
+    }
+
+    for (const photo of await loadDraftPhotos(env.DB, draftId)) {
+      const place = placement.get(photo.id);
+      if (place) {
+        statements.push(
+          env.DB.prepare(
+            `UPDATE aar_draft_photos SET field_id = ?, display_order = ? WHERE id = ? AND ${EDITABLE_DRAFT_PHOTO}`
+          ).bind(place.fieldId, place.order, photo.id, draftId)
+        );
+      } else {
+        removed.push(photo);
+        statements.push(
+          env.DB.prepare(`DELETE FROM aar_draft_photos WHERE id = ? AND ${EDITABLE_DRAFT_PHOTO}`).bind(photo.id, draftId)
+        );
+      }
+    }
+  }
+
+  statements.push(touchDraft(env.DB, draftId));
+  const results = await env.DB.batch(statements);
+  if (!results[results.length - 1].meta.changes) return false;
+
+  if (removed.length > 0) {
+    await env.PHOTOS.delete(removed.map((photo) => photo.r2_key));
+  }
+  return true;
+}
+
+/**
+ * Parse a JSON draft body
+ * @returns The parsed body, or a 400 response
+ */
+async function parseDraftBody(c: AppContext, optional = false): Promise<DraftBody | Response> {
+  let json: unknown = {};
+  try {
+    json = await c.req.json();
+  } catch {
+    if (!optional) {
+      return c.json({ success: false, message: 'Invalid JSON body' }, 400);
+    }
+  }
+
+  const parsed = draftBodySchema.safeParse(json);
+  if (!parsed.success) {
+    return c.json(
+      {
+        success: false,
+        message: 'Invalid draft',
+        errors: parsed.error.flatten().fieldErrors,
+      },
+      400
+    );
+  }
+  return parsed.data;
+}
+
+/**
+ * Undo a finalize claim so the draft can be submitted again
+ */
+function releaseDraft(db: D1Database, draftId: string) {
+  return db.prepare(`UPDATE aar_drafts SET status = 'draft' WHERE id = ?`).bind(draftId).run();
+}
+
+const draftNotFound = (c: AppContext) => c.json({ success: false, message: 'Draft not found' }, 404);
+
+const draftBeingSubmitted = (c: AppContext) =>
+  c.json({ success: false, message: 'Draft is already being submitted' }, 409);
+
+const serverError = (c: AppContext, error: unknown) =>
+  c.json(
+    {
+      success: false,
+      message: 'Internal server error',
+      error: error instanceof Error ? error.message : 'Unknown error',
+    },
+    500
+  );
+
+/**
+ * GET /api/aars/drafts
+ * List the current user's drafts, most recently changed first
+ */
+app.get('/', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    const result = await c.env.DB.prepare(
+      `SELECT d.*, f.name as form_name,
+        (SELECT COUNT(*) FROM aar_draft_photos p WHERE p.draft_id = d.id) as photo_count
+       FROM aar_drafts d
+       LEFT JOIN custom_forms f ON f.id = d.form_id
+       WHERE d.user_id = ?
+       ORDER BY d.updated_at DESC`
+    )
+      .bind(user.id)
+      .all();
+
+    return c.json({
+      success: true,
+      data: { drafts: (result.results || []).map((row) => formatDraft(row)) },
+    });
+  } catch (error) {
+    console.error('Error listing drafts:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * POST /api/aars/drafts
+ * Start a draft
+ *
+ * Request body (JSON, all optional): { formId, formVersion, formData }
+ */
+app.post('/', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+    const body = await parseDraftBody(c, true);
+    if (body instanceof Response) return body;
+
+    const draftId = generateId('draft');
+    await c.env.DB.prepare(
+      `INSERT INTO aar_drafts (id, user_id, form_id, form_version, form_data, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%SZ', 'now'), strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))`
+    )
+      .bind(draftId, user.id, body.formId ?? null, body.formVersion ?? null, JSON.stringify(body.formData || {}))
+      .run();
+
+    const draft = await loadDraft(c.env.DB, draftId, user.id);
+    return c.json({ success: true, data: { draft: formatDraft(draft, []) } }, 201);
+  } catch (error) {
+    console.error('Error creating draft:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * GET /api/aars/drafts/:draftId
+ * Get a draft with its photos
+ */
+app.get('/:draftId', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+    const draftId = c.req.param('draftId');
+
+    const draft = await loadDraft(c.env.DB, draftId, user.id);
+    if (!draft) return draftNotFound(c);
+
+    const photos = await loadDraftPhotos(c.env.DB, draftId);
+    return c.json({ success: true, data: { draft: formatDraft(draft, photos) } });
+  } catch (error) {
+    console.error('Error fetching draft:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * PUT /api/aars/drafts/:draftId
+ * Save a draft (no required-field validation)
+ *
+ * Request body (JSON): { formId?, formVersion?, formData?, photoLayout? }
+ * - formData replaces the saved values
+ * - photoLayout ({ fieldPath: photoId[] }) sets where each photo belongs;
+ *   photos it leaves out are deleted
+ */
+app.put('/:draftId', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+    const draftId = c.req.param('draftId');
+
+    const body = await parseDraftBody(c);
+    if (body instanceof Response) return body;
+
+    const existing = await loadDraft(c.env.DB, draftId, user.id);
+    if (!existing) return draftNotFound(c);
+    if (existing.status !== 'draft' || !(await applyDraftChanges(c.env, draftId, body))) {
+      return draftBeingSubmitted(c);
+    }
+
+    const draft = await loadDraft(c.env.DB, draftId, user.id);
+    const photos = await loadDraftPhotos(c.env.DB, draftId);
+    return c.json({ success: true, data: { draft: formatDraft(draft, photos) } });
+  } catch (error) {
+    console.error('Error saving draft:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * DELETE /api/aars/drafts/:draftId
+ * Delete a draft and its photos
+ */
+app.delete('/:draftId', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+    const draftId = c.req.param('draftId');
+
+    const existing = await loadDraft(c.env.DB, draftId, user.id);
+    if (!existing) return draftNotFound(c);
+    if (existing.status !== 'draft') return draftBeingSubmitted(c);
+
+    const photos = await loadDraftPhotos(c.env.DB, draftId);
+    const [, deleted] = await c.env.DB.batch([
+      c.env.DB.prepare(`DELETE FROM aar_draft_photos WHERE ${EDITABLE_DRAFT_PHOTO}`).bind(draftId),
+      c.env.DB.prepare(`DELETE FROM aar_drafts WHERE id = ? AND status = 'draft'`).bind(draftId),
+    ]);
+    if (!deleted.meta.changes) return draftBeingSubmitted(c);
+    if (photos.length > 0) {
+      await c.env.PHOTOS.delete(photos.map((photo) => photo.r2_key));
+    }
+
+    return c.json({ success: true, message: 'Draft deleted' });
+  } catch (error) {
+    console.error('Error deleting draft:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * POST /api/aars/drafts/:draftId/photos
+ * Upload a photo or file to a draft
+ *
+ * Request format: multipart/form-data
+ * - fieldId: Field path the file belongs to (e.g. damageAreas.0.photos)
+ * - file: The file (appended after the field's existing files), up to
+ *   MAX_UPLOAD_SIZE_MB and of a type in ALLOWED_FILE_TYPES
+ */
+app.post('/:draftId/photos', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+    const draftId = c.req.param('draftId');
+
+    const draft = await loadDraft(c.env.DB, draftId, user.id);
+    if (!draft) return draftNotFound(c);
+    if (draft.status !== 'draft') return draftBeingSubmitted(c);
+
+    const body = await c.req.parseBody();
+    const fieldId = body.fieldId;
+    const file = body.file;
+
+    if (typeof fieldId !== 'string' || !fieldId || !(file instanceof File) || file.size === 0) {
+      return c.json(
+        {
+          success: false,
+          message: 'Missing required fields: fieldId, file',
+        },
+        400
+      );
+    }
+
+    if (file.size > maxUploadSize(c.env)) {
+      return c.json({ success: false, message: fileTooLargeMessage(c.env) }, 400);
+    }
+
+    if (!ALLOWED_FILE_TYPES.includes(file.type)) {
+      return c.json({ success: false, message: INVALID_FILE_TYPE_MESSAGE }, 400);
+    }
+
+    const last = await c.env.DB.prepare(
+      'SELECT MAX(display_order) as display_order FROM aar_draft_photos WHERE draft_id = ? AND field_id = ?'
+    )
+      .bind(draftId, fieldId)
+      .first<{ display_order: number | null }>();
+
+    const photo: DraftPhotoRow = {
+      id: generateId('photo'),
+      field_id: fieldId,
+      r2_key: photoKey(`drafts/${user.id}/${draftId}`, fieldId, file.name),
+      filename: file.name,
+      mime_type: file.type,
+      size: file.size,
+      display_order: (last?.display_order ?? -1) + 1,
+    };
+
+    await c.env.PHOTOS.put(photo.r2_key, await file.arrayBuffer(), {
+      httpMetadata: {
+        contentType: file.type,
+      },
+    });
+
+    // The draft may have been submitted during the upload; its photos are fixed then
+    const [inserted] = await c.env.DB.batch([
+      c.env.DB.prepare(
+        `INSERT INTO aar_draft_photos (id, draft_id, field_id, r2_key, filename, mime_type, size, display_order, created_at)
+         SELECT ?, id, ?, ?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+         FROM aar_drafts WHERE id = ? AND status = 'draft'`
+      ).bind(
+        photo.id,
+        photo.field_id,
+        photo.r2_key,
+        photo.filename,
+        photo.mime_type,
+        photo.size,
+        photo.display_order,
+        draftId
+      ),
+      touchDraft(c.env.DB, draftId),
+    ]);
+    if (!inserted.meta.changes) {
+      await c.env.PHOTOS.delete(photo.r2_key);
+      return draftBeingSubmitted(c);
+    }
+
+    return c.json({ success: true, data: { photo: formatDraftPhoto(photo) } }, 201);
+  } catch (error) {
+    console.error('Error uploading draft photo:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * DELETE /api/aars/drafts/:draftId/photos/:photoId
+ * Remove a photo from a draft
+ */
+app.delete('/:draftId/photos/:photoId', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+    const draftId = c.req.param('draftId');
+
+    const draft = await loadDraft(c.env.DB, draftId, user.id);
+    if (!draft) return draftNotFound(c);
+    if (draft.status !== 'draft') return draftBeingSubmitted(c);
+
+    const photo = await c.env.DB.prepare('SELECT r2_key FROM aar_draft_photos WHERE id = ? AND draft_id = ?')
+      .bind(c.req.param('photoId'), draftId)
+      .first<{ r2_key: string }>();
+
+    if (!photo) {
+      return c.json({ success: false, message: 'Photo not found' }, 404);
+    }
+
+    const [deleted] = await c.env.DB.batch([
+      c.env.DB.prepare(`DELETE FROM aar_draft_photos WHERE id = ? AND ${EDITABLE_DRAFT_PHOTO}`).bind(
+        c.req.param('photoId'),
+        draftId
+      ),
+      touchDraft(c.env.DB, draftId),
+    ]);
+    if (!deleted.meta.changes) return draftBeingSubmitted(c);
+    await c.env.PHOTOS.delete(photo.r2_key);
+
+    return c.json({ success: true, message: 'Photo deleted' });
+  } catch (error) {
+    console.error('Error deleting draft photo:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * POST /api/aars/drafts/:draftId/finalize
+ * Submit a draft as an AAR
+ *
+ * Request body (JSON, optional): the same fields as PUT, saved first.
+ * The draft is validated like a direct submission (POST /api/aars); if it is
+ * invalid it is kept and the validation errors are returned. Otherwise its
+ * photos move to the AAR's R2 prefix and the draft is deleted.
+ * Fails with 409 if the draft is already being submitted (nothing is created
+ * twice), if one of its files is missing from storage, or if it was filled in
+ * on an older form version (with `currentVersion`).
+ */
+app.post('/:draftId/finalize', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+    const draftId = c.req.param('draftId');
+
+    const body = await parseDraftBody(c, true);
+    if (body instanceof Response) return body;
+
+    const existing = await loadDraft(c.env.DB, draftId, user.id);
+    if (!existing) return draftNotFound(c);
+    if (existing.status !== 'draft') return draftBeingSubmitted(c);
+
+    if (Object.keys(body).length > 0 && !(await applyDraftChanges(c.env, draftId, body))) {
+      return draftBeingSubmitted(c);
+    }
+
+    // Claim the draft so it cannot change while it is validated and submitted,
+    // and a repeated or concurrent request cannot submit it twice
+    const claim = await c.env.DB.prepare(
+      `UPDATE aar_drafts SET status = 'finalizing' WHERE id = ? AND user_id = ? AND status = 'draft'`
+    )
+      .bind(draftId, user.id)
+      .run();
+    if (!claim.meta.changes) return draftBeingSubmitted(c);
+
+    // Until the AAR exists, every way out gives the draft back
+    let submitted = false;
+    let createdAAR;
+    let photos: DraftPhotoRow[] = [];
+    const aarId = generateId('aar');
+    const photoUrls: Record<string, string[]> = {};
+    try {
+      const draft = (await loadDraft(c.env.DB, draftId, user.id))!;
+      const formId = draft.form_id as string | null;
+      const formVersion = draft.form_version as string | null;
+      const formData = JSON.parse(draft.form_data as string);
+
+      if (!formId || !formVersion) {
+        return c.json(
+          {
+            success: false,
+            message: 'Missing required fields: formId, formVersion',
+          },
+          400
+        );
+      }
+
+      // Validate against the form's current version, which the draft must have filled in
+      const submission = await getSubmissionSchema(c.env.DB, formId, formVersion);
+
+      if (!submission.schema) {
+        if (submission.reason === 'outdated') {
+          return c.json(
+            {
+              success: false,
+              message: 'The form has changed. Reload the page to get the current form.',
+              currentVersion: submission.currentVersion,
+            },
+            409
+          );
+        }
+        return c.json(
+          {
+            success: false,
+            message: 'Form not found or archived. Reload the page to get the current form.',
+          },
+          400
+        );
+      }
+      const formSchema = submission.schema;
+
+      photos = await loadDraftPhotos(c.env.DB, draftId);
+      const photoMetadata: PhotoMetadata = {};
+      for (const photo of photos) {
+        if (!photoMetadata[photo.field_id]) photoMetadata[photo.field_id] = [];
+        photoMetadata[photo.field_id].push({ filename: photo.filename, size: photo.size, type: photo.mime_type });
+      }
+
+      const validation = await validateAARSubmission(formData, formSchema, photoMetadata);
+
+      if (!validation.valid) {
+        return c.json(
+          {
+            success: false,
+            message: 'Validation failed',
+            errors: validation.errors,
+          },
+          400
+        );
+      }
+
+      // Check every photo before copying any, so nothing is submitted without its photos
+      const stored = await Promise.all(photos.map((photo) => c.env.PHOTOS.head(photo.r2_key)));
+      const missing = photos.filter((_, i) => !stored[i]);
+      if (missing.length > 0) {
+        const filenames = missing.map((photo) => photo.filename).join(', ');
+        return c.json(
+          {
+            success: false,
+            message: `Draft files missing from storage: ${filenames}. Remove and upload them again.`,
+            data: { photoIds: missing.map((photo) => photo.id) },
+          },
+          409
+        );
+      }
+
+      // Move the photos to the AAR's prefix (R2 has no rename: copy, then delete)
+      for (const photo of photos) {
+        const object = await c.env.PHOTOS.get(photo.r2_key);
+        if (!object) throw new Error(`Draft photo missing from R2: ${photo.r2_key}`);
+
+        if (!photoUrls[photo.field_id]) {
+          photoUrls[photo.field_id] = [];
+        }
+        const r2Key = await storeAARPhoto(c.env, {
+          aarId,
+          userId: user.id,
+          fieldId: photo.field_id,
+          body: await object.arrayBuffer(),
+          filename: photo.filename,
+          mimeType: photo.mime_type,
+          size: photo.size,
+          displayOrder: photoUrls[photo.field_id].length,
+        });
+        photoUrls[photo.field_id].push(r2Key);
+      }
+
+      createdAAR = await insertAAR(c.env.DB, {
+        aarId,
+        userId: user.id,
+        formId,
+        formVersion,
+        formData,
+        photoUrls,
+      });
+      submitted = true;
+    } finally {
+      if (!submitted) await releaseDraft(c.env.DB, draftId);
+    }
+
+    if (!createdAAR) {
+      return c.json(
+        {
+          success: false,
+          message: 'Failed to retrieve created AAR',
+        },
+        500
+      );
+    }
+
+    // The AAR exists now; clean up the draft
+    if (photos.length > 0) {
+      await c.env.PHOTOS.delete(photos.map((photo) => photo.r2_key));
+    }
+    await c.env.DB.batch([
+      c.env.DB.prepare('DELETE FROM aar_draft_photos WHERE draft_id = ?').bind(draftId),
+      c.env.DB.prepare('DELETE FROM aar_drafts WHERE id = ?').bind(draftId),
+    ]);
+
+    return c.json({
+      success: true,
+      data: {
+        aar: createdAAR,
+        photoUrls,
+      },
+    });
+  } catch (error) {
+    console.error('Error finalizing draft:', error);
+    // A photo rejected by the image pipeline
+    if (error instanceof HTTPException) {
+      return c.json({ success: false, message: error.message }, error.status);
+    }
+    return serverError(c, error);
+  }
+});
+
+export default app;
@@ -0,0 +1,481 @@
+/**
+ * AAR Photo Routes
+ *
+ * Mounted by the AAR router under /api/aars/:id/photos (authentication is
+ * applied there). Lets the AAR's owner, admins and managers change the photos
+ * of a submitted AAR:
+ * - Add files to a file field (uploaded beforehand through upload sessions,
+ *   see ./upload-sessions.ts)
+ * - Reorder a field's photos, caption a photo, pair two photos of different
+ *   fields as before and after
+ * - Replace a photo's file (keeping its place, caption and pair) or delete it;
+ *   the old file and its renditions are removed from R2
+ *
+ * Adding, replacing and deleting re-validate the field against the form
+ * version the AAR was submitted on (required, `multiple` and `accept`).
+ * Every change rewrites form_data._photoUrls. Responses carry the AAR's
+ * photos grouped by field path, as GET /api/aars/:id returns them.
+ */
+
+import { Hono, type Context } from 'hono';
+import { z } from 'zod';
+import { validateAARSubmission, type FormSchema } from '../lib/validateAARSubmission';
+import { getFormVersionSchema } from '../lib/form-versions';
+import {
+  deletePhotoFiles,
+  loadAARPhotos,
+  loadCompletedUploads,
+  recordAARPhoto,
+  releaseUploads,
+  syncPhotoUrls,
+  type AARPhotoRow,
+  type PhotoMetadata,
+} from '../lib/aar-storage';
+import { getInstancePath, getSectionItems, isRepeatableSection } from '../../../shared/repeatable-sections';
+import { visibilityConditionFor } from '../lib/visibility';
+import type { Env, Variables } from '../types/env';
+
+const app = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+type AppContext = Context<{ Bindings: Env; Variables: Variables }>;
+
+const MAX_CAPTION_LENGTH = 500;
+
+const addPhotosSchema = z.object({
+  fieldId: z.string().min(1),
+  uploads: z.array(z.string()).min(1), // Completed upload session IDs
+});
+
+const reorderSchema = z.object({
+  fieldId: z.string().min(1),
+  photoIds: z.array(z.string()), // Every photo of the field, in the new order
+});
+
+const captionSchema = z.object({
+  caption: z.string().max(MAX_CAPTION_LENGTH).nullable(),
+});
+
+const replaceSchema = z.object({
+  upload: z.string().min(1), // Completed upload session ID
+});
+
+const pairSchema = z.object({
+  pairedPhotoId: z.string().min(1).nullable(), // null removes the pair
+  role: z.enum(['before', 'after']).optional(), // Of the photo in the URL
+});
+
+type AARRow = {
+  id: string;
+  user_id: string;
+  form_id: string;
+  form_version: string;
+  form_data: string;
+};
+
+const aarNotFound = (c: AppContext) => c.json({ success: false, message: 'AAR not found' }, 404);
+
+const photoNotFound = (c: AppContext) => c.json({ success: false, message: 'Photo not found' }, 404);
+
+const badRequest = (c: AppContext, message: string) => c.json({ success: false, message }, 400);
+
+const serverError = (c: AppContext, error: unknown) =>
+  c.json(
+    {
+      success: false,
+      message: 'Internal server error',
+      error: error instanceof Error ? error.message : 'Unknown error',
+    },
+    500
+  );
+
+// Only AARs the user can see, and only the owner, admins and managers may change photos
+app.use('*', async (c, next) => {
+  const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+  const visible = visibilityConditionFor(c, 'aars', 'user_id');
+  const aar = await c.env.DB.prepare(`SELECT user_id FROM aars WHERE id = ? AND deleted_at IS NULL AND ${visible.sql}`)
+    .bind(c.req.param('id'), ...visible.bindings)
+    .first<{ user_id: string }>();
+
+  if (!aar) return aarNotFound(c);
+
+  if (aar.user_id !== user.id && user.role !== 'admin' && user.role !== 'manager') {
+    return c.json(
+      {
+        success: false,
+        message: 'You do not have permission to edit this AAR',
+      },
+      403
+    );
+  }
+
+  return next();
+});
+
+function loadAAR(db: D1Database, aarId: string) {
+  return db
+    .prepare('SELECT id, user_id, form_id, form_version, form_data FROM aars WHERE id = ?')
+    .bind(aarId)
+    .first<AARRow>();
+}
+
+/**
+ * Paths of the file fields an AAR can hold photos under (fields of repeatable
+ * sections once per entry)
+ */
+function getFileFieldPaths(schema: FormSchema, formData: Record<string, any>): Set<string> {
+  const paths = new Set<string>();
+  for (const field of schema.fields.filter((f) => f.type === 'file')) {
+    const section = schema.sections?.find((s) => s.id === field.section);
+    if (isRepeatableSection(section)) {
+      getSectionItems(formData, section!.id).forEach((_, index) =>
+        paths.add(getInstancePath(section!.id, index, field.id))
+      );
+    } else {
+      paths.add(field.id);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Validate the photos a field would have after a change
+ * @param photos - The AAR's photos after the change, by field path
+ * @returns Validation errors for the field (empty if it is valid)
+ */
+async function validateFieldPhotos(
+  schema: FormSchema,
+  aar: AARRow,
+  fieldId: string,
+  photos: Record<string, { filename: string; mime_type: string; size: number }[]>
+) {
+  const { _photoUrls: _ignored, ...formData } = JSON.parse(aar.form_data);
+  const photoMetadata: PhotoMetadata = Object.fromEntries(
+    Object.entries(photos).map(([path, fieldPhotos]) => [
+      path,
+      fieldPhotos.map((photo) => ({ filename: photo.filename, size: photo.size, type: photo.mime_type })),
+    ])
+  );
+
+  const validation = await validateAARSubmission(formData, schema, photoMetadata);
+  return validation.errors.filter((error) => error.field === fieldId);
+}
+
+/**
+ * Load what a change needs: the AAR, its form schema and its photos
+ * @returns A response to send instead if the form version is gone
+ */
+async function loadForChange(c: AppContext) {
+  const aar = (await loadAAR(c.env.DB, c.req.param('id')!))!;
+  const schema = await getFormVersionSchema(c.env.DB, aar.form_id, aar.form_version);
+  if (!schema) {
+    return {
+      error: c.json({ success: false, message: 'Form version used by this AAR no longer exists' }, 409),
+    };
+  }
+  return { aar, schema, photos: await loadAARPhotos(c.env.DB, aar.id) };
+}
+
+const findPhoto = (photos: Record<string, AARPhotoRow[]>, photoId: string) =>
+  Object.values(photos)
+    .flat()
+    .find((photo) => photo.id === photoId);
+
+const validationFailed = (c: AppContext, errors: { field: string; message: string }[]) =>
+  c.json({ success: false, message: 'Validation failed', errors }, 400);
+
+/**
+ * Respond with the AAR's photos after a change
+ */
+async function photosResponse(c: AppContext, status: 200 | 201 = 200) {
+  const photos = await loadAARPhotos(c.env.DB, c.req.param('id')!);
+  return c.json({ success: true, data: { photos } }, status);
+}
+
+/**
+ * POST /api/aars/:id/photos
+ * Add files to a file field (after its existing photos)
+ *
+ * Request body (JSON): { fieldId, uploads: [uploadSessionId, ...] }
+ */
+app.post('/', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    const parsed = addPhotosSchema.safeParse(await c.req.json().catch(() => null));
+    if (!parsed.success) return badRequest(c, 'Missing required fields: fieldId, uploads');
+    const { fieldId, uploads } = parsed.data;
+
+    const loaded = await loadForChange(c);
+    if ('error' in loaded) return loaded.error;
+    const { aar, schema, photos } = loaded;
+
+    if (!getFileFieldPaths(schema, JSON.parse(aar.form_data)).has(fieldId)) {
+      return badRequest(c, `Unknown file field: ${fieldId}`);
+    }
+
+    const completed = await loadCompletedUploads(c.env.DB, user.id, { [fieldId]: uploads });
+    if (!completed) return badRequest(c, 'Unknown, unfinished or expired upload');
+    const files = completed[fieldId];
+
+    const existing = photos[fieldId] || [];
+    const errors = await validateFieldPhotos(schema, aar, fieldId, {
+      ...photos,
+      [fieldId]: [
+        ...existing,
+        ...files.map((file) => ({ filename: file.filename, mime_type: file.mimeType, size: file.size })),
+      ],
+    });
+    if (errors.length > 0) return validationFailed(c, errors);
+
+    const lastOrder = existing.reduce((max, photo) => Math.max(max, photo.display_order), -1);
+    for (const [index, file] of files.entries()) {
+      await recordAARPhoto(c.env.DB, {
+        aarId: aar.id,
+        fieldId,
+        r2Key: file.r2Key,
+        filename: file.filename,
+        mimeType: file.mimeType,
+        size: file.size,
+        displayOrder: lastOrder + 1 + index,
+        width: file.width,
+        height: file.height,
+        thumbnailKey: file.thumbnailKey,
+        mediumKey: file.mediumKey,
+      });
+    }
+    await releaseUploads(
+      c.env.DB,
+      files.map((file) => file.id)
+    );
+    await syncPhotoUrls(c.env.DB, aar.id);
+
+    return photosResponse(c, 201);
+  } catch (error) {
+    console.error('Error adding AAR photos:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * PUT /api/aars/:id/photos/order
+ * Reorder the photos of a field
+ *
+ * Request body (JSON): { fieldId, photoIds } - every photo of the field
+ */
+app.put('/order', async (c) => {
+  try {
+    const parsed = reorderSchema.safeParse(await c.req.json().catch(() => null));
+    if (!parsed.success) return badRequest(c, 'Missing required fields: fieldId, photoIds');
+    const { fieldId, photoIds } = parsed.data;
+
+    const aarId = c.req.param('id')!;
+    const current = (await loadAARPhotos(c.env.DB, aarId))[fieldId] || [];
+    const currentIds = new Set(current.map((photo) => photo.id));
+    if (photoIds.length !== current.length || !photoIds.every((photoId) => currentIds.delete(photoId))) {
+      return badRequest(c, 'photoIds must list every photo of the field once');
+    }
+
+    if (photoIds.length > 0) {
+      await c.env.DB.batch(
+        photoIds.map((photoId, index) =>
+          c.env.DB.prepare('UPDATE photos SET display_order = ? WHERE id = ? AND aar_id = ?').bind(index, photoId, aarId)
+        )
+      );
+    }
+    await syncPhotoUrls(c.env.DB, aarId);
+
+    return photosResponse(c);
+  } catch (error) {
+    console.error('Error reordering AAR photos:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * PATCH /api/aars/:id/photos/:photoId
+ * Set or clear a photo's caption
+ *
+ * Request body (JSON): { caption } - null or blank removes it
+ */
+app.patch('/:photoId', async (c) => {
+  try {
+    const parsed = captionSchema.safeParse(await c.req.json().catch(() => null));
+    if (!parsed.success) {
+      return badRequest(c, `caption must be text of at most ${MAX_CAPTION_LENGTH} characters, or null`);
+    }
+    const caption = parsed.data.caption?.trim() || null;
+
+    const result = await c.env.DB.prepare('UPDATE photos SET caption = ? WHERE id = ? AND aar_id = ?')
+      .bind(caption, c.req.param('photoId'), c.req.param('id'))
+      .run();
+    if (!result.meta.changes) return photoNotFound(c);
+
+    return photosResponse(c);
+  } catch (error) {
+    console.error('Error captioning AAR photo:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * PUT /api/aars/:id/photos/:photoId/pair
+ * Pair two photos of different fields as before and after (each photo has at
+ * most one pair)
+ *
+ * Request body (JSON): { pairedPhotoId, role? } - null removes the photo's pair.
+ * role ('before' or 'after') is the photo's side of the pair and is stored in
+ * the type column of both photos. It defaults to the photo's type when the
+ * two photos' types differ (e.g. beforePhotos and afterPhotos) and is
+ * required otherwise (e.g. two damageAreas.N.photos fields).
+ */
+app.put('/:photoId/pair', async (c) => {
+  try {
+    const parsed = pairSchema.safeParse(await c.req.json().catch(() => null));
+    if (!parsed.success) return badRequest(c, 'Missing required field: pairedPhotoId (role must be before or after)');
+    const { pairedPhotoId } = parsed.data;
+
+    const aarId = c.req.param('id')!;
+    const photos = await loadAARPhotos(c.env.DB, aarId);
+    const photo = findPhoto(photos, c.req.param('photoId'));
+    if (!photo) return photoNotFound(c);
+
+    const partner = pairedPhotoId ? findPhoto(photos, pairedPhotoId) : null;
+    if (pairedPhotoId && !partner) return photoNotFound(c);
+    if (partner && partner.field_id === photo.field_id) {
+      return badRequest(c, 'Pair photos of different fields');
+    }
+    const role = parsed.data.role ?? (partner && partner.type !== photo.type ? photo.type : null);
+    if (partner && !role) {
+      return badRequest(c, 'Missing required field: role (both photos are of the same kind)');
+    }
+
+    // Break the existing pairs of both photos, then link them to each other
+    const pairIds = partner ? [photo.id, partner.id] : [photo.id];
+    const placeholders = pairIds.map(() => '?').join(', ');
+    const statements = [
+      c.env.DB.prepare(
+        `UPDATE photos SET paired_photo_id = NULL
+         WHERE aar_id = ? AND (id IN (${placeholders}) OR paired_photo_id IN (${placeholders}))`
+      ).bind(aarId, ...pairIds, ...pairIds),
+    ];
+    if (partner) {
+      statements.push(
+        c.env.DB.prepare('UPDATE photos SET paired_photo_id = ?, type = ? WHERE id = ?').bind(
+          partner.id,
+          role,
+          photo.id
+        ),
+        c.env.DB.prepare('UPDATE photos SET paired_photo_id = ?, type = ? WHERE id = ?').bind(
+          photo.id,
+          role === 'before' ? 'after' : 'before',
+          partner.id
+        )
+      );
+    }
+    await c.env.DB.batch(statements);
+
+    return photosResponse(c);
+  } catch (error) {
+    console.error('Error pairing AAR photos:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * PUT /api/aars/:id/photos/:photoId/file
+ * Replace a photo's file, keeping its place, caption and pair
+ *
+ * Request body (JSON): { upload: uploadSessionId }
+ */
+app.put('/:photoId/file', async (c) => {
+  try {
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    const parsed = replaceSchema.safeParse(await c.req.json().catch(() => null));
+    if (!parsed.success) return badRequest(c, 'Missing required field: upload');
+
+    const loaded = await loadForChange(c);
+    if ('error' in loaded) return loaded.error;
+    const { aar, schema, photos } = loaded;
+
+    const photo = findPhoto(photos, c.req.param('photoId'));
+    if (!photo) return photoNotFound(c);
+
+    const completed = await loadCompletedUploads(c.env.DB, user.id, { [photo.field_id]: [parsed.data.upload] });
+    if (!completed) return badRequest(c, 'Unknown, unfinished or expired upload');
+    const [file] = completed[photo.field_id];
+
+    const errors = await validateFieldPhotos(schema, aar, photo.field_id, {
+      ...photos,
+      [photo.field_id]: photos[photo.field_id].map((p) =>
+        p.id === photo.id ? { filename: file.filename, mime_type: file.mimeType, size: file.size } : p
+      ),
+    });
+    if (errors.length > 0) return validationFailed(c, errors);
+
+    await c.env.DB.prepare(
+      `UPDATE photos
+       SET r2_key = ?, filename = ?, mime_type = ?, size = ?, width = ?, height = ?,
+           thumbnail_r2_key = ?, medium_r2_key = ?
+       WHERE id = ?`
+    )
+      .bind(
+        file.r2Key,
+        file.filename,
+        file.mimeType,
+        file.size,
+        file.width,
+        file.height,
+        file.thumbnailKey,
+        file.mediumKey,
+        photo.id
+      )
+      .run();
+    await releaseUploads(c.env.DB, [file.id]);
+    await syncPhotoUrls(c.env.DB, aar.id);
+    await deletePhotoFiles(c.env, [photo]);
+
+    return photosResponse(c);
+  } catch (error) {
+    console.error('Error replacing AAR photo:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * DELETE /api/aars/:id/photos/:photoId
+ * Delete a photo and its files
+ */
+app.delete('/:photoId', async (c) => {
+  try {
+    const loaded = await loadForChange(c);
+    if ('error' in loaded) return loaded.error;
+    const { aar, schema, photos } = loaded;
+
+    const photo = findPhoto(photos, c.req.param('photoId'));
+    if (!photo) return photoNotFound(c);
+
+    const errors = await validateFieldPhotos(schema, aar, photo.field_id, {
+      ...photos,
+      [photo.field_id]: photos[photo.field_id].filter((p) => p.id !== photo.id),
+    });
+    if (errors.length > 0) return validationFailed(c, errors);
+
+    await c.env.DB.batch([
+      c.env.DB.prepare('UPDATE photos SET paired_photo_id = NULL WHERE aar_id = ? AND paired_photo_id = ?').bind(
+        aar.id,
+        photo.id
+      ),
+      c.env.DB.prepare('DELETE FROM photos WHERE id = ?').bind(photo.id),
+    ]);
+    await syncPhotoUrls(c.env.DB, aar.id);
+    await deletePhotoFiles(c.env, [photo]);
+
+    return photosResponse(c);
+  } catch (error) {
+    console.error('Error deleting AAR photo:', error);
+    return serverError(c, error);
+  }
+});
+
+export default app;
@@ -0,0 +1,218 @@
+/**
+ * AAR Report Routes
+ *
+ * Mounted by the AAR router under /api/aars/reports (authentication is
+ * applied there). PDF job reports of AARs the user can see, rendered by
+ * ../lib/aar-report.ts:
+ * - GET /:id - One AAR as a PDF
+ * - POST / - Several AARs ({ ids }) as PDFs in a ZIP
+ *
+ * Options (query parameters for GET, body fields for POST):
+ * - timeZone: IANA time zone dates are printed in (UTC if missing or unknown)
+ * - area, liquid: Units measurements are converted to (default: the user's
+ *   unit preferences)
+ */
+
+import { Hono, type Context } from 'hono';
+import { z } from 'zod';
+import { renderAARReport, reportFilename, type ReportAAR, type ReportBranding, type ReportOptions } from '../lib/aar-report';
+import { loadAARPhotos } from '../lib/aar-storage';
+import { getFormVersionSchema } from '../lib/form-versions';
+import { visibilityConditionFor } from '../lib/visibility';
+import { createZip } from '../lib/zip';
+import { DEFAULT_UNIT_PREFERENCES } from '../../../shared/units';
+import type { Env, Variables } from '../types/env';
+
+const app = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+type AppContext = Context<{ Bindings: Env; Variables: Variables }>;
+
+// Reports are rendered one after another in a single request; most of the
+// time and memory goes to fetching and embedding photos, so those are capped too
+const MAX_BATCH_SIZE = 20;
+const MAX_BATCH_PHOTOS = 60;
+
+const optionsSchema = z.object({
+  timeZone: z.string().max(100).optional(),
+  area: z.enum(['sqft', 'sqm']).optional(),
+  liquid: z.enum(['ml', 'oz', 'l', 'gal']).optional(),
+});
+
+const batchSchema = optionsSchema.extend({
+  ids: z.array(z.string().min(1)).min(1).max(MAX_BATCH_SIZE),
+});
+
+const INVALID_OPTIONS = 'area must be sqft or sqm; liquid must be ml, oz, l or gal';
+
+type ReportRow = Omit<ReportAAR, 'form_data'> & { form_id: string; form_version: string; form_data: string };
+
+const badRequest = (c: AppContext, message: string) => c.json({ success: false, message }, 400);
+
+const serverError = (c: AppContext, error: unknown) =>
+  c.json(
+    {
+      success: false,
+      message: 'Internal server error',
+      error: error instanceof Error ? error.message : 'Unknown error',
+    },
+    500
+  );
+
+function isTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Branding, units and time zone of the caller's reports
+ */
+async function loadReportOptions(c: AppContext, options: z.infer<typeof optionsSchema>): Promise<ReportOptions> {
+  const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+  const [branding, units] = await Promise.all([
+    c.env.DB.prepare(
+      `SELECT company_name as companyName, tagline, primary_color as primaryColor, logo_url as logoUrl
+       FROM branding WHERE id = '1'`
+    ).first<ReportBranding>(),
+    c.env.DB.prepare('SELECT preferences_unit_area as area, preferences_unit_liquid as liquid FROM users WHERE id = ?')
+      .bind(user.id)
+      .first<{ area: 'sqft' | 'sqm' | null; liquid: 'ml' | 'oz' | 'l' | 'gal' | null }>(),
+  ]);
+
+  return {
+    branding: branding || { companyName: null, tagline: null, primaryColor: null, logoUrl: null },
+    preferences: {
+      area: options.area || units?.area || DEFAULT_UNIT_PREFERENCES.area,
+      liquid: options.liquid || units?.liquid || DEFAULT_UNIT_PREFERENCES.liquid,
+    },
+    timeZone: options.timeZone && isTimeZone(options.timeZone) ? options.timeZone : 'UTC',
+  };
+}
+
+/**
+ * Load AARs for reports, keeping the requested order
+ * @returns The AARs the user can see (deleted and hidden AARs are left out)
+ */
+async function loadReportAARs(c: AppContext, ids: string[]): Promise<ReportRow[]> {
+  const visible = visibilityConditionFor(c, 'aars', 'a.user_id');
+  const { results } = await c.env.DB.prepare(
+    `SELECT
+      a.id, a.category, a.material, a.damage_type, a.form_id, a.form_version, a.form_data,
+      a.created_at, a.edited_at,
+      u.name as user_name,
+      editor.name as edited_by_name
+     FROM aars a
+     JOIN users u ON u.id = a.user_id
+     LEFT JOIN users editor ON editor.id = a.edited_by
+     WHERE a.id IN (${ids.map(() => '?').join(', ')}) AND a.deleted_at IS NULL AND ${visible.sql}`
+  )
+    .bind(...ids, ...visible.bindings)
+    .all<ReportRow>();
+
+  return ids.map((id) => results.find((row) => row.id === id)).filter((row): row is ReportRow => row !== undefined);
+}
+
+/**
+ * Number of photos the reports of these AARs embed
+ */
+async function countReportPhotos(c: AppContext, ids: string[]): Promise<number> {
+  const row = await c.env.DB.prepare(
+    `SELECT COUNT(*) as count FROM photos
+     WHERE aar_id IN (${ids.map(() => '?').join(', ')}) AND mime_type LIKE 'image/%'`
+  )
+    .bind(...ids)
+    .first<{ count: number }>();
+  return row?.count ?? 0;
+}
+
+async function renderReport(c: AppContext, row: ReportRow, options: ReportOptions): Promise<Uint8Array> {
+  const [schema, photos] = await Promise.all([
+    getFormVersionSchema(c.env.DB, row.form_id, row.form_version),
+    loadAARPhotos(c.env.DB, row.id),
+  ]);
+  return renderAARReport(c.env, { ...row, form_data: JSON.parse(row.form_data) }, schema, photos, options);
+}
+
+/**
+ * GET /api/aars/reports/:id
+ * One AAR as a PDF report
+ */
+app.get('/:id', async (c) => {
+  try {
+    const parsed = optionsSchema.safeParse(c.req.query());
+    if (!parsed.success) return badRequest(c, INVALID_OPTIONS);
+
+    const [row] = await loadReportAARs(c, [c.req.param('id')]);
+    if (!row) return c.json({ success: false, message: 'AAR not found' }, 404);
+
+    const pdf = await renderReport(c, row, await loadReportOptions(c, parsed.data));
+    return new Response(pdf, {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${reportFilename(row.id)}"`,
+        'Cache-Control': 'private, no-store',
+      },
+    });
+  } catch (error) {
+    console.error('Error rendering AAR report:', error);
+    return serverError(c, error);
+  }
+});
+
+/**
+ * POST /api/aars/reports
+ * Several AARs as PDF reports in a ZIP
+ *
+ * Request body: { ids: string[] (up to 20), timeZone?, area?, liquid? }
+ * Fails with 404 if any of the AARs is not found, so no report goes missing silently,
+ * and with 413 if the reports hold more than 60 photos in total.
+ */
+app.post('/', async (c) => {
+  try {
+    const parsed = batchSchema.safeParse(await c.req.json().catch(() => null));
+    if (!parsed.success) {
+      return badRequest(c, `ids must list 1 to ${MAX_BATCH_SIZE} AAR IDs. ${INVALID_OPTIONS}`);
+    }
+
+    const ids = [...new Set(parsed.data.ids)];
+    const rows = await loadReportAARs(c, ids);
+    if (rows.length < ids.length) {
+      const missing = ids.filter((id) => !rows.some((row) => row.id === id));
+      return c.json({ success: false, message: `AAR not found: ${missing.join(', ')}` }, 404);
+    }
+
+    const photoCount = await countReportPhotos(c, ids);
+    if (photoCount > MAX_BATCH_PHOTOS) {
+      return c.json(
+        {
+          success: false,
+          message: `These reports hold ${photoCount} photos; download at most ${MAX_BATCH_PHOTOS} photos at a time`,
+        },
+        413
+      );
+    }
+
+    const options = await loadReportOptions(c, parsed.data);
+    const entries = [];
+    for (const row of rows) {
+      entries.push({ name: reportFilename(row.id), data: await renderReport(c, row, options) });
+    }
+
+    const filename = `aar-reports-${new Date().toISOString().slice(0, 10)}.zip`;
+    return new Response(createZip(entries), {
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'private, no-store',
+      },
+    });
+  } catch (error) {
+    console.error('Error rendering AAR reports:', error);
+    return serverError(c, error);
+  }
+});
+
+export default app;
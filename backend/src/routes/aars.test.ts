@@ -0,0 +1,88 @@
+/**
+ * Tests for which form version AAR submissions and edits are validated against.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { afterEach, beforeEach, describe, it, expect } from 'vitest';
+import { createAAR, createForm, createTestEnv, createUser, request, type TestUser } from '../test/worker-env';
+import type { Env } from '../types/env';
+
+let env: Env;
+let dispose: () => Promise<void>;
+let tech: TestUser;
+
+const V1 = {
+  formId: 'form_test',
+  version: '1',
+  fields: [{ id: 'category', type: 'text', label: 'Category', required: true }],
+};
+
+// Version 2 adds a required field
+const V2 = {
+  ...V1,
+  version: '2',
+  fields: [...V1.fields, { id: 'model', type: 'text', label: 'Model', required: true }],
+};
+
+const submission = (formVersion: string, values: object) => {
+  const body = new FormData();
+  body.append('formData', JSON.stringify(values));
+  body.append('formId', 'form_test');
+  body.append('formVersion', formVersion);
+  return body;
+};
+
+const countAARs = async () =>
+  (await env.DB.prepare('SELECT COUNT(*) AS count FROM aars').first<{ count: number }>())?.count;
+
+beforeEach(async () => {
+  ({ env, dispose } = await createTestEnv());
+  const admin = await createUser(env, 'user_admin', 'admin');
+  tech = await createUser(env, 'user_tech', 'employee');
+  await createForm(env, 'form_test', V1, admin.id);
+  await env.DB.batch([
+    env.DB.prepare(
+      `INSERT INTO custom_form_versions (id, form_id, version, form_schema) VALUES ('form_test_v2', 'form_test', 2, ?)`
+    ).bind(JSON.stringify(V2)),
+    env.DB.prepare(`UPDATE custom_forms SET form_schema = ?, current_version = 2 WHERE id = 'form_test'`).bind(
+      JSON.stringify(V2)
+    ),
+  ]);
+});
+
+afterEach(() => dispose());
+
+describe('POST /api/aars', () => {
+  it('refuses submissions on an older form version', async () => {
+    const response = await request(env, tech, 'POST', '/api/aars', submission('1', { category: 'Vinyl' }));
+
+    expect(response.status).toBe(409);
+    expect(await response.json()).toMatchObject({ success: false, currentVersion: 2 });
+    expect(await countAARs()).toBe(0);
+  });
+
+  it('validates against the current version', async () => {
+    const response = await request(env, tech, 'POST', '/api/aars', submission('2', { category: 'Vinyl' }));
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ errors: [{ field: 'model' }] });
+    expect(await countAARs()).toBe(0);
+  });
+});
+
+describe('PUT /api/aars/:id', () => {
+  it('re-validates an edit against the version the AAR was submitted on', async () => {
+    await createAAR(env, 'aar_1', tech.id, 'form_test', { category: 'Vinyl' });
+
+    const response = await request(env, tech, 'PUT', '/api/aars/aar_1', {
+      formData: { category: 'Leather' },
+      formVersion: '2',
+    });
+
+    expect(response.status).toBe(200);
+    const aar = await env.DB.prepare(`SELECT form_version, form_data FROM aars WHERE id = 'aar_1'`).first();
+    expect(aar).toMatchObject({ form_version: '1' });
+    expect(JSON.parse(aar!.form_data as string)).toMatchObject({ category: 'Leather' });
+  });
+});
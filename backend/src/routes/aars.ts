@@ -7,11 +7,34 @@
  * - Full-text search with FTS5
  * - Filtering and pagination
  * - Form schema validation
+ * - Revision history for edits
+ * - Voting (one vote per user)
+ * - Comments (see ./comments.ts)
+ * - Drafts saved across devices (see ./aar-drafts.ts)
+ * - Managing photos after submission (see ./aar-photos.ts)
+ * - PDF job reports (see ./aar-reports.ts)
  */
 
 import { Hono } from 'hono';
+import { HTTPException } from 'hono/http-exception';
 import { authenticate } from '../middleware/auth';
 import { validateAARSubmission, extractCommonFields } from '../lib/validateAARSubmission';
+import { createNotifications } from '../lib/notifications';
+import { visibilityConditionFor } from '../lib/visibility';
+import { getFormVersionSchema, getSubmissionSchema } from '../lib/form-versions';
+import {
+  generateId,
+  insertAAR,
+  loadAARPhotos,
+  loadCompletedUploads,
+  recordAARPhoto,
+  releaseUploads,
+  storeAARPhoto,
+} from '../lib/aar-storage';
+import commentRoutes from './comments';
+import draftRoutes from './aar-drafts';
+import photoRoutes from './aar-photos';
+import reportRoutes from './aar-reports';
 import type { Env, Variables } from '../types/env';
 
 const app = new Hono<{ Bindings: Env; Variables: Variables }>();
@@ -19,6 +42,18 @@ const app = new Hono<{ Bindings: Env; Variables: Variables }>();
 // All routes require authentication
 app.use('/*', authenticate);
 
+// Drafts saved across devices: /api/aars/drafts (before /:id so it is not read as an AAR ID)
+app.route('/drafts', draftRoutes);
+
+// PDF job reports, one AAR or several in a ZIP: /api/aars/reports (before /:id as well)
+app.route('/reports', reportRoutes);
+
+// Threaded comments: /api/aars/:id/comments
+app.route('/:id/comments', commentRoutes);
+
+// Adding, reordering, captioning, pairing, replacing and deleting photos: /api/aars/:id/photos
+app.route('/:id/photos', photoRoutes);
+
 /**
  * POST /api/aars
  * Create new AAR with form data and photo uploads
@@ -26,9 +61,14 @@ app.use('/*', authenticate);
  * Request format: multipart/form-data
  * - formData: JSON string containing form field values
  * - formId: Custom form ID used
- * - formVersion: Form version string
- * - photo_<fieldId>_<index>: File uploads (can have multiple per field)
- * - photoMetadata: JSON string mapping fieldId to photo metadata
+ * - formVersion: Form schema version the user filled in (custom form `version`);
+ *   anything but the form's current version fails with 409 and `currentVersion`
+ * - photo_<fieldId>_<index>: File uploads (can have multiple per field; fields
+ *   of a repeatable section use their path, e.g. damageAreas.0.photos)
+ * - photoMetadata: JSON string mapping fieldId to metadata of the photo_ files
+ * - uploads: JSON string mapping fieldId to IDs of completed upload sessions
+ *   (files uploaded beforehand, see ./upload-sessions.ts); they are added after
+ *   the field's photo_ files
  */
 app.post('/', async (c) => {
   try {
@@ -42,6 +82,7 @@ app.post('/', async (c) => {
     const formId = formDataRaw.formId as string;
     const formVersion = formDataRaw.formVersion as string;
     const photoMetadataStr = formDataRaw.photoMetadata as string;
+    const uploadsStr = formDataRaw.uploads as string;
 
     if (!formDataStr || !formId || !formVersion) {
       return c.json(
@@ -56,45 +97,69 @@ app.post('/', async (c) => {
     // Parse JSON data
     let formData: Record<string, any>;
     let photoMetadata: Record<string, any>;
+    let uploads: Record<string, string[]>;
 
     try {
       formData = JSON.parse(formDataStr);
       photoMetadata = photoMetadataStr ? JSON.parse(photoMetadataStr) : {};
+      uploads = uploadsStr ? JSON.parse(uploadsStr) : {};
     } catch (err) {
       return c.json(
         {
           success: false,
-          message: 'Invalid JSON in formData or photoMetadata',
+          message: 'Invalid JSON in formData, photoMetadata or uploads',
         },
         400
       );
     }
 
-    // Fetch active custom form schema for validation
-    let formResult = await c.env.DB.prepare(
-      'SELECT id, form_schema FROM custom_forms WHERE id = ? AND is_active = 1 AND deleted_at IS NULL'
-    )
-      .bind(formId)
-      .first();
+    const isUploadList = (ids: unknown) => Array.isArray(ids) && ids.every((id) => typeof id === 'string');
+    const uploadedFiles =
+      uploads && typeof uploads === 'object' && Object.values(uploads).every(isUploadList)
+        ? await loadCompletedUploads(c.env.DB, user.id, uploads)
+        : null;
+
+    if (!uploadedFiles) {
+      return c.json(
+        {
+          success: false,
+          message: 'Some uploaded files were not found, have not finished uploading or have expired',
+        },
+        400
+      );
+    }
 
-    // Fallback: Get any active form if specific ID not found
-    if (!formResult) {
-      formResult = await c.env.DB.prepare(
-        'SELECT id, form_schema FROM custom_forms WHERE is_active = 1 AND deleted_at IS NULL ORDER BY updated_at DESC LIMIT 1'
-      ).first();
+    // Uploaded files count towards their field like the photo_ files
+    for (const [fieldId, files] of Object.entries(uploadedFiles)) {
+      photoMetadata[fieldId] = [
+        ...(photoMetadata[fieldId] || []),
+        ...files.map((file) => ({ filename: file.filename, size: file.size, type: file.mimeType })),
+      ];
     }
 
-    if (!formResult) {
+    // Validate against the form's current version, which the user must have filled in
+    const submission = await getSubmissionSchema(c.env.DB, formId, formVersion);
+
+    if (!submission.schema) {
+      if (submission.reason === 'outdated') {
+        return c.json(
+          {
+            success: false,
+            message: 'The form has changed. Reload the page to get the current form.',
+            currentVersion: submission.currentVersion,
+          },
+          409
+        );
+      }
       return c.json(
         {
           success: false,
-          message: 'No active form found',
+          message: 'Form not found or archived. Reload the page to get the current form.',
         },
         400
       );
     }
-
-    const formSchema = JSON.parse(formResult.form_schema as string);
+    const formSchema = submission.schema;
 
     // Validate form submission
     const validation = await validateAARSubmission(formData, formSchema, photoMetadata);
@@ -111,7 +176,7 @@ app.post('/', async (c) => {
     }
 
     // Generate AAR ID
-    const aarId = `aar_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const aarId = generateId('aar');
 
     // Upload photos to R2 and collect URLs
     const photoUrls: Record<string, string[]> = {};
@@ -125,81 +190,57 @@ app.post('/', async (c) => {
           const file = value as File;
 
           if (file && file.size > 0) {
-            // Generate R2 key
-            const ext = file.name.split('.').pop() || 'jpg';
-            const timestamp = Date.now();
-            const random = Math.random().toString(36).substr(2, 9);
-            const r2Key = `aars/${user.id}/${aarId}/${fieldId}/${timestamp}-${random}.${ext}`;
-
-            // Upload to R2
-            const arrayBuffer = await file.arrayBuffer();
-            await c.env.PHOTOS.put(r2Key, arrayBuffer, {
-              httpMetadata: {
-                contentType: file.type,
-              },
-            });
-
-            // Store URL
             if (!photoUrls[fieldId]) {
               photoUrls[fieldId] = [];
             }
+            const r2Key = await storeAARPhoto(c.env, {
+              aarId,
+              userId: user.id,
+              fieldId,
+              body: await file.arrayBuffer(),
+              filename: file.name,
+              mimeType: file.type,
+              size: file.size,
+              displayOrder: photoUrls[fieldId].length,
+            });
             photoUrls[fieldId].push(r2Key);
-
-            // Insert photo metadata into database
-            const photoId = `photo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            await c.env.DB.prepare(
-              `INSERT INTO photos (id, aar_id, field_id, type, r2_key, filename, mime_type, size, display_order, created_at)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`
-            )
-              .bind(
-                photoId,
-                aarId,
-                fieldId,
-                fieldId.includes('before') ? 'before' : 'after', // Legacy type field
-                r2Key,
-                file.name,
-                file.type,
-                file.size,
-                photoUrls[fieldId].length - 1
-              )
-              .run();
           }
         }
       }
     }
 
-    // Merge photo URLs into form data
-    const formDataWithPhotos = {
-      ...formData,
-      _photoUrls: photoUrls, // Store photo URLs in special field
-    };
-
-    // Extract common fields for indexing
-    const commonFields = extractCommonFields(formData);
-
-    // Insert AAR record
-    await c.env.DB.prepare(
-      `INSERT INTO aars (id, user_id, category, material, damage_type, form_id, form_version, form_data, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`
-    )
-      .bind(
-        aarId,
-        user.id,
-        commonFields.category,
-        commonFields.material,
-        commonFields.damage_type,
-        formId,
-        formVersion,
-        JSON.stringify(formDataWithPhotos)
-      )
-      .run();
+    // Attach files uploaded beforehand (they keep their R2 keys)
+    for (const [fieldId, files] of Object.entries(uploadedFiles)) {
+      if (!photoUrls[fieldId]) {
+        photoUrls[fieldId] = [];
+      }
+      for (const file of files) {
+        await recordAARPhoto(c.env.DB, {
+          aarId,
+          fieldId,
+          r2Key: file.r2Key,
+          filename: file.filename,
+          mimeType: file.mimeType,
+          size: file.size,
+          displayOrder: photoUrls[fieldId].length,
+          width: file.width,
+          height: file.height,
+          thumbnailKey: file.thumbnailKey,
+          mediumKey: file.mediumKey,
+        });
+        photoUrls[fieldId].push(file.r2Key);
+      }
+    }
 
-    // Fetch created AAR
-    const createdAAR = await c.env.DB.prepare(
-      `SELECT * FROM aars WHERE id = ?`
-    )
-      .bind(aarId)
-      .first();
+    // Insert AAR record (photo URLs are merged into form data)
+    const createdAAR = await insertAAR(c.env.DB, {
+      aarId,
+      userId: user.id,
+      formId,
+      formVersion,
+      formData,
+      photoUrls,
+    });
 
     if (!createdAAR) {
       return c.json(
@@ -211,18 +252,21 @@ app.post('/', async (c) => {
       );
     }
 
+    await releaseUploads(c.env.DB, Object.values(uploadedFiles).flat().map((file) => file.id));
+
     return c.json({
       success: true,
       data: {
-        aar: {
-          ...createdAAR,
-          form_data: JSON.parse(createdAAR.form_data as string),
-        },
+        aar: createdAAR,
         photoUrls,
       },
     });
   } catch (error) {
     console.error('Error creating AAR:', error);
+    // A photo rejected by the image pipeline
+    if (error instanceof HTTPException) {
+      return c.json({ success: false, message: error.message }, error.status);
+    }
     return c.json(
       {
         success: false,
@@ -234,6 +278,31 @@ app.post('/', async (c) => {
   }
 });
 
+/**
+ * Column with the R2 key of an AAR's cover photo for list cards: its first
+ * image, preferring "after" then "before" photo fields (cards request the
+ * thumbnail rendition through /files/:key?size=thumbnail)
+ */
+const COVER_PHOTO_COLUMN = `(
+          SELECT p.r2_key FROM photos p
+          WHERE p.aar_id = a.id AND p.mime_type LIKE 'image/%'
+          ORDER BY p.field_id LIKE '%after%' DESC, p.field_id LIKE '%before%' DESC, p.field_id, p.display_order
+          LIMIT 1
+        ) as cover_photo_key`;
+
+/**
+ * SQL condition matching AARs with a repeatable section instance whose
+ * fieldId equals the bound value (instances are stored in form_data as
+ * arrays of objects under the section ID)
+ */
+function sectionInstanceMatch(fieldId: string): string {
+  return `EXISTS (
+    SELECT 1 FROM json_each(a.form_data) section, json_each(section.value) item
+    WHERE section.type = 'array' AND item.type = 'object'
+      AND json_extract(item.value, '$.${fieldId}') = ?
+  )`;
+}
+
 /**
  * GET /api/aars
  * List AARs with filtering, search, and pagination
@@ -281,8 +350,9 @@ app.get('/', async (c) => {
           a.id, a.user_id, a.category, a.material, a.damage_type,
           a.form_id, a.form_version, a.form_data,
           a.upvotes, a.downvotes, a.views, a.comment_count,
-          a.created_at, a.updated_at,
+          a.created_at, a.updated_at, a.edited_at,
           fts.rank,
+          ${COVER_PHOTO_COLUMN},
           u.name as user_name, u.email as user_email
         FROM aars_fts fts
         JOIN aars a ON a.id = fts.aar_id
@@ -307,7 +377,8 @@ app.get('/', async (c) => {
           a.id, a.user_id, a.category, a.material, a.damage_type,
           a.form_id, a.form_version, a.form_data,
           a.upvotes, a.downvotes, a.views, a.comment_count,
-          a.created_at, a.updated_at,
+          a.created_at, a.updated_at, a.edited_at,
+          ${COVER_PHOTO_COLUMN},
           u.name as user_name, u.email as user_email
         FROM aars a
         JOIN users u ON u.id = a.user_id
@@ -321,6 +392,13 @@ app.get('/', async (c) => {
       `;
     }
 
+    // Restrict to AARs the user may see (franchise visibility policy)
+    const visible = visibilityConditionFor(c, 'aars', 'a.user_id');
+    query += ` AND ${visible.sql}`;
+    countQuery += ` AND ${visible.sql}`;
+    bindings.push(...visible.bindings);
+    countBindings.push(...visible.bindings);
+
     // Add filters
     if (category) {
       query += ' AND a.category = ?';
@@ -329,18 +407,21 @@ app.get('/', async (c) => {
       countBindings.push(category);
     }
 
+    // Material and damage type may also be set per instance of a repeatable section
     if (material) {
-      query += ' AND a.material = ?';
-      countQuery += ' AND a.material = ?';
-      bindings.push(material);
-      countBindings.push(material);
+      const condition = ` AND (a.material = ? OR ${sectionInstanceMatch('material')})`;
+      query += condition;
+      countQuery += condition;
+      bindings.push(material, material);
+      countBindings.push(material, material);
     }
 
     if (damageType) {
-      query += ' AND a.damage_type = ?';
-      countQuery += ' AND a.damage_type = ?';
-      bindings.push(damageType);
-      countBindings.push(damageType);
+      const condition = ` AND (a.damage_type = ? OR ${sectionInstanceMatch('damageType')})`;
+      query += condition;
+      countQuery += condition;
+      bindings.push(damageType, damageType);
+      countBindings.push(damageType, damageType);
     }
 
     if (userId) {
@@ -431,18 +512,22 @@ app.get('/:id', async (c) => {
     const id = c.req.param('id');
     const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
 
-    // Fetch AAR with user info
+    // Fetch AAR with user info (AARs outside the visibility scope are not found)
+    const visible = visibilityConditionFor(c, 'aars', 'a.user_id');
     const aar = await c.env.DB.prepare(
       `SELECT
         a.*,
         u.name as user_name,
         u.email as user_email,
-        u.role as user_role
+        u.role as user_role,
+        editor.name as edited_by_name,
+        (SELECT COUNT(*) FROM aar_revisions r WHERE r.aar_id = a.id) as revision_count
        FROM aars a
        JOIN users u ON u.id = a.user_id
-       WHERE a.id = ? AND a.deleted_at IS NULL`
+       LEFT JOIN users editor ON editor.id = a.edited_by
+       WHERE a.id = ? AND a.deleted_at IS NULL AND ${visible.sql}`
     )
-      .bind(id)
+      .bind(id, ...visible.bindings)
       .first();
 
     if (!aar) {
@@ -456,24 +541,14 @@ app.get('/:id', async (c) => {
     }
 
     // Fetch photos grouped by field_id
-    const photosResult = await c.env.DB.prepare(
-      `SELECT id, field_id, type, r2_key, filename, mime_type, size, display_order, created_at
-       FROM photos
-       WHERE aar_id = ?
-       ORDER BY field_id, display_order`
-    )
-      .bind(id)
-      .all();
+    const photosByField = await loadAARPhotos(c.env.DB, id);
 
-    // Group photos by field_id
-    const photosByField: Record<string, any[]> = {};
-    for (const photo of photosResult.results || []) {
-      const fieldId = photo.field_id as string;
-      if (!photosByField[fieldId]) {
-        photosByField[fieldId] = [];
-      }
-      photosByField[fieldId].push(photo);
-    }
+    // Fetch the caller's current vote (null if they have not voted)
+    const userVote = await c.env.DB.prepare(
+      'SELECT vote_type, reason, created_at FROM aar_votes WHERE aar_id = ? AND user_id = ?'
+    )
+      .bind(id, user.id)
+      .first();
 
     // Track view (insert into aar_views table)
     // This will trigger the aar_views_insert trigger which increments views count
@@ -496,6 +571,7 @@ app.get('/:id', async (c) => {
         aar: {
           ...aar,
           form_data: JSON.parse(aar.form_data as string),
+          user_vote: userVote || null,
         },
         photos: photosByField,
       },
@@ -515,17 +591,485 @@ app.get('/:id', async (c) => {
 
 /**
  * PUT /api/aars/:id
- * Update an existing AAR
- * (Future implementation)
+ * Update an existing AAR (owner, admin, or manager)
+ *
+ * Request format: application/json
+ * - formData: Complete set of form field values (replaces the previous values)
+ * - changeNote: Optional short description of the edit
+ *
+ * The edit is validated against the form the AAR was submitted with. The
+ * previous version is snapshotted into aar_revisions before the update, and
+ * photos are left untouched (existing photos satisfy required file fields).
+ * AARs hidden from the user by visibility policies are not found (404).
  */
 app.put('/:id', async (c) => {
-  return c.json(
-    {
-      success: false,
-      message: 'Update AAR not yet implemented',
-    },
-    501
-  );
+  try {
+    const id = c.req.param('id');
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    let body: { formData?: Record<string, any>; changeNote?: string };
+    try {
+      body = await c.req.json();
+    } catch (err) {
+      return c.json(
+        {
+          success: false,
+          message: 'Invalid JSON body',
+        },
+        400
+      );
+    }
+
+    const { formData, changeNote } = body;
+
+    if (!formData || typeof formData !== 'object' || Array.isArray(formData)) {
+      return c.json(
+        {
+          success: false,
+          message: 'Missing required field: formData',
+        },
+        400
+      );
+    }
+
+    // Fetch current AAR (AARs hidden from the user are not found)
+    const visible = visibilityConditionFor(c, 'aars', 'user_id');
+    const aar = await c.env.DB.prepare(
+      `SELECT id, user_id, category, material, damage_type, form_id, form_version, form_data,
+              created_at, edited_at, edited_by
+       FROM aars
+       WHERE id = ? AND deleted_at IS NULL AND ${visible.sql}`
+    )
+      .bind(id, ...visible.bindings)
+      .first();
+
+    if (!aar) {
+      return c.json(
+        {
+          success: false,
+          message: 'AAR not found',
+        },
+        404
+      );
+    }
+
+    // Check permissions (only owner, admin, or manager can edit)
+    if (
+      aar.user_id !== user.id &&
+      user.role !== 'admin' &&
+      user.role !== 'manager'
+    ) {
+      return c.json(
+        {
+          success: false,
+          message: 'You do not have permission to edit this AAR',
+        },
+        403
+      );
+    }
+
+    // Re-validate against the schema version the AAR was submitted on
+    // (the form may since have changed or been archived)
+    const formSchema = await getFormVersionSchema(
+      c.env.DB,
+      aar.form_id as string,
+      aar.form_version as string
+    );
+
+    if (!formSchema) {
+      return c.json(
+        {
+          success: false,
+          message: 'Form version used by this AAR no longer exists',
+        },
+        409
+      );
+    }
+
+    // Existing photos count towards required file fields
+    const photosResult = await c.env.DB.prepare(
+      'SELECT field_id, filename, mime_type, size FROM photos WHERE aar_id = ?'
+    )
+      .bind(id)
+      .all();
+
+    const photoMetadata: Record<string, { filename: string; size: number; type: string }[]> = {};
+    for (const photo of photosResult.results || []) {
+      const fieldId = photo.field_id as string;
+      if (!photoMetadata[fieldId]) {
+        photoMetadata[fieldId] = [];
+      }
+      photoMetadata[fieldId].push({
+        filename: photo.filename as string,
+        size: photo.size as number,
+        type: photo.mime_type as string,
+      });
+    }
+
+    // Strip the reserved photo field - clients cannot rewrite photo references
+    const { _photoUrls: _ignored, ...submittedData } = formData;
+
+    // Validate form submission
+    const validation = await validateAARSubmission(submittedData, formSchema, photoMetadata);
+
+    if (!validation.valid) {
+      return c.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        400
+      );
+    }
+
+    const previousFormData = JSON.parse(aar.form_data as string);
+    const formDataWithPhotos = {
+      ...submittedData,
+      _photoUrls: previousFormData._photoUrls || {},
+    };
+
+    // Extract common fields for indexing
+    const commonFields = extractCommonFields(submittedData);
+
+    const revisionId = `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // Snapshot previous version and apply the edit atomically. The revision
+    // number is computed in the INSERT so concurrent edits cannot take the same one.
+    await c.env.DB.batch([
+      c.env.DB.prepare(
+        `INSERT INTO aar_revisions (
+           id, aar_id, revision_number, form_id, form_version, form_data,
+           category, material, damage_type, authored_by, authored_at,
+           replaced_by, change_note, created_at
+         )
+         SELECT ?, ?, COALESCE(MAX(revision_number), 0) + 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now')
+         FROM aar_revisions WHERE aar_id = ?`
+      ).bind(
+        revisionId,
+        id,
+        aar.form_id,
+        aar.form_version,
+        aar.form_data,
+        aar.category,
+        aar.material,
+        aar.damage_type,
+        aar.edited_by || aar.user_id,
+        aar.edited_at || aar.created_at,
+        user.id,
+        typeof changeNote === 'string' && changeNote.trim() !== '' ? changeNote.trim().slice(0, 500) : null,
+        id
+      ),
+      c.env.DB.prepare(
+        `UPDATE aars
+         SET category = ?, material = ?, damage_type = ?, form_data = ?,
+             edited_at = datetime('now'), edited_by = ?, updated_at = datetime('now')
+         WHERE id = ?`
+      ).bind(
+        commonFields.category,
+        commonFields.material,
+        commonFields.damage_type,
+        JSON.stringify(formDataWithPhotos),
+        user.id,
+        id
+      ),
+    ]);
+
+    // Fetch updated AAR
+    const [updatedAAR, revision] = await Promise.all([
+      c.env.DB.prepare(`SELECT * FROM aars WHERE id = ?`).bind(id).first(),
+      c.env.DB.prepare('SELECT revision_number FROM aar_revisions WHERE id = ?')
+        .bind(revisionId)
+        .first<{ revision_number: number }>(),
+    ]);
+
+    if (!updatedAAR) {
+      return c.json(
+        {
+          success: false,
+          message: 'Failed to retrieve updated AAR',
+        },
+        500
+      );
+    }
+
+    return c.json({
+      success: true,
+      data: {
+        aar: {
+          ...updatedAAR,
+          form_data: JSON.parse(updatedAAR.form_data as string),
+          revision_count: revision?.revision_number ?? 0,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error updating AAR:', error);
+    return c.json(
+      {
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : 'Unknown error',
+      },
+      500
+    );
+  }
+});
+
+/**
+ * GET /api/aars/:id/revisions
+ * List previous versions of an AAR, oldest first
+ *
+ * Each revision is a snapshot of the AAR as it was before an edit; the live
+ * AAR is the latest version and is not included.
+ */
+app.get('/:id/revisions', async (c) => {
+  try {
+    const id = c.req.param('id');
+
+    const visible = visibilityConditionFor(c, 'aars', 'user_id');
+    const aar = await c.env.DB.prepare(
+      `SELECT id FROM aars WHERE id = ? AND deleted_at IS NULL AND ${visible.sql}`
+    )
+      .bind(id, ...visible.bindings)
+      .first();
+
+    if (!aar) {
+      return c.json(
+        {
+          success: false,
+          message: 'AAR not found',
+        },
+        404
+      );
+    }
+
+    const revisionsResult = await c.env.DB.prepare(
+      `SELECT
+        r.id, r.revision_number, r.form_id, r.form_version, r.form_data,
+        r.category, r.material, r.damage_type,
+        r.authored_by, r.authored_at, r.replaced_by, r.change_note, r.created_at,
+        author.name as authored_by_name,
+        editor.name as replaced_by_name
+       FROM aar_revisions r
+       LEFT JOIN users author ON author.id = r.authored_by
+       LEFT JOIN users editor ON editor.id = r.replaced_by
+       WHERE r.aar_id = ?
+       ORDER BY r.revision_number ASC`
+    )
+      .bind(id)
+      .all();
+
+    const revisions = (revisionsResult.results || []).map((revision: any) => ({
+      ...revision,
+      form_data: JSON.parse(revision.form_data),
+    }));
+
+    return c.json({
+      success: true,
+      data: {
+        revisions,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching AAR revisions:', error);
+    return c.json(
+      {
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : 'Unknown error',
+      },
+      500
+    );
+  }
+});
+
+/**
+ * PUT /api/aars/:id/votes
+ * Cast or change the caller's vote on an AAR (one vote per user)
+ *
+ * Request format: application/json
+ * - voteType: 'upvote' | 'downvote'
+ * - reason: Optional reason for the vote
+ *
+ * Vote counts on the AAR are maintained by the aar_votes triggers.
+ */
+app.put('/:id/votes', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    let body: { voteType?: string; reason?: string };
+    try {
+      body = await c.req.json();
+    } catch (err) {
+      return c.json(
+        {
+          success: false,
+          message: 'Invalid JSON body',
+        },
+        400
+      );
+    }
+
+    const { voteType, reason } = body;
+
+    if (voteType !== 'upvote' && voteType !== 'downvote') {
+      return c.json(
+        {
+          success: false,
+          message: "voteType must be 'upvote' or 'downvote'",
+        },
+        400
+      );
+    }
+
+    const visible = visibilityConditionFor(c, 'aars', 'user_id');
+    const aar = await c.env.DB.prepare(
+      `SELECT id, user_id, category, material FROM aars
+       WHERE id = ? AND deleted_at IS NULL AND ${visible.sql}`
+    )
+      .bind(id, ...visible.bindings)
+      .first();
+
+    if (!aar) {
+      return c.json(
+        {
+          success: false,
+          message: 'AAR not found',
+        },
+        404
+      );
+    }
+
+    const previousVote = await c.env.DB.prepare(
+      'SELECT vote_type FROM aar_votes WHERE aar_id = ? AND user_id = ?'
+    )
+      .bind(id, user.id)
+      .first();
+
+    const voteReason =
+      typeof reason === 'string' && reason.trim() !== '' ? reason.trim().slice(0, 500) : null;
+    const voteId = `vote_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // Insert, or switch the existing vote (fires aar_votes_update trigger)
+    await c.env.DB.prepare(
+      `INSERT INTO aar_votes (id, aar_id, user_id, vote_type, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, datetime('now'))
+       ON CONFLICT(aar_id, user_id) DO UPDATE SET
+         vote_type = excluded.vote_type,
+         reason = excluded.reason`
+    )
+      .bind(voteId, id, user.id, voteType, voteReason)
+      .run();
+
+    const [vote, counts] = await Promise.all([
+      c.env.DB.prepare(
+        'SELECT vote_type, reason, created_at FROM aar_votes WHERE aar_id = ? AND user_id = ?'
+      )
+        .bind(id, user.id)
+        .first(),
+      c.env.DB.prepare('SELECT upvotes, downvotes FROM aars WHERE id = ?').bind(id).first(),
+    ]);
+
+    // Notify the AAR owner of new or switched votes (not reason-only updates)
+    if (previousVote?.vote_type !== voteType && aar.user_id !== user.id) {
+      try {
+        const voter = await c.env.DB.prepare('SELECT name FROM users WHERE id = ?')
+          .bind(user.id)
+          .first();
+        const aarLabel = [aar.category, aar.material].filter(Boolean).join(' - ') || 'your AAR';
+
+        await createNotifications(c.env, [
+          {
+            userId: aar.user_id as string,
+            type: voteType,
+            title: `${voter?.name || 'Someone'} ${voteType === 'upvote' ? 'upvoted' : 'downvoted'} your AAR`,
+            message: voteReason ? `${aarLabel}: "${voteReason}"` : aarLabel,
+            linkType: 'aar',
+            linkId: id,
+          },
+        ]);
+      } catch (notifyError) {
+        console.error('Error creating vote notification:', notifyError);
+      }
+    }
+
+    return c.json({
+      success: true,
+      data: {
+        vote,
+        upvotes: counts?.upvotes ?? 0,
+        downvotes: counts?.downvotes ?? 0,
+      },
+    });
+  } catch (error) {
+    console.error('Error voting on AAR:', error);
+    return c.json(
+      {
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : 'Unknown error',
+      },
+      500
+    );
+  }
+});
+
+/**
+ * DELETE /api/aars/:id/votes
+ * Retract the caller's vote on an AAR
+ */
+app.delete('/:id/votes', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    const visible = visibilityConditionFor(c, 'aars', 'user_id');
+    const aar = await c.env.DB.prepare(
+      `SELECT id FROM aars WHERE id = ? AND deleted_at IS NULL AND ${visible.sql}`
+    )
+      .bind(id, ...visible.bindings)
+      .first();
+
+    if (!aar) {
+      return c.json(
+        {
+          success: false,
+          message: 'AAR not found',
+        },
+        404
+      );
+    }
+
+    // Fires aar_votes_delete trigger
+    await c.env.DB.prepare('DELETE FROM aar_votes WHERE aar_id = ? AND user_id = ?')
+      .bind(id, user.id)
+      .run();
+
+    const counts = await c.env.DB.prepare('SELECT upvotes, downvotes FROM aars WHERE id = ?')
+      .bind(id)
+      .first();
+
+    return c.json({
+      success: true,
+      data: {
+        vote: null,
+        upvotes: counts?.upvotes ?? 0,
+        downvotes: counts?.downvotes ?? 0,
+      },
+    });
+  } catch (error) {
+    console.error('Error retracting AAR vote:', error);
+    return c.json(
+      {
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : 'Unknown error',
+      },
+      500
+    );
+  }
 });
 
 /**
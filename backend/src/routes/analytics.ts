@@ -0,0 +1,283 @@
+/**
+ * Analytics Routes
+ * Server-side aggregates over AARs (admin/manager only)
+ *
+ * Every endpoint accepts the same filters:
+ * - dateFrom, dateTo: YYYY-MM-DD, inclusive (matched against AAR created_at, UTC)
+ * - franchiseId: Only AARs submitted by the franchisee or their employees
+ */
+
+import { Hono } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+import { z } from 'zod';
+import { authenticate, requireRole } from '../middleware/auth';
+import type { Env, Variables } from '../types/env';
+
+const analytics = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+// All routes require an analytics-capable role
+analytics.use('*', authenticate, requireRole('admin', 'manager'));
+
+// ============================================================================
+// VALIDATION SCHEMAS
+// ============================================================================
+
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD');
+
+const filterSchema = z.object({
+  dateFrom: dateSchema.optional(),
+  dateTo: dateSchema.optional(),
+  franchiseId: z.string().min(1).optional(),
+});
+
+const submissionsSchema = filterSchema.extend({
+  interval: z.enum(['day', 'week', 'month']).default('day'),
+});
+
+const topContributorsSchema = filterSchema.extend({
+  limit: z.coerce.number().int().min(1).max(50).default(10),
+});
+
+// strftime formats used to bucket submissions
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%Y-W%W',
+  month: '%Y-%m',
+} as const;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+type AnalyticsFilters = z.infer<typeof filterSchema>;
+
+/**
+ * Build the shared WHERE clause for the AAR filters
+ * Always excludes soft-deleted AARs; expects the aars table aliased as `a`
+ */
+function buildWhereClause(filters: AnalyticsFilters): { where: string; bindings: any[] } {
+  const conditions = ['a.deleted_at IS NULL'];
+  const bindings: any[] = [];
+
+  if (filters.dateFrom) {
+    conditions.push('a.created_at >= datetime(?)');
+    bindings.push(filters.dateFrom);
+  }
+
+  if (filters.dateTo) {
+    // Inclusive: everything before the start of the following day
+    conditions.push("a.created_at < datetime(?, '+1 day')");
+    bindings.push(filters.dateTo);
+  }
+
+  if (filters.franchiseId) {
+    // A franchise is the franchisee's own user id plus users linked to it
+    conditions.push('a.user_id IN (SELECT id FROM users WHERE id = ? OR franchise_id = ?)');
+    bindings.push(filters.franchiseId, filters.franchiseId);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, bindings };
+}
+
+/**
+ * Parse query params with a schema, mapping validation failures to 400
+ */
+function parseQuery<T extends z.ZodTypeAny>(schema: T, query: Record<string, string>): z.infer<T> {
+  const result = schema.safeParse(query);
+  if (!result.success) {
+    throw new HTTPException(400, {
+      message: 'Validation error',
+      cause: result.error.errors,
+    });
+  }
+  return result.data;
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * GET /api/analytics/summary
+ * Totals for AARs, views, votes, comments and contributors,
+ * plus submission counts for today / this week / this month
+ */
+analytics.get('/summary', async (c) => {
+  try {
+    const filters = parseQuery(filterSchema, c.req.query());
+    const { where, bindings } = buildWhereClause(filters);
+
+    const result = await c.env.DB
+      .prepare(
+        `SELECT
+          COUNT(*) as totalAARs,
+          COALESCE(SUM(a.views), 0) as totalViews,
+          COALESCE(SUM(a.upvotes), 0) as totalUpvotes,
+          COALESCE(SUM(a.downvotes), 0) as totalDownvotes,
+          COALESCE(SUM(a.comment_count), 0) as totalComments,
+          COUNT(DISTINCT a.user_id) as contributors,
+          COALESCE(SUM(CASE WHEN a.created_at >= date('now') THEN 1 ELSE 0 END), 0) as today,
+          COALESCE(SUM(CASE WHEN a.created_at >= date('now', '-6 days', 'weekday 0') THEN 1 ELSE 0 END), 0) as thisWeek,
+          COALESCE(SUM(CASE WHEN a.created_at >= date('now', 'start of month') THEN 1 ELSE 0 END), 0) as thisMonth
+        FROM aars a
+        ${where}`
+      )
+      .bind(...bindings)
+      .first();
+
+    return c.json({
+      success: true,
+      data: {
+        totalAARs: (result?.totalAARs as number) || 0,
+        totalViews: (result?.totalViews as number) || 0,
+        totalUpvotes: (result?.totalUpvotes as number) || 0,
+        totalDownvotes: (result?.totalDownvotes as number) || 0,
+        totalComments: (result?.totalComments as number) || 0,
+        contributors: (result?.contributors as number) || 0,
+        submissions: {
+          today: (result?.today as number) || 0,
+          thisWeek: (result?.thisWeek as number) || 0,
+          thisMonth: (result?.thisMonth as number) || 0,
+        },
+      },
+    });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error fetching analytics summary:', error);
+    throw new HTTPException(500, { message: 'Failed to fetch analytics summary' });
+  }
+});
+
+/**
+ * GET /api/analytics/breakdowns
+ * AAR counts grouped by category, material and damage type
+ */
+analytics.get('/breakdowns', async (c) => {
+  try {
+    const filters = parseQuery(filterSchema, c.req.query());
+    const { where, bindings } = buildWhereClause(filters);
+    const db = c.env.DB;
+
+    // Column names come from this fixed list, never from user input
+    const breakdownQuery = (column: 'category' | 'material' | 'damage_type') =>
+      db
+        .prepare(
+          `SELECT
+            COALESCE(a.${column}, 'Unspecified') as value,
+            COUNT(*) as count,
+            COALESCE(SUM(a.views), 0) as views,
+            COALESCE(SUM(a.upvotes), 0) as upvotes
+          FROM aars a
+          ${where}
+          GROUP BY COALESCE(a.${column}, 'Unspecified')
+          ORDER BY count DESC, value ASC`
+        )
+        .bind(...bindings)
+        .all();
+
+    const [categories, materials, damageTypes] = await Promise.all([
+      breakdownQuery('category'),
+      breakdownQuery('material'),
+      breakdownQuery('damage_type'),
+    ]);
+
+    return c.json({
+      success: true,
+      data: {
+        category: categories.results || [],
+        material: materials.results || [],
+        damageType: damageTypes.results || [],
+      },
+    });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error fetching analytics breakdowns:', error);
+    throw new HTTPException(500, { message: 'Failed to fetch analytics breakdowns' });
+  }
+});
+
+/**
+ * GET /api/analytics/submissions
+ * AAR submissions over time
+ *
+ * Query params:
+ * - interval: 'day' (default), 'week' or 'month'
+ */
+analytics.get('/submissions', async (c) => {
+  try {
+    const { interval, ...filters } = parseQuery(submissionsSchema, c.req.query());
+    const { where, bindings } = buildWhereClause(filters);
+
+    const result = await c.env.DB
+      .prepare(
+        `SELECT
+          strftime(?, a.created_at) as period,
+          COUNT(*) as count,
+          COALESCE(SUM(a.views), 0) as views,
+          COALESCE(SUM(a.upvotes), 0) as upvotes
+        FROM aars a
+        ${where}
+        GROUP BY period
+        ORDER BY period ASC`
+      )
+      .bind(INTERVAL_FORMATS[interval], ...bindings)
+      .all();
+
+    return c.json({
+      success: true,
+      data: {
+        interval,
+        series: result.results || [],
+      },
+    });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error fetching submissions over time:', error);
+    throw new HTTPException(500, { message: 'Failed to fetch submissions over time' });
+  }
+});
+
+/**
+ * GET /api/analytics/top-contributors
+ * Users ranked by number of AARs submitted
+ *
+ * Query params:
+ * - limit: Number of contributors (default 10, max 50)
+ */
+analytics.get('/top-contributors', async (c) => {
+  try {
+    const { limit, ...filters } = parseQuery(topContributorsSchema, c.req.query());
+    const { where, bindings } = buildWhereClause(filters);
+
+    const result = await c.env.DB
+      .prepare(
+        `SELECT
+          u.id as userId,
+          u.name,
+          u.role,
+          COUNT(*) as aarCount,
+          COALESCE(SUM(a.views), 0) as views,
+          COALESCE(SUM(a.upvotes), 0) as upvotes,
+          COALESCE(SUM(a.downvotes), 0) as downvotes
+        FROM aars a
+        JOIN users u ON u.id = a.user_id
+        ${where}
+        GROUP BY u.id
+        ORDER BY aarCount DESC, upvotes DESC
+        LIMIT ?`
+      )
+      .bind(...bindings, limit)
+      .all();
+
+    return c.json({
+      success: true,
+      data: { contributors: result.results || [] },
+    });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error fetching top contributors:', error);
+    throw new HTTPException(500, { message: 'Failed to fetch top contributors' });
+  }
+});
+
+export default analytics;
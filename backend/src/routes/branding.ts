@@ -0,0 +1,240 @@
+/**
+ * Branding Routes
+ * Company name, logo, colors and custom CSS (single row in the branding table)
+ *
+ * GET is public so the login screen can be branded; changes are
+ * restricted to admins and managers.
+ */
+
+import { Hono } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+import { z } from 'zod';
+import { authenticate, requireRole } from '../middleware/auth';
+import type { Env, Variables } from '../types/env';
+
+const branding = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+// ============================================================================
+// CONSTANTS & VALIDATION SCHEMAS
+// ============================================================================
+
+const ALLOWED_LOGO_TYPES: Record<string, string> = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+};
+
+const MAX_LOGO_SIZE = 2 * 1024 * 1024; // 2MB
+
+const LOGO_KEY_PREFIX = 'branding/';
+
+const hexColor = z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Colors must be hex values like #3b82f6');
+
+const updateBrandingSchema = z.object({
+  primaryColor: hexColor.optional(),
+  secondaryColor: hexColor.optional(),
+  accentColor: hexColor.optional(),
+  companyName: z.string().trim().max(100).nullable().optional(),
+  tagline: z.string().trim().max(200).nullable().optional(),
+  customCss: z.string().max(20000).nullable().optional(),
+  logoUrl: z.null().optional(), // Logos are set via POST /logo; null removes it
+});
+
+// Maps request fields to branding columns
+const COLUMN_MAP: Record<string, string> = {
+  primaryColor: 'primary_color',
+  secondaryColor: 'secondary_color',
+  accentColor: 'accent_color',
+  companyName: 'company_name',
+  tagline: 'tagline',
+  customCss: 'custom_css',
+  logoUrl: 'logo_url',
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Load the branding row in API shape
+ */
+async function getBranding(db: D1Database) {
+  return db
+    .prepare(
+      `SELECT
+        logo_url as logoUrl,
+        primary_color as primaryColor,
+        secondary_color as secondaryColor,
+        accent_color as accentColor,
+        company_name as companyName,
+        tagline,
+        custom_css as customCss,
+        strftime('%Y-%m-%dT%H:%M:%SZ', updated_at) as updatedAt
+      FROM branding
+      WHERE id = '1'`
+    )
+    .first();
+}
+
+/**
+ * Delete a previously uploaded logo from R2 (ignores external URLs)
+ */
+async function deleteStoredLogo(env: Env, logoUrl: unknown) {
+  if (typeof logoUrl !== 'string') return;
+  const marker = `/files/${LOGO_KEY_PREFIX}`;
+  const index = logoUrl.indexOf(marker);
+  if (index === -1) return;
+
+  try {
+    await env.PHOTOS.delete(logoUrl.slice(index + '/files/'.length));
+  } catch (error) {
+    console.error('Error deleting old logo:', error);
+  }
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * GET /api/branding
+ * Current branding (public)
+ */
+branding.get('/', async (c) => {
+  try {
+    const result = await getBranding(c.env.DB);
+
+    return c.json({
+      success: true,
+      data: result,
+    });
+  } catch (error: any) {
+    console.error('Error fetching branding:', error);
+    throw new HTTPException(500, { message: 'Failed to fetch branding' });
+  }
+});
+
+/**
+ * PUT /api/branding
+ * Update branding fields (admin/manager only)
+ */
+branding.put('/', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const user = c.get('user')!;
+    const body = await c.req.json();
+    const validatedData = updateBrandingSchema.parse(body);
+    const db = c.env.DB;
+
+    const updates: string[] = [];
+    const values: any[] = [];
+
+    for (const [field, value] of Object.entries(validatedData)) {
+      if (value === undefined) continue;
+      updates.push(`${COLUMN_MAP[field]} = ?`);
+      // Empty text fields are stored as NULL so defaults apply in the UI
+      values.push(value === '' ? null : value);
+    }
+
+    if (updates.length === 0) {
+      throw new HTTPException(400, { message: 'No fields to update' });
+    }
+
+    const previous = validatedData.logoUrl === null ? await getBranding(db) : null;
+
+    updates.push('updated_by = ?', "updated_at = datetime('now')");
+    values.push(user.id);
+
+    await db
+      .prepare(`UPDATE branding SET ${updates.join(', ')} WHERE id = '1'`)
+      .bind(...values)
+      .run();
+
+    if (previous) {
+      await deleteStoredLogo(c.env, previous.logoUrl);
+    }
+
+    return c.json({
+      success: true,
+      data: await getBranding(db),
+    });
+  } catch (error: any) {
+    if (error instanceof z.ZodError) {
+      throw new HTTPException(400, {
+        message: 'Validation error',
+        cause: error.errors,
+      });
+    }
+    if (error instanceof HTTPException) throw error;
+    console.error('Error updating branding:', error);
+    throw new HTTPException(500, { message: 'Failed to update branding' });
+  }
+});
+
+/**
+ * POST /api/branding/logo
+ * Upload a new logo to R2 and set it as the current logo (admin/manager only)
+ *
+ * Request format: multipart/form-data with a `logo` file
+ */
+branding.post('/logo', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const user = c.get('user')!;
+    const db = c.env.DB;
+
+    const formData = await c.req.formData();
+    const fileEntry = formData.get('logo');
+
+    if (!fileEntry || typeof fileEntry === 'string') {
+      throw new HTTPException(400, { message: 'No logo provided' });
+    }
+
+    const file = fileEntry as File;
+    const extension = ALLOWED_LOGO_TYPES[file.type];
+
+    if (!extension) {
+      throw new HTTPException(400, { message: 'Invalid logo type. Supported: PNG, JPEG, WebP' });
+    }
+
+    if (file.size > MAX_LOGO_SIZE) {
+      throw new HTTPException(400, { message: `Logo too large (max ${MAX_LOGO_SIZE / (1024 * 1024)}MB)` });
+    }
+
+    const key = `${LOGO_KEY_PREFIX}logo-${Date.now()}-${Math.random().toString(36).substring(2, 11)}.${extension}`;
+
+    await c.env.PHOTOS.put(key, await file.arrayBuffer(), {
+      httpMetadata: {
+        contentType: file.type,
+      },
+      customMetadata: {
+        uploadedBy: user.id,
+        uploadedAt: new Date().toISOString(),
+      },
+    });
+
+    // Served through the Worker file proxy on this same origin
+    const logoUrl = `${new URL(c.req.url).origin}/files/${key}`;
+    const previous = await getBranding(db);
+
+    await db
+      .prepare(
+        `UPDATE branding
+        SET logo_url = ?, updated_by = ?, updated_at = datetime('now')
+        WHERE id = '1'`
+      )
+      .bind(logoUrl, user.id)
+      .run();
+
+    await deleteStoredLogo(c.env, previous?.logoUrl);
+
+    return c.json({
+      success: true,
+      data: await getBranding(db),
+    });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error uploading logo:', error);
+    throw new HTTPException(500, { message: 'Failed to upload logo' });
+  }
+});
+
+export default branding;
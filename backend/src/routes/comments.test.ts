@@ -0,0 +1,58 @@
+/**
+ * Tests for AAR comment notifications.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { afterEach, beforeEach, describe, it, expect } from 'vitest';
+import { createAAR, createForm, createTestEnv, createUser, request, type TestUser } from '../test/worker-env';
+import type { Env } from '../types/env';
+
+let env: Env;
+let dispose: () => Promise<void>;
+let tech: TestUser;
+
+const mention = (userId: string) => `@[${userId}](${userId})`;
+
+const notified = async () => {
+  const result = await env.DB.prepare('SELECT user_id, type FROM notifications ORDER BY user_id').all();
+  return result.results;
+};
+
+beforeEach(async () => {
+  ({ env, dispose } = await createTestEnv());
+  const admin = await createUser(env, 'user_admin', 'admin');
+  await createUser(env, 'user_franchise_a', 'franchisee');
+  await createUser(env, 'user_franchise_b', 'franchisee');
+  tech = await createUser(env, 'user_tech', 'employee', 'user_franchise_a');
+  await createForm(env, 'form_test', { sections: [], fields: [] }, admin.id);
+  await createAAR(env, 'aar_1', tech.id, 'form_test');
+
+  // Franchisees and employees only see their own franchise's AARs
+  await env.DB.prepare(`UPDATE visibility_policies SET scope = 'franchise' WHERE resource = 'aars'`).run();
+});
+
+afterEach(() => dispose());
+
+describe('comment mentions', () => {
+  it('notifies mentioned users who can see the AAR', async () => {
+    const response = await request(env, tech, 'POST', '/api/aars/aar_1/comments', {
+      content: `Can you check this, ${mention('user_franchise_a')} and ${mention('user_admin')}?`,
+    });
+
+    expect(response.status).toBe(201);
+    expect(await notified()).toEqual([
+      { user_id: 'user_admin', type: 'mention' },
+      { user_id: 'user_franchise_a', type: 'mention' },
+    ]);
+  });
+
+  it('does not notify mentioned users outside the AAR\'s franchise', async () => {
+    const response = await request(env, tech, 'POST', '/api/aars/aar_1/comments', {
+      content: `FYI ${mention('user_franchise_b')}`,
+    });
+
+    expect(response.status).toBe(201);
+    expect(await notified()).toEqual([]);
+  });
+});
@@ -0,0 +1,673 @@
+/**
+ * AAR Comment Routes
+ *
+ * Mounted by the AAR router under /api/aars/:id/comments (authentication is
+ * applied there). Handles:
+ * - Threaded comments (parent_comment_id)
+ * - Editing and soft deletion
+ * - Emoji reactions
+ * - Notifications for @mentions, replies and comments on your AAR
+ */
+
+import { Hono } from 'hono';
+import { nanoid } from 'nanoid';
+import { createNotifications, type NewNotification } from '../lib/notifications';
+import {
+  extractMentionedUserIds,
+  resolveMentionedUsers,
+  stripMentionMarkup,
+} from '../lib/mentions';
+import { filterAARViewers, visibilityConditionFor } from '../lib/visibility';
+import type { Env, Variables } from '../types/env';
+
+const app = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Reactions offered by the UI; anything else is rejected
+export const ALLOWED_REACTIONS = ['👍', '👎', '❤️', '🎉', '😂', '😮'];
+
+// Comments on AARs outside the user's visibility scope are not reachable
+app.use('*', async (c, next) => {
+  const visible = visibilityConditionFor(c, 'aars', 'user_id');
+  const aar = await c.env.DB.prepare(
+    `SELECT id FROM aars WHERE id = ? AND ${visible.sql}`
+  )
+    .bind(c.req.param('id'), ...visible.bindings)
+    .first();
+
+  if (!aar) {
+    return c.json(
+      {
+        success: false,
+        message: 'AAR not found',
+      },
+      404
+    );
+  }
+
+  return next();
+});
+
+/**
+ * Parse and validate comment content from a JSON body value
+ * @returns Trimmed content, or null if invalid
+ */
+function parseContent(content: unknown): string | null {
+  if (typeof content !== 'string') return null;
+  const trimmed = content.trim();
+  if (trimmed === '' || trimmed.length > MAX_COMMENT_LENGTH) return null;
+  return trimmed;
+}
+
+/**
+ * Notify users about a new or edited comment
+ *
+ * - Mentioned users get a 'mention' notification
+ * - For new comments, the parent comment's author (replies) and the AAR owner
+ *   get a 'comment' notification, unless they were already mentioned
+ *
+ * The comment author is never notified, and neither is anyone outside the
+ * AAR's visibility scope (e.g. a mentioned user from another franchise).
+ */
+async function notifyCommentActivity(
+  env: Env,
+  options: {
+    aarId: string;
+    authorId: string;
+    authorName: string;
+    content: string;
+    parentCommentId?: string | null;
+    isEdit?: boolean;
+    previouslyMentioned?: string[];
+  }
+): Promise<void> {
+  const { aarId, authorId, authorName, content, parentCommentId, isEdit, previouslyMentioned = [] } = options;
+
+  const candidates = extractMentionedUserIds(content).filter(
+    (id) => id !== authorId && !previouslyMentioned.includes(id)
+  );
+  const mentioned = await resolveMentionedUsers(env.DB, candidates);
+  const plain = stripMentionMarkup(content);
+  const preview = plain.length > 140 ? `${plain.slice(0, 137)}...` : plain;
+
+  const notifications: NewNotification[] = mentioned.map((userId) => ({
+    userId,
+    type: 'mention',
+    title: `${authorName} mentioned you in a comment`,
+    message: preview,
+    linkType: 'aar',
+    linkId: aarId,
+  }));
+
+  if (!isEdit) {
+    const notified = new Set([authorId, ...mentioned]);
+
+    if (parentCommentId) {
+      const parent = await env.DB.prepare('SELECT user_id FROM comments WHERE id = ?')
+        .bind(parentCommentId)
+        .first();
+      const parentAuthorId = parent?.user_id as string | undefined;
+      if (parentAuthorId && !notified.has(parentAuthorId)) {
+        notified.add(parentAuthorId);
+        notifications.push({
+          userId: parentAuthorId,
+          type: 'comment',
+          title: `${authorName} replied to your comment`,
+          message: preview,
+          linkType: 'aar',
+          linkId: aarId,
+        });
+      }
+    }
+
+    const aar = await env.DB.prepare('SELECT user_id FROM aars WHERE id = ?').bind(aarId).first();
+    const ownerId = aar?.user_id as string | undefined;
+    if (ownerId && !notified.has(ownerId)) {
+      notifications.push({
+        userId: ownerId,
+        type: 'comment',
+        title: `${authorName} commented on your AAR`,
+        message: preview,
+        linkType: 'aar',
+        linkId: aarId,
+      });
+    }
+  }
+
+  const recipients = await filterAARViewers(env, aarId, [...new Set(notifications.map((n) => n.userId))]);
+  await createNotifications(env, notifications.filter((n) => recipients.includes(n.userId)));
+}
+
+/**
+ * Fetch a comment with author info and reactions in API shape
+ */
+async function getCommentForResponse(
+  db: D1Database,
+  commentId: string,
+  userId: string
+): Promise<Record<string, any> | null> {
+  const comment = await db
+    .prepare(
+      `SELECT
+        cm.id, cm.aar_id, cm.user_id, cm.parent_comment_id, cm.content,
+        cm.created_at, cm.edited_at, cm.deleted_at,
+        u.name as user_name, u.role as user_role
+       FROM comments cm
+       JOIN users u ON u.id = cm.user_id
+       WHERE cm.id = ?`
+    )
+    .bind(commentId)
+    .first();
+
+  if (!comment) return null;
+
+  const reactions = await db
+    .prepare(
+      `SELECT emoji, COUNT(*) as count, MAX(CASE WHEN user_id = ? THEN 1 ELSE 0 END) as reacted
+       FROM comment_reactions
+       WHERE comment_id = ?
+       GROUP BY emoji
+       ORDER BY MIN(created_at)`
+    )
+    .bind(userId, commentId)
+    .all();
+
+  return {
+    ...comment,
+    reactions: (reactions.results || []).map((r: any) => ({
+      emoji: r.emoji,
+      count: r.count,
+      reacted: r.reacted === 1,
+    })),
+  };
+}
+
+/**
+ * Load an AAR comment and check it belongs to the AAR in the URL
+ */
+async function findComment(db: D1Database, aarId: string, commentId: string) {
+  return db
+    .prepare(
+      `SELECT id, aar_id, user_id, content, deleted_at
+       FROM comments
+       WHERE id = ? AND aar_id = ?`
+    )
+    .bind(commentId, aarId)
+    .first();
+}
+
+/**
+ * GET /api/aars/:id/comments
+ * List all comments on an AAR as a flat list, oldest first
+ *
+ * Clients build the thread from parent_comment_id. Soft-deleted comments are
+ * included (with content removed) only when they still have replies, so the
+ * thread structure is preserved.
+ */
+app.get('/', async (c) => {
+  try {
+    const aarId = c.req.param('id')!;
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    const aar = await c.env.DB.prepare(
+      'SELECT id FROM aars WHERE id = ? AND deleted_at IS NULL'
+    )
+      .bind(aarId)
+      .first();
+
+    if (!aar) {
+      return c.json(
+        {
+          success: false,
+          message: 'AAR not found',
+        },
+        404
+      );
+    }
+
+    const [commentsResult, reactionsResult] = await Promise.all([
+      c.env.DB.prepare(
+        `SELECT
+          cm.id, cm.aar_id, cm.user_id, cm.parent_comment_id, cm.content,
+          cm.created_at, cm.edited_at, cm.deleted_at,
+          u.name as user_name, u.role as user_role
+         FROM comments cm
+         JOIN users u ON u.id = cm.user_id
+         WHERE cm.aar_id = ?
+         ORDER BY cm.created_at ASC`
+      )
+        .bind(aarId)
+        .all(),
+      c.env.DB.prepare(
+        `SELECT r.comment_id, r.emoji, COUNT(*) as count,
+                MAX(CASE WHEN r.user_id = ? THEN 1 ELSE 0 END) as reacted
+         FROM comment_reactions r
+         JOIN comments cm ON cm.id = r.comment_id
+         WHERE cm.aar_id = ?
+         GROUP BY r.comment_id, r.emoji
+         ORDER BY MIN(r.created_at)`
+      )
+        .bind(user.id, aarId)
+        .all(),
+    ]);
+
+    const reactionsByComment: Record<string, { emoji: string; count: number; reacted: boolean }[]> = {};
+    for (const r of reactionsResult.results || []) {
+      const commentId = r.comment_id as string;
+      if (!reactionsByComment[commentId]) {
+        reactionsByComment[commentId] = [];
+      }
+      reactionsByComment[commentId].push({
+        emoji: r.emoji as string,
+        count: r.count as number,
+        reacted: r.reacted === 1,
+      });
+    }
+
+    const rows = commentsResult.results || [];
+
+    // A deleted comment is kept as a placeholder while any descendant is visible
+    const childrenByParent: Record<string, any[]> = {};
+    for (const row of rows) {
+      const parentId = row.parent_comment_id as string | null;
+      if (parentId) {
+        if (!childrenByParent[parentId]) {
+          childrenByParent[parentId] = [];
+        }
+        childrenByParent[parentId].push(row);
+      }
+    }
+    const hasVisibleDescendant = (id: string): boolean =>
+      (childrenByParent[id] || []).some(
+        (child) => !child.deleted_at || hasVisibleDescendant(child.id as string)
+      );
+
+    const comments = rows
+      .filter((row) => !row.deleted_at || hasVisibleDescendant(row.id as string))
+      .map((row) =>
+        row.deleted_at
+          ? { ...row, content: '', user_id: null, user_name: null, user_role: null, reactions: [] }
+          : { ...row, reactions: reactionsByComment[row.id as string] || [] }
+      );
+
+    return c.json({
+      success: true,
+      data: {
+        comments,
+      },
+    });
+  } catch (error) {
+    console.error('Error listing comments:', error);
+    return c.json(
+      {
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : 'Unknown error',
+      },
+      500
+    );
+  }
+});
+
+/**
+ * POST /api/aars/:id/comments
+ * Add a comment or reply
+ *
+ * Request format: application/json
+ * - content: Comment text (may contain @[Name](userId) mentions)
+ * - parentCommentId: Optional comment being replied to
+ */
+app.post('/', async (c) => {
+  try {
+    const aarId = c.req.param('id')!;
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    let body: { content?: unknown; parentCommentId?: unknown };
+    try {
+      body = await c.req.json();
+    } catch (err) {
+      return c.json(
+        {
+          success: false,
+          message: 'Invalid JSON body',
+        },
+        400
+      );
+    }
+
+    const content = parseContent(body.content);
+    if (!content) {
+      return c.json(
+        {
+          success: false,
+          message: `Comment must be between 1 and ${MAX_COMMENT_LENGTH} characters`,
+        },
+        400
+      );
+    }
+
+    const aar = await c.env.DB.prepare(
+      'SELECT id FROM aars WHERE id = ? AND deleted_at IS NULL'
+    )
+      .bind(aarId)
+      .first();
+
+    if (!aar) {
+      return c.json(
+        {
+          success: false,
+          message: 'AAR not found',
+        },
+        404
+      );
+    }
+
+    let parentCommentId: string | null = null;
+    if (body.parentCommentId) {
+      const parent = await findComment(c.env.DB, aarId, String(body.parentCommentId));
+      if (!parent || parent.deleted_at) {
+        return c.json(
+          {
+            success: false,
+            message: 'Parent comment not found',
+          },
+          404
+        );
+      }
+      parentCommentId = parent.id as string;
+    }
+
+    const commentId = nanoid();
+
+    // Fires comments_insert trigger (aars.comment_count)
+    await c.env.DB.prepare(
+      `INSERT INTO comments (id, aar_id, user_id, parent_comment_id, content, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%SZ', 'now'), strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))`
+    )
+      .bind(commentId, aarId, user.id, parentCommentId, content)
+      .run();
+
+    const comment = await getCommentForResponse(c.env.DB, commentId, user.id);
+
+    // Notifications should never fail the comment itself
+    try {
+      await notifyCommentActivity(c.env, {
+        aarId,
+        authorId: user.id,
+        authorName: (comment?.user_name as string) || 'Someone',
+        content,
+        parentCommentId,
+      });
+    } catch (notifyError) {
+      console.error('Error creating comment notifications:', notifyError);
+    }
+
+    return c.json(
+      {
+        success: true,
+        data: {
+          comment,
+        },
+      },
+      201
+    );
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    return c.json(
+      {
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : 'Unknown error',
+      },
+      500
+    );
+  }
+});
+
+/**
+ * PUT /api/aars/:id/comments/:commentId
+ * Edit a comment (author only)
+ *
+ * Only users newly mentioned by the edit are notified.
+ */
+app.put('/:commentId', async (c) => {
+  try {
+    const aarId = c.req.param('id')!;
+    const commentId = c.req.param('commentId');
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    let body: { content?: unknown };
+    try {
+      body = await c.req.json();
+    } catch (err) {
+      return c.json(
+        {
+          success: false,
+          message: 'Invalid JSON body',
+        },
+        400
+      );
+    }
+
+    const content = parseContent(body.content);
+    if (!content) {
+      return c.json(
+        {
+          success: false,
+          message: `Comment must be between 1 and ${MAX_COMMENT_LENGTH} characters`,
+        },
+        400
+      );
+    }
+
+    const existing = await findComment(c.env.DB, aarId, commentId);
+    if (!existing || existing.deleted_at) {
+      return c.json(
+        {
+          success: false,
+          message: 'Comment not found',
+        },
+        404
+      );
+    }
+
+    if (existing.user_id !== user.id) {
+      return c.json(
+        {
+          success: false,
+          message: 'You can only edit your own comments',
+        },
+        403
+      );
+    }
+
+    await c.env.DB.prepare(
+      `UPDATE comments
+       SET content = ?,
+           edited_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now'),
+           updated_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+       WHERE id = ?`
+    )
+      .bind(content, commentId)
+      .run();
+
+    const comment = await getCommentForResponse(c.env.DB, commentId, user.id);
+
+    try {
+      await notifyCommentActivity(c.env, {
+        aarId,
+        authorId: user.id,
+        authorName: (comment?.user_name as string) || 'Someone',
+        content,
+        isEdit: true,
+        previouslyMentioned: extractMentionedUserIds(existing.content as string),
+      });
+    } catch (notifyError) {
+      console.error('Error creating mention notifications:', notifyError);
+    }
+
+    return c.json({
+      success: true,
+      data: {
+        comment,
+      },
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    return c.json(
+      {
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : 'Unknown error',
+      },
+      500
+    );
+  }
+});
+
+/**
+ * DELETE /api/aars/:id/comments/:commentId
+ * Soft delete a comment (author, admin, or manager)
+ *
+ * Replies are kept; the comment remains in the thread as a placeholder.
+ */
+app.delete('/:commentId', async (c) => {
+  try {
+    const aarId = c.req.param('id')!;
+    const commentId = c.req.param('commentId');
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    const existing = await findComment(c.env.DB, aarId, commentId);
+    if (!existing || existing.deleted_at) {
+      return c.json(
+        {
+          success: false,
+          message: 'Comment not found',
+        },
+        404
+      );
+    }
+
+    if (existing.user_id !== user.id && user.role !== 'admin' && user.role !== 'manager') {
+      return c.json(
+        {
+          success: false,
+          message: 'You do not have permission to delete this comment',
+        },
+        403
+      );
+    }
+
+    // Fires comments_soft_delete trigger (aars.comment_count)
+    await c.env.DB.prepare(
+      `UPDATE comments
+       SET deleted_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now'),
+           updated_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+       WHERE id = ?`
+    )
+      .bind(commentId)
+      .run();
+
+    return c.json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    return c.json(
+      {
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : 'Unknown error',
+      },
+      500
+    );
+  }
+});
+
+/**
+ * POST /api/aars/:id/comments/:commentId/reactions
+ * Toggle the caller's emoji reaction on a comment
+ *
+ * Request format: application/json
+ * - emoji: One of ALLOWED_REACTIONS
+ */
+app.post('/:commentId/reactions', async (c) => {
+  try {
+    const aarId = c.req.param('id')!;
+    const commentId = c.req.param('commentId');
+    const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+    let body: { emoji?: unknown };
+    try {
+      body = await c.req.json();
+    } catch (err) {
+      return c.json(
+        {
+          success: false,
+          message: 'Invalid JSON body',
+        },
+        400
+      );
+    }
+
+    const emoji = typeof body.emoji === 'string' ? body.emoji : '';
+    if (!ALLOWED_REACTIONS.includes(emoji)) {
+      return c.json(
+        {
+          success: false,
+          message: `Unsupported reaction. Allowed: ${ALLOWED_REACTIONS.join(' ')}`,
+        },
+        400
+      );
+    }
+
+    const existing = await findComment(c.env.DB, aarId, commentId);
+    if (!existing || existing.deleted_at) {
+      return c.json(
+        {
+          success: false,
+          message: 'Comment not found',
+        },
+        404
+      );
+    }
+
+    const removed = await c.env.DB.prepare(
+      'DELETE FROM comment_reactions WHERE comment_id = ? AND user_id = ? AND emoji = ?'
+    )
+      .bind(commentId, user.id, emoji)
+      .run();
+
+    if (!removed.meta.changes) {
+      await c.env.DB.prepare(
+        `INSERT INTO comment_reactions (id, comment_id, user_id, emoji, created_at)
+         VALUES (?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))`
+      )
+        .bind(nanoid(), commentId, user.id, emoji)
+        .run();
+    }
+
+    const comment = await getCommentForResponse(c.env.DB, commentId, user.id);
+
+    return c.json({
+      success: true,
+      data: {
+        reactions: comment?.reactions || [],
+      },
+    });
+  } catch (error) {
+    console.error('Error toggling comment reaction:', error);
+    return c.json(
+      {
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : 'Unknown error',
+      },
+      500
+    );
+  }
+});
+
+export default app;
@@ -3,12 +3,15 @@
  * Handles DMs, groups, open chat, and message management
  */
 
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
 import { HTTPException } from 'hono/http-exception';
 import { z } from 'zod';
 import { nanoid } from 'nanoid';
 import { authenticate } from '../middleware/auth';
 import { rateLimit } from '../middleware/rateLimit';
+import { notifyChatMentions } from '../lib/mentions';
+import { recordChatAttachment } from '../lib/file-access';
+import { visibilityConditionFor } from '../lib/visibility';
 import type { Env, Variables } from '../types/env';
 
 const app = new Hono<{ Bindings: Env; Variables: Variables }>();
@@ -36,6 +39,47 @@ const addParticipantSchema = z.object({
   userId: z.string(),
 });
 
+// ============================================================================
+// VISIBILITY HELPERS
+// ============================================================================
+
+type AppContext = Context<{ Bindings: Env; Variables: Variables }>;
+
+/**
+ * Open chat is only available when the 'conversations' policy is 'all'
+ */
+function assertOpenChatAllowed(c: AppContext) {
+  if (c.get('visibility')?.conversations !== 'all') {
+    throw new HTTPException(403, { message: 'Open chat is not available' });
+  }
+}
+
+/**
+ * Ensure every user can be messaged under the 'conversations' visibility policy
+ * Admins and managers are always reachable so staff can be contacted.
+ */
+async function assertUsersReachable(c: AppContext, userIds: string[]) {
+  if (c.get('visibility')?.conversations === 'all') return;
+
+  const uniqueIds = [...new Set(userIds)];
+  const visible = visibilityConditionFor(c, 'conversations', 'id');
+  const result = await c.env.DB
+    .prepare(
+      `SELECT COUNT(*) as count FROM users
+      WHERE id IN (${uniqueIds.map(() => '?').join(', ')})
+        AND deleted_at IS NULL
+        AND (role IN ('admin', 'manager') OR ${visible.sql})`
+    )
+    .bind(...uniqueIds, ...visible.bindings)
+    .first();
+
+  if (((result?.count as number) || 0) !== uniqueIds.length) {
+    throw new HTTPException(403, {
+      message: 'You can only message users within your visibility scope',
+    });
+  }
+}
+
 // ============================================================================
 // CONVERSATION ROUTES
 // ============================================================================
@@ -110,6 +154,8 @@ app.get('/open', async (c) => {
   try {
     const db = c.env.DB;
 
+    assertOpenChatAllowed(c);
+
     // Find existing open chat
     const openChat = await db
       .prepare(`SELECT id FROM conversations WHERE type = 'open' AND deleted_at IS NULL LIMIT 1`)
@@ -139,6 +185,7 @@ app.get('/open', async (c) => {
       data: { id: conversationId },
     });
   } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
     console.error('Error getting open chat:', error);
     throw new HTTPException(500, { message: 'Failed to get open chat' });
   }
@@ -244,6 +291,8 @@ app.post('/', async (c) => {
       throw new HTTPException(400, { message: 'Direct messages must have exactly 1 participant' });
     }
 
+    await assertUsersReachable(c, validated.participantIds);
+
     // For DMs, check if conversation already exists
     if (validated.type === 'direct') {
       const otherUserId = validated.participantIds[0];
@@ -352,6 +401,10 @@ app.get('/:id/messages', async (c) => {
       throw new HTTPException(404, { message: 'Conversation not found' });
     }
 
+    if (conversation.type === 'open') {
+      assertOpenChatAllowed(c);
+    }
+
     // For non-open chats, verify participant
     if (conversation.type !== 'open') {
       const participant = await db
@@ -449,6 +502,10 @@ app.post(
       throw new HTTPException(404, { message: 'Conversation not found' });
     }
 
+    if (conversation.type === 'open') {
+      assertOpenChatAllowed(c);
+    }
+
     // For non-open chats, verify user is participant
     if (conversation.type !== 'open') {
       const participant = await db
@@ -468,13 +525,15 @@ app.post(
     const messageId = nanoid();
     const timestamp = new Date().toISOString();
 
-    await db
-      .prepare(
-        `INSERT INTO messages (id, conversation_id, sender_id, content, message_type, metadata, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
-      )
-      .bind(messageId, conversationId, user.id, validated.content, validated.messageType, validated.metadata || null, timestamp, timestamp)
-      .run();
+    await db.batch([
+      db
+        .prepare(
+          `INSERT INTO messages (id, conversation_id, sender_id, content, message_type, metadata, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .bind(messageId, conversationId, user.id, validated.content, validated.messageType, validated.metadata || null, timestamp, timestamp),
+      ...recordChatAttachment(db, { id: messageId, senderId: user.id, metadata: validated.metadata }),
+    ]);
 
     // Triggers will automatically:
     // 1. Update conversation.last_message_id and last_message_at
@@ -499,6 +558,18 @@ app.post(
       .bind(messageId)
       .first();
 
+    // Create in-app notifications for @mentioned users (never fails the send)
+    try {
+      await notifyChatMentions(c.env, {
+        conversationId,
+        senderId: user.id,
+        senderName: (message?.senderName as string) || 'Someone',
+        content: validated.content,
+      });
+    } catch (notifyError) {
+      console.error('Error creating mention notifications:', notifyError);
+    }
+
     return c.json({
       success: true,
       data: message,
@@ -595,6 +666,8 @@ app.post('/:id/participants', async (c) => {
       throw new HTTPException(403, { message: 'Access denied' });
     }
 
+    await assertUsersReachable(c, [validated.userId]);
+
     // Check if user already exists
     const existingParticipant = await db
       .prepare(
@@ -0,0 +1,92 @@
+/**
+ * Tests that schema changes to a live form go through its draft and the
+ * integrity checks.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { afterEach, beforeEach, describe, it, expect } from 'vitest';
+import { createForm, createTestEnv, createUser, request, type TestUser } from '../test/worker-env';
+import type { Env } from '../types/env';
+
+let env: Env;
+let dispose: () => Promise<void>;
+let admin: TestUser;
+
+const field = (id: string) => ({
+  id,
+  type: 'text',
+  label: id,
+  required: false,
+  order: 1,
+  section: 'main',
+});
+
+const schema = (version: string, fieldIds: string[]) => ({
+  formId: 'form_default',
+  version,
+  sections: [{ id: 'main', name: 'Main', order: 1 }],
+  fields: fieldIds.map(field),
+});
+
+const LIVE = schema('1', ['category']);
+const DEFAULT_SCHEMA = schema('1', ['category', 'material']);
+
+const getForm = () =>
+  env.DB.prepare('SELECT form_schema, current_version, draft_schema FROM custom_forms WHERE id = ?')
+    .bind('form_default')
+    .first<{ form_schema: string; current_version: number; draft_schema: string | null }>();
+
+beforeEach(async () => {
+  ({ env, dispose } = await createTestEnv());
+  admin = await createUser(env, 'user_admin', 'admin');
+  await createForm(env, 'form_default', LIVE, admin.id);
+});
+
+afterEach(() => dispose());
+
+describe('POST /api/custom-forms/reset', () => {
+  it('puts the default schema in the draft and leaves the live form unchanged', async () => {
+    const response = await request(env, admin, 'POST', '/api/custom-forms/reset', {
+      defaultSchema: DEFAULT_SCHEMA,
+    });
+
+    expect(response.status).toBe(200);
+    const form = await getForm();
+    expect(JSON.parse(form!.form_schema)).toEqual(LIVE);
+    expect(form!.current_version).toBe(1);
+    expect(JSON.parse(form!.draft_schema!)).toEqual(DEFAULT_SCHEMA);
+
+    const published = await request(env, admin, 'POST', '/api/custom-forms/form_default/publish', {
+      changeNote: 'Reset to default',
+    });
+
+    expect(published.status).toBe(200);
+    const live = await getForm();
+    expect(JSON.parse(live!.form_schema)).toEqual(DEFAULT_SCHEMA);
+    expect(live!.current_version).toBe(2);
+  });
+});
+
+describe('POST /api/custom-forms/:id/rollback', () => {
+  it('refuses to republish a version that fails the integrity checks', async () => {
+    // Saved before the duplicate ID check existed
+    await env.DB.batch([
+      env.DB.prepare(
+        `INSERT INTO custom_form_versions (id, form_id, version, form_schema) VALUES ('form_default_v2', 'form_default', 2, ?)`
+      ).bind(JSON.stringify(schema('2', ['category', 'category']))),
+      env.DB.prepare(
+        `INSERT INTO custom_form_versions (id, form_id, version, form_schema) VALUES ('form_default_v3', 'form_default', 3, ?)`
+      ).bind(JSON.stringify(LIVE)),
+      env.DB.prepare(`UPDATE custom_forms SET current_version = 3 WHERE id = 'form_default'`),
+    ]);
+
+    const response = await request(env, admin, 'POST', '/api/custom-forms/form_default/rollback', {
+      version: 2,
+    });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ error: 'Invalid form schema' });
+    expect((await getForm())!.current_version).toBe(3);
+  });
+});
@@ -2,6 +2,9 @@ import { Hono } from 'hono';
 import { z } from 'zod';
 import { nanoid } from 'nanoid';
 import { authenticate, requireRole } from '../middleware/auth';
+import { prepareFormVersion, saveFormVersion, getFormVersionSchema } from '../lib/form-versions';
+import { checkFormSchemaIntegrity, type SchemaIssue } from '../lib/form-schema-integrity';
+import { CONDITION_OPERATOR_NAMES } from '../../../shared/conditions';
 import type { Env, Variables } from '../types/env';
 
 const app = new Hono<{ Bindings: Env; Variables: Variables }>();
@@ -10,6 +13,28 @@ const app = new Hono<{ Bindings: Env; Variables: Variables }>();
 // VALIDATION SCHEMAS
 // ============================================================================
 
+// Single condition of a field's conditional logic
+const conditionValidator = z.object({
+  fieldId: z.string(),
+  operator: z.enum(CONDITION_OPERATOR_NAMES),
+  value: z.union([z.string(), z.number(), z.array(z.string())]).optional(),
+});
+
+type ConditionNodeInput =
+  | z.infer<typeof conditionValidator>
+  | { operator: 'AND' | 'OR'; conditions: ConditionNodeInput[] };
+
+// A condition or a nested group of conditions (groups can nest to any depth)
+const conditionNodeValidator: z.ZodType<ConditionNodeInput> = z.lazy(() =>
+  z.union([
+    z.object({
+      operator: z.enum(['AND', 'OR']),
+      conditions: z.array(conditionNodeValidator),
+    }),
+    conditionValidator,
+  ])
+);
+
 // Field validation schema
 const fieldValidator = z.object({
   id: z.string(),
@@ -27,6 +52,11 @@ const fieldValidator = z.object({
     'multidualfield',
     'triplefield',
     'multitriplefield',
+    'signature',
+    'location',
+    'rating',
+    'timer',
+    'barcode',
   ]),
   label: z.string(),
   placeholder: z.string().optional(),
@@ -34,6 +64,7 @@ const fieldValidator = z.object({
   order: z.number(),
   section: z.string(),
   options: z.array(z.string()).optional(),
+  optionsSource: z.enum(['categories', 'materials']).optional(), // Reference list that replaces `options`
   validation: z
     .object({
       min: z.number().optional(),
@@ -49,29 +80,36 @@ const fieldValidator = z.object({
   unitOptions: z.array(z.string()).optional(),
   unitLabel: z.string().optional(),
   amountLabel: z.string().optional(),
+  maxRating: z.number().int().min(3).max(10).optional(), // rating: number of stars (default 5)
+  feedsFieldId: z.string().optional(), // timer: number field that receives the time in hours
   conditional: z
     .object({
       enabled: z.boolean(),
       operator: z.enum(['AND', 'OR']),
-      conditions: z.array(
-        z.object({
-          fieldId: z.string(),
-          operator: z.enum([
-            'equals',
-            'notEquals',
-            'greaterThan',
-            'lessThan',
-            'contains',
-            'startsWith',
-            'endsWith',
-            'oneOf',
-            'includes',
-            'isEmpty',
-            'isNotEmpty',
-          ]),
-          value: z.union([z.string(), z.number(), z.array(z.string())]).optional(),
-        })
-      ),
+      conditions: z.array(conditionNodeValidator),
+    })
+    .optional(),
+  // Field rules (see shared/form-rules)
+  requiredWhen: z
+    .object({
+      enabled: z.boolean(),
+      operator: z.enum(['AND', 'OR']),
+      conditions: z.array(conditionNodeValidator),
+    })
+    .optional(),
+  optionRules: z
+    .array(
+      z.object({
+        operator: z.enum(['AND', 'OR']),
+        conditions: z.array(conditionNodeValidator),
+        options: z.array(z.string()),
+      })
+    )
+    .optional(),
+  computed: z
+    .object({
+      expression: z.string().min(1, 'Expression is required'),
+      decimals: z.number().int().min(0).max(6).optional(),
     })
     .optional(),
 });
@@ -81,6 +119,11 @@ const sectionValidator = z.object({
   id: z.string(),
   name: z.string(),
   order: z.number(),
+  // Repeatable sections are filled in once per instance (see shared/repeatable-sections)
+  repeatable: z.boolean().optional(),
+  itemLabel: z.string().optional(),
+  minItems: z.number().int().min(0).optional(),
+  maxItems: z.number().int().min(1).optional(),
 });
 
 // Complete form schema validator
@@ -103,19 +146,226 @@ const resetFormSchema = z.object({
   defaultSchema: formSchemaValidator,
 });
 
+// Create form request schema
+const createFormSchema = z.object({
+  name: z.string().min(1, 'Name is required'),
+  description: z.string().optional(),
+  appliesToCategory: z.string().min(1).nullable().optional(), // null = default form for all categories
+  form_schema: formSchemaValidator,
+});
+
+// Update form by ID request schema (schema changes go through the draft)
+const updateFormByIdSchema = z.object({
+  name: z.string().min(1, 'Name is required').optional(),
+  description: z.string().optional(),
+  appliesToCategory: z.string().min(1).nullable().optional(),
+});
+
+// Save draft request schema
+const saveDraftSchema = z.object({
+  form_schema: formSchemaValidator,
+});
+
+// Publish draft request schema
+const publishFormSchema = z.object({
+  changeNote: z.string().trim().min(1, 'A changelog message is required').max(500),
+});
+
+// Rollback request schema
+const rollbackFormSchema = z.object({
+  version: z.number().int().min(1),
+  changeNote: z.string().trim().max(500).optional(),
+});
+
+// Clone form request schema
+const cloneFormSchema = z.object({
+  name: z.string().min(1).optional(),
+  appliesToCategory: z.string().min(1).nullable().optional(),
+});
+
+type FormSchema = z.infer<typeof formSchemaValidator>;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const FORM_COLUMNS = `id, name, description, form_schema, current_version, is_active, applies_to_category, draft_schema, draft_updated_at, created_at, updated_at`;
+
+/**
+ * Run the schema integrity checks (see lib/form-schema-integrity)
+ * Returns an error body listing every issue, or null if the schema is consistent.
+ */
+function checkSchemaIntegrity(
+  formSchema: FormSchema
+): { error: string; message: string; issues: SchemaIssue[] } | null {
+  const issues = checkFormSchemaIntegrity(formSchema);
+  if (issues.length === 0) {
+    return null;
+  }
+
+  return {
+    error: 'Invalid form schema',
+    message: issues.map((issue) => issue.message).join('; '),
+    issues,
+  };
+}
+
+/**
+ * Find another active form already assigned to a category
+ * (null category = the default form). Only one active form per category is
+ * allowed so the Submit AAR page can pick a form unambiguously.
+ */
+async function findActiveFormForCategory(
+  db: D1Database,
+  category: string | null,
+  excludeId?: string
+): Promise<{ id: string; name: string } | null> {
+  const categoryCondition =
+    category === null ? 'applies_to_category IS NULL' : 'applies_to_category = ? COLLATE NOCASE';
+  const bindings: any[] = category === null ? [] : [category];
+
+  return db
+    .prepare(
+      `SELECT id, name FROM custom_forms
+       WHERE is_active = 1 AND deleted_at IS NULL AND ${categoryCondition} AND id != ?
+       LIMIT 1`
+    )
+    .bind(...bindings, excludeId || '')
+    .first<{ id: string; name: string }>();
+}
+
+function categoryConflictMessage(category: string | null, existing: { name: string }) {
+  return category === null
+    ? `"${existing.name}" is already the default form. Archive it or assign it to a category first.`
+    : `"${existing.name}" is already the active form for ${category}. Archive it first.`;
+}
+
+/**
+ * Convert a custom_forms row to the API shape
+ * `schema` is always the published schema; the unpublished draft is only
+ * included (as draftSchema) for form editors.
+ */
+function formatForm(row: Record<string, any>, includeSchema = true, includeDraft = false) {
+  const form: Record<string, any> = {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    appliesToCategory: row.applies_to_category,
+    version: row.current_version, // Send as formVersion when submitting an AAR
+    isActive: row.is_active === 1,
+    hasDraft: row.draft_schema !== null && row.draft_schema !== undefined,
+    draftUpdatedAt: row.draft_updated_at ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+
+  const schema = JSON.parse(row.form_schema as string);
+  if (includeSchema) {
+    form.schema = schema;
+  } else {
+    form.fieldCount = Array.isArray(schema.fields) ? schema.fields.length : 0;
+  }
+
+  if (includeDraft) {
+    form.draftSchema = form.hasDraft ? JSON.parse(row.draft_schema as string) : null;
+  }
+
+  return form;
+}
+
+async function getForm(db: D1Database, formId: string) {
+  return db
+    .prepare(`SELECT ${FORM_COLUMNS} FROM custom_forms WHERE id = ? AND deleted_at IS NULL`)
+    .bind(formId)
+    .first();
+}
+
+/**
+ * Store a schema as the form's unpublished draft
+ * A draft identical to the published schema has nothing to publish, so it
+ * clears the draft instead. Returns false if the draft was cleared.
+ */
+async function saveDraft(
+  db: D1Database,
+  form: Record<string, any>,
+  formSchema: FormSchema,
+  userId: string
+): Promise<boolean> {
+  const draftJson = JSON.stringify(formSchema);
+  const changed = draftJson !== form.form_schema;
+
+  await db
+    .prepare(
+      `UPDATE custom_forms
+       SET draft_schema = ?, draft_updated_at = ?, draft_updated_by = ?
+       WHERE id = ?`
+    )
+    .bind(
+      changed ? draftJson : null,
+      changed ? new Date().toISOString() : null,
+      changed ? userId : null,
+      form.id
+    )
+    .run();
+
+  return changed;
+}
+
+function canEditForms(user: { role: string }) {
+  return ['admin', 'manager'].includes(user.role);
+}
+
 // ============================================================================
 // ROUTES
 // ============================================================================
 
-// GET /api/custom-forms/active - Get the currently active form
-app.get('/active', authenticate, async (c) => {
+// GET /api/custom-forms - List forms (summary, no schema)
+// Query: includeArchived=true also returns archived forms (admin/manager only)
+app.get('/', authenticate, async (c) => {
   try {
-    const activeForm = await c.env.DB.prepare(
-      `SELECT id, name, description, form_schema, created_at, updated_at
+    const user = c.get('user')!;
+    const includeArchived = c.req.query('includeArchived') === 'true' && canEditForms(user);
+
+    const result = await c.env.DB.prepare(
+      `SELECT ${FORM_COLUMNS}
        FROM custom_forms
-       WHERE is_active = 1 AND deleted_at IS NULL
-       LIMIT 1`
-    ).first();
+       WHERE deleted_at IS NULL ${includeArchived ? '' : 'AND is_active = 1'}
+       ORDER BY is_active DESC, applies_to_category IS NOT NULL, applies_to_category COLLATE NOCASE, name`
+    ).all();
+
+    return c.json({
+      forms: (result.results || []).map((row: any) => formatForm(row, false)),
+    });
+  } catch (error) {
+    console.error('Error listing forms:', error);
+    return c.json({ error: 'Failed to fetch forms' }, 500);
+  }
+});
+
+// GET /api/custom-forms/active - Get the active form to use for submissions
+// Query: category - prefer the form assigned to this category, else the default form
+app.get('/active', authenticate, async (c) => {
+  try {
+    const category = c.req.query('category');
+
+    const activeForm = category
+      ? await c.env.DB.prepare(
+          `SELECT ${FORM_COLUMNS}
+           FROM custom_forms
+           WHERE is_active = 1 AND deleted_at IS NULL
+             AND (applies_to_category = ? COLLATE NOCASE OR applies_to_category IS NULL)
+           ORDER BY applies_to_category IS NULL, updated_at DESC
+           LIMIT 1`
+        )
+          .bind(category)
+          .first()
+      : await c.env.DB.prepare(
+          `SELECT ${FORM_COLUMNS}
+           FROM custom_forms
+           WHERE is_active = 1 AND deleted_at IS NULL
+           ORDER BY applies_to_category IS NOT NULL, updated_at DESC
+           LIMIT 1`
+        ).first();
 
     if (!activeForm) {
       // No active form exists - frontend will use default schema
@@ -133,12 +383,8 @@ app.get('/active', authenticate, async (c) => {
 
     return c.json({
       form: {
-        id: activeForm.id,
-        name: activeForm.name,
-        description: activeForm.description,
+        ...formatForm(activeForm, false),
         schema,
-        createdAt: activeForm.created_at,
-        updatedAt: activeForm.updated_at,
       },
     });
   } catch (error) {
@@ -147,7 +393,7 @@ app.get('/active', authenticate, async (c) => {
   }
 });
 
-// PUT /api/custom-forms/active - Update or create the active form
+// PUT /api/custom-forms/active - Create the default form (no category) on first-time setup
 app.put('/active', authenticate, requireRole('admin', 'manager'), async (c) => {
   try {
     const currentUser = c.get('user');
@@ -158,120 +404,189 @@ app.put('/active', authenticate, requireRole('admin', 'manager'), async (c) => {
     const body = await c.req.json();
     const validated = updateFormSchema.parse(body);
 
-    // Additional validation: Ensure field sections reference existing sections
-    const sectionIds = new Set(validated.form_schema.sections.map((s) => s.id));
-    const invalidFields = validated.form_schema.fields.filter(
-      (f) => !sectionIds.has(f.section)
-    );
+    const integrityError = checkSchemaIntegrity(validated.form_schema);
+    if (integrityError) {
+      return c.json(integrityError, 400);
+    }
+
+    const formSchemaJson = JSON.stringify(validated.form_schema);
 
-    if (invalidFields.length > 0) {
+    // Only creates the default form: once it exists, schema changes go through
+    // its draft (PUT /:id/draft, POST /:id/publish) so nothing goes live unreviewed
+    const existingForm = await findActiveFormForCategory(c.env.DB, null);
+    if (existingForm) {
       return c.json(
         {
-          error: 'Validation error',
-          message: `Fields reference non-existent sections: ${invalidFields
-            .map((f) => f.id)
-            .join(', ')}`,
+          error: 'Conflict',
+          message: 'The default form already exists. Save changes as a draft and publish them.',
+          formId: existingForm.id,
         },
-        400
+        409
       );
     }
 
-    // Check for duplicate field IDs
-    const fieldIds = validated.form_schema.fields.map((f) => f.id);
-    const duplicateIds = fieldIds.filter((id, index) => fieldIds.indexOf(id) !== index);
-    if (duplicateIds.length > 0) {
+    // Create new active form (first time setup or after reset)
+    const formId = nanoid();
+    await c.env.DB.prepare(
+      `INSERT INTO custom_forms (id, name, description, form_schema, is_active, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 1, ?, datetime('now'), datetime('now'))`
+    )
+      .bind(
+        formId,
+        validated.name || 'AAR Submission Form',
+        validated.description || 'Customized AAR submission form',
+        formSchemaJson,
+        currentUser.id
+      )
+      .run();
+
+    const version = await saveFormVersion(c.env.DB, formId, formSchemaJson, currentUser.id);
+
+    return c.json(
+      {
+        success: true,
+        message: 'Form created successfully',
+        formId,
+        version,
+      },
+      201
+    );
+  } catch (error) {
+    if (error instanceof z.ZodError) {
       return c.json(
         {
           error: 'Validation error',
-          message: `Duplicate field IDs found: ${duplicateIds.join(', ')}`,
+          details: error.flatten().fieldErrors,
         },
         400
       );
     }
 
-    // Validate conditional logic: Check that referenced fields exist
-    const fieldIdSet = new Set(fieldIds);
-    const invalidRefs: string[] = [];
-
-    validated.form_schema.fields.forEach((field) => {
-      if (field.conditional?.enabled) {
-        field.conditional.conditions.forEach((condition) => {
-          if (condition.fieldId && !fieldIdSet.has(condition.fieldId)) {
-            invalidRefs.push(`${field.id} references non-existent field: ${condition.fieldId}`);
-          }
-          // Check for self-reference
-          if (condition.fieldId === field.id) {
-            invalidRefs.push(`${field.id} cannot reference itself`);
-          }
-        });
-      }
-    });
+    console.error('Error updating form:', error);
+    return c.json({ error: 'Failed to update form' }, 500);
+  }
+});
 
-    if (invalidRefs.length > 0) {
-      return c.json(
-        {
-          error: 'Invalid conditional logic',
-          message: invalidRefs.join('; '),
-        },
-        400
-      );
+// POST /api/custom-forms/reset - Put the default schema in the default form's draft
+// (creates the default form if there is none yet)
+app.post('/reset', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const currentUser = c.get('user');
+    if (!currentUser) {
+      return c.json({ error: 'Unauthorized' }, 401);
     }
 
-    const formSchemaJson = JSON.stringify(validated.form_schema);
+    const body = await c.req.json();
+    const validated = resetFormSchema.parse(body);
 
-    // Check if active form exists
-    const existingForm = await c.env.DB.prepare(
-      'SELECT id FROM custom_forms WHERE is_active = 1 AND deleted_at IS NULL LIMIT 1'
-    ).first();
+    const integrityError = checkSchemaIntegrity(validated.defaultSchema);
+    if (integrityError) {
+      return c.json(integrityError, 400);
+    }
 
+    // The default schema becomes the default form's draft, so like any other
+    // change it only goes live once published; category forms are untouched
+    const existingForm = await findActiveFormForCategory(c.env.DB, null);
     if (existingForm) {
-      // Update existing active form
-      await c.env.DB.prepare(
-        `UPDATE custom_forms
-         SET form_schema = ?,
-             name = COALESCE(?, name),
-             description = COALESCE(?, description),
-             updated_at = datetime('now')
-         WHERE id = ?`
-      )
-        .bind(
-          formSchemaJson,
-          validated.name || null,
-          validated.description || null,
-          existingForm.id
-        )
-        .run();
+      const form = (await getForm(c.env.DB, existingForm.id))!;
+      const changed = await saveDraft(c.env.DB, form, validated.defaultSchema, currentUser.id);
+      const updated = await getForm(c.env.DB, form.id as string);
 
       return c.json({
         success: true,
-        message: 'Form updated successfully',
-        formId: existingForm.id,
+        message: changed
+          ? 'Draft reset to the default schema. Publish it to make it live.'
+          : 'The form already uses the default schema',
+        formId: form.id,
+        form: formatForm(updated!, true, true),
       });
-    } else {
-      // Create new active form (first time setup or after reset)
-      const formId = nanoid();
-      await c.env.DB.prepare(
-        `INSERT INTO custom_forms (id, name, description, form_schema, is_active, created_by, created_at, updated_at)
-         VALUES (?, ?, ?, ?, 1, ?, datetime('now'), datetime('now'))`
+    }
+
+    // No default form yet: there is nothing live to protect, so create it
+    const formId = nanoid();
+    await c.env.DB.prepare(
+      `INSERT INTO custom_forms (id, name, description, form_schema, is_active, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 1, ?, datetime('now'), datetime('now'))`
+    )
+      .bind(
+        formId,
+        'AAR Submission Form',
+        'Default AAR submission form',
+        JSON.stringify(validated.defaultSchema),
+        currentUser.id
       )
-        .bind(
-          formId,
-          validated.name || 'AAR Submission Form',
-          validated.description || 'Customized AAR submission form',
-          formSchemaJson,
-          currentUser.id
-        )
-        .run();
+      .run();
 
+    await saveFormVersion(c.env.DB, formId, JSON.stringify(validated.defaultSchema), currentUser.id);
+
+    return c.json({
+      success: true,
+      message: 'Form reset to default',
+      formId,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
       return c.json(
         {
-          success: true,
-          message: 'Form created successfully',
-          formId,
+          error: 'Validation error',
+          details: error.flatten().fieldErrors,
         },
-        201
+        400
       );
     }
+
+    console.error('Error resetting form:', error);
+    return c.json({ error: 'Failed to reset form' }, 500);
+  }
+});
+
+// POST /api/custom-forms - Create a form (optionally assigned to a category)
+app.post('/', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const currentUser = c.get('user')!;
+    const body = await c.req.json();
+    const validated = createFormSchema.parse(body);
+
+    const integrityError = checkSchemaIntegrity(validated.form_schema);
+    if (integrityError) {
+      return c.json(integrityError, 400);
+    }
+
+    const category = validated.appliesToCategory ?? null;
+    const conflict = await findActiveFormForCategory(c.env.DB, category);
+    if (conflict) {
+      return c.json({ error: 'Conflict', message: categoryConflictMessage(category, conflict) }, 409);
+    }
+
+    const formId = nanoid();
+    await c.env.DB.prepare(
+      `INSERT INTO custom_forms (id, name, description, form_schema, is_active, applies_to_category, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 1, ?, ?, datetime('now'), datetime('now'))`
+    )
+      .bind(
+        formId,
+        validated.name,
+        validated.description || null,
+        JSON.stringify(validated.form_schema),
+        category,
+        currentUser.id
+      )
+      .run();
+
+    await saveFormVersion(c.env.DB, formId, JSON.stringify(validated.form_schema), currentUser.id);
+
+    const created = await c.env.DB.prepare(`SELECT ${FORM_COLUMNS} FROM custom_forms WHERE id = ?`)
+      .bind(formId)
+      .first();
+
+    return c.json(
+      {
+        success: true,
+        message: 'Form created successfully',
+        form: formatForm(created!, true, true),
+      },
+      201
+    );
   } catch (error) {
     if (error instanceof z.ZodError) {
       return c.json(
@@ -283,48 +598,271 @@ app.put('/active', authenticate, requireRole('admin', 'manager'), async (c) => {
       );
     }
 
-    console.error('Error updating form:', error);
-    return c.json({ error: 'Failed to update form' }, 500);
+    console.error('Error creating form:', error);
+    return c.json({ error: 'Failed to create form' }, 500);
   }
 });
 
-// POST /api/custom-forms/reset - Reset to default schema
-app.post('/reset', authenticate, requireRole('admin', 'manager'), async (c) => {
+// GET /api/custom-forms/:id - Get a form with its schema (including archived forms)
+// Admins/managers also receive the unpublished draft (draftSchema)
+app.get('/:id', authenticate, async (c) => {
   try {
-    const currentUser = c.get('user');
-    if (!currentUser) {
-      return c.json({ error: 'Unauthorized' }, 401);
+    const form = await getForm(c.env.DB, c.req.param('id'));
+
+    if (!form) {
+      return c.json({ error: 'Form not found' }, 404);
     }
 
+    return c.json({ form: formatForm(form, true, canEditForms(c.get('user')!)) });
+  } catch (error) {
+    console.error('Error fetching form:', error);
+    return c.json({ error: 'Failed to fetch form' }, 500);
+  }
+});
+
+// PUT /api/custom-forms/:id - Update a form's details or category
+// The schema is edited through PUT /:id/draft and goes live with POST /:id/publish
+app.put('/:id', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const formId = c.req.param('id');
     const body = await c.req.json();
-    const validated = resetFormSchema.parse(body);
+    const validated = updateFormByIdSchema.parse(body);
+
+    const existing = await getForm(c.env.DB, formId);
+
+    if (!existing) {
+      return c.json({ error: 'Form not found' }, 404);
+    }
+
+    const category =
+      validated.appliesToCategory !== undefined
+        ? validated.appliesToCategory
+        : (existing.applies_to_category as string | null);
+
+    if (existing.is_active === 1 && validated.appliesToCategory !== undefined) {
+      const conflict = await findActiveFormForCategory(c.env.DB, category, formId);
+      if (conflict) {
+        return c.json({ error: 'Conflict', message: categoryConflictMessage(category, conflict) }, 409);
+      }
+    }
 
-    // Soft delete current active form (preserve history)
     await c.env.DB.prepare(
       `UPDATE custom_forms
-       SET deleted_at = datetime('now'), is_active = 0
-       WHERE is_active = 1 AND deleted_at IS NULL`
-    ).run();
+       SET name = COALESCE(?, name),
+           description = COALESCE(?, description),
+           applies_to_category = ?,
+           updated_at = datetime('now')
+       WHERE id = ?`
+    )
+      .bind(validated.name || null, validated.description ?? null, category, formId)
+      .run();
+
+    const updated = await getForm(c.env.DB, formId);
+
+    return c.json({
+      success: true,
+      message: 'Form updated successfully',
+      form: formatForm(updated!, true, true),
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return c.json(
+        {
+          error: 'Validation error',
+          details: error.flatten().fieldErrors,
+        },
+        400
+      );
+    }
+
+    console.error('Error updating form:', error);
+    return c.json({ error: 'Failed to update form' }, 500);
+  }
+});
+
+// POST /api/custom-forms/:id/clone - Copy a form; the copy starts archived
+// unless it is given a category (or default slot) that is free
+app.post('/:id/clone', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const currentUser = c.get('user')!;
+    const body = await c.req.json().catch(() => ({}));
+    const validated = cloneFormSchema.parse(body);
+
+    const source = await getForm(c.env.DB, c.req.param('id'));
+
+    if (!source) {
+      return c.json({ error: 'Form not found' }, 404);
+    }
+
+    const category =
+      validated.appliesToCategory !== undefined
+        ? validated.appliesToCategory
+        : (source.applies_to_category as string | null);
+    const conflict = await findActiveFormForCategory(c.env.DB, category);
 
-    // Create new form with default schema
     const formId = nanoid();
     await c.env.DB.prepare(
-      `INSERT INTO custom_forms (id, name, description, form_schema, is_active, created_by, created_at, updated_at)
-       VALUES (?, ?, ?, ?, 1, ?, datetime('now'), datetime('now'))`
+      `INSERT INTO custom_forms (id, name, description, form_schema, is_active, applies_to_category, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`
     )
       .bind(
         formId,
-        'AAR Submission Form',
-        'Default AAR submission form',
-        JSON.stringify(validated.defaultSchema),
+        validated.name || `Copy of ${source.name}`,
+        source.description,
+        source.form_schema,
+        conflict ? 0 : 1,
+        category,
         currentUser.id
       )
       .run();
 
+    // The copy starts its own history at version 1
+    await saveFormVersion(c.env.DB, formId, source.form_schema as string, currentUser.id);
+
+    const created = await c.env.DB.prepare(`SELECT ${FORM_COLUMNS} FROM custom_forms WHERE id = ?`)
+      .bind(formId)
+      .first();
+
+    return c.json(
+      {
+        success: true,
+        message: conflict
+          ? 'Form cloned (archived until the category is free)'
+          : 'Form cloned successfully',
+        form: formatForm(created!, true, true),
+      },
+      201
+    );
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return c.json(
+        {
+          error: 'Validation error',
+          details: error.flatten().fieldErrors,
+        },
+        400
+      );
+    }
+
+    console.error('Error cloning form:', error);
+    return c.json({ error: 'Failed to clone form' }, 500);
+  }
+});
+
+// PUT /api/custom-forms/:id/draft - Save the form builder's work in progress
+// The draft is never used for submissions until it is published
+app.put('/:id/draft', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const currentUser = c.get('user')!;
+    const formId = c.req.param('id');
+    const body = await c.req.json();
+    const validated = saveDraftSchema.parse(body);
+
+    const integrityError = checkSchemaIntegrity(validated.form_schema);
+    if (integrityError) {
+      return c.json(integrityError, 400);
+    }
+
+    const existing = await getForm(c.env.DB, formId);
+    if (!existing) {
+      return c.json({ error: 'Form not found' }, 404);
+    }
+
+    const changed = await saveDraft(c.env.DB, existing, validated.form_schema, currentUser.id);
+    const updated = await getForm(c.env.DB, formId);
+
+    return c.json({
+      success: true,
+      message: changed ? 'Draft saved' : 'No changes from the published version',
+      form: formatForm(updated!, true, true),
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return c.json(
+        {
+          error: 'Validation error',
+          details: error.flatten().fieldErrors,
+        },
+        400
+      );
+    }
+
+    console.error('Error saving draft:', error);
+    return c.json({ error: 'Failed to save draft' }, 500);
+  }
+});
+
+// DELETE /api/custom-forms/:id/draft - Discard the unpublished draft
+app.delete('/:id/draft', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const formId = c.req.param('id');
+    const result = await c.env.DB.prepare(
+      `UPDATE custom_forms
+       SET draft_schema = NULL, draft_updated_at = NULL, draft_updated_by = NULL
+       WHERE id = ? AND deleted_at IS NULL`
+    )
+      .bind(formId)
+      .run();
+
+    if (!result.meta.changes) {
+      return c.json({ error: 'Form not found' }, 404);
+    }
+
+    const updated = await getForm(c.env.DB, formId);
+
     return c.json({
       success: true,
-      message: 'Form reset to default',
+      message: 'Draft discarded',
+      form: formatForm(updated!, true, true),
+    });
+  } catch (error) {
+    console.error('Error discarding draft:', error);
+    return c.json({ error: 'Failed to discard draft' }, 500);
+  }
+});
+
+// POST /api/custom-forms/:id/publish - Make the draft the live schema
+// Body: { changeNote } - stored with the new version in the form's history
+app.post('/:id/publish', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const currentUser = c.get('user')!;
+    const formId = c.req.param('id');
+    const body = await c.req.json();
+    const validated = publishFormSchema.parse(body);
+
+    const existing = await getForm(c.env.DB, formId);
+    if (!existing) {
+      return c.json({ error: 'Form not found' }, 404);
+    }
+
+    if (!existing.draft_schema) {
+      return c.json({ error: 'Bad request', message: 'There is no draft to publish' }, 400);
+    }
+
+    const { version, statements } = await prepareFormVersion(
+      c.env.DB,
       formId,
+      existing.draft_schema as string,
+      currentUser.id,
+      validated.changeNote
+    );
+
+    // The new version and the cleared draft are saved together
+    await c.env.DB.batch([
+      ...statements,
+      c.env.DB.prepare(
+        `UPDATE custom_forms
+         SET draft_schema = NULL, draft_updated_at = NULL, draft_updated_by = NULL
+         WHERE id = ?`
+      ).bind(formId),
+    ]);
+
+    const updated = await getForm(c.env.DB, formId);
+
+    return c.json({
+      success: true,
+      message: `Version ${version} published`,
+      form: formatForm(updated!, true, true),
     });
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -337,8 +875,188 @@ app.post('/reset', authenticate, requireRole('admin', 'manager'), async (c) => {
       );
     }
 
-    console.error('Error resetting form:', error);
-    return c.json({ error: 'Failed to reset form' }, 500);
+    console.error('Error publishing form:', error);
+    return c.json({ error: 'Failed to publish form' }, 500);
+  }
+});
+
+// POST /api/custom-forms/:id/rollback - Publish the schema of an earlier version again
+// Body: { version, changeNote? }. History is kept: the old schema becomes a new
+// version, so AARs submitted on the versions in between still render correctly.
+// An unpublished draft is left untouched.
+app.post('/:id/rollback', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const currentUser = c.get('user')!;
+    const formId = c.req.param('id');
+    const body = await c.req.json();
+    const validated = rollbackFormSchema.parse(body);
+
+    const existing = await getForm(c.env.DB, formId);
+    if (!existing) {
+      return c.json({ error: 'Form not found' }, 404);
+    }
+
+    const target = await c.env.DB.prepare(
+      'SELECT form_schema FROM custom_form_versions WHERE form_id = ? AND version = ?'
+    )
+      .bind(formId, validated.version)
+      .first<{ form_schema: string }>();
+
+    if (!target) {
+      return c.json({ error: 'Form version not found' }, 404);
+    }
+
+    if (target.form_schema === existing.form_schema) {
+      return c.json(
+        { error: 'Bad request', message: `Version ${validated.version} is already the live schema` },
+        400
+      );
+    }
+
+    // Old versions predate later integrity checks, so re-check before republishing
+    const integrityError = checkSchemaIntegrity(JSON.parse(target.form_schema) as FormSchema);
+    if (integrityError) {
+      return c.json(integrityError, 400);
+    }
+
+    const version = await saveFormVersion(
+      c.env.DB,
+      formId,
+      target.form_schema,
+      currentUser.id,
+      validated.changeNote || `Rolled back to version ${validated.version}`
+    );
+
+    const updated = await getForm(c.env.DB, formId);
+
+    return c.json({
+      success: true,
+      message: `Version ${validated.version} republished as version ${version}`,
+      form: formatForm(updated!, true, true),
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return c.json(
+        {
+          error: 'Validation error',
+          details: error.flatten().fieldErrors,
+        },
+        400
+      );
+    }
+
+    console.error('Error rolling back form:', error);
+    return c.json({ error: 'Failed to roll back form' }, 500);
+  }
+});
+
+// GET /api/custom-forms/:id/versions - List a form's schema versions (newest first)
+app.get('/:id/versions', authenticate, async (c) => {
+  try {
+    const result = await c.env.DB.prepare(
+      `SELECT v.version, v.change_note, v.created_at, u.name as created_by_name
+       FROM custom_form_versions v
+       LEFT JOIN users u ON v.created_by = u.id
+       WHERE v.form_id = ?
+       ORDER BY v.version DESC`
+    )
+      .bind(c.req.param('id'))
+      .all();
+
+    return c.json({
+      versions: (result.results || []).map((row: any) => ({
+        version: row.version,
+        changeNote: row.change_note,
+        createdAt: row.created_at,
+        createdByName: row.created_by_name,
+      })),
+    });
+  } catch (error) {
+    console.error('Error listing form versions:', error);
+    return c.json({ error: 'Failed to fetch form versions' }, 500);
+  }
+});
+
+// GET /api/custom-forms/:id/versions/:version - Get the schema of one version
+// Used to render AARs with the schema they were submitted on (form_id + form_version)
+app.get('/:id/versions/:version', authenticate, async (c) => {
+  try {
+    const formId = c.req.param('id');
+    const version = c.req.param('version');
+    const schema = await getFormVersionSchema(c.env.DB, formId, version);
+
+    if (!schema) {
+      return c.json({ error: 'Form version not found' }, 404);
+    }
+
+    return c.json({
+      form: {
+        id: formId,
+        version: Number(version),
+        schema,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching form version:', error);
+    return c.json({ error: 'Failed to fetch form version' }, 500);
+  }
+});
+
+// POST /api/custom-forms/:id/archive - Stop offering a form for new submissions
+// Existing AARs keep referencing it.
+app.post('/:id/archive', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const result = await c.env.DB.prepare(
+      `UPDATE custom_forms
+       SET is_active = 0, updated_at = datetime('now')
+       WHERE id = ? AND deleted_at IS NULL`
+    )
+      .bind(c.req.param('id'))
+      .run();
+
+    if (!result.meta.changes) {
+      return c.json({ error: 'Form not found' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Form archived' });
+  } catch (error) {
+    console.error('Error archiving form:', error);
+    return c.json({ error: 'Failed to archive form' }, 500);
+  }
+});
+
+// POST /api/custom-forms/:id/restore - Make an archived form active again
+app.post('/:id/restore', authenticate, requireRole('admin', 'manager'), async (c) => {
+  try {
+    const formId = c.req.param('id');
+    const form = await c.env.DB.prepare(
+      'SELECT id, applies_to_category FROM custom_forms WHERE id = ? AND deleted_at IS NULL'
+    )
+      .bind(formId)
+      .first<{ id: string; applies_to_category: string | null }>();
+
+    if (!form) {
+      return c.json({ error: 'Form not found' }, 404);
+    }
+
+    const conflict = await findActiveFormForCategory(c.env.DB, form.applies_to_category, formId);
+    if (conflict) {
+      return c.json(
+        { error: 'Conflict', message: categoryConflictMessage(form.applies_to_category, conflict) },
+        409
+      );
+    }
+
+    await c.env.DB.prepare(
+      `UPDATE custom_forms SET is_active = 1, updated_at = datetime('now') WHERE id = ?`
+    )
+      .bind(formId)
+      .run();
+
+    return c.json({ success: true, message: 'Form restored' });
+  } catch (error) {
+    console.error('Error restoring form:', error);
+    return c.json({ error: 'Failed to restore form' }, 500);
   }
 });
 
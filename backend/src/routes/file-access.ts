@@ -0,0 +1,94 @@
+/**
+ * File Access Routes
+ * File access tokens for /files/:key, and the admin switches that keep
+ * files public (see ../lib/file-access.ts)
+ */
+
+import { Hono } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+import { z } from 'zod';
+import { authenticate, requireRole } from '../middleware/auth';
+import { createFileAccessToken, getPublicFileAccess, savePublicFileAccess } from '../lib/file-access';
+import type { Env, Variables } from '../types/env';
+
+const fileAccess = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+// ============================================================================
+// VALIDATION SCHEMAS
+// ============================================================================
+
+const updatePublicAccessSchema = z
+  .object({
+    aar_photos: z.boolean().optional(),
+    chat_attachments: z.boolean().optional(),
+  })
+  .strict();
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * GET /api/files/access-token
+ * Token to append to file URLs (?access=...)
+ *
+ * Response: { token, expiresAt }
+ */
+fileAccess.get('/access-token', authenticate, async (c) => {
+  const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+  const { token, expiresAt } = await createFileAccessToken(user, c.env.JWT_SECRET);
+
+  return c.json({
+    success: true,
+    data: { token, expiresAt },
+  });
+});
+
+/**
+ * GET /api/files/public-access
+ * Which file categories are served without a token (admin only)
+ */
+fileAccess.get('/public-access', authenticate, requireRole('admin'), async (c) => {
+  try {
+    const access = await getPublicFileAccess(c.env);
+
+    return c.json({
+      success: true,
+      data: { access },
+    });
+  } catch (error: any) {
+    console.error('Error fetching public file access:', error);
+    throw new HTTPException(500, { message: 'Failed to fetch public file access' });
+  }
+});
+
+/**
+ * PUT /api/files/public-access
+ * Turn public access on or off for one or more categories (admin only)
+ */
+fileAccess.put('/public-access', authenticate, requireRole('admin'), async (c) => {
+  try {
+    const user = c.get('user')!;
+    const body = await c.req.json();
+    const validatedData = updatePublicAccessSchema.parse(body);
+
+    const access = await savePublicFileAccess(c.env, validatedData, user.id);
+
+    return c.json({
+      success: true,
+      data: { access },
+    });
+  } catch (error: any) {
+    if (error instanceof z.ZodError) {
+      throw new HTTPException(400, {
+        message: 'Validation error',
+        cause: error.errors,
+      });
+    }
+    if (error instanceof HTTPException) throw error;
+    console.error('Error updating public file access:', error);
+    throw new HTTPException(500, { message: 'Failed to update public file access' });
+  }
+});
+
+export default fileAccess;
@@ -0,0 +1,73 @@
+/**
+ * Tests for who may fetch chat attachments through /files/:key.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { afterEach, beforeEach, describe, it, expect } from 'vitest';
+import { createTestEnv, createUser, request, type TestUser } from '../test/worker-env';
+import { createFileAccessToken } from '../lib/file-access';
+import type { Env } from '../types/env';
+
+let env: Env;
+let dispose: () => Promise<void>;
+let alice: TestUser;
+let bob: TestUser;
+let carol: TestUser;
+
+const SENT_KEY = 'chat-uploads/user_alice/1-sent.png';
+const UNSENT_KEY = 'chat-uploads/user_alice/2-unsent.png';
+
+const createConversation = (id: string, participants: TestUser[]) =>
+  env.DB.batch([
+    env.DB.prepare(`INSERT INTO conversations (id, type, created_by) VALUES (?, 'group', ?)`).bind(
+      id,
+      participants[0].id
+    ),
+    ...participants.map((participant) =>
+      env.DB.prepare(
+        'INSERT INTO conversation_participants (id, conversation_id, user_id) VALUES (?, ?, ?)'
+      ).bind(`${id}_${participant.id}`, id, participant.id)
+    ),
+  ]);
+
+const sendAttachment = (sender: TestUser, conversationId: string, key: string) =>
+  request(env, sender, 'POST', `/api/conversations/${conversationId}/messages`, {
+    content: '📷 photo.png',
+    messageType: 'image',
+    metadata: JSON.stringify({ url: `https://api.example.com/files/${key}`, filename: 'photo.png' }),
+  });
+
+const fetchFile = async (user: TestUser, key: string) => {
+  const { token } = await createFileAccessToken(user, env.JWT_SECRET);
+  return request(env, user, 'GET', `/files/${key}?access=${token}`);
+};
+
+beforeEach(async () => {
+  ({ env, dispose } = await createTestEnv());
+  alice = await createUser(env, 'user_alice', 'employee');
+  bob = await createUser(env, 'user_bob', 'employee');
+  carol = await createUser(env, 'user_carol', 'employee');
+  await env.PHOTOS.put(SENT_KEY, new Uint8Array([1]));
+  await env.PHOTOS.put(UNSENT_KEY, new Uint8Array([2]));
+  await createConversation('conv_alice_bob', [alice, bob]);
+});
+
+afterEach(() => dispose());
+
+describe('GET /files/chat-uploads/...', () => {
+  it('serves an attachment to the participants of the conversation it was sent in', async () => {
+    expect((await sendAttachment(alice, 'conv_alice_bob', SENT_KEY)).status).toBe(200);
+
+    expect((await fetchFile(bob, SENT_KEY)).status).toBe(200);
+    expect((await fetchFile(carol, SENT_KEY)).status).toBe(403);
+  });
+
+  it("does not share someone else's upload named in a message", async () => {
+    await createConversation('conv_carol_bob', [carol, bob]);
+    await sendAttachment(carol, 'conv_carol_bob', UNSENT_KEY);
+
+    expect((await fetchFile(bob, UNSENT_KEY)).status).toBe(403);
+    expect((await fetchFile(alice, UNSENT_KEY)).status).toBe(200);
+  });
+});
@@ -1,9 +1,11 @@
 /**
  * File Serving Routes
- * Proxies R2 bucket files through Worker for public access
+ * Proxies R2 bucket files through Worker, checking who may see each file
+ * (see ../lib/file-access.ts)
  */
 
 import { Hono } from 'hono';
+import { canAccessFile, getFileCategory, getPublicFileAccess, verifyFileAccessToken } from '../lib/file-access';
 import type { Env, Variables } from '../types/env';
 
 const app = new Hono<{ Bindings: Env; Variables: Variables }>();
@@ -11,14 +13,43 @@ const app = new Hono<{ Bindings: Env; Variables: Variables }>();
 /**
  * GET /files/:key
  * Serve files from R2 bucket through Worker proxy
- * No authentication required - public file serving
+ * Requires a file access token unless the file's category is public
+ *
+ * Query:
+ * - access: file access token (GET /api/files/access-token)
+ * - size=thumbnail|medium serves that rendition of an AAR photo (see
+ *   lib/image-pipeline.ts), falling back to the original if it has none.
  */
 app.get('/:key{.+}', async (c) => {
   try {
     const key = c.req.param('key');
+    const size = c.req.query('size');
+
+    const category = getFileCategory(key);
+    const isPublic =
+      category === 'public' || (category !== null && (await getPublicFileAccess(c.env))[category]);
+
+    if (!isPublic) {
+      const token = c.req.query('access');
+      const user = token ? await verifyFileAccessToken(token, c.env.JWT_SECRET) : null;
+      if (!user) {
+        return c.json({ error: 'Unauthorized: Invalid or expired file access token' }, 401);
+      }
+      if (!(await canAccessFile(c.env, user, key))) {
+        return c.json({ error: 'Access denied' }, 403);
+      }
+    }
+
+    let servedKey = key;
+    if (size === 'thumbnail' || size === 'medium') {
+      const photo = await c.env.DB.prepare('SELECT thumbnail_r2_key, medium_r2_key FROM photos WHERE r2_key = ?')
+        .bind(key)
+        .first<{ thumbnail_r2_key: string | null; medium_r2_key: string | null }>();
+      servedKey = (size === 'thumbnail' ? photo?.thumbnail_r2_key : photo?.medium_r2_key) || key;
+    }
 
     // Fetch file from R2
-    const object = await c.env.PHOTOS.get(key);
+    const object = await c.env.PHOTOS.get(servedKey);
 
     if (!object) {
       return c.json({ error: 'File not found' }, 404);
@@ -31,7 +62,8 @@ app.get('/:key{.+}', async (c) => {
     return new Response(object.body, {
       headers: {
         'Content-Type': contentType,
-        'Cache-Control': 'public, max-age=31536000, immutable', // Cache for 1 year
+        // Cache for 1 year; protected files only in the requester's browser
+        'Cache-Control': `${isPublic ? 'public' : 'private'}, max-age=31536000, immutable`,
         'Access-Control-Allow-Origin': '*', // Allow cross-origin requests
         'X-Content-Type-Options': 'nosniff',
       },
@@ -0,0 +1,238 @@
+/**
+ * Notification Routes
+ * In-app notification inbox for the current user
+ *
+ * Notifications are created by other routes (votes, comments, chat mentions)
+ * via lib/notifications and pushed live over the user's WebSocket.
+ */
+
+import { Hono } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+import { authenticate } from '../middleware/auth';
+import type { Env, Variables } from '../types/env';
+
+const app = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+// All routes require authentication
+app.use('*', authenticate);
+
+const NOTIFICATION_COLUMNS = `
+  id,
+  type,
+  title,
+  message,
+  link_type as linkType,
+  link_id as linkId,
+  strftime('%Y-%m-%dT%H:%M:%SZ', read_at) as readAt,
+  strftime('%Y-%m-%dT%H:%M:%SZ', created_at) as createdAt
+`;
+
+/**
+ * GET /api/notifications
+ * List notifications for current user, newest first
+ *
+ * Query params:
+ * - unreadOnly: 'true' to only return unread notifications
+ * - page, limit: Pagination (max 50 per page)
+ */
+app.get('/', async (c) => {
+  try {
+    const user = c.get('user');
+    const db = c.env.DB;
+
+    if (!user) {
+      throw new HTTPException(401, { message: 'Unauthorized' });
+    }
+
+    const { unreadOnly, page = '1', limit = '20' } = c.req.query();
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 20, 50);
+    const offset = (pageNum - 1) * limitNum;
+    const unreadFilter = unreadOnly === 'true' ? ' AND read_at IS NULL' : '';
+
+    const [notifications, total, unread] = await Promise.all([
+      db
+        .prepare(
+          `SELECT ${NOTIFICATION_COLUMNS}
+          FROM notifications
+          WHERE user_id = ? AND deleted_at IS NULL${unreadFilter}
+          ORDER BY created_at DESC
+          LIMIT ? OFFSET ?`
+        )
+        .bind(user.id, limitNum, offset)
+        .all(),
+      db
+        .prepare(
+          `SELECT COUNT(*) as count FROM notifications
+          WHERE user_id = ? AND deleted_at IS NULL${unreadFilter}`
+        )
+        .bind(user.id)
+        .first(),
+      db
+        .prepare(
+          `SELECT COUNT(*) as count FROM notifications
+          WHERE user_id = ? AND deleted_at IS NULL AND read_at IS NULL`
+        )
+        .bind(user.id)
+        .first(),
+    ]);
+
+    const totalCount = (total?.count as number) || 0;
+
+    return c.json({
+      success: true,
+      data: {
+        notifications: notifications.results || [],
+        unreadCount: (unread?.count as number) || 0,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: totalCount,
+          totalPages: Math.ceil(totalCount / limitNum),
+        },
+      },
+    });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error fetching notifications:', error);
+    throw new HTTPException(500, { message: 'Failed to fetch notifications' });
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Number of unread notifications (for the header badge)
+ */
+app.get('/unread-count', async (c) => {
+  try {
+    const user = c.get('user');
+    const db = c.env.DB;
+
+    if (!user) {
+      throw new HTTPException(401, { message: 'Unauthorized' });
+    }
+
+    const result = await db
+      .prepare(
+        `SELECT COUNT(*) as count FROM notifications
+        WHERE user_id = ? AND deleted_at IS NULL AND read_at IS NULL`
+      )
+      .bind(user.id)
+      .first();
+
+    return c.json({
+      success: true,
+      data: { count: (result?.count as number) || 0 },
+    });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error fetching unread notification count:', error);
+    throw new HTTPException(500, { message: 'Failed to fetch unread count' });
+  }
+});
+
+/**
+ * PATCH /api/notifications/read-all
+ * Mark all of the current user's notifications as read
+ * IMPORTANT: Must be before /:id routes
+ */
+app.patch('/read-all', async (c) => {
+  try {
+    const user = c.get('user');
+    const db = c.env.DB;
+
+    if (!user) {
+      throw new HTTPException(401, { message: 'Unauthorized' });
+    }
+
+    const result = await db
+      .prepare(
+        `UPDATE notifications
+        SET read_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+        WHERE user_id = ? AND read_at IS NULL AND deleted_at IS NULL`
+      )
+      .bind(user.id)
+      .run();
+
+    return c.json({
+      success: true,
+      data: { updated: result.meta.changes || 0 },
+    });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error marking all notifications as read:', error);
+    throw new HTTPException(500, { message: 'Failed to mark notifications as read' });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:id/read
+ * Mark a single notification as read
+ */
+app.patch('/:id/read', async (c) => {
+  try {
+    const user = c.get('user');
+    const notificationId = c.req.param('id');
+    const db = c.env.DB;
+
+    if (!user) {
+      throw new HTTPException(401, { message: 'Unauthorized' });
+    }
+
+    const result = await db
+      .prepare(
+        `UPDATE notifications
+        SET read_at = COALESCE(read_at, strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+        WHERE id = ? AND user_id = ? AND deleted_at IS NULL`
+      )
+      .bind(notificationId, user.id)
+      .run();
+
+    if (!result.meta.changes) {
+      throw new HTTPException(404, { message: 'Notification not found' });
+    }
+
+    return c.json({ success: true });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error marking notification as read:', error);
+    throw new HTTPException(500, { message: 'Failed to mark notification as read' });
+  }
+});
+
+/**
+ * DELETE /api/notifications/:id
+ * Soft delete a notification
+ */
+app.delete('/:id', async (c) => {
+  try {
+    const user = c.get('user');
+    const notificationId = c.req.param('id');
+    const db = c.env.DB;
+
+    if (!user) {
+      throw new HTTPException(401, { message: 'Unauthorized' });
+    }
+
+    const result = await db
+      .prepare(
+        `UPDATE notifications
+        SET deleted_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+        WHERE id = ? AND user_id = ? AND deleted_at IS NULL`
+      )
+      .bind(notificationId, user.id)
+      .run();
+
+    if (!result.meta.changes) {
+      throw new HTTPException(404, { message: 'Notification not found' });
+    }
+
+    return c.json({ success: true });
+  } catch (error: any) {
+    if (error instanceof HTTPException) throw error;
+    console.error('Error deleting notification:', error);
+    throw new HTTPException(500, { message: 'Failed to delete notification' });
+  }
+});
+
+export default app;
@@ -0,0 +1,299 @@
+/**
+ * Reference List Routes
+ * CRUD for the simple name lists used as form options (categories, materials)
+ *
+ * Both tables share the same shape (id, name, display_order, is_active), so
+ * one router factory serves each of them. Reading is open to any
+ * authenticated user; changes are restricted to admins and managers.
+ */
+
+import { Hono } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+import { z } from 'zod';
+import { nanoid } from 'nanoid';
+import { authenticate, requireRole } from '../middleware/auth';
+import type { Env, Variables } from '../types/env';
+
+// Tables that can be served by this router (never interpolate anything else)
+export const REFERENCE_LISTS = ['categories', 'materials'] as const;
+export type ReferenceList = (typeof REFERENCE_LISTS)[number];
+
+// ============================================================================
+// VALIDATION SCHEMAS
+// ============================================================================
+
+const createEntrySchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  displayOrder: z.number().int().min(0).optional(),
+  isActive: z.boolean().optional(),
+});
+
+const updateEntrySchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100).optional(),
+  displayOrder: z.number().int().min(0).optional(),
+  isActive: z.boolean().optional(),
+});
+
+const reorderSchema = z.object({
+  ids: z.array(z.string()).min(1, 'At least one id is required'),
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Build a readable id from a name ("Carbon Fiber" -> "carbon-fiber")
+ */
+function slugify(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const capitalize = (value: string) => `${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+
+/**
+ * Map a ZodError / unique constraint failure to an HTTPException
+ */
+function handleWriteError(error: any, label: string, action: string): never {
+  if (error instanceof z.ZodError) {
+    throw new HTTPException(400, {
+      message: 'Validation error',
+      cause: error.errors,
+    });
+  }
+  if (error instanceof HTTPException) throw error;
+  if (String(error?.message).includes('UNIQUE constraint failed')) {
+    throw new HTTPException(409, { message: `A ${label} with this name already exists` });
+  }
+  console.error(`Failed to ${action} ${label}:`, error);
+  throw new HTTPException(500, { message: `Failed to ${action} ${label}` });
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Create the CRUD router for one reference list
+ * @param table - Table name (categories or materials)
+ * @param label - Singular name used in messages
+ */
+export function createReferenceListRoutes(table: ReferenceList, label: string) {
+  const routes = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+  const getEntry = (db: D1Database, id: string) =>
+    db
+      .prepare(
+        `SELECT
+          id, name,
+          display_order as displayOrder,
+          is_active as isActive,
+          strftime('%Y-%m-%dT%H:%M:%SZ', created_at) as createdAt,
+          strftime('%Y-%m-%dT%H:%M:%SZ', updated_at) as updatedAt
+        FROM ${table}
+        WHERE id = ?`
+      )
+      .bind(id)
+      .first();
+
+  /**
+   * GET /
+   * List entries in display order
+   * Query: includeInactive=true to include retired entries
+   */
+  routes.get('/', authenticate, async (c) => {
+    try {
+      const includeInactive = c.req.query('includeInactive') === 'true';
+
+      const result = await c.env.DB
+        .prepare(
+          `SELECT
+            id, name,
+            display_order as displayOrder,
+            is_active as isActive,
+            strftime('%Y-%m-%dT%H:%M:%SZ', created_at) as createdAt,
+            strftime('%Y-%m-%dT%H:%M:%SZ', updated_at) as updatedAt
+          FROM ${table}
+          ${includeInactive ? '' : 'WHERE is_active = 1'}
+          ORDER BY display_order ASC, name ASC`
+        )
+        .all();
+
+      return c.json({
+        success: true,
+        data: (result.results || []).map((entry: any) => ({
+          ...entry,
+          isActive: entry.isActive === 1,
+        })),
+      });
+    } catch (error: any) {
+      console.error(`Error fetching ${table}:`, error);
+      throw new HTTPException(500, { message: `Failed to fetch ${table}` });
+    }
+  });
+
+  /**
+   * POST /
+   * Add an entry (admin/manager only); appended to the end unless displayOrder is given
+   */
+  routes.post('/', authenticate, requireRole('admin', 'manager'), async (c) => {
+    try {
+      const body = await c.req.json();
+      const validatedData = createEntrySchema.parse(body);
+      const db = c.env.DB;
+
+      let id = slugify(validatedData.name) || nanoid(8);
+      if (await getEntry(db, id)) {
+        id = `${id}-${nanoid(6)}`;
+      }
+
+      let displayOrder = validatedData.displayOrder;
+      if (displayOrder === undefined) {
+        const last = await db
+          .prepare(`SELECT COALESCE(MAX(display_order), 0) as maxOrder FROM ${table}`)
+          .first<{ maxOrder: number }>();
+        displayOrder = (last?.maxOrder || 0) + 1;
+      }
+
+      await db
+        .prepare(`INSERT INTO ${table} (id, name, display_order, is_active) VALUES (?, ?, ?, ?)`)
+        .bind(id, validatedData.name, displayOrder, validatedData.isActive === false ? 0 : 1)
+        .run();
+
+      const entry: any = await getEntry(db, id);
+
+      return c.json(
+        {
+          success: true,
+          data: { ...entry, isActive: entry.isActive === 1 },
+        },
+        201
+      );
+    } catch (error: any) {
+      handleWriteError(error, label, 'create');
+    }
+  });
+
+  /**
+   * PUT /reorder
+   * Set display order from an ordered list of ids (admin/manager only)
+   * Ids not in the list keep their current position after the listed ones.
+   */
+  routes.put('/reorder', authenticate, requireRole('admin', 'manager'), async (c) => {
+    try {
+      const body = await c.req.json();
+      const { ids } = reorderSchema.parse(body);
+      const db = c.env.DB;
+
+      const statements = ids.map((id, index) =>
+        db
+          .prepare(`UPDATE ${table} SET display_order = ?, updated_at = datetime('now') WHERE id = ?`)
+          .bind(index + 1, id)
+      );
+
+      // Push anything not listed behind the reordered entries
+      const placeholders = ids.map(() => '?').join(', ');
+      statements.push(
+        db
+          .prepare(
+            `UPDATE ${table}
+            SET display_order = display_order + ?, updated_at = datetime('now')
+            WHERE id NOT IN (${placeholders})`
+          )
+          .bind(ids.length, ...ids)
+      );
+
+      await db.batch(statements);
+
+      return c.json({
+        success: true,
+        message: `${capitalize(label)} order updated`,
+      });
+    } catch (error: any) {
+      handleWriteError(error, label, 'reorder');
+    }
+  });
+
+  /**
+   * PUT /:id
+   * Rename, move, retire (isActive: false) or restore an entry (admin/manager only)
+   */
+  routes.put('/:id', authenticate, requireRole('admin', 'manager'), async (c) => {
+    try {
+      const id = c.req.param('id');
+      const body = await c.req.json();
+      const validatedData = updateEntrySchema.parse(body);
+      const db = c.env.DB;
+
+      if (!(await getEntry(db, id))) {
+        throw new HTTPException(404, { message: `${capitalize(label)} not found` });
+      }
+
+      const updates: string[] = [];
+      const values: any[] = [];
+
+      if (validatedData.name !== undefined) {
+        updates.push('name = ?');
+        values.push(validatedData.name);
+      }
+      if (validatedData.displayOrder !== undefined) {
+        updates.push('display_order = ?');
+        values.push(validatedData.displayOrder);
+      }
+      if (validatedData.isActive !== undefined) {
+        updates.push('is_active = ?');
+        values.push(validatedData.isActive ? 1 : 0);
+      }
+
+      if (updates.length === 0) {
+        throw new HTTPException(400, { message: 'No fields to update' });
+      }
+
+      updates.push("updated_at = datetime('now')");
+      values.push(id);
+
+      await db
+        .prepare(`UPDATE ${table} SET ${updates.join(', ')} WHERE id = ?`)
+        .bind(...values)
+        .run();
+
+      const entry: any = await getEntry(db, id);
+
+      return c.json({
+        success: true,
+        data: { ...entry, isActive: entry.isActive === 1 },
+      });
+    } catch (error: any) {
+      handleWriteError(error, label, 'update');
+    }
+  });
+
+  /**
+   * DELETE /:id
+   * Permanently remove an entry (admin/manager only)
+   * Submitted AARs store the name, not the id, so they are unaffected.
+   * Prefer retiring (isActive: false) to keep the history readable.
+   */
+  routes.delete('/:id', authenticate, requireRole('admin', 'manager'), async (c) => {
+    try {
+      const id = c.req.param('id');
+      const result = await c.env.DB.prepare(`DELETE FROM ${table} WHERE id = ?`).bind(id).run();
+
+      if (!result.meta.changes) {
+        throw new HTTPException(404, { message: `${capitalize(label)} not found` });
+      }
+
+      return c.json({
+        success: true,
+        message: `${capitalize(label)} deleted`,
+      });
+    } catch (error: any) {
+      handleWriteError(error, label, 'delete');
+    }
+  });
+
+  return routes;
+}
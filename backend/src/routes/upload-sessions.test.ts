@@ -0,0 +1,48 @@
+/**
+ * Tests for resumable upload sessions.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { afterEach, beforeEach, describe, it, expect } from 'vitest';
+import { createTestEnv, createUser, request, type TestUser } from '../test/worker-env';
+import { INVALID_FILE_TYPE_MESSAGE } from '../lib/upload-limits';
+import type { Env } from '../types/env';
+
+let env: Env;
+let dispose: () => Promise<void>;
+let user: TestUser;
+
+beforeEach(async () => {
+  ({ env, dispose } = await createTestEnv());
+  user = await createUser(env, 'user_tech', 'employee');
+});
+
+afterEach(() => dispose());
+
+describe('POST /api/uploads/sessions', () => {
+  it('starts a session for an allowed file type', async () => {
+    const response = await request(env, user, 'POST', '/api/uploads/sessions', {
+      filename: 'hood.png',
+      mimeType: 'image/png',
+      size: 1024,
+    });
+
+    expect(response.status).toBe(201);
+    const { data } = (await response.json()) as { data: { session: { mimeType: string; partCount: number } } };
+    expect(data.session).toMatchObject({ mimeType: 'image/png', partCount: 1 });
+  });
+
+  it.each(['text/html', 'image/svg+xml', 'application/javascript'])('rejects %s', async (mimeType) => {
+    const response = await request(env, user, 'POST', '/api/uploads/sessions', {
+      filename: 'page.html',
+      mimeType,
+      size: 1024,
+    });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ error: INVALID_FILE_TYPE_MESSAGE });
+    const sessions = await env.DB.prepare('SELECT COUNT(*) AS count FROM upload_sessions').first<{ count: number }>();
+    expect(sessions?.count).toBe(0);
+  });
+});
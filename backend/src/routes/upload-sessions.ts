@@ -0,0 +1,326 @@
+/**
+ * Upload Session Routes
+ * Resumable uploads for AAR photos and files, built on R2 multipart uploads
+ *
+ * Mounted by the uploads router under /api/uploads/sessions (authentication is
+ * applied there). A client uploads each file on its own:
+ * 1. POST /sessions with the file's name, type and size
+ * 2. PUT /sessions/:id/parts/:partNumber for each part (partSize bytes, the
+ *    last one is shorter); after a dropped connection, GET /sessions/:id
+ *    lists the parts that arrived so only the rest is sent again
+ * 3. POST /sessions/:id/complete (images then go through the image pipeline,
+ *    see ../lib/image-pipeline.ts; an image it rejects is discarded with its
+ *    session)
+ * POST /api/aars then references the completed sessions (see the `uploads`
+ * field there) instead of carrying the files.
+ *
+ * Abandoned sessions expire (a day after the last part, a week after
+ * completion); expired sessions are refused here and removed with their files
+ * by an hourly job (see ../lib/upload-cleanup.ts).
+ *
+ * Sessions are private: every route only sees the current user's sessions.
+ */
+
+import { Hono } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+import { z } from 'zod';
+import { generateId } from '../lib/aar-storage';
+import { processImage } from '../lib/image-pipeline';
+import {
+  ALLOWED_FILE_TYPES,
+  INVALID_FILE_TYPE_MESSAGE,
+  fileTooLargeMessage,
+  maxUploadSize,
+} from '../lib/upload-limits';
+import {
+  COMPLETED_SESSION_TTL,
+  UPLOADING_SESSION_TTL,
+  discardUploadSession,
+  isSessionExpired,
+} from '../lib/upload-cleanup';
+import type { Env, Variables } from '../types/env';
+
+const app = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+// R2 requires every part but the last to be at least 5 MiB
+const PART_SIZE = 5 * 1024 * 1024;
+
+const createSessionSchema = z.object({
+  filename: z.string().min(1).max(255),
+  mimeType: z.string().min(1).max(255),
+  size: z.number().int().min(0),
+});
+
+type SessionRow = {
+  id: string;
+  user_id: string;
+  r2_key: string;
+  r2_upload_id: string;
+  filename: string;
+  mime_type: string;
+  size: number;
+  part_size: number;
+  status: 'uploading' | 'complete';
+  width: number | null;
+  height: number | null;
+  thumbnail_r2_key: string | null;
+  medium_r2_key: string | null;
+  created_at: string;
+  updated_at: string;
+  expires_at: string | null;
+};
+
+type PartRow = {
+  part_number: number;
+  etag: string;
+  size: number;
+};
+
+/**
+ * Number of parts a file of this size is sent in (an empty file still has one)
+ */
+function getPartCount(session: SessionRow): number {
+  return Math.max(1, Math.ceil(session.size / session.part_size));
+}
+
+/**
+ * Load one of the user's upload sessions (404 if it does not exist, 410 if it expired)
+ * @param allowExpired Also return expired sessions (to cancel them)
+ */
+async function loadSession(
+  db: D1Database,
+  sessionId: string,
+  userId: string,
+  allowExpired = false
+): Promise<SessionRow> {
+  const session = await db
+    .prepare('SELECT * FROM upload_sessions WHERE id = ? AND user_id = ?')
+    .bind(sessionId, userId)
+    .first<SessionRow>();
+
+  if (!session) {
+    throw new HTTPException(404, { message: 'Upload session not found' });
+  }
+  if (!allowExpired && isSessionExpired(session)) {
+    throw new HTTPException(410, { message: 'Upload session expired; upload the file again' });
+  }
+  return session;
+}
+
+async function loadParts(db: D1Database, sessionId: string): Promise<PartRow[]> {
+  const result = await db
+    .prepare('SELECT part_number, etag, size FROM upload_session_parts WHERE session_id = ? ORDER BY part_number')
+    .bind(sessionId)
+    .all<PartRow>();
+  return result.results || [];
+}
+
+function formatSession(session: SessionRow, parts: PartRow[]) {
+  return {
+    id: session.id,
+    filename: session.filename,
+    mimeType: session.mime_type,
+    size: session.size,
+    partSize: session.part_size,
+    partCount: getPartCount(session),
+    status: session.status,
+    width: session.width,
+    height: session.height,
+    uploadedParts: parts.map((part) => ({ partNumber: part.part_number, size: part.size })),
+    createdAt: session.created_at,
+    updatedAt: session.updated_at,
+    expiresAt: session.expires_at,
+  };
+}
+
+/**
+ * POST /api/uploads/sessions
+ * Start uploading a file
+ *
+ * Request body (JSON): { filename, mimeType, size }
+ * Response: the session, including partSize and partCount
+ */
+app.post('/', async (c) => {
+  const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+
+  const parsed = createSessionSchema.safeParse(await c.req.json().catch(() => null));
+  if (!parsed.success) {
+    throw new HTTPException(400, { message: 'Invalid request: filename, mimeType and size are required' });
+  }
+  const { filename, mimeType, size } = parsed.data;
+
+  if (size > maxUploadSize(c.env)) {
+    throw new HTTPException(400, { message: fileTooLargeMessage(c.env) });
+  }
+
+  // The type is served with the file (/files), so it has to be one we allow
+  if (!ALLOWED_FILE_TYPES.includes(mimeType)) {
+    throw new HTTPException(400, { message: INVALID_FILE_TYPE_MESSAGE });
+  }
+
+  const sessionId = generateId('upload');
+  const extension = filename.includes('.') ? filename.split('.').pop()!.replace(/[^a-zA-Z0-9]/g, '') : '';
+  const r2Key = `uploads/${user.id}/${sessionId}${extension ? `.${extension}` : ''}`;
+
+  const multipartUpload = await c.env.PHOTOS.createMultipartUpload(r2Key, {
+    httpMetadata: {
+      contentType: mimeType,
+    },
+  });
+
+  await c.env.DB.prepare(
+    `INSERT INTO upload_sessions (id, user_id, r2_key, r2_upload_id, filename, mime_type, size, part_size, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%SZ', 'now', ?))`
+  )
+    .bind(
+      sessionId,
+      user.id,
+      r2Key,
+      multipartUpload.uploadId,
+      filename,
+      mimeType,
+      size,
+      PART_SIZE,
+      UPLOADING_SESSION_TTL
+    )
+    .run();
+
+  const session = await loadSession(c.env.DB, sessionId, user.id);
+  return c.json({ success: true, data: { session: formatSession(session, []) } }, 201);
+});
+
+/**
+ * GET /api/uploads/sessions/:sessionId
+ * Get a session with the parts received so far (to resume an upload)
+ */
+app.get('/:sessionId', async (c) => {
+  const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+  const session = await loadSession(c.env.DB, c.req.param('sessionId'), user.id);
+  const parts = await loadParts(c.env.DB, session.id);
+
+  return c.json({ success: true, data: { session: formatSession(session, parts) } });
+});
+
+/**
+ * PUT /api/uploads/sessions/:sessionId/parts/:partNumber
+ * Upload one part of the file (raw bytes in the request body)
+ * Sending a part again replaces it.
+ */
+app.put('/:sessionId/parts/:partNumber', async (c) => {
+  const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+  const session = await loadSession(c.env.DB, c.req.param('sessionId'), user.id);
+
+  if (session.status !== 'uploading') {
+    throw new HTTPException(409, { message: 'Upload already completed' });
+  }
+
+  const partNumber = Number(c.req.param('partNumber'));
+  const partCount = getPartCount(session);
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > partCount) {
+    throw new HTTPException(400, { message: `Part number must be between 1 and ${partCount}` });
+  }
+
+  const body = await c.req.arrayBuffer();
+  const expectedSize = partNumber < partCount ? session.part_size : session.size - session.part_size * (partCount - 1);
+  if (body.byteLength !== expectedSize) {
+    throw new HTTPException(400, { message: `Part ${partNumber} must be ${expectedSize} bytes` });
+  }
+
+  const multipartUpload = c.env.PHOTOS.resumeMultipartUpload(session.r2_key, session.r2_upload_id);
+  const uploadedPart = await multipartUpload.uploadPart(partNumber, body);
+
+  await c.env.DB.batch([
+    c.env.DB.prepare(
+      `INSERT OR REPLACE INTO upload_session_parts (session_id, part_number, etag, size) VALUES (?, ?, ?, ?)`
+    ).bind(session.id, partNumber, uploadedPart.etag, body.byteLength),
+    c.env.DB.prepare(
+      `UPDATE upload_sessions
+       SET updated_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now'), expires_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now', ?)
+       WHERE id = ?`
+    ).bind(UPLOADING_SESSION_TTL, session.id),
+  ]);
+
+  return c.json({ success: true, data: { partNumber, size: body.byteLength } });
+});
+
+/**
+ * POST /api/uploads/sessions/:sessionId/complete
+ * Finish the upload once every part has arrived
+ * Completing a completed session is a no-op, so a client can safely retry.
+ */
+app.post('/:sessionId/complete', async (c) => {
+  const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+  const session = await loadSession(c.env.DB, c.req.param('sessionId'), user.id);
+
+  if (session.status === 'complete') {
+    return c.json({ success: true, data: { session: formatSession(session, await loadParts(c.env.DB, session.id)) } });
+  }
+
+  const parts = await loadParts(c.env.DB, session.id);
+  const partCount = getPartCount(session);
+  if (parts.length !== partCount) {
+    const received = new Set(parts.map((part) => part.part_number));
+    const missing = Array.from({ length: partCount }, (_, i) => i + 1).filter((n) => !received.has(n));
+    throw new HTTPException(400, { message: `Missing parts: ${missing.join(', ')}` });
+  }
+
+  const multipartUpload = c.env.PHOTOS.resumeMultipartUpload(session.r2_key, session.r2_upload_id);
+  await multipartUpload.complete(parts.map((part) => ({ partNumber: part.part_number, etag: part.etag })));
+
+  // Renditions, upright original without metadata, dimensions
+  let size = session.size;
+  let processed = null;
+  const object = await c.env.PHOTOS.get(session.r2_key);
+  if (object) {
+    const body = await object.arrayBuffer();
+    try {
+      processed = await processImage(c.env, { r2Key: session.r2_key, body, mimeType: session.mime_type });
+    } catch (error) {
+      // Rejected (metadata could not be removed): discard the completed file and the session
+      await discardUploadSession(c.env, { ...session, status: 'complete' });
+      throw error;
+    }
+    if (processed && processed.original !== body) {
+      await c.env.PHOTOS.put(session.r2_key, processed.original, {
+        httpMetadata: {
+          contentType: session.mime_type,
+        },
+      });
+      size = processed.original.byteLength;
+    }
+  }
+
+  await c.env.DB.prepare(
+    `UPDATE upload_sessions
+     SET status = 'complete', size = ?, width = ?, height = ?, thumbnail_r2_key = ?, medium_r2_key = ?,
+         updated_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now'), expires_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now', ?)
+     WHERE id = ?`
+  )
+    .bind(
+      size,
+      processed?.width ?? null,
+      processed?.height ?? null,
+      processed?.thumbnailKey ?? null,
+      processed?.mediumKey ?? null,
+      COMPLETED_SESSION_TTL,
+      session.id
+    )
+    .run();
+
+  const completed = await loadSession(c.env.DB, session.id, user.id);
+  return c.json({ success: true, data: { session: formatSession(completed, parts) } });
+});
+
+/**
+ * DELETE /api/uploads/sessions/:sessionId
+ * Cancel an upload (or discard a completed file that was never used)
+ */
+app.delete('/:sessionId', async (c) => {
+  const user = c.get('user')!; // Non-null assertion: authenticate middleware ensures user is set
+  const session = await loadSession(c.env.DB, c.req.param('sessionId'), user.id, true);
+  await discardUploadSession(c.env, session);
+
+  return c.json({ success: true, message: 'Upload cancelled' });
+});
+
+export default app;
@@ -1,12 +1,15 @@
 /**
  * File Upload Routes
- * Handles uploading images and files to R2 for chat messages
+ * Handles uploading images and files to R2 for chat messages, and resumable
+ * uploads for AAR photos (see ./upload-sessions.ts)
  */
 
 import { Hono } from 'hono';
 import { HTTPException } from 'hono/http-exception';
 import { authenticate } from '../middleware/auth';
 import { rateLimit } from '../middleware/rateLimit';
+import uploadSessionRoutes from './upload-sessions';
+import { ALLOWED_FILE_TYPES, INVALID_FILE_TYPE_MESSAGE } from '../lib/upload-limits';
 import type { Env, Variables } from '../types/env';
 
 const app = new Hono<{ Bindings: Env; Variables: Variables }>();
@@ -14,24 +17,8 @@ const app = new Hono<{ Bindings: Env; Variables: Variables }>();
 // All routes require authentication
 app.use('*', authenticate);
 
-// Allowed MIME types for uploads
-const ALLOWED_IMAGE_TYPES = [
-  'image/jpeg',
-  'image/jpg',
-  'image/png',
-  'image/gif',
-  'image/webp',
-];
-
-const ALLOWED_FILE_TYPES = [
-  ...ALLOWED_IMAGE_TYPES,
-  'application/pdf',
-  'application/msword',
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
-  'application/vnd.ms-excel',
-  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
-  'text/plain',
-];
+// Resumable uploads: /api/uploads/sessions
+app.route('/sessions', uploadSessionRoutes);
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 
@@ -65,7 +52,7 @@ app.post('/', rateLimit({ windowMs: 60000, maxRequests: 20 }), async (c) => {
 
     // Validate file type
     if (!ALLOWED_FILE_TYPES.includes(file.type)) {
-      throw new HTTPException(400, { message: 'Invalid file type. Supported: images, PDF, Word, Excel, text files' });
+      throw new HTTPException(400, { message: INVALID_FILE_TYPE_MESSAGE });
     }
 
     // Generate unique filename
@@ -7,8 +7,9 @@
 import { Hono } from 'hono';
 import { HTTPException } from 'hono/http-exception';
 import { z } from 'zod';
-import { authenticate, requireRole } from '../middleware/auth';
+import { authenticate, requireRole, requireRoleOrVisibility } from '../middleware/auth';
 import { hashPassword } from '../lib/hash';
+import { visibilityConditionFor } from '../lib/visibility';
 import type { Env, Variables } from '../types/env';
 
 const users = new Hono<{ Bindings: Env; Variables: Variables }>();
@@ -43,11 +44,13 @@ const updateUserSchema = z.object({
 
 /**
  * GET /api/users
- * List all users (admin/manager only)
+ * List all users (admin/manager, or franchisees/employees when the
+ * 'users' visibility policy allows it - scoped to their franchise if set)
  */
-users.get('/', authenticate, requireRole('admin', 'manager'), async (c) => {
+users.get('/', authenticate, requireRoleOrVisibility('users', 'admin', 'manager'), async (c) => {
   try {
     const db = c.env.DB;
+    const visible = visibilityConditionFor(c, 'users', 'id');
 
     // Get all non-deleted users with last_login and preferences (ISO 8601 format)
     const result = await db
@@ -61,9 +64,10 @@ users.get('/', authenticate, requireRole('admin', 'manager'), async (c) => {
           strftime('%Y-%m-%dT%H:%M:%SZ', created_at) as createdAt,
           strftime('%Y-%m-%dT%H:%M:%SZ', updated_at) as updatedAt
         FROM users
-        WHERE deleted_at IS NULL
+        WHERE deleted_at IS NULL AND ${visible.sql}
         ORDER BY created_at DESC`
       )
+      .bind(...visible.bindings)
       .all();
 
     return c.json({
@@ -78,12 +82,13 @@ users.get('/', authenticate, requireRole('admin', 'manager'), async (c) => {
 
 /**
  * GET /api/users/:id
- * Get a specific user by ID (admin/manager only)
+ * Get a specific user by ID (admin/manager, or within the caller's visibility scope)
  */
-users.get('/:id', authenticate, requireRole('admin', 'manager'), async (c) => {
+users.get('/:id', authenticate, requireRoleOrVisibility('users', 'admin', 'manager'), async (c) => {
   try {
     const userId = c.req.param('id');
     const db = c.env.DB;
+    const visible = visibilityConditionFor(c, 'users', 'id');
 
     const result = await db
       .prepare(
@@ -96,11 +101,12 @@ users.get('/:id', authenticate, requireRole('admin', 'manager'), async (c) => {
           strftime('%Y-%m-%dT%H:%M:%SZ', created_at) as createdAt,
           strftime('%Y-%m-%dT%H:%M:%SZ', updated_at) as updatedAt
         FROM users
-        WHERE id = ? AND deleted_at IS NULL`
+        WHERE id = ? AND deleted_at IS NULL AND ${visible.sql}`
       )
-      .bind(userId)
+      .bind(userId, ...visible.bindings)
       .first();
 
+    // Users outside the caller's scope are reported as not found
     if (!result) {
       throw new HTTPException(404, { message: 'User not found' });
     }
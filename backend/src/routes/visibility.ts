@@ -0,0 +1,87 @@
+/**
+ * Visibility Policy Routes
+ * Lets admins choose, per resource, what franchisees and employees can see
+ */
+
+import { Hono } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+import { z } from 'zod';
+import { authenticate, requireRole } from '../middleware/auth';
+import {
+  getVisibilityPolicy,
+  saveVisibilityPolicy,
+  VISIBILITY_SCOPES,
+} from '../lib/visibility';
+import type { Env, Variables } from '../types/env';
+
+const visibility = new Hono<{ Bindings: Env; Variables: Variables }>();
+
+// ============================================================================
+// VALIDATION SCHEMAS
+// ============================================================================
+
+const scopeSchema = z.enum(VISIBILITY_SCOPES);
+
+const updatePolicySchema = z
+  .object({
+    aars: scopeSchema.optional(),
+    users: scopeSchema.optional(),
+    conversations: scopeSchema.optional(),
+  })
+  .strict();
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * GET /api/visibility-policy
+ * Current policy plus the caller's effective scopes
+ */
+visibility.get('/', authenticate, async (c) => {
+  try {
+    const policy = await getVisibilityPolicy(c.env);
+
+    return c.json({
+      success: true,
+      data: {
+        policy,
+        effective: c.get('visibility'),
+      },
+    });
+  } catch (error: any) {
+    console.error('Error fetching visibility policy:', error);
+    throw new HTTPException(500, { message: 'Failed to fetch visibility policy' });
+  }
+});
+
+/**
+ * PUT /api/visibility-policy
+ * Update one or more resource scopes (admin only)
+ */
+visibility.put('/', authenticate, requireRole('admin'), async (c) => {
+  try {
+    const user = c.get('user')!;
+    const body = await c.req.json();
+    const validatedData = updatePolicySchema.parse(body);
+
+    const policy = await saveVisibilityPolicy(c.env, validatedData, user.id);
+
+    return c.json({
+      success: true,
+      data: { policy },
+    });
+  } catch (error: any) {
+    if (error instanceof z.ZodError) {
+      throw new HTTPException(400, {
+        message: 'Validation error',
+        cause: error.errors,
+      });
+    }
+    if (error instanceof HTTPException) throw error;
+    console.error('Error updating visibility policy:', error);
+    throw new HTTPException(500, { message: 'Failed to update visibility policy' });
+  }
+});
+
+export default visibility;
@@ -3,6 +3,8 @@
  * Defines all Cloudflare Workers bindings and environment variables
  */
 
+import type { VisibilityPolicy } from '../lib/visibility';
+
 export interface Env {
   // Environment
   ENVIRONMENT: string; // 'development' | 'staging' | 'production'
@@ -13,6 +15,7 @@ export interface Env {
 
   // Upload Configuration
   MAX_UPLOAD_SIZE_MB: string;
+  KEEP_PHOTO_METADATA?: string; // 'true' keeps EXIF (e.g. GPS) in stored AAR photos
 
   // Rate Limiting
   RATE_LIMIT_REQUESTS: string;
@@ -24,6 +27,7 @@ export interface Env {
   // Cloudflare Bindings
   DB: D1Database;        // D1 database binding
   PHOTOS: R2Bucket;      // R2 bucket for photos/attachments
+  IMAGES?: ImagesBinding; // Cloudflare Images binding for photo renditions (optional)
   CACHE: KVNamespace;    // KV namespace for caching and rate limiting
   CHAT_ROOMS: DurableObjectNamespace; // Durable Object namespace for chat rooms
   USER_CONNECTIONS: DurableObjectNamespace; // Durable Object namespace for user connections
@@ -40,4 +44,5 @@ export interface Variables {
     role: 'admin' | 'manager' | 'franchisee' | 'employee';
     franchiseId?: string;
   };
+  visibility?: VisibilityPolicy; // Effective scopes for the user (set by authenticate)
 }
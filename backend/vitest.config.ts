@@ -0,0 +1,8 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    // The shared conditional logic (../shared) is tested from here as well
+    include: ['src/**/*.test.ts', '../shared/**/*.test.ts'],
+  },
+});
@@ -0,0 +1,319 @@
+/**
+ * Conformance suite for the shared conditional logic
+ * Every operator in CONDITION_OPERATORS needs cases here, as do nested condition
+ * groups. The agreement blocks check that the Submit AAR page (client) and
+ * validateAARSubmission (server) agree on visibility for every case.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CONDITION_OPERATORS,
+  CONDITION_OPERATOR_NAMES,
+  evaluateCondition,
+  getAllConditions,
+  getOperatorValueKind,
+  isConditionGroup,
+  shouldShowField,
+  type ConditionOperator,
+} from './conditions';
+import * as clientConditions from '../src/utils/conditionalFields.js';
+import { validateAARSubmission } from '../backend/src/lib/validateAARSubmission';
+
+type OperatorCase = [fieldValue: unknown, targetValue: unknown, expected: boolean];
+
+const OPERATOR_CASES: Record<ConditionOperator, OperatorCase[]> = {
+  equals: [
+    ['Leather', 'Leather', true],
+    ['Leather', 'Vinyl', false],
+    ['leather', 'Leather', false],
+    [5, '5', true],
+    ['5', 5, true],
+    [undefined, 'Leather', false],
+  ],
+  notEquals: [
+    ['Leather', 'Vinyl', true],
+    ['Leather', 'Leather', false],
+    [5, '5', false],
+    [undefined, 'Leather', true],
+  ],
+  greaterThan: [
+    ['10', 5, true],
+    [5, 5, false],
+    ['4.5', '4', true],
+    ['abc', 5, false],
+    ['', 0, false],
+    [undefined, 0, false],
+    ['2026-10-18', '2026-01-01', true],
+    ['2026-01-01', '2026-10-18', false],
+  ],
+  lessThan: [
+    ['3', 5, true],
+    [5, 5, false],
+    ['abc', 5, false],
+    ['2026-01-01', '2026-10-18', true],
+  ],
+  greaterThanOrEqual: [
+    [5, 5, true],
+    ['6', 5, true],
+    [4, 5, false],
+    ['abc', 5, false],
+    ['2026-10-18', '2026-10-18', true],
+  ],
+  lessThanOrEqual: [
+    [5, 5, true],
+    ['4', 5, true],
+    [6, 5, false],
+    [undefined, 5, false],
+  ],
+  contains: [
+    ['Torn seat cover', 'seat', true],
+    ['Torn SEAT cover', 'seat', true],
+    ['Torn seat cover', 'dash', false],
+    ['', 'seat', false],
+    ['Torn seat cover', '', false],
+    [undefined, 'seat', false],
+  ],
+  startsWith: [
+    ['Torn seat', 'torn', true],
+    ['Torn seat', 'seat', false],
+    [undefined, 'torn', false],
+  ],
+  endsWith: [
+    ['Torn seat', 'SEAT', true],
+    ['Torn seat', 'torn', false],
+    [undefined, 'seat', false],
+  ],
+  oneOf: [
+    ['Leather', ['Leather', 'Vinyl'], true],
+    ['Plastic', ['Leather', 'Vinyl'], false],
+    [5, ['5', '6'], true],
+    ['Leather', 'Leather', false],
+    [undefined, ['Leather'], false],
+  ],
+  includes: [
+    [['Leather', 'Vinyl'], 'Vinyl', true],
+    [['Leather'], 'Vinyl', false],
+    ['Vinyl', 'Vinyl', false],
+    [undefined, 'Vinyl', false],
+  ],
+  includesAny: [
+    [['Leather', 'Vinyl'], ['Vinyl', 'Plastic'], true],
+    [['Leather'], ['Vinyl', 'Plastic'], false],
+    [['Leather'], [], false],
+    [undefined, ['Vinyl'], false],
+  ],
+  includesAll: [
+    [['Leather', 'Vinyl', 'Plastic'], ['Vinyl', 'Plastic'], true],
+    [['Leather', 'Vinyl'], ['Vinyl', 'Plastic'], false],
+    [['Leather'], [], true],
+    [undefined, ['Vinyl'], false],
+  ],
+  isEmpty: [
+    [undefined, undefined, true],
+    [null, undefined, true],
+    ['', undefined, true],
+    ['   ', undefined, true],
+    [[], undefined, true],
+    [{}, undefined, true],
+    ['x', undefined, false],
+    [0, undefined, false],
+    [['x'], undefined, false],
+  ],
+  isNotEmpty: [
+    ['x', undefined, true],
+    [0, undefined, true],
+    [{ value: '2', unit: 'in' }, undefined, true],
+    ['', undefined, false],
+    [[], undefined, false],
+  ],
+};
+
+// Every case as a field that depends on one condition of `source`
+const allCases = (Object.keys(OPERATOR_CASES) as ConditionOperator[]).flatMap((operator) =>
+  OPERATOR_CASES[operator].map(([fieldValue, targetValue, expected]) => ({
+    operator,
+    fieldValue,
+    targetValue,
+    expected,
+  }))
+);
+
+describe('operator registry', () => {
+  it('has conformance cases for every operator', () => {
+    expect(Object.keys(OPERATOR_CASES).sort()).toEqual([...CONDITION_OPERATOR_NAMES].sort());
+  });
+
+  it('declares the value kind of every operator', () => {
+    for (const name of CONDITION_OPERATOR_NAMES) {
+      expect(['none', 'single', 'list']).toContain(getOperatorValueKind(name));
+    }
+    expect(getOperatorValueKind('unknownOperator')).toBeUndefined();
+  });
+});
+
+describe.each(Object.keys(OPERATOR_CASES) as ConditionOperator[])('%s', (operator) => {
+  it.each(OPERATOR_CASES[operator])('(%j, %j) -> %s', (fieldValue, targetValue, expected) => {
+    expect(CONDITION_OPERATORS[operator].evaluate(fieldValue, targetValue)).toBe(expected);
+    expect(evaluateCondition({ fieldId: 'source', operator, value: targetValue }, { source: fieldValue })).toBe(
+      expected
+    );
+  });
+});
+
+describe('evaluateCondition', () => {
+  it('treats incomplete conditions and unknown operators as met', () => {
+    expect(evaluateCondition(null, {})).toBe(true);
+    expect(evaluateCondition({ fieldId: '', operator: 'equals', value: 'x' }, {})).toBe(true);
+    expect(evaluateCondition({ fieldId: 'source', operator: '', value: 'x' }, {})).toBe(true);
+    expect(evaluateCondition({ fieldId: 'source', operator: 'matches', value: 'x' }, { source: 'y' })).toBe(true);
+  });
+});
+
+describe('shouldShowField', () => {
+  const values = { material: 'Leather', size: '3' };
+  const isLeather = { fieldId: 'material', operator: 'equals', value: 'Leather' };
+  const isLarge = { fieldId: 'size', operator: 'greaterThan', value: 5 };
+
+  it('shows fields without enabled conditional logic', () => {
+    expect(shouldShowField({}, values)).toBe(true);
+    expect(shouldShowField({ conditional: { enabled: false, conditions: [isLarge] } }, values)).toBe(true);
+    expect(shouldShowField({ conditional: { enabled: true, operator: 'AND', conditions: [] } }, values)).toBe(true);
+    expect(shouldShowField({ conditional: { enabled: true, operator: 'OR', conditions: [] } }, values)).toBe(true);
+  });
+
+  it('combines conditions with AND / OR', () => {
+    const conditions = [isLeather, isLarge];
+    expect(shouldShowField({ conditional: { enabled: true, operator: 'AND', conditions } }, values)).toBe(false);
+    expect(shouldShowField({ conditional: { enabled: true, operator: 'OR', conditions } }, values)).toBe(true);
+  });
+
+  it('ignores incomplete conditions', () => {
+    const conditions = [isLarge, { fieldId: '', operator: 'equals', value: 'x' }];
+    expect(shouldShowField({ conditional: { enabled: true, operator: 'OR', conditions } }, values)).toBe(false);
+  });
+});
+
+describe('nested condition groups', () => {
+  // (category = Boat AND material = Vinyl) OR damageType = Tear
+  const boatVinylOrTear = {
+    enabled: true,
+    operator: 'OR' as const,
+    conditions: [
+      {
+        operator: 'AND' as const,
+        conditions: [
+          { fieldId: 'category', operator: 'equals', value: 'Boat' },
+          { fieldId: 'material', operator: 'equals', value: 'Vinyl' },
+        ],
+      },
+      { fieldId: 'damageType', operator: 'equals', value: 'Tear' },
+    ],
+  };
+
+  const nestedCases: Array<[values: Record<string, unknown>, expected: boolean]> = [
+    [{ category: 'Boat', material: 'Vinyl', damageType: 'Burn' }, true],
+    [{ category: 'Boat', material: 'Leather', damageType: 'Tear' }, true],
+    [{ category: 'Boat', material: 'Leather', damageType: 'Burn' }, false],
+    [{ category: 'Auto', material: 'Vinyl', damageType: 'Burn' }, false],
+    [{}, false],
+  ];
+
+  it.each(nestedCases)('evaluates %j -> %s', (values, expected) => {
+    expect(shouldShowField({ conditional: boatVinylOrTear }, values)).toBe(expected);
+  });
+
+  it('evaluates groups nested several levels deep', () => {
+    const conditional = {
+      enabled: true,
+      operator: 'AND' as const,
+      conditions: [
+        { fieldId: 'category', operator: 'equals', value: 'Boat' },
+        {
+          operator: 'OR' as const,
+          conditions: [
+            { fieldId: 'size', operator: 'greaterThan', value: 5 },
+            {
+              operator: 'AND' as const,
+              conditions: [
+                { fieldId: 'material', operator: 'equals', value: 'Vinyl' },
+                { fieldId: 'color', operator: 'isNotEmpty' },
+              ],
+            },
+          ],
+        },
+      ],
+    };
+    expect(shouldShowField({ conditional }, { category: 'Boat', size: '8' })).toBe(true);
+    expect(shouldShowField({ conditional }, { category: 'Boat', material: 'Vinyl', color: 'Red' })).toBe(true);
+    expect(shouldShowField({ conditional }, { category: 'Boat', material: 'Vinyl' })).toBe(false);
+    expect(shouldShowField({ conditional }, { category: 'Auto', size: '8' })).toBe(false);
+  });
+
+  it('ignores empty groups and groups of incomplete conditions', () => {
+    const isTear = { fieldId: 'damageType', operator: 'equals', value: 'Tear' };
+    const emptyGroup = { operator: 'AND' as const, conditions: [] };
+    const incompleteGroup = { operator: 'OR' as const, conditions: [{ fieldId: '', operator: 'equals', value: '' }] };
+
+    for (const operator of ['AND', 'OR'] as const) {
+      const conditional = { enabled: true, operator, conditions: [emptyGroup, incompleteGroup, isTear] };
+      expect(shouldShowField({ conditional }, { damageType: 'Tear' })).toBe(true);
+      expect(shouldShowField({ conditional }, { damageType: 'Burn' })).toBe(false);
+    }
+
+    const onlyEmpty = { enabled: true, operator: 'AND' as const, conditions: [emptyGroup] };
+    expect(shouldShowField({ conditional: onlyEmpty }, {})).toBe(true);
+  });
+
+  it('collects conditions at every depth', () => {
+    expect(getAllConditions(boatVinylOrTear).map((condition) => condition.fieldId)).toEqual([
+      'category',
+      'material',
+      'damageType',
+    ]);
+    expect(isConditionGroup(boatVinylOrTear.conditions[0])).toBe(true);
+    expect(isConditionGroup(boatVinylOrTear.conditions[1])).toBe(false);
+  });
+
+  it.each(nestedCases)('client and server agree on %j', async (values) => {
+    const target = { id: 'target', type: 'text', label: 'Target', required: true, conditional: boatVinylOrTear };
+
+    const shownByClient = clientConditions.shouldShowField(target, values);
+    const result = await validateAARSubmission(values, { formId: 'test', version: '1', fields: [target] });
+
+    expect(result.errors.some((error) => error.field === 'target')).toBe(shownByClient);
+  });
+});
+
+describe('client and server agree', () => {
+  it('the client uses the shared evaluation', () => {
+    expect(clientConditions.shouldShowField).toBe(shouldShowField);
+    expect(clientConditions.evaluateCondition).toBe(evaluateCondition);
+    expect(clientConditions.OPERATORS).toBe(CONDITION_OPERATORS);
+  });
+
+  it.each(allCases)(
+    'validates a required field exactly when it is shown ($operator, $fieldValue, $targetValue)',
+    async ({ operator, fieldValue, targetValue }) => {
+      const target = {
+        id: 'target',
+        type: 'text',
+        label: 'Target',
+        required: true,
+        conditional: {
+          enabled: true,
+          operator: 'AND' as const,
+          conditions: [{ fieldId: 'source', operator, value: targetValue }],
+        },
+      };
+      const formData = { source: fieldValue };
+
+      const shownByClient = clientConditions.shouldShowField(target, formData);
+      const result = await validateAARSubmission(formData, { formId: 'test', version: '1', fields: [target] });
+      const requiredByServer = result.errors.some((error) => error.field === 'target');
+
+      expect(requiredByServer).toBe(shownByClient);
+    }
+  );
+});
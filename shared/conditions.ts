@@ -0,0 +1,314 @@
+/**
+ * Conditional Logic Evaluation
+ * Shared by the frontend (field visibility in Submit AAR) and the backend
+ * (which fields are validated on submission), so both always agree on whether
+ * a field is shown. Every operator is defined once in CONDITION_OPERATORS.
+ *
+ * Conditions can be nested: an entry of `conditions` is either a condition
+ * ({ fieldId, operator, value }) or a group ({ operator: 'AND' | 'OR',
+ * conditions }), so rules like "(category = Boat AND material = Vinyl) OR
+ * damageType = Tear" can be expressed. A flat list is simply a single group.
+ *
+ * Imported as shared/conditions from src/utils/conditionalFields.js and
+ * backend/src/lib/validateAARSubmission.ts. Keep this file free of
+ * browser- or Workers-specific APIs.
+ */
+
+export interface Condition {
+  fieldId: string;
+  operator: string;
+  value?: unknown;
+}
+
+export type GroupOperator = 'AND' | 'OR';
+
+export interface ConditionGroup {
+  operator: GroupOperator;
+  conditions: ConditionNode[];
+}
+
+export type ConditionNode = Condition | ConditionGroup;
+
+/** A field's `conditional` block: the root group plus an on/off switch */
+export interface ConditionalLogic {
+  enabled: boolean;
+  operator?: GroupOperator;
+  conditions?: ConditionNode[];
+}
+
+/**
+ * What a condition's value holds for an operator
+ * - none: no value (existence checks)
+ * - single: one string/number
+ * - list: an array of values
+ */
+export type ConditionValueKind = 'none' | 'single' | 'list';
+
+interface OperatorDefinition {
+  value: ConditionValueKind;
+  evaluate: (fieldValue: unknown, targetValue: unknown) => boolean;
+}
+
+// ============================================================================
+// VALUE HELPERS
+// ============================================================================
+
+/**
+ * Check if a value counts as empty (no answer given)
+ */
+export function isEmptyValue(value: unknown): boolean {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+// Number from a number or numeric string (NaN otherwise, including '')
+function toNumber(value: unknown): number {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+// Timestamp from a date string such as 2026-10-18 (NaN otherwise)
+function toTimestamp(value: unknown): number {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return NaN;
+  return new Date(value).getTime();
+}
+
+/**
+ * Compare two values as numbers, or as dates when both are date strings
+ * @returns Negative/zero/positive like a sort comparator, or null if not comparable
+ */
+function compareValues(fieldValue: unknown, targetValue: unknown): number | null {
+  const numField = toNumber(fieldValue);
+  const numTarget = toNumber(targetValue);
+  if (!isNaN(numField) && !isNaN(numTarget)) {
+    return numField - numTarget;
+  }
+
+  const dateField = toTimestamp(fieldValue);
+  const dateTarget = toTimestamp(targetValue);
+  if (!isNaN(dateField) && !isNaN(dateTarget)) {
+    return dateField - dateTarget;
+  }
+
+  return null;
+}
+
+// Operator that tests the result of compareValues; false when not comparable
+const comparison =
+  (test: (result: number) => boolean) =>
+  (fieldValue: unknown, targetValue: unknown): boolean => {
+    const result = compareValues(fieldValue, targetValue);
+    return result !== null && test(result);
+  };
+
+// Case-insensitive text test; false when either side is empty
+function textTest(fieldValue: unknown, targetValue: unknown, test: (text: string, target: string) => boolean) {
+  if (isEmptyValue(fieldValue) || isEmptyValue(targetValue)) return false;
+  return test(String(fieldValue).toLowerCase(), String(targetValue).toLowerCase());
+}
+
+// Values are compared as strings so 5 (number input) equals '5' (condition value)
+const sameValue = (a: unknown, b: unknown) => String(a) === String(b);
+
+const listIncludes = (list: unknown, value: unknown) =>
+  Array.isArray(list) && list.some((item) => sameValue(item, value));
+
+// ============================================================================
+// OPERATOR REGISTRY
+// ============================================================================
+
+export const CONDITION_OPERATORS = {
+  // Equality
+  equals: {
+    value: 'single',
+    evaluate: (fieldValue, targetValue) => sameValue(fieldValue, targetValue),
+  },
+  notEquals: {
+    value: 'single',
+    evaluate: (fieldValue, targetValue) => !sameValue(fieldValue, targetValue),
+  },
+
+  // Number / date comparisons
+  greaterThan: { value: 'single', evaluate: comparison((result) => result > 0) },
+  lessThan: { value: 'single', evaluate: comparison((result) => result < 0) },
+  greaterThanOrEqual: { value: 'single', evaluate: comparison((result) => result >= 0) },
+  lessThanOrEqual: { value: 'single', evaluate: comparison((result) => result <= 0) },
+
+  // Text
+  contains: {
+    value: 'single',
+    evaluate: (fieldValue, targetValue) => textTest(fieldValue, targetValue, (text, target) => text.includes(target)),
+  },
+  startsWith: {
+    value: 'single',
+    evaluate: (fieldValue, targetValue) =>
+      textTest(fieldValue, targetValue, (text, target) => text.startsWith(target)),
+  },
+  endsWith: {
+    value: 'single',
+    evaluate: (fieldValue, targetValue) => textTest(fieldValue, targetValue, (text, target) => text.endsWith(target)),
+  },
+
+  // Lists: oneOf checks a single answer against a list; the others check a multiselect answer
+  oneOf: {
+    value: 'list',
+    evaluate: (fieldValue, targetValue) => !isEmptyValue(fieldValue) && listIncludes(targetValue, fieldValue),
+  },
+  includes: {
+    value: 'single',
+    evaluate: (fieldValue, targetValue) => listIncludes(fieldValue, targetValue),
+  },
+  includesAny: {
+    value: 'list',
+    evaluate: (fieldValue, targetValue) =>
+      Array.isArray(targetValue) && targetValue.some((value) => listIncludes(fieldValue, value)),
+  },
+  includesAll: {
+    value: 'list',
+    evaluate: (fieldValue, targetValue) =>
+      Array.isArray(fieldValue) &&
+      Array.isArray(targetValue) &&
+      targetValue.every((value) => listIncludes(fieldValue, value)),
+  },
+
+  // Existence
+  isEmpty: {
+    value: 'none',
+    evaluate: (fieldValue) => isEmptyValue(fieldValue),
+  },
+  isNotEmpty: {
+    value: 'none',
+    evaluate: (fieldValue) => !isEmptyValue(fieldValue),
+  },
+} satisfies Record<string, OperatorDefinition>;
+
+export type ConditionOperator = keyof typeof CONDITION_OPERATORS;
+
+/** All operator names (e.g. for a z.enum) */
+export const CONDITION_OPERATOR_NAMES = Object.keys(CONDITION_OPERATORS) as [
+  ConditionOperator,
+  ...ConditionOperator[],
+];
+
+/**
+ * Check if an operator exists in the registry
+ */
+export function isConditionOperator(operator: unknown): operator is ConditionOperator {
+  return typeof operator === 'string' && Object.prototype.hasOwnProperty.call(CONDITION_OPERATORS, operator);
+}
+
+/**
+ * What kind of value an operator expects (undefined for unknown operators)
+ */
+export function getOperatorValueKind(operator: string): ConditionValueKind | undefined {
+  return isConditionOperator(operator) ? CONDITION_OPERATORS[operator].value : undefined;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Evaluate a single condition
+ * Incomplete conditions and unknown operators count as met, so a broken
+ * condition never hides a field.
+ * @param condition - { fieldId, operator, value }
+ * @param formValues - All current form values
+ */
+export function evaluateCondition(condition: Condition | null | undefined, formValues: Record<string, unknown>) {
+  if (!condition || !condition.fieldId || !isConditionOperator(condition.operator)) {
+    return true;
+  }
+
+  try {
+    return CONDITION_OPERATORS[condition.operator].evaluate(formValues[condition.fieldId], condition.value);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Evaluate a condition or group
+ * @returns The result, or null if the node has nothing to evaluate
+ * (an incomplete condition, or a group containing only such nodes)
+ */
+function evaluateNode(node: ConditionNode | null | undefined, formValues: Record<string, unknown>): boolean | null {
+  if (!node) {
+    return null;
+  }
+
+  if (!isConditionGroup(node)) {
+    return node.fieldId && node.operator ? evaluateCondition(node, formValues) : null;
+  }
+
+  const results = node.conditions
+    .map((child) => evaluateNode(child, formValues))
+    .filter((result): result is boolean => result !== null);
+
+  if (results.length === 0) {
+    return null;
+  }
+  if (node.operator === 'AND') {
+    return results.every(Boolean);
+  }
+  if (node.operator === 'OR') {
+    return results.some(Boolean);
+  }
+
+  return true;
+}
+
+/**
+ * Check if a field is shown, based on its conditional logic
+ * Incomplete conditions and empty groups are ignored; a field without (valid)
+ * conditions is shown.
+ * @param field - Field with an optional `conditional` property
+ * @param formValues - All current form values
+ */
+export function shouldShowField(
+  field: { conditional?: ConditionalLogic | null },
+  formValues: Record<string, unknown>
+): boolean {
+  if (!field.conditional || !field.conditional.enabled) {
+    return true;
+  }
+
+  const { conditions = [], operator = 'AND' } = field.conditional;
+  return evaluateConditionGroup({ operator, conditions }, formValues) ?? true;
+}
+
+/**
+ * Evaluate a group of conditions (e.g. a field's `conditional` block)
+ * @returns The result, or null if the group has nothing to evaluate, so the
+ * caller decides what an empty group means
+ */
+export function evaluateConditionGroup(
+  group: { operator?: GroupOperator; conditions?: ConditionNode[] },
+  formValues: Record<string, unknown>
+): boolean | null {
+  return evaluateNode({ operator: group.operator || 'AND', conditions: group.conditions || [] }, formValues);
+}
+
+// ============================================================================
+// CONDITION TREES
+// ============================================================================
+
+/**
+ * Check if a `conditions` entry is a nested group
+ */
+export function isConditionGroup(node: unknown): node is ConditionGroup {
+  return Boolean(node) && Array.isArray((node as ConditionGroup).conditions);
+}
+
+/**
+ * All conditions in a conditional block or group, at any depth
+ */
+export function getAllConditions(group: { conditions?: ConditionNode[] } | null | undefined): Condition[] {
+  return (group?.conditions || []).flatMap((node) =>
+    isConditionGroup(node) ? getAllConditions(node) : node ? [node] : []
+  );
+}
@@ -0,0 +1,127 @@
+/**
+ * Tests for the signature, location, rating, timer, barcode and file field
+ * types: the shared helpers, server validation and the timer schema rule.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { formatDuration, getLocationError, getMaxRating, isAcceptedFile, secondsToHours } from './field-types';
+import { validateAARSubmission } from '../backend/src/lib/validateAARSubmission';
+import { checkFormSchemaIntegrity } from '../backend/src/lib/form-schema-integrity';
+
+const schema = {
+  formId: 'test',
+  version: '1',
+  sections: [{ id: 'basic', name: 'Basic', order: 0 }],
+  fields: [
+    { id: 'repairTime', type: 'number', label: 'Repair Time', section: 'basic' },
+    { id: 'laborTimer', type: 'timer', label: 'Labor Timer', section: 'basic', feedsFieldId: 'repairTime' },
+    { id: 'satisfaction', type: 'rating', label: 'Satisfaction', section: 'basic', maxRating: 4 },
+    { id: 'jobSite', type: 'location', label: 'Job Site', section: 'basic' },
+    { id: 'productSku', type: 'barcode', label: 'Product SKU', section: 'basic', validation: { maxLength: 8 } },
+    { id: 'customerSignature', type: 'signature', label: 'Customer Signature', section: 'basic', required: true },
+    { id: 'damagePhoto', type: 'file', label: 'Damage Photo', section: 'basic', accept: 'image/*' },
+  ],
+};
+
+const signature = { customerSignature: [{ filename: 'sig.png', size: 1, type: 'image/png' }] };
+
+describe('helpers', () => {
+  it('checks locations', () => {
+    expect(getLocationError({ latitude: 45.5, longitude: -122.6, accuracy: 12 })).toBeNull();
+    expect(getLocationError(null)).toBe('must be a captured location');
+    expect(getLocationError({ latitude: 91, longitude: 0 })).toMatch(/latitude/);
+    expect(getLocationError({ latitude: 0, longitude: '10' })).toMatch(/longitude/);
+    expect(getLocationError({ latitude: 0, longitude: 0, accuracy: -1 })).toMatch(/accuracy/);
+  });
+
+  it('converts and formats tracked time', () => {
+    expect(secondsToHours(5400)).toBe(1.5);
+    expect(secondsToHours(100)).toBe(0.03);
+    expect(formatDuration(309)).toBe('5m 09s');
+    expect(formatDuration(3909)).toBe('1h 05m 09s');
+    expect(formatDuration(-5)).toBe('0m 00s');
+  });
+
+  it('defaults the number of stars', () => {
+    expect(getMaxRating({})).toBe(5);
+    expect(getMaxRating({ maxRating: 10 })).toBe(10);
+  });
+
+  it('matches accepted file types', () => {
+    const pdf = { filename: 'Invoice.PDF', type: 'application/pdf' };
+    expect(isAcceptedFile(undefined, pdf)).toBe(true);
+    expect(isAcceptedFile('image/*', pdf)).toBe(false);
+    expect(isAcceptedFile('image/*, .pdf', pdf)).toBe(true);
+    expect(isAcceptedFile('application/pdf', pdf)).toBe(true);
+    expect(isAcceptedFile('.doc,.docx', pdf)).toBe(false);
+  });
+});
+
+describe('validateAARSubmission', () => {
+  const errorFields = async (formData: Record<string, unknown>, photos: Record<string, unknown> = signature) =>
+    (await validateAARSubmission(formData, schema, photos as never)).errors.map((error) => error.field);
+
+  it('accepts valid values', async () => {
+    const formData = {
+      repairTime: 1.5,
+      laborTimer: 5400,
+      satisfaction: 4,
+      jobSite: { latitude: 45.5, longitude: -122.6, accuracy: 12, capturedAt: '2026-01-01T00:00:00.000Z' },
+      productSku: 'SKU-1234',
+    };
+    expect(await errorFields(formData)).toEqual([]);
+  });
+
+  it('rejects invalid values', async () => {
+    const formData = {
+      laborTimer: -1,
+      satisfaction: 5,
+      jobSite: { latitude: 'here' },
+      productSku: 'SKU-123456',
+    };
+    expect(await errorFields(formData)).toEqual(['laborTimer', 'satisfaction', 'jobSite', 'productSku']);
+    expect(await errorFields({ satisfaction: 2.5 })).toEqual(['satisfaction']);
+  });
+
+  it('requires a signature image', async () => {
+    expect(await errorFields({}, {})).toEqual(['customerSignature']);
+  });
+
+  it('limits file fields to one file of an accepted type', async () => {
+    const photo = { filename: 'dent.jpg', size: 1, type: 'image/jpeg' };
+    const pdf = { filename: 'dent.pdf', size: 1, type: 'application/pdf' };
+    expect(await errorFields({}, { ...signature, damagePhoto: [photo] })).toEqual([]);
+    expect(await errorFields({}, { ...signature, damagePhoto: [photo, photo] })).toEqual(['damagePhoto']);
+    expect(await errorFields({}, { ...signature, damagePhoto: [pdf] })).toEqual(['damagePhoto']);
+  });
+});
+
+describe('checkFormSchemaIntegrity', () => {
+  const codes = (fields: typeof schema.fields) =>
+    checkFormSchemaIntegrity({ ...schema, fields }).map((issue) => issue.code);
+
+  const withTimer = (changes: Record<string, unknown>) =>
+    schema.fields.map((field) => (field.id === 'laborTimer' ? { ...field, ...changes } : field));
+
+  it('accepts a timer feeding a number field', () => {
+    expect(codes(schema.fields)).toEqual([]);
+  });
+
+  it('rejects timers feeding missing, non-number or calculated fields', () => {
+    expect(codes(withTimer({ feedsFieldId: 'missing' }))).toEqual(['invalid_timer_target']);
+    expect(codes(withTimer({ feedsFieldId: 'productSku' }))).toEqual(['invalid_timer_target']);
+    const calculated = schema.fields.map((field) =>
+      field.id === 'repairTime' ? { ...field, computed: { expression: 'satisfaction * 2' } } : field
+    );
+    expect(codes(calculated)).toEqual(['invalid_timer_target']);
+  });
+
+  it('rejects feeding from other field types', () => {
+    const fields = schema.fields.map((field) =>
+      field.id === 'productSku' ? { ...field, feedsFieldId: 'repairTime' } : field
+    );
+    expect(codes(fields)).toEqual(['invalid_timer_target']);
+  });
+});
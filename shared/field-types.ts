@@ -0,0 +1,94 @@
+/**
+ * Field Type Helpers
+ * Settings and value conversions of the field types that need more than a
+ * plain value: signature, location, rating, timer and barcode.
+ *
+ * Shared by the frontend (rendering, display) and the backend (validation),
+ * like shared/conditions.
+ */
+
+/**
+ * Field types submitted as uploads (photos keyed by field path) instead of
+ * form values: file fields and signature images
+ */
+export const UPLOAD_FIELD_TYPES = ['file', 'signature'];
+
+/** Stars of a rating field without maxRating */
+export const DEFAULT_MAX_RATING = 5;
+
+/** Captured device position of a location field */
+export interface LocationValue {
+  latitude: number;
+  longitude: number;
+  accuracy?: number; // Meters
+  capturedAt?: string; // ISO timestamp
+}
+
+export function isUploadFieldType(type: string): boolean {
+  return UPLOAD_FIELD_TYPES.includes(type);
+}
+
+/**
+ * Whether a file matches a file field's accept setting: comma-separated MIME
+ * types ("application/pdf"), wildcards ("image/*") or extensions (".pdf"),
+ * as in the accept attribute of a file input. No setting accepts any file.
+ */
+export function isAcceptedFile(accept: string | undefined, file: { filename: string; type: string }): boolean {
+  const patterns = (accept || '')
+    .split(',')
+    .map((pattern) => pattern.trim().toLowerCase())
+    .filter(Boolean);
+  if (patterns.length === 0) return true;
+
+  const type = (file.type || '').toLowerCase();
+  const filename = file.filename.toLowerCase();
+  return patterns.some((pattern) => {
+    if (pattern.startsWith('.')) return filename.endsWith(pattern);
+    if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1));
+    return type === pattern;
+  });
+}
+
+export function getMaxRating(field: { maxRating?: number }): number {
+  return field.maxRating || DEFAULT_MAX_RATING;
+}
+
+/**
+ * Check a location value
+ * @returns A description of the problem, or null if the location is valid
+ */
+export function getLocationError(value: unknown): string | null {
+  if (!value || typeof value !== 'object') {
+    return 'must be a captured location';
+  }
+  const { latitude, longitude, accuracy } = value as Partial<LocationValue>;
+  if (typeof latitude !== 'number' || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+    return 'must have a latitude between -90 and 90';
+  }
+  if (typeof longitude !== 'number' || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    return 'must have a longitude between -180 and 180';
+  }
+  if (accuracy !== undefined && (typeof accuracy !== 'number' || !(accuracy >= 0))) {
+    return 'must have a non-negative accuracy';
+  }
+  return null;
+}
+
+/**
+ * Tracked time in hours, rounded to 2 decimals (what a timer feeds into its
+ * target number field, e.g. repairTime)
+ */
+export function secondsToHours(seconds: number): number {
+  return Math.round((seconds / 3600) * 100) / 100;
+}
+
+/**
+ * Tracked time as "1h 05m 09s" ("5m 09s" under an hour)
+ */
+export function formatDuration(seconds: number): string {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m ${secs}s` : `${minutes}m ${secs}s`;
+}
@@ -0,0 +1,207 @@
+/**
+ * Tests for the shared field rules (requiredWhen, optionRules, computed)
+ * The last block checks that validateAARSubmission (server) enforces the same
+ * results the Submit AAR page (client) shows.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  applyComputedValues,
+  computeFieldValue,
+  getExpressionError,
+  getExpressionFieldIds,
+  getOptionRestriction,
+  isFieldRequired,
+} from './form-rules';
+import * as clientConditions from '../src/utils/conditionalFields.js';
+import { validateAARSubmission } from '../backend/src/lib/validateAARSubmission';
+
+const isBoat = { fieldId: 'category', operator: 'equals', value: 'Boat' };
+const productsUsed = [
+  { value: 'Vinyl dye', unit: 'oz', amount: '2' },
+  { value: 'Filler', unit: 'oz', amount: 1.5 },
+];
+
+describe('expressions', () => {
+  it.each([
+    ['unitPrice * 2', null],
+    ['(a + b) / -c.amount', null],
+    ['products.amount*unitPrice', null],
+    ['', 'Expression is empty'],
+    ['a +', 'Expression ends unexpectedly'],
+    ['(a + b', 'Missing closing parenthesis'],
+    ['a b', 'Unexpected "b"'],
+    ['a % 2', 'Unexpected "%" at position 3'],
+  ])('%j -> %s', (expression, error) => {
+    expect(getExpressionError(expression)).toBe(error);
+  });
+
+  it('lists referenced fields once', () => {
+    expect(getExpressionFieldIds('products.amount * unitPrice + products.value')).toEqual(['products', 'unitPrice']);
+    expect(getExpressionFieldIds('a +')).toEqual([]);
+  });
+});
+
+describe('computeFieldValue', () => {
+  const total = (expression: string, decimals?: number) => ({
+    id: 'total',
+    type: 'number',
+    computed: { expression, decimals },
+  });
+
+  it('calculates from numbers, numeric strings and field parts', () => {
+    expect(computeFieldValue(total('amount * unitPrice'), { amount: '3', unitPrice: 2.5 })).toBe(7.5);
+    expect(computeFieldValue(total('product.amount * unitPrice'), { product: { amount: '4' }, unitPrice: 2 })).toBe(8);
+    expect(computeFieldValue(total('2 + 3 * (4 - 1) / -3'), {})).toBe(-1);
+  });
+
+  it('adds up a part across the entries of a multi field', () => {
+    expect(computeFieldValue(total('productsUsed.amount * unitPrice'), { productsUsed, unitPrice: 10 })).toBe(35);
+    const withEmptyRow = [...productsUsed, { value: '', unit: '', amount: '' }];
+    expect(computeFieldValue(total('productsUsed.amount'), { productsUsed: withEmptyRow })).toBe(3.5);
+  });
+
+  it('rounds to the configured decimals', () => {
+    expect(computeFieldValue(total('10 / 3'), {})).toBe(3.33);
+    expect(computeFieldValue(total('10 / 3', 0), {})).toBe(3);
+    expect(computeFieldValue(total('0.1 + 0.2', 4), {})).toBe(0.3);
+  });
+
+  it('is null when it cannot be calculated', () => {
+    expect(computeFieldValue(total('amount * unitPrice'), { amount: 3 })).toBeNull();
+    expect(computeFieldValue(total('amount * 2'), { amount: 'abc' })).toBeNull();
+    expect(computeFieldValue(total('amount / 0'), { amount: 3 })).toBeNull();
+    expect(computeFieldValue(total('amount *'), { amount: 3 })).toBeNull();
+    expect(computeFieldValue({ ...total('2'), type: 'text' }, {})).toBeNull();
+    expect(computeFieldValue({ id: 'plain', type: 'number' }, {})).toBeNull();
+  });
+
+  it('resolves computed fields that use other computed fields', () => {
+    const fields = [
+      { id: 'withTax', type: 'number', computed: { expression: 'subtotal * 1.1' } },
+      { id: 'subtotal', type: 'number', computed: { expression: 'amount * unitPrice' } },
+    ];
+    expect(applyComputedValues(fields, { amount: 2, unitPrice: 5 })).toEqual({
+      amount: 2,
+      unitPrice: 5,
+      subtotal: 10,
+      withTax: 11,
+    });
+    expect(applyComputedValues(fields, { amount: 2 })).toEqual({ amount: 2, subtotal: undefined, withTax: undefined });
+  });
+});
+
+describe('isFieldRequired', () => {
+  const requiredWhenBoat = { id: 'hullId', type: 'text', requiredWhen: { enabled: true, conditions: [isBoat] } };
+
+  it('follows requiredWhen conditions', () => {
+    expect(isFieldRequired(requiredWhenBoat, { category: 'Boat' })).toBe(true);
+    expect(isFieldRequired(requiredWhenBoat, { category: 'Auto' })).toBe(false);
+  });
+
+  it('keeps always-required fields required', () => {
+    expect(isFieldRequired({ ...requiredWhenBoat, required: true }, { category: 'Auto' })).toBe(true);
+  });
+
+  it('ignores disabled, empty and incomplete conditions', () => {
+    expect(isFieldRequired({ ...requiredWhenBoat, requiredWhen: { enabled: false, conditions: [isBoat] } }, { category: 'Boat' })).toBe(false);
+    expect(isFieldRequired({ ...requiredWhenBoat, requiredWhen: { enabled: true, conditions: [] } }, {})).toBe(false);
+    const incomplete = { enabled: true, conditions: [{ fieldId: '', operator: 'equals', value: '' }] };
+    expect(isFieldRequired({ ...requiredWhenBoat, requiredWhen: incomplete }, {})).toBe(false);
+  });
+});
+
+describe('getOptionRestriction', () => {
+  const material = {
+    id: 'material',
+    type: 'select',
+    optionRules: [
+      { operator: 'AND' as const, conditions: [isBoat], options: ['Vinyl', 'Canvas'] },
+      {
+        operator: 'OR' as const,
+        conditions: [
+          { fieldId: 'category', operator: 'equals', value: 'Auto' },
+          { fieldId: 'category', operator: 'equals', value: 'Boat' },
+        ],
+        options: ['Leather', 'Vinyl'],
+      },
+    ],
+  };
+
+  it('uses the first matching rule', () => {
+    expect(getOptionRestriction(material, { category: 'Boat' })).toEqual(['Vinyl', 'Canvas']);
+    expect(getOptionRestriction(material, { category: 'Auto' })).toEqual(['Leather', 'Vinyl']);
+  });
+
+  it('allows every option when no rule matches', () => {
+    expect(getOptionRestriction(material, { category: 'RV' })).toBeNull();
+    expect(getOptionRestriction({ ...material, optionRules: undefined }, { category: 'Boat' })).toBeNull();
+  });
+
+  it('only applies to select fields', () => {
+    expect(getOptionRestriction({ ...material, type: 'smartselect' }, { category: 'Boat' })).toBeNull();
+  });
+});
+
+describe('client and server agree', () => {
+  it('the client uses the shared rules', () => {
+    expect(clientConditions.isFieldRequired).toBe(isFieldRequired);
+    expect(clientConditions.getOptionRestriction).toBe(getOptionRestriction);
+    expect(clientConditions.computeFieldValue).toBe(computeFieldValue);
+  });
+
+  const schema = {
+    formId: 'test',
+    version: '1',
+    fields: [
+      { id: 'category', type: 'select', label: 'Category', options: ['Boat', 'Auto'] },
+      {
+        id: 'material',
+        type: 'select',
+        label: 'Material',
+        options: ['Vinyl', 'Canvas', 'Leather'],
+        optionRules: [{ operator: 'AND' as const, conditions: [isBoat], options: ['Vinyl', 'Canvas'] }],
+      },
+      {
+        id: 'hullId',
+        type: 'text',
+        label: 'Hull ID',
+        requiredWhen: { enabled: true, operator: 'AND' as const, conditions: [isBoat] },
+      },
+      { id: 'unitPrice', type: 'number', label: 'Unit Price' },
+      { id: 'productsUsed', type: 'multitriplefield', label: 'Products Used' },
+      {
+        id: 'productCost',
+        type: 'number',
+        label: 'Product Cost',
+        computed: { expression: 'productsUsed.amount * unitPrice' },
+      },
+    ],
+  };
+
+  const errorFields = async (formData: Record<string, unknown>) =>
+    (await validateAARSubmission(formData, schema)).errors.map((error) => error.field);
+
+  it('accepts values the client would produce', async () => {
+    const formData = { category: 'Boat', material: 'Canvas', hullId: 'ABC123', unitPrice: 10, productsUsed };
+    expect(await errorFields(applyComputedValues(schema.fields, formData))).toEqual([]);
+    expect(await errorFields({ category: 'Auto', material: 'Leather' })).toEqual([]);
+  });
+
+  it('requires fields while requiredWhen matches', async () => {
+    expect(await errorFields({ category: 'Boat', material: 'Vinyl' })).toEqual(['hullId']);
+  });
+
+  it('rejects options a rule does not allow', async () => {
+    expect(await errorFields({ category: 'Boat', material: 'Leather', hullId: 'ABC123' })).toEqual(['material']);
+  });
+
+  it('rejects computed values that do not match the calculation', async () => {
+    const base = { category: 'Auto', unitPrice: 10, productsUsed };
+    expect(await errorFields({ ...base, productCost: 99 })).toEqual(['productCost']);
+    expect(await errorFields({ ...base, productCost: '35' })).toEqual([]);
+    expect(await errorFields({ category: 'Auto', productCost: 5 })).toEqual(['productCost']);
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * Form Field Rules
+ * Conditions that do more than show or hide a field:
+ * - requiredWhen: the field is required while its conditions match
+ * - optionRules: the first rule whose conditions match narrows a select's options
+ * - computed: the field's value is calculated from other fields, e.g.
+ *   "productsUsed.amount * unitPrice"
+ *
+ * Shared by the frontend (DynamicField reacts live) and the backend
+ * (validateAARSubmission enforces the rules), like shared/conditions.
+ * Keep this file free of browser- or Workers-specific APIs.
+ */
+
+import {
+  evaluateConditionGroup,
+  isEmptyValue,
+  type ConditionalLogic,
+  type ConditionNode,
+  type GroupOperator,
+} from './conditions';
+
+/** Options allowed while the rule's conditions match */
+export interface OptionRule {
+  operator: GroupOperator;
+  conditions: ConditionNode[];
+  options: string[];
+}
+
+/** Arithmetic expression over other fields' values */
+export interface ComputedValue {
+  expression: string;
+  decimals?: number; // Rounding of the result (default 2)
+}
+
+export interface RuleField {
+  id: string;
+  type: string;
+  required?: boolean;
+  requiredWhen?: ConditionalLogic;
+  optionRules?: OptionRule[];
+  computed?: ComputedValue;
+}
+
+/** Field types whose options can be narrowed by optionRules */
+export const OPTION_RULE_FIELD_TYPES = ['select', 'multiselect'];
+
+/** Field types that can hold a computed value */
+export const COMPUTED_FIELD_TYPES = ['number'];
+
+const DEFAULT_DECIMALS = 2;
+
+// ============================================================================
+// REQUIRED / OPTIONS
+// ============================================================================
+
+/**
+ * Check if a field is required, either always or through its requiredWhen
+ * conditions (incomplete or empty conditions never make a field required)
+ */
+export function isFieldRequired(field: RuleField, formValues: Record<string, unknown>): boolean {
+  if (field.required) {
+    return true;
+  }
+  if (!field.requiredWhen?.enabled) {
+    return false;
+  }
+  return evaluateConditionGroup(field.requiredWhen, formValues) === true;
+}
+
+/**
+ * Options a select currently allows, from the first matching option rule
+ * @returns The allowed options, or null if no rule matches (all options allowed)
+ */
+export function getOptionRestriction(field: RuleField, formValues: Record<string, unknown>): string[] | null {
+  if (!OPTION_RULE_FIELD_TYPES.includes(field.type)) {
+    return null;
+  }
+  const rule = (field.optionRules || []).find((r) => evaluateConditionGroup(r, formValues) === true);
+  return rule ? rule.options : null;
+}
+
+// ============================================================================
+// COMPUTED VALUES
+// ============================================================================
+
+/**
+ * Parsed expression. Field references name a field and optionally a part of
+ * its value (e.g. `products.amount` for a triplefield).
+ */
+type ExpressionNode =
+  | { type: 'number'; value: number }
+  | { type: 'field'; fieldId: string; part?: string }
+  | { type: 'negate'; operand: ExpressionNode }
+  | { type: 'binary'; operator: '+' | '-' | '*' | '/'; left: ExpressionNode; right: ExpressionNode };
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)?)|([-+*/()]))/y;
+
+function tokenize(expression: string): string[] {
+  const tokens: string[] = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      const rest = expression.slice(start);
+      if (rest.trim() === '') break;
+      const offset = rest.length - rest.trimStart().length;
+      throw new Error(`Unexpected "${rest.trimStart()[0]}" at position ${start + offset + 1}`);
+    }
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression of numbers, field references, + - * / and parentheses
+ * @throws Error describing the first syntax problem
+ */
+function parseExpression(expression: string): ExpressionNode {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  // sum := product (('+' | '-') product)*
+  const parseSum = (): ExpressionNode => {
+    let node = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      const operator = next() as '+' | '-';
+      node = { type: 'binary', operator, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  // product := operand (('*' | '/') operand)*
+  const parseProduct = (): ExpressionNode => {
+    let node = parseOperand();
+    while (peek() === '*' || peek() === '/') {
+      const operator = next() as '*' | '/';
+      node = { type: 'binary', operator, left: node, right: parseOperand() };
+    }
+    return node;
+  };
+
+  // operand := number | field | '-' operand | '(' sum ')'
+  const parseOperand = (): ExpressionNode => {
+    const token = next();
+    if (token === undefined) {
+      throw new Error('Expression ends unexpectedly');
+    }
+    if (token === '-') {
+      return { type: 'negate', operand: parseOperand() };
+    }
+    if (token === '(') {
+      const node = parseSum();
+      if (next() !== ')') {
+        throw new Error('Missing closing parenthesis');
+      }
+      return node;
+    }
+    if (/^\d/.test(token)) {
+      return { type: 'number', value: Number(token) };
+    }
+    if (/^[A-Za-z_]/.test(token)) {
+      const [fieldId, part] = token.split('.');
+      return { type: 'field', fieldId, part };
+    }
+    throw new Error(`Unexpected "${token}"`);
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Expression is empty');
+  }
+
+  const node = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}"`);
+  }
+  return node;
+}
+
+function collectFieldIds(node: ExpressionNode, fieldIds: Set<string>) {
+  if (node.type === 'field') {
+    fieldIds.add(node.fieldId);
+  } else if (node.type === 'negate') {
+    collectFieldIds(node.operand, fieldIds);
+  } else if (node.type === 'binary') {
+    collectFieldIds(node.left, fieldIds);
+    collectFieldIds(node.right, fieldIds);
+  }
+}
+
+/**
+ * Check an expression's syntax
+ * @returns A description of the problem, or null if the expression is valid
+ */
+export function getExpressionError(expression: string): string | null {
+  try {
+    parseExpression(expression);
+    return null;
+  } catch (error) {
+    return (error as Error).message;
+  }
+}
+
+/**
+ * IDs of the fields an expression references (empty if it does not parse)
+ */
+export function getExpressionFieldIds(expression: string): string[] {
+  try {
+    const fieldIds = new Set<string>();
+    collectFieldIds(parseExpression(expression), fieldIds);
+    return [...fieldIds];
+  } catch {
+    return [];
+  }
+}
+
+function toNumber(value: unknown): number {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Numeric value of a field reference. Multi fields (e.g. multitriplefield)
+ * add up the part across their entries; empty entries are skipped.
+ * @returns The number, or null if there is nothing (valid) to use
+ */
+function resolveReference(formValues: Record<string, unknown>, fieldId: string, part?: string): number | null {
+  const value = formValues[fieldId];
+  const entries = Array.isArray(value) ? value : [value];
+
+  let total: number | null = null;
+  for (const entry of entries) {
+    const raw = part ? (entry as Record<string, unknown> | null | undefined)?.[part] : entry;
+    if (isEmptyValue(raw)) continue;
+
+    const number = toNumber(raw);
+    if (!Number.isFinite(number)) return null;
+    total = (total ?? 0) + number;
+  }
+  return total;
+}
+
+function evaluateExpression(node: ExpressionNode, formValues: Record<string, unknown>): number | null {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'field':
+      return resolveReference(formValues, node.fieldId, node.part);
+    case 'negate': {
+      const operand = evaluateExpression(node.operand, formValues);
+      return operand === null ? null : -operand;
+    }
+    case 'binary': {
+      const left = evaluateExpression(node.left, formValues);
+      const right = evaluateExpression(node.right, formValues);
+      if (left === null || right === null) return null;
+      if (node.operator === '+') return left + right;
+      if (node.operator === '-') return left - right;
+      if (node.operator === '*') return left * right;
+      return right === 0 ? null : left / right;
+    }
+  }
+}
+
+/**
+ * Calculate a computed field's value
+ * @returns The rounded result, or null if the field is not computed, its
+ * expression is invalid or a referenced value is missing
+ */
+export function computeFieldValue(field: RuleField, formValues: Record<string, unknown>): number | null {
+  if (!field.computed || !COMPUTED_FIELD_TYPES.includes(field.type)) {
+    return null;
+  }
+
+  let result: number | null;
+  try {
+    result = evaluateExpression(parseExpression(field.computed.expression), formValues);
+  } catch {
+    return null;
+  }
+  if (result === null || !Number.isFinite(result)) {
+    return null;
+  }
+
+  const factor = 10 ** (field.computed.decimals ?? DEFAULT_DECIMALS);
+  return Math.round(result * factor) / factor;
+}
+
+/**
+ * Form values with every computed field (re)calculated. Computed fields may
+ * reference other computed fields; they are resolved in dependency order.
+ */
+export function applyComputedValues(
+  fields: RuleField[],
+  formValues: Record<string, unknown>
+): Record<string, unknown> {
+  const values: Record<string, unknown> = { ...formValues };
+  const computedFields = fields.filter((field) => field.computed && COMPUTED_FIELD_TYPES.includes(field.type));
+
+  // One pass per computed field is enough for any acyclic chain
+  for (let pass = 0; pass < computedFields.length; pass++) {
+    let changed = false;
+    for (const field of computedFields) {
+      const value = computeFieldValue(field, values) ?? undefined;
+      if (values[field.id] !== value) {
+        values[field.id] = value;
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+
+  return values;
+}
@@ -0,0 +1,138 @@
+/**
+ * Tests for repeatable sections: the shared helpers, server validation of
+ * instances, schema integrity rules and common-field extraction.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getInstancePath, getInstanceScope, getItemLabel, getSectionItems } from './repeatable-sections';
+import { validateAARSubmission, extractCommonFields } from '../backend/src/lib/validateAARSubmission';
+import { checkFormSchemaIntegrity } from '../backend/src/lib/form-schema-integrity';
+
+const damageAreas = { id: 'damageAreas', name: 'Damaged Areas', order: 1, repeatable: true, itemLabel: 'Area', maxItems: 3 };
+
+const schema = {
+  formId: 'test',
+  version: '1',
+  sections: [{ id: 'basic', name: 'Basic', order: 0 }, damageAreas],
+  fields: [
+    { id: 'category', type: 'select', label: 'Category', section: 'basic', options: ['Boat', 'Auto'] },
+    { id: 'unitPrice', type: 'number', label: 'Unit Price', section: 'basic' },
+    { id: 'damageType', type: 'select', label: 'Damage Type', section: 'damageAreas', required: true, options: ['Tear', 'Burn'] },
+    {
+      id: 'tearLength',
+      type: 'number',
+      label: 'Tear Length',
+      section: 'damageAreas',
+      requiredWhen: { enabled: true, conditions: [{ fieldId: 'damageType', operator: 'equals', value: 'Tear' }] },
+    },
+    {
+      id: 'areaCost',
+      type: 'number',
+      label: 'Area Cost',
+      section: 'damageAreas',
+      computed: { expression: 'tearLength * unitPrice' },
+    },
+    { id: 'areaPhotos', type: 'file', label: 'Area Photos', section: 'damageAreas', required: true },
+  ],
+};
+
+const photo = [{ filename: 'a.jpg', size: 1, type: 'image/jpeg' }];
+
+describe('helpers', () => {
+  it('reads instances and scopes', () => {
+    const values = { category: 'Boat', damageAreas: [{ damageType: 'Tear' }, null] };
+    expect(getSectionItems(values, 'damageAreas')).toEqual([{ damageType: 'Tear' }]);
+    expect(getSectionItems(values, 'category')).toEqual([]);
+    expect(getInstanceScope(values, { category: 'Auto' }).category).toBe('Auto');
+  });
+
+  it('names paths and instances', () => {
+    expect(getInstancePath('damageAreas', 1, 'damageType')).toBe('damageAreas.1.damageType');
+    expect(getItemLabel(damageAreas, 0)).toBe('Area 1');
+    expect(getItemLabel({ id: 'x' }, 2)).toBe('Item 3');
+  });
+});
+
+describe('validateAARSubmission', () => {
+  const errorFields = async (formData: Record<string, unknown>, photos: Record<string, typeof photo> = {}) =>
+    (await validateAARSubmission(formData, schema, photos)).errors.map((error) => error.field);
+
+  const photos = { 'damageAreas.0.areaPhotos': photo, 'damageAreas.1.areaPhotos': photo };
+
+  it('accepts valid instances', async () => {
+    const formData = {
+      category: 'Boat',
+      unitPrice: 10,
+      damageAreas: [{ damageType: 'Tear', tearLength: 2, areaCost: 20 }, { damageType: 'Burn' }],
+    };
+    expect(await errorFields(formData, photos)).toEqual([]);
+  });
+
+  it('validates each instance with its own values', async () => {
+    const formData = {
+      unitPrice: 10,
+      damageAreas: [{ damageType: 'Burn' }, { damageType: 'Tear' }, {}],
+    };
+    expect(await errorFields(formData, { ...photos, 'damageAreas.2.areaPhotos': photo })).toEqual([
+      'damageAreas.1.tearLength',
+      'damageAreas.2.damageType',
+    ]);
+  });
+
+  it('checks computed values against the instance', async () => {
+    const formData = { unitPrice: 10, damageAreas: [{ damageType: 'Tear', tearLength: 3, areaCost: 20 }] };
+    expect(await errorFields(formData, photos)).toEqual(['damageAreas.0.areaCost']);
+  });
+
+  it('matches photos by instance path', async () => {
+    const formData = { damageAreas: [{ damageType: 'Burn' }, { damageType: 'Burn' }] };
+    expect(await errorFields(formData, { 'damageAreas.0.areaPhotos': photo })).toEqual(['damageAreas.1.areaPhotos']);
+  });
+
+  it('enforces the number and shape of instances', async () => {
+    expect(await errorFields({})).toEqual(['damageAreas']);
+    const four = Array.from({ length: 4 }, () => ({ damageType: 'Burn' }));
+    const fourPhotos = Object.fromEntries(four.map((_, i) => [`damageAreas.${i}.areaPhotos`, photo]));
+    expect(await errorFields({ damageAreas: four }, fourPhotos)).toEqual(['damageAreas']);
+    expect(await errorFields({ damageAreas: { damageType: 'Burn' } })).toEqual(['damageAreas']);
+  });
+});
+
+describe('checkFormSchemaIntegrity', () => {
+  const codes = (changes: { sections?: typeof schema.sections; fields?: typeof schema.fields }) =>
+    checkFormSchemaIntegrity({ ...schema, ...changes }).map((issue) => issue.code);
+
+  it('accepts references within the same section and to outside fields', () => {
+    expect(codes({})).toEqual([]);
+  });
+
+  it('rejects references into a repeatable section from outside', () => {
+    const total = {
+      id: 'total',
+      type: 'number',
+      label: 'Total',
+      section: 'basic',
+      computed: { expression: 'areaCost * 2' },
+    };
+    expect(codes({ fields: [...schema.fields, total] })).toEqual(['repeatable_reference']);
+  });
+
+  it('rejects invalid ranges and ID clashes', () => {
+    expect(codes({ sections: [schema.sections[0], { ...damageAreas, minItems: 4 }] })).toEqual(['invalid_range']);
+    const clash = { id: 'damageAreas', type: 'text', label: 'Areas', section: 'basic' };
+    expect(codes({ fields: [...schema.fields, clash] })).toEqual(['duplicate_field_id']);
+  });
+});
+
+describe('extractCommonFields', () => {
+  it('falls back to the first instance value', () => {
+    expect(extractCommonFields({ category: 'Boat', damageAreas: [{}, { damageType: 'Tear' }] })).toEqual({
+      category: 'Boat',
+      material: null,
+      damage_type: 'Tear',
+    });
+    expect(extractCommonFields({ damageType: 'Burn', damageAreas: [{ damageType: 'Tear' }] }).damage_type).toBe('Burn');
+  });
+});
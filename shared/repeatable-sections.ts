@@ -0,0 +1,74 @@
+/**
+ * Repeatable Sections
+ * A section marked `repeatable` is filled in once per instance (e.g. once per
+ * damaged area). Its fields are stored together in form_data as an array
+ * under the section ID:
+ *
+ *   { damageAreas: [{ damageType: 'Tear', size: { value: '3', unit: 'in' } }, ...] }
+ *
+ * Conditions and field rules inside an instance see the instance's values on
+ * top of the rest of the form, so a field can depend on its siblings in the
+ * same instance. Form paths (and photo field IDs) of instance fields are
+ * "<sectionId>.<index>.<fieldId>".
+ *
+ * Shared by the frontend and the backend, like shared/conditions.
+ */
+
+export interface SectionDefinition {
+  id: string;
+  name?: string;
+  order?: number;
+  repeatable?: boolean;
+  itemLabel?: string; // Name of one instance, e.g. "Damaged area"
+  minItems?: number;
+  maxItems?: number;
+}
+
+/** Instances a repeatable section needs when minItems is not set */
+export const DEFAULT_MIN_ITEMS = 1;
+
+export function isRepeatableSection(section: SectionDefinition | null | undefined): boolean {
+  return Boolean(section?.repeatable);
+}
+
+/**
+ * IDs of the repeatable sections of a schema
+ */
+export function getRepeatableSectionIds(sections: SectionDefinition[] | null | undefined): Set<string> {
+  return new Set((sections || []).filter(isRepeatableSection).map((section) => section.id));
+}
+
+/**
+ * Instances of a repeatable section in form values ([] if there are none)
+ */
+export function getSectionItems(
+  formValues: Record<string, unknown>,
+  sectionId: string
+): Record<string, unknown>[] {
+  const items = formValues[sectionId];
+  return Array.isArray(items) ? items.filter((item) => item && typeof item === 'object') : [];
+}
+
+/**
+ * Values seen by conditions and rules of a field inside an instance
+ */
+export function getInstanceScope(
+  formValues: Record<string, unknown>,
+  instance: Record<string, unknown> | null | undefined
+): Record<string, unknown> {
+  return { ...formValues, ...(instance || {}) };
+}
+
+/**
+ * Form path of a field inside an instance, e.g. "damageAreas.0.damageType"
+ */
+export function getInstancePath(sectionId: string, index: number, fieldId: string): string {
+  return `${sectionId}.${index}.${fieldId}`;
+}
+
+/**
+ * Display name of an instance, e.g. "Damaged area 2"
+ */
+export function getItemLabel(section: SectionDefinition, index: number): string {
+  return `${section.itemLabel || section.name || 'Item'} ${index + 1}`;
+}
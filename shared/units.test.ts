@@ -0,0 +1,36 @@
+/**
+ * Tests for the unit conversion helpers used by the frontend and PDF reports.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { convertArea, convertLiquid, formatMeasurement, getUnitKind, normalizeUnit } from './units';
+
+const preferences = { area: 'sqft', liquid: 'oz' } as const;
+
+describe('units', () => {
+  it('normalizes the spellings of form unit options', () => {
+    expect(normalizeUnit('mL')).toBe('ml');
+    expect(normalizeUnit('Quarts')).toBe('qt');
+    expect(normalizeUnit(' Liter ')).toBe('l');
+    expect(getUnitKind('sq ft')).toBe('area');
+    expect(getUnitKind('Gallon')).toBe('liquid');
+    expect(getUnitKind('pcs')).toBeNull();
+  });
+
+  it('converts areas and liquids', () => {
+    expect(convertArea(1, 'sqm', 'sqft')).toBeCloseTo(10.7639);
+    expect(convertArea(10, 'sqcm', 'sqm')).toBeCloseTo(0.001);
+    expect(convertLiquid(1, 'gal', 'oz')).toBeCloseTo(128);
+    expect(convertLiquid(1, 'Quart', 'oz')).toBeCloseTo(32);
+    expect(convertLiquid(5, 'pcs', 'oz')).toBe(5);
+  });
+
+  it('formats measurements in the preferred units', () => {
+    expect(formatMeasurement('2', 'Quart', preferences)).toBe('64.00 oz');
+    expect(formatMeasurement(1, 'sqm', preferences)).toBe('10.76 sqft');
+    expect(formatMeasurement(3, 'pcs', preferences)).toBeNull();
+    expect(formatMeasurement('', 'ml', preferences)).toBeNull();
+  });
+});
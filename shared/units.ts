@@ -0,0 +1,113 @@
+/**
+ * Unit Conversion Helpers
+ * Area and liquid measurements converted to the user's preferred units.
+ *
+ * Shared by the frontend (display, see src/utils/units.js) and the backend
+ * (PDF reports), like shared/field-types.
+ */
+
+export type AreaUnit = 'sqft' | 'sqm';
+export type LiquidUnit = 'ml' | 'oz' | 'l' | 'gal';
+
+export interface UnitPreferences {
+  area: AreaUnit;
+  liquid: LiquidUnit;
+}
+
+export const DEFAULT_UNIT_PREFERENCES: UnitPreferences = { area: 'sqft', liquid: 'oz' };
+
+// Size of each unit in square meters / milliliters
+const AREA_UNITS: Record<string, number> = {
+  sqm: 1,
+  sqft: 1 / 10.7639,
+  sqcm: 0.0001,
+};
+
+const LIQUID_UNITS: Record<string, number> = {
+  ml: 1,
+  oz: 29.5735,
+  l: 1000,
+  gal: 3785.41,
+  qt: 946.353,
+};
+
+// Other spellings used in form unit options (e.g. "mL", "Quart", "Liter")
+const UNIT_ALIASES: Record<string, string> = {
+  'sq ft': 'sqft',
+  'ft²': 'sqft',
+  ft2: 'sqft',
+  'sq m': 'sqm',
+  'm²': 'sqm',
+  m2: 'sqm',
+  'sq cm': 'sqcm',
+  'cm²': 'sqcm',
+  cm2: 'sqcm',
+  milliliter: 'ml',
+  millilitre: 'ml',
+  'fl oz': 'oz',
+  ounce: 'oz',
+  liter: 'l',
+  litre: 'l',
+  gallon: 'gal',
+  quart: 'qt',
+};
+
+/**
+ * Canonical name of a unit ("mL" -> "ml", "Quarts" -> "qt"), or the unit lowercased if unknown
+ */
+export function normalizeUnit(unit: string): string {
+  const name = unit.trim().toLowerCase();
+  return UNIT_ALIASES[name] || UNIT_ALIASES[name.replace(/s$/, '')] || name;
+}
+
+export function getUnitKind(unit: string): 'area' | 'liquid' | null {
+  const name = normalizeUnit(unit);
+  if (name in AREA_UNITS) return 'area';
+  if (name in LIQUID_UNITS) return 'liquid';
+  return null;
+}
+
+/**
+ * Convert between area units (the value is returned unchanged for unknown units)
+ */
+export function convertArea(value: number, fromUnit: string, toUnit: string): number {
+  const from = AREA_UNITS[normalizeUnit(fromUnit)];
+  const to = AREA_UNITS[normalizeUnit(toUnit)];
+  return from && to ? (value * from) / to : value;
+}
+
+/**
+ * Convert between liquid units (the value is returned unchanged for unknown units)
+ */
+export function convertLiquid(value: number, fromUnit: string, toUnit: string): number {
+  const from = LIQUID_UNITS[normalizeUnit(fromUnit)];
+  const to = LIQUID_UNITS[normalizeUnit(toUnit)];
+  return from && to ? (value * from) / to : value;
+}
+
+export function formatArea(value: number, unit: string): string {
+  return `${value.toFixed(2)} ${unit}`;
+}
+
+export function formatLiquid(value: number, unit: string): string {
+  return `${value.toFixed(2)} ${unit}`;
+}
+
+/**
+ * A measurement in the preferred unit of its kind, e.g. "2 Quart" -> "64.00 oz"
+ * @returns The formatted measurement, or null if the value is not a number or
+ *   the unit is neither an area nor a liquid unit
+ */
+export function formatMeasurement(value: unknown, unit: unknown, preferences: UnitPreferences): string | null {
+  const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || typeof unit !== 'string') return null;
+
+  switch (getUnitKind(unit)) {
+    case 'area':
+      return formatArea(convertArea(amount, unit, preferences.area), preferences.area);
+    case 'liquid':
+      return formatLiquid(convertLiquid(amount, unit, preferences.liquid), preferences.liquid);
+    default:
+      return null;
+  }
+}
@@ -4,22 +4,30 @@ import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { AARProvider } from './contexts/AARContext';
 import { ChatProvider } from './contexts/ChatContext';
+import { NotificationProvider } from './contexts/NotificationContext';
+import { ReferenceDataProvider } from './contexts/ReferenceDataContext';
+import { DraftsProvider } from './contexts/DraftsContext';
 import Login from './pages/Login';
 import Layout from './components/layout/Layout';
 import Dashboard from './pages/Dashboard';
 import BrowseAARs from './pages/BrowseAARs';
 import AARDetail from './pages/AARDetail';
 import SubmitAAR from './pages/SubmitAAR';
+import Drafts from './pages/Drafts';
 import Chat from './pages/Chat';
 import Profile from './pages/Profile';
 import Analytics from './pages/Analytics';
 import Branding from './pages/Branding';
 import Customize from './pages/Customize';
 import Users from './pages/Users';
+import ReferenceLists from './pages/ReferenceLists';
 
 const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated } = useAuth();
-  return isAuthenticated ? children : <Navigate to="/login" replace />;
+  const { isAuthenticated, fileAccessReady } = useAuth();
+  if (!isAuthenticated) return <Navigate to="/login" replace />;
+  // Photo URLs built before the file access token arrives would be rejected
+  if (!fileAccessReady) return null;
+  return children;
 };
 
 const AppRoutes = () => {
@@ -43,12 +51,14 @@ const AppRoutes = () => {
         <Route path="browse" element={<BrowseAARs />} />
         <Route path="aar/:id" element={<AARDetail />} />
         <Route path="submit" element={<SubmitAAR />} />
+        <Route path="drafts" element={<Drafts />} />
         <Route path="chat" element={<Chat />} />
         <Route path="profile" element={<Profile />} />
         <Route path="analytics" element={<Analytics />} />
         <Route path="branding" element={<Branding />} />
         <Route path="customize" element={<Customize />} />
         <Route path="users" element={<Users />} />
+        <Route path="reference-lists" element={<ReferenceLists />} />
       </Route>
     </Routes>
   );
@@ -59,34 +69,40 @@ function App() {
     <ThemeProvider>
       <AuthProvider>
         <ChatProvider>
-          <AARProvider>
-            <Toaster
-              position="top-right"
-              toastOptions={{
-                duration: 4000,
-                style: {
-                  background: 'var(--toast-bg)',
-                  color: 'var(--toast-text)',
-                  borderRadius: '0.75rem',
-                  padding: '1rem',
-                  boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)',
-                },
-                success: {
-                  iconTheme: {
-                    primary: '#10b981',
-                    secondary: '#ffffff',
-                  },
-                },
-                error: {
-                  iconTheme: {
-                    primary: '#ef4444',
-                    secondary: '#ffffff',
-                  },
-                },
-              }}
-            />
-            <AppRoutes />
-          </AARProvider>
+          <NotificationProvider>
+            <ReferenceDataProvider>
+              <AARProvider>
+                <Toaster
+                  position="top-right"
+                  toastOptions={{
+                    duration: 4000,
+                    style: {
+                      background: 'var(--toast-bg)',
+                      color: 'var(--toast-text)',
+                      borderRadius: '0.75rem',
+                      padding: '1rem',
+                      boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)',
+                    },
+                    success: {
+                      iconTheme: {
+                        primary: '#10b981',
+                        secondary: '#ffffff',
+                      },
+                    },
+                    error: {
+                      iconTheme: {
+                        primary: '#ef4444',
+                        secondary: '#ffffff',
+                      },
+                    },
+                  }}
+                />
+                <DraftsProvider>
+                  <AppRoutes />
+                </DraftsProvider>
+              </AARProvider>
+            </ReferenceDataProvider>
+          </NotificationProvider>
         </ChatProvider>
       </AuthProvider>
     </ThemeProvider>
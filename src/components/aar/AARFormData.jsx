@@ -0,0 +1,143 @@
+import { useFileAccessToken } from '../../contexts/AuthContext';
+import { api } from '../../lib/api-client';
+import { formatFieldValue, getMapUrl } from '../../utils/formValues';
+import { fieldIdToLabel } from '../../utils/aarRevisions';
+import { getInstancePath, getItemLabel, isRepeatableSection } from '../../utils/conditionalFields';
+
+// Rendered by the photo gallery, not as text
+const HIDDEN_FIELD_TYPES = ['file'];
+
+/**
+ * Rows of a section's fields with a value in `values`
+ * @param {Function} pathFor - Field -> form path (the key of its uploads in _photoUrls)
+ * @param {Object} photoUrls - Stored upload keys by form path
+ */
+const getRows = (fields, values, pathFor, photoUrls) =>
+  fields
+    .map((field) => {
+      const row = {
+        id: field.id,
+        label: field.label,
+        value: formatFieldValue(field, values[field.id]),
+        wide: field.type === 'textarea',
+      };
+      if (field.type === 'signature') {
+        const key = photoUrls[pathFor(field)]?.[0];
+        return { ...row, value: '', image: key && api.uploads.fileUrl(key, 'thumbnail') };
+      }
+      if (field.type === 'location' && row.value) {
+        return { ...row, href: getMapUrl(values[field.id]) };
+      }
+      return row;
+    })
+    .filter((row) => row.value !== '' || row.image);
+
+/**
+ * AARFormData - Submitted form values grouped by the sections of the schema
+ * version the AAR was submitted on. Repeatable sections list each entry
+ * separately. Values without a field in that schema (or everything, if the
+ * schema could not be loaded) are listed under "Other".
+ */
+const AARFormData = ({ schema, formData }) => {
+  useFileAccessToken();
+  const values = formData || {};
+  const photoUrls = values._photoUrls || {};
+  const fields = schema?.fields || [];
+  const knownIds = new Set([
+    ...fields.map((field) => field.id),
+    ...(schema?.sections || []).filter(isRepeatableSection).map((section) => section.id),
+  ]);
+
+  const sections = [...(schema?.sections || [])]
+    .sort((a, b) => a.order - b.order)
+    .map((section) => {
+      const sectionFields = fields
+        .filter((field) => field.section === section.id && !HIDDEN_FIELD_TYPES.includes(field.type))
+        .sort((a, b) => a.order - b.order);
+
+      if (!isRepeatableSection(section)) {
+        const rows = getRows(sectionFields, values, (field) => field.id, photoUrls);
+        return { ...section, groups: [{ id: section.id, rows }] };
+      }
+
+      const items = Array.isArray(values[section.id]) ? values[section.id] : [];
+      return {
+        ...section,
+        groups: items.map((item, index) => ({
+          id: `${section.id}.${index}`,
+          name: getItemLabel(section, index),
+          rows: getRows(
+            sectionFields,
+            item || {},
+            (field) => getInstancePath(section.id, index, field.id),
+            photoUrls
+          ),
+        })),
+      };
+    })
+    .map((section) => ({ ...section, groups: section.groups.filter((group) => group.rows.length > 0) }));
+
+  const otherRows = Object.keys(values)
+    .filter((fieldId) => !fieldId.startsWith('_') && !knownIds.has(fieldId))
+    .map((fieldId) => ({
+      id: fieldId,
+      label: fieldIdToLabel(fieldId),
+      value: formatFieldValue(undefined, values[fieldId]),
+      wide: false,
+    }))
+    .filter((row) => row.value !== '');
+
+  if (otherRows.length > 0) {
+    sections.push({ id: '_other', name: schema ? 'Other' : 'Details', groups: [{ id: '_other', rows: otherRows }] });
+  }
+
+  return (
+    <div className="p-6 space-y-4 md:space-y-6">
+      {sections
+        .filter((section) => section.groups.length > 0)
+        .map((section) => (
+          <div key={section.id}>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">{section.name}</h3>
+            <div className="space-y-3">
+              {section.groups.map((group) => (
+                <div key={group.id}>
+                  {group.name && (
+                    <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">{group.name}</h4>
+                  )}
+                  <dl className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                    {group.rows.map((row) => (
+                      <div key={row.id} className={row.wide ? 'md:col-span-2' : ''}>
+                        <dt className="text-gray-600 dark:text-gray-400">{row.label}</dt>
+                        <dd className="text-gray-900 dark:text-white whitespace-pre-line">
+                          {row.image ? (
+                            <img
+                              src={row.image}
+                              alt={row.label}
+                              className="mt-1 h-24 max-w-full object-contain bg-white rounded-lg border border-gray-200 dark:border-gray-700"
+                            />
+                          ) : row.href ? (
+                            <a
+                              href={row.href}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-primary-600 dark:text-primary-400 hover:underline"
+                            >
+                              {row.value}
+                            </a>
+                          ) : (
+                            row.value
+                          )}
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+    </div>
+  );
+};
+
+export default AARFormData;
@@ -0,0 +1,407 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { DndContext, closestCenter, KeyboardSensor, MouseSensor, TouchSensor, useSensor, useSensors } from '@dnd-kit/core';
+import { SortableContext, rectSortingStrategy, sortableKeyboardCoordinates, useSortable } from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+import { File, GripVertical, Images, Link2, Loader, Plus, RefreshCw, Trash2 } from 'lucide-react';
+import { useFileAccessToken } from '../../contexts/AuthContext';
+import { api } from '../../lib/api-client';
+import { arrayMove } from '../../utils/arrayMove';
+import { fieldIdToLabel } from '../../utils/aarRevisions';
+import { isAcceptedFile } from '../../utils/formValues';
+import { uploadFile } from '../../utils/resumableUpload';
+import { getInstancePath, getItemLabel, isRepeatableSection } from '../../utils/conditionalFields';
+
+/**
+ * Photo fields of an AAR: file fields of the schema (fields of repeatable
+ * sections once per entry), plus paths with photos the schema does not know
+ * @returns {Array<{ path: string, label: string, field: Object|null }>}
+ */
+const getPhotoGroups = (schema, formData, photos) => {
+  const groups = [];
+  const sections = [...(schema?.sections || [])].sort((a, b) => a.order - b.order);
+  const sectionOrder = new Map(sections.map((section, index) => [section.id, index]));
+  const fileFields = (schema?.fields || [])
+    .filter((field) => field.type === 'file')
+    .sort((a, b) => (sectionOrder.get(a.section) ?? 0) - (sectionOrder.get(b.section) ?? 0) || a.order - b.order);
+
+  for (const field of fileFields) {
+    const section = sections.find((s) => s.id === field.section);
+    if (isRepeatableSection(section)) {
+      const items = Array.isArray(formData[section.id]) ? formData[section.id] : [];
+      items.forEach((_, index) =>
+        groups.push({
+          path: getInstancePath(section.id, index, field.id),
+          label: `${field.label} (${getItemLabel(section, index)})`,
+          field,
+        })
+      );
+    } else {
+      groups.push({ path: field.id, label: field.label, field });
+    }
+  }
+
+  // Signatures are shown with the form values
+  const signaturePaths = new Set((schema?.fields || []).filter((f) => f.type === 'signature').map((f) => f.id));
+  const known = new Set(groups.map((group) => group.path));
+  Object.keys(photos)
+    .filter((path) => !known.has(path) && !signaturePaths.has(path.split('.').pop()))
+    .forEach((path) => groups.push({ path, label: fieldIdToLabel(path), field: null }));
+
+  return groups;
+};
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.message || error.response?.data?.message || fallback;
+
+/**
+ * One photo: thumbnail, caption, pair and actions (drag to reorder)
+ */
+const SortablePhoto = ({ photo, label, accept, pairOptions, pairLabel, canEdit, busy, onCaption, onPair, onReplace, onDelete }) => {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({
+    id: photo.id,
+    disabled: !canEdit || busy,
+  });
+  const [caption, setCaption] = useState(photo.caption || '');
+  const replaceInput = useRef(null);
+
+  useEffect(() => setCaption(photo.caption || ''), [photo.caption]);
+
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+    opacity: isDragging ? 0.5 : 1,
+  };
+
+  const saveCaption = () => {
+    if (caption.trim() !== (photo.caption || '')) onCaption(photo, caption.trim() || null);
+  };
+
+  return (
+    <div ref={setNodeRef} style={style} className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden">
+      <div className="relative aspect-square bg-gray-100 dark:bg-gray-700">
+        <a href={api.uploads.fileUrl(photo.r2_key)} target="_blank" rel="noopener noreferrer" title={photo.filename}>
+          {photo.mime_type?.startsWith('image/') ? (
+            <img
+              src={api.uploads.fileUrl(photo.r2_key, 'thumbnail')}
+              alt={photo.caption || label}
+              loading="lazy"
+              className="w-full h-full object-cover"
+            />
+          ) : (
+            <div className="flex flex-col items-center justify-center h-full p-2 text-gray-500 dark:text-gray-400">
+              <File className="w-8 h-8 mb-1" />
+              <span className="text-xs text-center break-all line-clamp-2">{photo.filename}</span>
+            </div>
+          )}
+        </a>
+        {canEdit && (
+          <button
+            {...attributes}
+            {...listeners}
+            className="absolute top-1 left-1 p-1 rounded bg-white/80 dark:bg-gray-900/80 text-gray-600 dark:text-gray-300 cursor-grab touch-none"
+            title="Drag to reorder"
+          >
+            <GripVertical className="w-4 h-4" />
+          </button>
+        )}
+        {photo.paired_photo_id && (
+          <span
+            className="absolute top-1 right-1 p-1 rounded bg-primary-600 text-white"
+            title={`Paired with ${pairLabel || 'another photo'}`}
+          >
+            <Link2 className="w-3 h-3" />
+          </span>
+        )}
+      </div>
+
+      <div className="p-2 space-y-1">
+        {canEdit ? (
+          <input
+            type="text"
+            value={caption}
+            onChange={(e) => setCaption(e.target.value)}
+            onBlur={saveCaption}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            maxLength={500}
+            disabled={busy}
+            placeholder="Add a caption"
+            className="w-full px-2 py-1 text-xs rounded border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+        ) : (
+          photo.caption && <p className="text-xs text-gray-700 dark:text-gray-300">{photo.caption}</p>
+        )}
+
+        {canEdit && (
+          <>
+            {pairOptions.length > 0 && (
+              <select
+                value={photo.paired_photo_id || ''}
+                onChange={(e) => {
+                  const option = pairOptions.find((o) => o.id === e.target.value);
+                  onPair(photo, option?.id || null, option?.role);
+                }}
+                disabled={busy}
+                className="w-full px-2 py-1 text-xs rounded border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              >
+                <option value="">Pair with photo…</option>
+                {pairOptions.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label} ({option.role === 'before' ? 'after' : 'before'})
+                  </option>
+                ))}
+              </select>
+            )}
+            <div className="flex justify-end space-x-1">
+              <input
+                ref={replaceInput}
+                type="file"
+                accept={accept || undefined}
+                className="hidden"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  e.target.value = '';
+                  if (file) onReplace(photo, file);
+                }}
+              />
+              <button
+                onClick={() => replaceInput.current?.click()}
+                disabled={busy}
+                className="p-1 rounded text-gray-500 hover:text-primary-600 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                title="Replace file"
+              >
+                <RefreshCw className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => onDelete(photo)}
+                disabled={busy}
+                className="p-1 rounded text-gray-500 hover:text-red-600 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                title="Delete"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * AARPhotoManager - Photos of a submitted AAR by field, with captions and
+ * before/after pairs. The AAR's owner, admins and managers can add, reorder,
+ * caption, pair, replace and delete photos (see api.aarPhotos); the server
+ * checks each change against the field's required, multiple and accept settings.
+ */
+const AARPhotoManager = ({ aarId, schema, formData, photos, onPhotosChange, canEdit }) => {
+  useFileAccessToken();
+  const [busyPath, setBusyPath] = useState(null);
+  const addInputs = useRef({});
+
+  const sensors = useSensors(
+    useSensor(MouseSensor, { activationConstraint: { distance: 10 } }),
+    useSensor(TouchSensor, { activationConstraint: { delay: 250, tolerance: 5 } }),
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
+  );
+
+  const groups = useMemo(() => getPhotoGroups(schema, formData || {}, photos), [schema, formData, photos]);
+
+  // "Before Photos 2" etc., for pair pickers
+  const photoLabels = useMemo(
+    () =>
+      new Map(
+        groups.flatMap((group) =>
+          (photos[group.path] || []).map((photo, index) => [photo.id, `${group.label} ${index + 1}`])
+        )
+      ),
+    [groups, photos]
+  );
+
+  // Side of a pair a photo takes: its type when the two photos' types differ
+  // (beforePhotos, afterPhotos), otherwise the photo of the earlier field is "before"
+  const pairRole = (photo, other) => {
+    if (photo.type !== other.type) return photo.type;
+    const order = (p) => groups.findIndex((group) => group.path === p.field_id);
+    return order(photo) <= order(other) ? 'before' : 'after';
+  };
+  const allPhotos = Object.values(photos).flat();
+
+  const change = async (path, request, success) => {
+    setBusyPath(path);
+    try {
+      const response = await request();
+      onPhotosChange(response.data.data.photos);
+      if (success) toast.success(success);
+    } catch (error) {
+      console.error('Error updating AAR photos:', error);
+      toast.error(errorMessage(error, 'Failed to update photos'));
+    } finally {
+      setBusyPath(null);
+    }
+  };
+
+  // Upload first, then attach; an upload that is rejected is discarded
+  const withUploads = async (files, attach) => {
+    const sessionIds = [];
+    for (const file of files) sessionIds.push(await uploadFile(file));
+    try {
+      return await attach(sessionIds);
+    } catch (error) {
+      sessionIds.forEach((id) => api.uploads.sessions.abort(id).catch(() => {}));
+      throw error;
+    }
+  };
+
+  const checkFiles = (group, files) => {
+    const rejected = files.find((file) => !isAcceptedFile(group.field?.accept, { filename: file.name, type: file.type }));
+    if (rejected) {
+      toast.error(`${group.label} does not accept ${rejected.name}`);
+      return false;
+    }
+    return true;
+  };
+
+  const handleAdd = (group, files) => {
+    if (files.length === 0 || !checkFiles(group, files)) return;
+    change(
+      group.path,
+      () => withUploads(files, (uploads) => api.aarPhotos.add(aarId, group.path, uploads)),
+      files.length === 1 ? 'Photo added' : `${files.length} photos added`
+    );
+  };
+
+  const handleReplace = (group, photo, file) => {
+    if (!checkFiles(group, [file])) return;
+    change(
+      group.path,
+      () => withUploads([file], ([upload]) => api.aarPhotos.replace(aarId, photo.id, upload)),
+      'Photo replaced'
+    );
+  };
+
+  const handleDelete = (group, photo) => {
+    if (!window.confirm(`Delete ${photo.filename}? The file is removed permanently.`)) return;
+    change(group.path, () => api.aarPhotos.delete(aarId, photo.id), 'Photo deleted');
+  };
+
+  const handleDragEnd = (group, { active, over }) => {
+    const fieldPhotos = photos[group.path] || [];
+    if (!over || active.id === over.id) return;
+    const reordered = arrayMove(
+      fieldPhotos,
+      fieldPhotos.findIndex((photo) => photo.id === active.id),
+      fieldPhotos.findIndex((photo) => photo.id === over.id)
+    );
+    const previous = photos;
+    onPhotosChange({ ...photos, [group.path]: reordered });
+    setBusyPath(group.path);
+    api.aarPhotos
+      .reorder(
+        aarId,
+        group.path,
+        reordered.map((photo) => photo.id)
+      )
+      .then((response) => onPhotosChange(response.data.data.photos))
+      .catch((error) => {
+        console.error('Error reordering AAR photos:', error);
+        onPhotosChange(previous);
+        toast.error(errorMessage(error, 'Failed to reorder photos'));
+      })
+      .finally(() => setBusyPath(null));
+  };
+
+  // Editors see every file field (to add to empty ones), others only fields with photos
+  const visibleGroups = groups.filter((group) => (photos[group.path] || []).length > 0 || (canEdit && group.field));
+  if (visibleGroups.length === 0) return null;
+
+  return (
+    <div className="p-6 border-t border-gray-200 dark:border-gray-700 space-y-4">
+      <h3 className="flex items-center text-lg font-semibold text-gray-900 dark:text-white">
+        <Images className="w-5 h-5 mr-2" />
+        Photos & Files
+      </h3>
+
+      {visibleGroups.map((group) => {
+        const fieldPhotos = photos[group.path] || [];
+        const busy = busyPath !== null;
+        const canAdd = canEdit && group.field && (group.field.multiple || fieldPhotos.length === 0);
+
+        return (
+          <div key={group.path}>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+                {group.label}
+                <span className="ml-1 font-normal text-gray-500 dark:text-gray-400">({fieldPhotos.length})</span>
+                {busyPath === group.path && <Loader className="inline w-3 h-3 ml-2 animate-spin text-primary-600" />}
+              </h4>
+              {canAdd && (
+                <>
+                  <input
+                    ref={(input) => (addInputs.current[group.path] = input)}
+                    type="file"
+                    accept={group.field.accept || undefined}
+                    multiple={group.field.multiple || false}
+                    className="hidden"
+                    onChange={(e) => {
+                      const files = Array.from(e.target.files || []);
+                      e.target.value = '';
+                      handleAdd(group, files);
+                    }}
+                  />
+                  <button
+                    onClick={() => addInputs.current[group.path]?.click()}
+                    disabled={busy}
+                    className="flex items-center px-2 py-1 text-xs font-medium rounded-lg text-primary-600 dark:text-primary-400 hover:bg-primary-50 dark:hover:bg-primary-900/20 disabled:opacity-50"
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add
+                  </button>
+                </>
+              )}
+            </div>
+
+            {fieldPhotos.length === 0 ? (
+              <p className="text-xs text-gray-500 dark:text-gray-400">No files yet</p>
+            ) : (
+              <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={(event) => handleDragEnd(group, event)}>
+                <SortableContext items={fieldPhotos.map((photo) => photo.id)} strategy={rectSortingStrategy}>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {fieldPhotos.map((photo) => (
+                      <SortablePhoto
+                        key={photo.id}
+                        photo={photo}
+                        label={photoLabels.get(photo.id)}
+                        accept={group.field?.accept}
+                        pairLabel={photoLabels.get(photo.paired_photo_id)}
+                        pairOptions={allPhotos
+                          .filter((other) => other.field_id !== photo.field_id && other.mime_type?.startsWith('image/'))
+                          .map((other) => ({
+                            id: other.id,
+                            label: photoLabels.get(other.id) || other.filename,
+                            role: pairRole(photo, other),
+                          }))}
+                        canEdit={canEdit}
+                        busy={busy}
+                        onCaption={(target, caption) =>
+                          change(group.path, () => api.aarPhotos.setCaption(aarId, target.id, caption))
+                        }
+                        onPair={(target, pairedPhotoId, role) =>
+                          change(group.path, () => api.aarPhotos.setPair(aarId, target.id, pairedPhotoId, role))
+                        }
+                        onReplace={(target, file) => handleReplace(group, target, file)}
+                        onDelete={(target) => handleDelete(group, target)}
+                      />
+                    ))}
+                  </div>
+                </SortableContext>
+              </DndContext>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AARPhotoManager;
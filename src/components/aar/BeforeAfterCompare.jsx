@@ -0,0 +1,173 @@
+import { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { ChevronLeft, ChevronRight, Columns2, Loader, SquareSplitHorizontal } from 'lucide-react';
+import { useFileAccessToken } from '../../contexts/AuthContext';
+import { api } from '../../lib/api-client';
+import { getPhotoPairs } from '../../utils/photoPairs';
+
+const MODES = [
+  { value: 'slider', labelKey: 'aar.compareSlider', icon: SquareSplitHorizontal },
+  { value: 'side-by-side', labelKey: 'aar.compareSideBySide', icon: Columns2 },
+];
+
+/**
+ * BeforeAfterCompare - Before and after photos of an AAR, compared with a
+ * slider over the two images or side by side. Pairs come from explicit
+ * pairing or display order (see utils/photoPairs); several pairs are paged.
+ * @param {Array} pairs - From getPhotoPairs
+ * @param {boolean} [dark] - Light text for dark backgrounds (the chat lightbox)
+ */
+const BeforeAfterCompare = ({ pairs, dark = false }) => {
+  const { t } = useTranslation();
+  useFileAccessToken();
+  const [mode, setMode] = useState('slider');
+  const [index, setIndex] = useState(0);
+  const [position, setPosition] = useState(50); // Percent of the before photo shown
+
+  const current = Math.min(index, pairs.length - 1);
+  const pair = pairs[current];
+  if (!pair) return null;
+
+  const textClass = dark ? 'text-white' : 'text-gray-700 dark:text-gray-300';
+  const mutedClass = dark ? 'text-white/70' : 'text-gray-500 dark:text-gray-400';
+  const image = (photo, label, className = '') => (
+    <img
+      src={api.uploads.fileUrl(photo.r2_key, 'medium')}
+      alt={photo.caption || label}
+      width={photo.width || undefined}
+      height={photo.height || undefined}
+      draggable={false}
+      className={`w-full h-full object-contain ${className}`}
+    />
+  );
+  const caption = (photo) =>
+    photo.caption && <p className={`mt-1 text-xs ${mutedClass}`}>{photo.caption}</p>;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="inline-flex rounded-lg bg-gray-200/60 dark:bg-gray-700/60 p-0.5">
+          {MODES.map(({ value, labelKey, icon: Icon }) => (
+            <button
+              key={value}
+              onClick={() => setMode(value)}
+              aria-pressed={mode === value}
+              className={`flex items-center px-2 py-1 text-xs font-medium rounded-md transition-colors ${
+                mode === value
+                  ? 'bg-white dark:bg-gray-800 text-primary-600 dark:text-primary-400 shadow-sm'
+                  : textClass
+              }`}
+            >
+              <Icon className="w-4 h-4 mr-1" />
+              {t(labelKey)}
+            </button>
+          ))}
+        </div>
+
+        {pairs.length > 1 && (
+          <div className={`flex items-center text-xs ${textClass}`}>
+            <button
+              onClick={() => setIndex((current - 1 + pairs.length) % pairs.length)}
+              className="p-1 rounded hover:bg-gray-200/60 dark:hover:bg-gray-700/60"
+              aria-label="Previous pair"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span>{t('aar.comparePair', { current: current + 1, total: pairs.length })}</span>
+            <button
+              onClick={() => setIndex((current + 1) % pairs.length)}
+              className="p-1 rounded hover:bg-gray-200/60 dark:hover:bg-gray-700/60"
+              aria-label="Next pair"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {mode === 'slider' ? (
+        <div>
+          <div className="relative aspect-video bg-gray-900 rounded-lg overflow-hidden select-none">
+            {image(pair.after, t('aar.after'), 'absolute inset-0')}
+            <div className="absolute inset-0" style={{ clipPath: `inset(0 ${100 - position}% 0 0)` }}>
+              {image(pair.before, t('aar.before'))}
+            </div>
+            <div className="absolute inset-y-0 w-0.5 bg-white shadow pointer-events-none" style={{ left: `${position}%` }} />
+            <span className="absolute top-2 left-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs">
+              {t('aar.before')}
+            </span>
+            <span className="absolute top-2 right-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs">
+              {t('aar.after')}
+            </span>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={position}
+              onChange={(e) => setPosition(Number(e.target.value))}
+              aria-label={`${t('aar.before')} / ${t('aar.after')}`}
+              className="absolute inset-0 w-full h-full opacity-0 cursor-ew-resize"
+            />
+          </div>
+          {caption(pair.before)}
+          {caption(pair.after)}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[
+            { label: t('aar.before'), photo: pair.before },
+            { label: t('aar.after'), photo: pair.after },
+          ].map(({ label, photo }) => (
+            <div key={label}>
+              <h3 className={`text-sm font-medium mb-2 ${textClass}`}>{label}</h3>
+              <div className="aspect-video bg-gray-200 dark:bg-gray-700 rounded-lg overflow-hidden">
+                <a href={api.uploads.fileUrl(photo.r2_key)} target="_blank" rel="noopener noreferrer">
+                  {image(photo, label)}
+                </a>
+              </div>
+              {caption(photo)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Before/after comparison of an AAR loaded by ID (e.g. an AAR shared in chat)
+ */
+export const AARPhotoCompare = ({ aarId, dark = false }) => {
+  const [pairs, setPairs] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPairs(null);
+    setError(null);
+    api.aars
+      .get(aarId)
+      .then((response) => !cancelled && setPairs(getPhotoPairs(response.data.data.photos || {})))
+      .catch((err) => {
+        console.error('Error loading AAR photos:', err);
+        if (!cancelled) setError(err.response?.status === 404 ? 'AAR not found' : 'Failed to load photos');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [aarId]);
+
+  const messageClass = `text-sm text-center ${dark ? 'text-white/80' : 'text-gray-500 dark:text-gray-400'}`;
+  if (error) return <p className={messageClass}>{error}</p>;
+  if (!pairs) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader className="w-6 h-6 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+  if (pairs.length === 0) return <p className={messageClass}>This AAR has no before and after photos to compare</p>;
+  return <BeforeAfterCompare pairs={pairs} dark={dark} />;
+};
+
+export default BeforeAfterCompare;
@@ -0,0 +1,343 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { Reply, Pencil, Trash2, SmilePlus } from 'lucide-react';
+import { useAAR } from '../../contexts/AARContext';
+import { useAuth } from '../../contexts/AuthContext';
+import MentionTextarea from '../ui/MentionTextarea';
+import { parseMentions } from '../../utils/mentions';
+import { getRelativeTime, formatLocalTime } from '../../utils/timezone';
+
+// Must match ALLOWED_REACTIONS in backend/src/routes/comments.ts
+const REACTIONS = ['👍', '👎', '❤️', '🎉', '😂', '😮'];
+
+// Replies deeper than this are not indented further
+const MAX_INDENT_DEPTH = 4;
+
+const inputClassName =
+  'w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500';
+
+/**
+ * Render comment text with highlighted @mentions
+ */
+const CommentContent = ({ content }) => (
+  <p className="text-gray-700 dark:text-gray-300 whitespace-pre-line break-words">
+    {parseMentions(content).map((segment, index) =>
+      segment.type === 'mention' ? (
+        <span key={index} className="font-medium text-primary-600 dark:text-primary-400">
+          @{segment.value}
+        </span>
+      ) : (
+        <span key={index}>{segment.value}</span>
+      )
+    )}
+  </p>
+);
+
+/**
+ * Comment form used for new comments, replies and edits
+ */
+const CommentForm = ({ initialValue = '', submitLabel, onSubmit, onCancel, autoFocus, placeholder }) => {
+  const [value, setValue] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim() || submitting) return;
+    setSubmitting(true);
+    try {
+      await onSubmit(value.trim());
+      setValue('');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <MentionTextarea
+        value={value}
+        onChange={setValue}
+        placeholder={placeholder}
+        rows={3}
+        maxLength={5000}
+        autoFocus={autoFocus}
+        className={inputClassName}
+      />
+      <div className="mt-2 flex items-center gap-2">
+        <button
+          type="submit"
+          disabled={submitting || !value.trim()}
+          className="px-4 py-2 rounded-lg bg-primary-600 hover:bg-primary-700 text-white font-medium transition-colors disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Single comment with its replies (recursive)
+ */
+const CommentItem = ({ comment, depth, actions }) => {
+  const { currentUser } = useAuth();
+  const [mode, setMode] = useState(null); // 'reply' | 'edit' | null
+  const [showReactions, setShowReactions] = useState(false);
+
+  const isDeleted = !!comment.deleted_at;
+  const isAuthor = comment.user_id === currentUser?.id;
+  const canDelete = isAuthor || currentUser?.role === 'admin' || currentUser?.role === 'manager';
+
+  return (
+    <div className={depth > 0 && depth <= MAX_INDENT_DEPTH ? 'ml-4 md:ml-6 pl-3 border-l-2 border-gray-200 dark:border-gray-700' : ''}>
+      <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
+        {isDeleted ? (
+          <p className="text-sm italic text-gray-500 dark:text-gray-400">This comment was deleted.</p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between mb-2">
+              <span className="font-medium text-gray-900 dark:text-white">{comment.user_name}</span>
+              <span
+                className="text-xs text-gray-500 dark:text-gray-400"
+                title={formatLocalTime(comment.created_at)}
+              >
+                {getRelativeTime(comment.created_at)}
+                {comment.edited_at && (
+                  <span title={`Edited ${formatLocalTime(comment.edited_at)}`}> • edited</span>
+                )}
+              </span>
+            </div>
+
+            {mode === 'edit' ? (
+              <CommentForm
+                initialValue={comment.content}
+                submitLabel="Save"
+                autoFocus
+                onSubmit={async (content) => {
+                  await actions.edit(comment.id, content);
+                  setMode(null);
+                }}
+                onCancel={() => setMode(null)}
+              />
+            ) : (
+              <CommentContent content={comment.content} />
+            )}
+
+            {/* Reactions and actions */}
+            <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+              {comment.reactions.map((reaction) => (
+                <button
+                  key={reaction.emoji}
+                  onClick={() => actions.react(comment.id, reaction.emoji)}
+                  className={`px-2 py-0.5 rounded-full border transition-colors ${
+                    reaction.reacted
+                      ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300'
+                      : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  {reaction.emoji} {reaction.count}
+                </button>
+              ))}
+
+              <div className="relative">
+                <button
+                  onClick={() => setShowReactions(!showReactions)}
+                  className="p-1 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  title="Add reaction"
+                >
+                  <SmilePlus className="w-4 h-4" />
+                </button>
+                {showReactions && (
+                  <div className="absolute z-10 bottom-full mb-1 left-0 flex gap-1 p-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-full shadow-lg">
+                    {REACTIONS.map((emoji) => (
+                      <button
+                        key={emoji}
+                        onClick={() => {
+                          actions.react(comment.id, emoji);
+                          setShowReactions(false);
+                        }}
+                        className="w-8 h-8 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        {emoji}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <button
+                onClick={() => setMode(mode === 'reply' ? null : 'reply')}
+                className="flex items-center text-gray-500 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+              >
+                <Reply className="w-4 h-4 mr-1" />
+                Reply
+              </button>
+              {isAuthor && (
+                <button
+                  onClick={() => setMode(mode === 'edit' ? null : 'edit')}
+                  className="flex items-center text-gray-500 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                >
+                  <Pencil className="w-4 h-4 mr-1" />
+                  Edit
+                </button>
+              )}
+              {canDelete && (
+                <button
+                  onClick={() => actions.remove(comment.id)}
+                  className="flex items-center text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                >
+                  <Trash2 className="w-4 h-4 mr-1" />
+                  Delete
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {mode === 'reply' && (
+        <div className="mt-2 ml-4 md:ml-6">
+          <CommentForm
+            submitLabel="Reply"
+            placeholder={`Reply to ${comment.user_name}...`}
+            autoFocus
+            onSubmit={async (content) => {
+              await actions.reply(comment.id, content);
+              setMode(null);
+            }}
+            onCancel={() => setMode(null)}
+          />
+        </div>
+      )}
+
+      {comment.replies.length > 0 && (
+        <div className="mt-2 space-y-2">
+          {comment.replies.map((reply) => (
+            <CommentItem key={reply.id} comment={reply} depth={depth + 1} actions={actions} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * CommentThread - Threaded comments for an AAR
+ *
+ * Loads the flat comment list from the API and renders it as a tree with
+ * replies, edits, soft deletes, emoji reactions and @mentions.
+ *
+ * @param {string} aarId - AAR ID
+ * @param {Function} onCountChange - Called with +1/-1 when comments are added or removed
+ */
+const CommentThread = ({ aarId, onCountChange }) => {
+  const { t } = useTranslation();
+  const { getComments, addComment, editComment, deleteComment, toggleCommentReaction } = useAAR();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadComments = async () => {
+    try {
+      setComments(await getComments(aarId));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    loadComments();
+  }, [aarId]);
+
+  // Build the tree from parent_comment_id
+  const thread = useMemo(() => {
+    const byId = {};
+    for (const comment of comments) {
+      byId[comment.id] = { ...comment, replies: [] };
+    }
+    const roots = [];
+    for (const comment of comments) {
+      const node = byId[comment.id];
+      const parent = comment.parent_comment_id && byId[comment.parent_comment_id];
+      if (parent) {
+        parent.replies.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+    return roots;
+  }, [comments]);
+
+  const actions = {
+    reply: async (parentCommentId, content) => {
+      const created = await addComment(aarId, content, parentCommentId);
+      setComments((prev) => [...prev, created]);
+      onCountChange?.(1);
+    },
+    edit: async (commentId, content) => {
+      const updated = await editComment(aarId, commentId, content);
+      setComments((prev) => prev.map((c) => (c.id === commentId ? updated : c)));
+    },
+    remove: async (commentId) => {
+      if (!window.confirm('Delete this comment?')) return;
+      try {
+        await deleteComment(aarId, commentId);
+        onCountChange?.(-1);
+        // Reload so deleted comments become placeholders or disappear
+        await loadComments();
+      } catch (err) {
+        toast.error(err.message);
+      }
+    },
+    react: async (commentId, emoji) => {
+      try {
+        const reactions = await toggleCommentReaction(aarId, commentId, emoji);
+        setComments((prev) => prev.map((c) => (c.id === commentId ? { ...c, reactions } : c)));
+      } catch (err) {
+        toast.error(err.message);
+      }
+    },
+  };
+
+  return (
+    <div>
+      <div className="mb-6">
+        <CommentForm
+          submitLabel="Add Comment"
+          placeholder={t('aar.commentPlaceholder')}
+          onSubmit={(content) => actions.reply(null, content)}
+        />
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500 dark:text-gray-400 text-center py-4">{t('common.loading')}</p>
+      ) : thread.length > 0 ? (
+        <div className="space-y-4">
+          {thread.map((comment) => (
+            <CommentItem key={comment.id} comment={comment} depth={0} actions={actions} />
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-500 dark:text-gray-400 text-center py-4">
+          No comments yet. Be the first to comment!
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,279 @@
+import { Plus, Trash2, FolderPlus } from 'lucide-react';
+import HelpTooltip from '../ui/HelpTooltip';
+import SmartConditionValueInput from '../form/SmartConditionValueInput';
+import { normalizeConditionValue, NO_VALUE_OPERATORS } from '../../utils/ConditionValueHelpers';
+import { isConditionGroup } from '../../utils/conditionalFields';
+
+const NEW_CONDITION = { fieldId: '', operator: 'equals', value: '' };
+
+const selectClass =
+  'px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const OPERATOR_GROUPS = [
+  {
+    label: 'Equality',
+    operators: [
+      ['equals', 'Equals'],
+      ['notEquals', 'Not Equals'],
+    ],
+  },
+  {
+    label: 'Comparison',
+    operators: [
+      ['greaterThan', 'Greater Than'],
+      ['lessThan', 'Less Than'],
+      ['greaterThanOrEqual', 'Greater Than or Equal'],
+      ['lessThanOrEqual', 'Less Than or Equal'],
+    ],
+  },
+  {
+    label: 'Text',
+    operators: [
+      ['contains', 'Contains'],
+      ['startsWith', 'Starts With'],
+      ['endsWith', 'Ends With'],
+    ],
+  },
+  {
+    label: 'Arrays',
+    operators: [
+      ['oneOf', 'One Of'],
+      ['includes', 'Includes'],
+      ['includesAny', 'Includes Any'],
+      ['includesAll', 'Includes All'],
+    ],
+  },
+  {
+    label: 'Existence',
+    operators: [
+      ['isEmpty', 'Is Empty'],
+      ['isNotEmpty', 'Is Not Empty'],
+    ],
+  },
+];
+
+/**
+ * ConditionRow - One condition: referenced field, operator and value
+ */
+const ConditionRow = ({ condition, fields, showHelp, onChange, onRemove }) => {
+  const referencedField = fields.find((f) => f.id === condition.fieldId);
+
+  // Normalize the value for the operator and referenced field type
+  const update = (updates) => {
+    const updated = { ...condition, ...updates };
+    if (updates.value !== undefined && referencedField) {
+      updated.value = normalizeConditionValue(updated.operator, updates.value, referencedField.type);
+    }
+    onChange(updated);
+  };
+
+  return (
+    <div className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg space-y-2 border border-gray-200 dark:border-gray-700">
+      {/* Field Selection */}
+      <div>
+        <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+          <span>If this field:</span>
+          {showHelp && <HelpTooltip translationKey="customize.tooltips.conditional.fieldSelect" side="left" />}
+        </label>
+        <select
+          value={condition.fieldId}
+          onChange={(e) => update({ fieldId: e.target.value })}
+          className={`w-full text-sm ${selectClass}`}
+        >
+          <option value="" className="dark:bg-gray-700 dark:text-white">
+            Select field...
+          </option>
+          {fields.map((f) => (
+            <option key={f.id} value={f.id} className="dark:bg-gray-700 dark:text-white">
+              {f.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Operator and Value */}
+      <div>
+        <div className="flex items-center space-x-2 mb-1">
+          <label className="text-xs font-medium text-gray-700 dark:text-gray-300">Comparison:</label>
+          {showHelp && (
+            <HelpTooltip translationKey="customize.tooltips.conditional.comparison" side="left" maxWidth={400} />
+          )}
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <select
+            value={condition.operator}
+            onChange={(e) => update({ operator: e.target.value })}
+            className={`min-w-0 text-xs ${selectClass}`}
+          >
+            {OPERATOR_GROUPS.map((group) => (
+              <optgroup key={group.label} label={group.label} className="dark:bg-gray-700 dark:text-white">
+                {group.operators.map(([value, label]) => (
+                  <option key={value} value={value} className="dark:bg-gray-700 dark:text-white">
+                    {label}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+
+          {/* Value Input - Smart Adaptive */}
+          {!NO_VALUE_OPERATORS.includes(condition.operator) && (
+            <SmartConditionValueInput
+              referencedField={referencedField}
+              operator={condition.operator}
+              value={condition.value}
+              onChange={(newValue) => update({ value: newValue })}
+            />
+          )}
+        </div>
+      </div>
+
+      {/* Remove Condition */}
+      <button
+        onClick={onRemove}
+        className="w-full py-1.5 px-3 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors flex items-center justify-center space-x-2 text-xs"
+      >
+        <Trash2 className="w-3 h-3" />
+        <span>Remove Condition</span>
+      </button>
+    </div>
+  );
+};
+
+/**
+ * ConditionGroupEditor - Edit a group of conditions joined by AND/OR
+ * Groups can contain conditions and further groups, e.g.
+ * "(category = Boat AND material = Vinyl) OR damageType = Tear".
+ * The top-level group is the field's `conditional` block.
+ *
+ * @param {Object} group - { operator: 'AND' | 'OR', conditions: [...] }
+ * @param {Object[]} fields - Fields that conditions may reference
+ * @param {Function} onChange - Called with the updated group
+ * @param {Function} onRemove - Remove this group (nested groups only)
+ * @param {number} depth - Nesting depth (0 = top level)
+ * @param {string} label - Heading of the top-level group
+ */
+const ConditionGroupEditor = ({ group, fields, onChange, onRemove, depth = 0, label = 'Show field when:' }) => {
+  const isRoot = depth === 0;
+  const joinLabel = group.operator === 'OR' ? 'OR' : 'AND';
+
+  const setConditions = (conditions) => onChange({ ...group, conditions });
+
+  const updateNode = (index, node) => {
+    // A nested group whose last condition was removed is removed too
+    if (isConditionGroup(node) && node.conditions.length === 0) {
+      removeNode(index);
+      return;
+    }
+    setConditions(group.conditions.map((existing, i) => (i === index ? node : existing)));
+  };
+
+  const removeNode = (index) => setConditions(group.conditions.filter((_, i) => i !== index));
+
+  const addCondition = () => setConditions([...group.conditions, { ...NEW_CONDITION }]);
+
+  const addGroup = () =>
+    setConditions([
+      ...group.conditions,
+      { operator: group.operator === 'AND' ? 'OR' : 'AND', conditions: [{ ...NEW_CONDITION }] },
+    ]);
+
+  return (
+    <div
+      className={
+        isRoot
+          ? 'space-y-3'
+          : 'space-y-3 p-3 rounded-lg border-l-4 border-purple-300 dark:border-purple-700 bg-purple-50/50 dark:bg-purple-900/10'
+      }
+    >
+      {/* Combine Operator */}
+      <div className={isRoot ? '' : 'flex items-center gap-2'}>
+        <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+          <span>{isRoot ? label : 'Group matches when:'}</span>
+          {isRoot && (
+            <HelpTooltip translationKey="customize.tooltips.conditional.operator" side="left" maxWidth={400} />
+          )}
+        </label>
+        <select
+          value={group.operator || 'AND'}
+          onChange={(e) => onChange({ ...group, operator: e.target.value })}
+          className={`${isRoot ? 'w-full' : 'flex-1 min-w-0'} text-sm ${selectClass} dark:bg-gray-800`}
+        >
+          <option value="AND" className="dark:bg-gray-800 dark:text-white">
+            ALL conditions match (AND)
+          </option>
+          <option value="OR" className="dark:bg-gray-800 dark:text-white">
+            ANY condition matches (OR)
+          </option>
+        </select>
+        {!isRoot && (
+          <button
+            onClick={onRemove}
+            className="p-2 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+            aria-label="Remove group"
+            title="Remove group"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {/* Conditions List */}
+      <div className="space-y-2">
+        {group.conditions.map((node, index) => (
+          <div key={index}>
+            {index > 0 && (
+              <p className="text-center text-xs font-semibold text-purple-600 dark:text-purple-400 mb-2">
+                {joinLabel}
+              </p>
+            )}
+            {isConditionGroup(node) ? (
+              <ConditionGroupEditor
+                group={node}
+                fields={fields}
+                depth={depth + 1}
+                onChange={(updated) => updateNode(index, updated)}
+                onRemove={() => removeNode(index)}
+              />
+            ) : (
+              <ConditionRow
+                condition={node}
+                fields={fields}
+                showHelp={isRoot && index === 0}
+                onChange={(updated) => updateNode(index, updated)}
+                onRemove={() => removeNode(index)}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Add Condition / Group Buttons */}
+      <div>
+        {isRoot && (
+          <div className="flex items-center space-x-2 mb-2">
+            <HelpTooltip translationKey="customize.tooltips.conditional.addCondition" side="left" maxWidth={400} />
+          </div>
+        )}
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            onClick={addCondition}
+            className="py-2 px-3 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:border-primary-500 hover:text-primary-600 dark:hover:text-primary-400 transition-colors flex items-center justify-center space-x-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span className="text-sm font-medium">Add Condition</span>
+          </button>
+          <button
+            onClick={addGroup}
+            className="py-2 px-3 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:border-purple-500 hover:text-purple-600 dark:hover:text-purple-400 transition-colors flex items-center justify-center space-x-2"
+          >
+            <FolderPlus className="w-4 h-4" />
+            <span className="text-sm font-medium">Add Group</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConditionGroupEditor;
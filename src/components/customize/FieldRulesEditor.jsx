@@ -0,0 +1,284 @@
+import { Asterisk, ListFilter, Calculator, Plus, Trash2 } from 'lucide-react';
+import HelpTooltip from '../ui/HelpTooltip';
+import ConditionGroupEditor from './ConditionGroupEditor';
+import { useReferenceData } from '../../contexts/ReferenceDataContext';
+import {
+  COMPUTED_FIELD_TYPES,
+  OPTION_RULE_FIELD_TYPES,
+  getExpressionError,
+  getExpressionFieldIds,
+} from '../../utils/conditionalFields';
+
+const NEW_CONDITION = { fieldId: '', operator: 'equals', value: '' };
+
+// Values a calculated field can reference, per field type
+const REFERENCE_PARTS = {
+  number: [''],
+  rating: [''],
+  dualfield: ['value'],
+  multidualfield: ['value'],
+  triplefield: ['amount', 'value'],
+  multitriplefield: ['amount', 'value'],
+};
+
+const inputClass =
+  'w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white';
+
+/**
+ * Section header with icon, title, help tooltip and optional toggle
+ */
+const RuleHeader = ({ icon: Icon, title, tooltipKey, checked, onToggle }) => (
+  <div className="flex items-center justify-between mb-3">
+    <div className="flex items-center space-x-2">
+      <Icon className="w-4 h-4 text-purple-500" />
+      <h4 className="text-xs font-semibold text-gray-900 dark:text-white">{title}</h4>
+      <HelpTooltip translationKey={tooltipKey} side="left" iconColor="text-purple-400 dark:text-purple-500" />
+    </div>
+    {onToggle && (
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onToggle(e.target.checked)}
+        className="w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+      />
+    )}
+  </div>
+);
+
+/**
+ * FieldRulesEditor - Field rules beyond show/hide (see shared/form-rules)
+ * - Required when: conditions that make the field required
+ * - Option rules: narrow a select's options while conditions match
+ * - Calculated value: number computed from other fields
+ *
+ * @param {Object} field - Field being edited
+ * @param {Object[]} fields - All fields of the schema
+ * @param {Function} onChange - Called with the field updates
+ */
+const FieldRulesEditor = ({ field, fields, onChange }) => {
+  const { getFieldOptions } = useReferenceData();
+  const otherFields = fields.filter((f) => f.id !== field.id);
+  const supportsOptionRules = OPTION_RULE_FIELD_TYPES.includes(field.type);
+  const supportsComputed = COMPUTED_FIELD_TYPES.includes(field.type);
+
+  // Required when
+  const requiredWhen = field.requiredWhen || { enabled: false, operator: 'AND', conditions: [] };
+
+  const updateRequiredWhen = (group) =>
+    onChange({
+      requiredWhen: {
+        operator: group.operator,
+        conditions: group.conditions,
+        enabled: group.conditions.length > 0,
+      },
+    });
+
+  // Option rules
+  const optionRules = field.optionRules || [];
+  const fieldOptions = getFieldOptions(field).filter(Boolean); // Reference list or own options
+
+  const updateOptionRule = (index, updates) =>
+    onChange({
+      optionRules: optionRules.map((rule, i) => (i === index ? { ...rule, ...updates } : rule)),
+    });
+
+  const toggleRuleOption = (index, option) => {
+    const options = optionRules[index].options.includes(option)
+      ? optionRules[index].options.filter((o) => o !== option)
+      : fieldOptions.filter((o) => o === option || optionRules[index].options.includes(o));
+    updateOptionRule(index, { options });
+  };
+
+  // Calculated value
+  const expression = field.computed?.expression || '';
+  const expressionError = expression ? getExpressionError(expression) : null;
+  const unknownReferences = expressionError
+    ? []
+    : getExpressionFieldIds(expression).filter((id) => !otherFields.some((f) => f.id === id));
+  const references = otherFields.flatMap((f) =>
+    (REFERENCE_PARTS[f.type] || []).map((part) => ({
+      token: part ? `${f.id}.${part}` : f.id,
+      label: part ? `${f.label} (${part})` : f.label,
+    }))
+  );
+
+  const updateComputed = (updates) => onChange({ computed: { ...field.computed, ...updates } });
+
+  return (
+    <>
+      {/* Required When */}
+      <div className="border-t border-gray-200 dark:border-gray-700 pt-4 mt-4">
+        <RuleHeader
+          icon={Asterisk}
+          title="Required When"
+          tooltipKey="customize.tooltips.rules.requiredWhen"
+          checked={requiredWhen.enabled}
+          onToggle={(enabled) =>
+            onChange({
+              requiredWhen: {
+                enabled,
+                operator: 'AND',
+                conditions: enabled ? [{ ...NEW_CONDITION }] : [],
+              },
+            })
+          }
+        />
+        {requiredWhen.enabled && (
+          <div className="space-y-3">
+            <ConditionGroupEditor
+              label="Require field when:"
+              group={{ operator: requiredWhen.operator || 'AND', conditions: requiredWhen.conditions || [] }}
+              fields={otherFields}
+              onChange={updateRequiredWhen}
+            />
+            <p className="text-xs text-purple-600 dark:text-purple-400">
+              {field.required
+                ? '⚡ This field is always required; turn off "Required" to require it only when conditions are met'
+                : '⚡ This field will be required when conditions are met'}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Option Rules */}
+      {supportsOptionRules && (
+        <div className="border-t border-gray-200 dark:border-gray-700 pt-4 mt-4">
+          <RuleHeader icon={ListFilter} title="Option Rules" tooltipKey="customize.tooltips.rules.optionRules" />
+          <div className="space-y-3">
+            {optionRules.map((rule, index) => (
+              <div
+                key={index}
+                className="p-3 rounded-lg border border-gray-200 dark:border-gray-700 space-y-3"
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-semibold text-gray-700 dark:text-gray-300">Rule {index + 1}</span>
+                  <button
+                    onClick={() => onChange({ optionRules: optionRules.filter((_, i) => i !== index) })}
+                    className="p-1.5 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                    aria-label="Remove rule"
+                    title="Remove rule"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+                <ConditionGroupEditor
+                  label="Limit options when:"
+                  group={{ operator: rule.operator, conditions: rule.conditions }}
+                  fields={otherFields}
+                  onChange={(group) =>
+                    updateOptionRule(index, { operator: group.operator, conditions: group.conditions })
+                  }
+                />
+                <div>
+                  <p className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Allowed options:</p>
+                  <div className="flex flex-wrap gap-2">
+                    {fieldOptions.map((option) => (
+                      <label
+                        key={option}
+                        className="flex items-center space-x-1.5 px-2 py-1 rounded-lg bg-gray-100 dark:bg-gray-800 text-xs text-gray-700 dark:text-gray-300 cursor-pointer"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={rule.options.includes(option)}
+                          onChange={() => toggleRuleOption(index, option)}
+                          className="w-3.5 h-3.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        <span>{option}</span>
+                      </label>
+                    ))}
+                  </div>
+                  {rule.options.length === 0 && (
+                    <p className="text-xs text-red-500 mt-1">Select at least one option</p>
+                  )}
+                </div>
+              </div>
+            ))}
+            <button
+              onClick={() =>
+                onChange({
+                  optionRules: [...optionRules, { operator: 'AND', conditions: [{ ...NEW_CONDITION }], options: [] }],
+                })
+              }
+              className="w-full py-2 px-3 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:border-primary-500 hover:text-primary-600 dark:hover:text-primary-400 transition-colors flex items-center justify-center space-x-2"
+            >
+              <Plus className="w-4 h-4" />
+              <span className="text-sm font-medium">Add Option Rule</span>
+            </button>
+            {optionRules.length > 1 && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">The first rule whose conditions match applies.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Calculated Value */}
+      {supportsComputed && (
+        <div className="border-t border-gray-200 dark:border-gray-700 pt-4 mt-4">
+          <RuleHeader
+            icon={Calculator}
+            title="Calculated Value"
+            tooltipKey="customize.tooltips.rules.computed"
+            checked={Boolean(field.computed)}
+            onToggle={(enabled) => onChange({ computed: enabled ? { expression: '' } : undefined })}
+          />
+          {field.computed && (
+            <div className="space-y-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Expression</label>
+                <input
+                  type="text"
+                  value={expression}
+                  onChange={(e) => updateComputed({ expression: e.target.value })}
+                  placeholder="e.g., productsUsed.amount * unitPrice"
+                  className={`${inputClass} font-mono`}
+                />
+                {expressionError && (
+                  <p className="text-xs text-red-500 mt-1">{expressionError}</p>
+                )}
+                {unknownReferences.length > 0 && (
+                  <p className="text-xs text-red-500 mt-1">Unknown fields: {unknownReferences.join(', ')}</p>
+                )}
+              </div>
+
+              {references.length > 0 && (
+                <div>
+                  <p className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Insert a field:</p>
+                  <div className="flex flex-wrap gap-1.5">
+                    {references.map(({ token, label }) => (
+                      <button
+                        key={token}
+                        onClick={() => updateComputed({ expression: `${expression.trim()} ${token}`.trim() })}
+                        title={token}
+                        className="px-2 py-1 rounded-lg bg-purple-50 dark:bg-purple-900/20 text-xs text-purple-700 dark:text-purple-300 hover:bg-purple-100 dark:hover:bg-purple-900/40 transition-colors"
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Decimal places</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={6}
+                  value={field.computed.decimals ?? 2}
+                  onChange={(e) => updateComputed({ decimals: Math.min(6, Math.max(0, parseInt(e.target.value) || 0)) })}
+                  className={inputClass}
+                />
+              </div>
+
+              <p className="text-xs text-purple-600 dark:text-purple-400">
+                ⚡ Users cannot edit this field; it updates as they fill in the referenced fields
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default FieldRulesEditor;
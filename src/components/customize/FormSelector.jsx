@@ -0,0 +1,105 @@
+import { Plus, Copy, Archive, ArchiveRestore } from 'lucide-react';
+
+/**
+ * FormSelector - Pick which custom form is being edited and manage forms
+ * Each category can have one active form; the form without a category is
+ * the default used for everything else.
+ */
+const FormSelector = ({
+  forms,
+  currentForm,
+  categories,
+  disabled,
+  onSelect,
+  onDetailsChange,
+  onCreate,
+  onClone,
+  onArchive,
+  onRestore,
+}) => {
+  const selectClass =
+    'px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white disabled:opacity-50';
+  const buttonClass =
+    'px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-2 text-sm';
+
+  // Keep a category that was retired from the list selectable for this form
+  const categoryNames = categories.map((category) => category.name);
+  if (currentForm?.appliesToCategory && !categoryNames.includes(currentForm.appliesToCategory)) {
+    categoryNames.push(currentForm.appliesToCategory);
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-3">
+      <select
+        value={currentForm?.id || ''}
+        onChange={(e) => onSelect(e.target.value)}
+        disabled={disabled || forms.length === 0}
+        className={`${selectClass} min-w-[12rem]`}
+        aria-label="Form"
+      >
+        {forms.length === 0 && <option value="">No saved forms yet</option>}
+        {forms.map((form) => (
+          <option key={form.id} value={form.id} className="dark:bg-gray-800 dark:text-white">
+            {form.name} - {form.appliesToCategory || 'Default'} (v{form.version})
+            {!form.isActive ? ' (archived)' : ''}
+          </option>
+        ))}
+      </select>
+
+      {currentForm && (
+        <>
+          <input
+            type="text"
+            value={currentForm.name}
+            onChange={(e) => onDetailsChange({ name: e.target.value })}
+            disabled={disabled}
+            placeholder="Form name"
+            className={`${selectClass} w-48`}
+            aria-label="Form name"
+          />
+          <select
+            value={currentForm.appliesToCategory || ''}
+            onChange={(e) => onDetailsChange({ appliesToCategory: e.target.value || null })}
+            disabled={disabled}
+            className={selectClass}
+            aria-label="Used for category"
+          >
+            <option value="" className="dark:bg-gray-800 dark:text-white">Default (all other categories)</option>
+            {categoryNames.map((name) => (
+              <option key={name} value={name} className="dark:bg-gray-800 dark:text-white">
+                {name}
+              </option>
+            ))}
+          </select>
+        </>
+      )}
+
+      <button onClick={onCreate} disabled={disabled} className={buttonClass}>
+        <Plus className="w-4 h-4" />
+        <span>New Form</span>
+      </button>
+
+      {currentForm && (
+        <>
+          <button onClick={onClone} disabled={disabled} className={buttonClass}>
+            <Copy className="w-4 h-4" />
+            <span>Clone</span>
+          </button>
+          {currentForm.isActive ? (
+            <button onClick={onArchive} disabled={disabled} className={buttonClass}>
+              <Archive className="w-4 h-4" />
+              <span>Archive</span>
+            </button>
+          ) : (
+            <button onClick={onRestore} disabled={disabled} className={buttonClass}>
+              <ArchiveRestore className="w-4 h-4" />
+              <span>Restore</span>
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FormSelector;
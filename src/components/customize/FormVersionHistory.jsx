@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+import { X, History, RotateCcw } from 'lucide-react';
+import { api } from '../../lib/api-client';
+
+/**
+ * FormVersionHistory - Published versions of a form with their changelog
+ * Rolling back republishes an older schema as a new version; the history
+ * itself is never rewritten.
+ */
+const FormVersionHistory = ({ formId, currentVersion, disabled, onRollback, onClose }) => {
+  const [versions, setVersions] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadVersions = async () => {
+      try {
+        const response = await api.customForms.listVersions(formId);
+        setVersions(response.data.versions);
+      } catch (err) {
+        console.error('Error loading form versions:', err);
+        setError('Failed to load version history.');
+      }
+    };
+
+    loadVersions();
+  }, [formId, currentVersion]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-lg w-full max-h-[80vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center space-x-2">
+            <History className="w-5 h-5" />
+            <span>Version History</span>
+          </h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700">
+            <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6 overflow-y-auto">
+          {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+          {!error && versions === null && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Loading versions...</p>
+          )}
+          {versions && (
+            <ol className="space-y-3">
+              {versions.map((entry) => (
+                <li
+                  key={entry.version}
+                  className="flex items-start justify-between gap-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                      Version {entry.version}
+                      {entry.version === currentVersion && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300">
+                          Live
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-700 dark:text-gray-300 mt-1 break-words">
+                      {entry.changeNote || <span className="italic text-gray-500 dark:text-gray-400">No changelog</span>}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      {entry.createdByName || 'Unknown user'} - {new Date(entry.createdAt).toLocaleString()}
+                    </p>
+                  </div>
+                  {entry.version !== currentVersion && (
+                    <button
+                      onClick={() => onRollback(entry.version)}
+                      disabled={disabled}
+                      className="flex-shrink-0 px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-1"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      <span>Roll back</span>
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FormVersionHistory;
@@ -8,9 +8,11 @@ import {
   Trash2,
   Plus,
   Info,
+  Repeat,
 } from 'lucide-react';
 import SortableFieldItem from './SortableFieldItem';
 import HelpTooltip from '../ui/HelpTooltip';
+import { DEFAULT_MIN_ITEMS, isRepeatableSection } from '../../utils/conditionalFields';
 
 const SortableSectionItem = ({
   section,
@@ -75,9 +77,22 @@ const SortableSectionItem = ({
           onClick={onToggle}
           className="flex-1 flex items-center justify-between"
         >
-          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
-            {section.name}
-          </h3>
+          <div className="flex items-center space-x-2 min-w-0">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white truncate">
+              {section.name}
+            </h3>
+            {isRepeatableSection(section) && (
+              <span
+                className="flex items-center space-x-1 px-2 py-0.5 rounded-full bg-purple-100 dark:bg-purple-900/30 text-xs font-medium text-purple-700 dark:text-purple-300 flex-shrink-0"
+                title="Filled in once per entry"
+              >
+                <Repeat className="w-3 h-3" />
+                <span>
+                  Repeatable ({section.minItems ?? DEFAULT_MIN_ITEMS}–{section.maxItems ?? '∞'})
+                </span>
+              </span>
+            )}
+          </div>
           <div className="flex items-center space-x-2">
             <span className="text-sm text-gray-500 dark:text-gray-400">
               {fields.length} fields
@@ -0,0 +1,136 @@
+import { useEffect, useRef, useState } from 'react';
+import { ScanLine, X } from 'lucide-react';
+
+// Camera scanning needs the browser's BarcodeDetector (Chrome/Edge on Android, Safari 17+)
+const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+/**
+ * Camera view that reports the first barcode or QR code it sees
+ */
+const BarcodeScanner = ({ onDetected, onClose }) => {
+  const videoRef = useRef(null);
+  const onDetectedRef = useRef(onDetected); // Keep the camera running across parent re-renders
+  const [scanError, setScanError] = useState(null);
+
+  useEffect(() => {
+    onDetectedRef.current = onDetected;
+  }, [onDetected]);
+
+  useEffect(() => {
+    let stream;
+    let timer;
+    let cancelled = false;
+
+    const scan = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (cancelled) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector();
+        const detect = async () => {
+          if (cancelled) return;
+          const [code] = await detector.detect(videoRef.current).catch(() => []);
+          if (code?.rawValue) {
+            onDetectedRef.current(code.rawValue);
+          } else {
+            timer = setTimeout(detect, 300);
+          }
+        };
+        detect();
+      } catch (error) {
+        console.error('Barcode scanner error:', error);
+        if (!cancelled) setScanError('The camera could not be started. Type the code instead.');
+      }
+    };
+
+    scan();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-75">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-md w-full overflow-hidden">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Scan Code</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+            aria-label="Close scanner"
+          >
+            <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+          </button>
+        </div>
+        {scanError ? (
+          <p className="p-6 text-sm text-red-500">{scanError}</p>
+        ) : (
+          <div className="relative bg-black">
+            <video ref={videoRef} className="w-full aspect-video object-cover" muted playsInline />
+            <div className="absolute inset-x-8 top-1/2 h-0.5 bg-red-500/80" />
+          </div>
+        )}
+        <p className="p-4 text-xs text-gray-500 dark:text-gray-400">
+          Point the camera at a barcode or QR code.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * BarcodeField - Barcode/QR text entry for product SKUs
+ * Works with keyboard-wedge scanners (they type the code and press Enter)
+ * and, where the browser supports it, scanning with the device camera.
+ */
+const BarcodeField = ({ field, value, onChange, error }) => {
+  const [isScanning, setIsScanning] = useState(false);
+
+  const handleDetected = (code) => {
+    onChange(code);
+    setIsScanning(false);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        {field.label}
+        {field.required && <span className="text-red-500 ml-1">*</span>}
+      </label>
+
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && e.preventDefault()} // Scanners end with Enter
+          placeholder={field.placeholder || 'Scan or type a code'}
+          autoComplete="off"
+          className="flex-1 min-w-0 px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white font-mono"
+        />
+        {canScan && (
+          <button
+            type="button"
+            onClick={() => setIsScanning(true)}
+            className="p-3 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            aria-label="Scan with camera"
+            title="Scan with camera"
+          >
+            <ScanLine className="w-5 h-5" />
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+
+      {isScanning && <BarcodeScanner onDetected={handleDetected} onClose={() => setIsScanning(false)} />}
+    </div>
+  );
+};
+
+export default BarcodeField;
@@ -1,10 +1,19 @@
-import { Upload, X, Check } from 'lucide-react';
+import { useEffect, useMemo } from 'react';
+import { Upload, X, Check, Calculator } from 'lucide-react';
 import { useDropzone } from 'react-dropzone';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useReferenceData } from '../../contexts/ReferenceDataContext';
 import Select, { components } from 'react-select';
 import SmartSelect from './SmartSelect';
 import DualField from './DualField';
 import TripleField from './TripleField';
+import SignatureField from './SignatureField';
+import LocationField from './LocationField';
+import RatingField from './RatingField';
+import TimeTrackerField from './TimeTrackerField';
+import BarcodeField from './BarcodeField';
+import { computeFieldValue, getOptionRestriction, isFieldRequired } from '../../utils/conditionalFields';
+import { secondsToHours } from '../../utils/formValues';
 
 // Custom Option component with checkbox for multiselect
 const CheckboxOption = (props) => {
@@ -24,9 +33,63 @@ const CheckboxOption = (props) => {
   );
 };
 
-const DynamicField = ({ field, register, errors, watch, setValue, photos, setPhotos }) => {
-  const fieldValue = watch(field.id);
+// Error at a form path such as "damageAreas.0.damageType"
+const getError = (errors, name) => name.split('.').reduce((error, key) => error?.[key], errors);
+
+/**
+ * DynamicField - Renders one custom form field
+ * Field rules react live to `formValues` (all current values): the required
+ * marker follows requiredWhen, option rules narrow the options (clearing a
+ * value that is no longer allowed) and computed fields recalculate.
+ * `name` is the field's form path; fields of a repeatable section instance
+ * pass e.g. "damageAreas.0.damageType" (photos are keyed by the same path).
+ * `fields` (all fields of the form) lets a timer name the field it feeds.
+ */
+const DynamicField = ({
+  field,
+  name = field.id,
+  register,
+  errors,
+  watch,
+  setValue,
+  photos,
+  setPhotos,
+  formValues = {},
+  fields = [],
+}) => {
+  const fieldValue = watch(name);
+  const error = getError(errors, name);
   const { theme } = useTheme();
+  const { getFieldOptions } = useReferenceData();
+
+  // Field rules
+  const required = isFieldRequired(field, formValues);
+  const liveField = required === Boolean(field.required) ? field : { ...field, required };
+  // Same array while the allowed options stay the same (formValues change on every keystroke)
+  const allowedKey = JSON.stringify(getOptionRestriction(field, formValues) ?? null);
+  const allowedOptions = useMemo(() => JSON.parse(allowedKey), [allowedKey]);
+  const fieldOptions = allowedOptions
+    ? getFieldOptions(field).filter((option) => allowedOptions.includes(option))
+    : getFieldOptions(field);
+  const computedValue = field.computed ? computeFieldValue(field, formValues) ?? undefined : undefined;
+
+  // Keep computed values up to date
+  useEffect(() => {
+    if (field.computed && fieldValue !== computedValue) {
+      setValue(name, computedValue);
+    }
+  }, [name, field.computed, fieldValue, computedValue, setValue]);
+
+  // Drop selections an option rule no longer allows
+  useEffect(() => {
+    if (!allowedOptions || !fieldValue) return;
+    if (Array.isArray(fieldValue)) {
+      const kept = fieldValue.filter((option) => allowedOptions.includes(option));
+      if (kept.length !== fieldValue.length) setValue(name, kept);
+    } else if (!allowedOptions.includes(fieldValue)) {
+      setValue(name, '');
+    }
+  }, [name, allowedOptions, fieldValue, setValue]);
 
   // File upload handler
   const onDrop = (acceptedFiles) => {
@@ -35,10 +98,10 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
         preview: URL.createObjectURL(file),
       })
     );
-    const currentPhotos = photos[field.id] || [];
+    const currentPhotos = photos[name] || [];
     setPhotos({
       ...photos,
-      [field.id]: field.multiple ? [...currentPhotos, ...newPhotos] : newPhotos,
+      [name]: field.multiple ? [...currentPhotos, ...newPhotos] : newPhotos,
     });
   };
 
@@ -52,7 +115,7 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
   const removePhoto = (index) => {
     setPhotos({
       ...photos,
-      [field.id]: (photos[field.id] || []).filter((_, i) => i !== index),
+      [name]: (photos[name] || []).filter((_, i) => i !== index),
     });
   };
 
@@ -63,33 +126,52 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             {field.label}
-            {field.required && <span className="text-red-500 ml-1">*</span>}
+            {required && <span className="text-red-500 ml-1">*</span>}
           </label>
           <input
             type="text"
-            {...register(field.id, {
+            {...register(name, {
               required: field.required ? `${field.label} is required` : false,
             })}
             placeholder={field.placeholder}
             className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
           />
-          {errors[field.id] && (
-            <p className="text-red-500 text-sm mt-1">{errors[field.id].message}</p>
-          )}
+    X
         </div>
       );
 
     case 'number':
+      if (field.computed) {
+        return (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              {field.label}
+            </label>
+            <div className="flex items-center space-x-2 w-full px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-white">
+              <Calculator className="w-4 h-4 text-gray-400 flex-shrink-0" />
+              <span>{computedValue ?? '—'}</span>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {computedValue === undefined
+                ? 'Calculated automatically once the fields it uses are filled in'
+                : 'Calculated automatically'}
+            </p>
+            {error && (
+              <p className="text-red-500 text-sm mt-1">{error.message}</p>
+            )}
+          </div>
+        );
+      }
       return (
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             {field.label}
-            {field.required && <span className="text-red-500 ml-1">*</span>}
+            {required && <span className="text-red-500 ml-1">*</span>}
           </label>
           <input
             type="number"
             step="0.01"
-            {...register(field.id, {
+            {...register(name, {
               required: field.required ? `${field.label} is required` : false,
               valueAsNumber: true,
               min: field.validation?.min
@@ -102,9 +184,7 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
             placeholder={field.placeholder}
             className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
           />
-          {errors[field.id] && (
-            <p className="text-red-500 text-sm mt-1">{errors[field.id].message}</p>
-          )}
+    X
         </div>
       );
 
@@ -113,11 +193,11 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             {field.label}
-            {field.required && <span className="text-red-500 ml-1">*</span>}
+            {required && <span className="text-red-500 ml-1">*</span>}
           </label>
           <textarea
             rows={4}
-            {...register(field.id, {
+            {...register(name, {
               required: field.required ? `${field.label} is required` : false,
               minLength: field.validation?.minLength
                 ? {
@@ -129,9 +209,7 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
             placeholder={field.placeholder}
             className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
           />
-          {errors[field.id] && (
-            <p className="text-red-500 text-sm mt-1">{errors[field.id].message}</p>
-          )}
+    X
         </div>
       );
 
@@ -140,30 +218,28 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             {field.label}
-            {field.required && <span className="text-red-500 ml-1">*</span>}
+            {required && <span className="text-red-500 ml-1">*</span>}
           </label>
           <select
-            {...register(field.id, {
+            {...register(name, {
               required: field.required ? `${field.label} is required` : false,
             })}
             className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
           >
             <option value="" className="dark:bg-gray-700 dark:text-white">{field.placeholder || `Select ${field.label}`}</option>
-            {field.options?.map((option) => (
+            {fieldOptions.map((option) => (
               <option key={option} value={option} className="dark:bg-gray-700 dark:text-white">
                 {option}
               </option>
             ))}
           </select>
-          {errors[field.id] && (
-            <p className="text-red-500 text-sm mt-1">{errors[field.id].message}</p>
-          )}
+    X
         </div>
       );
 
     case 'multiselect': {
       // Convert options to react-select format
-      const options = (field.options || []).map((opt) => ({ value: opt, label: opt }));
+      const options = fieldOptions.map((opt) => ({ value: opt, label: opt }));
       const selectValue = (fieldValue || []).map((v) => ({ value: v, label: v }));
 
       // Custom styles for dark mode with mobile-optimized touch targets
@@ -239,13 +315,13 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             {field.label}
-            {field.required && <span className="text-red-500 ml-1">*</span>}
+            {required && <span className="text-red-500 ml-1">*</span>}
           </label>
           <Select
             isMulti
             options={options}
             value={selectValue}
-            onChange={(selected) => setValue(field.id, (selected || []).map((s) => s.value))}
+            onChange={(selected) => setValue(name, (selected || []).map((s) => s.value))}
             placeholder={field.placeholder || `Select ${field.label}`}
             closeMenuOnSelect={false}
             hideSelectedOptions={false}
@@ -257,9 +333,7 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
           <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
             Click options to select/deselect. Dropdown stays open.
           </p>
-          {errors[field.id] && (
-            <p className="text-red-500 text-sm mt-1">{errors[field.id].message}</p>
-          )}
+    X
         </div>
       );
     }
@@ -268,10 +342,10 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
     case 'smartmultiselect':
       return (
         <SmartSelect
-          field={field}
+          field={liveField}
           value={fieldValue}
-          onChange={(newValue) => setValue(field.id, newValue)}
-          error={errors[field.id]?.message}
+          onChange={(newValue) => setValue(name, newValue)}
+          error={error?.message}
         />
       );
 
@@ -279,10 +353,10 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
     case 'multidualfield':
       return (
         <DualField
-          field={field}
+          field={liveField}
           value={fieldValue}
-          onChange={(newValue) => setValue(field.id, newValue)}
-          error={errors[field.id]?.message}
+          onChange={(newValue) => setValue(name, newValue)}
+          error={error?.message}
         />
       );
 
@@ -290,10 +364,68 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
     case 'multitriplefield':
       return (
         <TripleField
-          field={field}
+          field={liveField}
+          value={fieldValue}
+          onChange={(newValue) => setValue(name, newValue)}
+          error={error?.message}
+        />
+      );
+
+    case 'signature':
+      return (
+        <SignatureField
+          field={liveField}
+          files={photos[name]}
+          onChange={(files) => setPhotos({ ...photos, [name]: files })}
+          error={error?.message}
+        />
+      );
+
+    case 'location':
+      return (
+        <LocationField
+          field={liveField}
           value={fieldValue}
-          onChange={(newValue) => setValue(field.id, newValue)}
-          error={errors[field.id]?.message}
+          onChange={(newValue) => setValue(name, newValue)}
+          error={error?.message}
+        />
+      );
+
+    case 'rating':
+      return (
+        <RatingField
+          field={liveField}
+          value={fieldValue}
+          onChange={(newValue) => setValue(name, newValue)}
+          error={error?.message}
+        />
+      );
+
+    case 'timer': {
+      // The fed field sits next to the timer (in the same instance inside a repeatable section)
+      const fedField = fields.find((f) => f.id === field.feedsFieldId);
+      const fedName = field.feedsFieldId && name.replace(/[^.]+$/, field.feedsFieldId);
+      return (
+        <TimeTrackerField
+          field={liveField}
+          value={fieldValue}
+          onChange={(seconds) => {
+            setValue(name, seconds);
+            if (fedName) setValue(fedName, seconds === undefined ? undefined : secondsToHours(seconds));
+          }}
+          error={error?.message}
+          feedsLabel={fedField?.label}
+        />
+      );
+    }
+
+    case 'barcode':
+      return (
+        <BarcodeField
+          field={liveField}
+          value={fieldValue}
+          onChange={(newValue) => setValue(name, newValue)}
+          error={error?.message}
         />
       );
 
@@ -302,20 +434,18 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             {field.label}
-            {field.required && <span className="text-red-500 ml-1">*</span>}
+            {required && <span className="text-red-500 ml-1">*</span>}
           </label>
           <input
             type="date"
-            {...register(field.id, {
+            {...register(name, {
               required: field.required ? `${field.label} is required` : false,
             })}
             min={field.validation?.minDate}
             max={field.validation?.maxDate}
             className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
           />
-          {errors[field.id] && (
-            <p className="text-red-500 text-sm mt-1">{errors[field.id].message}</p>
-          )}
+    X
         </div>
       );
 
@@ -324,7 +454,7 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             {field.label}
-            {field.required && <span className="text-red-500 ml-1">*</span>}
+            {required && <span className="text-red-500 ml-1">*</span>}
           </label>
           <div
             {...getRootProps()}
@@ -341,9 +471,9 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
               </p>
             )}
           </div>
-          {(photos[field.id] || []).length > 0 && (
+          {(photos[name] || []).length > 0 && (
             <div className="grid grid-cols-3 gap-2 mt-2">
-              {(photos[field.id] || []).map((photo, index) => (
+              {(photos[name] || []).map((photo, index) => (
                 <div key={index} className="relative">
                   <img
                     src={photo.preview}
@@ -361,9 +491,7 @@ const DynamicField = ({ field, register, errors, watch, setValue, photos, setPho
               ))}
             </div>
           )}
-          {errors[field.id] && (
-            <p className="text-red-500 text-sm mt-1">{errors[field.id].message}</p>
-          )}
+    X
         </div>
       );
 
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { MapPin, Loader2, X } from 'lucide-react';
+import { formatLocation, getMapUrl } from '../../utils/formValues';
+
+// Geolocation error codes -> messages
+const GEOLOCATION_ERRORS = {
+  1: 'Location permission was denied. Allow location access in your browser settings.',
+  2: 'Your location could not be determined. Try again outside or near a window.',
+  3: 'Getting your location took too long. Please try again.',
+};
+
+/**
+ * LocationField - Captures the device's GPS position
+ * Value is { latitude, longitude, accuracy, capturedAt } (see shared/field-types)
+ */
+const LocationField = ({ field, value, onChange, error }) => {
+  const [isLocating, setIsLocating] = useState(false);
+  const [locateError, setLocateError] = useState(null);
+
+  const captureLocation = () => {
+    if (!navigator.geolocation) {
+      setLocateError('This device does not support location capture.');
+      return;
+    }
+
+    setIsLocating(true);
+    setLocateError(null);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        onChange({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: Math.round(position.coords.accuracy),
+          capturedAt: new Date(position.timestamp).toISOString(),
+        });
+        setIsLocating(false);
+      },
+      (geolocationError) => {
+        setLocateError(GEOLOCATION_ERRORS[geolocationError.code] || 'Could not get your location.');
+        setIsLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        {field.label}
+        {field.required && <span className="text-red-500 ml-1">*</span>}
+      </label>
+
+      {value ? (
+        <div className="flex items-center justify-between px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700">
+          <a
+            href={getMapUrl(value)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center space-x-2 text-sm text-primary-600 dark:text-primary-400 hover:underline min-w-0"
+          >
+            <MapPin className="w-4 h-4 flex-shrink-0" />
+            <span className="truncate">{formatLocation(value)}</span>
+          </a>
+          <button
+            type="button"
+            onClick={() => onChange(undefined)}
+            className="p-1 rounded-lg text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-600"
+            aria-label="Clear location"
+            title="Clear location"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={captureLocation}
+          disabled={isLocating}
+          className="w-full flex items-center justify-center space-x-2 px-4 py-3 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:border-primary-500 hover:text-primary-600 dark:hover:text-primary-400 transition-colors disabled:opacity-50"
+        >
+          {isLocating ? <Loader2 className="w-4 h-4 animate-spin" /> : <MapPin className="w-4 h-4" />}
+          <span className="text-sm font-medium">{isLocating ? 'Getting location...' : 'Capture Current Location'}</span>
+        </button>
+      )}
+
+      {locateError && <p className="text-amber-600 dark:text-amber-400 text-sm mt-1">{locateError}</p>}
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default LocationField;
@@ -0,0 +1,49 @@
+import { Star } from 'lucide-react';
+import { getMaxRating } from '../../utils/formValues';
+
+/**
+ * RatingField - Star rating from 1 to field.maxRating (default 5)
+ * Value is the number of stars; clicking the current rating clears it.
+ */
+const RatingField = ({ field, value, onChange, error }) => {
+  const maxRating = getMaxRating(field);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        {field.label}
+        {field.required && <span className="text-red-500 ml-1">*</span>}
+      </label>
+
+      <div className="flex items-center space-x-1">
+        {Array.from({ length: maxRating }, (_, i) => i + 1).map((stars) => (
+          <button
+            key={stars}
+            type="button"
+            onClick={() => onChange(stars === value ? undefined : stars)}
+            className="p-1 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            aria-label={`${stars} of ${maxRating}`}
+            title={`${stars} of ${maxRating}`}
+          >
+            <Star
+              className={`w-7 h-7 ${
+                stars <= (value || 0)
+                  ? 'text-yellow-400 fill-yellow-400'
+                  : 'text-gray-300 dark:text-gray-600'
+              }`}
+            />
+          </button>
+        ))}
+        {value ? (
+          <span className="ml-2 text-sm text-gray-600 dark:text-gray-400">
+            {value}/{maxRating}
+          </span>
+        ) : null}
+      </div>
+
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default RatingField;
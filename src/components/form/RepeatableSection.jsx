@@ -0,0 +1,123 @@
+import { useEffect } from 'react';
+import { useFieldArray } from 'react-hook-form';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  DEFAULT_MIN_ITEMS,
+  getInstancePath,
+  getInstanceScope,
+  getItemLabel,
+  shouldShowField,
+} from '../../utils/conditionalFields';
+
+/**
+ * RepeatableSection - Renders a repeatable form section once per instance
+ * Instances are stored as an array under the section ID (see
+ * shared/repeatable-sections). Each instance's fields see its own values on
+ * top of the rest of the form, for conditional logic and field rules.
+ *
+ * @param {Object} section - Section definition (repeatable, itemLabel, minItems, maxItems)
+ * @param {Object[]} fields - The section's fields, sorted
+ * @param {Object} control - react-hook-form control
+ * @param {Function} getValues - react-hook-form getValues
+ * @param {Object} errors - react-hook-form errors
+ * @param {Object} formValues - All current form values
+ * @param {Object} photos - Photos keyed by field path
+ * @param {Function} setPhotos - Photos setter
+ * @param {Function} renderFields - Renders fields as (fields, nameFor, scope)
+ */
+const RepeatableSection = ({
+  section,
+  fields,
+  control,
+  getValues,
+  errors,
+  formValues,
+  photos,
+  setPhotos,
+  renderFields,
+}) => {
+  const { fields: instances, append, remove, replace } = useFieldArray({ control, name: section.id });
+  const minItems = section.minItems ?? DEFAULT_MIN_ITEMS;
+  const canAdd = section.maxItems === undefined || instances.length < section.maxItems;
+  const canRemove = instances.length > minItems;
+  const sectionError = errors[section.id]?.message || errors[section.id]?.root?.message;
+
+  // Start with the minimum number of instances
+  useEffect(() => {
+    const items = getValues(section.id) || [];
+    if (items.length < minItems) {
+      replace([...items, ...Array.from({ length: minItems - items.length }, () => ({}))]);
+    }
+  }, [section.id, minItems, getValues, replace]);
+
+  // Photos are keyed by instance path, so later instances move up one index
+  const removeInstance = (index) => {
+    const prefix = `${section.id}.`;
+    const reindexed = {};
+    Object.entries(photos).forEach(([path, files]) => {
+      if (!path.startsWith(prefix)) {
+        reindexed[path] = files;
+        return;
+      }
+      const [itemIndex, ...rest] = path.slice(prefix.length).split('.');
+      const i = Number(itemIndex);
+      if (i < index) reindexed[path] = files;
+      if (i > index) reindexed[getInstancePath(section.id, i - 1, rest.join('.'))] = files;
+    });
+    setPhotos(reindexed);
+    remove(index);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm space-y-3">
+      <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white">
+        {section.name}
+      </h2>
+
+      {instances.map((instance, index) => {
+        const scope = getInstanceScope(formValues, formValues[section.id]?.[index]);
+        const visibleFields = fields.filter((field) => shouldShowField(field, scope));
+
+        return (
+          <div
+            key={instance.id}
+            className="rounded-lg border border-gray-200 dark:border-gray-700 p-3 md:p-4 space-y-3"
+          >
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+                {getItemLabel(section, index)}
+              </h3>
+              {canRemove && (
+                <button
+                  type="button"
+                  onClick={() => removeInstance(index)}
+                  className="p-1.5 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                  aria-label={`Remove ${getItemLabel(section, index)}`}
+                  title={`Remove ${getItemLabel(section, index)}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+            {renderFields(visibleFields, (field) => getInstancePath(section.id, index, field.id), scope)}
+          </div>
+        );
+      })}
+
+      {canAdd && (
+        <button
+          type="button"
+          onClick={() => append({})}
+          className="w-full py-2 px-3 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:border-primary-500 hover:text-primary-600 dark:hover:text-primary-400 transition-colors flex items-center justify-center space-x-2"
+        >
+          <Plus className="w-4 h-4" />
+          <span className="text-sm font-medium">Add {section.itemLabel || section.name}</span>
+        </button>
+      )}
+
+      {sectionError && <p className="text-red-500 text-sm">{sectionError}</p>}
+    </div>
+  );
+};
+
+export default RepeatableSection;
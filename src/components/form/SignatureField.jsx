@@ -0,0 +1,147 @@
+import { useEffect, useRef, useState } from 'react';
+import { Eraser, PenLine } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+
+/**
+ * SignatureField - Signature pad for customer sign-off
+ * The signature is submitted as a PNG upload (like a file field), so it is
+ * stored in R2 with the AAR's photos. `files` holds the current signature
+ * image ([] when unsigned).
+ */
+const SignatureField = ({ field, files, onChange, error }) => {
+  const { theme } = useTheme();
+  const canvasRef = useRef(null);
+  const lastPoint = useRef(null);
+  const [hasStrokes, setHasStrokes] = useState(false);
+  const signature = files?.[0];
+
+  // Match the canvas resolution to its displayed size (sharp lines on high-DPI screens)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = canvas.offsetHeight * ratio;
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#111827'; // Stored image is dark ink on white, whatever the theme
+  }, [signature]);
+
+  const getPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const startStroke = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    lastPoint.current = getPoint(e);
+  };
+
+  const continueStroke = (e) => {
+    if (!lastPoint.current) return;
+    const point = getPoint(e);
+    const context = canvasRef.current.getContext('2d');
+    context.beginPath();
+    context.moveTo(lastPoint.current.x, lastPoint.current.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+    lastPoint.current = point;
+    setHasStrokes(true);
+  };
+
+  const endStroke = () => {
+    lastPoint.current = null;
+  };
+
+  const clearPad = () => {
+    const canvas = canvasRef.current;
+    canvas?.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHasStrokes(false);
+  };
+
+  // Save the drawing as a PNG with a white background
+  const saveSignature = () => {
+    const canvas = canvasRef.current;
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height;
+    const context = output.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, output.width, output.height);
+    context.drawImage(canvas, 0, 0);
+
+    output.toBlob((blob) => {
+      const file = new File([blob], `${field.id}-signature.png`, { type: 'image/png' });
+      onChange([Object.assign(file, { preview: URL.createObjectURL(file) })]);
+      setHasStrokes(false);
+    }, 'image/png');
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        {field.label}
+        {field.required && <span className="text-red-500 ml-1">*</span>}
+      </label>
+
+      {signature ? (
+        <div className="rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden">
+          <img src={signature.preview} alt={field.label} className="w-full h-40 object-contain bg-white" />
+          <div className="flex justify-end p-2 bg-gray-50 dark:bg-gray-800">
+            <button
+              type="button"
+              onClick={() => onChange([])}
+              className="flex items-center space-x-1 px-3 py-1.5 rounded-lg text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            >
+              <PenLine className="w-4 h-4" />
+              <span>Sign Again</span>
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 overflow-hidden">
+          <canvas
+            ref={canvasRef}
+            onPointerDown={startStroke}
+            onPointerMove={continueStroke}
+            onPointerUp={endStroke}
+            onPointerCancel={endStroke}
+            className={`w-full h-40 touch-none cursor-crosshair ${theme === 'dark' ? 'bg-gray-100' : 'bg-white'}`}
+          />
+          <div className="flex items-center justify-between p-2 bg-gray-50 dark:bg-gray-800">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {field.placeholder || 'Sign above with your finger or mouse'}
+            </p>
+            <div className="flex items-center space-x-2">
+              <button
+                type="button"
+                onClick={clearPad}
+                disabled={!hasStrokes}
+                className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30 transition-colors"
+                aria-label="Clear signature"
+                title="Clear signature"
+              >
+                <Eraser className="w-4 h-4" />
+              </button>
+              <button
+                type="button"
+                onClick={saveSignature}
+                disabled={!hasStrokes}
+                className="px-3 py-1.5 rounded-lg bg-primary-600 hover:bg-primary-700 text-white text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                Accept Signature
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default SignatureField;
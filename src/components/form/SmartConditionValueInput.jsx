@@ -1,6 +1,8 @@
 import { useTheme } from '../../contexts/ThemeContext';
+import { useReferenceData } from '../../contexts/ReferenceDataContext';
 import Select from 'react-select';
 import CreatableSelect from 'react-select/creatable';
+import { ARRAY_OPERATORS, NO_VALUE_OPERATORS } from '../../utils/ConditionValueHelpers';
 
 /**
  * SmartConditionValueInput - Adaptive input for conditional logic value entry
@@ -11,6 +13,9 @@ import CreatableSelect from 'react-select/creatable';
  * - Number fields → Number input
  * - Smart fields → Creatable dropdown
  * - Text fields → Text input (default)
+ *
+ * Inputs fill and shrink to their grid cell so the value column stays usable
+ * inside nested condition groups.
  */
 const SmartConditionValueInput = ({
   referencedField,
@@ -19,12 +24,8 @@ const SmartConditionValueInput = ({
   onChange,
 }) => {
   const { theme } = useTheme();
-
-  // Operators that don't need value input
-  const noValueOperators = ['isEmpty', 'isNotEmpty'];
-
-  // Operators that require array values
-  const arrayOperators = ['oneOf', 'includesAny', 'includesAll'];
+  const { getFieldOptions } = useReferenceData();
+  const fieldOptions = getFieldOptions(referencedField);
 
   // If no field selected yet, show basic text input
   if (!referencedField) {
@@ -34,13 +35,13 @@ const SmartConditionValueInput = ({
         value={value || ''}
         onChange={(e) => onChange(e.target.value)}
         placeholder="Value"
-        className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
+        className="w-full min-w-0 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
       />
     );
   }
 
   // Determine if we need multi-select based on operator
-  const isArrayOperator = arrayOperators.includes(operator);
+  const isArrayOperator = ARRAY_OPERATORS.includes(operator);
 
   // Compact custom styles for condition builder (smaller than regular forms)
   const getCompactCustomStyles = (includeMultiValue = false) => ({
@@ -122,12 +123,12 @@ const SmartConditionValueInput = ({
       <select
         value={value || ''}
         onChange={(e) => onChange(e.target.value)}
-        className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
+        className="w-full min-w-0 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
       >
         <option value="" className="dark:bg-gray-700 dark:text-white">
           Select value...
         </option>
-        {(referencedField.options || []).map((opt) => (
+        {fieldOptions.map((opt) => (
           <option key={opt} value={opt} className="dark:bg-gray-700 dark:text-white">
             {opt}
           </option>
@@ -138,7 +139,7 @@ const SmartConditionValueInput = ({
 
   // Render select field with array operator as multi-select
   if ((referencedField.type === 'select' || referencedField.type === 'multiselect') && isArrayOperator) {
-    const options = (referencedField.options || []).map((opt) => ({
+    const options = fieldOptions.map((opt) => ({
       value: opt,
       label: opt,
     }));
@@ -156,7 +157,7 @@ const SmartConditionValueInput = ({
         onChange={(selected) => onChange((selected || []).filter(s => s && s.value !== undefined).map((s) => s.value))}
         placeholder="Select values..."
         styles={getCompactCustomStyles(true)}
-        className="react-select-container"
+        className="react-select-container min-w-0"
         classNamePrefix="react-select"
       />
     );
@@ -164,7 +165,7 @@ const SmartConditionValueInput = ({
 
   // Render multiselect as multi-select
   if (referencedField.type === 'multiselect') {
-    const options = (referencedField.options || []).map((opt) => ({
+    const options = fieldOptions.map((opt) => ({
       value: opt,
       label: opt,
     }));
@@ -182,7 +183,7 @@ const SmartConditionValueInput = ({
         onChange={(selected) => onChange((selected || []).filter(s => s && s.value !== undefined).map((s) => s.value))}
         placeholder="Select values..."
         styles={getCompactCustomStyles(true)}
-        className="react-select-container"
+        className="react-select-container min-w-0"
         classNamePrefix="react-select"
       />
     );
@@ -190,7 +191,7 @@ const SmartConditionValueInput = ({
 
   // Render smart select fields as creatable dropdown
   if (referencedField.type === 'smartselect' && !isArrayOperator) {
-    const options = (referencedField.options || []).map((opt) => ({
+    const options = fieldOptions.map((opt) => ({
       value: opt,
       label: opt,
     }));
@@ -206,7 +207,7 @@ const SmartConditionValueInput = ({
         placeholder="Select or create..."
         formatCreateLabel={(inputValue) => `Create "${inputValue}"`}
         styles={getCompactCustomStyles(false)}
-        className="react-select-container"
+        className="react-select-container min-w-0"
         classNamePrefix="react-select"
       />
     );
@@ -217,7 +218,7 @@ const SmartConditionValueInput = ({
     referencedField.type === 'smartmultiselect' ||
     (referencedField.type === 'smartselect' && isArrayOperator)
   ) {
-    const options = (referencedField.options || []).map((opt) => ({
+    const options = fieldOptions.map((opt) => ({
       value: opt,
       label: opt,
     }));
@@ -236,7 +237,7 @@ const SmartConditionValueInput = ({
         placeholder="Select or create..."
         formatCreateLabel={(inputValue) => `Create "${inputValue}"`}
         styles={getCompactCustomStyles(true)}
-        className="react-select-container"
+        className="react-select-container min-w-0"
         classNamePrefix="react-select"
       />
     );
@@ -251,13 +252,13 @@ const SmartConditionValueInput = ({
         onChange={(e) => onChange(e.target.value)}
         min={referencedField.validation?.minDate}
         max={referencedField.validation?.maxDate}
-        className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
+        className="w-full min-w-0 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
       />
     );
   }
 
-  // Render number fields as number input
-  if (referencedField.type === 'number') {
+  // Render number and rating fields as number input
+  if (referencedField.type === 'number' || referencedField.type === 'rating') {
     return (
       <input
         type="number"
@@ -270,16 +271,16 @@ const SmartConditionValueInput = ({
         min={referencedField.validation?.min}
         max={referencedField.validation?.max}
         placeholder="Value"
-        className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
+        className="w-full min-w-0 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
       />
     );
   }
 
-  // Render file fields as disabled with message
-  if (referencedField.type === 'file') {
+  // Render upload fields as disabled with message
+  if (referencedField.type === 'file' || referencedField.type === 'signature') {
     return (
-      <div className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-gray-100 dark:bg-gray-800 text-xs text-gray-500 dark:text-gray-400 italic">
-        File fields cannot be used in conditions
+      <div className="w-full min-w-0 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-gray-100 dark:bg-gray-800 text-xs text-gray-500 dark:text-gray-400 italic">
+        {referencedField.type === 'file' ? 'File' : 'Signature'} fields cannot be used in conditions
       </div>
     );
   }
@@ -291,7 +292,7 @@ const SmartConditionValueInput = ({
       value={value || ''}
       onChange={(e) => onChange(e.target.value)}
       placeholder="Value"
-      className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
+      className="w-full min-w-0 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
     />
   );
 };
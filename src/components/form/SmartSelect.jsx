@@ -1,4 +1,5 @@
 import { useTheme } from '../../contexts/ThemeContext';
+import { useReferenceData } from '../../contexts/ReferenceDataContext';
 import CreatableSelect from 'react-select/creatable';
 import { components } from 'react-select';
 import { Check } from 'lucide-react';
@@ -23,9 +24,10 @@ const CheckboxOption = (props) => {
 
 const SmartSelect = ({ field, value, onChange, error }) => {
   const { theme } = useTheme();
+  const { getFieldOptions } = useReferenceData();
 
-  // Convert options array to react-select format
-  const options = (field.options || []).map((opt) => ({
+  // Convert options array (static or from a reference list) to react-select format
+  const options = getFieldOptions(field).map((opt) => ({
     value: opt,
     label: opt,
   }));
@@ -0,0 +1,100 @@
+import { useEffect, useRef, useState } from 'react';
+import { Play, Pause, RotateCcw, Timer } from 'lucide-react';
+import { formatDuration } from '../../utils/formValues';
+
+/**
+ * TimeTrackerField - Start/stop labor timer
+ * Value is the tracked time in seconds. Time keeps adding up across
+ * start/stop cycles until it is reset. When the field feeds another field
+ * (field.feedsFieldId, e.g. repairTime), the caller writes the hours there.
+ */
+const TimeTrackerField = ({ field, value, onChange, error, feedsLabel }) => {
+  const seconds = typeof value === 'number' ? value : 0;
+  const [startedAt, setStartedAt] = useState(null);
+  const baseSeconds = useRef(seconds); // Tracked time before the current run
+  const onChangeRef = useRef(onChange); // Callers pass a new function on every render
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  }, [onChange]);
+
+  // While running, add the time since start once per second
+  useEffect(() => {
+    if (!startedAt) return;
+    const interval = setInterval(() => {
+      onChangeRef.current(baseSeconds.current + Math.floor((Date.now() - startedAt) / 1000));
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [startedAt]);
+
+  const start = () => {
+    baseSeconds.current = seconds;
+    setStartedAt(Date.now());
+  };
+
+  const stop = () => {
+    onChange(baseSeconds.current + Math.floor((Date.now() - startedAt) / 1000));
+    setStartedAt(null);
+  };
+
+  const reset = () => {
+    setStartedAt(null);
+    baseSeconds.current = 0;
+    onChange(undefined);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        {field.label}
+        {field.required && <span className="text-red-500 ml-1">*</span>}
+      </label>
+
+      <div className="flex items-center justify-between px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700">
+        <div className="flex items-center space-x-2">
+          <Timer className={`w-5 h-5 ${startedAt ? 'text-green-500 animate-pulse' : 'text-gray-400'}`} />
+          <span className="font-mono text-lg text-gray-900 dark:text-white">{formatDuration(seconds)}</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          {startedAt ? (
+            <button
+              type="button"
+              onClick={stop}
+              className="flex items-center space-x-1 px-3 py-1.5 rounded-lg bg-amber-500 hover:bg-amber-600 text-white text-sm font-medium transition-colors"
+            >
+              <Pause className="w-4 h-4" />
+              <span>Stop</span>
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={start}
+              className="flex items-center space-x-1 px-3 py-1.5 rounded-lg bg-green-600 hover:bg-green-700 text-white text-sm font-medium transition-colors"
+            >
+              <Play className="w-4 h-4" />
+              <span>{seconds > 0 ? 'Resume' : 'Start'}</span>
+            </button>
+          )}
+          {seconds > 0 && (
+            <button
+              type="button"
+              onClick={reset}
+              className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors"
+              aria-label="Reset timer"
+              title="Reset timer"
+            >
+              <RotateCcw className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {feedsLabel && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Fills in {feedsLabel} (in hours)</p>
+      )}
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default TimeTrackerField;
@@ -1,10 +1,11 @@
 import { useTranslation } from 'react-i18next';
 import { useTheme } from '../../contexts/ThemeContext';
 import { Menu, Sun, Moon } from 'lucide-react';
+import NotificationBell from './NotificationBell';
 
 const Header = ({ onMenuToggle }) => {
   const { t } = useTranslation();
-  const { theme, toggleTheme } = useTheme();
+  const { theme, toggleTheme, branding } = useTheme();
 
   return (
     <header className="md:hidden fixed top-0 left-0 right-0 z-40 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 h-14">
@@ -17,21 +18,32 @@ const Header = ({ onMenuToggle }) => {
           <Menu className="w-6 h-6 text-gray-700 dark:text-gray-300" />
         </button>
 
-        <h1 className="text-lg font-bold text-gray-900 dark:text-white">
-          {t('app.name')}
-        </h1>
+        {branding.logo ? (
+          <img
+            src={branding.logo}
+            alt={branding.companyName || t('app.name')}
+            className="h-8 w-auto max-w-[10rem] object-contain"
+          />
+        ) : (
+          <h1 className="text-lg font-bold text-gray-900 dark:text-white truncate">
+            {branding.companyName || t('app.name')}
+          </h1>
+        )}
 
-        <button
-          onClick={toggleTheme}
-          className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
-          aria-label="Toggle theme"
-        >
-          {theme === 'dark' ? (
-            <Sun className="w-5 h-5 text-gray-300" />
-          ) : (
-            <Moon className="w-5 h-5 text-gray-700" />
-          )}
-        </button>
+        <div className="flex items-center">
+          <NotificationBell />
+          <button
+            onClick={toggleTheme}
+            className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+            aria-label="Toggle theme"
+          >
+            {theme === 'dark' ? (
+              <Sun className="w-5 h-5 text-gray-300" />
+            ) : (
+              <Moon className="w-5 h-5 text-gray-700" />
+            )}
+          </button>
+        </div>
       </div>
     </header>
   );
@@ -0,0 +1,152 @@
+import { useEffect, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useNavigate } from 'react-router-dom';
+import { Bell, CheckCheck, X } from 'lucide-react';
+import { useNotifications } from '../../contexts/NotificationContext';
+import { getRelativeTime } from '../../utils/timezone';
+import { stripMentions } from '../../utils/mentions';
+
+/**
+ * NotificationBell - Bell icon with unread badge and dropdown inbox
+ *
+ * @param {string} align - Which edge the dropdown is anchored to ('left' or 'right')
+ */
+const NotificationBell = ({ align = 'right' }) => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const {
+    notifications,
+    unreadCount,
+    loading,
+    hasMore,
+    loadNotifications,
+    markAsRead,
+    markAllAsRead,
+    deleteNotification,
+  } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Load the first page each time the inbox is opened
+  useEffect(() => {
+    if (open) loadNotifications(true);
+  }, [open, loadNotifications]);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const handleOpenNotification = (notification) => {
+    markAsRead(notification.id);
+    setOpen(false);
+
+    if (notification.linkType === 'aar' && notification.linkId) {
+      navigate(`/aar/${notification.linkId}`);
+    } else if (notification.linkType === 'conversation') {
+      navigate('/chat');
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        className="relative p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+        aria-label={t('notifications.title')}
+        aria-expanded={open}
+      >
+        <Bell className="w-5 h-5 text-gray-700 dark:text-gray-300" />
+        {unreadCount > 0 && (
+          <span className="absolute top-0.5 right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          className={`absolute z-50 mt-2 ${
+            align === 'left' ? 'left-0' : 'right-0'
+          } w-80 max-w-[calc(100vw-2rem)] bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg`}
+        >
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white">{t('notifications.title')}</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllAsRead}
+                className="flex items-center space-x-1 text-xs text-primary-600 dark:text-primary-400 hover:underline"
+              >
+                <CheckCheck className="w-4 h-4" />
+                <span>{t('notifications.markAllRead')}</span>
+              </button>
+            )}
+          </div>
+
+          <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+            {notifications.length === 0 && !loading && (
+              <li className="px-4 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                {t('notifications.empty')}
+              </li>
+            )}
+
+            {notifications.map((notification) => (
+              <li
+                key={notification.id}
+                className={`group flex items-start px-4 py-3 ${
+                  notification.readAt ? '' : 'bg-primary-50 dark:bg-primary-900/20'
+                }`}
+              >
+                <button
+                  onClick={() => handleOpenNotification(notification)}
+                  className="flex-1 min-w-0 text-left"
+                >
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">
+                    {notification.title}
+                  </p>
+                  {notification.message && (
+                    <p className="text-xs text-gray-600 dark:text-gray-400 mt-0.5 line-clamp-2">
+                      {stripMentions(notification.message)}
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                    {getRelativeTime(notification.createdAt)}
+                  </p>
+                </button>
+                <button
+                  onClick={() => deleteNotification(notification.id)}
+                  className="ml-2 p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                  aria-label={t('notifications.delete')}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {(loading || hasMore) && notifications.length > 0 && (
+            <div className="px-4 py-2 border-t border-gray-200 dark:border-gray-700 text-center">
+              <button
+                onClick={() => loadNotifications()}
+                disabled={loading}
+                className="text-xs text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-50"
+              >
+                {loading ? t('common.loading') : t('notifications.loadMore')}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -6,11 +6,13 @@ import {
   LayoutDashboard,
   Search,
   FileText,
+  FileClock,
   MessageSquare,
   User,
   BarChart3,
   Palette,
   FileEdit,
+  ListOrdered,
   Users,
   LogOut,
   Sun,
@@ -19,6 +21,7 @@ import {
   RefreshCw,
 } from 'lucide-react';
 import LanguageSelector from '../ui/LanguageSelector';
+import NotificationBell from './NotificationBell';
 
 const Sidebar = ({ mobile = false, onItemClick = () => {} }) => {
   const { t } = useTranslation();
@@ -29,6 +32,7 @@ const Sidebar = ({ mobile = false, onItemClick = () => {} }) => {
     { path: '/', icon: LayoutDashboard, label: t('nav.dashboard'), show: true },
     { path: '/browse', icon: Search, label: t('nav.browse'), show: true },
     { path: '/submit', icon: FileText, label: t('nav.submit'), show: true },
+    { path: '/drafts', icon: FileClock, label: t('nav.drafts'), show: true },
     { path: '/chat', icon: MessageSquare, label: t('nav.chat'), show: true },
     { path: '/profile', icon: User, label: t('nav.profile'), show: true },
     {
@@ -49,6 +53,12 @@ const Sidebar = ({ mobile = false, onItemClick = () => {} }) => {
       label: t('nav.customize'),
       show: hasPermission('custom_forms') || hasPermission('all'),
     },
+    {
+      path: '/reference-lists',
+      icon: ListOrdered,
+      label: t('nav.referenceLists'),
+      show: hasPermission('custom_forms') || hasPermission('all'),
+    },
     {
       path: '/users',
       icon: Users,
@@ -62,14 +72,18 @@ const Sidebar = ({ mobile = false, onItemClick = () => {} }) => {
       {/* Logo / Brand */}
       <div className="p-4 border-b border-gray-200 dark:border-gray-700">
         {branding.logo ? (
-          <img src={branding.logo} alt={t('app.name')} className="h-10 w-auto" />
+          <img
+            src={branding.logo}
+            alt={branding.companyName || t('app.name')}
+            className="h-10 w-auto max-w-full object-contain"
+          />
         ) : (
           <div>
             <h1 className="text-xl font-bold text-gray-900 dark:text-white">
-              {t('app.name')}
+              {branding.companyName || t('app.name')}
             </h1>
             <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-              {t('app.tagline')}
+              {branding.tagline || t('app.tagline')}
             </p>
           </div>
         )}
@@ -89,6 +103,7 @@ const Sidebar = ({ mobile = false, onItemClick = () => {} }) => {
               {t(`auth.${currentUser?.role}`)}
             </p>
           </div>
+          {!mobile && <NotificationBell align="left" />}
         </div>
       </div>
 
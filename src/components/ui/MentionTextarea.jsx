@@ -0,0 +1,142 @@
+import { useMemo, useRef, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { createMention, getMentionQuery } from '../../utils/mentions';
+
+/**
+ * MentionTextarea - Textarea (or single-line input) with an @mention user picker
+ *
+ * Typing "@" opens a list of matching users; picking one inserts
+ * `@[Name](userId)` markup, which the backend turns into notifications.
+ *
+ * @param {string} value - Textarea value
+ * @param {Function} onChange - Called with the new string value
+ * @param {boolean} multiline - Render a textarea (default) or a single-line input
+ * @param {boolean} dropUp - Open the user list above the field (for inputs at the bottom of the screen)
+ * @param {Object} ref - Optional ref to the underlying field
+ * @param {string} className - Field classes
+ * @param {Object} props - Remaining props are passed to the field
+ */
+const MentionTextarea = ({
+  value,
+  onChange,
+  multiline = true,
+  dropUp = false,
+  ref,
+  className = '',
+  ...props
+}) => {
+  const { currentUser, users } = useAuth();
+  const textareaRef = useRef(null);
+
+  const setRefs = (node) => {
+    textareaRef.current = node;
+    if (typeof ref === 'function') ref(node);
+    else if (ref) ref.current = node;
+  };
+  const Field = multiline ? 'textarea' : 'input';
+  const [mention, setMention] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const suggestions = useMemo(() => {
+    if (!mention) return [];
+    const query = mention.query.toLowerCase();
+    return (users || [])
+      .filter((u) => u.id !== currentUser?.id && u.name?.toLowerCase().includes(query))
+      .slice(0, 6);
+  }, [mention, users, currentUser]);
+
+  const updateMention = (text, cursor) => {
+    setMention(getMentionQuery(text, cursor));
+    setHighlighted(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateMention(e.target.value, e.target.selectionStart);
+  };
+
+  const insertMention = (user) => {
+    const cursor = textareaRef.current?.selectionStart ?? value.length;
+    const markup = `${createMention(user)} `;
+    const next = value.slice(0, mention.start) + markup + value.slice(cursor);
+    onChange(next);
+    setMention(null);
+
+    // Restore cursor after the inserted mention
+    requestAnimationFrame(() => {
+      const position = mention.start + markup.length;
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setHighlighted((i) => (i + 1) % suggestions.length);
+        return;
+      }
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setHighlighted((i) => (i - 1 + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(suggestions[highlighted]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setMention(null);
+        return;
+      }
+    }
+    props.onKeyDown?.(e);
+  };
+
+  return (
+    <div className="relative">
+      <Field
+        {...props}
+        {...(multiline ? {} : { type: 'text' })}
+        ref={setRefs}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setTimeout(() => setMention(null), 150)}
+        className={className}
+      />
+
+      {suggestions.length > 0 && (
+        <ul className={`absolute z-20 left-0 ${dropUp ? 'bottom-full mb-1' : 'mt-1'} w-64 max-h-60 overflow-y-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg`}>
+          {suggestions.map((user, index) => (
+            <li key={user.id}>
+              <button
+                type="button"
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  insertMention(user);
+                }}
+                className={`w-full text-left px-3 py-2 text-sm ${
+                  index === highlighted
+                    ? 'bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                <span className="font-medium">{user.name}</span>
+                {user.role && (
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400 capitalize">
+                    {user.role}
+                  </span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MentionTextarea;
@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Link2, Loader } from 'lucide-react';
+import { api } from '../../lib/api-client';
+
+const CATEGORIES = [
+  {
+    key: 'aar_photos',
+    label: 'AAR photos',
+    description: 'Photos and signatures of submitted AARs',
+  },
+  {
+    key: 'chat_attachments',
+    label: 'Chat attachments',
+    description: 'Images and files sent in chat',
+  },
+];
+
+/**
+ * PublicFileAccessPanel - Admin control for serving files without sign-in
+ * Files are normally only shown to users who can see the AAR or conversation
+ * they belong to; turning a category on keeps links shared earlier working.
+ */
+const PublicFileAccessPanel = () => {
+  const [access, setAccess] = useState(null);
+  const [savingKey, setSavingKey] = useState(null);
+
+  useEffect(() => {
+    api.files
+      .getPublicAccess()
+      .then((response) => setAccess(response.data.data.access))
+      .catch((error) => {
+        console.error('Error loading public file access:', error);
+        toast.error('Failed to load public file access');
+      });
+  }, []);
+
+  const handleChange = async (category, enabled) => {
+    const previous = access;
+    setAccess({ ...access, [category]: enabled });
+    setSavingKey(category);
+
+    try {
+      const response = await api.files.updatePublicAccess({ [category]: enabled });
+      setAccess(response.data.data.access);
+      toast.success('Public file access updated');
+    } catch (error) {
+      console.error('Error updating public file access:', error);
+      setAccess(previous);
+      toast.error(error.response?.data?.message || 'Failed to update public file access');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-4 shadow-sm">
+      <div className="flex items-center space-x-2 mb-1">
+        <Link2 className="w-5 h-5 text-primary-600 dark:text-primary-400" />
+        <h2 className="text-base font-semibold text-gray-900 dark:text-white">Public File Links</h2>
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+        Files are only shown to users who can see the AAR or conversation they belong to. Allow public access to
+        keep links shared outside the app working; anyone with such a link can then open the file.
+      </p>
+
+      {!access ? (
+        <div className="flex justify-center py-4">
+          <Loader className="w-5 h-5 animate-spin text-primary-600" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {CATEGORIES.map((category) => (
+            <label key={category.key} className="flex items-start space-x-2">
+              <input
+                type="checkbox"
+                checked={access[category.key]}
+                onChange={(e) => handleChange(category.key, e.target.checked)}
+                disabled={savingKey !== null}
+                className="mt-0.5 w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500 disabled:opacity-60"
+              />
+              <span>
+                <span className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Public {category.label.toLowerCase()}
+                  {savingKey === category.key && <Loader className="w-3 h-3 ml-2 animate-spin text-primary-600" />}
+                </span>
+                <span className="block mt-0.5 text-xs text-gray-500 dark:text-gray-400">{category.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PublicFileAccessPanel;
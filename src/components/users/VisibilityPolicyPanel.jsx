@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Shield, Loader } from 'lucide-react';
+import { api } from '../../lib/api-client';
+
+const RESOURCES = [
+  {
+    key: 'aars',
+    label: 'AARs',
+    description: 'Which AARs appear in browse, search and detail pages',
+  },
+  {
+    key: 'users',
+    label: 'Users',
+    description: 'Which users appear in user lists and @mention pickers',
+  },
+  {
+    key: 'conversations',
+    label: 'Chat',
+    description: 'Who can be messaged, and whether Open Chat is available',
+  },
+];
+
+const SCOPES = [
+  { value: 'all', label: 'Everything' },
+  { value: 'franchise', label: 'Own franchise' },
+  { value: 'own', label: 'Own records only' },
+];
+
+/**
+ * VisibilityPolicyPanel - Admin control for franchise-scoped visibility
+ * Applies to franchisees and employees; admins and managers always see everything.
+ */
+const VisibilityPolicyPanel = () => {
+  const [policy, setPolicy] = useState(null);
+  const [savingKey, setSavingKey] = useState(null);
+
+  useEffect(() => {
+    api.visibilityPolicy
+      .get()
+      .then((response) => setPolicy(response.data.data.policy))
+      .catch((error) => {
+        console.error('Error loading visibility policy:', error);
+        toast.error('Failed to load visibility policy');
+      });
+  }, []);
+
+  const handleChange = async (resource, scope) => {
+    const previous = policy;
+    setPolicy({ ...policy, [resource]: scope });
+    setSavingKey(resource);
+
+    try {
+      const response = await api.visibilityPolicy.update({ [resource]: scope });
+      setPolicy(response.data.data.policy);
+      toast.success('Visibility policy updated');
+    } catch (error) {
+      console.error('Error updating visibility policy:', error);
+      setPolicy(previous);
+      toast.error(error.response?.data?.message || 'Failed to update visibility policy');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-4 shadow-sm">
+      <div className="flex items-center space-x-2 mb-1">
+        <Shield className="w-5 h-5 text-primary-600 dark:text-primary-400" />
+        <h2 className="text-base font-semibold text-gray-900 dark:text-white">Franchise Visibility</h2>
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+        What franchisees and employees can see. Admins and managers always see everything.
+      </p>
+
+      {!policy ? (
+        <div className="flex justify-center py-4">
+          <Loader className="w-5 h-5 animate-spin text-primary-600" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {RESOURCES.map((resource) => (
+            <label key={resource.key} className="block">
+              <span className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+                {resource.label}
+                {savingKey === resource.key && (
+                  <Loader className="w-3 h-3 ml-2 animate-spin text-primary-600" />
+                )}
+              </span>
+              <select
+                value={policy[resource.key]}
+                onChange={(e) => handleChange(resource.key, e.target.value)}
+                disabled={savingKey !== null}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:opacity-60"
+              >
+                {SCOPES.map((scope) => (
+                  <option key={scope.value} value={scope.value}>
+                    {scope.label}
+                  </option>
+                ))}
+              </select>
+              <span className="block mt-1 text-xs text-gray-500 dark:text-gray-400">
+                {resource.description}
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VisibilityPolicyPanel;
@@ -69,6 +69,8 @@ export const AARProvider = ({ children }) => {
       // Re-throw with validation errors if present
       const error = new Error(errorMessage);
       error.validationErrors = validationErrors;
+      error.isNetworkError = !err.response; // Offline or the server could not be reached
+      error.response = err.response;
       throw error;
     } finally {
       setLoading(false);
@@ -109,9 +111,9 @@ export const AARProvider = ({ children }) => {
   };
 
   /**
-   * Update existing AAR
+   * Update existing AAR (the previous version is kept as a revision)
    * @param {string} aarId - AAR ID
-   * @param {Object} updates - Updated data
+   * @param {Object} updates - { formData, changeNote } where formData is the complete set of field values
    * @returns {Promise} Resolves with updated AAR data
    */
   const updateAAR = async (aarId, updates) => {
@@ -127,13 +129,33 @@ export const AARProvider = ({ children }) => {
       return updatedAAR;
     } catch (err) {
       const errorMessage = err.response?.data?.message || 'Failed to update AAR';
+      const validationErrors = err.response?.data?.errors;
       setError(errorMessage);
-      throw new Error(errorMessage);
+
+      // Re-throw with validation errors if present
+      const error = new Error(errorMessage);
+      error.validationErrors = validationErrors;
+      throw error;
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Get previous versions of an AAR, oldest first
+   * @param {string} aarId - AAR ID
+   * @returns {Promise} Resolves with array of revisions
+   */
+  const getAARRevisions = async (aarId) => {
+    try {
+      const response = await api.aars.getRevisions(aarId);
+      return response.data.data.revisions;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to load AAR history';
+      throw new Error(errorMessage);
+    }
+  };
+
   /**
    * Soft delete AAR
    * @param {string} aarId - AAR ID
@@ -167,50 +189,163 @@ export const AARProvider = ({ children }) => {
   };
 
   /**
-   * Upvote an AAR (to be implemented on backend)
+   * Apply a vote result from the API to the matching AAR in local state
    * @param {string} aarId - AAR ID
-   * @param {string} reason - Optional reason for upvote
+   * @param {Object} result - { vote, upvotes, downvotes }
    */
-  const upvoteAAR = async (aarId, reason = '') => {
-    // TODO: Implement when backend endpoint is ready
-    // POST /api/aars/:id/vote { voteType: 'upvote', reason }
-    console.warn('upvoteAAR: Backend endpoint not yet implemented');
-
-    // Optimistic update for now
+  const applyVoteResult = (aarId, { vote, upvotes, downvotes }) => {
     setAARs(prev =>
       prev.map(aar =>
-        aar.id === aarId ? { ...aar, upvotes: aar.upvotes + 1 } : aar
+        aar.id === aarId ? { ...aar, upvotes, downvotes, user_vote: vote } : aar
       )
     );
   };
 
   /**
-   * Downvote an AAR (to be implemented on backend)
+   * Cast or switch the current user's vote on an AAR
+   * @param {string} aarId - AAR ID
+   * @param {string} voteType - 'upvote' or 'downvote'
+   * @param {string} reason - Optional reason for the vote
+   * @returns {Promise} Resolves with { vote, upvotes, downvotes }
+   */
+  const voteAAR = async (aarId, voteType, reason = '') => {
+    try {
+      const response = await api.aars.vote(aarId, voteType, reason);
+      const result = response.data.data;
+      applyVoteResult(aarId, result);
+      return result;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to record vote';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  /**
+   * Upvote an AAR
+   * @param {string} aarId - AAR ID
+   * @param {string} reason - Optional reason for upvote
+   * @returns {Promise} Resolves with { vote, upvotes, downvotes }
+   */
+  const upvoteAAR = (aarId, reason = '') => voteAAR(aarId, 'upvote', reason);
+
+  /**
+   * Downvote an AAR
    * @param {string} aarId - AAR ID
    * @param {string} reason - Optional reason for downvote
+   * @returns {Promise} Resolves with { vote, upvotes, downvotes }
    */
-  const downvoteAAR = async (aarId, reason = '') => {
-    // TODO: Implement when backend endpoint is ready
-    // POST /api/aars/:id/vote { voteType: 'downvote', reason }
-    console.warn('downvoteAAR: Backend endpoint not yet implemented');
+  const downvoteAAR = (aarId, reason = '') => voteAAR(aarId, 'downvote', reason);
 
-    // Optimistic update for now
-    setAARs(prev =>
-      prev.map(aar =>
-        aar.id === aarId ? { ...aar, downvotes: aar.downvotes + 1 } : aar
-      )
-    );
+  /**
+   * Retract the current user's vote on an AAR
+   * @param {string} aarId - AAR ID
+   * @returns {Promise} Resolves with { vote: null, upvotes, downvotes }
+   */
+  const retractVote = async (aarId) => {
+    try {
+      const response = await api.aars.retractVote(aarId);
+      const result = response.data.data;
+      applyVoteResult(aarId, result);
+      return result;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to retract vote';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  /**
+   * Get all comments on an AAR
+   * @param {string} aarId - AAR ID
+   * @returns {Promise} Resolves with flat array of comments (oldest first)
+   */
+  const getComments = async (aarId) => {
+    try {
+      const response = await api.comments.list(aarId);
+      return response.data.data.comments;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to load comments';
+      throw new Error(errorMessage);
+    }
   };
 
   /**
-   * Add comment to an AAR (to be implemented on backend)
+   * Add comment or reply to an AAR
    * @param {string} aarId - AAR ID
-   * @param {Object} comment - Comment data
+   * @param {string} content - Comment text (may contain @[Name](userId) mentions)
+   * @param {string|null} parentCommentId - Comment being replied to
+   * @returns {Promise} Resolves with created comment
    */
-  const addComment = async (aarId, comment) => {
-    // TODO: Implement when backend endpoint is ready
-    // POST /api/aars/:id/comments { content }
-    console.warn('addComment: Backend endpoint not yet implemented');
+  const addComment = async (aarId, content, parentCommentId = null) => {
+    try {
+      const response = await api.comments.create(aarId, { content, parentCommentId });
+      setAARs(prev =>
+        prev.map(aar =>
+          aar.id === aarId ? { ...aar, comment_count: (aar.comment_count || 0) + 1 } : aar
+        )
+      );
+      return response.data.data.comment;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to add comment';
+      throw new Error(errorMessage);
+    }
+  };
+
+  /**
+   * Edit own comment
+   * @param {string} aarId - AAR ID
+   * @param {string} commentId - Comment ID
+   * @param {string} content - New content
+   * @returns {Promise} Resolves with updated comment
+   */
+  const editComment = async (aarId, commentId, content) => {
+    try {
+      const response = await api.comments.update(aarId, commentId, content);
+      return response.data.data.comment;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to edit comment';
+      throw new Error(errorMessage);
+    }
+  };
+
+  /**
+   * Soft delete comment
+   * @param {string} aarId - AAR ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise} Resolves when deletion is complete
+   */
+  const deleteComment = async (aarId, commentId) => {
+    try {
+      await api.comments.delete(aarId, commentId);
+      setAARs(prev =>
+        prev.map(aar =>
+          aar.id === aarId
+            ? { ...aar, comment_count: Math.max((aar.comment_count || 0) - 1, 0) }
+            : aar
+        )
+      );
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to delete comment';
+      throw new Error(errorMessage);
+    }
+  };
+
+  /**
+   * Toggle current user's emoji reaction on a comment
+   * @param {string} aarId - AAR ID
+   * @param {string} commentId - Comment ID
+   * @param {string} emoji - Reaction emoji
+   * @returns {Promise} Resolves with the comment's updated reactions
+   */
+  const toggleCommentReaction = async (aarId, commentId, emoji) => {
+    try {
+      const response = await api.comments.toggleReaction(aarId, commentId, emoji);
+      return response.data.data.reactions;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to update reaction';
+      throw new Error(errorMessage);
+    }
   };
 
   /**
@@ -235,11 +370,17 @@ export const AARProvider = ({ children }) => {
     createAAR,
     getAAR,
     updateAAR,
+    getAARRevisions,
     deleteAAR,
     searchAARs,
     upvoteAAR,
     downvoteAAR,
+    retractVote,
+    getComments,
     addComment,
+    editComment,
+    deleteComment,
+    toggleCommentReaction,
     incrementViews, // Deprecated
   };
 
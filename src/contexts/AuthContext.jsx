@@ -5,20 +5,25 @@ import { api } from '../lib/api-client';
 
 const AuthContext = createContext(null);
 
+// How often to check whether the file access token needs renewing
+const FILE_ACCESS_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
 export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
   const [users, setUsers] = useState(mockUsers);
   const [usersLoading, setUsersLoading] = useState(false);
+  // File URLs (api.uploads.fileUrl) carry this token; components showing files
+  // re-render when it changes, and protected pages wait for it (see fileAccessReady)
+  const [fileAccessToken, setFileAccessToken] = useState(() => api.files.getStoredAccessToken());
+  const [fileAccessChecked, setFileAccessChecked] = useState(false);
 
   useEffect(() => {
     // Load current user from localStorage
     const savedUser = getFromStorage(STORAGE_KEYS.CURRENT_USER);
     if (savedUser) {
       setCurrentUser(savedUser);
-      // Load users from API if admin/manager
-      if (savedUser.role === 'admin' || savedUser.role === 'manager') {
-        loadUsers();
-      }
+      // Load users from API (franchisees/employees get the list allowed by the visibility policy)
+      loadUsers();
     }
 
     // Fallback: Load users from localStorage for offline support
@@ -28,6 +33,25 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Keep a file access token for photo and attachment URLs (api.uploads.fileUrl)
+  useEffect(() => {
+    if (!currentUser?.id) return;
+
+    let cancelled = false;
+    const renew = () =>
+      api.files
+        .ensureAccessToken()
+        .then((token) => !cancelled && setFileAccessToken(token))
+        .catch((error) => console.error('Error fetching file access token:', error))
+        .finally(() => !cancelled && setFileAccessChecked(true));
+    renew();
+    const interval = setInterval(renew, FILE_ACCESS_CHECK_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [currentUser?.id]);
+
   const loadUsers = async () => {
     try {
       setUsersLoading(true);
@@ -57,6 +81,9 @@ export const AuthProvider = ({ children }) => {
 
   const logout = () => {
     setCurrentUser(null);
+    api.files.clearAccessToken();
+    setFileAccessToken(null);
+    setFileAccessChecked(false);
     saveToStorage(STORAGE_KEYS.CURRENT_USER, null);
   };
 
@@ -168,6 +195,9 @@ export const AuthProvider = ({ children }) => {
     loadUsers,
     hasPermission,
     isAuthenticated: !!currentUser,
+    fileAccessToken,
+    // A token is available, or fetching one failed (files then fail to load rather than the page)
+    fileAccessReady: !!fileAccessToken || fileAccessChecked,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -180,3 +210,10 @@ export const useAuth = () => {
   }
   return context;
 };
+
+/**
+ * File access token that file URLs (api.uploads.fileUrl) carry
+ * Components building file URLs call this so they re-render with the
+ * renewed token instead of keeping URLs the server will reject.
+ */
+export const useFileAccessToken = () => useAuth().fileAccessToken;
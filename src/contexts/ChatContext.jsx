@@ -82,6 +82,7 @@ export const ChatProvider = ({ children }) => {
   const tempIdToServerIdMapRef = useRef(new Map()); // ADDED: Track tempId → serverId mappings for deduplication
   const pollingIntervalRef = useRef(null); // ADDED: Polling interval ID
   const lastSyncTimestampRef = useRef(null); // ADDED: Last sync timestamp for differential updates
+  const notificationListenersRef = useRef(new Set()); // In-app notification subscribers (NotificationContext)
 
   // ============================================================================
   // WEBSOCKET FUNCTIONS (Defined first, no dependencies)
@@ -408,6 +409,10 @@ export const ChatProvider = ({ children }) => {
         handleParticipantChange(payload, type);
         break;
 
+      case 'notification':
+        notificationListenersRef.current.forEach((listener) => listener(payload));
+        break;
+
       case 'pong':
         // Keepalive response
         break;
@@ -859,6 +864,15 @@ export const ChatProvider = ({ children }) => {
     });
   }, []); // Empty dependencies - stable forever
 
+  /**
+   * Subscribe to in-app notifications pushed over the WebSocket
+   * Returns an unsubscribe function
+   */
+  const subscribeToNotifications = useCallback((listener) => {
+    notificationListenersRef.current.add(listener);
+    return () => notificationListenersRef.current.delete(listener);
+  }, []); // Stable - listeners live in a ref
+
   // ============================================================================
   // USE EFFECTS
   // ============================================================================
@@ -1063,6 +1077,7 @@ export const ChatProvider = ({ children }) => {
     getTotalUnreadCount,
     getTypingUsers,
     sendTypingIndicator,
+    subscribeToNotifications,
   }), [
     conversations,
     messages,
@@ -1085,6 +1100,7 @@ export const ChatProvider = ({ children }) => {
     getTotalUnreadCount,
     getTypingUsers,
     sendTypingIndicator,
+    subscribeToNotifications,
   ]);
 
   return <ChatContext.Provider value={value}>{children}</ChatContext.Provider>;
@@ -0,0 +1,300 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import toast from 'react-hot-toast';
+import i18n from '../i18n/config';
+import { useAuth } from './AuthContext';
+import { api } from '../lib/api-client';
+import { buildAARFormData, getFormConflict, isFormVersionConflict } from '../utils/aarSubmission';
+import { DRAFT_STATUS, deleteDraft, getDraft, listDrafts, putDraft } from '../utils/draftStore';
+import { finalizeServerDraft, linkServerPhotos, pushServerDraft } from '../utils/serverDrafts';
+import { getUploadSessionIds, linkUploadSessions, uploadPhotos } from '../utils/resumableUpload';
+
+const DraftsContext = createContext(null);
+
+// Retry queued drafts this often while any are waiting (navigator.onLine can
+// report a connection that does not reach the server)
+const SYNC_INTERVAL = 60000;
+
+/**
+ * Short description of a draft for lists and messages
+ */
+export const getDraftTitle = (draft) =>
+  [draft.values?.category, draft.values?.material, draft.values?.damageType].filter(Boolean).join(' · ') ||
+  'Untitled AAR';
+
+export const DraftsProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.id;
+  const [drafts, setDrafts] = useState([]);
+  const [serverDrafts, setServerDrafts] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false); // Guards against overlapping syncs
+  const serverSync = useRef(Promise.resolve()); // Server saves run one at a time
+
+  /**
+   * Reload the current user's drafts from IndexedDB
+   */
+  const refreshDrafts = useCallback(async () => {
+    if (!userId) {
+      setDrafts([]);
+      return;
+    }
+    try {
+      setDrafts(await listDrafts(userId));
+    } catch (error) {
+      console.error('Error loading drafts:', error);
+    }
+  }, [userId]);
+
+  /**
+   * Reload the current user's drafts saved on the server
+   */
+  const refreshServerDrafts = useCallback(async () => {
+    if (!userId || !navigator.onLine) return;
+    try {
+      const response = await api.aarDrafts.list();
+      setServerDrafts(response.data.data.drafts);
+    } catch (error) {
+      console.error('Error loading server drafts:', error);
+    }
+  }, [userId]);
+
+  /**
+   * Create or update a draft
+   * Fields not passed (e.g. the server link) keep their stored values.
+   * @param {Object} draft - { id, formSchema, values, photos, status?, ... }
+   * @returns {Promise<Object>} - The saved draft
+   */
+  const saveDraft = useCallback(
+    async (draft) => {
+      const now = new Date().toISOString();
+      const saved = {
+        status: DRAFT_STATUS.DRAFT,
+        createdAt: now,
+        ...(await getDraft(draft.id)),
+        ...draft,
+        userId,
+        updatedAt: now,
+      };
+      await putDraft(saved);
+      setDrafts((prev) => [saved, ...prev.filter((d) => d.id !== saved.id)]);
+      return saved;
+    },
+    [userId]
+  );
+
+  /**
+   * Remove a draft from this device
+   */
+  const removeDraft = useCallback(async (id) => {
+    await deleteDraft(id);
+    setDrafts((prev) => prev.filter((d) => d.id !== id));
+  }, []);
+
+  /**
+   * Delete a draft from this device and the server
+   * @param {Object} draft - Device draft, or { serverId } for a draft only on the server
+   */
+  const discardDraft = useCallback(
+    async (draft) => {
+      if (draft.serverId) {
+        try {
+          await api.aarDrafts.delete(draft.serverId);
+        } catch (error) {
+          if (error.response?.status !== 404) throw error;
+        }
+        setServerDrafts((prev) => prev.filter((d) => d.id !== draft.serverId));
+      }
+      if (draft.id) await removeDraft(draft.id);
+    },
+    [removeDraft]
+  );
+
+  /**
+   * Save a device draft to the server so it can be continued on another device
+   * Server saves are queued so a draft's files are never uploaded twice.
+   * @param {Object} draft - The draft as returned by saveDraft
+   */
+  const pushDraft = useCallback((draft) => {
+    const push = serverSync.current.then(async () => {
+      // The stored draft has the server link from earlier saves
+      const stored = await getDraft(draft.id);
+      if (!stored) return;
+      const link = await pushServerDraft({ ...draft, serverId: stored.serverId });
+
+      // Keep the link without touching updatedAt; changes saved meanwhile still need syncing
+      const latest = await getDraft(draft.id);
+      if (!latest) return; // Submitted or deleted meanwhile
+      const linked = { ...latest, ...link, pendingSync: latest.updatedAt !== draft.updatedAt };
+      await putDraft(linked);
+      setDrafts((prev) => prev.map((d) => (d.id === linked.id ? linked : d)));
+    });
+    serverSync.current = push.catch(() => {});
+    return push;
+  }, []);
+
+  /**
+   * Submit a draft through its server copy (after saving the latest changes to it)
+   * @returns {Promise<Object|null>} - The created AAR, or null if the draft is not on the server
+   */
+  const finalizeDraft = useCallback(
+    (draft) => {
+      const finalize = serverSync.current.then(async () => {
+        const stored = await getDraft(draft.id);
+        if (!stored?.serverId) return null;
+        const aar = await finalizeServerDraft({ ...draft, serverId: stored.serverId });
+        await removeDraft(draft.id);
+        return aar;
+      });
+      serverSync.current = finalize.catch(() => {});
+      return finalize;
+    },
+    [removeDraft]
+  );
+
+  /**
+   * Submit a queued draft
+   * Drafts whose form changed are set aside for the user to review instead
+   * of being submitted on a version they did not see.
+   * @returns {Promise<boolean>} - False if the server could not be reached
+   */
+  const submitQueuedDraft = useCallback(
+    async (draft) => {
+      const setAside = async () => {
+        await saveDraft({ ...draft, status: DRAFT_STATUS.CONFLICT, error: null });
+        toast.error(i18n.t('drafts.notSubmittedFormChanged', { title: getDraftTitle(draft) }), { duration: 8000 });
+        return true;
+      };
+
+      try {
+        if (await getFormConflict(draft)) return await setAside();
+
+        linkServerPhotos(draft.photos, draft.serverPhotoIds);
+        if (!(await finalizeDraft(draft))) {
+          linkUploadSessions(draft.photos, draft.uploadSessionIds);
+          const uploads = await uploadPhotos(draft.photos);
+          await api.aars.create(buildAARFormData(draft.values, uploads, draft.formSchema));
+          await removeDraft(draft.id);
+        }
+        toast.success(i18n.t('drafts.submitted', { title: getDraftTitle(draft) }));
+        return true;
+      } catch (error) {
+        if (!error.response) {
+          // Still offline: keep it queued, remembering uploads to resume next time
+          await putDraft({ ...draft, uploadSessionIds: getUploadSessionIds(draft.photos) }).catch(() => {});
+          return false;
+        }
+
+        // The form changed after the check above
+        if (isFormVersionConflict(error)) return await setAside();
+
+        console.error('Queued AAR submission failed:', error);
+        const message = error.response.data?.message || error.response.data?.error || i18n.t('drafts.submitFailed');
+        await saveDraft({ ...draft, status: DRAFT_STATUS.FAILED, error: message });
+        toast.error(i18n.t('drafts.notSubmitted', { title: getDraftTitle(draft), message }), { duration: 8000 });
+        return true;
+      }
+    },
+    [saveDraft, removeDraft, finalizeDraft]
+  );
+
+  /**
+   * Submit all queued drafts (stops at the first one that cannot reach the server)
+   */
+  const syncQueuedDrafts = useCallback(async () => {
+    if (!userId || syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const queued = (await listDrafts(userId)).filter((d) => d.status === DRAFT_STATUS.QUEUED);
+      for (const draft of queued) {
+        if (!(await submitQueuedDraft(draft))) break;
+      }
+    } catch (error) {
+      console.error('Error syncing drafts:', error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  }, [userId, submitQueuedDraft]);
+
+  useEffect(() => {
+    refreshDrafts();
+    refreshServerDrafts();
+  }, [refreshDrafts, refreshServerDrafts]);
+
+  // Send queued drafts when the connection returns (and on start-up)
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueuedDrafts();
+      refreshServerDrafts();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    if (navigator.onLine) syncQueuedDrafts();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncQueuedDrafts, refreshServerDrafts]);
+
+  const hasQueued = drafts.some((d) => d.status === DRAFT_STATUS.QUEUED);
+  useEffect(() => {
+    if (!hasQueued) return;
+    const interval = setInterval(() => {
+      if (navigator.onLine) syncQueuedDrafts();
+    }, SYNC_INTERVAL);
+    return () => clearInterval(interval);
+  }, [hasQueued, syncQueuedDrafts]);
+
+  // Server drafts not on this device yet (e.g. started on another device)
+  const remoteDrafts = useMemo(
+    () => serverDrafts.filter((serverDraft) => !drafts.some((d) => d.serverId === serverDraft.id)),
+    [serverDrafts, drafts]
+  );
+
+  const value = useMemo(
+    () => ({
+      drafts,
+      remoteDrafts,
+      isOnline,
+      syncing,
+      refreshDrafts,
+      refreshServerDrafts,
+      saveDraft,
+      removeDraft,
+      discardDraft,
+      pushDraft,
+      finalizeDraft,
+      syncQueuedDrafts,
+    }),
+    [
+      drafts,
+      remoteDrafts,
+      isOnline,
+      syncing,
+      refreshDrafts,
+      refreshServerDrafts,
+      saveDraft,
+      removeDraft,
+      discardDraft,
+      pushDraft,
+      finalizeDraft,
+      syncQueuedDrafts,
+    ]
+  );
+
+  return <DraftsContext.Provider value={value}>{children}</DraftsContext.Provider>;
+};
+
+export const useDrafts = () => {
+  const context = useContext(DraftsContext);
+  if (!context) {
+    throw new Error('useDrafts must be used within a DraftsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,175 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { useChat } from './ChatContext';
+import { api } from '../lib/api-client';
+
+const NotificationContext = createContext(null);
+
+const PAGE_SIZE = 20;
+
+export const NotificationProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const { subscribeToNotifications } = useChat();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  // Last loaded page (a ref, so loadNotifications keeps its identity while paging)
+  const pageRef = useRef(0);
+  const [hasMore, setHasMore] = useState(true);
+
+  /**
+   * Refresh the unread badge count from the API
+   */
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await api.notifications.getUnreadCount();
+      setUnreadCount(response.data.data.count);
+    } catch (error) {
+      console.error('Error loading unread notification count:', error);
+    }
+  }, []);
+
+  /**
+   * Load a page of notifications
+   * @param {boolean} reset - Start from the first page (replaces the list)
+   */
+  const loadNotifications = useCallback(async (reset = false) => {
+    const nextPage = reset ? 1 : pageRef.current + 1;
+    setLoading(true);
+    try {
+      const response = await api.notifications.list({ page: nextPage, limit: PAGE_SIZE });
+      const { notifications: loaded, unreadCount: count, pagination } = response.data.data;
+
+      setNotifications((prev) => {
+        if (reset) return loaded;
+        const seen = new Set(prev.map((n) => n.id));
+        return [...prev, ...loaded.filter((n) => !seen.has(n.id))];
+      });
+      setUnreadCount(count);
+      pageRef.current = nextPage;
+      setHasMore(nextPage < pagination.totalPages);
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+      toast.error('Failed to load notifications');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Mark a single notification as read
+   * @param {string} id - Notification ID
+   */
+  const markAsRead = useCallback(async (id) => {
+    const target = notifications.find((n) => n.id === id);
+    if (target?.readAt) return;
+
+    setNotifications((prev) =>
+      prev.map((n) => (n.id === id ? { ...n, readAt: new Date().toISOString() } : n))
+    );
+    setUnreadCount((count) => Math.max(count - 1, 0));
+
+    try {
+      await api.notifications.markRead(id);
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      refreshUnreadCount();
+    }
+  }, [notifications, refreshUnreadCount]);
+
+  /**
+   * Mark all notifications as read
+   */
+  const markAllAsRead = useCallback(async () => {
+    const now = new Date().toISOString();
+    setNotifications((prev) => prev.map((n) => (n.readAt ? n : { ...n, readAt: now })));
+    setUnreadCount(0);
+
+    try {
+      await api.notifications.markAllRead();
+    } catch (error) {
+      console.error('Error marking all notifications as read:', error);
+      toast.error('Failed to mark notifications as read');
+      refreshUnreadCount();
+    }
+  }, [refreshUnreadCount]);
+
+  /**
+   * Delete a notification
+   * @param {string} id - Notification ID
+   */
+  const deleteNotification = useCallback(async (id) => {
+    const target = notifications.find((n) => n.id === id);
+    setNotifications((prev) => prev.filter((n) => n.id !== id));
+    if (target && !target.readAt) {
+      setUnreadCount((count) => Math.max(count - 1, 0));
+    }
+
+    try {
+      await api.notifications.delete(id);
+    } catch (error) {
+      console.error('Error deleting notification:', error);
+      toast.error('Failed to delete notification');
+      loadNotifications(true);
+    }
+  }, [notifications, loadNotifications]);
+
+  // Initial unread count on login
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setNotifications([]);
+      setUnreadCount(0);
+      pageRef.current = 0;
+      setHasMore(true);
+      return;
+    }
+    refreshUnreadCount();
+  }, [isAuthenticated, refreshUnreadCount]);
+
+  // Live notifications pushed over the WebSocket
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    return subscribeToNotifications((notification) => {
+      setNotifications((prev) =>
+        prev.some((n) => n.id === notification.id) ? prev : [notification, ...prev]
+      );
+      toast(notification.title, { icon: '🔔' });
+      // Recount rather than increment: queued pushes can be replayed after a reconnect
+      refreshUnreadCount();
+    });
+  }, [isAuthenticated, subscribeToNotifications, refreshUnreadCount]);
+
+  const value = useMemo(() => ({
+    notifications,
+    unreadCount,
+    loading,
+    hasMore,
+    loadNotifications,
+    refreshUnreadCount,
+    markAsRead,
+    markAllAsRead,
+    deleteNotification,
+  }), [
+    notifications,
+    unreadCount,
+    loading,
+    hasMore,
+    loadNotifications,
+    refreshUnreadCount,
+    markAsRead,
+    markAllAsRead,
+    deleteNotification,
+  ]);
+
+  return <NotificationContext.Provider value={value}>{children}</NotificationContext.Provider>;
+};
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
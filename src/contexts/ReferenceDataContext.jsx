@@ -0,0 +1,85 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { api } from '../lib/api-client';
+
+const ReferenceDataContext = createContext(null);
+
+/**
+ * Lists a select/smartselect field can take its options from
+ * (field.optionsSource); anything else uses the field's own `options` array.
+ */
+export const OPTION_SOURCES = [
+  { value: 'categories', label: 'Categories' },
+  { value: 'materials', label: 'Materials' },
+];
+
+export const ReferenceDataProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [lists, setLists] = useState({ categories: [], materials: [] });
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Reload the active categories and materials
+   */
+  const refreshReferenceData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [categories, materials] = await Promise.all([
+        api.categories.list(),
+        api.materials.list(),
+      ]);
+      setLists({
+        categories: categories.data.data,
+        materials: materials.data.data,
+      });
+    } catch (error) {
+      console.error('Error loading categories and materials:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      refreshReferenceData();
+    } else {
+      setLists({ categories: [], materials: [] });
+    }
+  }, [isAuthenticated, refreshReferenceData]);
+
+  /**
+   * Option values for a form field
+   * @param {Object} field - Form field ({ options, optionsSource })
+   * @returns {string[]} - Names from the linked list, or the field's static options
+   */
+  const getFieldOptions = useCallback(
+    (field) => {
+      if (field?.optionsSource && lists[field.optionsSource]) {
+        return lists[field.optionsSource].map((entry) => entry.name);
+      }
+      return field?.options || [];
+    },
+    [lists]
+  );
+
+  const value = useMemo(
+    () => ({
+      categories: lists.categories,
+      materials: lists.materials,
+      loading,
+      refreshReferenceData,
+      getFieldOptions,
+    }),
+    [lists, loading, refreshReferenceData, getFieldOptions]
+  );
+
+  return <ReferenceDataContext.Provider value={value}>{children}</ReferenceDataContext.Provider>;
+};
+
+export const useReferenceData = () => {
+  const context = useContext(ReferenceDataContext);
+  if (!context) {
+    throw new Error('useReferenceData must be used within a ReferenceDataProvider');
+  }
+  return context;
+};
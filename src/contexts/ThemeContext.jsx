@@ -1,26 +1,69 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { STORAGE_KEYS, getFromStorage, saveToStorage } from '../utils/localStorage';
 import { api } from '../lib/api-client';
+import { brandCssVariables, generatePalette } from '../utils/colors';
 
 const ThemeContext = createContext(null);
 
+const DEFAULT_PRIMARY = '#3b82f6';
+
+const DEFAULT_BRANDING = {
+  logo: null,
+  companyName: null,
+  tagline: null,
+  primaryColor: DEFAULT_PRIMARY,
+  secondaryColor: '#8b5cf6',
+  accentColor: '#ec4899',
+  customCss: null,
+  colors: generatePalette(DEFAULT_PRIMARY),
+};
+
+const CUSTOM_CSS_ELEMENT_ID = 'brand-custom-css';
+
+/**
+ * Add the generated primary palette to a branding object
+ */
+const withPalette = (branding) => ({
+  ...branding,
+  colors: generatePalette(branding.primaryColor) || DEFAULT_BRANDING.colors,
+});
+
+/**
+ * Convert the /api/branding response into ThemeContext branding
+ */
+const fromApiBranding = (data) =>
+  withPalette({
+    ...DEFAULT_BRANDING,
+    logo: data?.logoUrl || null,
+    companyName: data?.companyName || null,
+    tagline: data?.tagline || null,
+    primaryColor: data?.primaryColor || DEFAULT_BRANDING.primaryColor,
+    secondaryColor: data?.secondaryColor || DEFAULT_BRANDING.secondaryColor,
+    accentColor: data?.accentColor || DEFAULT_BRANDING.accentColor,
+    customCss: data?.customCss || null,
+  });
+
+/**
+ * Apply brand colors as CSS variables and inject custom CSS
+ */
+const applyBranding = (branding) => {
+  const root = document.documentElement;
+  Object.entries(brandCssVariables(branding)).forEach(([name, value]) => {
+    if (value) root.style.setProperty(name, value);
+  });
+
+  let style = document.getElementById(CUSTOM_CSS_ELEMENT_ID);
+  if (!style) {
+    style = document.createElement('style');
+    style.id = CUSTOM_CSS_ELEMENT_ID;
+    document.head.appendChild(style);
+  }
+  style.textContent = branding.customCss || '';
+};
+
 export const ThemeProvider = ({ children }) => {
   const [theme, setTheme] = useState('light');
-  const [branding, setBranding] = useState({
-    logo: null,
-    colors: {
-      primary50: '#eff6ff',
-      primary100: '#dbeafe',
-      primary200: '#bfdbfe',
-      primary300: '#93c5fd',
-      primary400: '#60a5fa',
-      primary500: '#3b82f6',
-      primary600: '#2563eb',
-      primary700: '#1d4ed8',
-      primary800: '#1e40af',
-      primary900: '#1e3a8a',
-    },
-  });
+  const [branding, setBranding] = useState(DEFAULT_BRANDING);
 
   useEffect(() => {
     // Load theme from localStorage
@@ -28,12 +71,22 @@ export const ThemeProvider = ({ children }) => {
     setTheme(savedTheme);
     applyTheme(savedTheme);
 
-    // Load branding from localStorage
+    // Apply cached branding immediately, then refresh from the API
     const savedBranding = getFromStorage(STORAGE_KEYS.BRANDING);
     if (savedBranding) {
-      setBranding(savedBranding);
-      applyBrandColors(savedBranding.colors);
+      setBranding({ ...DEFAULT_BRANDING, ...savedBranding });
+      applyBranding({ ...DEFAULT_BRANDING, ...savedBranding });
     }
+
+    api.branding
+      .get()
+      .then((response) => {
+        const loaded = fromApiBranding(response.data.data);
+        setBranding(loaded);
+        saveToStorage(STORAGE_KEYS.BRANDING, loaded);
+        applyBranding(loaded);
+      })
+      .catch((error) => console.error('Error loading branding:', error));
   }, []);
 
   const applyTheme = (newTheme) => {
@@ -44,14 +97,6 @@ export const ThemeProvider = ({ children }) => {
     }
   };
 
-  const applyBrandColors = (colors) => {
-    const root = document.documentElement;
-    Object.entries(colors).forEach(([key, value]) => {
-      const cssVarName = `--color-${key.replace(/([A-Z])/g, '-$1').toLowerCase()}`;
-      root.style.setProperty(cssVarName, value);
-    });
-  };
-
   const toggleTheme = async () => {
     const newTheme = theme === 'light' ? 'dark' : 'light';
     setTheme(newTheme);
@@ -78,13 +123,40 @@ export const ThemeProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Apply branding changes locally (palette is regenerated from primaryColor)
+   */
   const updateBranding = (newBranding) => {
-    const updated = { ...branding, ...newBranding };
+    const updated = withPalette({ ...branding, ...newBranding });
     setBranding(updated);
     saveToStorage(STORAGE_KEYS.BRANDING, updated);
-    if (newBranding.colors) {
-      applyBrandColors(newBranding.colors);
-    }
+    applyBranding(updated);
+  };
+
+  /**
+   * Save branding fields to the API and apply the result
+   * @param {Object} changes - { companyName, tagline, primaryColor, secondaryColor, accentColor, customCss, logoUrl }
+   */
+  const saveBranding = async (changes) => {
+    const response = await api.branding.update(changes);
+    const saved = fromApiBranding(response.data.data);
+    setBranding(saved);
+    saveToStorage(STORAGE_KEYS.BRANDING, saved);
+    applyBranding(saved);
+    return saved;
+  };
+
+  /**
+   * Upload a new logo and apply it
+   * @param {File} file - PNG, JPEG or WebP image
+   */
+  const uploadLogo = async (file) => {
+    const response = await api.branding.uploadLogo(file);
+    const saved = fromApiBranding(response.data.data);
+    setBranding(saved);
+    saveToStorage(STORAGE_KEYS.BRANDING, saved);
+    applyBranding(saved);
+    return saved;
   };
 
   const value = {
@@ -93,6 +165,8 @@ export const ThemeProvider = ({ children }) => {
     setThemeFromPreference,
     branding,
     updateBranding,
+    saveBranding,
+    uploadLogo,
     isDark: theme === 'dark',
   };
 
@@ -8,6 +8,12 @@ import axios, { AxiosInstance, AxiosError } from 'axios';
 // Get base URL from environment variable
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
 
+// File access token for /files URLs ({ token, expiresAt }, see api.files)
+const FILE_ACCESS_STORAGE_KEY = 'fileAccessToken';
+
+// Fetch a new file access token when the stored one expires within this time
+const FILE_ACCESS_RENEW_BEFORE = 6 * 60 * 60 * 1000; // 6 hours
+
 // Create axios instance
 const apiClient: AxiosInstance = axios.create({
   baseURL: API_BASE_URL,
@@ -36,6 +42,7 @@ apiClient.interceptors.response.use(
     // Handle 401 - Unauthorized (invalid/expired token)
     if (error.response?.status === 401) {
       localStorage.removeItem('authToken');
+      localStorage.removeItem(FILE_ACCESS_STORAGE_KEY);
       localStorage.removeItem('cgiworkflo_current_user');
       if (window.location.pathname !== '/') {
         window.location.href = '/';
@@ -61,10 +68,73 @@ apiClient.interceptors.response.use(
   }
 );
 
+// ============================================================================
+// FILE ACCESS
+// ============================================================================
+
+const getStoredFileAccess = (): { token: string; expiresAt: string } | null => {
+  try {
+    return JSON.parse(localStorage.getItem(FILE_ACCESS_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Add the file access token to a /files URL
+ * Files are loaded by <img> tags and links, which cannot send the
+ * Authorization header; other URLs are returned unchanged.
+ * @param url Absolute or relative URL, e.g. a chat attachment's url
+ */
+const withFileAccess = (url: string): string => {
+  const access = getStoredFileAccess();
+  if (!url || !access || !url.includes('/files/')) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}access=${encodeURIComponent(access.token)}`;
+};
+
 // ============================================================================
 // API METHODS
 // ============================================================================
 
+interface ReferenceListEntry {
+  name?: string;
+  displayOrder?: number;
+  isActive?: boolean;
+}
+
+/**
+ * CRUD methods for a reference list (categories, materials)
+ * @param path API path, e.g. '/categories'
+ */
+const referenceListApi = (path: string) => ({
+  /**
+   * List entries in display order
+   * @param includeInactive Include retired entries
+   */
+  list: (includeInactive = false) =>
+    apiClient.get(path, { params: includeInactive ? { includeInactive: true } : undefined }),
+  create: (data: ReferenceListEntry & { name: string }) => apiClient.post(path, data),
+  update: (id: string, data: ReferenceListEntry) => apiClient.put(`${path}/${id}`, data),
+  /**
+   * Set display order from an ordered list of ids
+   * @param ids Entry ids in their new order
+   */
+  reorder: (ids: string[]) => apiClient.put(`${path}/reorder`, { ids }),
+  delete: (id: string) => apiClient.delete(`${path}/${id}`),
+});
+
+interface AnalyticsFilters {
+  dateFrom?: string;
+  dateTo?: string;
+  franchiseId?: string;
+}
+
+interface ReportOptions {
+  timeZone?: string;
+  area?: 'sqft' | 'sqm';
+  liquid?: 'ml' | 'oz' | 'l' | 'gal';
+}
+
 export const api = {
   // Authentication
   auth: {
@@ -96,8 +166,81 @@ export const api = {
 
   // Custom Forms
   customForms: {
-    getActive: () => apiClient.get('/custom-forms/active'),
+    /**
+     * List forms (summary without schema)
+     * @param includeArchived Also return archived forms (admin/manager only)
+     */
+    list: (includeArchived = false) =>
+      apiClient.get('/custom-forms', { params: includeArchived ? { includeArchived: true } : undefined }),
+
+    get: (id: string) => apiClient.get(`/custom-forms/${id}`),
+
+    /**
+     * Get the form to use for a submission
+     * @param category Prefer the form assigned to this category (falls back to the default form)
+     */
+    getActive: (category?: string) =>
+      apiClient.get('/custom-forms/active', { params: category ? { category } : undefined }),
+
+    create: (data: {
+      name: string;
+      description?: string;
+      appliesToCategory?: string | null;
+      form_schema: any;
+    }) => apiClient.post('/custom-forms', data),
+
+    update: (id: string, data: { name?: string; description?: string; appliesToCategory?: string | null }) =>
+      apiClient.put(`/custom-forms/${id}`, data),
+
+    /**
+     * Save the form builder's work in progress (not used for submissions until published)
+     * @param id Form ID
+     * @param schema Draft form schema
+     */
+    saveDraft: (id: string, schema: any) => apiClient.put(`/custom-forms/${id}/draft`, { form_schema: schema }),
+
+    discardDraft: (id: string) => apiClient.delete(`/custom-forms/${id}/draft`),
+
+    /**
+     * Publish the draft as the form's next version
+     * @param id Form ID
+     * @param changeNote Changelog message shown in the version history
+     */
+    publish: (id: string, changeNote: string) => apiClient.post(`/custom-forms/${id}/publish`, { changeNote }),
+
+    /**
+     * Republish the schema of an earlier version as a new version
+     * @param id Form ID
+     * @param version Version to roll back to
+     * @param changeNote Optional changelog message
+     */
+    rollback: (id: string, version: number, changeNote?: string) =>
+      apiClient.post(`/custom-forms/${id}/rollback`, { version, changeNote }),
+
+    clone: (id: string, data?: { name?: string; appliesToCategory?: string | null }) =>
+      apiClient.post(`/custom-forms/${id}/clone`, data || {}),
+
+    archive: (id: string) => apiClient.post(`/custom-forms/${id}/archive`),
+
+    restore: (id: string) => apiClient.post(`/custom-forms/${id}/restore`),
+
+    /**
+     * List a form's schema versions (newest first)
+     * @param id Form ID
+     */
+    listVersions: (id: string) => apiClient.get(`/custom-forms/${id}/versions`),
 
+    /**
+     * Get the schema of one form version (e.g. the one an AAR was submitted on)
+     * @param id Form ID
+     * @param version Version number
+     */
+    getVersion: (id: string, version: string | number) =>
+      apiClient.get(`/custom-forms/${id}/versions/${version}`),
+
+    /**
+     * Create the default form on first-time setup (later changes go through saveDraft and publish)
+     */
     updateActive: (schema: any, name?: string, description?: string) =>
       apiClient.put('/custom-forms/active', {
         form_schema: schema,
@@ -126,6 +269,7 @@ export const api = {
     /**
      * Create new AAR with form data and photos
      * @param formData FormData object containing form data, formId, formVersion, photos, and photoMetadata
+     *   (or uploads: IDs of completed upload sessions by field, see uploads.sessions)
      * @param config Optional axios config for upload progress tracking
      */
     create: (formData: FormData, config?: any) =>
@@ -135,17 +279,307 @@ export const api = {
       }),
 
     /**
-     * Update existing AAR (not yet implemented on backend)
+     * Update existing AAR (previous version is kept as a revision)
+     * @param id AAR ID
+     * @param data { formData, changeNote? }
+     */
+    update: (id: string, data: { formData: Record<string, any>; changeNote?: string }) =>
+      apiClient.put(`/aars/${id}`, data),
+
+    /**
+     * Get previous versions of an AAR, oldest first
+     * @param id AAR ID
+     */
+    getRevisions: (id: string) => apiClient.get(`/aars/${id}/revisions`),
+
+    /**
+     * Cast or switch the current user's vote on an AAR
+     * @param id AAR ID
+     * @param voteType 'upvote' or 'downvote'
+     * @param reason Optional reason for the vote
+     */
+    vote: (id: string, voteType: 'upvote' | 'downvote', reason?: string) =>
+      apiClient.put(`/aars/${id}/votes`, { voteType, reason }),
+
+    /**
+     * Retract the current user's vote on an AAR
      * @param id AAR ID
-     * @param data Updated data
      */
-    update: (id: string, data: any) => apiClient.put(`/aars/${id}`, data),
+    retractVote: (id: string) => apiClient.delete(`/aars/${id}/votes`),
 
     /**
      * Soft delete AAR
      * @param id AAR ID
      */
     delete: (id: string) => apiClient.delete(`/aars/${id}`),
+
+    /**
+     * Download an AAR as a PDF job report (response data is a Blob)
+     * @param id AAR ID
+     * @param options timeZone for dates; area/liquid units (default: the user's preferences)
+     */
+    downloadReport: (id: string, options?: ReportOptions) =>
+      apiClient.get(`/aars/reports/${id}`, { params: options, responseType: 'blob', timeout: 120000 }),
+
+    /**
+     * Download several AARs (up to 20, 60 photos in total) as PDF job reports in a ZIP (response data is a Blob)
+     * @param ids AAR IDs
+     */
+    downloadReports: (ids: string[], options?: ReportOptions) =>
+      apiClient.post('/aars/reports', { ids, ...options }, { responseType: 'blob', timeout: 300000 }),
+  },
+
+  // Photos of a submitted AAR (owner, admin, or manager); each call returns
+  // the AAR's photos grouped by field path
+  aarPhotos: {
+    /**
+     * Add files to a file field
+     * @param aarId AAR ID
+     * @param fieldId Field path, e.g. afterPhotos or damageAreas.0.photos
+     * @param uploads IDs of completed upload sessions (see uploads.sessions)
+     */
+    add: (aarId: string, fieldId: string, uploads: string[]) =>
+      apiClient.post(`/aars/${aarId}/photos`, { fieldId, uploads }),
+
+    /**
+     * Reorder a field's photos
+     * @param photoIds Every photo of the field, in the new order
+     */
+    reorder: (aarId: string, fieldId: string, photoIds: string[]) =>
+      apiClient.put(`/aars/${aarId}/photos/order`, { fieldId, photoIds }),
+
+    /**
+     * Set a photo's caption (null removes it)
+     */
+    setCaption: (aarId: string, photoId: string, caption: string | null) =>
+      apiClient.patch(`/aars/${aarId}/photos/${photoId}`, { caption }),
+
+    /**
+     * Pair two photos of different fields (null removes the pair)
+     * @param role The photo's side of the pair (needed when both photos are of the same kind)
+     */
+    setPair: (aarId: string, photoId: string, pairedPhotoId: string | null, role?: 'before' | 'after') =>
+      apiClient.put(`/aars/${aarId}/photos/${photoId}/pair`, { pairedPhotoId, role }),
+
+    /**
+     * Replace a photo's file
+     * @param upload ID of a completed upload session
+     */
+    replace: (aarId: string, photoId: string, upload: string) =>
+      apiClient.put(`/aars/${aarId}/photos/${photoId}/file`, { upload }),
+
+    /**
+     * Delete a photo and its files
+     */
+    delete: (aarId: string, photoId: string) => apiClient.delete(`/aars/${aarId}/photos/${photoId}`),
+  },
+
+  // AAR drafts stored on the server (continue an AAR on another device)
+  aarDrafts: {
+    /**
+     * List the current user's drafts (most recently changed first)
+     */
+    list: () => apiClient.get('/aars/drafts'),
+
+    /**
+     * Get a draft with its photos
+     * @param id Draft ID
+     */
+    get: (id: string) => apiClient.get(`/aars/drafts/${id}`),
+
+    /**
+     * Start a draft
+     * @param data { formId?, formVersion?, formData? }
+     */
+    create: (data: { formId?: string; formVersion?: string | number; formData?: Record<string, any> }) =>
+      apiClient.post('/aars/drafts', data),
+
+    /**
+     * Save a draft (not validated until it is finalized)
+     * @param id Draft ID
+     * @param data { formId?, formVersion?, formData?, photoLayout? } - photoLayout maps field paths
+     *   to photo IDs in order; photos it leaves out are deleted
+     */
+    update: (
+      id: string,
+      data: {
+        formId?: string;
+        formVersion?: string | number;
+        formData?: Record<string, any>;
+        photoLayout?: Record<string, string[]>;
+      }
+    ) => apiClient.put(`/aars/drafts/${id}`, data),
+
+    /**
+     * Upload a photo or file to a draft
+     * @param id Draft ID
+     * @param fieldId Field path the file belongs to
+     * @param file File to upload
+     */
+    uploadPhoto: (id: string, fieldId: string, file: File) => {
+      const formData = new FormData();
+      formData.append('fieldId', fieldId);
+      formData.append('file', file);
+      return apiClient.post(`/aars/drafts/${id}/photos`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+    },
+
+    /**
+     * Submit a draft as an AAR (runs full validation; the draft is deleted on success)
+     * @param id Draft ID
+     * @param data Optional changes to save first (same as update)
+     */
+    finalize: (id: string, data?: Record<string, any>) => apiClient.post(`/aars/drafts/${id}/finalize`, data || {}),
+
+    delete: (id: string) => apiClient.delete(`/aars/drafts/${id}`),
+  },
+
+  // AAR Comments
+  comments: {
+    /**
+     * List comments on an AAR (flat, oldest first; build the thread from parent_comment_id)
+     * @param aarId AAR ID
+     */
+    list: (aarId: string) => apiClient.get(`/aars/${aarId}/comments`),
+
+    /**
+     * Add a comment or reply
+     * @param aarId AAR ID
+     * @param data { content, parentCommentId? } - content may contain @[Name](userId) mentions
+     */
+    create: (aarId: string, data: { content: string; parentCommentId?: string | null }) =>
+      apiClient.post(`/aars/${aarId}/comments`, data),
+
+    /**
+     * Edit own comment
+     * @param aarId AAR ID
+     * @param commentId Comment ID
+     * @param content New content
+     */
+    update: (aarId: string, commentId: string, content: string) =>
+      apiClient.put(`/aars/${aarId}/comments/${commentId}`, { content }),
+
+    /**
+     * Soft delete comment
+     * @param aarId AAR ID
+     * @param commentId Comment ID
+     */
+    delete: (aarId: string, commentId: string) =>
+      apiClient.delete(`/aars/${aarId}/comments/${commentId}`),
+
+    /**
+     * Toggle the current user's emoji reaction on a comment
+     * @param aarId AAR ID
+     * @param commentId Comment ID
+     * @param emoji Reaction emoji
+     */
+    toggleReaction: (aarId: string, commentId: string, emoji: string) =>
+      apiClient.post(`/aars/${aarId}/comments/${commentId}/reactions`, { emoji }),
+  },
+
+  // Notifications
+  notifications: {
+    /**
+     * List notifications (newest first)
+     * @param params { page, limit, unreadOnly }
+     */
+    list: (params?: { page?: number; limit?: number; unreadOnly?: boolean }) =>
+      apiClient.get('/notifications', { params }),
+    getUnreadCount: () => apiClient.get('/notifications/unread-count'),
+    markRead: (id: string) => apiClient.patch(`/notifications/${id}/read`),
+    markAllRead: () => apiClient.patch('/notifications/read-all'),
+    delete: (id: string) => apiClient.delete(`/notifications/${id}`),
+  },
+
+  // Branding
+  branding: {
+    get: () => apiClient.get('/branding'),
+
+    /**
+     * Update branding (admin/manager only)
+     * @param data Any of { companyName, tagline, primaryColor, secondaryColor, accentColor, customCss, logoUrl: null }
+     */
+    update: (data: {
+      companyName?: string | null;
+      tagline?: string | null;
+      primaryColor?: string;
+      secondaryColor?: string;
+      accentColor?: string;
+      customCss?: string | null;
+      logoUrl?: null;
+    }) => apiClient.put('/branding', data),
+
+    /**
+     * Upload a new logo (PNG, JPEG or WebP, max 2MB)
+     * @param file Logo image
+     */
+    uploadLogo: (file: File) => {
+      const formData = new FormData();
+      formData.append('logo', file);
+      return apiClient.post('/branding/logo', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+    },
+  },
+
+  // Reference lists (read: authenticated, update: admin/manager)
+  categories: referenceListApi('/categories'),
+  materials: referenceListApi('/materials'),
+
+  // Franchise visibility policy
+  visibilityPolicy: {
+    get: () => apiClient.get('/visibility-policy'),
+    update: (policy: { aars?: string; users?: string; conversations?: string }) =>
+      apiClient.put('/visibility-policy', policy),
+  },
+
+  // Access to stored files (/files URLs)
+  files: {
+    getAccessToken: () => apiClient.get('/files/access-token'),
+
+    /**
+     * Fetch a file access token unless the stored one is valid for a while yet
+     * @returns The token file URLs now carry
+     */
+    ensureAccessToken: async (): Promise<string> => {
+      const access = getStoredFileAccess();
+      if (access && new Date(access.expiresAt).getTime() - Date.now() > FILE_ACCESS_RENEW_BEFORE) {
+        return access.token;
+      }
+      const response = await apiClient.get('/files/access-token');
+      localStorage.setItem(FILE_ACCESS_STORAGE_KEY, JSON.stringify(response.data.data));
+      return response.data.data.token;
+    },
+
+    /**
+     * Stored token if it has not expired (null otherwise)
+     */
+    getStoredAccessToken: (): string | null => {
+      const access = getStoredFileAccess();
+      return access && new Date(access.expiresAt).getTime() > Date.now() ? access.token : null;
+    },
+
+    clearAccessToken: () => localStorage.removeItem(FILE_ACCESS_STORAGE_KEY),
+
+    withAccess: withFileAccess,
+
+    // Serving AAR photos / chat attachments without a token (admin only)
+    getPublicAccess: () => apiClient.get('/files/public-access'),
+    updatePublicAccess: (access: { aar_photos?: boolean; chat_attachments?: boolean }) =>
+      apiClient.put('/files/public-access', access),
+  },
+
+  // Analytics (admin/manager only)
+  // All endpoints accept filters: { dateFrom, dateTo, franchiseId } (dates as YYYY-MM-DD)
+  analytics: {
+    getSummary: (filters?: AnalyticsFilters) => apiClient.get('/analytics/summary', { params: filters }),
+    getBreakdowns: (filters?: AnalyticsFilters) =>
+      apiClient.get('/analytics/breakdowns', { params: filters }),
+    getSubmissions: (filters?: AnalyticsFilters & { interval?: 'day' | 'week' | 'month' }) =>
+      apiClient.get('/analytics/submissions', { params: filters }),
+    getTopContributors: (filters?: AnalyticsFilters & { limit?: number }) =>
+      apiClient.get('/analytics/top-contributors', { params: filters }),
   },
 
   // Users
@@ -210,6 +644,59 @@ export const api = {
         ...config, // ADDED: Allow passing onUploadProgress and other axios config
       });
     },
+    /**
+     * Resumable uploads (AAR photos): start a session, send the file in parts,
+     * then complete it and reference the session ID when creating the AAR
+     */
+    sessions: {
+      /**
+       * Start uploading a file
+       * @returns The session with partSize and partCount
+       */
+      create: (data: { filename: string; mimeType: string; size: number }) =>
+        apiClient.post('/uploads/sessions', data),
+
+      /**
+       * Get a session with the parts received so far (to resume)
+       * @param id Session ID
+       */
+      get: (id: string) => apiClient.get(`/uploads/sessions/${id}`),
+
+      /**
+       * Upload one part of the file
+       * @param id Session ID
+       * @param partNumber 1-based part number
+       * @param chunk The part's bytes (partSize, the last part is shorter)
+       * @param config Optional axios config (e.g. onUploadProgress)
+       */
+      uploadPart: (id: string, partNumber: number, chunk: Blob, config?: any) =>
+        apiClient.put(`/uploads/sessions/${id}/parts/${partNumber}`, chunk, {
+          headers: { 'Content-Type': 'application/octet-stream' },
+          timeout: 120000, // A part is several MB; slow connections need longer than the default
+          ...config,
+        }),
+
+      /**
+       * Finish the upload once every part has been sent
+       * @param id Session ID
+       */
+      complete: (id: string) => apiClient.post(`/uploads/sessions/${id}/complete`),
+
+      /**
+       * Cancel an upload
+       * @param id Session ID
+       */
+      abort: (id: string) => apiClient.delete(`/uploads/sessions/${id}`),
+    },
+
+    /**
+     * URL of a stored file (served by the API's /files route, with the file access token)
+     * @param key R2 object key, e.g. an entry of an AAR's _photoUrls
+     * @param size Rendition of an AAR photo: 'thumbnail' (list cards) or 'medium' (detail
+     *   views); omit for the original. Files without renditions are served as stored.
+     */
+    fileUrl: (key: string, size?: 'thumbnail' | 'medium') =>
+      withFileAccess(`${API_BASE_URL.replace(/\/api\/?$/, '')}/files/${key}${size ? `?size=${size}` : ''}`),
   },
 };
 
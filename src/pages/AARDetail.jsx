@@ -2,50 +2,180 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { useAAR } from '../contexts/AARContext';
 import { useAuth } from '../contexts/AuthContext';
-import { useState, useEffect } from 'react';
-import { ThumbsUp, ThumbsDown, Eye, ArrowLeft, MessageCircle } from 'lucide-react';
-import { displayArea, displayLiquid } from '../utils/units';
+import { useState, useEffect, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { ThumbsUp, ThumbsDown, Eye, ArrowLeft, MessageCircle, History, ChevronDown, ChevronUp, FileDown, Loader } from 'lucide-react';
+import { formatLocalTime } from '../utils/timezone';
+import { diffFormData, fieldIdToLabel } from '../utils/aarRevisions';
+import { getFieldLabels } from '../utils/formValues';
+import { api } from '../lib/api-client';
+import CommentThread from '../components/aar/CommentThread';
+import AARFormData from '../components/aar/AARFormData';
+import AARPhotoManager from '../components/aar/AARPhotoManager';
+import BeforeAfterCompare from '../components/aar/BeforeAfterCompare';
+import { getFieldImages, getPhotoPairs } from '../utils/photoPairs';
+import { downloadAARReport } from '../utils/reports';
 
 const AARDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { t } = useTranslation();
-  const { getAAR, incrementViews, upvoteAAR, downvoteAAR, addComment } = useAAR();
+  const { getAAR, getAARRevisions, incrementViews, upvoteAAR, downvoteAAR, retractVote } = useAAR();
   const { currentUser } = useAuth();
   const [aar, setAAR] = useState(null);
-  const [comment, setComment] = useState('');
+  const [photos, setPhotos] = useState({}); // Photo rows by field path
+  const [formSchema, setFormSchema] = useState(undefined); // undefined = loading, null = unavailable
+  const [showHistory, setShowHistory] = useState(false);
+  const [revisions, setRevisions] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [voting, setVoting] = useState(false);
+  const [voteReason, setVoteReason] = useState('');
+  const [downloading, setDownloading] = useState(false);
 
   useEffect(() => {
     const loadAAR = async () => {
       const aarData = await getAAR(id);
       if (aarData) {
         setAAR(aarData.aar);  // Extract the aar object from { aar, photos }
+        setPhotos(aarData.photos || {});
+        setVoteReason(aarData.aar.user_vote?.reason || '');
         incrementViews(id);
       }
     };
     loadAAR();
+    setVoteReason('');
+    setShowHistory(false);
+    setRevisions(null);
+    setSelectedVersion(null);
   }, [id]);
 
-  const handleUpvote = () => {
-    upvoteAAR(id);
-    setAAR({ ...aar, upvotes: aar.upvotes + 1 });
-  };
+  // Load the form schema version this AAR was submitted on
+  const formId = aar?.form_id;
+  const formVersion = aar?.form_version;
+  useEffect(() => {
+    if (!formId) return;
+
+    let cancelled = false;
+    setFormSchema(undefined);
+    api.customForms
+      .getVersion(formId, formVersion)
+      .then((response) => !cancelled && setFormSchema(response.data.form.schema))
+      .catch((error) => {
+        console.error('Error loading form version:', error);
+        if (!cancelled) setFormSchema(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [formId, formVersion]);
+
+  const fieldLabels = useMemo(() => getFieldLabels(formSchema), [formSchema]);
+
+  // Load revision history the first time it is opened
+  useEffect(() => {
+    if (!showHistory || revisions !== null) return;
+
+    const loadRevisions = async () => {
+      try {
+        setHistoryError(null);
+        setRevisions(await getAARRevisions(id));
+      } catch (err) {
+        setHistoryError(err.message);
+      }
+    };
+    loadRevisions();
+  }, [showHistory, revisions, id]);
+
+  // All versions of the AAR, oldest first; the live AAR is the last one
+  const versions = useMemo(() => {
+    if (!aar || !revisions) return [];
+
+    const past = revisions.map((revision, index) => ({
+      number: revision.revision_number,
+      formData: revision.form_data,
+      authorName: revision.authored_by_name,
+      at: revision.authored_at,
+      changeNote: index > 0 ? revisions[index - 1].change_note : null,
+    }));
+
+    return [
+      ...past,
+      {
+        number: past.length + 1,
+        formData: aar.form_data,
+        authorName: aar.edited_by_name || aar.user_name,
+        at: aar.edited_at || aar.created_at,
+        changeNote: revisions.length > 0 ? revisions[revisions.length - 1].change_note : null,
+        current: true,
+      },
+    ];
+  }, [aar, revisions]);
+
+  const selectedIndex = versions.findIndex((v) => v.number === selectedVersion);
+  const activeIndex = selectedIndex === -1 ? versions.length - 1 : selectedIndex;
+  const versionChanges =
+    activeIndex > 0
+      ? diffFormData(versions[activeIndex - 1].formData, versions[activeIndex].formData)
+      : [];
 
-  const handleDownvote = () => {
-    downvoteAAR(id);
-    setAAR({ ...aar, downvotes: aar.downvotes + 1 });
+  const currentVote = aar?.user_vote?.vote_type || null;
+
+  /**
+   * Clicking the active vote retracts it, clicking the other one switches it
+   */
+  const handleVote = async (voteType) => {
+    if (voting) return;
+    setVoting(true);
+    try {
+      const result =
+        currentVote === voteType
+          ? await retractVote(id)
+          : voteType === 'upvote'
+            ? await upvoteAAR(id, voteReason)
+            : await downvoteAAR(id, voteReason);
+      setAAR((prev) => ({
+        ...prev,
+        upvotes: result.upvotes,
+        downvotes: result.downvotes,
+        user_vote: result.vote,
+      }));
+      if (!result.vote) setVoteReason('');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setVoting(false);
+    }
   };
 
-  const handleAddComment = (e) => {
+  const handleSaveVoteReason = async (e) => {
     e.preventDefault();
-    if (comment.trim()) {
-      addComment(id, {
-        userId: currentUser.id,
-        userName: currentUser.name,
-        content: comment,
-      });
-      setComment('');
-      setAAR({ ...aar, comments: [...(aar.comments || []), { content: comment }] });
+    if (!currentVote || voting) return;
+    setVoting(true);
+    try {
+      const result =
+        currentVote === 'upvote'
+          ? await upvoteAAR(id, voteReason)
+          : await downvoteAAR(id, voteReason);
+      setAAR((prev) => ({ ...prev, user_vote: result.vote }));
+      toast.success('Reason saved');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setVoting(false);
+    }
+  };
+
+  const handleDownloadPdf = async () => {
+    setDownloading(true);
+    try {
+      await downloadAARReport(id);
+    } catch (err) {
+      console.error('Error downloading report:', err);
+      toast.error('Failed to create the PDF');
+    } finally {
+      setDownloading(false);
     }
   };
 
@@ -57,6 +187,15 @@ const AARDetail = () => {
     );
   }
 
+  // Compare paired photos; with only one side uploaded, show the first image of each
+  const photoPairs = getPhotoPairs(photos);
+  const beforePhoto = getFieldImages(photos, 'before')[0];
+  const afterPhoto = getFieldImages(photos, 'after')[0];
+
+  // Same rule as editing the AAR: owner, admin, or manager
+  const canEditPhotos =
+    aar.user_id === currentUser?.id || currentUser?.role === 'admin' || currentUser?.role === 'manager';
+
   return (
     <div className="max-w-4xl mx-auto space-y-4 md:space-y-6">
       <button
@@ -70,9 +209,19 @@ const AARDetail = () => {
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-hidden">
         {/* Header */}
         <div className="p-6 border-b border-gray-200 dark:border-gray-700">
-          <h1 className="text-xl md:text-2xl font-bold text-gray-900 dark:text-white">
-            {aar.category} - {aar.subCategory} {aar.model}
-          </h1>
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-xl md:text-2xl font-bold text-gray-900 dark:text-white">
+              {aar.category} - {aar.subCategory} {aar.model}
+            </h1>
+            <button
+              onClick={handleDownloadPdf}
+              disabled={downloading}
+              className="flex-shrink-0 flex items-center px-3 py-2 rounded-lg text-sm font-medium bg-primary-50 dark:bg-primary-900/20 text-primary-600 dark:text-primary-400 hover:bg-primary-100 dark:hover:bg-primary-900/30 transition-colors disabled:opacity-50"
+            >
+              {downloading ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <FileDown className="w-4 h-4 mr-2" />}
+              {t('aar.downloadPdf')}
+            </button>
+          </div>
           <div className="flex items-center space-x-4 mt-2 text-sm text-gray-600 dark:text-gray-400">
             <span>{aar.year}</span>
             <span>•</span>
@@ -84,181 +233,234 @@ const AARDetail = () => {
               <Eye className="w-4 h-4 mr-1" />
               {aar.views || 0}
             </span>
+            {aar.edited_at && (
+              <>
+                <span>•</span>
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="italic hover:underline"
+                  title={`Edited ${formatLocalTime(aar.edited_at)}${aar.edited_by_name ? ` by ${aar.edited_by_name}` : ''}`}
+                >
+                  Edited
+                </button>
+              </>
+            )}
           </div>
         </div>
 
-        {/* Photos */}
-        {aar.photos && (
+        {/* Photos (medium renditions; click for the original) */}
+        {photoPairs.length > 0 ? (
+          <div className="p-6 bg-gray-50 dark:bg-gray-900/50">
+            <BeforeAfterCompare pairs={photoPairs} />
+          </div>
+        ) : (beforePhoto || afterPhoto) && (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-6 bg-gray-50 dark:bg-gray-900/50">
-            <div>
-              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                {t('aar.before')}
-              </h3>
-              <div className="aspect-video bg-gray-200 dark:bg-gray-700 rounded-lg overflow-hidden">
-                {aar.photos.before?.[0] && (
-                  <img
-                    src={aar.photos.before[0]}
-                    alt="Before"
-                    className="w-full h-full object-cover"
-                  />
-                )}
-              </div>
-            </div>
-            <div>
-              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                {t('aar.after')}
-              </h3>
-              <div className="aspect-video bg-gray-200 dark:bg-gray-700 rounded-lg overflow-hidden">
-                {aar.photos.after?.[0] && (
-                  <img
-                    src={aar.photos.after[0]}
-                    alt="After"
-                    className="w-full h-full object-cover"
-                  />
-                )}
+            {[
+              { label: t('aar.before'), photo: beforePhoto },
+              { label: t('aar.after'), photo: afterPhoto },
+            ].map(({ label, photo }) => (
+              <div key={label}>
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{label}</h3>
+                <div className="aspect-video bg-gray-200 dark:bg-gray-700 rounded-lg overflow-hidden">
+                  {photo && (
+                    <a href={api.uploads.fileUrl(photo.r2_key)} target="_blank" rel="noopener noreferrer">
+                      <img
+                        src={api.uploads.fileUrl(photo.r2_key, 'medium')}
+                        alt={label}
+                        width={photo.width || undefined}
+                        height={photo.height || undefined}
+                        className="w-full h-full object-cover"
+                      />
+                    </a>
+                  )}
+                </div>
               </div>
-            </div>
+            ))}
           </div>
         )}
 
-        {/* Details */}
-        <div className="p-6 space-y-4 md:space-y-6">
-          <div>
-            <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-              Damage Information
-            </h3>
-            <div className="grid grid-cols-2 gap-4 text-sm">
-              <div>
-                <span className="text-gray-600 dark:text-gray-400">Damage Type:</span>
-                <span className="ml-2 text-gray-900 dark:text-white">{aar.damageType}</span>
-              </div>
-              <div>
-                <span className="text-gray-600 dark:text-gray-400">Job Type:</span>
-                <span className="ml-2 text-gray-900 dark:text-white">{aar.jobType}</span>
-              </div>
-            </div>
-            <p className="text-gray-900 dark:text-white mt-2">{aar.damageDescription}</p>
-          </div>
+        {/* Details (rendered with the schema version the AAR was submitted on) */}
+        {formSchema !== undefined && <AARFormData schema={formSchema} formData={aar.form_data} />}
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-              Repair Process
-            </h3>
-            <p className="text-gray-900 dark:text-white whitespace-pre-line">
-              {aar.processDescription}
-            </p>
-          </div>
+        {/* Photos and files by field (editable by the owner, admins and managers) */}
+        {formSchema !== undefined && (
+          <AARPhotoManager
+            aarId={aar.id}
+            schema={formSchema}
+            formData={aar.form_data}
+            photos={photos}
+            onPhotosChange={setPhotos}
+            canEdit={canEditPhotos}
+          />
+        )}
 
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-            <div>
-              <span className="text-gray-600 dark:text-gray-400 block">Repair Time</span>
-              <span className="text-gray-900 dark:text-white">{aar.repairTime} hours</span>
-            </div>
-            <div>
-              <span className="text-gray-600 dark:text-gray-400 block">Area</span>
-              <span className="text-gray-900 dark:text-white">{displayArea(aar.area)}</span>
-            </div>
-            <div>
-              <span className="text-gray-600 dark:text-gray-400 block">Liquid Used</span>
-              <span className="text-gray-900 dark:text-white">{displayLiquid(aar.liquid)}</span>
-            </div>
-            <div>
-              <span className="text-gray-600 dark:text-gray-400 block">Cost</span>
-              <span className="text-gray-900 dark:text-white">${aar.cost}</span>
-            </div>
-          </div>
+        {/* Edit History */}
+        {aar.revision_count > 0 && (
+          <div className="p-6 border-t border-gray-200 dark:border-gray-700">
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="flex items-center w-full text-left text-lg font-semibold text-gray-900 dark:text-white"
+            >
+              <History className="w-5 h-5 mr-2" />
+              Edit History
+              <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                ({aar.revision_count + 1} versions)
+              </span>
+              {showHistory ? (
+                <ChevronUp className="w-5 h-5 ml-auto" />
+              ) : (
+                <ChevronDown className="w-5 h-5 ml-auto" />
+              )}
+            </button>
 
-          {aar.paintDyeMix && (
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-                Paint/Dye Mix
-              </h3>
-              <p className="text-gray-900 dark:text-white">{aar.paintDyeMix}</p>
-            </div>
-          )}
+            {showHistory && (
+              <div className="mt-4">
+                {historyError ? (
+                  <p className="text-sm text-red-600 dark:text-red-400">{historyError}</p>
+                ) : !revisions ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">Loading history...</p>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    {/* Version list */}
+                    <ul className="space-y-1">
+                      {[...versions].reverse().map((version) => (
+                        <li key={version.number}>
+                          <button
+                            onClick={() => setSelectedVersion(version.number)}
+                            className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                              versions[activeIndex]?.number === version.number
+                                ? 'bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300'
+                                : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                            }`}
+                          >
+                            <span className="font-medium">
+                              Version {version.number}
+                              {version.current && ' (current)'}
+                              {version.number === 1 && ' (original)'}
+                            </span>
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">
+                              {version.authorName || 'Unknown user'} • {formatLocalTime(version.at)}
+                            </span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
 
-          {aar.toolsUsed && (
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-                Tools Used
-              </h3>
-              <div className="flex flex-wrap gap-2">
-                {aar.toolsUsed.map((tool, index) => (
-                  <span
-                    key={index}
-                    className="px-3 py-1 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-full text-sm"
-                  >
-                    {tool}
-                  </span>
-                ))}
+                    {/* Diff against the previous version */}
+                    <div className="md:col-span-2">
+                      {versions[activeIndex]?.changeNote && (
+                        <p className="mb-3 text-sm italic text-gray-600 dark:text-gray-400">
+                          "{versions[activeIndex].changeNote}"
+                        </p>
+                      )}
+                      {activeIndex === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                          Original submission.
+                        </p>
+                      ) : versionChanges.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                          No field changes in this version.
+                        </p>
+                      ) : (
+                        <div className="space-y-3">
+                          {versionChanges.map((change) => (
+                            <div key={change.fieldId} className="text-sm">
+                              <span className="font-medium text-gray-900 dark:text-white">
+                                {fieldLabels[change.fieldId] || fieldIdToLabel(change.fieldId)}
+                              </span>
+                              {change.change !== 'added' && (
+                                <p className="mt-1 px-3 py-1 rounded bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 line-through whitespace-pre-line">
+                                  {change.before}
+                                </p>
+                              )}
+                              {change.change !== 'removed' && (
+                                <p className="mt-1 px-3 py-1 rounded bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300 whitespace-pre-line">
+                                  {change.after}
+                                </p>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
               </div>
-            </div>
-          )}
-        </div>
+            )}
+          </div>
+        )}
 
         {/* Voting */}
         <div className="p-6 border-t border-gray-200 dark:border-gray-700">
           <div className="flex items-center space-x-4">
             <button
-              onClick={handleUpvote}
-              className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-green-50 dark:bg-green-900/20 text-green-600 dark:text-green-400 hover:bg-green-100 dark:hover:bg-green-900/30 transition-colors"
+              onClick={() => handleVote('upvote')}
+              disabled={voting}
+              aria-pressed={currentVote === 'upvote'}
+              title={currentVote === 'upvote' ? 'Remove upvote' : t('aar.upvote')}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors disabled:opacity-50 ${
+                currentVote === 'upvote'
+                  ? 'bg-green-600 text-white hover:bg-green-700'
+                  : 'bg-green-50 dark:bg-green-900/20 text-green-600 dark:text-green-400 hover:bg-green-100 dark:hover:bg-green-900/30'
+              }`}
             >
               <ThumbsUp className="w-5 h-5" />
               <span>{aar.upvotes}</span>
             </button>
             <button
-              onClick={handleDownvote}
-              className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/30 transition-colors"
+              onClick={() => handleVote('downvote')}
+              disabled={voting}
+              aria-pressed={currentVote === 'downvote'}
+              title={currentVote === 'downvote' ? 'Remove downvote' : t('aar.downvote')}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors disabled:opacity-50 ${
+                currentVote === 'downvote'
+                  ? 'bg-red-600 text-white hover:bg-red-700'
+                  : 'bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/30'
+              }`}
             >
               <ThumbsDown className="w-5 h-5" />
               <span>{aar.downvotes}</span>
             </button>
           </div>
+
+          {currentVote && (
+            <form onSubmit={handleSaveVoteReason} className="mt-4 flex items-center gap-2">
+              <input
+                type="text"
+                value={voteReason}
+                onChange={(e) => setVoteReason(e.target.value)}
+                maxLength={500}
+                placeholder={`Why did you ${currentVote}? (optional)`}
+                className="flex-1 px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-primary-500"
+              />
+              <button
+                type="submit"
+                disabled={voting || voteReason === (aar.user_vote?.reason || '')}
+                className="px-4 py-2 rounded-lg bg-primary-600 hover:bg-primary-700 text-white text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                Save
+              </button>
+            </form>
+          )}
         </div>
 
         {/* Comments */}
         <div className="p-6 border-t border-gray-200 dark:border-gray-700">
           <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
             {t('aar.comments')}
+            {aar.comment_count > 0 && (
+              <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                ({aar.comment_count})
+              </span>
+            )}
           </h3>
 
-          <form onSubmit={handleAddComment} className="mb-6">
-            <textarea
-              value={comment}
-              onChange={(e) => setComment(e.target.value)}
-              placeholder="Add a comment..."
-              rows={3}
-              className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500"
-            />
-            <button
-              type="submit"
-              className="mt-2 px-4 py-2 rounded-lg bg-primary-600 hover:bg-primary-700 text-white font-medium transition-colors"
-            >
-              Add Comment
-            </button>
-          </form>
-
-          <div className="space-y-4">
-            {aar.comments && aar.comments.length > 0 ? (
-              aar.comments.map((comment, index) => (
-                <div key={index} className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
-                  <div className="flex items-center justify-between mb-2">
-                    <span className="font-medium text-gray-900 dark:text-white">
-                      {comment.userName}
-                    </span>
-                    <span className="text-xs text-gray-500 dark:text-gray-400">
-                      {new Date(comment.createdAt).toLocaleDateString()}
-                    </span>
-                  </div>
-                  <p className="text-gray-700 dark:text-gray-300">{comment.content}</p>
-                </div>
-              ))
-            ) : (
-              <p className="text-gray-500 dark:text-gray-400 text-center py-4">
-                No comments yet. Be the first to comment!
-              </p>
-            )}
-          </div>
+          <CommentThread
+            aarId={id}
+            onCountChange={(delta) =>
+              setAAR((prev) => ({ ...prev, comment_count: Math.max((prev.comment_count || 0) + delta, 0) }))
+            }
+          />
         </div>
       </div>
     </div>
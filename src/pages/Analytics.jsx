@@ -1,24 +1,128 @@
+import { useEffect, useMemo, useState } from 'react';
 import { useTranslation } from 'react-i18next';
-import { useAAR } from '../contexts/AARContext';
-import { BarChart3, TrendingUp, FileText, Eye } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { api } from '../lib/api-client';
+import { FileText, TrendingUp, TrendingDown, Eye, Users, Loader2 } from 'lucide-react';
+
+const EMPTY_BREAKDOWNS = { category: [], material: [], damageType: [] };
+
+/**
+ * StatCard - Single headline number
+ */
+const StatCard = ({ label, value, icon: Icon, iconBg, iconColor }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
+    <div className="flex items-center justify-between">
+      <div>
+        <p className="text-sm text-gray-600 dark:text-gray-400">{label}</p>
+        <p className="text-2xl md:text-3xl font-bold text-gray-900 dark:text-white mt-2">
+          {value.toLocaleString()}
+        </p>
+      </div>
+      <div className={`w-12 h-12 ${iconBg} rounded-lg flex items-center justify-center`}>
+        <Icon className={`w-6 h-6 ${iconColor}`} />
+      </div>
+    </div>
+  </div>
+);
+
+/**
+ * BreakdownCard - Horizontal bars for one grouping (category, material, damage type)
+ */
+const BreakdownCard = ({ title, rows, barClass }) => {
+  const max = Math.max(...rows.map((row) => row.count), 1);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
+      <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white mb-3">
+        {title}
+      </h2>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No data for this period</p>
+      ) : (
+        <div className="space-y-3">
+          {rows.map((row) => (
+            <div key={row.value} className="flex items-center justify-between">
+              <span className="text-gray-700 dark:text-gray-300 truncate mr-3">{row.value}</span>
+              <div className="flex items-center space-x-3">
+                <div className="w-32 bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                  <div
+                    className={`${barClass} h-2 rounded-full`}
+                    style={{ width: `${(row.count / max) * 100}%` }}
+                  />
+                </div>
+                <span className="text-sm font-medium text-gray-900 dark:text-white w-8">
+                  {row.count}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
 
 const Analytics = () => {
   const { t } = useTranslation();
-  const { aars } = useAAR();
+  const { users } = useAuth();
+  const [filters, setFilters] = useState({ dateFrom: '', dateTo: '', franchiseId: '' });
+  const [interval, setIntervalValue] = useState('day');
+  const [summary, setSummary] = useState(null);
+  const [breakdowns, setBreakdowns] = useState(EMPTY_BREAKDOWNS);
+  const [series, setSeries] = useState([]);
+  const [contributors, setContributors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const franchises = useMemo(
+    () => (users || []).filter((u) => u.role === 'franchisee'),
+    [users]
+  );
 
-  const totalAARs = aars.length;
-  const totalViews = aars.reduce((sum, aar) => sum + (aar.views || 0), 0);
-  const totalUpvotes = aars.reduce((sum, aar) => sum + aar.upvotes, 0);
+  // Only send filters that are set
+  const activeFilters = useMemo(
+    () => Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+    [filters]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAnalytics = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const [summaryRes, breakdownsRes, submissionsRes, contributorsRes] = await Promise.all([
+          api.analytics.getSummary(activeFilters),
+          api.analytics.getBreakdowns(activeFilters),
+          api.analytics.getSubmissions({ ...activeFilters, interval }),
+          api.analytics.getTopContributors({ ...activeFilters, limit: 10 }),
+        ]);
+        if (cancelled) return;
 
-  const categoryStats = aars.reduce((acc, aar) => {
-    acc[aar.category] = (acc[aar.category] || 0) + 1;
-    return acc;
-  }, {});
+        setSummary(summaryRes.data.data);
+        setBreakdowns(breakdownsRes.data.data);
+        setSeries(submissionsRes.data.data.series);
+        setContributors(contributorsRes.data.data.contributors);
+      } catch (err) {
+        console.error('Error loading analytics:', err);
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load analytics');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
 
-  const materialStats = aars.reduce((acc, aar) => {
-    acc[aar.material] = (acc[aar.material] || 0) + 1;
-    return acc;
-  }, {});
+    loadAnalytics();
+    return () => {
+      cancelled = true;
+    };
+  }, [activeFilters, interval]);
+
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+  const maxSeriesCount = Math.max(...series.map((point) => point.count), 1);
+
+  const inputClass =
+    'px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent';
 
   return (
     <div className="space-y-4 md:space-y-6">
@@ -31,98 +135,186 @@ const Analytics = () => {
         </p>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 md:gap-4">
-        <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Total AARs</p>
-              <p className="text-2xl md:text-3xl font-bold text-gray-900 dark:text-white mt-2">
-                {totalAARs}
-              </p>
-            </div>
-            <div className="w-12 h-12 bg-blue-100 dark:bg-blue-900/20 rounded-lg flex items-center justify-center">
-              <FileText className="w-6 h-6 text-blue-600 dark:text-blue-400" />
-            </div>
-          </div>
-        </div>
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-4 shadow-sm flex flex-wrap items-end gap-3">
+        <label className="flex flex-col text-xs text-gray-600 dark:text-gray-400">
+          From
+          <input
+            type="date"
+            value={filters.dateFrom}
+            max={filters.dateTo || undefined}
+            onChange={(e) => updateFilter('dateFrom', e.target.value)}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="flex flex-col text-xs text-gray-600 dark:text-gray-400">
+          To
+          <input
+            type="date"
+            value={filters.dateTo}
+            min={filters.dateFrom || undefined}
+            onChange={(e) => updateFilter('dateTo', e.target.value)}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="flex flex-col text-xs text-gray-600 dark:text-gray-400">
+          Franchise
+          <select
+            value={filters.franchiseId}
+            onChange={(e) => updateFilter('franchiseId', e.target.value)}
+            className={`${inputClass} mt-1`}
+          >
+            <option value="">All franchises</option>
+            {franchises.map((franchise) => (
+              <option key={franchise.id} value={franchise.id}>
+                {franchise.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {Object.keys(activeFilters).length > 0 && (
+          <button
+            onClick={() => setFilters({ dateFrom: '', dateTo: '', franchiseId: '' })}
+            className="px-3 py-2 text-sm text-primary-600 dark:text-primary-400 hover:underline"
+          >
+            Clear filters
+          </button>
+        )}
+        {loading && <Loader2 className="w-5 h-5 text-primary-500 animate-spin ml-auto" />}
+      </div>
 
-        <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Total Views</p>
-              <p className="text-2xl md:text-3xl font-bold text-gray-900 dark:text-white mt-2">
-                {totalViews}
-              </p>
-            </div>
-            <div className="w-12 h-12 bg-green-100 dark:bg-green-900/20 rounded-lg flex items-center justify-center">
-              <Eye className="w-6 h-6 text-green-600 dark:text-green-400" />
-            </div>
-          </div>
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3 text-sm text-red-700 dark:text-red-400">
+          {error}
         </div>
+      )}
 
-        <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm text-gray-600 dark:text-gray-400">Total Upvotes</p>
-              <p className="text-2xl md:text-3xl font-bold text-gray-900 dark:text-white mt-2">
-                {totalUpvotes}
-              </p>
-            </div>
-            <div className="w-12 h-12 bg-purple-100 dark:bg-purple-900/20 rounded-lg flex items-center justify-center">
-              <TrendingUp className="w-6 h-6 text-purple-600 dark:text-purple-400" />
-            </div>
-          </div>
+      {summary && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 md:gap-4">
+          <StatCard
+            label="Total AARs"
+            value={summary.totalAARs}
+            icon={FileText}
+            iconBg="bg-blue-100 dark:bg-blue-900/20"
+            iconColor="text-blue-600 dark:text-blue-400"
+          />
+          <StatCard
+            label="Total Views"
+            value={summary.totalViews}
+            icon={Eye}
+            iconBg="bg-green-100 dark:bg-green-900/20"
+            iconColor="text-green-600 dark:text-green-400"
+          />
+          <StatCard
+            label="Total Upvotes"
+            value={summary.totalUpvotes}
+            icon={TrendingUp}
+            iconBg="bg-purple-100 dark:bg-purple-900/20"
+            iconColor="text-purple-600 dark:text-purple-400"
+          />
+          <StatCard
+            label="Total Downvotes"
+            value={summary.totalDownvotes}
+            icon={TrendingDown}
+            iconBg="bg-red-100 dark:bg-red-900/20"
+            iconColor="text-red-600 dark:text-red-400"
+          />
+          <StatCard
+            label="Contributors"
+            value={summary.contributors}
+            icon={Users}
+            iconBg="bg-orange-100 dark:bg-orange-900/20"
+            iconColor="text-orange-600 dark:text-orange-400"
+          />
         </div>
-      </div>
+      )}
 
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-5">
-        <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
-          <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white mb-3">
-            AARs by Category
+      {/* Submissions over time */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white">
+            {t('analytics.trends')}
           </h2>
-          <div className="space-y-3">
-            {Object.entries(categoryStats).map(([category, count]) => (
-              <div key={category} className="flex items-center justify-between">
-                <span className="text-gray-700 dark:text-gray-300">{category}</span>
-                <div className="flex items-center space-x-3">
-                  <div className="w-32 bg-gray-200 dark:bg-gray-700 rounded-full h-2">
-                    <div
-                      className="bg-primary-500 h-2 rounded-full"
-                      style={{ width: `${(count / totalAARs) * 100}%` }}
-                    />
-                  </div>
-                  <span className="text-sm font-medium text-gray-900 dark:text-white w-8">
-                    {count}
-                  </span>
-                </div>
+          <select
+            value={interval}
+            onChange={(e) => setIntervalValue(e.target.value)}
+            className={inputClass}
+          >
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+            <option value="month">Monthly</option>
+          </select>
+        </div>
+        {series.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No submissions for this period</p>
+        ) : (
+          <div className="flex items-end h-40 gap-1 overflow-x-auto">
+            {series.map((point) => (
+              <div
+                key={point.period}
+                className="flex-1 min-w-[0.75rem] h-full flex flex-col justify-end"
+                title={`${point.period}: ${point.count} AAR${point.count === 1 ? '' : 's'}`}
+              >
+                <div
+                  className="bg-primary-500 rounded-t"
+                  style={{ height: `${(point.count / maxSeriesCount) * 100}%` }}
+                />
               </div>
             ))}
           </div>
-        </div>
+        )}
+        {series.length > 0 && (
+          <div className="flex justify-between mt-2 text-xs text-gray-500 dark:text-gray-400">
+            <span>{series[0].period}</span>
+            <span>{series[series.length - 1].period}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-5">
+        <BreakdownCard title="AARs by Category" rows={breakdowns.category} barClass="bg-primary-500" />
+        <BreakdownCard title={t('analytics.materials')} rows={breakdowns.material} barClass="bg-green-500" />
+        <BreakdownCard title="Damage Types" rows={breakdowns.damageType} barClass="bg-orange-500" />
+      </div>
 
-        <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
-          <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white mb-3">
-            Materials Used
+      {/* Top contributors */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-hidden">
+        <div className="p-3 md:p-5 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white">
+            Top Contributors
           </h2>
-          <div className="space-y-3">
-            {Object.entries(materialStats).map(([material, count]) => (
-              <div key={material} className="flex items-center justify-between">
-                <span className="text-gray-700 dark:text-gray-300">{material}</span>
-                <div className="flex items-center space-x-3">
-                  <div className="w-32 bg-gray-200 dark:bg-gray-700 rounded-full h-2">
-                    <div
-                      className="bg-green-500 h-2 rounded-full"
-                      style={{ width: `${(count / totalAARs) * 100}%` }}
-                    />
-                  </div>
-                  <span className="text-sm font-medium text-gray-900 dark:text-white w-8">
-                    {count}
-                  </span>
-                </div>
-              </div>
-            ))}
-          </div>
         </div>
+        {contributors.length === 0 ? (
+          <p className="p-3 md:p-5 text-sm text-gray-500 dark:text-gray-400">No contributors for this period</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-600 dark:text-gray-400">
+                <tr>
+                  <th className="text-left font-medium px-3 md:px-5 py-2">Name</th>
+                  <th className="text-right font-medium px-3 md:px-5 py-2">AARs</th>
+                  <th className="text-right font-medium px-3 md:px-5 py-2">Views</th>
+                  <th className="text-right font-medium px-3 md:px-5 py-2">Upvotes</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {contributors.map((contributor) => (
+                  <tr key={contributor.userId} className="text-gray-900 dark:text-white">
+                    <td className="px-3 md:px-5 py-2">
+                      {contributor.name}
+                      <span className="ml-2 text-xs text-gray-500 dark:text-gray-400 capitalize">
+                        {contributor.role}
+                      </span>
+                    </td>
+                    <td className="text-right px-3 md:px-5 py-2">{contributor.aarCount}</td>
+                    <td className="text-right px-3 md:px-5 py-2">{contributor.views}</td>
+                    <td className="text-right px-3 md:px-5 py-2">{contributor.upvotes}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,19 +1,372 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Palette } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Palette, Upload, Trash2, Loader, RotateCcw, Save, LayoutDashboard, FileText } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { brandCssVariables, generatePalette } from '../utils/colors';
+
+const MAX_LOGO_SIZE = 2 * 1024 * 1024; // Must match backend limit
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+const COLOR_FIELDS = [
+  { key: 'primaryColor', label: 'Primary', help: 'Buttons, links and highlights' },
+  { key: 'secondaryColor', label: 'Secondary', help: 'Supporting accents' },
+  { key: 'accentColor', label: 'Accent', help: 'Badges and call-outs' },
+];
+
+const toForm = (branding) => ({
+  companyName: branding.companyName || '',
+  tagline: branding.tagline || '',
+  primaryColor: branding.primaryColor,
+  secondaryColor: branding.secondaryColor,
+  accentColor: branding.accentColor,
+  customCss: branding.customCss || '',
+});
+
+/**
+ * BrandingPreview - Mock app chrome rendered with the unsaved branding
+ * Brand CSS variables are set on the wrapper so only the preview changes.
+ */
+const BrandingPreview = ({ form, logo, fallbackName, fallbackTagline }) => {
+  const variables = useMemo(
+    () =>
+      brandCssVariables({
+        colors: generatePalette(form.primaryColor) || {},
+        secondaryColor: form.secondaryColor,
+        accentColor: form.accentColor,
+      }),
+    [form.primaryColor, form.secondaryColor, form.accentColor]
+  );
+
+  return (
+    <div
+      style={variables}
+      className="flex h-72 rounded-lg overflow-hidden border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900"
+    >
+      {/* Mini sidebar */}
+      <div className="w-40 flex-shrink-0 bg-white dark:bg-gray-800 border-r border-gray-200 dark:border-gray-700 flex flex-col">
+        <div className="p-3 border-b border-gray-200 dark:border-gray-700">
+          {logo ? (
+            <img src={logo} alt={form.companyName || fallbackName} className="h-8 w-auto max-w-full object-contain" />
+          ) : (
+            <>
+              <p className="text-sm font-bold text-gray-900 dark:text-white truncate">
+                {form.companyName || fallbackName}
+              </p>
+              <p className="text-[10px] text-gray-500 dark:text-gray-400 truncate">
+                {form.tagline || fallbackTagline}
+              </p>
+            </>
+          )}
+        </div>
+        <div className="p-2 space-y-1 text-xs">
+          <div className="flex items-center space-x-2 px-2 py-2 rounded-md bg-primary-50 dark:bg-primary-900/50 text-primary-600 dark:text-primary-400">
+            <LayoutDashboard className="w-3.5 h-3.5" />
+            <span className="font-medium">Dashboard</span>
+          </div>
+          <div className="flex items-center space-x-2 px-2 py-2 rounded-md text-gray-700 dark:text-gray-300">
+            <FileText className="w-3.5 h-3.5" />
+            <span className="font-medium">Submit AAR</span>
+          </div>
+        </div>
+      </div>
+
+      {/* Mini content */}
+      <div className="flex-1 p-4 space-y-3 overflow-hidden">
+        <div className="flex items-center justify-between">
+          <p className="text-sm font-semibold text-gray-900 dark:text-white">Recent AARs</p>
+          <span className="px-2 py-0.5 rounded-full text-[10px] font-semibold text-white bg-accent">3 new</span>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-lg p-3 shadow-sm">
+          <p className="text-xs font-medium text-gray-900 dark:text-white">Bumper - Scuff repair</p>
+          <p className="text-[11px] text-gray-500 dark:text-gray-400 mt-1">
+            Leather • <span className="text-primary-600 dark:text-primary-400 underline">View details</span>
+          </p>
+          <div className="mt-2 w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1.5">
+            <div className="bg-secondary h-1.5 rounded-full w-2/3" />
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <button type="button" className="px-3 py-1.5 rounded-lg bg-primary-600 hover:bg-primary-700 text-white text-xs font-medium">
+            Primary action
+          </button>
+          <button type="button" className="px-3 py-1.5 rounded-lg border border-primary-600 text-primary-600 dark:text-primary-400 text-xs font-medium">
+            Secondary
+          </button>
+        </div>
+        <div className="flex space-x-1">
+          {Object.values(generatePalette(form.primaryColor) || {}).map((shade) => (
+            <div key={shade} className="flex-1 h-4 rounded" style={{ backgroundColor: shade }} title={shade} />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
 
 const Branding = () => {
   const { t } = useTranslation();
+  const { hasPermission } = useAuth();
+  const { branding, saveBranding, uploadLogo } = useTheme();
+  const [form, setForm] = useState(() => toForm(branding));
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const canEdit = hasPermission('branding');
+
+  // Pick up branding loaded after mount (API refresh)
+  useEffect(() => {
+    setForm(toForm(branding));
+  }, [branding]);
+
+  const savedForm = toForm(branding);
+  const isDirty = Object.keys(form).some((key) => form[key] !== savedForm[key]);
+
+  const updateField = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    // Only send what changed
+    const changes = Object.fromEntries(
+      Object.keys(form)
+        .filter((key) => form[key] !== savedForm[key])
+        .map((key) => [key, form[key]])
+    );
+
+    try {
+      setSaving(true);
+      await saveBranding(changes);
+      toast.success('Branding saved');
+    } catch (error) {
+      console.error('Error saving branding:', error);
+      const cause = error.response?.data?.cause?.[0]?.message;
+      toast.error(cause || error.response?.data?.message || 'Failed to save branding');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLogoSelect = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!LOGO_TYPES.includes(file.type)) {
+      toast.error('Logo must be a PNG, JPEG or WebP image');
+      return;
+    }
+    if (file.size > MAX_LOGO_SIZE) {
+      toast.error('Logo must be 2MB or smaller');
+      return;
+    }
+
+    try {
+      setUploading(true);
+      await uploadLogo(file);
+      toast.success('Logo updated');
+    } catch (error) {
+      console.error('Error uploading logo:', error);
+      toast.error(error.response?.data?.message || 'Failed to upload logo');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemoveLogo = async () => {
+    try {
+      setUploading(true);
+      await saveBranding({ logoUrl: null });
+      toast.success('Logo removed');
+    } catch (error) {
+      console.error('Error removing logo:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove logo');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  if (!canEdit) {
+    return (
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-5 md:p-6 text-center">
+          <Palette className="w-12 h-12 mx-auto text-gray-400 mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+            {t('branding.title')}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Only admins and managers can change branding.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const inputClass =
+    'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent';
 
   return (
-    <div className="max-w-4xl mx-auto">
-      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-5 md:p-6 text-center">
-        <Palette className="w-12 h-12 mx-auto text-gray-400 mb-4" />
-        <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
-          {t('branding.title')}
-        </h1>
-        <p className="text-gray-600 dark:text-gray-400">
-          Branding customization coming soon...
-        </p>
+    <div className="space-y-4 md:space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-xl md:text-2xl font-bold text-gray-900 dark:text-white">
+            {t('branding.title')}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            Customize the company name, logo and colors for everyone
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setForm(savedForm)}
+            disabled={!isDirty || saving}
+            className="flex items-center space-x-2 px-3 py-2 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            <RotateCcw className="w-4 h-4" />
+            <span className="hidden md:inline text-sm">Reset</span>
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || saving}
+            className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-primary-600 hover:bg-primary-700 text-white font-medium transition-colors disabled:opacity-50"
+          >
+            {saving ? <Loader className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            <span>Save</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6">
+        {/* Settings */}
+        <div className="space-y-4">
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm space-y-3">
+            <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white">Company</h2>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Company name</span>
+              <input
+                type="text"
+                value={form.companyName}
+                maxLength={100}
+                onChange={(e) => updateField('companyName', e.target.value)}
+                placeholder={t('app.name')}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Tagline</span>
+              <input
+                type="text"
+                value={form.tagline}
+                maxLength={200}
+                onChange={(e) => updateField('tagline', e.target.value)}
+                placeholder={t('app.tagline')}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
+            <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white mb-3">
+              {t('branding.logo')}
+            </h2>
+            <div className="flex items-center space-x-4">
+              <div className="w-32 h-16 flex items-center justify-center rounded-lg border border-dashed border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-900">
+                {branding.logo ? (
+                  <img src={branding.logo} alt="Logo" className="max-h-14 max-w-[7.5rem] object-contain" />
+                ) : (
+                  <span className="text-xs text-gray-400">No logo</span>
+                )}
+              </div>
+              <div className="space-y-2">
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={LOGO_TYPES.join(',')}
+                  onChange={handleLogoSelect}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={uploading}
+                  className="flex items-center space-x-2 px-3 py-2 rounded-lg bg-primary-600 hover:bg-primary-700 text-white text-sm font-medium disabled:opacity-50"
+                >
+                  {uploading ? <Loader className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+                  <span>{t('branding.uploadLogo')}</span>
+                </button>
+                {branding.logo && (
+                  <button
+                    onClick={handleRemoveLogo}
+                    disabled={uploading}
+                    className="flex items-center space-x-2 px-3 py-2 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 text-sm disabled:opacity-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span>Remove</span>
+                  </button>
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400">PNG, JPEG or WebP, up to 2MB</p>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
+            <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white mb-3">
+              {t('branding.colors')}
+            </h2>
+            <div className="space-y-3">
+              {COLOR_FIELDS.map((field) => (
+                <div key={field.key} className="flex items-center space-x-3">
+                  <input
+                    type="color"
+                    value={form[field.key]}
+                    onChange={(e) => updateField(field.key, e.target.value)}
+                    className="w-10 h-10 rounded cursor-pointer border border-gray-300 dark:border-gray-600 bg-transparent"
+                    aria-label={`${field.label} color`}
+                  />
+                  <div className="flex-1">
+                    <p className="text-sm font-medium text-gray-700 dark:text-gray-300">{field.label}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{field.help}</p>
+                  </div>
+                  <input
+                    type="text"
+                    value={form[field.key]}
+                    onChange={(e) => updateField(field.key, e.target.value)}
+                    pattern="#[0-9a-fA-F]{6}"
+                    className={`${inputClass} w-28 font-mono`}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
+            <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white mb-1">Custom CSS</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+              Applied across the whole app after saving. Use with care.
+            </p>
+            <textarea
+              value={form.customCss}
+              onChange={(e) => updateField('customCss', e.target.value)}
+              rows={6}
+              spellCheck={false}
+              placeholder=".my-class { ... }"
+              className={`${inputClass} font-mono text-xs`}
+            />
+          </div>
+        </div>
+
+        {/* Live preview */}
+        <div className="lg:sticky lg:top-6 self-start bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
+          <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white mb-3">Preview</h2>
+          <BrandingPreview
+            form={form}
+            logo={branding.logo}
+            fallbackName={t('app.name')}
+            fallbackTagline={t('app.tagline')}
+          />
+          {isDirty && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">Unsaved changes - save to apply them everywhere.</p>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -2,10 +2,13 @@ import { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Link } from 'react-router-dom';
 import { useAAR } from '../contexts/AARContext';
+import { useFileAccessToken } from '../contexts/AuthContext';
+import { api } from '../lib/api-client';
 import { Search, Filter, TrendingUp, Eye } from 'lucide-react';
 
 const BrowseAARs = () => {
   const { t } = useTranslation();
+  useFileAccessToken();
   const { aars, loading, error, loadAARs } = useAAR();
   const [searchQuery, setSearchQuery] = useState('');
   const [filters, setFilters] = useState({
@@ -101,10 +104,11 @@ const BrowseAARs = () => {
             className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-hidden hover:shadow-md transition-shadow"
           >
             <div className="aspect-video bg-gray-200 dark:bg-gray-700 flex items-center justify-center">
-              {aar.photos?.after?.[0] ? (
+              {aar.cover_photo_key ? (
                 <img
-                  src={aar.photos.after[0]}
+                  src={api.uploads.fileUrl(aar.cover_photo_key, 'thumbnail')}
                   alt={`${aar.category} ${aar.model}`}
+                  loading="lazy"
                   className="w-full h-full object-cover"
                 />
               ) : (
@@ -7,7 +7,9 @@ import { useChat } from '../contexts/ChatContext';
 import { api } from '../lib/api-client';
 import ErrorBoundary from '../components/ErrorBoundary';
 import MessageInput from './Chat/MessageInput';
-import { formatTime, formatDate, shouldShowDateSeparator, shouldGroupMessage, getInitials, getAvatarColor } from '../utils/chatHelpers';
+import { mentionsToHtml, stripMentions } from '../utils/mentions';
+import { formatTime, formatDate, shouldShowDateSeparator, shouldGroupMessage, getInitials, getAvatarColor, getSharedAARId } from '../utils/chatHelpers';
+import { AARPhotoCompare } from '../components/aar/BeforeAfterCompare';
 import {
   MessageSquare,
   Users,
@@ -26,6 +28,7 @@ import {
   Check,
   XCircle,
   AlertCircle,
+  Columns2,
 } from 'lucide-react';
 
 // ADDED: Connection Status Indicator Component
@@ -624,8 +627,8 @@ const Chat = () => {
         const lastMsg = convMessages[convMessages.length - 1];
         const isOwn = lastMsg.senderId === user.id;
         const prefix = isOwn ? 'You: ' : '';
-        const content =
-          lastMsg.content.length > 40 ? lastMsg.content.substring(0, 40) + '...' : lastMsg.content;
+        const plain = stripMentions(lastMsg.content);
+        const content = plain.length > 40 ? plain.substring(0, 40) + '...' : plain;
         map[conv.id] = prefix + content;
       }
     });
@@ -745,6 +748,8 @@ const Chat = () => {
     if (message.metadata) {
       try {
         attachment = JSON.parse(message.metadata);
+        // Attachment URLs need the file access token
+        attachment.url = api.files.withAccess(attachment.url);
       } catch (e) {
         console.error('Failed to parse message metadata:', e);
       }
@@ -752,6 +757,8 @@ const Chat = () => {
 
     const isImageAttachment = message.messageType === 'image' && attachment;
     const isFileAttachment = message.messageType === 'file' && attachment;
+    // A shared AAR link opens its before/after photos in the lightbox
+    const sharedAARId = !attachment ? getSharedAARId(message.content) : null;
 
     return (
       <>
@@ -845,15 +852,28 @@ const Chat = () => {
                   </div>
                 </a>
               ) : (
-                <p
-                  className="text-[15px] leading-relaxed whitespace-pre-wrap break-words"
-                  dangerouslySetInnerHTML={{
-                    __html: DOMPurify.sanitize(message.content, {
-                      ALLOWED_TAGS: [], // Strip ALL HTML tags
-                      ALLOWED_ATTR: [], // Strip ALL attributes
-                    }),
-                  }}
-                />
+                <>
+                  <p
+                    className="text-[15px] leading-relaxed whitespace-pre-wrap break-words"
+                    dangerouslySetInnerHTML={{
+                      __html: DOMPurify.sanitize(mentionsToHtml(message.content), {
+                        ALLOWED_TAGS: ['span'], // Only mention highlights
+                        ALLOWED_ATTR: ['class'],
+                      }),
+                    }}
+                  />
+                  {sharedAARId && (
+                    <button
+                      onClick={() => setLightboxImage({ aarId: sharedAARId, filename: t('aar.compare') })}
+                      className={`mt-2 flex items-center gap-1 text-xs font-medium hover:underline ${
+                        isOwn ? 'text-white/90' : 'text-primary-600 dark:text-primary-400'
+                      }`}
+                    >
+                      <Columns2 className="w-4 h-4" />
+                      {t('aar.compare')}
+                    </button>
+                  )}
+                </>
               )}
             </div>
 
@@ -1017,15 +1037,21 @@ const Chat = () => {
           <X className="w-6 h-6 text-white group-hover:scale-110 transition-transform" />
         </button>
 
-        {/* Image container */}
-        <div className="relative max-w-full max-h-full flex items-center justify-center">
-          <img
-            src={lightboxImage.url}
-            alt={lightboxImage.filename}
-            className="max-w-full max-h-[90vh] object-contain rounded-lg shadow-2xl"
-            onClick={(e) => e.stopPropagation()}
-          />
-        </div>
+        {/* Image container (or the before/after photos of a shared AAR) */}
+        {lightboxImage.aarId ? (
+          <div className="w-full max-w-4xl" onClick={(e) => e.stopPropagation()}>
+            <AARPhotoCompare aarId={lightboxImage.aarId} dark />
+          </div>
+        ) : (
+          <div className="relative max-w-full max-h-full flex items-center justify-center">
+            <img
+              src={lightboxImage.url}
+              alt={lightboxImage.filename}
+              className="max-w-full max-h-[90vh] object-contain rounded-lg shadow-2xl"
+              onClick={(e) => e.stopPropagation()}
+            />
+          </div>
+        )}
 
         {/* Filename display */}
         <div className="absolute bottom-6 left-0 right-0 flex justify-center pointer-events-none">
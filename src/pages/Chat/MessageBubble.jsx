@@ -1,6 +1,9 @@
 import { memo } from 'react';
 import DOMPurify from 'dompurify';
 import { Clock, Check, XCircle, File } from 'lucide-react';
+import { useFileAccessToken } from '../../contexts/AuthContext';
+import { api } from '../../lib/api-client';
+import { mentionsToHtml } from '../../utils/mentions';
 import { formatTime, formatDate, shouldShowDateSeparator, shouldGroupMessage, getInitials, getAvatarColor } from '../../utils/chatHelpers';
 
 const MessageBubble = memo(({
@@ -12,6 +15,7 @@ const MessageBubble = memo(({
   conversationType,
   onLightboxOpen,
 }) => {
+  useFileAccessToken(); // Context updates bypass the memo comparison below
   const isOwn = message.senderId === currentUserId;
   const sender = users.find((u) => u.id === message.senderId) || { name: message.senderName || 'Unknown' };
   const isGrouped = shouldGroupMessage(message, previousMessage);
@@ -23,6 +27,8 @@ const MessageBubble = memo(({
   if (message.metadata) {
     try {
       attachment = JSON.parse(message.metadata);
+      // Attachment URLs need the file access token
+      attachment.url = api.files.withAccess(attachment.url);
     } catch (e) {
       console.error('Failed to parse message metadata:', e);
     }
@@ -135,7 +141,7 @@ const MessageBubble = memo(({
             ) : (
               <p
                 className="text-[15px] leading-relaxed whitespace-pre-wrap break-words"
-                dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(message.content) }}
+                dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(mentionsToHtml(message.content)) }}
               />
             )}
           </div>
@@ -2,6 +2,7 @@ import { useState, useRef, memo, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import toast from 'react-hot-toast';
 import { Send, Plus, Image, Camera, Paperclip } from 'lucide-react';
+import MentionTextarea from '../../components/ui/MentionTextarea';
 
 const MessageInput = memo(({ onSendMessage, sending, uploading, onFileUpload, onTyping }) => {
   const { t } = useTranslation();
@@ -72,8 +73,7 @@ const MessageInput = memo(({ onSendMessage, sending, uploading, onFileUpload, on
   };
 
   // Handle typing indicator
-  const handleInputChange = (e) => {
-    const value = e.target.value;
+  const handleInputChange = (value) => {
     setMessage(value);
 
     if (!onTyping) return;
@@ -253,9 +253,10 @@ const MessageInput = memo(({ onSendMessage, sending, uploading, onFileUpload, on
 
         {/* Message Input */}
         <div className="flex-1 relative">
-          <input
+          <MentionTextarea
             ref={inputRef}
-            type="text"
+            multiline={false}
+            dropUp
             value={message}
             onChange={handleInputChange}
             placeholder={t('chat.typeMessage')}
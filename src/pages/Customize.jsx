@@ -1,11 +1,19 @@
 import { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
+import { Link, useNavigate } from 'react-router-dom';
 import { api } from '../lib/api-client';
-import { detectCircularDependencies } from '../utils/conditionalFields';
-import { normalizeConditionValue } from '../utils/ConditionValueHelpers';
+import {
+  DEFAULT_MIN_ITEMS,
+  detectCircularDependencies,
+  findRepeatableReferences,
+  getFieldDependencies,
+  getExpressionError,
+  hasIncompleteConditions,
+  removeFieldReferences,
+} from '../utils/conditionalFields';
 import { arrayMove } from '../utils/arrayMove';
 import HelpTooltip from '../components/ui/HelpTooltip';
-import SmartConditionValueInput from '../components/form/SmartConditionValueInput';
+import { OPTION_SOURCES, useReferenceData } from '../contexts/ReferenceDataContext';
 import {
   DndContext,
   closestCenter,
@@ -24,6 +32,10 @@ import {
 } from '@dnd-kit/sortable';
 import SortableSectionItem from '../components/customize/SortableSectionItem';
 import { FieldDragOverlay, SectionDragOverlay } from '../components/customize/DragOverlays';
+import FormSelector from '../components/customize/FormSelector';
+import FormVersionHistory from '../components/customize/FormVersionHistory';
+import ConditionGroupEditor from '../components/customize/ConditionGroupEditor';
+import FieldRulesEditor from '../components/customize/FieldRulesEditor';
 import {
   Plus,
   Trash2,
@@ -55,6 +67,13 @@ import {
   Zap,
   ArrowRight,
   AlertTriangle,
+  Send,
+  History,
+  Signature,
+  MapPin,
+  Star,
+  Timer,
+  ScanBarcode,
 } from 'lucide-react';
 
 // Field type definitions with descriptions
@@ -150,6 +169,41 @@ const FIELD_TYPES = [
     group: 'Advanced',
     description: 'Multiple rows of triple fields with + button. Each row tracks value + unit + amount. Example: Track multiple paint colors, each with unit and precise quantity. Perfect for complex material tracking.',
   },
+  {
+    type: 'signature',
+    icon: Signature,
+    label: 'Signature',
+    group: 'Field Report',
+    description: 'Signature pad for customer sign-off. The customer signs with a finger or mouse; the signature is saved as an image with the AAR photos.',
+  },
+  {
+    type: 'location',
+    icon: MapPin,
+    label: 'GPS Location',
+    group: 'Field Report',
+    description: 'Captures the device location (latitude/longitude with accuracy) with one tap. Shown as a map link on the AAR. Useful for mobile and on-site repairs.',
+  },
+  {
+    type: 'rating',
+    icon: Star,
+    label: 'Rating',
+    group: 'Field Report',
+    description: 'Star rating (3 to 10 stars). Use for scores like repair difficulty or customer satisfaction. Can be compared in conditions like a number.',
+  },
+  {
+    type: 'timer',
+    icon: Timer,
+    label: 'Time Tracker',
+    group: 'Field Report',
+    description: 'Start/stop labor timer. Time adds up across pauses. Link it to a number field such as Repair Time to fill in the tracked hours automatically.',
+  },
+  {
+    type: 'barcode',
+    icon: ScanBarcode,
+    label: 'Barcode / QR',
+    group: 'Field Report',
+    description: 'Text entry for product SKUs and serial numbers. Works with handheld barcode scanners, and can scan barcodes and QR codes with the camera on supported devices.',
+  },
 ];
 
 // Section definitions for organizing fields
@@ -160,6 +214,9 @@ const SECTIONS = [
   { id: 'photos', name: 'Photos & Attachments', order: 3 },
 ];
 
+// Section modal state (min/max entries are kept as input strings)
+const EMPTY_SECTION_FORM = { id: '', name: '', repeatable: false, itemLabel: '', minItems: '', maxItems: '' };
+
 // Default form schema
 const DEFAULT_SCHEMA = {
   formId: null, // Will be assigned when saved to database
@@ -175,6 +232,7 @@ const DEFAULT_SCHEMA = {
       order: 0,
       section: 'basic',
       options: ['Vehicle', 'Boat', 'Motorcycle', 'Apparel', 'Accessory', 'Furniture'],
+      optionsSource: 'categories',
     },
     {
       id: 'model',
@@ -260,9 +318,24 @@ const DEFAULT_SCHEMA = {
   ],
 };
 
+// Error text for a failed form request; schema integrity issues are listed one per line
+const formErrorMessage = (error, fallback) => {
+  const { message, issues } = error.response?.data || {};
+  if (issues?.length) {
+    return `The form has problems that must be fixed before saving:\n\n${issues
+      .map((issue) => `- ${issue.message}`)
+      .join('\n')}`;
+  }
+  return message || fallback;
+};
+
 const Customize = () => {
   const { t } = useTranslation();
+  const navigate = useNavigate();
+  const { getFieldOptions, categories } = useReferenceData();
   const [schema, setSchema] = useState(DEFAULT_SCHEMA);
+  const [forms, setForms] = useState([]);
+  const [currentForm, setCurrentForm] = useState(null); // { id, name, appliesToCategory, isActive, version, hasDraft }
   const [selectedField, setSelectedField] = useState(null);
   const [view, setView] = useState('builder'); // builder | preview | json
   const [expandedSections, setExpandedSections] = useState(
@@ -270,12 +343,13 @@ const Customize = () => {
   );
   const [showSectionModal, setShowSectionModal] = useState(false);
   const [editingSection, setEditingSection] = useState(null);
-  const [sectionForm, setSectionForm] = useState({ id: '', name: '' });
+  const [sectionForm, setSectionForm] = useState(EMPTY_SECTION_FORM);
   const [loading, setLoading] = useState(false);
   const [activeId, setActiveId] = useState(null);
   const [activeType, setActiveType] = useState(null); // 'field' or 'section'
   const [showAddFieldModal, setShowAddFieldModal] = useState(false);
   const [pendingFieldType, setPendingFieldType] = useState(null);
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
 
   // Configure drag sensors (mouse, touch, keyboard)
   const sensors = useSensors(
@@ -298,15 +372,41 @@ const Customize = () => {
     })
   );
 
+  // Refresh the form list (including archived forms)
+  const loadForms = async () => {
+    try {
+      const response = await api.customForms.list(true);
+      setForms(response.data.forms);
+    } catch (error) {
+      console.error('Error loading forms:', error);
+    }
+  };
+
+  // Open a form in the builder (its unpublished draft, if there is one)
+  const openForm = (form) => {
+    setSchema(form.draftSchema || form.schema);
+    setCurrentForm({
+      id: form.id,
+      name: form.name,
+      appliesToCategory: form.appliesToCategory,
+      isActive: form.isActive,
+      version: form.version,
+      hasDraft: form.hasDraft,
+    });
+    setSelectedField(null);
+  };
+
   // Load schema from API (with localStorage fallback)
   useEffect(() => {
     const loadFormSchema = async () => {
+      loadForms();
       try {
         const response = await api.customForms.getActive();
 
         if (response.data.form) {
-          // Use database schema
-          setSchema(response.data.form.schema);
+          // Load by ID to get the draft as well as the published schema
+          const { data } = await api.customForms.get(response.data.form.id);
+          openForm(data.form);
         } else {
           // No form in database yet - check localStorage for migration
           const localSchema = localStorage.getItem('aar-form-schema');
@@ -333,16 +433,20 @@ const Customize = () => {
     loadFormSchema();
   }, []);
 
-  // Save schema to database
-  const saveSchema = async () => {
-    // Validate for invalid conditions (empty fieldId or operator)
+  // Check the schema before saving; alerts and returns false if it is invalid
+  const validateSchema = () => {
+    // Validate for invalid conditions (empty fieldId or operator, or empty groups),
+    // in conditional logic, requiredWhen and option rules
     const fieldsWithInvalidConditions = schema.fields.filter((field) => {
-      if (!field.conditional || !field.conditional.enabled) {
-        return false;
-      }
-      const { conditions = [] } = field.conditional;
-      return conditions.some(
-        (condition) => !condition || !condition.fieldId || !condition.operator
+      const conditionLists = [
+        field.conditional?.enabled && (field.conditional.conditions || []),
+        field.requiredWhen?.enabled && (field.requiredWhen.conditions || []),
+      ].filter(Boolean);
+      return (
+        conditionLists.some(hasIncompleteConditions) ||
+        (field.optionRules || []).some(
+          (rule) => rule.conditions.length === 0 || hasIncompleteConditions(rule.conditions)
+        )
       );
     });
 
@@ -352,11 +456,40 @@ const Customize = () => {
         .join(', ');
 
       alert(
-        `Invalid conditions detected!\n\nThe following fields have incomplete conditional logic:\n${fieldNames}\n\nPlease complete or remove the conditional logic before saving.`
+        `Invalid conditions detected!\n\nThe following fields have incomplete conditions (conditional logic or rules):\n${fieldNames}\n\nPlease complete or remove the conditions before saving.`
       );
       return;
     }
 
+    // Validate calculated value expressions
+    const invalidExpressions = schema.fields
+      .filter((field) => field.computed)
+      .map((field) => ({ field, error: getExpressionError(field.computed.expression) }))
+      .filter(({ error }) => error);
+
+    if (invalidExpressions.length > 0) {
+      const details = invalidExpressions
+        .map(({ field, error }) => `${field.label || field.id}: ${error}`)
+        .join('\n');
+
+      alert(`Invalid calculated value!\n\n${details}\n\nPlease fix the expression before saving.`);
+      return false;
+    }
+
+    // Validate references into repeatable sections
+    const repeatableReferences = findRepeatableReferences(schema.fields, schema.sections);
+
+    if (repeatableReferences.length > 0) {
+      const details = repeatableReferences
+        .map(({ field, referenced }) => `${field.label || field.id} uses ${referenced.label || referenced.id}`)
+        .join('\n');
+
+      alert(
+        `Invalid repeatable section reference!\n\nFields can only use fields of a repeatable section from inside the same section:\n${details}\n\nPlease move the field or remove the reference before saving.`
+      );
+      return false;
+    }
+
     // Validate for circular dependencies
     const circularFields = detectCircularDependencies(schema.fields);
 
@@ -368,17 +501,61 @@ const Customize = () => {
       alert(
         `Circular dependency detected!\n\nThe following fields have circular conditional dependencies:\n${fieldNames}\n\nPlease remove the circular conditions before saving.`
       );
-      return;
+      return false;
     }
 
+    if (currentForm && !currentForm.name.trim()) {
+      alert('Please give the form a name before saving.');
+      return false;
+    }
+
+    return true;
+  };
+
+  // Save the form details and the builder's schema as the form's draft
+  // Returns the updated form
+  const saveDraft = async (draftSchema = schema) => {
+    await api.customForms.update(currentForm.id, {
+      name: currentForm.name.trim(),
+      appliesToCategory: currentForm.appliesToCategory,
+    });
+    const response = await api.customForms.saveDraft(currentForm.id, draftSchema);
+    return response.data.form;
+  };
+
+  // Save schema to database (as a draft once the form exists)
+  const saveSchema = async () => {
+    if (!validateSchema()) return;
+
     try {
       setLoading(true);
+
+      if (currentForm) {
+        const form = await saveDraft();
+        openForm(form);
+        loadForms();
+        alert(
+          form.hasDraft
+            ? 'Draft saved. Publish it to make the changes live for technicians.'
+            : 'No changes from the published version.'
+        );
+        return;
+      }
+
+      // No form exists yet, so nothing is live to protect - the first save publishes version 1
       const response = await api.customForms.updateActive(
         schema,
         'AAR Submission Form',
         'Customized AAR submission form'
       );
 
+      if (response.data.formId) {
+        // First save created the default form - start editing it by ID
+        const saved = await api.customForms.get(response.data.formId);
+        openForm(saved.data.form);
+      }
+      loadForms();
+
       // Capture the returned formId and update the schema
       if (response.data.success && response.data.formId) {
         const updatedSchema = {
@@ -394,10 +571,96 @@ const Customize = () => {
         localStorage.setItem('aar-form-schema', JSON.stringify(schema));
       }
 
-      alert('Form schema saved successfully!');
+      alert('Form published successfully!');
     } catch (error) {
       console.error('Error saving form:', error);
-      alert('Failed to save form. Please try again.');
+      alert(formErrorMessage(error, 'Failed to save form. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Save the draft and make it the live schema, with a changelog message
+  const publishSchema = async () => {
+    if (!validateSchema()) return;
+
+    const changeNote = prompt(`Publish "${currentForm.name}"?\n\nDescribe what changed (shown in the version history):`);
+    if (changeNote === null) return;
+    if (!changeNote.trim()) {
+      alert('A changelog message is required to publish.');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const draft = await saveDraft();
+      if (!draft.hasDraft) {
+        openForm(draft);
+        alert('No changes to publish - the form matches the live version.');
+        return;
+      }
+
+      const response = await api.customForms.publish(currentForm.id, changeNote.trim());
+      openForm(response.data.form);
+      loadForms();
+      alert(`${response.data.message}. Technicians now see the updated form.`);
+    } catch (error) {
+      console.error('Error publishing form:', error);
+      alert(formErrorMessage(error, 'Failed to publish form. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Throw away the draft and go back to the live schema
+  const discardDraft = async () => {
+    if (!confirm('Discard the unpublished draft? The builder will go back to the live version.')) return;
+    await runFormAction(() => api.customForms.discardDraft(currentForm.id), 'Failed to discard draft.');
+  };
+
+  // Save the draft and open it in the Submit AAR page (submitting is disabled there)
+  const previewDraft = async () => {
+    if (!validateSchema()) return;
+
+    try {
+      setLoading(true);
+      await saveDraft();
+      navigate(`/submit?previewForm=${currentForm.id}`);
+    } catch (error) {
+      console.error('Error saving draft:', error);
+      alert(formErrorMessage(error, 'Failed to save draft. Please try again.'));
+      setLoading(false);
+    }
+  };
+
+  // Republish an earlier version; an unpublished draft stays in the builder
+  const rollbackToVersion = async (version) => {
+    if (
+      !confirm(
+        `Roll back to version ${version}? Its schema is published again as a new version and technicians see it immediately.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await api.customForms.rollback(currentForm.id, version);
+      const form = response.data.form;
+      setCurrentForm({ ...currentForm, version: form.version, hasDraft: form.hasDraft });
+      if (!form.hasDraft) {
+        setSchema(form.schema);
+        setSelectedField(null);
+      }
+      loadForms();
+      alert(
+        form.hasDraft
+          ? `${response.data.message}. Your unpublished draft was kept.`
+          : response.data.message
+      );
+    } catch (error) {
+      console.error('Error rolling back form:', error);
+      alert(formErrorMessage(error, 'Failed to roll back form. Please try again.'));
     } finally {
       setLoading(false);
     }
@@ -405,25 +668,116 @@ const Customize = () => {
 
   // Reset to default schema
   const resetSchema = async () => {
-    if (!confirm('Are you sure you want to reset to default schema? This cannot be undone.')) {
+    const message = currentForm
+      ? 'Replace the draft with the default schema? The live form is unchanged until you publish.'
+      : 'Reset to the default schema? If the default form exists, it gets the default schema as a draft to publish.';
+    if (!confirm(message)) {
       return;
     }
 
     try {
       setLoading(true);
-      await api.customForms.reset(DEFAULT_SCHEMA);
-      setSchema(DEFAULT_SCHEMA);
+      let resultMessage = 'Draft reset to the default schema.';
+      if (currentForm) {
+        // Only the form being edited is reset, and only in its draft
+        openForm(await saveDraft(DEFAULT_SCHEMA));
+      } else {
+        // An existing default form gets the default schema as its draft
+        const response = await api.customForms.reset(DEFAULT_SCHEMA);
+        if (response.data.form) {
+          openForm(response.data.form);
+        } else {
+          setSchema(DEFAULT_SCHEMA);
+        }
+        await loadForms();
+        resultMessage = response.data.message;
+      }
       localStorage.removeItem('aar-form-schema');
       setSelectedField(null);
-      alert('Form reset to default successfully!');
+      alert(resultMessage);
     } catch (error) {
       console.error('Error resetting form:', error);
-      alert('Failed to reset form. Please try again.');
+      alert(formErrorMessage(error, 'Failed to reset form. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a form management request, then refresh the form list
+  const runFormAction = async (action, failureMessage) => {
+    try {
+      setLoading(true);
+      const response = await action();
+      if (response.data.form) {
+        openForm(response.data.form);
+      }
+      await loadForms();
+      return response;
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(formErrorMessage(error, failureMessage));
+      return null;
     } finally {
       setLoading(false);
     }
   };
 
+  // Switch to another form (unsaved changes are discarded)
+  const selectForm = async (formId) => {
+    if (!formId || formId === currentForm?.id) return;
+    if (!confirm('Switch forms? Unsaved changes to the current form will be lost.')) return;
+    await runFormAction(() => api.customForms.get(formId), 'Failed to load form.');
+  };
+
+  // Create a new form for a category that has none yet
+  const createForm = async () => {
+    const name = prompt('Name for the new form:', 'New AAR Form');
+    if (!name || !name.trim()) return;
+
+    const usedCategories = new Set(
+      forms.filter((form) => form.isActive && form.appliesToCategory).map((form) => form.appliesToCategory)
+    );
+    const freeCategory = categories.find((category) => !usedCategories.has(category.name));
+
+    const response = await runFormAction(
+      () =>
+        api.customForms.create({
+          name: name.trim(),
+          appliesToCategory: freeCategory?.name || null,
+          form_schema: DEFAULT_SCHEMA,
+        }),
+      'Failed to create form.'
+    );
+    if (response) {
+      alert(`Form created${freeCategory ? ` for ${freeCategory.name}` : ''}. Choose its category and save.`);
+    }
+  };
+
+  const cloneForm = async () => {
+    const response = await runFormAction(
+      () => api.customForms.clone(currentForm.id),
+      'Failed to clone form.'
+    );
+    if (response) alert(response.data.message);
+  };
+
+  const archiveForm = async () => {
+    if (!confirm(`Archive "${currentForm.name}"? It will no longer be offered for new AARs.`)) return;
+    const response = await runFormAction(
+      () => api.customForms.archive(currentForm.id),
+      'Failed to archive form.'
+    );
+    if (response) setCurrentForm({ ...currentForm, isActive: false });
+  };
+
+  const restoreForm = async () => {
+    const response = await runFormAction(
+      () => api.customForms.restore(currentForm.id),
+      'Failed to restore form.'
+    );
+    if (response) setCurrentForm({ ...currentForm, isActive: true });
+  };
+
   // Open add field modal
   const openAddFieldModal = (fieldType) => {
     setPendingFieldType(fieldType);
@@ -462,6 +816,9 @@ const Customize = () => {
         : {}),
       ...(pendingFieldType.type === 'file' ? { multiple: false, accept: 'image/*' } : {}),
       ...(pendingFieldType.type === 'number' ? { validation: { min: 0 } } : {}),
+      ...(pendingFieldType.type === 'rating' ? { maxRating: 5 } : {}),
+      ...(pendingFieldType.type === 'signature' ? { placeholder: 'Sign above with your finger or mouse' } : {}),
+      ...(pendingFieldType.type === 'barcode' ? { placeholder: 'Scan or type a code' } : {}),
       ...(pendingFieldType.type === 'textarea' ? { validation: { minLength: 10 } } : {}),
     };
 
@@ -478,24 +835,7 @@ const Customize = () => {
     // Remove the field AND clean up any conditions referencing it
     const updatedFields = schema.fields
       .filter((f) => f.id !== fieldId) // Remove the field
-      .map((f) => {
-        // Clean up conditions in other fields that reference the deleted field
-        if (f.conditional?.enabled) {
-          const cleanedConditions = f.conditional.conditions.filter(
-            (c) => c.fieldId !== fieldId
-          );
-
-          return {
-            ...f,
-            conditional: {
-              ...f.conditional,
-              conditions: cleanedConditions,
-              enabled: cleanedConditions.length > 0,
-            },
-          };
-        }
-        return f;
-      });
+      .map((f) => removeFieldReferences(f, fieldId)); // Conditions and rules of other fields
 
     setSchema({
       ...schema,
@@ -558,10 +898,17 @@ const Customize = () => {
   const openSectionModal = (section = null) => {
     if (section) {
       setEditingSection(section);
-      setSectionForm({ id: section.id, name: section.name });
+      setSectionForm({
+        id: section.id,
+        name: section.name,
+        repeatable: Boolean(section.repeatable),
+        itemLabel: section.itemLabel || '',
+        minItems: section.minItems ?? '',
+        maxItems: section.maxItems ?? '',
+      });
     } else {
       setEditingSection(null);
-      setSectionForm({ id: '', name: '' });
+      setSectionForm(EMPTY_SECTION_FORM);
     }
     setShowSectionModal(true);
   };
@@ -569,7 +916,7 @@ const Customize = () => {
   const closeSectionModal = () => {
     setShowSectionModal(false);
     setEditingSection(null);
-    setSectionForm({ id: '', name: '' });
+    setSectionForm(EMPTY_SECTION_FORM);
   };
 
   const saveSection = () => {
@@ -578,17 +925,40 @@ const Customize = () => {
       return;
     }
 
+    // Repeat settings (instances are stored under the section ID)
+    const minItems = sectionForm.minItems === '' ? undefined : parseInt(sectionForm.minItems);
+    const maxItems = sectionForm.maxItems === '' ? undefined : parseInt(sectionForm.maxItems);
+    const sectionId = editingSection ? editingSection.id : sectionForm.id || `section_${Date.now()}`;
+
+    if (sectionForm.repeatable) {
+      if (minItems !== undefined && maxItems !== undefined && minItems > maxItems) {
+        alert('Minimum entries cannot be more than maximum entries.');
+        return;
+      }
+      if (schema.fields.some((f) => f.id === sectionId)) {
+        alert(`A field already uses the ID "${sectionId}". Repeatable sections need an ID no field uses.`);
+        return;
+      }
+    }
+
+    const repeatSettings = {
+      repeatable: sectionForm.repeatable || undefined,
+      itemLabel: (sectionForm.repeatable && sectionForm.itemLabel.trim()) || undefined,
+      minItems: sectionForm.repeatable ? minItems : undefined,
+      maxItems: sectionForm.repeatable ? maxItems : undefined,
+    };
+
     if (editingSection) {
       // Update existing section
       setSchema({
         ...schema,
         sections: schema.sections.map((s) =>
-          s.id === editingSection.id ? { ...s, name: sectionForm.name } : s
+          s.id === editingSection.id ? { ...s, name: sectionForm.name, ...repeatSettings } : s
         ),
       });
     } else {
       // Create new section
-      const newId = sectionForm.id || `section_${Date.now()}`;
+      const newId = sectionId;
 
       // Check if ID already exists
       if (schema.sections.find((s) => s.id === newId)) {
@@ -600,6 +970,7 @@ const Customize = () => {
         id: newId,
         name: sectionForm.name,
         order: schema.sections.length,
+        ...repeatSettings,
       };
 
       setSchema({
@@ -681,82 +1052,24 @@ const Customize = () => {
     setSchema({ ...schema, sections: newSections });
   };
 
-  // Conditional logic management functions
-  const addCondition = (fieldId) => {
-    const field = schema.fields.find((f) => f.id === fieldId);
-    if (!field) return;
-
-    const newConditions = [
-      ...(field.conditional?.conditions || []),
-      { fieldId: '', operator: 'equals', value: '' },
-    ];
-
-    updateField(fieldId, {
-      conditional: {
-        ...field.conditional,
-        enabled: true,
-        operator: field.conditional?.operator || 'AND',
-        conditions: newConditions,
-      },
-    });
-  };
-
-  const updateCondition = (fieldId, conditionIndex, updates) => {
+  // Conditional logic management: the editor works on the root group { operator, conditions }
+  const updateConditionalGroup = (fieldId, group) => {
     const field = schema.fields.find((f) => f.id === fieldId);
     if (!field) return;
 
-    const newConditions = [...(field.conditional?.conditions || [])];
-    const updatedCondition = {
-      ...newConditions[conditionIndex],
-      ...updates,
-    };
-
-    // Normalize value based on operator and referenced field type
-    if (updates.value !== undefined) {
-      const referencedField = schema.fields.find((f) => f.id === updatedCondition.fieldId);
-      if (referencedField) {
-        updatedCondition.value = normalizeConditionValue(
-          updatedCondition.operator,
-          updates.value,
-          referencedField.type
-        );
-      }
-    }
-
-    newConditions[conditionIndex] = updatedCondition;
-
     updateField(fieldId, {
       conditional: {
         ...field.conditional,
-        conditions: newConditions,
-      },
-    });
-  };
-
-  const removeCondition = (fieldId, conditionIndex) => {
-    const field = schema.fields.find((f) => f.id === fieldId);
-    if (!field) return;
-
-    const newConditions = (field.conditional?.conditions || []).filter(
-      (_, i) => i !== conditionIndex
-    );
-
-    updateField(fieldId, {
-      conditional: {
-        ...field.conditional,
-        conditions: newConditions,
-        enabled: newConditions.length > 0,
+        operator: group.operator,
+        conditions: group.conditions,
+        enabled: group.conditions.length > 0,
       },
     });
   };
 
   // Dependency visualization helpers
   const getFieldDependents = (fieldId) => {
-    return schema.fields.filter(
-      (f) =>
-        f.conditional?.enabled &&
-        f.conditional.conditions.some((c) => c.fieldId === fieldId)
-    );
+    return schema.fields.filter((f) => getFieldDependencies(f).includes(fieldId));
   };
 
   const isFieldCircular = (fieldId) => {
@@ -769,10 +1082,7 @@ const Customize = () => {
     const dependencies = new Map();
     schema.fields.forEach((field) => {
       if (field.conditional?.enabled) {
-        const deps = field.conditional.conditions
-          .filter((c) => c.fieldId)
-          .map((c) => c.fieldId);
-        dependencies.set(field.id, deps);
+        dependencies.set(field.id, getFieldDependencies(field));
       }
     });
 
@@ -967,6 +1277,58 @@ const Customize = () => {
             <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
               Customize the Submit AAR form fields and layout
             </p>
+            <FormSelector
+              forms={forms}
+              currentForm={currentForm}
+              categories={categories}
+              disabled={loading}
+              onSelect={selectForm}
+              onDetailsChange={(details) => setCurrentForm({ ...currentForm, ...details })}
+              onCreate={createForm}
+              onClone={cloneForm}
+              onArchive={archiveForm}
+              onRestore={restoreForm}
+            />
+            {currentForm && (
+              <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-2 text-sm">
+                <span className="text-gray-600 dark:text-gray-400">Live: version {currentForm.version}</span>
+                {currentForm.hasDraft ? (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300">
+                    Unpublished draft
+                  </span>
+                ) : (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300">
+                    Published
+                  </span>
+                )}
+                <button
+                  onClick={previewDraft}
+                  disabled={loading}
+                  className="flex items-center space-x-1 text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-50"
+                >
+                  <Eye className="w-4 h-4" />
+                  <span>Preview in Submit AAR</span>
+                </button>
+                <button
+                  onClick={() => setShowVersionHistory(true)}
+                  disabled={loading}
+                  className="flex items-center space-x-1 text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-50"
+                >
+                  <History className="w-4 h-4" />
+                  <span>Version history</span>
+                </button>
+                {currentForm.hasDraft && (
+                  <button
+                    onClick={discardDraft}
+                    disabled={loading}
+                    className="flex items-center space-x-1 text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                  >
+                    <X className="w-4 h-4" />
+                    <span>Discard draft</span>
+                  </button>
+                )}
+              </div>
+            )}
           </div>
           <div className="flex items-center space-x-2">
             {/* View Toggle */}
@@ -1027,9 +1389,24 @@ const Customize = () => {
                 className="px-4 py-2 rounded-lg bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium transition-colors flex items-center space-x-2"
               >
                 <Save className="w-4 h-4" />
-                <span className="hidden md:inline">{loading ? 'Saving...' : 'Save'}</span>
+                <span className="hidden md:inline">
+                  {loading ? 'Saving...' : currentForm ? 'Save Draft' : 'Save'}
+                </span>
               </button>
             </HelpTooltip>
+
+            {currentForm && (
+              <HelpTooltip translationKey="customize.tooltips.actions.publish" side="bottom">
+                <button
+                  onClick={publishSchema}
+                  disabled={loading}
+                  className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium transition-colors flex items-center space-x-2"
+                >
+                  <Send className="w-4 h-4" />
+                  <span className="hidden md:inline">Publish</span>
+                </button>
+              </HelpTooltip>
+            )}
           </div>
         </div>
       </div>
@@ -1226,8 +1603,37 @@ const Customize = () => {
                     </select>
                   </div>
 
+                  {/* Options source for select/smartselect types */}
+                  {['select', 'multiselect', 'smartselect', 'smartmultiselect'].includes(selectedField.type) && (
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Options Source
+                      </label>
+                      <select
+                        value={selectedField.optionsSource || ''}
+                        onChange={(e) => updateField(selectedField.id, { optionsSource: e.target.value || undefined })}
+                        className="w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white"
+                      >
+                        <option value="" className="dark:bg-gray-800 dark:text-white">Custom list</option>
+                        {OPTION_SOURCES.map((source) => (
+                          <option key={source.value} value={source.value} className="dark:bg-gray-800 dark:text-white">
+                            {source.label}
+                          </option>
+                        ))}
+                      </select>
+                      {selectedField.optionsSource && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                          {getFieldOptions(selectedField).length} options, managed in{' '}
+                          <Link to="/reference-lists" className="text-primary-600 dark:text-primary-400 hover:underline">
+                            Categories &amp; Materials
+                          </Link>
+                        </p>
+                      )}
+                    </div>
+                  )}
+
                   {/* Options for select/multiselect */}
-                  {(selectedField.type === 'select' || selectedField.type === 'multiselect') && (
+                  {(selectedField.type === 'select' || selectedField.type === 'multiselect') && !selectedField.optionsSource && (
                     <div>
                       <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
                         <span>Options</span>
@@ -1276,7 +1682,7 @@ const Customize = () => {
                   )}
 
                   {/* Options for smart select/multiselect */}
-                  {(selectedField.type === 'smartselect' || selectedField.type === 'smartmultiselect') && (
+                  {(selectedField.type === 'smartselect' || selectedField.type === 'smartmultiselect') && !selectedField.optionsSource && (
                     <div>
                       <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
                         <span>Initial Options</span>
@@ -1747,6 +2153,63 @@ const Customize = () => {
                     </>
                   )}
 
+                  {/* Rating settings */}
+                  {selectedField.type === 'rating' && (
+                    <div>
+                      <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        <span>Number of Stars</span>
+                        <HelpTooltip
+                          translationKey="customize.tooltips.properties.maxRating"
+                          side="left"
+                        />
+                      </label>
+                      <input
+                        type="number"
+                        min="3"
+                        max="10"
+                        value={selectedField.maxRating ?? 5}
+                        onChange={(e) =>
+                          updateField(selectedField.id, {
+                            maxRating: Math.min(10, Math.max(3, parseInt(e.target.value) || 5)),
+                          })
+                        }
+                        className="w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white"
+                      />
+                    </div>
+                  )}
+
+                  {/* Time tracker settings */}
+                  {selectedField.type === 'timer' && (
+                    <div>
+                      <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        <span>Fill In Field (Optional)</span>
+                        <HelpTooltip
+                          translationKey="customize.tooltips.properties.feedsField"
+                          side="left"
+                        />
+                      </label>
+                      <select
+                        value={selectedField.feedsFieldId || ''}
+                        onChange={(e) =>
+                          updateField(selectedField.id, { feedsFieldId: e.target.value || undefined })
+                        }
+                        className="w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white"
+                      >
+                        <option value="">None</option>
+                        {schema.fields
+                          .filter((f) => f.type === 'number' && !f.computed)
+                          .map((f) => (
+                            <option key={f.id} value={f.id}>
+                              {f.label}
+                            </option>
+                          ))}
+                      </select>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        Tracked time is written to this field in hours, e.g. Repair Time
+                      </p>
+                    </div>
+                  )}
+
                   {/* File upload settings */}
                   {selectedField.type === 'file' && (
                     <>
@@ -1832,220 +2295,32 @@ const Customize = () => {
 
                     {selectedField.conditional?.enabled && (
                       <div className="space-y-3">
-                        {/* Combine Operator */}
-                        <div>
-                          <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
-                            <span>Show field when:</span>
-                            <HelpTooltip
-                              translationKey="customize.tooltips.conditional.operator"
-                              side="left"
-                              maxWidth={400}
-                            />
-                          </label>
-                          <select
-                            value={selectedField.conditional?.operator || 'AND'}
-                            onChange={(e) =>
-                              updateField(selectedField.id, {
-                                conditional: {
-                                  ...selectedField.conditional,
-                                  operator: e.target.value,
-                                },
-                              })
-                            }
-                            className="w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white"
-                          >
-                            <option value="AND" className="dark:bg-gray-800 dark:text-white">
-                              ALL conditions match (AND)
-                            </option>
-                            <option value="OR" className="dark:bg-gray-800 dark:text-white">
-                              ANY condition matches (OR)
-                            </option>
-                          </select>
-                        </div>
-
-                        {/* Conditions List */}
-                        <div className="space-y-2">
-                          {(selectedField.conditional?.conditions || []).map((condition, index) => (
-                            <div
-                              key={index}
-                              className="p-3 bg-gray-100 dark:bg-gray-800 rounded-lg space-y-2 border border-gray-200 dark:border-gray-700"
-                            >
-                              {/* Field Selection */}
-                              <div>
-                                <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
-                                  <span>If this field:</span>
-                                  <HelpTooltip
-                                    translationKey="customize.tooltips.conditional.fieldSelect"
-                                    side="left"
-                                  />
-                                </label>
-                                <select
-                                  value={condition.fieldId}
-                                  onChange={(e) =>
-                                    updateCondition(selectedField.id, index, {
-                                      fieldId: e.target.value,
-                                    })
-                                  }
-                                  className="w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
-                                >
-                                  <option value="" className="dark:bg-gray-700 dark:text-white">
-                                    Select field...
-                                  </option>
-                                  {schema.fields
-                                    .filter((f) => f.id !== selectedField.id)
-                                    .map((f) => (
-                                      <option
-                                        key={f.id}
-                                        value={f.id}
-                                        className="dark:bg-gray-700 dark:text-white"
-                                      >
-                                        {f.label}
-                                      </option>
-                                    ))}
-                                </select>
-                              </div>
-
-                              {/* Operator and Value */}
-                              <div>
-                                <div className="flex items-center space-x-2 mb-1">
-                                  <label className="text-xs font-medium text-gray-700 dark:text-gray-300">
-                                    Comparison:
-                                  </label>
-                                  <HelpTooltip
-                                    translationKey="customize.tooltips.conditional.comparison"
-                                    side="left"
-                                    maxWidth={400}
-                                  />
-                                </div>
-                                <div className="grid grid-cols-2 gap-2">
-                                  <select
-                                    value={condition.operator}
-                                    onChange={(e) =>
-                                      updateCondition(selectedField.id, index, {
-                                        operator: e.target.value,
-                                      })
-                                    }
-                                    className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
-                                  >
-                                    <optgroup label="Equality" className="dark:bg-gray-700 dark:text-white">
-                                      <option value="equals" className="dark:bg-gray-700 dark:text-white">
-                                        Equals
-                                      </option>
-                                      <option value="notEquals" className="dark:bg-gray-700 dark:text-white">
-                                        Not Equals
-                                      </option>
-                                    </optgroup>
-
-                                    <optgroup label="Comparison" className="dark:bg-gray-700 dark:text-white">
-                                      <option value="greaterThan" className="dark:bg-gray-700 dark:text-white">
-                                        Greater Than
-                                      </option>
-                                      <option value="lessThan" className="dark:bg-gray-700 dark:text-white">
-                                        Less Than
-                                      </option>
-                                    </optgroup>
-
-                                    <optgroup label="Text" className="dark:bg-gray-700 dark:text-white">
-                                      <option value="contains" className="dark:bg-gray-700 dark:text-white">
-                                        Contains
-                                      </option>
-                                      <option value="startsWith" className="dark:bg-gray-700 dark:text-white">
-                                        Starts With
-                                      </option>
-                                      <option value="endsWith" className="dark:bg-gray-700 dark:text-white">
-                                        Ends With
-                                      </option>
-                                    </optgroup>
-
-                                    <optgroup label="Arrays" className="dark:bg-gray-700 dark:text-white">
-                                      <option value="oneOf" className="dark:bg-gray-700 dark:text-white">
-                                        One Of
-                                      </option>
-                                      <option value="includes" className="dark:bg-gray-700 dark:text-white">
-                                        Includes
-                                      </option>
-                                      <option value="includesAny" className="dark:bg-gray-700 dark:text-white">
-                                        Includes Any
-                                      </option>
-                                      <option value="includesAll" className="dark:bg-gray-700 dark:text-white">
-                                        Includes All
-                                      </option>
-                                    </optgroup>
-
-                                    <optgroup label="Existence" className="dark:bg-gray-700 dark:text-white">
-                                      <option value="isEmpty" className="dark:bg-gray-700 dark:text-white">
-                                        Is Empty
-                                      </option>
-                                      <option value="isNotEmpty" className="dark:bg-gray-700 dark:text-white">
-                                        Is Not Empty
-                                      </option>
-                                    </optgroup>
-                                  </select>
-
-                                  {/* Value Input - Smart Adaptive */}
-                                  {condition.operator !== 'isEmpty' &&
-                                    condition.operator !== 'isNotEmpty' && (
-                                      <SmartConditionValueInput
-                                        referencedField={schema.fields.find((f) => f.id === condition.fieldId)}
-                                        operator={condition.operator}
-                                        value={condition.value}
-                                        onChange={(newValue) =>
-                                          updateCondition(selectedField.id, index, {
-                                            value: newValue,
-                                          })
-                                        }
-                                      />
-                                    )}
-                                </div>
-                              </div>
-
-                              {/* Remove Condition */}
-                              <button
-                                onClick={() => removeCondition(selectedField.id, index)}
-                                className="w-full py-1.5 px-3 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors flex items-center justify-center space-x-2 text-xs"
-                              >
-                                <Trash2 className="w-3 h-3" />
-                                <span>Remove Condition</span>
-                              </button>
-                            </div>
-                          ))}
+                        <ConditionGroupEditor
+                          group={{
+                            operator: selectedField.conditional?.operator || 'AND',
+                            conditions: selectedField.conditional?.conditions || [],
+                          }}
+                          fields={schema.fields.filter((f) => f.id !== selectedField.id)}
+                          onChange={(group) => updateConditionalGroup(selectedField.id, group)}
+                        />
 
-                          {/* Circular Dependency Warning */}
-                          {isFieldCircular(selectedField.id) && (
-                            <div className="p-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-700 rounded-lg flex items-start space-x-2">
-                              <AlertTriangle className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
-                              <div className="flex-1 text-xs">
-                                <p className="font-semibold text-amber-900 dark:text-amber-200 mb-1">
-                                  ⚠️ Circular Dependency Detected
-                                </p>
-                                <p className="text-amber-700 dark:text-amber-300 mb-2">
-                                  {getCircularPath(selectedField.id)}
-                                </p>
-                                <p className="text-amber-600 dark:text-amber-400">
-                                  Remove one of the conditions in this chain to fix.
-                                </p>
-                              </div>
-                            </div>
-                          )}
-
-                          {/* Add Condition Button */}
-                          <div>
-                            <div className="flex items-center space-x-2 mb-2">
-                              <HelpTooltip
-                                translationKey="customize.tooltips.conditional.addCondition"
-                                side="left"
-                                maxWidth={400}
-                              />
+                        {/* Circular Dependency Warning */}
+                        {isFieldCircular(selectedField.id) && (
+                          <div className="p-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-700 rounded-lg flex items-start space-x-2">
+                            <AlertTriangle className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
+                            <div className="flex-1 text-xs">
+                              <p className="font-semibold text-amber-900 dark:text-amber-200 mb-1">
+                                ⚠️ Circular Dependency Detected
+                              </p>
+                              <p className="text-amber-700 dark:text-amber-300 mb-2">
+                                {getCircularPath(selectedField.id)}
+                              </p>
+                              <p className="text-amber-600 dark:text-amber-400">
+                                Remove one of the conditions in this chain to fix.
+                              </p>
                             </div>
-                            <button
-                              onClick={() => addCondition(selectedField.id)}
-                              className="w-full py-2 px-3 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:border-primary-500 hover:text-primary-600 dark:hover:text-primary-400 transition-colors flex items-center justify-center space-x-2"
-                            >
-                              <Plus className="w-4 h-4" />
-                              <span className="text-sm font-medium">Add Condition</span>
-                            </button>
                           </div>
-                        </div>
+                        )}
 
                         <p className="text-xs text-purple-600 dark:text-purple-400 mt-2">
                           ⚡ This field will only show when conditions are met
@@ -2053,6 +2328,13 @@ const Customize = () => {
                       </div>
                     )}
                   </div>
+
+                  {/* Required When / Option Rules / Calculated Value */}
+                  <FieldRulesEditor
+                    field={selectedField}
+                    fields={schema.fields}
+                    onChange={(updates) => updateField(selectedField.id, updates)}
+                  />
                 </div>
               ) : (
                 <div className="text-center py-12 px-4">
@@ -2110,6 +2392,7 @@ const Customize = () => {
                             className={
                               field.type === 'textarea' ||
                               field.type === 'file' ||
+                              field.type === 'signature' ||
                               field.type === 'dualfield' ||
                               field.type === 'multidualfield' ||
                               field.type === 'triplefield' ||
@@ -2156,7 +2439,7 @@ const Customize = () => {
                                 className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                               >
                                 <option value="" className="dark:bg-gray-700 dark:text-white">{field.placeholder}</option>
-                                {field.options?.map((option) => (
+                                {getFieldOptions(field).map((option) => (
                                   <option key={option} value={option} className="dark:bg-gray-700 dark:text-white">
                                     {option}
                                   </option>
@@ -2252,6 +2535,53 @@ const Customize = () => {
                                 </p>
                               </div>
                             )}
+
+                            {field.type === 'signature' && (
+                              <div className="border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg h-32 flex items-end p-3 bg-white dark:bg-gray-700">
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                  {field.placeholder || 'Sign above with your finger or mouse'}
+                                </p>
+                              </div>
+                            )}
+
+                            {field.type === 'location' && (
+                              <div className="w-full flex items-center justify-center space-x-2 px-4 py-3 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400">
+                                <MapPin className="w-4 h-4" />
+                                <span className="text-sm font-medium">Capture Current Location</span>
+                              </div>
+                            )}
+
+                            {field.type === 'rating' && (
+                              <div className="flex items-center space-x-1">
+                                {Array.from({ length: field.maxRating || 5 }, (_, i) => (
+                                  <Star key={i} className="w-7 h-7 text-gray-300 dark:text-gray-600" />
+                                ))}
+                              </div>
+                            )}
+
+                            {field.type === 'timer' && (
+                              <div className="flex items-center justify-between px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700">
+                                <div className="flex items-center space-x-2">
+                                  <Timer className="w-5 h-5 text-gray-400" />
+                                  <span className="font-mono text-lg text-gray-900 dark:text-white">0m 00s</span>
+                                </div>
+                                <span className="px-3 py-1.5 rounded-lg bg-green-600 text-white text-sm font-medium">Start</span>
+                              </div>
+                            )}
+
+                            {field.type === 'barcode' && (
+                              <div className="flex items-center space-x-2">
+                                <input
+                                  type="text"
+                                  disabled
+                                  placeholder={field.placeholder || 'Scan or type a code'}
+                                  className="flex-1 min-w-0 px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white font-mono"
+                                />
+                                <div className="p-3 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-500">
+                                  <ScanBarcode className="w-5 h-5" />
+                                </div>
+                              </div>
+                            )}
                           </div>
                         ))}
                       </div>
@@ -2336,6 +2666,16 @@ const Customize = () => {
       )}
 
       {/* Section Modal */}
+      {showVersionHistory && currentForm && (
+        <FormVersionHistory
+          formId={currentForm.id}
+          currentVersion={currentForm.version}
+          disabled={loading}
+          onRollback={rollbackToVersion}
+          onClose={() => setShowVersionHistory(false)}
+        />
+      )}
+
       {showSectionModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-md w-full">
@@ -2385,6 +2725,67 @@ const Customize = () => {
                   </p>
                 </div>
               )}
+
+              <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={sectionForm.repeatable}
+                    onChange={(e) => setSectionForm({ ...sectionForm, repeatable: e.target.checked })}
+                    className="w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Repeatable</span>
+                  <HelpTooltip translationKey="customize.tooltips.sections.repeatable" side="right" />
+                </label>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Technicians fill in this section once per entry, e.g. once per damaged area.
+                </p>
+
+                {sectionForm.repeatable && (
+                  <div className="mt-3 space-y-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Entry Name
+                      </label>
+                      <input
+                        type="text"
+                        value={sectionForm.itemLabel}
+                        onChange={(e) => setSectionForm({ ...sectionForm, itemLabel: e.target.value })}
+                        placeholder="e.g., Damaged Area"
+                        className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                      />
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Minimum Entries
+                        </label>
+                        <input
+                          type="number"
+                          min={0}
+                          value={sectionForm.minItems}
+                          onChange={(e) => setSectionForm({ ...sectionForm, minItems: e.target.value })}
+                          placeholder={String(DEFAULT_MIN_ITEMS)}
+                          className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Maximum Entries
+                        </label>
+                        <input
+                          type="number"
+                          min={1}
+                          value={sectionForm.maxItems}
+                          onChange={(e) => setSectionForm({ ...sectionForm, maxItems: e.target.value })}
+                          placeholder="No limit"
+                          className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        />
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
             </div>
 
             {/* Modal Footer */}
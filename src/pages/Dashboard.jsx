@@ -1,29 +1,36 @@
+import { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useAAR } from '../contexts/AARContext';
+import { api } from '../lib/api-client';
 import { FileText, Eye, TrendingUp, Calendar } from 'lucide-react';
 
 const Dashboard = () => {
   const { t } = useTranslation();
   const { currentUser, hasPermission } = useAuth();
   const { aars } = useAAR();
+  const [stats, setStats] = useState(null);
 
   // Get recent AARs (last 10)
   const recentAARs = [...aars].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)).slice(0, 10);
 
-  // Calculate stats
-  const today = new Date();
-  const todayStart = new Date(today.setHours(0, 0, 0, 0));
-  const weekStart = new Date(today.setDate(today.getDate() - today.getDay()));
-  const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+  const showStats = hasPermission('view_analytics') || hasPermission('all');
 
-  const aarsToday = aars.filter((aar) => new Date(aar.createdAt) >= todayStart).length;
-  const aarsThisWeek = aars.filter((aar) => new Date(aar.createdAt) >= weekStart).length;
-  const aarsThisMonth = aars.filter((aar) => new Date(aar.createdAt) >= monthStart).length;
-  const totalViews = aars.reduce((sum, aar) => sum + (aar.views || 0), 0);
+  // Stats come from the analytics API so they cover all AARs, not just the loaded page
+  useEffect(() => {
+    if (!showStats) return;
 
-  const showStats = hasPermission('view_analytics') || hasPermission('all');
+    api.analytics
+      .getSummary()
+      .then((response) => setStats(response.data.data))
+      .catch((error) => console.error('Error loading dashboard stats:', error));
+  }, [showStats]);
+
+  const aarsToday = stats?.submissions.today ?? 0;
+  const aarsThisWeek = stats?.submissions.thisWeek ?? 0;
+  const aarsThisMonth = stats?.submissions.thisMonth ?? 0;
+  const totalViews = stats?.totalViews ?? 0;
 
   return (
     <div className="space-y-4 md:space-y-6">
@@ -0,0 +1,221 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { AlertTriangle, Cloud, CloudOff, FileClock, Image, Plus, RefreshCw, Trash2 } from 'lucide-react';
+import { getDraftTitle, useDrafts } from '../contexts/DraftsContext';
+import { DRAFT_STATUS } from '../utils/draftStore';
+import { getRelativeTime } from '../utils/timezone';
+
+// Badge per draft status
+const STATUS_BADGES = {
+  [DRAFT_STATUS.DRAFT]: {
+    labelKey: 'drafts.status.draft',
+    className: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  },
+  [DRAFT_STATUS.QUEUED]: {
+    labelKey: 'drafts.status.queued',
+    className: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300',
+  },
+  [DRAFT_STATUS.CONFLICT]: {
+    labelKey: 'drafts.status.conflict',
+    className: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-300',
+  },
+  [DRAFT_STATUS.FAILED]: {
+    labelKey: 'drafts.status.failed',
+    className: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300',
+  },
+};
+
+const countPhotos = (photos = {}) => Object.values(photos).reduce((total, files) => total + files.length, 0);
+
+const Drafts = () => {
+  const { t } = useTranslation();
+  const { drafts, remoteDrafts, isOnline, syncing, refreshServerDrafts, discardDraft, syncQueuedDrafts } = useDrafts();
+  const queuedCount = drafts.filter((d) => d.status === DRAFT_STATUS.QUEUED).length;
+
+  // Pick up drafts saved on other devices
+  useEffect(() => {
+    refreshServerDrafts();
+  }, [refreshServerDrafts]);
+
+  const handleDelete = async (draft, title = getDraftTitle(draft)) => {
+    if (!confirm(t('drafts.deleteConfirm', { title }))) return;
+    try {
+      await discardDraft(draft);
+    } catch (error) {
+      console.error('Error deleting draft:', error);
+      alert(t('drafts.deleteFailed'));
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-4 md:space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-xl md:text-2xl font-bold text-gray-900 dark:text-white">{t('nav.drafts')}</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            {t('drafts.intro')}
+          </p>
+        </div>
+        <Link
+          to="/submit"
+          className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-primary-600 hover:bg-primary-700 text-white font-medium transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          <span className="hidden md:inline">{t('drafts.newAAR')}</span>
+        </Link>
+      </div>
+
+      {!isOnline && (
+        <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-xl p-4 flex items-start space-x-3">
+          <CloudOff className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-amber-800 dark:text-amber-200">
+            {t('drafts.offline')}
+          </p>
+        </div>
+      )}
+
+      {queuedCount > 0 && isOnline && (
+        <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-xl p-4 flex items-center justify-between">
+          <p className="text-sm text-blue-800 dark:text-blue-200">
+            {t('drafts.queued', { count: queuedCount })}
+          </p>
+          <button
+            type="button"
+            onClick={syncQueuedDrafts}
+            disabled={syncing}
+            className="flex items-center space-x-2 px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${syncing ? 'animate-spin' : ''}`} />
+            <span>{syncing ? t('drafts.submitting') : t('drafts.submitNow')}</span>
+          </button>
+        </div>
+      )}
+
+      {remoteDrafts.length > 0 && (
+        <div className="space-y-3">
+          <h2 className="flex items-center text-sm font-semibold text-gray-700 dark:text-gray-300">
+            <Cloud className="w-4 h-4 mr-2" />
+            {t('drafts.fromOtherDevice')}
+          </h2>
+          {remoteDrafts.map((serverDraft) => (
+            <div key={serverDraft.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-3 md:p-5">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className="font-semibold text-gray-900 dark:text-white truncate">
+                    {getDraftTitle({ values: serverDraft.formData })}
+                  </h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                    {serverDraft.formName || t('drafts.formName')}
+                    {serverDraft.formVersion && ` v${serverDraft.formVersion}`} ·{' '}
+                    {t('drafts.saved', { time: getRelativeTime(serverDraft.updatedAt) })}
+                    {serverDraft.photoCount > 0 && (
+                      <span className="inline-flex items-center ml-2">
+                        <Image className="w-3.5 h-3.5 mr-1" />
+                        {serverDraft.photoCount}
+                      </span>
+                    )}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  <Link
+                    to={`/submit?serverDraft=${serverDraft.id}`}
+                    className="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                  >
+                    {t('drafts.continue')}
+                  </Link>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete({ serverId: serverDraft.id }, getDraftTitle({ values: serverDraft.formData }))}
+                    className="p-1.5 rounded-lg text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                    aria-label={t('drafts.delete')}
+                    title={t('drafts.delete')}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {drafts.length === 0 && remoteDrafts.length === 0 ? (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
+          <FileClock className="w-12 h-12 mx-auto text-gray-400 mb-3" />
+          <p className="text-gray-600 dark:text-gray-400">{t('drafts.empty')}</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {drafts.map((draft) => {
+            const badge = STATUS_BADGES[draft.status] || STATUS_BADGES[DRAFT_STATUS.DRAFT];
+            const photoCount = countPhotos(draft.photos);
+
+            return (
+              <div key={draft.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-3 md:p-5">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <h2 className="font-semibold text-gray-900 dark:text-white truncate">{getDraftTitle(draft)}</h2>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}>
+                        {t(badge.labelKey)}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                      {draft.formSchema?.formName || t('drafts.formName')}
+                      {draft.formSchema?.formVersion && ` v${draft.formSchema.formVersion}`} ·{' '}
+                      {t('drafts.saved', { time: getRelativeTime(draft.updatedAt) })}
+                      {photoCount > 0 && (
+                        <span className="inline-flex items-center ml-2">
+                          <Image className="w-3.5 h-3.5 mr-1" />
+                          {photoCount}
+                        </span>
+                      )}
+                    </p>
+                    {draft.status === DRAFT_STATUS.CONFLICT && (
+                      <p className="flex items-center text-sm text-amber-700 dark:text-amber-300 mt-2">
+                        <AlertTriangle className="w-4 h-4 mr-1 flex-shrink-0" />
+                        {t('drafts.formChanged')}
+                      </p>
+                    )}
+                    {draft.serverId && draft.status === DRAFT_STATUS.DRAFT && (
+                      <p className="flex items-center text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        <Cloud className="w-3.5 h-3.5 mr-1" />
+                        {draft.pendingSync ? t('drafts.pendingSync') : t('drafts.savedOnline')}
+                      </p>
+                    )}
+                    {draft.status === DRAFT_STATUS.FAILED && draft.error && (
+                      <p className="flex items-center text-sm text-red-600 dark:text-red-400 mt-2">
+                        <AlertTriangle className="w-4 h-4 mr-1 flex-shrink-0" />
+                        {t('drafts.failed', { error: draft.error })}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    <Link
+                      to={`/submit?draft=${draft.id}`}
+                      className="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      {draft.status === DRAFT_STATUS.QUEUED ? t('drafts.edit') : t('drafts.continue')}
+                    </Link>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(draft)}
+                      className="p-1.5 rounded-lg text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                      aria-label={t('drafts.delete')}
+                      title={t('drafts.delete')}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Drafts;
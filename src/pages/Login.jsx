@@ -10,7 +10,7 @@ import { api } from '../lib/api-client';
 const Login = () => {
   const { t, i18n } = useTranslation();
   const { login, setCurrentUser } = useAuth();
-  const { theme, toggleTheme, setThemeFromPreference } = useTheme();
+  const { theme, toggleTheme, setThemeFromPreference, branding } = useTheme();
   const navigate = useNavigate();
 
   const [formData, setFormData] = useState({
@@ -110,10 +110,17 @@ const Login = () => {
       <div className="max-w-md w-full">
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl p-5 md:p-6">
           <div className="text-center mb-8">
+            {branding.logo && (
+              <img
+                src={branding.logo}
+                alt={branding.companyName || t('app.name')}
+                className="h-14 w-auto mx-auto mb-4 object-contain"
+              />
+            )}
             <h1 className="text-2xl md:text-3xl font-bold text-gray-900 dark:text-white mb-2">
-              {t('app.name')}
+              {branding.companyName || t('app.name')}
             </h1>
-            <p className="text-gray-600 dark:text-gray-400">{t('app.tagline')}</p>
+            <p className="text-gray-600 dark:text-gray-400">{branding.tagline || t('app.tagline')}</p>
           </div>
 
           <form onSubmit={handleSubmit} className="space-y-4">
@@ -0,0 +1,312 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import {
+  ListOrdered,
+  Plus,
+  ChevronUp,
+  ChevronDown,
+  Archive,
+  ArchiveRestore,
+  Trash2,
+  Check,
+  X,
+  Edit2,
+  Loader,
+} from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useReferenceData } from '../contexts/ReferenceDataContext';
+import { api } from '../lib/api-client';
+import { arrayMove } from '../utils/arrayMove';
+
+const LISTS = [
+  { key: 'categories', title: 'Categories', singular: 'category' },
+  { key: 'materials', title: 'Materials', singular: 'material' },
+];
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.cause?.[0]?.message || error.response?.data?.message || fallback;
+
+/**
+ * ReferenceListPanel - Add, rename, reorder, retire and delete entries of one list
+ * Retired entries stay on existing AARs but are no longer offered in forms.
+ */
+const ReferenceListPanel = ({ list, onChanged }) => {
+  const listApi = api[list.key];
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const loadEntries = useCallback(async () => {
+    try {
+      const response = await listApi.list(true);
+      setEntries(response.data.data);
+    } catch (error) {
+      console.error(`Error loading ${list.key}:`, error);
+      toast.error(`Failed to load ${list.key}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [listApi, list.key]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  /**
+   * Run a change, then reload this list and the shared form options
+   */
+  const runChange = async (change, successMessage, failureMessage) => {
+    setBusy(true);
+    try {
+      await change();
+      if (successMessage) toast.success(successMessage);
+      await loadEntries();
+      onChanged();
+      return true;
+    } catch (error) {
+      console.error(`Error updating ${list.key}:`, error);
+      toast.error(errorMessage(error, failureMessage));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    const added = await runChange(
+      () => listApi.create({ name }),
+      `Added "${name}"`,
+      `Failed to add ${list.singular}`
+    );
+    if (added) setNewName('');
+  };
+
+  const handleRename = async (entry) => {
+    const name = editingName.trim();
+    if (!name || name === entry.name) {
+      setEditingId(null);
+      return;
+    }
+
+    const renamed = await runChange(
+      () => listApi.update(entry.id, { name }),
+      null,
+      `Failed to rename ${list.singular}`
+    );
+    if (renamed) setEditingId(null);
+  };
+
+  const handleMove = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= entries.length) return;
+
+    const reordered = arrayMove(entries, index, target);
+    setEntries(reordered); // Optimistic; reloaded after the request
+    await runChange(
+      () => listApi.reorder(reordered.map((entry) => entry.id)),
+      null,
+      `Failed to reorder ${list.key}`
+    );
+  };
+
+  const handleToggleActive = (entry) =>
+    runChange(
+      () => listApi.update(entry.id, { isActive: !entry.isActive }),
+      entry.isActive ? `Retired "${entry.name}"` : `Restored "${entry.name}"`,
+      `Failed to update ${list.singular}`
+    );
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Permanently delete "${entry.name}"? Existing AARs keep their value. Retiring is usually safer.`)) {
+      return;
+    }
+    runChange(() => listApi.delete(entry.id), `Deleted "${entry.name}"`, `Failed to delete ${list.singular}`);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-5 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-base md:text-lg font-semibold text-gray-900 dark:text-white">{list.title}</h2>
+        {busy && <Loader className="w-4 h-4 animate-spin text-primary-600" />}
+      </div>
+
+      <form onSubmit={handleAdd} className="flex items-center space-x-2 mb-3">
+        <input
+          type="text"
+          value={newName}
+          maxLength={100}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={`New ${list.singular}`}
+          className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={busy || !newName.trim()}
+          className="flex items-center space-x-1 px-3 py-2 rounded-lg bg-primary-600 hover:bg-primary-700 text-white text-sm font-medium disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add</span>
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader className="w-6 h-6 animate-spin text-primary-600" />
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-6">No {list.key} yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {entries.map((entry, index) => (
+            <li key={entry.id} className="flex items-center space-x-2 py-2">
+              <div className="flex flex-col">
+                <button
+                  onClick={() => handleMove(index, -1)}
+                  disabled={busy || index === 0}
+                  className="p-0.5 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30"
+                  aria-label="Move up"
+                >
+                  <ChevronUp className="w-4 h-4 text-gray-500" />
+                </button>
+                <button
+                  onClick={() => handleMove(index, 1)}
+                  disabled={busy || index === entries.length - 1}
+                  className="p-0.5 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30"
+                  aria-label="Move down"
+                >
+                  <ChevronDown className="w-4 h-4 text-gray-500" />
+                </button>
+              </div>
+
+              {editingId === entry.id ? (
+                <div className="flex-1 flex items-center space-x-1">
+                  <input
+                    type="text"
+                    value={editingName}
+                    maxLength={100}
+                    autoFocus
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleRename(entry);
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    className="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                  />
+                  <button
+                    onClick={() => handleRename(entry)}
+                    disabled={busy}
+                    className="p-1.5 rounded-lg hover:bg-green-100 dark:hover:bg-green-900/20"
+                    aria-label="Save name"
+                  >
+                    <Check className="w-4 h-4 text-green-600 dark:text-green-400" />
+                  </button>
+                  <button
+                    onClick={() => setEditingId(null)}
+                    className="p-1.5 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+                    aria-label="Cancel"
+                  >
+                    <X className="w-4 h-4 text-gray-500" />
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <span
+                    className={`flex-1 text-sm ${
+                      entry.isActive
+                        ? 'text-gray-900 dark:text-white'
+                        : 'text-gray-400 dark:text-gray-500 line-through'
+                    }`}
+                  >
+                    {entry.name}
+                  </span>
+                  {!entry.isActive && (
+                    <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400">
+                      Retired
+                    </span>
+                  )}
+                  <button
+                    onClick={() => {
+                      setEditingId(entry.id);
+                      setEditingName(entry.name);
+                    }}
+                    disabled={busy}
+                    className="p-1.5 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+                    aria-label="Rename"
+                  >
+                    <Edit2 className="w-4 h-4 text-gray-500" />
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(entry)}
+                    disabled={busy}
+                    className="p-1.5 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+                    aria-label={entry.isActive ? 'Retire' : 'Restore'}
+                    title={entry.isActive ? 'Retire' : 'Restore'}
+                  >
+                    {entry.isActive ? (
+                      <Archive className="w-4 h-4 text-amber-600 dark:text-amber-400" />
+                    ) : (
+                      <ArchiveRestore className="w-4 h-4 text-green-600 dark:text-green-400" />
+                    )}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(entry)}
+                    disabled={busy}
+                    className="p-1.5 rounded-lg hover:bg-red-100 dark:hover:bg-red-900/20"
+                    aria-label="Delete"
+                  >
+                    <Trash2 className="w-4 h-4 text-red-600 dark:text-red-400" />
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const ReferenceLists = () => {
+  const { t } = useTranslation();
+  const { hasPermission } = useAuth();
+  const { refreshReferenceData } = useReferenceData();
+
+  if (!hasPermission('custom_forms')) {
+    return (
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-5 md:p-6 text-center">
+          <ListOrdered className="w-12 h-12 mx-auto text-gray-400 mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">{t('nav.referenceLists')}</h1>
+          <p className="text-gray-600 dark:text-gray-400">Only admins and managers can manage these lists.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 md:space-y-6">
+      <div>
+        <h1 className="text-xl md:text-2xl font-bold text-gray-900 dark:text-white">{t('nav.referenceLists')}</h1>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Options offered by form fields linked to these lists. Retired entries stay on existing AARs.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6">
+        {LISTS.map((list) => (
+          <ReferenceListPanel key={list.key} list={list} onChanged={refreshReferenceData} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ReferenceLists;
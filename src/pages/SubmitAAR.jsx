@@ -1,15 +1,33 @@
-import { useState, useEffect, useMemo } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
+import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
 import { useAAR } from '../contexts/AARContext';
+import { useDrafts } from '../contexts/DraftsContext';
 import DynamicField from '../components/form/DynamicField';
-import { Settings } from 'lucide-react';
+import RepeatableSection from '../components/form/RepeatableSection';
+import { Settings, Eye, CloudOff, AlertTriangle, FileClock } from 'lucide-react';
 import { api } from '../lib/api-client';
-import { shouldShowField } from '../utils/conditionalFields';
+import { buildAARFormData, getFormConflict, isFormVersionConflict } from '../utils/aarSubmission';
+import { DRAFT_STATUS, createDraftId, getDraft, listDrafts, restorePhotos } from '../utils/draftStore';
+import { getServerPhotoIds, linkServerPhotos, pullServerDraft } from '../utils/serverDrafts';
+import { getUploadSessionIds, uploadPhotos } from '../utils/resumableUpload';
+import { getMaxRating, isUploadFieldType } from '../utils/formValues';
+import { STORAGE_KEYS, getFromStorage, saveToStorage } from '../utils/localStorage';
+import { formatLocalTime } from '../utils/timezone';
+import {
+  DEFAULT_MIN_ITEMS,
+  getInstanceScope,
+  getRepeatableSectionIds,
+  isEmptyValue,
+  isFieldRequired,
+  isRepeatableSection,
+  shouldShowField,
+} from '../utils/conditionalFields';
 
 // Default schema sections
 const DEFAULT_SECTIONS = [
@@ -19,29 +37,399 @@ const DEFAULT_SECTIONS = [
   { id: 'photos', name: 'Photos & Attachments', order: 3 },
 ];
 
+// Form schema used by this page (includes the database form ID and name)
+const toFormSchema = (form) => ({
+  ...form.schema,
+  formId: form.id,
+  formVersion: form.version,
+  formName: form.name,
+  appliesToCategory: form.appliesToCategory,
+});
+
+// Wait this long after the last change before saving the draft
+const AUTOSAVE_DELAY = 1000;
+
+// Wait this long after the last draft save before saving it to the server (uploads are slower)
+const SERVER_SYNC_DELAY = 5000;
+
+// Whether the user has entered anything worth keeping as a draft
+const hasContent = (value) => {
+  if (Array.isArray(value)) return value.some(hasContent);
+  if (value && typeof value === 'object') return Object.values(value).some(hasContent);
+  return !isEmptyValue(value);
+};
+
+/**
+ * Zod schema for one field's value
+ */
+const buildFieldSchema = (field) => {
+  let fieldSchema;
+
+  // Conditional fields with required=true should be optional in schema
+  // They'll be validated only when visible
+  const isConditional = field.conditional?.enabled;
+
+  switch (field.type) {
+    case 'text':
+    case 'barcode':
+      fieldSchema = z.string();
+      if (field.required && !isConditional) {
+        fieldSchema = fieldSchema.min(1, `${field.label} is required`);
+      } else {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'number':
+      fieldSchema = z.number();
+      if (field.validation?.min !== undefined) {
+        fieldSchema = fieldSchema.min(field.validation.min, `Minimum value is ${field.validation.min}`);
+      }
+      if (field.validation?.max !== undefined) {
+        fieldSchema = fieldSchema.max(field.validation.max, `Maximum value is ${field.validation.max}`);
+      }
+      if (!field.required || isConditional) {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'textarea':
+      fieldSchema = z.string();
+      if (field.required && !isConditional) {
+        if (field.validation?.minLength) {
+          fieldSchema = fieldSchema.min(
+            field.validation.minLength,
+            `Minimum length is ${field.validation.minLength} characters`
+          );
+        } else {
+          fieldSchema = fieldSchema.min(1, `${field.label} is required`);
+        }
+      } else {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'select':
+    case 'smartselect':
+    case 'date':
+      fieldSchema = z.string();
+      if (field.required && !isConditional) {
+        fieldSchema = fieldSchema.min(1, `${field.label} is required`);
+      } else {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'multiselect':
+    case 'smartmultiselect':
+      fieldSchema = z.array(z.string());
+      if (field.required && !isConditional) {
+        fieldSchema = fieldSchema.min(1, `At least one ${field.label} is required`);
+      } else {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'dualfield':
+      fieldSchema = z.object({
+        value: z.string(),
+        unit: z.string(),
+      });
+      if (!field.required || isConditional) {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'multidualfield':
+      fieldSchema = z.array(
+        z.object({
+          value: z.string(),
+          unit: z.string(),
+        })
+      );
+      if (field.required && !isConditional) {
+        fieldSchema = fieldSchema.min(1, `At least one ${field.label} is required`);
+      } else {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'triplefield':
+      fieldSchema = z.object({
+        value: z.string(),
+        unit: z.string(),
+        amount: z.union([z.string(), z.number()]),
+      });
+      if (!field.required || isConditional) {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'multitriplefield':
+      fieldSchema = z.array(
+        z.object({
+          value: z.string(),
+          unit: z.string(),
+          amount: z.union([z.string(), z.number()]),
+        })
+      );
+      if (field.required && !isConditional) {
+        fieldSchema = fieldSchema.min(1, `At least one ${field.label} is required`);
+      } else {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'location':
+      fieldSchema = z.object({
+        latitude: z.number(),
+        longitude: z.number(),
+        accuracy: z.number().optional(),
+        capturedAt: z.string().optional(),
+      });
+      if (!field.required || isConditional) {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'rating':
+      fieldSchema = z.number().int().min(1).max(getMaxRating(field));
+      if (!field.required || isConditional) {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'timer':
+      fieldSchema = z.number().min(0);
+      if (!field.required || isConditional) {
+        fieldSchema = fieldSchema.optional();
+      }
+      break;
+
+    case 'file':
+    case 'signature':
+      // File and signature fields are uploads, handled separately (not in Zod schema)
+      if (field.required && !isConditional) {
+        fieldSchema = z.any().refine(() => true, `${field.label} is required`);
+      } else {
+        fieldSchema = z.any().optional();
+      }
+      break;
+
+    default:
+      fieldSchema = z.any().optional();
+  }
+
+  return fieldSchema;
+};
+
 const SubmitAAR = () => {
   const { t } = useTranslation();
   const navigate = useNavigate();
   const { currentUser, hasPermission } = useAuth();
   const { createAAR } = useAAR();
+  const { drafts, isOnline, saveDraft, removeDraft, pushDraft, finalizeDraft } = useDrafts();
   const [photos, setPhotos] = useState({});
   const [formSchema, setFormSchema] = useState(null);
+  const formsByCategory = useRef({}); // category -> form, so switching back is instant
+  const draftRef = useRef(null); // Draft being edited (null until the first autosave)
+  const draftCategory = useRef(null); // Category a reopened draft was filled in for
+  const [draftConflict, setDraftConflict] = useState(null); // { form, sameForm } when the form changed
+  const [lastSavedAt, setLastSavedAt] = useState(null);
 
   // Check if user can customize forms (Admin/Manager only)
   const canCustomize = hasPermission('custom_forms') || hasPermission('all');
 
+  // ?previewForm=<id> shows a form's unpublished draft (opened from Customize).
+  // Preview mode never submits and does not switch forms by category.
+  // ?draft=<id> continues an AAR draft saved on this device.
+  // ?serverDraft=<id> continues a draft saved on the server (e.g. started on another device).
+  const [searchParams, setSearchParams] = useSearchParams();
+  const previewFormId = canCustomize ? searchParams.get('previewForm') : null;
+  const draftId = previewFormId ? null : searchParams.get('draft');
+  const serverDraftId = previewFormId ? null : searchParams.get('serverDraft');
+
+  // Generate Zod schema dynamically based on form schema
+  const zodSchema = useMemo(() => {
+    if (!formSchema || !formSchema.fields) {
+      // Basic fallback schema if no custom form exists
+      return z.object({
+        category: z.string().min(1, 'Category is required'),
+        model: z.string().min(1, 'Model is required'),
+        damageDescription: z.string().min(10, 'Description must be at least 10 characters'),
+      });
+    }
+
+    const repeatableIds = getRepeatableSectionIds(formSchema.sections);
+    const topLevelFields = formSchema.fields.filter((field) => !repeatableIds.has(field.section));
+    const repeatableSections = (formSchema.sections || []).filter(isRepeatableSection);
+
+    const schemaFields = {};
+    topLevelFields.forEach((field) => {
+      schemaFields[field.id] = buildFieldSchema(field);
+    });
+
+    // Repeatable sections hold an array of instances
+    repeatableSections.forEach((section) => {
+      const instanceFields = {};
+      formSchema.fields
+        .filter((field) => field.section === section.id)
+        .forEach((field) => {
+          instanceFields[field.id] = buildFieldSchema(field);
+        });
+      const minItems = section.minItems ?? DEFAULT_MIN_ITEMS;
+      schemaFields[section.id] = z
+        .array(z.object(instanceFields))
+        .min(minItems, `${section.name} needs at least ${minItems} ${minItems === 1 ? 'entry' : 'entries'}`);
+    });
+
+    // Required checks that depend on other values: conditional fields while
+    // shown, and requiredWhen rules (file and signature fields are checked on upload)
+    const checkRequired = (fields, values, path, ctx) => {
+      fields.forEach((field) => {
+        if (isUploadFieldType(field.type) || !shouldShowField(field, values)) return;
+        if (isFieldRequired(field, values) && isEmptyValue(values[field.id])) {
+          ctx.addIssue({ code: 'custom', path: [...path, field.id], message: `${field.label} is required` });
+        }
+      });
+    };
+
+    return z.object(schemaFields).superRefine((data, ctx) => {
+      checkRequired(topLevelFields, data, [], ctx);
+      repeatableSections.forEach((section) => {
+        const fields = formSchema.fields.filter((field) => field.section === section.id);
+        (data[section.id] || []).forEach((instance, index) => {
+          checkRequired(fields, getInstanceScope(data, instance), [section.id, index], ctx);
+        });
+      });
+    });
+  }, [formSchema]);
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    watch,
+    setValue,
+    getValues,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(zodSchema),
+  });
+
+  // setSearchParams changes with every URL change, which should not reload or autosave the draft
+  const setSearchParamsRef = useRef(setSearchParams);
+  useEffect(() => {
+    setSearchParamsRef.current = setSearchParams;
+  }, [setSearchParams]);
+
   // Load form schema from API (with localStorage fallback)
   useEffect(() => {
+    // Autosave just added this page's own draft to the URL
+    if (draftId && draftId === draftRef.current?.id) return;
+
+    // Switching to another draft or a new AAR starts from a clean form
+    if (draftRef.current) {
+      draftRef.current = null;
+      draftCategory.current = null;
+      reset({});
+      setPhotos({});
+      setDraftConflict(null);
+      setLastSavedAt(null);
+    }
+
+    // Restore the draft's values, photos and the form version they were filled in on
+    const openDraft = async (storedDraft) => {
+      let draft = storedDraft;
+
+      // Pick up changes saved on another device
+      if (draft.serverId && navigator.onLine) {
+        try {
+          const latest = await pullServerDraft(draft.serverId, draft);
+          if (latest !== draft) draft = await saveDraft(latest);
+        } catch (error) {
+          console.error('Error loading the server copy of the draft:', error);
+        }
+      }
+
+      // Editing a queued draft takes it out of the queue until it is submitted again
+      if (draft.status === DRAFT_STATUS.QUEUED) {
+        draft = await saveDraft({ ...draft, status: DRAFT_STATUS.DRAFT });
+      }
+
+      draftRef.current = draft;
+      draftCategory.current = draft.values.category || null;
+      setFormSchema(draft.formSchema);
+      reset(draft.values);
+      const restoredPhotos = restorePhotos(draft.photos);
+      linkServerPhotos(restoredPhotos, draft.serverPhotoIds);
+      setPhotos(restoredPhotos);
+      setLastSavedAt(draft.updatedAt);
+
+      if (navigator.onLine) {
+        try {
+          setDraftConflict(await getFormConflict(draft));
+        } catch (error) {
+          console.error('Error checking the draft form version:', error);
+        }
+      }
+    };
+
     const loadFormSchema = async () => {
+      if (serverDraftId) {
+        try {
+          // Continue from this device's copy if it has one
+          const localDraft = (await listDrafts(currentUser?.id)).find((d) => d.serverId === serverDraftId);
+          const draft = localDraft || (await pullServerDraft(serverDraftId));
+          if (draft) {
+            await openDraft(localDraft ? draft : await saveDraft(draft));
+            setSearchParamsRef.current({ draft: draftRef.current.id }, { replace: true });
+            return;
+          }
+          toast.error('This draft was submitted or deleted on another device');
+        } catch (error) {
+          console.error('Error loading server draft:', error);
+          toast.error('Failed to load draft');
+        }
+        setSearchParamsRef.current({}, { replace: true });
+        return;
+      }
+
+      if (draftId) {
+        try {
+          const draft = await getDraft(draftId);
+          if (draft && draft.userId === currentUser?.id) {
+            await openDraft(draft);
+            return;
+          }
+          toast.error('This draft was not found on this device');
+        } catch (error) {
+          console.error('Error loading draft:', error);
+          toast.error('Failed to load draft');
+        }
+        setSearchParamsRef.current({}, { replace: true });
+        return;
+      }
+
       try {
+        if (previewFormId) {
+          const { data } = await api.customForms.get(previewFormId);
+          setFormSchema({
+            ...toFormSchema({ ...data.form, schema: data.form.draftSchema || data.form.schema }),
+            isPreview: true,
+            isDraft: Boolean(data.form.draftSchema),
+          });
+          return;
+        }
+
         const response = await api.customForms.getActive();
 
         if (response.data.form) {
           // Use database schema with form ID included
-          setFormSchema({
-            ...response.data.form.schema,
-            formId: response.data.form.id, // Include the form ID from database
-          });
+          setFormSchema(toFormSchema(response.data.form));
+          // Keep a copy so new AARs can be started offline
+          saveToStorage(STORAGE_KEYS.ACTIVE_FORM, response.data.form);
         } else {
           // No form in database - check localStorage
           const localSchema = localStorage.getItem('aar-form-schema');
@@ -54,9 +442,12 @@ const SubmitAAR = () => {
         }
       } catch (error) {
         console.error('Error loading form:', error);
-        // Fallback to localStorage
+        // Fallback to the last active form (offline), then localStorage
+        const cachedForm = getFromStorage(STORAGE_KEYS.ACTIVE_FORM);
         const localSchema = localStorage.getItem('aar-form-schema');
-        if (localSchema) {
+        if (cachedForm && !previewFormId) {
+          setFormSchema(toFormSchema(cachedForm));
+        } else if (localSchema) {
           setFormSchema(JSON.parse(localSchema));
         } else {
           setFormSchema({ sections: DEFAULT_SECTIONS, fields: [] });
@@ -65,239 +456,231 @@ const SubmitAAR = () => {
     };
 
     loadFormSchema();
-  }, []);
-
-  // Generate Zod schema dynamically based on form schema
-  const zodSchema = useMemo(() => {
-    if (!formSchema || !formSchema.fields) {
-      // Basic fallback schema if no custom form exists
-      return z.object({
-        category: z.string().min(1, 'Category is required'),
-        model: z.string().min(1, 'Model is required'),
-        damageDescription: z.string().min(10, 'Description must be at least 10 characters'),
-      });
-    }
-
-    const schemaFields = {};
-    formSchema.fields.forEach((field) => {
-      let fieldSchema;
-
-      // Conditional fields with required=true should be optional in schema
-      // They'll be validated only when visible
-      const isConditional = field.conditional?.enabled;
-
-      switch (field.type) {
-        case 'text':
-          fieldSchema = z.string();
-          if (field.required && !isConditional) {
-            fieldSchema = fieldSchema.min(1, `${field.label} is required`);
-          } else {
-            fieldSchema = fieldSchema.optional();
-          }
-          break;
-
-        case 'number':
-          fieldSchema = z.number();
-          if (field.validation?.min !== undefined) {
-            fieldSchema = fieldSchema.min(field.validation.min, `Minimum value is ${field.validation.min}`);
-          }
-          if (field.validation?.max !== undefined) {
-            fieldSchema = fieldSchema.max(field.validation.max, `Maximum value is ${field.validation.max}`);
-          }
-          if (!field.required || isConditional) {
-            fieldSchema = fieldSchema.optional();
-          }
-          break;
-
-        case 'textarea':
-          fieldSchema = z.string();
-          if (field.required && !isConditional) {
-            if (field.validation?.minLength) {
-              fieldSchema = fieldSchema.min(
-                field.validation.minLength,
-                `Minimum length is ${field.validation.minLength} characters`
-              );
-            } else {
-              fieldSchema = fieldSchema.min(1, `${field.label} is required`);
-            }
-          } else {
-            fieldSchema = fieldSchema.optional();
-          }
-          break;
-
-        case 'select':
-        case 'smartselect':
-        case 'date':
-          fieldSchema = z.string();
-          if (field.required && !isConditional) {
-            fieldSchema = fieldSchema.min(1, `${field.label} is required`);
-          } else {
-            fieldSchema = fieldSchema.optional();
-          }
-          break;
-
-        case 'multiselect':
-        case 'smartmultiselect':
-          fieldSchema = z.array(z.string());
-          if (field.required && !isConditional) {
-            fieldSchema = fieldSchema.min(1, `At least one ${field.label} is required`);
-          } else {
-            fieldSchema = fieldSchema.optional();
-          }
-          break;
-
-        case 'dualfield':
-          fieldSchema = z.object({
-            value: z.string(),
-            unit: z.string(),
-          });
-          if (!field.required || isConditional) {
-            fieldSchema = fieldSchema.optional();
-          }
-          break;
-
-        case 'multidualfield':
-          fieldSchema = z.array(
-            z.object({
-              value: z.string(),
-              unit: z.string(),
-            })
-          );
-          if (field.required && !isConditional) {
-            fieldSchema = fieldSchema.min(1, `At least one ${field.label} is required`);
-          } else {
-            fieldSchema = fieldSchema.optional();
-          }
-          break;
-
-        case 'triplefield':
-          fieldSchema = z.object({
-            value: z.string(),
-            unit: z.string(),
-            amount: z.union([z.string(), z.number()]),
-          });
-          if (!field.required || isConditional) {
-            fieldSchema = fieldSchema.optional();
-          }
-          break;
-
-        case 'multitriplefield':
-          fieldSchema = z.array(
-            z.object({
-              value: z.string(),
-              unit: z.string(),
-              amount: z.union([z.string(), z.number()]),
-            })
-          );
-          if (field.required && !isConditional) {
-            fieldSchema = fieldSchema.min(1, `At least one ${field.label} is required`);
-          } else {
-            fieldSchema = fieldSchema.optional();
-          }
-          break;
+  }, [previewFormId, draftId, serverDraftId, currentUser?.id, reset, saveDraft]);
 
-        case 'file':
-          // File fields are handled separately (not in Zod schema)
-          if (field.required && !isConditional) {
-            fieldSchema = z.any().refine(() => true, `${field.label} is required`);
-          } else {
-            fieldSchema = z.any().optional();
-          }
-          break;
+  // Watch all form values for conditional logic evaluation
+  const allFormValues = watch();
 
-        default:
-          fieldSchema = z.any().optional();
+  // Switch to the form assigned to the chosen category (falls back to the default form).
+  // Values entered so far are kept for fields both forms share.
+  const selectedCategory = allFormValues.category;
+  const currentFormId = formSchema?.formId;
+  const isPreview = Boolean(formSchema?.isPreview);
+  useEffect(() => {
+    if (!selectedCategory || !currentFormId || isPreview) return;
+    // A reopened draft keeps its form until its category changes
+    // (newer form versions are offered in the conflict notice instead)
+    if (selectedCategory === draftCategory.current) return;
+    draftCategory.current = null;
+
+    let cancelled = false;
+    const selectFormForCategory = async () => {
+      try {
+        let form = formsByCategory.current[selectedCategory];
+        if (!form) {
+          const response = await api.customForms.getActive(selectedCategory);
+          form = response.data.form;
+          if (!form) return;
+          formsByCategory.current[selectedCategory] = form;
+        }
+        if (!cancelled && form.id !== currentFormId) {
+          setFormSchema(toFormSchema(form));
+        }
+      } catch (error) {
+        console.error('Error loading form for category:', error);
       }
+    };
 
-      schemaFields[field.id] = fieldSchema;
-    });
-
-    return z.object(schemaFields);
-  }, [formSchema]);
-
-  const {
-    register,
-    handleSubmit,
-    watch,
-    setValue,
-    formState: { errors },
-  } = useForm({
-    resolver: zodResolver(zodSchema),
-  });
-
-  // Watch all form values for conditional logic evaluation
-  const allFormValues = watch();
+    selectFormForCategory();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedCategory, currentFormId, isPreview]);
 
   // Get sections from schema or use defaults
   const sections = formSchema?.sections || DEFAULT_SECTIONS;
 
-  // Get fields for a section (filtered by conditional logic)
+  // Get fields for a section (sorted; conditional logic is applied when rendering)
   const getFieldsForSection = (sectionId) => {
     if (!formSchema || !formSchema.fields) return [];
     return formSchema.fields
       .filter((f) => f.section === sectionId)
-      .filter((f) => shouldShowField(f, allFormValues)) // Apply conditional logic
       .sort((a, b) => a.order - b.order);
   };
 
+  // Field grid; nameFor gives each field's form path and formValues the
+  // values its conditions and rules see
+  const renderFields = (fields, nameFor, formValues) => (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-3 md:gap-4">
+      {fields.map((field) => (
+        <div
+          key={field.id}
+          className={
+            field.type === 'textarea' ||
+            field.type === 'file' ||
+            field.type === 'signature' ||
+            field.type === 'dualfield' ||
+            field.type === 'multidualfield' ||
+            field.type === 'triplefield' ||
+            field.type === 'multitriplefield'
+              ? 'md:col-span-2'
+              : ''
+          }
+        >
+          <DynamicField
+            field={field}
+            name={nameFor(field)}
+            register={register}
+            errors={errors}
+            watch={watch}
+            setValue={setValue}
+            photos={photos}
+            setPhotos={setPhotos}
+            formValues={formValues}
+            fields={formSchema.fields}
+          />
+        </div>
+      ))}
+    </div>
+  );
+
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadProgress, setUploadProgress] = useState(null); // { filename, fileIndex, fileCount, filePercent, percent }
   const [submitError, setSubmitError] = useState(null);
 
+  // Keep the AAR on this device and submit it when the connection returns
+  const queueSubmission = async (data) => {
+    await saveDraft({
+      id: draftRef.current?.id || createDraftId(),
+      formSchema,
+      values: data,
+      photos,
+      serverPhotoIds: getServerPhotoIds(photos),
+      uploadSessionIds: getUploadSessionIds(photos),
+      status: DRAFT_STATUS.QUEUED,
+      error: null,
+      pendingSync: true,
+    });
+    toast.success('You are offline. The AAR is saved on this device and will be submitted when the connection returns.', {
+      duration: 6000,
+    });
+    navigate('/drafts');
+  };
+
   const onSubmit = async (data) => {
+    if (isPreview) return;
+
     setIsSubmitting(true);
-    setUploadProgress(0);
+    setUploadProgress(null);
     setSubmitError(null);
 
     try {
-      // Build FormData with all form fields + photos
-      const formData = new FormData();
-
-      // Add form data as JSON string
-      formData.append('formData', JSON.stringify(data));
-      formData.append('formId', formSchema.formId || 'aar-form');
-      formData.append('formVersion', formSchema.version || '1.0');
-
-      // Add photo files with field mapping
-      const photoMetadata = {};
-      Object.keys(photos).forEach((fieldId) => {
-        photos[fieldId].forEach((file, index) => {
-          formData.append(`photo_${fieldId}_${index}`, file);
-          if (!photoMetadata[fieldId]) photoMetadata[fieldId] = [];
-          photoMetadata[fieldId].push({
-            filename: file.name,
-            size: file.size,
-            type: file.type,
-          });
-        });
-      });
+      if (!navigator.onLine) {
+        await queueSubmission(data);
+        return;
+      }
+
+      // A draft saved on the server is submitted from there (its files are already uploaded)
+      if (draftRef.current) {
+        const aar = await finalizeDraft({ ...draftRef.current, formSchema, values: data, photos });
+        if (aar) {
+          navigate(`/aar/${aar.id}`);
+          return;
+        }
+      }
 
-      formData.append('photoMetadata', JSON.stringify(photoMetadata));
+      // Upload each file on its own (resumable, with per-file progress), then create the AAR
+      const uploads = await uploadPhotos(photos, setUploadProgress);
+      const result = await createAAR(buildAARFormData(data, uploads, formSchema));
 
-      // Upload with progress tracking
-      const result = await createAAR(formData, {
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          setUploadProgress(percentCompleted);
-        },
-      });
+      if (draftRef.current) {
+        await removeDraft(draftRef.current.id).catch((error) => console.error('Error deleting draft:', error));
+      }
 
       // Success! Navigate to AAR detail or browse page
       navigate(result.id ? `/aar/${result.id}` : '/');
     } catch (error) {
       console.error('Submission failed:', error);
+      // Errors come from createAAR or, for server drafts, straight from the API
+      if (error.isNetworkError ?? !error.response) {
+        await queueSubmission(data).catch((queueError) => console.error('Error queueing AAR:', queueError));
+        return;
+      }
+      // Offer to move the values to the form's current version
+      if (isFormVersionConflict(error)) {
+        setDraftConflict(await getFormConflict({ formSchema, values: data }).catch(() => null));
+      }
       setSubmitError(
-        error.validationErrors
+        error.validationErrors || error.response?.data?.errors
           ? 'Please fix the validation errors and try again.'
-          : error.message || 'Failed to submit AAR. Please try again.'
+          : error.response?.data?.message ||
+              error.response?.data?.error || // Upload session errors
+              error.message ||
+              'Failed to submit AAR. Please try again.'
       );
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  // Count form changes (typing, setValue, reset) to trigger autosave
+  const [changeCount, setChangeCount] = useState(0);
+  useEffect(() => {
+    const subscription = watch(() => setChangeCount((count) => count + 1));
+    return () => subscription.unsubscribe();
+  }, [watch]);
+
+  // Autosave values, photos and the form they belong to as a draft on this device
+  useEffect(() => {
+    if (!formSchema?.formId || isPreview || isSubmitting) return;
+
+    const timeout = setTimeout(async () => {
+      const values = getValues();
+      const hasPhotos = Object.values(photos).some((files) => files.length > 0);
+      if (!draftRef.current && !hasContent(values) && !hasPhotos) return;
+
+      try {
+        const draft = await saveDraft({
+          id: draftRef.current?.id || createDraftId(),
+          formSchema,
+          values,
+          photos,
+          serverPhotoIds: getServerPhotoIds(photos),
+          status: DRAFT_STATUS.DRAFT,
+          error: null,
+          pendingSync: true,
+        });
+        const isNew = !draftRef.current;
+        draftRef.current = draft;
+        setLastSavedAt(draft.updatedAt);
+        // Put the draft in the URL so a refresh reopens it
+        if (isNew) setSearchParamsRef.current({ draft: draft.id }, { replace: true });
+      } catch (error) {
+        console.error('Error saving draft:', error);
+      }
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [changeCount, photos, formSchema, isPreview, isSubmitting, getValues, saveDraft]);
+
+  // Save the draft to the server too (less often), so it can be continued on another device
+  useEffect(() => {
+    if (!lastSavedAt || !isOnline || isPreview || isSubmitting) return;
+
+    const timeout = setTimeout(() => {
+      if (!draftRef.current?.pendingSync) return;
+      pushDraft(draftRef.current).catch((error) => console.error('Error saving draft to the server:', error));
+    }, SERVER_SYNC_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [lastSavedAt, isOnline, isPreview, isSubmitting, pushDraft]);
+
+  // Move a reopened draft to the form submissions use now (shared fields keep their values)
+  const switchToCurrentForm = () => {
+    setFormSchema(toFormSchema(draftConflict.form));
+    setDraftConflict(null);
+  };
+
   // Show loading state while schema loads
   if (formSchema === null) {
     return (
@@ -346,21 +729,114 @@ const SubmitAAR = () => {
           <p className="text-gray-600 dark:text-gray-400 mt-1">
             Document your repair work
           </p>
+          {formSchema.formName && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Form: {formSchema.formName}
+              {formSchema.appliesToCategory && ` (${formSchema.appliesToCategory})`}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          {drafts.length > 0 && (
+            <Link
+              to="/drafts"
+              className="flex items-center space-x-2 px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            >
+              <FileClock className="w-4 h-4" />
+              <span className="hidden md:inline">{t('nav.drafts')}</span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">({drafts.length})</span>
+            </Link>
+          )}
+          {canCustomize && (
+            <Link
+              to="/customize"
+              className="flex items-center space-x-2 px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            >
+              <Settings className="w-4 h-4" />
+              <span className="hidden md:inline">Customize Form</span>
+            </Link>
+          )}
         </div>
-        {canCustomize && (
-          <Link
-            to="/customize"
-            className="flex items-center space-x-2 px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
-          >
-            <Settings className="w-4 h-4" />
-            <span className="hidden md:inline">Customize Form</span>
-          </Link>
-        )}
       </div>
 
+      {!isOnline && !isPreview && (
+        <div className="mb-4 md:mb-6 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-xl p-4 flex items-start space-x-3">
+          <CloudOff className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-amber-800 dark:text-amber-200">
+            You are offline. Your work is saved on this device; submitting queues the AAR until the connection
+            returns.
+          </p>
+        </div>
+      )}
+
+      {draftConflict && (
+        <div className="mb-4 md:mb-6 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-xl p-4 flex items-start space-x-3">
+          <AlertTriangle className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
+          <div className="text-sm text-amber-800 dark:text-amber-200">
+            <p className="font-medium">The form changed since this draft was started.</p>
+            <p className="mt-1">
+              {draftConflict.sameForm
+                ? `This draft was filled in on version ${formSchema.formVersion}; ${draftConflict.form.name} is now on version ${draftConflict.form.version}.`
+                : `This draft was filled in on "${formSchema.formName}", which has been replaced by "${draftConflict.form.name}".`}{' '}
+              Switch to the current form to submit it; fields both versions share keep their values.
+            </p>
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button
+                type="button"
+                onClick={switchToCurrentForm}
+                className="px-3 py-1.5 rounded-lg bg-amber-600 hover:bg-amber-700 text-white text-sm font-medium transition-colors"
+              >
+                Switch to Current Form
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isPreview && (
+        <div className="mb-4 md:mb-6 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-xl p-4 flex items-start space-x-3">
+          <Eye className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
+          <div className="text-sm text-amber-800 dark:text-amber-200">
+            <p className="font-medium">
+              {formSchema.isDraft
+                ? 'Previewing the unpublished draft of this form.'
+                : `This form has no draft - showing published version ${formSchema.formVersion}.`}
+            </p>
+            <p className="mt-1">
+              Technicians do not see this until it is published. Submitting is disabled.{' '}
+              <Link to="/customize" className="underline hover:no-underline">
+                Back to Customize
+              </Link>
+            </p>
+          </div>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit(onSubmit)} className="space-y-4 md:space-y-6">
         {sections.map((section) => {
-          const sectionFields = getFieldsForSection(section.id);
+          if (isRepeatableSection(section)) {
+            const sectionFields = getFieldsForSection(section.id);
+            if (sectionFields.length === 0) return null;
+
+            return (
+              <RepeatableSection
+                key={section.id}
+                section={section}
+                fields={sectionFields}
+                control={control}
+                getValues={getValues}
+                errors={errors}
+                formValues={allFormValues}
+                photos={photos}
+                setPhotos={setPhotos}
+                renderFields={renderFields}
+              />
+            );
+          }
+
+          const sectionFields = getFieldsForSection(section.id).filter((f) =>
+            shouldShowField(f, allFormValues)
+          );
           if (sectionFields.length === 0) return null;
 
           return (
@@ -372,33 +848,7 @@ const SubmitAAR = () => {
                 {section.name}
               </h2>
 
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 md:gap-4">
-                {sectionFields.map((field) => (
-                  <div
-                    key={field.id}
-                    className={
-                      field.type === 'textarea' ||
-                      field.type === 'file' ||
-                      field.type === 'dualfield' ||
-                      field.type === 'multidualfield' ||
-                      field.type === 'triplefield' ||
-                      field.type === 'multitriplefield'
-                        ? 'md:col-span-2'
-                        : ''
-                    }
-                  >
-                    <DynamicField
-                      field={field}
-                      register={register}
-                      errors={errors}
-                      watch={watch}
-                      setValue={setValue}
-                      photos={photos}
-                      setPhotos={setPhotos}
-                    />
-                  </div>
-                ))}
-              </div>
+              {renderFields(sectionFields, (field) => field.id, allFormValues)}
             </div>
           );
         })}
@@ -411,24 +861,42 @@ const SubmitAAR = () => {
         )}
 
         {/* Upload Progress */}
-        {isSubmitting && uploadProgress > 0 && (
+        {isSubmitting && uploadProgress && (
           <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-xl p-4">
             <div className="flex items-center justify-between mb-2">
               <span className="text-sm font-medium text-blue-700 dark:text-blue-300">
-                Uploading... {uploadProgress}%
+                Uploading... {uploadProgress.percent}%
+              </span>
+              <span className="text-xs text-blue-600 dark:text-blue-400">
+                File {uploadProgress.fileIndex + 1} of {uploadProgress.fileCount}
               </span>
             </div>
             <div className="w-full bg-blue-200 dark:bg-blue-900 rounded-full h-2">
               <div
                 className="bg-blue-600 dark:bg-blue-400 h-2 rounded-full transition-all duration-300"
-                style={{ width: `${uploadProgress}%` }}
+                style={{ width: `${uploadProgress.percent}%` }}
+              ></div>
+            </div>
+            <div className="flex items-center justify-between mt-3 mb-1 text-xs text-blue-700 dark:text-blue-300">
+              <span className="truncate mr-2">{uploadProgress.filename}</span>
+              <span>{uploadProgress.filePercent}%</span>
+            </div>
+            <div className="w-full bg-blue-200 dark:bg-blue-900 rounded-full h-1">
+              <div
+                className="bg-blue-500 dark:bg-blue-400 h-1 rounded-full transition-all duration-300"
+                style={{ width: `${uploadProgress.filePercent}%` }}
               ></div>
             </div>
           </div>
         )}
 
         {/* Submit */}
-        <div className="flex justify-end space-x-4">
+        <div className="flex items-center justify-end space-x-4">
+          {lastSavedAt && (
+            <span className="mr-auto text-xs text-gray-500 dark:text-gray-400">
+              Draft saved {formatLocalTime(lastSavedAt, { includeDate: false })}
+            </span>
+          )}
           <button
             type="button"
             onClick={() => navigate('/')}
@@ -439,7 +907,7 @@ const SubmitAAR = () => {
           </button>
           <button
             type="submit"
-            disabled={isSubmitting}
+            disabled={isSubmitting || isPreview}
             className="px-6 py-3 rounded-lg bg-primary-600 hover:bg-primary-700 text-white font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
           >
             {isSubmitting ? (
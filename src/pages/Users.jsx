@@ -6,6 +6,8 @@ import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { Users as UsersIcon, Plus, Edit2, Trash2, X, Loader, Search, Clock, ChevronUp, ChevronDown } from 'lucide-react';
 import { formatLastLogin, getRelativeTime } from '../utils/timezone';
+import VisibilityPolicyPanel from '../components/users/VisibilityPolicyPanel';
+import PublicFileAccessPanel from '../components/users/PublicFileAccessPanel';
 
 // ============================================================================
 // VALIDATION SCHEMA
@@ -270,6 +272,12 @@ const Users = () => {
         )}
       </div>
 
+      {/* Franchise visibility policy (admin only) */}
+      {canManageUsers && <VisibilityPolicyPanel />}
+
+      {/* Public access to stored files (admin only) */}
+      {canManageUsers && <PublicFileAccessPanel />}
+
       {/* Search */}
       <div className="bg-white dark:bg-gray-800 rounded-xl p-3 md:p-4 shadow-sm">
         <div className="relative">
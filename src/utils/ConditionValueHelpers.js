@@ -3,11 +3,13 @@
  * Utilities for normalizing and validating conditional logic values
  */
 
+import { CONDITION_OPERATOR_NAMES, getOperatorValueKind } from '../../shared/conditions';
+
 // Operators that require array values
-const ARRAY_OPERATORS = ['oneOf', 'includesAny', 'includesAll'];
+export const ARRAY_OPERATORS = CONDITION_OPERATOR_NAMES.filter((name) => getOperatorValueKind(name) === 'list');
 
 // Operators that don't need any value
-const NO_VALUE_OPERATORS = ['isEmpty', 'isNotEmpty'];
+export const NO_VALUE_OPERATORS = CONDITION_OPERATOR_NAMES.filter((name) => getOperatorValueKind(name) === 'none');
 
 /**
  * Normalize condition value based on operator and field type
@@ -37,7 +39,10 @@ export function normalizeConditionValue(operator, value, fieldType) {
   }
 
   // Number fields should return numbers for comparison operators
-  if (fieldType === 'number' && ['greaterThan', 'lessThan', 'equals', 'notEquals'].includes(operator)) {
+  if (
+    fieldType === 'number' &&
+    ['greaterThan', 'lessThan', 'greaterThanOrEqual', 'lessThanOrEqual', 'equals', 'notEquals'].includes(operator)
+  ) {
     const num = parseFloat(value);
     return isNaN(num) ? value : num;
   }
@@ -0,0 +1,63 @@
+/**
+ * AAR Revision Utilities
+ * Compare stored versions of an AAR's form data
+ */
+
+/**
+ * Serialize a form value for display in a diff
+ * @param {*} value - Form field value
+ * @returns {string} - Human readable value ('' when empty)
+ */
+export const formatRevisionValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatRevisionValue).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, v]) => formatRevisionValue(v) !== '')
+      .map(([k, v]) => `${k}: ${formatRevisionValue(v)}`)
+      .join(', ');
+  }
+  return String(value);
+};
+
+/**
+ * Compute field-level differences between two versions of form data
+ * Reserved keys (prefixed with "_", e.g. _photoUrls) are ignored.
+ * @param {Object} before - Older form data
+ * @param {Object} after - Newer form data
+ * @returns {Array<{fieldId: string, change: 'added'|'removed'|'changed', before: string, after: string}>}
+ */
+export const diffFormData = (before = {}, after = {}) => {
+  const fieldIds = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const fieldId of fieldIds) {
+    if (fieldId.startsWith('_')) continue;
+
+    const oldValue = formatRevisionValue(before?.[fieldId]);
+    const newValue = formatRevisionValue(after?.[fieldId]);
+    if (oldValue === newValue) continue;
+
+    changes.push({
+      fieldId,
+      change: oldValue === '' ? 'added' : newValue === '' ? 'removed' : 'changed',
+      before: oldValue,
+      after: newValue,
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Convert a field ID into a readable label (e.g. "damageType" -> "Damage Type")
+ * Used when the form schema for a revision is not available.
+ * @param {string} fieldId - Field ID
+ * @returns {string} - Label
+ */
+export const fieldIdToLabel = (fieldId) =>
+  fieldId
+    .replace(/[_-]+/g, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/\b\w/g, (char) => char.toUpperCase())
+    .trim();
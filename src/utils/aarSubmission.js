@@ -0,0 +1,47 @@
+// Building AAR submissions (shared by SubmitAAR and the offline draft queue)
+
+import { api } from '../lib/api-client';
+
+/**
+ * Multipart body for api.aars.create
+ * @param {Object} values - Form values
+ * @param {Object} uploads - Upload session IDs by field path, from uploadPhotos (see resumableUpload)
+ * @param {Object} formSchema - Form the values were filled in on (formId, formVersion)
+ * @returns {FormData}
+ */
+export const buildAARFormData = (values, uploads, formSchema) => {
+  const formData = new FormData();
+
+  // Add form data as JSON string
+  formData.append('formData', JSON.stringify(values));
+  formData.append('formId', formSchema.formId || 'aar-form');
+  formData.append('formVersion', String(formSchema.formVersion || ''));
+
+  // Files are already uploaded; the server attaches them by session ID
+  formData.append('uploads', JSON.stringify(uploads));
+  return formData;
+};
+
+/**
+ * Compare a draft's form with the form a new submission would use now
+ * (the active form for the draft's category)
+ * @param {Object} draft - Draft with formSchema and values
+ * @returns {Promise<Object|null>} - { form, sameForm } when the form changed, null otherwise
+ */
+export const getFormConflict = async (draft) => {
+  const response = await api.customForms.getActive(draft.values.category || undefined);
+  const form = response.data.form;
+  if (!form) return null; // No active form to compare with; the server decides
+
+  const sameForm = form.id === draft.formSchema.formId;
+  if (sameForm && String(form.version) === String(draft.formSchema.formVersion)) return null;
+  return { form, sameForm };
+};
+
+/**
+ * Whether a submission was refused because the form has a newer version
+ * (the server only accepts the current version; the response has currentVersion)
+ * @param {Error} error - Error from api.aars.create or a draft finalize
+ */
+export const isFormVersionConflict = (error) =>
+  error.response?.status === 409 && error.response.data?.currentVersion !== undefined;
@@ -68,3 +68,14 @@ export const getAvatarColor = (id) => {
   const index = hash % colors.length;
   return colors[index];
 };
+
+// Link to an AAR page, e.g. https://app.example.com/aar/aar_1700000000000_abc123def
+const AAR_LINK_PATTERN = /\/aar\/(aar_[A-Za-z0-9_]+)/;
+
+/**
+ * ID of the AAR shared in a message (the first AAR link in its text), or null
+ */
+export const getSharedAARId = (content) => {
+  const match = typeof content === 'string' ? content.match(AAR_LINK_PATTERN) : null;
+  return match ? match[1] : null;
+};
@@ -0,0 +1,65 @@
+/**
+ * Color Utilities
+ * Builds the primary-50..900 palette from a single brand color
+ */
+
+// How far each shade is mixed towards white (negative = towards black); 500 is the brand color
+const SHADE_MIX = {
+  50: 0.95,
+  100: 0.9,
+  200: 0.75,
+  300: 0.55,
+  400: 0.3,
+  500: 0,
+  600: -0.15,
+  700: -0.3,
+  800: -0.45,
+  900: -0.6,
+};
+
+/**
+ * Parse a #rrggbb color
+ * @param {string} hex - Hex color
+ * @returns {number[]|null} - [r, g, b] or null if invalid
+ */
+export const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+const toHex = (rgb) => `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Generate a Tailwind-style palette from a brand color
+ * @param {string} hex - Brand color (used as the 500 shade)
+ * @returns {Object|null} - { primary50: '#...', ..., primary900: '#...' } or null if invalid
+ */
+export const generatePalette = (hex) => {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+
+  return Object.fromEntries(
+    Object.entries(SHADE_MIX).map(([shade, mix]) => {
+      const target = mix >= 0 ? 255 : 0;
+      const amount = Math.abs(mix);
+      return [`primary${shade}`, toHex(rgb.map((c) => c + (target - c) * amount))];
+    })
+  );
+};
+
+/**
+ * CSS variables for a branding object (read by tailwind.config.js)
+ * Can be set on :root or on an element to scope them (e.g. a preview)
+ * @param {Object} branding - { colors, secondaryColor, accentColor }
+ * @returns {Object} - { '--color-primary-50': '#...', ..., '--color-accent': '#...' }
+ */
+export const brandCssVariables = ({ colors, secondaryColor, accentColor }) => ({
+  ...Object.fromEntries(
+    // primary500 -> --color-primary-500
+    Object.entries(colors || {}).map(([key, value]) => [`--color-${key.replace(/(\d+)$/, '-$1')}`, value])
+  ),
+  '--color-secondary': secondaryColor,
+  '--color-accent': accentColor,
+});
@@ -1,174 +1,116 @@
 /**
  * Conditional Fields Utility
- * Handles evaluation of conditional logic for dynamic form fields
+ * Handles evaluation of conditional logic and field rules for dynamic form fields
  */
 
+import { getAllConditions, getOperatorValueKind, isConditionGroup, isConditionOperator } from '../../shared/conditions';
+import { getExpressionFieldIds } from '../../shared/form-rules';
+import { getRepeatableSectionIds } from '../../shared/repeatable-sections';
+
 // ============================================================================
-// OPERATORS
+// EVALUATION
 // ============================================================================
 
-export const OPERATORS = {
-  // String/Number comparisons
-  equals: (fieldValue, targetValue) => {
-    return String(fieldValue) === String(targetValue);
-  },
-
-  notEquals: (fieldValue, targetValue) => {
-    return String(fieldValue) !== String(targetValue);
-  },
-
-  greaterThan: (fieldValue, targetValue) => {
-    const numField = parseFloat(fieldValue);
-    const numTarget = parseFloat(targetValue);
-    return !isNaN(numField) && !isNaN(numTarget) && numField > numTarget;
-  },
-
-  lessThan: (fieldValue, targetValue) => {
-    const numField = parseFloat(fieldValue);
-    const numTarget = parseFloat(targetValue);
-    return !isNaN(numField) && !isNaN(numTarget) && numField < numTarget;
-  },
-
-  greaterThanOrEqual: (fieldValue, targetValue) => {
-    const numField = parseFloat(fieldValue);
-    const numTarget = parseFloat(targetValue);
-    return !isNaN(numField) && !isNaN(numTarget) && numField >= numTarget;
-  },
-
-  lessThanOrEqual: (fieldValue, targetValue) => {
-    const numField = parseFloat(fieldValue);
-    const numTarget = parseFloat(targetValue);
-    return !isNaN(numField) && !isNaN(numTarget) && numField <= numTarget;
-  },
-
-  // String operations
-  contains: (fieldValue, targetValue) => {
-    if (!fieldValue || !targetValue) return false;
-    return String(fieldValue).toLowerCase().includes(String(targetValue).toLowerCase());
-  },
-
-  startsWith: (fieldValue, targetValue) => {
-    if (!fieldValue || !targetValue) return false;
-    return String(fieldValue).toLowerCase().startsWith(String(targetValue).toLowerCase());
-  },
-
-  endsWith: (fieldValue, targetValue) => {
-    if (!fieldValue || !targetValue) return false;
-    return String(fieldValue).toLowerCase().endsWith(String(targetValue).toLowerCase());
-  },
-
-  // Array/Multiselect operations
-  oneOf: (fieldValue, targetValue) => {
-    // Check if fieldValue is one of the targetValue array
-    if (!Array.isArray(targetValue)) return false;
-    return targetValue.includes(fieldValue);
-  },
-
-  includes: (fieldValue, targetValue) => {
-    // Check if array fieldValue includes targetValue
-    if (!Array.isArray(fieldValue)) return false;
-    return fieldValue.includes(targetValue);
-  },
-
-  includesAny: (fieldValue, targetValue) => {
-    // Check if array fieldValue includes any of targetValue array
-    if (!Array.isArray(fieldValue) || !Array.isArray(targetValue)) return false;
-    return fieldValue.some((v) => targetValue.includes(v));
-  },
-
-  includesAll: (fieldValue, targetValue) => {
-    // Check if array fieldValue includes all of targetValue array
-    if (!Array.isArray(fieldValue) || !Array.isArray(targetValue)) return false;
-    return targetValue.every((v) => fieldValue.includes(v));
-  },
-
-  // Existence checks
-  isEmpty: (fieldValue) => {
-    if (fieldValue === null || fieldValue === undefined) return true;
-    if (typeof fieldValue === 'string' && fieldValue.trim() === '') return true;
-    if (Array.isArray(fieldValue) && fieldValue.length === 0) return true;
-    if (typeof fieldValue === 'object' && Object.keys(fieldValue).length === 0) return true;
-    return false;
-  },
-
-  isNotEmpty: (fieldValue) => {
-    return !OPERATORS.isEmpty(fieldValue);
-  },
-};
+// Operators and evaluation are shared with the backend's submission
+// validation, so a field is shown here exactly when the server validates it
+export {
+  CONDITION_OPERATORS as OPERATORS,
+  evaluateCondition,
+  shouldShowField,
+  isEmptyValue,
+  getAllConditions,
+  isConditionGroup,
+} from '../../shared/conditions';
+
+// Field rules (conditional required, option rules, computed values), shared
+// with the backend the same way
+export {
+  applyComputedValues,
+  computeFieldValue,
+  getExpressionError,
+  getExpressionFieldIds,
+  getOptionRestriction,
+  isFieldRequired,
+  COMPUTED_FIELD_TYPES,
+  OPTION_RULE_FIELD_TYPES,
+} from '../../shared/form-rules';
+
+// Repeatable sections (instances stored as arrays under the section ID)
+export {
+  DEFAULT_MIN_ITEMS,
+  getInstancePath,
+  getInstanceScope,
+  getItemLabel,
+  getRepeatableSectionIds,
+  isRepeatableSection,
+} from '../../shared/repeatable-sections';
 
 // ============================================================================
-// CONDITION EVALUATION
+// CONDITION TREES
 // ============================================================================
 
 /**
- * Evaluate a single condition
- * @param {Object} condition - The condition object { fieldId, operator, value }
- * @param {Object} formValues - All current form values
- * @returns {boolean} - Whether the condition is met
+ * Remove every condition that references a field, at any depth
+ * Groups left without conditions are removed as well.
+ * @param {Object[]} conditions - A `conditions` list (conditions and groups)
+ * @param {string} fieldId - Referenced field to remove
+ * @returns {Object[]} - New conditions list
  */
-export function evaluateCondition(condition, formValues) {
-  if (!condition || !condition.fieldId || !condition.operator) {
-    console.warn('Invalid condition:', condition);
-    return true; // Default to showing field if condition invalid
-  }
-
-  const fieldValue = formValues[condition.fieldId];
-  const operator = OPERATORS[condition.operator];
-
-  if (!operator) {
-    console.warn(`Unknown operator: ${condition.operator}`);
-    return true; // Default to showing field if operator unknown
-  }
-
-  try {
-    return operator(fieldValue, condition.value);
-  } catch (error) {
-    console.error('Error evaluating condition:', error, condition);
-    return true; // Default to showing field on error
-  }
+export function removeConditionsForField(conditions, fieldId) {
+  return conditions
+    .map((node) =>
+      isConditionGroup(node)
+        ? { ...node, conditions: removeConditionsForField(node.conditions, fieldId) }
+        : node
+    )
+    .filter((node) => (isConditionGroup(node) ? node.conditions.length > 0 : node.fieldId !== fieldId));
 }
 
 /**
- * Check if a field should be shown based on its conditional logic
- * @param {Object} field - The field object with potential conditional property
- * @param {Object} formValues - All current form values
- * @returns {boolean} - Whether the field should be displayed
+ * Remove every condition that references a field from another field's
+ * conditional logic, requiredWhen and option rules (and unlink a timer
+ * that feeds it)
+ * Conditional logic and requiredWhen left without conditions are disabled;
+ * option rules left without conditions are removed.
+ * @param {Object} field - Field to clean up
+ * @param {string} fieldId - Referenced field to remove
+ * @returns {Object} - Updated field
  */
-export function shouldShowField(field, formValues) {
-  // If no conditional logic, always show
-  if (!field.conditional || !field.conditional.enabled) {
-    return true;
-  }
+export function removeFieldReferences(field, fieldId) {
+  const updated = { ...field };
 
-  const { conditions = [], operator = 'AND' } = field.conditional;
-
-  // No conditions defined, show field
-  if (conditions.length === 0) {
-    return true;
+  for (const key of ['conditional', 'requiredWhen']) {
+    if (field[key]?.enabled) {
+      const conditions = removeConditionsForField(field[key].conditions || [], fieldId);
+      updated[key] = { ...field[key], conditions, enabled: conditions.length > 0 };
+    }
   }
 
-  // Filter out invalid conditions (empty fieldId or operator) before evaluation
-  const validConditions = conditions.filter(
-    (condition) => condition && condition.fieldId && condition.operator
-  );
-
-  // If no valid conditions after filtering, show field
-  if (validConditions.length === 0) {
-    return true;
+  if (field.optionRules) {
+    updated.optionRules = field.optionRules
+      .map((rule) => ({ ...rule, conditions: removeConditionsForField(rule.conditions, fieldId) }))
+      .filter((rule) => rule.conditions.length > 0);
   }
 
-  // Evaluate each valid condition
-  const results = validConditions.map((condition) => evaluateCondition(condition, formValues));
-
-  // Combine results based on operator
-  if (operator === 'AND') {
-    return results.every((r) => r === true);
-  } else if (operator === 'OR') {
-    return results.some((r) => r === true);
+  if (field.feedsFieldId === fieldId) {
+    delete updated.feedsFieldId;
   }
 
-  // Default to showing if operator unknown
-  return true;
+  return updated;
+}
+
+/**
+ * Check a `conditions` list for conditions without a field or operator and
+ * for empty groups, at any depth
+ * @param {Object[]} conditions - A `conditions` list (conditions and groups)
+ * @returns {boolean}
+ */
+export function hasIncompleteConditions(conditions) {
+  return conditions.some((node) =>
+    isConditionGroup(node)
+      ? node.conditions.length === 0 || hasIncompleteConditions(node.conditions)
+      : !node || !node.fieldId || !node.operator
+  );
 }
 
 // ============================================================================
@@ -185,11 +127,49 @@ export function getFieldDependencies(field) {
     return [];
   }
 
-  return field.conditional.conditions
+  return getAllConditions(field.conditional)
     .filter((c) => c.fieldId)
     .map((c) => c.fieldId);
 }
 
+/**
+ * Get all field IDs a field's conditions and rules reference (conditional
+ * logic, requiredWhen, option rules and calculated value)
+ * @param {Object} field - The field object
+ * @returns {string[]} - Referenced field IDs, each once
+ */
+export function getRuleDependencies(field) {
+  const conditionLists = [
+    field.requiredWhen?.enabled ? field.requiredWhen.conditions || [] : [],
+    ...(field.optionRules || []).map((rule) => rule.conditions),
+  ];
+  const fieldIds = [
+    ...getFieldDependencies(field),
+    ...conditionLists.flatMap((conditions) => getAllConditions({ conditions }).map((c) => c.fieldId)),
+    ...(field.computed ? getExpressionFieldIds(field.computed.expression) : []),
+  ];
+  return [...new Set(fieldIds.filter(Boolean))];
+}
+
+/**
+ * Find fields that depend on a field repeated in another section. Outside
+ * its instance, a repeatable section field has no single value to use.
+ * @param {Object[]} fields - Array of all fields
+ * @param {Object[]} sections - Array of all sections
+ * @returns {{ field: Object, referenced: Object }[]} - Offending references
+ */
+export function findRepeatableReferences(fields, sections) {
+  const repeatableIds = getRepeatableSectionIds(sections);
+  const fieldsById = new Map(fields.map((f) => [f.id, f]));
+
+  return fields.flatMap((field) =>
+    getRuleDependencies(field)
+      .map((id) => fieldsById.get(id))
+      .filter((referenced) => referenced && repeatableIds.has(referenced.section) && referenced.section !== field.section)
+      .map((referenced) => ({ field, referenced }))
+  );
+}
+
 /**
  * Detect circular dependencies in field conditions
  * @param {Object[]} fields - Array of all fields
@@ -200,10 +180,7 @@ export function detectCircularDependencies(fields) {
   const dependencies = new Map();
   fields.forEach((field) => {
     if (field.conditional?.enabled) {
-      const deps = field.conditional.conditions
-        .filter((c) => c.fieldId)
-        .map((c) => c.fieldId);
-      dependencies.set(field.id, deps);
+      dependencies.set(field.id, getFieldDependencies(field));
     }
   });
 
@@ -252,8 +229,8 @@ export function validateFieldConditions(field, allFields) {
 
   const fieldIds = new Set(allFields.map((f) => f.id));
 
-  // Check each condition
-  field.conditional.conditions.forEach((condition, index) => {
+  // Check each condition (nested groups included)
+  getAllConditions(field.conditional).forEach((condition, index) => {
     // Check if referenced field exists
     if (condition.fieldId && !fieldIds.has(condition.fieldId)) {
       errors.push(`Condition ${index + 1} references non-existent field: ${condition.fieldId}`);
@@ -265,28 +242,19 @@ export function validateFieldConditions(field, allFields) {
     }
 
     // Check if operator is valid
-    if (condition.operator && !OPERATORS[condition.operator]) {
+    if (condition.operator && !isConditionOperator(condition.operator)) {
       errors.push(`Condition ${index + 1} has invalid operator: ${condition.operator}`);
     }
 
     // Check if value is provided for operators that need it
-    const operatorsNeedingValue = [
-      'equals',
-      'notEquals',
-      'greaterThan',
-      'lessThan',
-      'contains',
-      'startsWith',
-      'endsWith',
-      'oneOf',
-      'includes',
-      'includesAny',
-      'includesAll',
-    ];
-
+    const valueKind = getOperatorValueKind(condition.operator);
     if (
-      operatorsNeedingValue.includes(condition.operator) &&
-      (condition.value === undefined || condition.value === null || condition.value === '')
+      valueKind &&
+      valueKind !== 'none' &&
+      (condition.value === undefined ||
+        condition.value === null ||
+        condition.value === '' ||
+        (valueKind === 'list' && (!Array.isArray(condition.value) || condition.value.length === 0)))
     ) {
       errors.push(`Condition ${index + 1} requires a value for operator: ${condition.operator}`);
     }
@@ -0,0 +1,87 @@
+// IndexedDB storage for AAR drafts
+// Drafts keep the form values, the photo files and a copy of the form schema,
+// so a half-filled AAR survives refreshes and can be finished without signal.
+
+const DB_NAME = 'cgiworkflo';
+const DB_VERSION = 1;
+const DRAFTS_STORE = 'aarDrafts';
+
+/**
+ * Draft states
+ * - draft: being filled in
+ * - queued: submitted while offline, sent when the connection returns
+ * - conflict: the form changed before the queued draft could be sent
+ * - failed: the server rejected the queued draft (e.g. validation errors)
+ */
+export const DRAFT_STATUS = {
+  DRAFT: 'draft',
+  QUEUED: 'queued',
+  CONFLICT: 'conflict',
+  FAILED: 'failed',
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(DRAFTS_STORE, { keyPath: 'id' });
+        store.createIndex('userId', 'userId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow another attempt (e.g. after the user frees up storage)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against the drafts store
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise} Resolves with the request result once the transaction completes
+ */
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(DRAFTS_STORE, mode);
+    const request = makeRequest(transaction.objectStore(DRAFTS_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const createDraftId = () => `draft_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+export const getDraft = (id) => runRequest('readonly', (store) => store.get(id));
+
+/**
+ * A user's drafts, most recently changed first
+ */
+export const listDrafts = async (userId) => {
+  const drafts = await runRequest('readonly', (store) => store.index('userId').getAll(userId));
+  return drafts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const putDraft = (draft) => runRequest('readwrite', (store) => store.put(draft));
+
+export const deleteDraft = (id) => runRequest('readwrite', (store) => store.delete(id));
+
+/**
+ * Photo files from a draft, with previews for the upload fields
+ * (IndexedDB stores the File objects themselves, but not their preview URLs)
+ */
+export const restorePhotos = (storedPhotos = {}) =>
+  Object.fromEntries(
+    Object.entries(storedPhotos).map(([path, files]) => [
+      path,
+      files.map((file) => Object.assign(file, { preview: URL.createObjectURL(file) })),
+    ])
+  );
@@ -0,0 +1,92 @@
+/**
+ * Form Value Utilities
+ * Display submitted custom form values
+ */
+
+import { formatRevisionValue } from './aarRevisions';
+import { formatDuration, getMaxRating } from '../../shared/field-types';
+
+// Field type helpers shared with the backend
+export {
+  formatDuration,
+  getMaxRating,
+  isAcceptedFile,
+  isUploadFieldType,
+  secondsToHours,
+  UPLOAD_FIELD_TYPES,
+} from '../../shared/field-types';
+
+/**
+ * Format a captured location, e.g. "45.51234, -122.67890 (±8 m)"
+ * @param {Object} location - { latitude, longitude, accuracy? }
+ * @returns {string}
+ */
+export const formatLocation = (location) =>
+  [
+    `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`,
+    location.accuracy !== undefined && `(±${location.accuracy} m)`,
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+/**
+ * Map link for a captured location
+ * @param {Object} location - { latitude, longitude }
+ * @returns {string} - OpenStreetMap URL
+ */
+export const getMapUrl = (location) =>
+  `https://www.openstreetmap.org/?mlat=${location.latitude}&mlon=${location.longitude}#map=18/${location.latitude}/${location.longitude}`;
+
+/**
+ * Format a single submitted value for display, based on its field type
+ * @param {Object} field - Form field definition (may be undefined for unknown fields)
+ * @param {*} value - Submitted value
+ * @returns {string} - Display string ('' when empty)
+ */
+export const formatFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  switch (field?.type) {
+    case 'dualfield':
+      return [value.value, value.unit && `(${value.unit})`].filter(Boolean).join(' ');
+
+    case 'triplefield':
+      return [value.amount, value.unit, value.value].filter((part) => part !== undefined && part !== '').join(' ');
+
+    case 'multidualfield':
+    case 'multitriplefield':
+      return Array.isArray(value)
+        ? value
+            .map((entry) => formatFieldValue({ type: field.type.replace('multi', '') }, entry))
+            .filter(Boolean)
+            .join(', ')
+        : '';
+
+    case 'location':
+      return typeof value?.latitude === 'number' ? formatLocation(value) : '';
+
+    case 'rating': {
+      if (!Number.isInteger(value) || value < 0) return formatRevisionValue(value);
+      const maxRating = getMaxRating(field);
+      return `${'★'.repeat(value)}${'☆'.repeat(Math.max(0, maxRating - value))} (${value}/${maxRating})`;
+    }
+
+    case 'timer':
+      return typeof value === 'number' ? formatDuration(value) : formatRevisionValue(value);
+
+    default:
+      return formatRevisionValue(value);
+  }
+};
+
+/**
+ * Map of field ID -> label for a form schema. Repeatable sections are
+ * included under their section ID, the key their entries are stored under.
+ * @param {Object|null} schema - Form schema ({ sections, fields })
+ * @returns {Object} - { [fieldId]: label }
+ */
+export const getFieldLabels = (schema) =>
+  Object.fromEntries([
+    ...(schema?.sections || []).filter((section) => section.repeatable).map((section) => [section.id, section.name]),
+    ...(schema?.fields || []).map((field) => [field.id, field.label]),
+  ]);
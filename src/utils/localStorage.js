@@ -9,6 +9,7 @@ const STORAGE_KEYS = {
   CURRENT_USER: 'cgiworkflo_current_user',
   BRANDING: 'cgiworkflo_branding',
   CUSTOM_FORMS: 'cgiworkflo_custom_forms',
+  ACTIVE_FORM: 'cgiworkflo_active_form',
 };
 
 export const getFromStorage = (key) => {
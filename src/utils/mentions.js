@@ -0,0 +1,69 @@
+/**
+ * @mention Utilities
+ * Mentions are stored inline as `@[Display Name](userId)` (parsed server-side
+ * to notify the mentioned users).
+ */
+
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([A-Za-z0-9_-]{1,64})\)/g;
+
+/**
+ * Build mention markup for a user
+ * @param {Object} user - User with id and name
+ * @returns {string} - Mention markup
+ */
+export const createMention = (user) => `@[${user.name.replace(/[\]\n]/g, '')}](${user.id})`;
+
+/**
+ * Split text into plain text and mention segments for rendering
+ * @param {string} text - Text containing mention markup
+ * @returns {Array<{type: 'text'|'mention', value: string, userId?: string}>}
+ */
+export const parseMentions = (text = '') => {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    segments.push({ type: 'mention', value: match[1], userId: match[2] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return segments;
+};
+
+/**
+ * Find an in-progress "@query" immediately before the cursor
+ * @param {string} text - Input value
+ * @param {number} cursor - Cursor position
+ * @returns {{start: number, query: string}|null} - Where the @ starts and the text typed after it
+ */
+export const getMentionQuery = (text, cursor) => {
+  const match = /(^|\s)@([^\s@[\]()]{0,30})$/.exec(text.slice(0, cursor));
+  if (!match) return null;
+  return { start: cursor - match[2].length - 1, query: match[2] };
+};
+
+/**
+ * Replace mention markup with plain `@Display Name` text (for previews)
+ * @param {string} text - Text containing mention markup
+ * @returns {string} - Plain text
+ */
+export const stripMentions = (text = '') => text.replace(MENTION_PATTERN, '@$1');
+
+/**
+ * Replace mention markup with highlighted HTML spans
+ * The result must still be passed through DOMPurify before rendering.
+ * @param {string} text - Text containing mention markup
+ * @returns {string} - HTML string
+ */
+export const mentionsToHtml = (text = '') =>
+  text.replace(MENTION_PATTERN, (_, name) => {
+    const escaped = name.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+    return `<span class="font-semibold">@${escaped}</span>`;
+  });
@@ -0,0 +1,42 @@
+// Before/after pairs of an AAR's photos (for BeforeAfterCompare)
+
+const isImage = (photo) => photo.mime_type?.startsWith('image/');
+
+/**
+ * Images of the photo fields whose ID contains `kind` (e.g. beforePhotos), in display order
+ * @param {Object} photos - Photo rows by field path, as returned with the AAR
+ */
+export const getFieldImages = (photos, kind) =>
+  Object.entries(photos)
+    .filter(([fieldId]) => fieldId.toLowerCase().includes(kind))
+    .flatMap(([, fieldPhotos]) => fieldPhotos)
+    .filter(isImage);
+
+/**
+ * Pair before photos with after photos
+ * Explicit pairs (paired_photo_id, set on the AAR page) come first; the other
+ * images of the before and after fields are paired by display order.
+ * @param {Object} photos - Photo rows by field path, as returned with the AAR
+ * @returns {Array<{ before: Object, after: Object, explicit: boolean }>}
+ */
+export const getPhotoPairs = (photos) => {
+  const images = Object.values(photos).flat().filter(isImage);
+  const byId = new Map(images.map((photo) => [photo.id, photo]));
+  const paired = new Set();
+  const pairs = [];
+
+  for (const photo of images) {
+    const partner = photo.type === 'before' && byId.get(photo.paired_photo_id);
+    if (!partner) continue;
+    pairs.push({ before: photo, after: partner, explicit: true });
+    paired.add(photo.id).add(partner.id);
+  }
+
+  const before = getFieldImages(photos, 'before').filter((photo) => !paired.has(photo.id));
+  const after = getFieldImages(photos, 'after').filter((photo) => !paired.has(photo.id));
+  for (let index = 0; index < Math.min(before.length, after.length); index++) {
+    pairs.push({ before: before[index], after: after[index], explicit: false });
+  }
+
+  return pairs;
+};
@@ -0,0 +1,42 @@
+/**
+ * Report Downloads
+ * PDF job reports of AARs (see api.aars.downloadReport / downloadReports)
+ */
+
+import { api } from '../lib/api-client';
+import { getUnitPreference } from './units';
+
+// Dates in the viewer's time zone, measurements in their preferred units
+const getReportOptions = () => {
+  const { area, liquid } = getUnitPreference();
+  return { timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone, area, liquid };
+};
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000); // After the browser has started the download
+};
+
+/**
+ * Download an AAR as a PDF
+ * @param {string} aarId
+ */
+export const downloadAARReport = async (aarId) => {
+  const response = await api.aars.downloadReport(aarId, getReportOptions());
+  saveBlob(response.data, `aar-report-${aarId}.pdf`);
+};
+
+/**
+ * Download several AARs (up to 20, 60 photos in total) as PDFs in a ZIP
+ * @param {string[]} aarIds
+ */
+export const downloadAARReports = async (aarIds) => {
+  const response = await api.aars.downloadReports(aarIds, getReportOptions());
+  saveBlob(response.data, `aar-reports-${new Date().toISOString().slice(0, 10)}.zip`);
+};
@@ -0,0 +1,149 @@
+// Resumable uploads of AAR photos and files (see api.uploads.sessions)
+//
+// Each file is sent in parts to its own upload session. Failed parts are
+// retried; if the connection drops for longer, uploading the same File again
+// asks the server which parts arrived and sends only the rest.
+
+import { api } from '../lib/api-client';
+
+// Retry a part this many times (waiting RETRY_DELAY, then twice as long, ...)
+const MAX_ATTEMPTS = 4;
+const RETRY_DELAY = 1000;
+
+// File -> its upload session ({ id, partSize, partCount, completed })
+const uploadSessions = new WeakMap();
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run a request, retrying network and server errors (not client errors)
+ */
+const withRetry = async (request) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const status = error.response?.status;
+      if (attempt >= MAX_ATTEMPTS || (status && status < 500)) throw error;
+      await wait(RETRY_DELAY * 2 ** (attempt - 1));
+    }
+  }
+};
+
+/**
+ * Upload session IDs of a draft's files, parallel to the photos arrays (null = none yet)
+ * Stored with queued drafts so a later attempt resumes the same uploads.
+ */
+export const getUploadSessionIds = (photos) =>
+  Object.fromEntries(
+    Object.entries(photos).map(([path, files]) => [path, files.map((file) => uploadSessions.get(file)?.id || null)])
+  );
+
+/**
+ * Re-link restored files to their upload sessions
+ */
+export const linkUploadSessions = (photos, sessionIds = {}) => {
+  Object.entries(photos).forEach(([path, files]) => {
+    files.forEach((file, index) => {
+      const id = sessionIds[path]?.[index];
+      if (id && !uploadSessions.has(file)) uploadSessions.set(file, { id, completed: false });
+    });
+  });
+};
+
+/**
+ * Start a session for a file, or pick up its existing one
+ * @returns {Promise<{ session: Object, uploadedParts: Set<number>, uploaded: number }>}
+ */
+const openSession = async (file) => {
+  const existing = uploadSessions.get(file);
+  if (existing) {
+    try {
+      const response = await withRetry(() => api.uploads.sessions.get(existing.id));
+      const { uploadedParts, ...session } = response.data.data.session;
+      const stored = { ...existing, ...session, completed: session.status === 'complete' };
+      uploadSessions.set(file, stored);
+      return {
+        session: stored,
+        uploadedParts: new Set(uploadedParts.map((part) => part.partNumber)),
+        uploaded: uploadedParts.reduce((total, part) => total + part.size, 0),
+      };
+    } catch (error) {
+      if (![404, 410].includes(error.response?.status)) throw error;
+      // Expired (410) or used by an earlier submission (404): upload the file again
+    }
+  }
+
+  const response = await withRetry(() =>
+    api.uploads.sessions.create({
+      filename: file.name,
+      mimeType: file.type || 'application/octet-stream',
+      size: file.size,
+    })
+  );
+  const session = { ...response.data.data.session, completed: false };
+  uploadSessions.set(file, session);
+  return { session, uploadedParts: new Set(), uploaded: 0 };
+};
+
+/**
+ * Upload a file (resuming an earlier attempt if there was one)
+ * @param {File} file
+ * @param {Function} [onProgress] - Called with the bytes of this file uploaded so far
+ * @returns {Promise<string>} - ID of the completed upload session
+ */
+export const uploadFile = async (file, onProgress) => {
+  const { session, uploadedParts, uploaded: alreadyUploaded } = await openSession(file);
+  let uploaded = alreadyUploaded;
+  onProgress?.(uploaded);
+
+  if (!session.completed) {
+    for (let partNumber = 1; partNumber <= session.partCount; partNumber++) {
+      if (uploadedParts.has(partNumber)) continue;
+
+      const chunk = file.slice((partNumber - 1) * session.partSize, partNumber * session.partSize);
+      await withRetry(() =>
+        api.uploads.sessions.uploadPart(session.id, partNumber, chunk, {
+          onUploadProgress: (event) => onProgress?.(uploaded + Math.min(event.loaded, chunk.size)),
+        })
+      );
+      uploaded += chunk.size;
+      onProgress?.(uploaded);
+    }
+
+    await withRetry(() => api.uploads.sessions.complete(session.id));
+    session.completed = true;
+  }
+
+  onProgress?.(file.size);
+  return session.id;
+};
+
+/**
+ * Upload all files of a submission, one at a time
+ * @param {Object} photos - Upload files by field path ({ fieldPath: File[] })
+ * @param {Function} [onProgress] - Called with { filename, fileIndex, fileCount, filePercent, percent }
+ * @returns {Promise<Object>} - Upload session IDs by field path (for buildAARFormData)
+ */
+export const uploadPhotos = async (photos, onProgress) => {
+  const entries = Object.entries(photos).flatMap(([path, files]) => files.map((file) => ({ path, file })));
+  const totalSize = entries.reduce((total, { file }) => total + file.size, 0);
+  const uploads = {};
+  let doneSize = 0;
+
+  for (const [fileIndex, { path, file }] of entries.entries()) {
+    const sessionId = await uploadFile(file, (loaded) =>
+      onProgress?.({
+        filename: file.name,
+        fileIndex,
+        fileCount: entries.length,
+        filePercent: file.size ? Math.round((loaded * 100) / file.size) : 100,
+        percent: totalSize ? Math.round(((doneSize + loaded) * 100) / totalSize) : 100,
+      })
+    );
+    doneSize += file.size;
+    (uploads[path] ||= []).push(sessionId);
+  }
+
+  return uploads;
+};
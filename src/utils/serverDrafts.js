@@ -0,0 +1,161 @@
+// Syncing device drafts (see draftStore) with drafts stored on the server
+// (/api/aars/drafts), so an AAR started on one device can be finished on another.
+//
+// A device draft linked to the server has:
+// - serverId: ID of the server draft
+// - serverUpdatedAt: the server draft's updatedAt after this device last synced
+// - serverPhotoIds: { fieldPath: [photoId | null] }, parallel to draft.photos
+// - pendingSync: changed on this device since the last sync
+
+import { api } from '../lib/api-client';
+import { DRAFT_STATUS, createDraftId } from './draftStore';
+
+// File -> ID of its copy on the server draft (files cannot carry it through IndexedDB)
+const uploadedPhotoIds = new WeakMap();
+
+/**
+ * Server photo IDs of a draft's files, parallel to the photos arrays (null = not uploaded yet)
+ */
+export const getServerPhotoIds = (photos) =>
+  Object.fromEntries(
+    Object.entries(photos).map(([path, files]) => [path, files.map((file) => uploadedPhotoIds.get(file) || null)])
+  );
+
+/**
+ * Re-link a restored draft's files to their copies on the server
+ */
+export const linkServerPhotos = (photos, serverPhotoIds = {}) => {
+  Object.entries(photos).forEach(([path, files]) => {
+    files.forEach((file, index) => {
+      const photoId = serverPhotoIds[path]?.[index];
+      if (photoId) uploadedPhotoIds.set(file, photoId);
+    });
+  });
+};
+
+/**
+ * Save a device draft to the server: starts the server draft if needed,
+ * uploads new files, then saves the values and where each file belongs
+ * @returns {Promise<Object>} - The server link fields to store on the device draft
+ */
+export const pushServerDraft = async (draft) => {
+  const { formId, formVersion } = draft.formSchema;
+  let serverId = draft.serverId;
+
+  if (!serverId) {
+    // A new server draft has none of the files yet
+    Object.values(draft.photos).flat().forEach((file) => uploadedPhotoIds.delete(file));
+    const response = await api.aarDrafts.create({ formId, formVersion, formData: draft.values });
+    serverId = response.data.data.draft.id;
+  }
+
+  try {
+    for (const [path, files] of Object.entries(draft.photos)) {
+      for (const file of files) {
+        if (uploadedPhotoIds.has(file)) continue;
+        const response = await api.aarDrafts.uploadPhoto(serverId, path, file);
+        uploadedPhotoIds.set(file, response.data.data.photo.id);
+      }
+    }
+
+    const response = await api.aarDrafts.update(serverId, {
+      formId,
+      formVersion,
+      formData: draft.values,
+      photoLayout: getServerPhotoIds(draft.photos),
+    });
+
+    return {
+      serverId,
+      serverUpdatedAt: response.data.data.draft.updatedAt,
+      serverPhotoIds: getServerPhotoIds(draft.photos),
+    };
+  } catch (error) {
+    // Deleted on another device: start a new server draft with everything
+    if (error.response?.status === 404 && draft.serverId) {
+      return pushServerDraft({ ...draft, serverId: null });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Save a device draft to the server and submit it as an AAR
+ * (the server validates it and deletes the server draft)
+ * @returns {Promise<Object>} - The created AAR
+ */
+export const finalizeServerDraft = async (draft) => {
+  const { serverId } = await pushServerDraft(draft);
+  const response = await api.aarDrafts.finalize(serverId);
+  return response.data.data.aar;
+};
+
+/**
+ * Turn a server draft into a device draft (downloads its files and the form
+ * version it was filled in on)
+ * @param {Object} serverDraft - Draft from api.aarDrafts.get (with photos)
+ * @param {Object} [localDraft] - Device copy to update, if there is one
+ */
+const toDeviceDraft = async (serverDraft, localDraft) => {
+  const versionResponse = await api.customForms.getVersion(serverDraft.formId, serverDraft.formVersion);
+  const formSchema = {
+    ...versionResponse.data.form.schema,
+    formId: serverDraft.formId,
+    formVersion: serverDraft.formVersion,
+    formName: serverDraft.formName,
+  };
+
+  const photos = {};
+  const serverPhotoIds = {};
+  for (const photo of serverDraft.photos) {
+    const response = await fetch(api.uploads.fileUrl(photo.r2Key));
+    if (!response.ok) throw new Error(`Failed to download ${photo.filename}`);
+    const file = new File([await response.blob()], photo.filename, { type: photo.mimeType });
+    uploadedPhotoIds.set(file, photo.id);
+    (photos[photo.fieldId] ||= []).push(file);
+    (serverPhotoIds[photo.fieldId] ||= []).push(photo.id);
+  }
+
+  return {
+    ...localDraft,
+    id: localDraft?.id || createDraftId(),
+    status: DRAFT_STATUS.DRAFT,
+    error: null,
+    formSchema,
+    values: serverDraft.formData,
+    photos,
+    serverId: serverDraft.id,
+    serverUpdatedAt: serverDraft.updatedAt,
+    serverPhotoIds,
+    pendingSync: false,
+  };
+};
+
+/**
+ * Get the latest version of a draft before continuing it
+ * Changes saved on another device win unless this device has newer unsynced changes.
+ * @param {string} serverId - Server draft ID
+ * @param {Object} [localDraft] - Device copy, if there is one
+ * @returns {Promise<Object|null>} - Device draft to continue (null if neither copy exists)
+ */
+export const pullServerDraft = async (serverId, localDraft) => {
+  let serverDraft;
+  try {
+    serverDraft = (await api.aarDrafts.get(serverId)).data.data.draft;
+  } catch (error) {
+    // Submitted or deleted on another device: keep the device copy unlinked
+    if (error.response?.status === 404) {
+      return localDraft ? { ...localDraft, serverId: null, serverUpdatedAt: null, serverPhotoIds: {} } : null;
+    }
+    throw error;
+  }
+
+  if (!localDraft) return toDeviceDraft(serverDraft);
+
+  const changedElsewhere = serverDraft.updatedAt !== localDraft.serverUpdatedAt;
+  const serverIsNewer = new Date(serverDraft.updatedAt) > new Date(localDraft.updatedAt);
+  if (changedElsewhere && (!localDraft.pendingSync || serverIsNewer)) {
+    return toDeviceDraft(serverDraft, localDraft);
+  }
+  return localDraft;
+};
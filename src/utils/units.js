@@ -1,49 +1,14 @@
 // Unit conversion utilities
 
-// Area conversions
-export const convertArea = (value, fromUnit, toUnit) => {
-  const sqmToSqft = 10.7639;
+import { convertArea, convertLiquid, DEFAULT_UNIT_PREFERENCES, formatArea, formatLiquid } from '../../shared/units';
 
-  if (fromUnit === toUnit) return value;
-
-  if (fromUnit === 'sqm' && toUnit === 'sqft') {
-    return value * sqmToSqft;
-  }
-
-  if (fromUnit === 'sqft' && toUnit === 'sqm') {
-    return value / sqmToSqft;
-  }
-
-  return value;
-};
-
-// Liquid conversions
-export const convertLiquid = (value, fromUnit, toUnit) => {
-  const conversions = {
-    ml: { ml: 1, oz: 0.033814, l: 0.001, gal: 0.000264172 },
-    oz: { ml: 29.5735, oz: 1, l: 0.0295735, gal: 0.0078125 },
-    l: { ml: 1000, oz: 33.814, l: 1, gal: 0.264172 },
-    gal: { ml: 3785.41, oz: 128, l: 3.78541, gal: 1 },
-  };
-
-  if (fromUnit === toUnit) return value;
-
-  return value * conversions[fromUnit][toUnit];
-};
-
-// Format display with units
-export const formatArea = (value, unit) => {
-  return `${value.toFixed(2)} ${unit}`;
-};
-
-export const formatLiquid = (value, unit) => {
-  return `${value.toFixed(2)} ${unit}`;
-};
+// Conversions shared with the backend (PDF reports)
+export { convertArea, convertLiquid, formatArea, formatLiquid, formatMeasurement } from '../../shared/units';
 
 // Get user preference from localStorage
 export const getUnitPreference = () => {
   const prefs = localStorage.getItem('unitPreferences');
-  return prefs ? JSON.parse(prefs) : { area: 'sqft', liquid: 'oz' };
+  return prefs ? JSON.parse(prefs) : DEFAULT_UNIT_PREFERENCES;
 };
 
 // Save user preference to localStorage
@@ -20,6 +20,8 @@ export default {
           800: 'var(--color-primary-800, #1e40af)',
           900: 'var(--color-primary-900, #1e3a8a)',
         },
+        secondary: 'var(--color-secondary, #8b5cf6)',
+        accent: 'var(--color-accent, #ec4899)',
       },
     },
   },